@@ -39,6 +39,17 @@ const { authenticateUserWithTestMode } = require('../../../middleware/authMiddle
 const { getClientBase } = require('../../../services/clientService');
 // Load scoring attributes to compute dynamic max score
 const { loadPostScoringAirtableConfig } = require('../../../postAttributeLoader');
+// Score explanation / audit trail (GET /leads/:id/score-explanation)
+const { loadAttributes } = require('../../../attributeLoader');
+const { rubricHash, compareExplanations } = require('../../../scoring');
+const scoreExplanationStore = require('../../../services/scoreExplanationStore');
+// Lead query language (boolean + field qualifiers) and saved searches
+const { leadFilterParts, isStructuredQuery, compileLeadQuery, NAME_FIELDS, EXCLUDE_TEST_LEADS } = require('../../../utils/booleanSearchParser');
+const savedSearchStore = require('../../../services/savedSearchStore');
+const { LEAD_EXPORT_COLUMNS, LH_ALL, leadExportRow, resolveColumns, renderLeadExport } = require('../../../services/leadExportService');
+const scheduledExportStore = require('../../../services/scheduledExportStore');
+const scheduledExportRunner = require('../../../services/scheduledExportRunner');
+const leadDedupService = require('../../../services/leadDedupService');
 
 /**
  * Apply authentication to all routes
@@ -56,6 +67,26 @@ async function getAirtableBase(req) {
   return getClientBase(req.client.airtableBaseId);
 }
 
+// Test/placeholder rows that must never show up in search or export
+const EXCLUDE_MULTI_TENANT = EXCLUDE_TEST_LEADS;
+
+/**
+ * Filter parts for a lead search/export request: the request's own query / searchTerms /
+ * priority, ANDed with a saved search when ?savedSearch=<id> is given. Throws LeadQueryError
+ * (-> 400) on a query that doesn't compile; { notFound } when the saved search isn't this client's.
+ */
+async function buildLeadSearchParts(req, { query, searchTerms, priority, savedSearch }) {
+  const parts = leadFilterParts({ query, searchTerms, priority });
+  if (savedSearch) {
+    const saved = await savedSearchStore.getSearch(req.client.clientId, savedSearch);
+    if (!saved) return { notFound: true, parts };
+    parts.push(...leadFilterParts(saved));
+  }
+  return { parts };
+}
+
+const queryErrorResponse = (res, error) => res.status(400).json({ error: error.message, code: 'INVALID_QUERY' });
+
 /**
  * GET /api/linkedin/leads/top-scoring-posts
  * Returns leads with empty Posts Actioned and Posts Relevance Status = "Relevant"
@@ -270,8 +301,10 @@ router.get('/leads/follow-ups', async (req, res) => {
 });
 
 /**
- * GET /api/linkedin/leads/search?query=searchTerm&priority=priorityLevel&searchTerms=tag1,tag2&limit=25&offset=0
- * Search for leads with optional query, priority, search terms filters and pagination
+ * GET /api/linkedin/leads/search?query=searchTerm&priority=priorityLevel&searchTerms=tag1,tag2&savedSearch=<id>&limit=25&offset=0
+ * Search for leads with optional query, priority, search terms filters and pagination.
+ * query/searchTerms accept the lead query language (utils/booleanSearchParser.js); a query that
+ * doesn't compile is a 400 with code INVALID_QUERY.
  */
 router.get('/leads/search', async (req, res) => {
   logger.info('LinkedIn Routes: GET /leads/search called');
@@ -279,7 +312,7 @@ router.get('/leads/search', async (req, res) => {
   
   try {
     const airtableBase = await getAirtableBase(req);
-    const { query, priority, q, searchTerms, limit, offset, sortField, sortDirection } = req.query;
+    const { query, priority, q, searchTerms, savedSearch, limit, offset, sortField, sortDirection } = req.query;
     
     // Support both 'query' and 'q' parameter names for backward compatibility
     const searchTerm = query || q;
@@ -288,90 +321,26 @@ router.get('/leads/search', async (req, res) => {
     const pageLimit = Math.min(100, Math.max(1, parseInt(limit, 10) || 25)); // Default 25, max 100
     const pageOffset = Math.max(0, parseInt(offset, 10) || 0); // Default 0
     
-    logger.info('LinkedIn Routes: Search query:', searchTerm, 'Priority:', priority, 'Search Terms:', searchTerms, 'Limit:', pageLimit, 'Offset:', pageOffset);
-    
-    // Build filter formula based on query, priority, and search terms
-    let filterParts = [];
+    logger.info('LinkedIn Routes: Search query:', searchTerm, 'Priority:', priority, 'Search Terms:', searchTerms, 'Saved search:', savedSearch, 'Limit:', pageLimit, 'Offset:', pageOffset);
     
     // Track if any filters are applied (for total count optimization)
-    const hasFilters = (searchTerm && searchTerm.trim() !== '') || (priority && priority !== 'all') || (searchTerms && searchTerms.trim() !== '');
+    const hasFilters = (searchTerm && searchTerm.trim() !== '') || (priority && priority !== 'all') || (searchTerms && searchTerms.trim() !== '') || !!savedSearch;
     
-    // Add name, email, and LinkedIn URL search filter (only if search term provided)
-    if (searchTerm && searchTerm.trim() !== '') {
-      const trimmedSearch = searchTerm.trim();
-      
-      // Check if search term is an email address (same pattern as /api/calendar/lookup-lead)
-      const isEmail = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(trimmedSearch);
-      
-      if (isEmail) {
-        // Email lookup - exact match on Email field
-        filterParts.push(`LOWER({Email}) = LOWER('${trimmedSearch}')`);
-        logger.info('LinkedIn Routes: Email search detected, using exact match');
-      } else {
-        // Split search term into words for better name matching
-        const searchWords = trimmedSearch.toLowerCase().split(/\s+/);
-        
-        // Create search conditions for each word
-        const wordSearches = searchWords.map(word => 
-          `OR(
-            SEARCH(LOWER("${word}"), LOWER({First Name})) > 0,
-            SEARCH(LOWER("${word}"), LOWER({Last Name})) > 0,
-            SEARCH(LOWER("${word}"), LOWER({LinkedIn Profile URL})) > 0
-          )`
-        );
-        
-        // Join with AND so "sally kuter" finds records that match "sally" AND "kuter"
-        filterParts.push(`AND(${wordSearches.join(', ')})`);
-      }
-    }
-
-    // Add search terms filter with boolean logic support
-    if (searchTerms && searchTerms.trim() !== '') {
-      const { parseBooleanSearch } = require('../../../utils/booleanSearchParser');
-      
-      try {
-        // Parse boolean search query (supports AND, OR, NOT, parentheses, quotes)
-        const booleanFormula = parseBooleanSearch(
-          searchTerms,
-          ['{Search Tokens (canonical)}', '{Search Terms}']
-        );
-        
-        if (booleanFormula) {
-          filterParts.push(booleanFormula);
-          logger.info('LinkedIn Routes: Boolean search filter applied for:', searchTerms);
-        }
-      } catch (error) {
-        logger.warn('LinkedIn Routes: Boolean search parsing failed, falling back to simple search:', error.message);
-        // Fallback to old comma-separated behavior
-        const terms = searchTerms.toLowerCase().trim().split(',')
-          .map(term => term.trim())
-          .filter(Boolean);
-        
-        if (terms.length > 0) {
-          const termSearches = terms.map(term => 
-            `OR(
-              SEARCH("${term}", LOWER({Search Tokens (canonical)})) > 0,
-              SEARCH("${term}", LOWER({Search Terms})) > 0
-            )`
-          );
-          filterParts.push(`AND(${termSearches.join(', ')})`);
-          logger.info('LinkedIn Routes: Search terms filter applied for:', terms);
-        }
-      }
-    }
-    
-    // Add priority filter
-    if (priority && priority !== 'all') {
-      filterParts.push(`{Priority} = "${priority}"`);
+    // Name / URL / email or a structured query (score:>60 status:"In Process" ...), boolean
+    // search terms, priority and an optional saved search — one compiler for all of them
+    // (utils/booleanSearchParser.js), shared with /leads/export and Top Scoring Leads.
+    let built;
+    try {
+      built = await buildLeadSearchParts(req, { query: searchTerm, searchTerms, priority, savedSearch });
+    } catch (error) {
+      if (error.isLeadQueryError) return queryErrorResponse(res, error);
+      throw error;
     }
+    if (built.notFound) return res.status(404).json({ error: 'Saved search not found' });
+    const filterParts = built.parts;
     
     // Always exclude multi-tenant entries
-    filterParts.push(`NOT(OR(
-      SEARCH("multi", LOWER({First Name})) > 0,
-      SEARCH("multi", LOWER({Last Name})) > 0,
-      SEARCH("tenant", LOWER({First Name})) > 0,
-      SEARCH("tenant", LOWER({Last Name})) > 0
-    ))`);
+    filterParts.push(EXCLUDE_MULTI_TENANT);
     
     // Combine all filter parts - if no search/priority, just show all client leads
     const filterFormula = filterParts.length > 1 ? `AND(${filterParts.join(', ')})` : filterParts[0];
@@ -538,8 +507,10 @@ router.get('/leads/search', async (req, res) => {
 });
 
 /**
- * GET /api/linkedin/leads/export?type=linkedin|emails|phones&format=txt|csv&query=...&q=...&priority=...&searchTerms=...
+ * GET /api/linkedin/leads/export?type=linkedin|emails|phones|csv&format=txt|csv|xlsx|vcf&query=...&q=...&priority=...&searchTerms=...&savedSearch=<id>&columns=...
  * Bulk export all matching leads as a downloadable file (fast, no client paging)
+ * type=csv, format=xlsx and format=vcf are the complete-file exports (one row per lead);
+ * columns=first_name,email,ai_score,lh_* picks their columns (services/leadExportService.js).
  */
 router.get('/leads/export', async (req, res) => {
   logger.info('LinkedIn Routes: GET /leads/export called');
@@ -547,71 +518,28 @@ router.get('/leads/export', async (req, res) => {
 
   try {
     const airtableBase = await getAirtableBase(req);
-  const { type = 'linkedin', format = 'txt', query, q, priority, searchTerms, limit } = req.query;
+  const { type = 'linkedin', format = 'txt', query, q, priority, searchTerms, savedSearch, limit, columns } = req.query;
 
     const exportType = String(type).toLowerCase();
     const exportFormat = String(format).toLowerCase();
     if (!['linkedin', 'emails', 'phones', 'csv'].includes(exportType)) {
       return res.status(400).json({ error: 'Invalid type. Use linkedin|emails|phones|csv' });
     }
-    if (!['txt', 'csv'].includes(exportFormat)) {
-      return res.status(400).json({ error: 'Invalid format. Use txt|csv' });
+    if (!['txt', 'csv', 'xlsx', 'vcf'].includes(exportFormat)) {
+      return res.status(400).json({ error: 'Invalid format. Use txt|csv|xlsx|vcf' });
     }
 
     // Build filter formula same as /leads/search
     const searchTerm = query || q;
-    let filterParts = [];
-    if (searchTerm && String(searchTerm).trim() !== '') {
-      const searchWords = String(searchTerm).toLowerCase().trim().split(/\s+/);
-      const wordSearches = searchWords.map(word =>
-        `OR(
-          SEARCH(LOWER("${word}"), LOWER({First Name})) > 0,
-          SEARCH(LOWER("${word}"), LOWER({Last Name})) > 0,
-          SEARCH(LOWER("${word}"), LOWER({LinkedIn Profile URL})) > 0
-        )`
-      );
-      filterParts.push(`AND(${wordSearches.join(', ')})`);
-    }
-    if (searchTerms && String(searchTerms).trim() !== '') {
-      const { parseBooleanSearch } = require('../../../utils/booleanSearchParser');
-      
-      try {
-        // Parse boolean search query (supports AND, OR, NOT, parentheses, quotes)
-        const booleanFormula = parseBooleanSearch(
-          String(searchTerms),
-          ['{Search Tokens (canonical)}', '{Search Terms}']
-        );
-        
-        if (booleanFormula) {
-          filterParts.push(booleanFormula);
-          logger.info('LinkedIn Routes: Export boolean search filter applied for:', searchTerms);
-        }
-      } catch (error) {
-        logger.warn('LinkedIn Routes: Export boolean search parsing failed, falling back to simple search:', error.message);
-        // Fallback to old comma-separated behavior
-        const terms = String(searchTerms).toLowerCase().trim().split(',')
-          .map(t => t.trim()).filter(Boolean);
-        if (terms.length > 0) {
-          const termSearches = terms.map(term =>
-            `OR(
-              SEARCH("${term}", LOWER({Search Tokens (canonical)})) > 0,
-              SEARCH("${term}", LOWER({Search Terms})) > 0
-            )`
-          );
-          filterParts.push(`AND(${termSearches.join(', ')})`);
-          logger.info('LinkedIn Routes: Export terms filter applied for:', terms);
-        }
-      }
-    }
-    if (priority && priority !== 'all') {
-      filterParts.push(`{Priority} = "${priority}"`);
+    let built;
+    try {
+      built = await buildLeadSearchParts(req, { query: searchTerm, searchTerms, priority, savedSearch });
+    } catch (error) {
+      if (error.isLeadQueryError) return queryErrorResponse(res, error);
+      throw error;
     }
-    filterParts.push(`NOT(OR(
-      SEARCH("multi", LOWER({First Name})) > 0,
-      SEARCH("multi", LOWER({Last Name})) > 0,
-      SEARCH("tenant", LOWER({First Name})) > 0,
-      SEARCH("tenant", LOWER({Last Name})) > 0
-    ))`);
+    if (built.notFound) return res.status(404).json({ error: 'Saved search not found' });
+    const filterParts = [...built.parts, EXCLUDE_MULTI_TENANT];
     const filterFormula = filterParts.length > 1 ? `AND(${filterParts.join(', ')})` : filterParts[0];
 
     const selectOptions = {
@@ -638,30 +566,18 @@ router.get('/leads/export', async (req, res) => {
     };
     const csvEscape = (v) => '"' + String(v || '').replace(/"/g, '""') + '"';
 
-    // ---- Complete-file CSV export (type=csv) -------------------------------
+    // ---- Complete-file export (type=csv, or format=xlsx|vcf) ----------------
     // Curated standard columns (clean, deduped-by-us), followed by every field
     // flattened out of Raw Profile Data as lh_* columns (the "fishing" data).
-    const CSV_STD_COLUMNS = [
-      'first_name','last_name','full_name','linkedin_url','email','alt_emails','phone',
-      'company','job_title','headline','location','about','job_history',
-      'ai_score','priority','scoring_status','outbound_email_score','au',
-      'status','connection_status','lead_has_replied','date_connected','date_created',
-      'follow_up_date','cease_fup','source','search_terms'
-    ];
-    // Raw LH keys we never export: operator identity, opaque IDs, campaign
-    // internals, expiring signed asset URLs. Junk that is noise or leaky.
-    const RAW_BLOCKLIST = new Set([
-      'my_id','my_email','my_full_name',
-      'hash_id','sn_hash_id','t_hash_id','r_member_id','member_id','sn_member_id',
-      'avatar_id','public_id_2','lh_id','avatar',
-      'action_id','action_name','action_type','campaign_id','campaign_name','campaign_type'
-    ]);
-    const isJunkRawKey = (k) => {
-      if (RAW_BLOCKLIST.has(k)) return true;
-      if (/^[0-9a-f]{32}$/i.test(k)) return true; // hashed tracking key/value pairs
-      if (/_actual_at$/.test(k)) return true;     // scrape timestamps
-      return false;
-    };
+    // Row shape and file builders live in services/leadExportService.js.
+    const fullFile = exportType === 'csv' || exportFormat === 'xlsx' || exportFormat === 'vcf';
+    const chosen = resolveColumns(columns);
+    if (chosen.unknown.length) {
+      return res.status(400).json({
+        error: `Unknown column(s): ${chosen.unknown.join(', ')}`,
+        columns: [...LEAD_EXPORT_COLUMNS.map(c => c.key), LH_ALL]
+      });
+    }
 
     const seen = new Set();
     const rows = [];
@@ -701,51 +617,10 @@ router.get('/leads/export', async (req, res) => {
               if (exportType === 'emails') raw = email;
               if (exportType === 'phones') raw = phone;
               
-              // For CSV type, we export the complete file (no dedup): curated
-              // standard columns + every field flattened out of Raw Profile Data.
-              if (exportType === 'csv') {
-                const f = record.fields;
-                const row = {
-                  first_name: firstName,
-                  last_name: lastName,
-                  full_name: normalize(f['Full Name']),
-                  linkedin_url: normLinkedIn(linkedinUrl),
-                  email: email,
-                  alt_emails: normalize(f['Alt Emails']),
-                  phone: phone,
-                  company: normalize(f['Company Name']),
-                  job_title: normalize(f['Job Title']),
-                  headline: normalize(f['Headline']),
-                  location: normalize(f['Location']),
-                  about: normalize(f['About']),
-                  job_history: normalize(f['Job History']),
-                  ai_score: normalize(f['AI Score']),
-                  priority: normalize(f['Priority']),
-                  scoring_status: normalize(f['Scoring Status']),
-                  outbound_email_score: normalize(f['Outbound Email Score']),
-                  au: f['AU'] ? 'Yes' : '',
-                  status: normalize(f['Status']),
-                  connection_status: normalize(f['LinkedIn Connection Status']),
-                  lead_has_replied: f['Lead Has Replied'] ? 'Yes' : '',
-                  date_connected: normalize(f['Date Connected']),
-                  date_created: normalize(f['Date Created']),
-                  follow_up_date: normalize(f['Follow-Up Date']),
-                  cease_fup: normalize(f['Cease FUP']),
-                  source: normalize(f['Source']),
-                  search_terms: normalize(f['Search Terms'])
-                };
-                // Flatten Raw Profile Data into lh_* columns (junk stripped).
-                try {
-                  const parsed = JSON.parse(f['Raw Profile Data'] || '{}');
-                  if (parsed && typeof parsed === 'object') {
-                    for (const [k, v] of Object.entries(parsed)) {
-                      if (isJunkRawKey(k)) continue;
-                      const col = 'lh_' + k;
-                      row[col] = (v == null) ? '' : (typeof v === 'object' ? JSON.stringify(v) : String(v));
-                      lhKeys.add(col);
-                    }
-                  }
-                } catch (_) { /* skip unparseable raw profile blobs */ }
+              // Complete file (no dedup): one row per lead, every standard column + lh_*.
+              if (fullFile) {
+                const { row, lhKeys: keys } = leadExportRow(record.fields);
+                keys.forEach(k => lhKeys.add(k));
                 csvRows.push(row);
                 if (hardLimit && csvRows.length >= hardLimit) {
                   reachedLimit = true;
@@ -797,27 +672,31 @@ router.get('/leads/export', async (req, res) => {
     const baseName = exportType === 'linkedin' ? 'linkedin-urls' : (exportType === 'emails' ? 'emails' : 'phones');
 
   // Build full content to compute accurate Content-Length for progress
-    if (exportFormat === 'csv' || exportType === 'csv') {
-      let content;
-      if (exportType === 'csv') {
-        // Complete file: standard columns first, then the union of lh_* columns.
-        const allCols = [...CSV_STD_COLUMNS, ...Array.from(lhKeys).sort()];
-        const header = allCols.map(csvEscape).join(',');
-        const body = csvRows.map(r => allCols.map(c => csvEscape(r[c])).join(',')).join('\r\n');
-        content = '\uFEFF' + header + '\r\n' + body + (body ? '\r\n' : '');
-      } else {
-        let header = '';
-        if (exportType === 'linkedin') header = ['linkedin_url','first_name','last_name','company','job_title','profile_key'].map(csvEscape).join(',');
-        if (exportType === 'emails') header = ['email','first_name','last_name','linkedin_url','company','job_title'].map(csvEscape).join(',');
-        if (exportType === 'phones') header = ['phone','first_name','last_name','linkedin_url','company','job_title'].map(csvEscape).join(',');
-        const body = rows.map(r => r.map(csvEscape).join(',')).join('\r\n');
-        content = '\uFEFF' + header + '\r\n' + body + (body ? '\r\n' : '');
-      }
+    if (fullFile) {
+      const file = renderLeadExport(csvRows, {
+        format: exportFormat === 'txt' ? 'csv' : exportFormat,
+        columns: chosen.columns,
+        includeLh: chosen.includeLh,
+        lhKeys
+      });
+      res.setHeader('Content-Type', file.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="leads-export-${today}.${file.extension}"`);
+      res.setHeader('X-Total-Rows', String(file.rowCount));
+      res.setHeader('Content-Length', String(file.buffer.length));
+      if (reachedLimit && hardLimit) res.setHeader('X-Truncated', '1');
+      res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, Content-Length, X-Total-Rows, X-Truncated');
+      res.end(file.buffer);
+    } else if (exportFormat === 'csv') {
+      let header = '';
+      if (exportType === 'linkedin') header = ['linkedin_url','first_name','last_name','company','job_title','profile_key'].map(csvEscape).join(',');
+      if (exportType === 'emails') header = ['email','first_name','last_name','linkedin_url','company','job_title'].map(csvEscape).join(',');
+      if (exportType === 'phones') header = ['phone','first_name','last_name','linkedin_url','company','job_title'].map(csvEscape).join(',');
+      const body = rows.map(r => r.map(csvEscape).join(',')).join('\r\n');
+      const content = '\uFEFF' + header + '\r\n' + body + (body ? '\r\n' : '');
       const buf = Buffer.from(content, 'utf8');
-      const csvBaseName = exportType === 'csv' ? 'leads-export' : baseName;
       res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-      res.setHeader('Content-Disposition', `attachment; filename="${csvBaseName}-${today}.csv"`);
-      res.setHeader('X-Total-Rows', String(exportType === 'csv' ? csvRows.length : rows.length));
+      res.setHeader('Content-Disposition', `attachment; filename="${baseName}-${today}.csv"`);
+      res.setHeader('X-Total-Rows', String(rows.length));
       res.setHeader('Content-Length', String(buf.length));
       if (reachedLimit && hardLimit) res.setHeader('X-Truncated', '1');
       res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, Content-Length, X-Total-Rows, X-Truncated');
@@ -833,7 +712,7 @@ router.get('/leads/export', async (req, res) => {
       res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, Content-Length, X-Total-Rows, X-Truncated');
       res.end(buf);
     }
-    logger.info(`LinkedIn Routes: Exported ${exportType === 'csv' ? csvRows.length : rows.length} ${exportType} (scanned ${totalScanned})${reachedLimit && hardLimit ? ' [TRUNCATED]' : ''}`);
+    logger.info(`LinkedIn Routes: Exported ${fullFile ? csvRows.length : rows.length} ${fullFile ? exportFormat : exportType} (scanned ${totalScanned})${reachedLimit && hardLimit ? ' [TRUNCATED]' : ''}`);
   } catch (error) {
     logger.error('LinkedIn Routes: Error in /leads/export:', error);
     res.status(500).json({ error: 'Failed to export leads', details: error.message });
@@ -1053,6 +932,185 @@ router.get('/leads/search-token-suggestions', async (req, res) => {
   }
 });
 
+/**
+ * Saved searches (services/savedSearchStore.js)
+ * GET    /api/linkedin/saved-searches        -> this client's saved searches
+ * POST   /api/linkedin/saved-searches        -> { name, query?, searchTerms?, priority? } create/replace by name
+ * DELETE /api/linkedin/saved-searches/:id
+ * The query parts are compiled on save so a broken query is rejected up front, not on every use.
+ */
+router.get('/saved-searches', async (req, res) => {
+  try {
+    res.json({ searches: await savedSearchStore.listSearches(req.client.clientId) });
+  } catch (error) {
+    logger.error('LinkedIn Routes: Error in GET /saved-searches:', error);
+    res.status(500).json({ error: 'Failed to load saved searches', details: error.message });
+  }
+});
+
+router.post('/saved-searches', async (req, res) => {
+  try {
+    const { name, query, searchTerms, priority } = req.body || {};
+    if (!name || !String(name).trim()) return res.status(400).json({ error: 'name is required' });
+    if (!String(query || '').trim() && !String(searchTerms || '').trim() && (!priority || priority === 'all')) {
+      return res.status(400).json({ error: 'A saved search needs a query, search terms or a priority' });
+    }
+    try {
+      leadFilterParts({ query, searchTerms, priority });
+    } catch (error) {
+      if (error.isLeadQueryError) return queryErrorResponse(res, error);
+      throw error;
+    }
+    const search = await savedSearchStore.saveSearch(req.client.clientId, { name, query, searchTerms, priority });
+    logger.info(`LinkedIn Routes: Saved search "${search.name}" for ${req.client.clientId}`);
+    res.json({ search });
+  } catch (error) {
+    logger.error('LinkedIn Routes: Error in POST /saved-searches:', error);
+    res.status(500).json({ error: 'Failed to save search', details: error.message });
+  }
+});
+
+router.delete('/saved-searches/:id', async (req, res) => {
+  try {
+    const deleted = await savedSearchStore.deleteSearch(req.client.clientId, req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'Saved search not found' });
+    res.json({ deleted: true });
+  } catch (error) {
+    logger.error('LinkedIn Routes: Error in DELETE /saved-searches/:id:', error);
+    res.status(500).json({ error: 'Failed to delete saved search', details: error.message });
+  }
+});
+
+/**
+ * Scheduled exports (services/scheduledExportStore.js + scheduledExportRunner.js)
+ * GET    /api/linkedin/export-schedules             -> this client's schedules (+ column catalog)
+ * POST   /api/linkedin/export-schedules             -> create { name, query?, searchTerms?, priority?, savedSearchId?,
+ *                                                     minScore?, newOnly?, format, columns?, cadence, weekday?, recipient? }
+ * PUT    /api/linkedin/export-schedules/:id         -> replace settings (same body)
+ * DELETE /api/linkedin/export-schedules/:id
+ * POST   /api/linkedin/export-schedules/:id/run     -> send now (ignores the cadence)
+ * The filter and columns are checked on save so the cron never meets a schedule that can't run.
+ */
+async function checkExportSchedule(req, res) {
+  const body = req.body || {};
+  const chosen = resolveColumns(body.columns || []);
+  if (chosen.unknown.length) {
+    res.status(400).json({ error: `Unknown column(s): ${chosen.unknown.join(', ')}` });
+    return false;
+  }
+  let savedSearch = null;
+  if (body.savedSearchId) {
+    savedSearch = await savedSearchStore.getSearch(req.client.clientId, body.savedSearchId);
+    if (!savedSearch) {
+      res.status(400).json({ error: 'Saved search not found' });
+      return false;
+    }
+  }
+  try {
+    scheduledExportRunner.scheduleFormula({ query: body.query, searchTerms: body.searchTerms, priority: body.priority }, savedSearch);
+  } catch (error) {
+    if (!error.isLeadQueryError) throw error;
+    queryErrorResponse(res, error);
+    return false;
+  }
+  return true;
+}
+
+router.get('/export-schedules', async (req, res) => {
+  try {
+    res.json({
+      schedules: await scheduledExportStore.listSchedules(req.client.clientId),
+      columns: [...LEAD_EXPORT_COLUMNS.map(c => ({ key: c.key, label: c.label, type: c.type })), { key: LH_ALL, label: 'All LinkedHelper profile fields', type: 'text' }],
+      formats: scheduledExportStore.FORMATS,
+      cadences: scheduledExportStore.CADENCES
+    });
+  } catch (error) {
+    logger.error('LinkedIn Routes: Error in GET /export-schedules:', error);
+    res.status(500).json({ error: 'Failed to load scheduled exports', details: error.message });
+  }
+});
+
+router.post('/export-schedules', async (req, res) => {
+  try {
+    if (!(await checkExportSchedule(req, res))) return;
+    const schedule = await scheduledExportStore.createSchedule(req.client.clientId, req.body || {});
+    logger.info(`LinkedIn Routes: Created export schedule ${schedule.id} "${schedule.name}" for ${req.client.clientId}`);
+    res.json({ schedule });
+  } catch (error) {
+    if (error.isValidationError) return res.status(400).json({ error: error.message });
+    logger.error('LinkedIn Routes: Error in POST /export-schedules:', error);
+    res.status(500).json({ error: 'Failed to create scheduled export', details: error.message });
+  }
+});
+
+router.put('/export-schedules/:id', async (req, res) => {
+  try {
+    if (!(await checkExportSchedule(req, res))) return;
+    const schedule = await scheduledExportStore.updateSchedule(req.client.clientId, req.params.id, req.body || {});
+    if (!schedule) return res.status(404).json({ error: 'Scheduled export not found' });
+    res.json({ schedule });
+  } catch (error) {
+    if (error.isValidationError) return res.status(400).json({ error: error.message });
+    logger.error('LinkedIn Routes: Error in PUT /export-schedules/:id:', error);
+    res.status(500).json({ error: 'Failed to update scheduled export', details: error.message });
+  }
+});
+
+router.delete('/export-schedules/:id', async (req, res) => {
+  try {
+    const deleted = await scheduledExportStore.deleteSchedule(req.client.clientId, req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'Scheduled export not found' });
+    res.json({ deleted: true });
+  } catch (error) {
+    logger.error('LinkedIn Routes: Error in DELETE /export-schedules/:id:', error);
+    res.status(500).json({ error: 'Failed to delete scheduled export', details: error.message });
+  }
+});
+
+router.post('/export-schedules/:id/run', async (req, res) => {
+  try {
+    const schedule = await scheduledExportStore.getSchedule(req.client.clientId, req.params.id);
+    if (!schedule) return res.status(404).json({ error: 'Scheduled export not found' });
+    const result = await scheduledExportRunner.runSchedule(schedule);
+    res.status(result.status === 'failed' ? 502 : 200).json({ result, schedule: await scheduledExportStore.getSchedule(req.client.clientId, req.params.id) });
+  } catch (error) {
+    logger.error('LinkedIn Routes: Error in POST /export-schedules/:id/run:', error);
+    res.status(500).json({ error: 'Failed to run scheduled export', details: error.message });
+  }
+});
+
+/**
+ * Duplicate leads (services/leadDedupService.js)
+ * GET  /api/linkedin/leads/duplicates?limit=N -> { scanned, total, candidates: [{ keepId, mergeId, reasons, keep, merge }] }
+ * POST /api/linkedin/leads/merge              -> { keepId, mergeId } merges mergeId into keepId and deletes it
+ * Both come before /leads/:id so "duplicates" / "merge" are never read as a lead id.
+ */
+router.get('/leads/duplicates', async (req, res) => {
+  try {
+    const airtableBase = await getAirtableBase(req);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), leadDedupService.MAX_CANDIDATES);
+    const result = await leadDedupService.findDuplicates(airtableBase, { limit });
+    logger.info(`LinkedIn Routes: ${result.total} duplicate candidate(s) in ${result.scanned} leads for ${req.client.clientId}`);
+    res.json(result);
+  } catch (error) {
+    logger.error('LinkedIn Routes: Error in GET /leads/duplicates:', error);
+    res.status(500).json({ error: 'Failed to find duplicate leads', details: error.message });
+  }
+});
+
+router.post('/leads/merge', async (req, res) => {
+  try {
+    const { keepId, mergeId } = req.body || {};
+    const airtableBase = await getAirtableBase(req);
+    const result = await leadDedupService.mergeLeads(airtableBase, { keepId, mergeId, clientId: req.client.clientId });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 404) return res.status(error.statusCode).json({ error: error.message });
+    logger.error('LinkedIn Routes: Error in POST /leads/merge:', error);
+    res.status(500).json({ error: 'Failed to merge leads', details: error.message });
+  }
+});
+
 /**
  * GET /api/linkedin/leads/by-linkedin-url?url=linkedinUrl
  * Find a lead by their LinkedIn profile URL
@@ -1135,14 +1193,14 @@ router.get('/leads/by-linkedin-url', async (req, res) => {
 // to avoid being matched as an ID parameter
 // =========================================================================
 
-const { parseConversation } = require('../../../utils/messageParser');
+const { parseConversation, FORMAT_SECTIONS, FORMAT_LABELS } = require('../../../utils/messageParser');
 const { updateSection, getSection, getSectionsSummary, addManualNote, setTags, getTags, parseNotesIntoSections, rebuildNotesFromSections, mergeAndSortMessages } = require('../../../utils/notesSectionManager');
 const { evaluateReconnectAutoCease } = require('../../../services/reconnectAutoCease');
 
 /**
  * GET /api/linkedin/leads/lookup
- * Lookup lead by LinkedIn URL, email, or name
- * Priority: LinkedIn URL > Email > Name search
+ * Lookup lead by LinkedIn URL, email, name, or a lead query (company:"Acme" score:>60)
+ * Priority: LinkedIn URL > Email > Query > Name search
  * IMPORTANT: Must be defined BEFORE /leads/:id route
  */
 router.get('/leads/lookup', async (req, res) => {
@@ -1164,8 +1222,40 @@ router.get('/leads/lookup', async (req, res) => {
     // Detect query type
     const isLinkedInUrl = /linkedin\.com\/in\//i.test(trimmedQuery);
     const isEmail = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(trimmedQuery);
+    // A structured query from the extension's search box (company:"Acme" score:>60, a OR b):
+    // same language as /leads/search. Plain names, URLs and emails keep the lookups below.
+    const isQuery = !isLinkedInUrl && !isEmail && isStructuredQuery(trimmedQuery);
     
-    if (isLinkedInUrl) {
+    if (isQuery) {
+      lookupMethod = 'query';
+      let filterFormula;
+      try {
+        filterFormula = compileLeadQuery(trimmedQuery, { searchFields: NAME_FIELDS });
+      } catch (error) {
+        if (error.isLeadQueryError) return queryErrorResponse(res, error);
+        throw error;
+      }
+      const records = await airtableBase('Leads').select({
+        filterByFormula: filterFormula,
+        sort: [{ field: 'AI Score', direction: 'desc' }],
+        maxRecords: 10
+      }).firstPage();
+      leads = records.map(r => ({
+        id: r.id,
+        firstName: r.fields['First Name'] || '',
+        lastName: r.fields['Last Name'] || '',
+        linkedinProfileUrl: r.fields['LinkedIn Profile URL'] || '',
+        email: r.fields['Email'] || '',
+        phone: r.fields['Phone'] || '',
+        company: r.fields['Company Name'] || r.fields['Company'] || '',
+        title: r.fields['Job Title'] || r.fields['Headline'] || '',
+        aiScore: r.fields['AI Score'],
+        status: r.fields['Status'] || '',
+        followUpDate: r.fields['Follow-Up Date'] || '',
+        ceaseFup: r.fields['Cease FUP'] || '',
+        notes: r.fields['Notes'] || ''
+      }));
+    } else if (isLinkedInUrl) {
       // Exact canonical-slug match (Bognar/Byrne, 2026-07-28): a URL query names ONE person, so the
       // old substring match could resolve to someone whose slug merely contains this one. SEARCH is
       // only a prefilter; the decision is strict slug equality. Name search below stays loose.
@@ -1220,7 +1310,7 @@ router.get('/leads/lookup', async (req, res) => {
     }
     
     // If no matches by URL or email, or if it's a name search
-    if (leads.length === 0 && !isLinkedInUrl && !isEmail) {
+    if (leads.length === 0 && !isLinkedInUrl && !isEmail && !isQuery) {
       lookupMethod = 'name';
       // Strip professional credential suffixes before matching (e.g., "Carinne Bird, GAICD" -> "Carinne Bird")
       const cleanedQuery = stripCredentialSuffixes(trimmedQuery);
@@ -1303,13 +1393,17 @@ router.get('/leads/lookup', async (req, res) => {
  * POST /api/linkedin/leads/parse-preview
  * Preview how content will be parsed without saving
  * Useful for showing user what will be saved
+ * Body: { content, section?, leadLinkedinUrl? } - leadLinkedinUrl keeps only that lead's
+ * conversations when a whole LinkedIn messages.csv export is pasted
+ * Reports the format chosen, how confident the detection is, and attachments / links / voice
+ * notes found in the messages
  * IMPORTANT: Must be defined BEFORE /leads/:id route
  */
 router.post('/leads/parse-preview', async (req, res) => {
   logger.info('LinkedIn Routes: POST /leads/parse-preview called');
   
   try {
-    const { content, section } = req.body;
+    const { content, section, leadLinkedinUrl } = req.body;
     
     if (!content) {
       return res.status(400).json({ error: 'Content is required' });
@@ -1338,20 +1432,13 @@ router.post('/leads/parse-preview', async (req, res) => {
       clientFirstName,
       newestFirst: true,
       referenceDate,
-      forceFormat: section  // e.g., 'email', 'linkedin', 'salesnav'
+      forceFormat: section,  // e.g., 'email', 'linkedin', 'salesnav'
+      timeZone: clientTimezone || null,
+      counterpartProfileUrl: leadLinkedinUrl || null
     });
     
     // Map format names back to friendly section names for UI
-    const formatToSection = {
-      'email_raw': 'email',
-      'email_ai': 'email',
-      'linkedin_raw': 'linkedin',
-      'salesnav_raw': 'salesnav',
-      'aiblaze': 'linkedin',
-      'manual': 'manual'
-    };
-    
-    const autoDetectedSection = formatToSection[result.autoDetectedFormat] || 'manual';
+    const autoDetectedSection = FORMAT_SECTIONS[result.autoDetectedFormat] || 'manual';
     const selectedSection = section || 'linkedin';
     
     // Check for mismatch between user's selection and auto-detected format
@@ -1364,11 +1451,24 @@ router.post('/leads/parse-preview', async (req, res) => {
       };
     }
     
+    const messages = result.messages || [];
+    const withMeta = messages.map(m => m.metadata).filter(Boolean);
+    const confidence = result.confidence;
+    
     res.json({
       detectedFormat: result.format,
+      chosenFormat: result.format,
+      formatLabel: FORMAT_LABELS[result.format] || result.format,
+      confidence,
+      confidenceLevel: confidence >= 0.8 ? 'high' : confidence >= 0.5 ? 'medium' : 'low',
+      formatReason: result.formatReason,
       messageCount: result.messageCount || 0,
       formatted: result.formatted,
-      messages: result.messages || [],
+      messages,
+      attachmentCount: withMeta.reduce((n, m) => n + m.attachments.length, 0),
+      linkCount: withMeta.reduce((n, m) => n + m.links.length, 0),
+      voiceNoteCount: withMeta.filter(m => m.voiceNote).length,
+      warnings: result.warnings || [],
       usedAI: result.usedAI || false,
       aiError: result.aiError || null,
       forcedFormat: section || null,
@@ -1691,6 +1791,69 @@ router.get('/leads/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/linkedin/leads/:id/score-explanation
+ * Why a lead scored what it did: the latest stored per-attribute breakdown (points vs max,
+ * bonus weighting, model reason), what moved since the previous scoring, and whether the
+ * rubric has changed since (services/scoreExplanationStore.js, scoring.js explainScore).
+ * Query: ?history=N (default 5, max 20)
+ * Leads scored before the audit trail existed return current: null plus the legacy Markdown
+ * breakdown from Airtable.
+ */
+router.get('/leads/:id/score-explanation', async (req, res) => {
+  logger.info('LinkedIn Routes: GET /leads/:id/score-explanation called');
+
+  try {
+    const airtableBase = await getAirtableBase(req);
+    const leadId = req.params.id;
+    const clientId = req.client.clientId;
+
+    let record;
+    try {
+      record = await airtableBase('Leads').find(leadId);
+    } catch (err) {
+      if (err.statusCode === 404) return res.status(404).json({ error: 'Lead not found' });
+      throw err;
+    }
+    const f = record.fields || {};
+
+    const history = await scoreExplanationStore.listExplanations(clientId, leadId, { limit: req.query.history || 5 });
+    const [current = null, previous = null] = history;
+
+    // Rubric as it stands now — tells the coach a rescore would mark against different criteria.
+    let liveRubricHash = null;
+    try {
+      const { positives, negatives } = await loadAttributes(null, clientId);
+      liveRubricHash = rubricHash(positives, negatives);
+    } catch (err) {
+      logger.warn(`LinkedIn Routes: score-explanation could not load attributes for ${clientId}: ${err.message}`);
+    }
+
+    res.json({
+      leadId,
+      aiScore: f['AI Score'] ?? null,
+      scoringStatus: f['Scoring Status'] || null,
+      dateScored: f['Date Scored'] || null,
+      current,
+      sinceLastScore: compareExplanations(previous, current),
+      liveRubricHash,
+      rubricChangedSinceScored: !!(current && current.rubricHash && liveRubricHash && current.rubricHash !== liveRubricHash),
+      history: history.map((h) => ({
+        createdAt: h.createdAt,
+        percentage: h.percentage,
+        rubricHash: h.rubricHash,
+        source: h.source,
+        provider: h.provider,
+        model: h.model,
+      })),
+      legacyBreakdown: current ? null : (f['AI Attribute Breakdown'] || null),
+    });
+  } catch (error) {
+    logger.error('LinkedIn Routes: Error in /leads/:id/score-explanation:', error);
+    res.status(500).json({ error: 'Failed to get score explanation', details: error.message });
+  }
+});
+
 // Max search terms allowed
 const MAX_SEARCH_TERMS = 15;
 
@@ -2277,7 +2440,9 @@ router.patch('/leads/:id/quick-update', async (req, res) => {
           clientFirstName,
           newestFirst: true,
           referenceDate,
-          forceFormat: section  // Force parsing to match user's selected source (email, linkedin, salesnav)
+          forceFormat: section,  // Force parsing to match user's selected source (email, linkedin, salesnav)
+          timeZone: clientTimezone || null,
+          counterpartProfileUrl: currentLead.fields['LinkedIn Profile URL'] || null
         });
         
         // Use formatted output if parsing was successful
@@ -23,17 +23,60 @@ function clean(text = "") {
 let cache = {}; // Changed to object to support per-client caching
 let cacheUntil = 0;
 
+/* ---------- rubric versions (services/rubricVersionStore.js) ----------
+   A client can be pinned to an immutable rubric snapshot (Master Clients 'Scoring Rubric
+   Version'), and a caller can ask for a specific version ({ rubricVersion: 3 }) or for the live
+   table regardless of any pin ({ rubricVersion: 'live' }). Snapshots never change, so they are
+   memoised without a TTL. Required lazily: clientService pulls in the Master Clients base.
+----------------------------------------------------------------------------------------- */
+const snapshotCache = {};
+
+async function pinnedRubricVersion(clientId, logger) {
+  try {
+    const client = await require('./services/clientService').getClientById(clientId);
+    return (client && client.scoringRubricVersion) || null;
+  } catch (e) {
+    logger.warn(`loadAttributes: could not read rubric pin for ${clientId} (${e.message}) - using live attributes`);
+    return null;
+  }
+}
+
+async function loadRubricSnapshot(clientId, version) {
+  const key = `${clientId}:${version}`;
+  if (snapshotCache[key]) return snapshotCache[key];
+  const v = await require('./services/rubricVersionStore').getVersion(clientId, version);
+  if (!v) return null;
+  snapshotCache[key] = v.rubric;
+  return v.rubric;
+}
+
 /* ----------------------------------------------------------------
     loadAttributes – fetches Airtable rows (or fallback) and builds
     { preamble, positives, negatives } with token-saving clean-ups
     MULTI-TENANT: Now accepts optional clientId parameter
+    opts.rubricVersion: a version number, 'live', or omitted (= the client's pin, else live)
 ----------------------------------------------------------------- */
-async function loadAttributes(logger = null, clientId = null) {
+async function loadAttributes(logger = null, clientId = null, { rubricVersion } = {}) {
   // Initialize logger if not provided (backward compatibility)
   if (!logger) {
     logger = createLogger({ runId: 'SYSTEM', clientId: 'SYSTEM', operation: 'attribute_loader' });
   }
 
+  if (clientId && rubricVersion !== 'live') {
+    const explicit = rubricVersion !== undefined && rubricVersion !== null;
+    const version = explicit ? Number(rubricVersion) : await pinnedRubricVersion(clientId, logger);
+    if (version) {
+      const snapshot = await loadRubricSnapshot(clientId, version);
+      if (snapshot) {
+        logger.info(`Using scoring rubric v${version} for client ${clientId}${explicit ? '' : ' (pinned)'}`);
+        return snapshot;
+      }
+      // An explicit request (rescore compare) must not silently score with something else.
+      if (explicit) throw new Error(`Scoring rubric version ${version} not found for client ${clientId}`);
+      logger.error('loadAttributes', `Client ${clientId} is pinned to rubric v${version} but that version does not exist - using live attributes`);
+    }
+  }
+
   logger.info( `Starting attribute loading from Airtable${clientId ? ` for client: ${clientId}` : ''}`);
 
   // Get the appropriate base instance
@@ -321,6 +364,17 @@ async function loadAttributeForEditingWithClientBase(attributeId, clientBase, lo
   }
 }
 
+/* ----------------------------------------------------------------
+    snapshotLiveRubric – stores the client's live rubric as a new
+    immutable version (no-op when it matches the latest version)
+----------------------------------------------------------------- */
+async function snapshotLiveRubric(clientId, { author = null, note = null, source = 'manual' } = {}, logger = null) {
+  // Read the table as it is now, not a cached copy from before an edit made directly in Airtable
+  if (cache) delete cache[clientId];
+  const rubric = await loadAttributes(logger, clientId, { rubricVersion: 'live' });
+  return require('./services/rubricVersionStore').createVersion(clientId, { rubric, author, note, source });
+}
+
 /* ----------------------------------------------------------------
     updateAttributeWithClientBase – saves changes to client-specific base
 ----------------------------------------------------------------- */
@@ -416,5 +470,6 @@ module.exports = {
   loadAttributeForEditingWithClientBase,
   updateAttribute,
   updateAttributeWithClientBase,
-  listAttributesForEditing 
+  listAttributesForEditing,
+  snapshotLiveRubric
 };
\ No newline at end of file
@@ -21,8 +21,6 @@ initLogger.info(`- DEBUG_MODE: ${process.env.DEBUG_MODE || 'not set'}`);
 initLogger.info(`- LEAD_SCORING_LIMIT: ${process.env.LEAD_SCORING_LIMIT || 'not set'}`);
 initLogger.info(`- BATCH_PROCESSING_STREAM: ${process.env.BATCH_PROCESSING_STREAM || 'not set'}`);
 
-const { HarmCategory, HarmBlockThreshold } = require('@google-cloud/vertexai');
-
 // --- Multi-Tenant Dependencies ---
 const clientService = require('./services/clientService');
 const { getClientBase } = require('./config/airtableClient');
@@ -63,10 +61,15 @@ let BATCH_SCORER_AIRTABLE_BASE; // Legacy support - will be dynamically set per
 // --- Local Modules ---
 const { buildPrompt, slimLead } = require("./promptBuilder"); 
 const { loadAttributes } = require("./attributeLoader");
-const { computeFinalScore } = require("./scoring");
+const { explainScore, promptHash } = require("./scoring");
+const scoreExplanationStore = require("./services/scoreExplanationStore");
+const billingUsageStore = require("./services/billingUsageStore");
 const { buildAttributeBreakdown } = require("./scripts/analysis/breakdown");
 const { alertAdmin, isMissingCritical } = require('./utils/appHelpers.js');
-const { costGovernanceService } = require('./services/costGovernanceService.js'); 
+const { costGovernanceService, FEATURES } = require('./services/costGovernanceService.js');
+// Pre-flight estimate for the token budget gate (~3,400 tokens/lead measured; see rescoreRoutes).
+const EST_TOKENS_PER_LEAD = 3400;
+const { scoringProviderChain, isProviderConfigured, generateScores } = require('./services/scoringProvider');
 
 /* ---------- ENV CONFIGURATION for Batch Scorer Operations ----------- */
 const DEFAULT_MODEL_ID_FALLBACK = process.env.GEMINI_MODEL_ID || "gemini-2.5-pro-preview-05-06";
@@ -307,12 +310,17 @@ async function fetchLeads(limit, clientBase, clientId, runId = 'UNKNOWN') {
 }
 
 /* =================================================================
-    scoreChunk - Processes a chunk of leads with Gemini (Client-Aware)
+    scoreChunk - Processes a chunk of leads with the client's scoring provider (Client-Aware)
 =================================================================== */
-async function scoreChunk(records, clientId, clientBase, runId = 'UNKNOWN', persist = true) {
+async function scoreChunk(records, clientId, clientBase, runId = 'UNKNOWN', persist = true, options = {}) {
     // persist=false => PREVIEW mode: compute scores and return them, but write NOTHING to
     // Airtable (all update sites below are gated on `persist`). Reads/selects are unaffected.
     // Default persist=true preserves the exact existing behaviour used by the nightly cron.
+    // options.rubricVersion scores against a rubric snapshot instead of the client's pin/live
+    // table (rescore compare mode); prompt and score maths always use the same version.
+    // options.scoringProvider forces the primary provider for this call only (the caller's
+    // dependencies.scoringProvider, e.g. 'fixture' in tests and dry runs).
+    const rubricOpts = options.rubricVersion ? { rubricVersion: options.rubricVersion } : {};
     // Extract timestamp-only portion for cleaner logs
     const timestampOnlyRunId = (runId && runId !== 'UNKNOWN') 
         ? runId.split('-').slice(0, 2).join('-') 
@@ -324,16 +332,27 @@ async function scoreChunk(records, clientId, clientBase, runId = 'UNKNOWN', pers
         operation: 'lead_scoring'
     });
     
-    if (!BATCH_SCORER_VERTEX_AI_CLIENT || !BATCH_SCORER_GEMINI_MODEL_ID) {
-        const errorMsg = `Aborting. Gemini AI Client or Model ID not initialized/provided`;
+    // Which model(s) score this client: their `Scoring Provider` (+ fallbacks), keeping only the
+    // ones we can actually call. A missing client record just means env/default selection.
+    let clientRecord = null;
+    try { clientRecord = await clientService.getClientById(clientId); } catch (_) { /* env/default chain */ }
+    const aiDependencies = { vertexAIClient: BATCH_SCORER_VERTEX_AI_CLIENT, geminiModelId: BATCH_SCORER_GEMINI_MODEL_ID };
+    const fullChain = scoringProviderChain(clientRecord, options.scoringProvider || null);
+    const providerChain = fullChain.filter(p => isProviderConfigured(p, aiDependencies));
+
+    if (!providerChain.length) {
+        const errorMsg = `Aborting. No configured scoring provider (wanted: ${fullChain.join(' -> ')})`;
         log.error(errorMsg);
-        await alertAdmin("Aborted Chunk (batchScorer): Gemini Client/ModelID Not Provided", errorMsg);
+        await alertAdmin("Aborted Chunk (batchScorer): Scoring Provider Not Configured", errorMsg);
         const failedUpdates = records.map(rec => ({ id: rec.id, fields: { [LEAD_FIELDS.SCORING_STATUS]: "Failed – Client Init Error", [LEAD_FIELDS.DATE_SCORED]: new Date().toISOString() }}));
         if (persist && failedUpdates.length > 0 && clientBase) {
             for (let i = 0; i < failedUpdates.length; i += 10) await clientBase("Leads").update(failedUpdates.slice(i, i+10)).catch(e => log.error(`Airtable update error for client init failed leads: ${e.message}`));
         }
         return { processed: 0, successful: 0, failed: records.length, tokensUsed: 0 };
     }
+    if (providerChain.length < fullChain.length) {
+        log.warn(`Scoring providers not configured, skipped: ${fullChain.filter(p => !providerChain.includes(p)).join(', ')}`);
+    }
 
     const scorable = [];
     const airtableUpdatesForSkipped = [];
@@ -423,10 +442,10 @@ async function scoreChunk(records, clientId, clientBase, runId = 'UNKNOWN', pers
         log.info(`No scorable leads in this chunk after pre-flight checks`);
         return { processed: records.length, successful: 0, failed: 0, tokensUsed: 0 };
     }
-    log.info(`Attempting to score ${scorable.length} leads with Gemini`);
+    log.info(`Attempting to score ${scorable.length} leads with [${providerChain.join(' -> ')}]`);
 
     // MULTI-TENANT: Pass clientId to buildPrompt to load client-specific attributes
-    const systemPromptInstructions = await buildPrompt(log, clientId); 
+    const systemPromptInstructions = await buildPrompt(log, clientId, rubricOpts); 
     const slimmedLeadsForChunk = scorable.map(({ profile }) => slimLead(profile));
     const leadsDataForUserPrompt = JSON.stringify({ leads: slimmedLeadsForChunk });
     const generationPromptForGemini = `Score the following ${scorable.length} leads based on the criteria and JSON schema defined in the system instructions. The leads are: ${leadsDataForUserPrompt}`;
@@ -437,98 +456,97 @@ async function scoreChunk(records, clientId, clientBase, runId = 'UNKNOWN', pers
     
     const maxOutputForRequest = 60000; // DEBUG: High limit
 
-    log.info(`DEBUG MODE - Calling Gemini. Using Model ID: ${BATCH_SCORER_GEMINI_MODEL_ID}. Max output tokens for API: ${maxOutputForRequest}`);
+    log.info(`Calling scoring provider chain [${providerChain.join(' -> ')}]. Max output tokens for API: ${maxOutputForRequest}`);
 
     let rawResponseText = "";
     let usageMetadataForBatch = {}; 
     let modelFinishReasonForBatch = null;
     let requestStartTime = Date.now(); // Initialize here so it's available after try/catch
+    let scoredBy = null; // { provider, modelId } of the call that succeeded
 
     let lastError = null;
-    for (let attempt = 1; attempt <= GEMINI_429_RETRY_ATTEMPTS; attempt++) {
-        try {
-            const modelInstanceForRequest = BATCH_SCORER_VERTEX_AI_CLIENT.getGenerativeModel({
-                model: BATCH_SCORER_GEMINI_MODEL_ID, 
-                systemInstruction: { parts: [{ text: systemPromptInstructions }] },
-                safetySettings: [
-                    { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_NONE },
-                    { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_NONE },
-                    { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_NONE },
-                    { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_NONE },
-                ],
-                generationConfig: {
-                    temperature: 0,
-                    responseMimeType: "application/json",
-                    maxOutputTokens: maxOutputForRequest
-                }
-            });
-
-            const requestPayload = {
-                contents: [{ role: "user", parts: [{ text: generationPromptForGemini }] }],
-            };
-            
-            requestStartTime = Date.now(); // Update timing right before API call
-            const callPromise = modelInstanceForRequest.generateContent(requestPayload);
-            const timer = new Promise((_, rej) => setTimeout(() => rej(new Error("Gemini API call timeout for batchScorer chunk")), GEMINI_TIMEOUT_MS));
-            
-            const result = await Promise.race([callPromise, timer]);
-
-            if (!result || !result.response) throw new Error("Gemini API call (batchScorer chunk) returned no response object.");
-            
-            usageMetadataForBatch = result.response.usageMetadata || {};
-            log.info("<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<");
-            log.info(`TOKENS FOR BATCH CALL (Gemini):`);
-            log.info("  Prompt Tokens      :", usageMetadataForBatch.promptTokenCount || "?");
-            log.info("  Candidates Tokens  :", usageMetadataForBatch.candidatesTokenCount || "?");
-            log.info("  Total Tokens       :", usageMetadataForBatch.totalTokenCount || "?");
-            log.info("<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<");
-
-            const candidate = result.response.candidates?.[0];
-            if (!candidate) { 
-                const blockReason = result.response.promptFeedback?.blockReason;
-                let sf = result.response.promptFeedback?.safetyRatings ? ` SafetyRatings: ${JSON.stringify(result.response.promptFeedback.safetyRatings)}`:"";
-                if (blockReason) throw new Error(`Gemini API call (batchScorer chunk) blocked. Reason: ${blockReason}.${sf}`);
-                throw new Error(`Gemini API call (batchScorer chunk) returned no candidates.${sf}`);
-            }
-
-            modelFinishReasonForBatch = candidate.finishReason;
+    for (const provider of providerChain) {
+        for (let attempt = 1; attempt <= GEMINI_429_RETRY_ATTEMPTS; attempt++) {
+            try {
+                requestStartTime = Date.now(); // Update timing right before API call
+                const result = await generateScores(provider, {
+                    systemPrompt: systemPromptInstructions,
+                    userPrompt: generationPromptForGemini,
+                    leads: slimmedLeadsForChunk,
+                    maxOutputTokens: maxOutputForRequest,
+                    timeoutMs: GEMINI_TIMEOUT_MS,
+                    dependencies: aiDependencies,
+                    client: clientRecord
+                });
 
-            if (candidate.content && candidate.content.parts && candidate.content.parts[0].text) {
-                rawResponseText = candidate.content.parts[0].text;
-            } else { 
-                log.warn(`Candidate had no text content. Finish Reason: ${modelFinishReasonForBatch || 'Unknown'}`);
-            }
+                // Keep Gemini's usage field names: everything below (debug info, tokensUsed) reads them.
+                usageMetadataForBatch = {
+                    promptTokenCount: result.usage.promptTokens,
+                    candidatesTokenCount: result.usage.responseTokens,
+                    totalTokenCount: result.usage.totalTokens
+                };
+                log.info("<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<");
+                log.info(`TOKENS FOR BATCH CALL (${provider} / ${result.modelId}):`);
+                log.info("  Prompt Tokens      :", usageMetadataForBatch.promptTokenCount || "?");
+                log.info("  Candidates Tokens  :", usageMetadataForBatch.candidatesTokenCount || "?");
+                log.info("  Total Tokens       :", usageMetadataForBatch.totalTokenCount || "?");
+                log.info("<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<");
+
+                modelFinishReasonForBatch = result.finishReason;
+                rawResponseText = result.text || "";
+                if (!rawResponseText) {
+                    log.warn(`Candidate had no text content. Finish Reason: ${modelFinishReasonForBatch || 'Unknown'}`);
+                }
 
-            if (modelFinishReasonForBatch === 'MAX_TOKENS') {
-                log.warn(`Gemini API call finished due to MAX_TOKENS (limit was ${maxOutputForRequest}). Output may be truncated. SafetyRatings: ${JSON.stringify(candidate.safetyRatings)}`);
-            } else if (modelFinishReasonForBatch && modelFinishReasonForBatch !== 'STOP') {
-                log.warn(`Gemini API call finished with non-STOP reason: ${modelFinishReasonForBatch}. SafetyRatings: ${JSON.stringify(candidate.safetyRatings)}`);
-            }
+                if (modelFinishReasonForBatch === 'MAX_TOKENS') {
+                    log.warn(`${provider} call finished due to MAX_TOKENS (limit was ${maxOutputForRequest}). Output may be truncated. SafetyRatings: ${JSON.stringify(result.safetyRatings || null)}`);
+                } else if (modelFinishReasonForBatch && modelFinishReasonForBatch !== 'STOP') {
+                    log.warn(`${provider} call finished with non-STOP reason: ${modelFinishReasonForBatch}. SafetyRatings: ${JSON.stringify(result.safetyRatings || null)}`);
+                }
 
-            lastError = null;
-            break; // Success - exit retry loop
-        } catch (error) {
-            lastError = error;
-            if (attempt < GEMINI_429_RETRY_ATTEMPTS && isRetryableRateLimitError(error)) {
-                const backoffMs = GEMINI_429_INITIAL_BACKOFF_MS * Math.pow(2, attempt - 1);
-                log.warn(`Transient Vertex/Gemini error on attempt ${attempt}/${GEMINI_429_RETRY_ATTEMPTS} (${error?.message || error}). Waiting ${backoffMs}ms before retry...`);
-                await new Promise(resolve => setTimeout(resolve, backoffMs));
-            } else {
-                break; // Non-retryable or last attempt - exit loop
+                scoredBy = { provider, modelId: result.modelId };
+                lastError = null;
+                // Durable usage ledger (costGovernanceService) — never throws.
+                await costGovernanceService.recordAiUsage({
+                    clientId,
+                    feature: String(runId || '').startsWith('RESCORE') ? FEATURES.RESCORE : FEATURES.LEAD_SCORING,
+                    provider,
+                    model: result.modelId,
+                    inputTokens: result.usage.promptTokens,
+                    outputTokens: result.usage.responseTokens,
+                    totalTokens: result.usage.totalTokens,
+                    runId
+                });
+                break; // Success - exit retry loop
+            } catch (error) {
+                lastError = error;
+                if (attempt < GEMINI_429_RETRY_ATTEMPTS && isRetryableRateLimitError(error)) {
+                    const backoffMs = GEMINI_429_INITIAL_BACKOFF_MS * Math.pow(2, attempt - 1);
+                    log.warn(`Transient ${provider} error on attempt ${attempt}/${GEMINI_429_RETRY_ATTEMPTS} (${error?.message || error}). Waiting ${backoffMs}ms before retry...`);
+                    await new Promise(resolve => setTimeout(resolve, backoffMs));
+                } else {
+                    break; // Non-retryable or last attempt - exit loop
+                }
             }
         }
+        if (scoredBy) break;
+        const next = providerChain[providerChain.indexOf(provider) + 1];
+        if (next) log.warn(`Scoring provider ${provider} failed (${lastError?.message || lastError}). Failing over to ${next}.`);
+    }
+    if (scoredBy && scoredBy.provider !== providerChain[0]) {
+        log.warn(`Chunk scored by fallback provider ${scoredBy.provider} (${scoredBy.modelId}) instead of ${providerChain[0]}`);
     }
 
     if (lastError) {
         await logErrorWithStackTrace(lastError, {
             runId: runId || 'UNKNOWN',
             clientId: clientId,
-            context: `Gemini API call failed for chunk of ${scorable.length} leads`,
+            context: `Scoring call failed on every provider [${providerChain.join(' -> ')}] for chunk of ${scorable.length} leads`,
             loggerName: 'BATCH-SCORER',
             operation: 'geminiAPICall',
         });
         
-        await alertAdmin("Gemini API Call Failed (batchScorer Chunk)", `Client: ${clientId || 'unknown'}\nError: ${lastError.message}\\nChunk Lead IDs (first 5): ${scorable.slice(0,5).map(s=>s.id).join(', ')}`);
+        await alertAdmin("Scoring API Call Failed (batchScorer Chunk)", `Client: ${clientId || 'unknown'}\nProviders tried: ${providerChain.join(' -> ')}\nError: ${lastError.message}\\nChunk Lead IDs (first 5): ${scorable.slice(0,5).map(s=>s.id).join(', ')}`);
         const failedUpdates = scorable.map(item => ({ id: item.rec.id, fields: { "Scoring Status": "Failed – API Error", "Date Scored": new Date().toISOString() } }));
         if (persist && failedUpdates.length > 0 && clientBase) for (let i = 0; i < failedUpdates.length; i += 10) await clientBase("Leads").update(failedUpdates.slice(i, i+10)).catch(e => log.error(`Airtable update error for API failed leads: ${e.message}`));
         return { processed: records.length, successful: 0, failed: records.length, tokensUsed: usageMetadataForBatch.totalTokenCount || 0 }; 
@@ -542,6 +560,8 @@ async function scoreChunk(records, clientId, clientBase, runId = 'UNKNOWN', pers
     const batchDebugInfo = {
         batchId: batchId,
         chunkSize: scorable.length,
+        provider: scoredBy?.provider || 'unknown',
+        modelId: scoredBy?.modelId || 'unknown',
         maxOutputTokens: maxOutputForRequest,
         responseTime: `${responseTime}ms`,
         finishReason: modelFinishReasonForBatch,
@@ -632,7 +652,7 @@ async function scoreChunk(records, clientId, clientBase, runId = 'UNKNOWN', pers
 
     let positives, negatives;
     try {
-        const attrs = await loadAttributes(null, clientId);
+        const attrs = await loadAttributes(null, clientId, rubricOpts);
         positives = attrs.positives;
         negatives = attrs.negatives;
     } catch (attrErr) {
@@ -658,6 +678,8 @@ async function scoreChunk(records, clientId, clientBase, runId = 'UNKNOWN', pers
 
     const airtableResultUpdates = [];
     const perLead = []; // per-lead results returned to callers (esp. preview mode): {recordId,newScore,status}
+    const explanations = []; // score audit trail rows (services/scoreExplanationStore.js), saved only when persisted
+    const chunkPromptHash = promptHash(systemPromptInstructions);
     let successfulUpdates = 0;
     let failedUpdates = 0;
 
@@ -689,12 +711,14 @@ async function scoreChunk(records, clientId, clientBase, runId = 'UNKNOWN', pers
                 }
             }
             
-            const { percentage, rawScore: earned, denominator: max } =
-                computeFinalScore(
-                    temp_positive_scores, positives,
-                    negative_scores, negatives,
-                    contact_readiness, unscored_attributes
-                );
+            // explainScore = computeFinalScore + the per-attribute rows behind it (score audit trail)
+            const explanation = explainScore({
+                positiveScores: temp_positive_scores, positivesDict: positives,
+                negativeScores: negative_scores, negativesDict: negatives,
+                contactReady: contact_readiness, unscored: unscored_attributes,
+                reasoning: attribute_reasoning_obj
+            });
+            const { percentage, rawScore: earned, denominator: max } = explanation;
 
             updateFields[LEAD_FIELDS.AI_SCORE] = Math.round(percentage * 100) / 100;
             updateFields["AI Profile Assessment"] = String(geminiOutputItem.aiProfileAssessment || "N/A");
@@ -708,6 +732,14 @@ async function scoreChunk(records, clientId, clientBase, runId = 'UNKNOWN', pers
             updateFields["AI_Excluded"] = (geminiOutputItem.ai_excluded === "Yes" || geminiOutputItem.ai_excluded === true);
             updateFields["Exclude Details"] = String(geminiOutputItem.exclude_details || "");
             successfulUpdates++;
+            explanations.push({
+                clientId, leadId: leadItem.rec.id, runId,
+                source: String(runId || '').startsWith('RESCORE') ? 'rescore' : 'batch',
+                provider: scoredBy && scoredBy.provider, model: scoredBy && scoredBy.modelId,
+                promptHash: chunkPromptHash,
+                assessment: updateFields["AI Profile Assessment"],
+                explanation
+            });
 
         } catch (scoringErr) { 
             log.error(`Error in scoring logic for lead ${leadItem.id}: ${scoringErr.message}`, geminiOutputItem);
@@ -739,8 +771,23 @@ async function scoreChunk(records, clientId, clientBase, runId = 'UNKNOWN', pers
                 // Count these as failed updates since they didn't get saved
                 failedUpdates += batchUpdates.filter(bu => bu.fields["Scoring Status"] === "Scored").length;
                 successfulUpdates -= batchUpdates.filter(bu => bu.fields["Scoring Status"] === "Scored").length;
+                const unsaved = new Set(batchUpdates.map(bu => bu.id));
+                for (let j = explanations.length - 1; j >= 0; j--) if (unsaved.has(explanations[j].leadId)) explanations.splice(j, 1);
             }
         }
+        // Explanations mirror what is now in Airtable; preview runs (persist=false) store nothing.
+        try {
+            await scoreExplanationStore.saveExplanations(explanations);
+        } catch (explainErr) {
+            log.warn(`Could not store score explanations for ${explanations.length} leads: ${explainErr.message}`);
+        }
+        // Billable usage for the Stripe plan (billingUsageStore) — saved leads only; never throws.
+        await billingUsageStore.recordUsage({
+            clientId,
+            metric: String(runId || '').startsWith('RESCORE') ? billingUsageStore.METRICS.RESCORE_LEADS : billingUsageStore.METRICS.LEADS_SCORED,
+            quantity: successfulUpdates,
+            runId
+        });
     }
     log.info(`Finished chunk. Scorable: ${scorable.length}, Updates: ${airtableResultUpdates.length}, Successful: ${successfulUpdates}, Failed: ${failedUpdates}`);
     
@@ -749,7 +796,8 @@ async function scoreChunk(records, clientId, clientBase, runId = 'UNKNOWN', pers
         successful: successfulUpdates,
         failed: failedUpdates,
         tokensUsed: usageMetadataForBatch.totalTokenCount || 0,
-        perLead
+        perLead,
+        scoredBy
     };
 }
 
@@ -780,7 +828,10 @@ async function run(req, res, dependencies) {
         systemLogger.info("=== STARTING MULTI-TENANT LEAD SCORING ===");
     }
 
-    if (!dependencies || !dependencies.vertexAIClient || !dependencies.geminiModelId) {
+    // Gemini stays the required baseline; a forced provider (dependencies.scoringProvider, e.g.
+    // 'fixture' in tests) can run without it. Per-client providers are resolved in scoreChunk.
+    const hasGemini = !!(dependencies && dependencies.vertexAIClient && dependencies.geminiModelId);
+    if (!dependencies || (!hasGemini && !dependencies.scoringProvider)) {
         const errorMsg = "Critical dependencies (vertexAIClient, geminiModelId) not provided";
         systemLogger.error(errorMsg);
         if (res && res.status && !res.headersSent) {
@@ -792,8 +843,10 @@ async function run(req, res, dependencies) {
 
     BATCH_SCORER_VERTEX_AI_CLIENT = dependencies.vertexAIClient;
     BATCH_SCORER_GEMINI_MODEL_ID = dependencies.geminiModelId;
+    // Per run, not module state: two runs in one process must not see each other's override.
+    const scoringProvider = dependencies.scoringProvider || null;
 
-    systemLogger.info("Dependencies received and set");
+    systemLogger.info(`Dependencies received and set${scoringProvider ? ` (scoring provider forced: ${scoringProvider})` : ''}`);
 
     const startTime = Date.now();
     const limit = Number(req?.query?.limit) || 300;
@@ -824,6 +877,13 @@ async function run(req, res, dependencies) {
             clientsToProcess = await clientService.getAllActiveClients();
         }
 
+        // Stripe plan without lead scoring (billingEntitlementService writes 'Lead Scoring Enabled' = 'No')
+        const notEntitled = clientsToProcess.filter(c => c.leadScoringEnabled === false);
+        if (notEntitled.length) {
+            systemLogger.info(`Skipping ${notEntitled.length} client(s) whose plan excludes lead scoring: ${notEntitled.map(c => c.clientId).join(', ')}`);
+            clientsToProcess = clientsToProcess.filter(c => c.leadScoringEnabled !== false);
+        }
+
         if (!clientsToProcess.length) {
             const noClientsMsg = "No active clients found to process";
             systemLogger.info(noClientsMsg);
@@ -860,6 +920,7 @@ async function run(req, res, dependencies) {
             let clientFailed = 0;
             let clientTokensUsed = 0;
             const clientErrors = [];
+            let budgetPause = null; // set when the token budget gate stops this client's chunks
             
             try {
                 // Get client-specific Airtable base
@@ -1024,13 +1085,21 @@ async function run(req, res, dependencies) {
                 // Process chunks for this client
                 for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
                     const chunk = chunks[chunkIndex];
+                    // Token budget gate: soft or hard limit stops the remaining chunks for this client.
+                    const budget = await costGovernanceService.checkBudget(clientId, { estimatedTokens: chunk.length * EST_TOKENS_PER_LEAD });
+                    if (!budget.allowed) {
+                        budgetPause = budget;
+                        clientLogger.warn(`Token budget (${budget.level}): ${budget.reason}. Pausing with ${leads.length - clientProcessed} lead(s) left To Be Scored.`);
+                        await costGovernanceService.pauseClientRun({ runId, clientId, feature: 'Lead Scoring', check: budget, isStandalone });
+                        break;
+                    }
                     // Delay between chunks to avoid Vertex AI 429 rate limits (skip before first chunk)
                     if (chunkIndex > 0 && GEMINI_CHUNK_DELAY_MS > 0) {
                         clientLogger.debug(`Waiting ${GEMINI_CHUNK_DELAY_MS}ms before next chunk (rate limit protection)`);
                         await new Promise(resolve => setTimeout(resolve, GEMINI_CHUNK_DELAY_MS));
                     }
                     try {
-                        const chunkResult = await scoreChunk(chunk, clientId, clientBase, runId);
+                        const chunkResult = await scoreChunk(chunk, clientId, clientBase, runId, true, { scoringProvider });
                         clientProcessed += chunkResult.processed;
                         clientSuccessful += chunkResult.successful;
                         clientFailed += chunkResult.failed;
@@ -1061,7 +1130,9 @@ async function run(req, res, dependencies) {
                 
                 // Create a detailed reason/notes about what happened
                 let reason;
-                if (clientProcessed === 0) {
+                if (budgetPause) {
+                    reason = `Paused by token budget after ${clientProcessed}/${leads.length} leads: ${budgetPause.reason}`;
+                } else if (clientProcessed === 0) {
                     reason = `No leads were processed`;
                 } else if (clientSuccessful === 0 && clientProcessed > 0) {
                     reason = `Processed ${clientProcessed} leads but none were scored successfully`;
@@ -1102,12 +1173,15 @@ async function run(req, res, dependencies) {
                 totalTokensUsed += clientTokensUsed;
 
                 // CRR REDESIGN: Log completion to Progress Log instead of Execution Log
-                const clientStatus = clientErrors.length > 0 ? 'Completed with errors' : 'Completed successfully';
+                const clientStatus = budgetPause ? CLIENT_RUN_STATUS_VALUES.PAUSED_BUDGET
+                    : clientErrors.length > 0 ? 'Completed with errors' : 'Completed successfully';
                 const durationSec = Math.round(clientDuration / 1000);
                 
                 // Log completion with stats
                 await appendToProgressLog(runId, clientId,
-                    `[${getAESTTime()}] ✅ Lead Scoring: Completed (${clientSuccessful}/${clientProcessed} successful, ${durationSec}s, ${clientTokensUsed} tokens)`
+                    budgetPause
+                        ? `[${getAESTTime()}] ⏸️ Lead Scoring: Stopped early (${clientSuccessful}/${clientProcessed} successful, ${leads.length - clientProcessed} left for the next run, ${durationSec}s, ${clientTokensUsed} tokens)`
+                        : `[${getAESTTime()}] ✅ Lead Scoring: Completed (${clientSuccessful}/${clientProcessed} successful, ${durationSec}s, ${clientTokensUsed} tokens)`
                 );
                 
                 // If there were errors, log them
@@ -1299,33 +1373,46 @@ if (require.main === module) {
 // Score a specific set of already-fetched Airtable lead records on demand (Rescore feature).
 //   persist:false => non-destructive PREVIEW — returns new scores, writes NOTHING.
 //   persist:true  => commit — writes new scores back (same as the cron path).
-// Uses the same Gemini scorer + the client's current attributes (scoreChunk reloads them).
-// Caller supplies dependencies from config/geminiClient.js ({ vertexAIClient, geminiModelId }).
-async function scoreRecordsNow({ records, clientId, clientBase, dependencies, persist = false, runId = 'RESCORE', onProgress = null }) {
-    if (!dependencies || !dependencies.vertexAIClient || !dependencies.geminiModelId) {
-        throw new Error('scoreRecordsNow: dependencies.vertexAIClient and .geminiModelId are required');
+// Uses the client's scoring provider chain + current attributes (scoreChunk reloads them).
+// Caller supplies dependencies from config/geminiClient.js ({ vertexAIClient, geminiModelId });
+// dependencies.scoringProvider forces the primary provider (e.g. 'fixture').
+// Stops early (budgetPaused = reason) when the client's token budget gate says no.
+// onChunkScored (optional, awaited): called after every chunk with that chunk's result
+// ({ processed, successful, failed, tokensUsed, perLead }) — lets a durable caller checkpoint
+// per-lead rows as they land instead of only at the end.
+// rubricVersion (optional): score under that rubric snapshot (services/rubricVersionStore.js).
+async function scoreRecordsNow({ records, clientId, clientBase, dependencies, persist = false, runId = 'RESCORE', rubricVersion = null, onProgress = null, onChunkScored = null }) {
+    if (!dependencies || ((!dependencies.vertexAIClient || !dependencies.geminiModelId) && !dependencies.scoringProvider)) {
+        throw new Error('scoreRecordsNow: dependencies.vertexAIClient and .geminiModelId are required (or dependencies.scoringProvider)');
     }
     if (!clientBase) throw new Error('scoreRecordsNow: clientBase is required');
     // Set the module-level Gemini client/model exactly as run() does.
     BATCH_SCORER_VERTEX_AI_CLIENT = dependencies.vertexAIClient;
     BATCH_SCORER_GEMINI_MODEL_ID = dependencies.geminiModelId;
+    const scoringProvider = dependencies.scoringProvider || null;
 
     const recs = Array.isArray(records) ? records : [];
     const perLead = [];
     let tokensUsed = 0, successful = 0, failed = 0;
+    let budgetPaused = null, processed = 0;
     for (let i = 0; i < recs.length; i += CHUNK_SIZE) {
         const chunk = recs.slice(i, i + CHUNK_SIZE);
-        const res = await scoreChunk(chunk, clientId, clientBase, runId, persist);
+        // Same token budget gate as run(): stop before the chunk, leave the rest unscored.
+        const budget = await costGovernanceService.checkBudget(clientId, { estimatedTokens: chunk.length * EST_TOKENS_PER_LEAD });
+        if (!budget.allowed) { budgetPaused = budget.reason; break; }
+        const res = await scoreChunk(chunk, clientId, clientBase, runId, persist, { rubricVersion, scoringProvider });
+        processed += chunk.length;
         tokensUsed += res.tokensUsed || 0;
         successful += res.successful || 0;
         failed += res.failed || 0;
         if (Array.isArray(res.perLead)) perLead.push(...res.perLead);
+        if (typeof onChunkScored === 'function') await onChunkScored(res);
         // Report progress after each chunk (for the rescore job's progress bar).
         if (typeof onProgress === 'function') {
             try { onProgress(Math.min(i + chunk.length, recs.length), recs.length); } catch (_) { /* non-fatal */ }
         }
     }
-    return { processed: recs.length, successful, failed, tokensUsed, perLead, persisted: persist };
+    return { processed, successful, failed, tokensUsed, perLead, persisted: persist, budgetPaused };
 }
 
-module.exports = { run, scoreRecordsNow };
\ No newline at end of file
+module.exports = { run, scoreRecordsNow, enqueue, fetchLeads, scoreChunk };
\ No newline at end of file
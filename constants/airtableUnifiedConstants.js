@@ -255,7 +255,10 @@ const CLIENT_RUN_STATUS_VALUES = {
   COMPLETED: 'Completed',        // DEPRECATED - meaningless for fire-and-forget ops
   FAILED: 'Failed',              // DEPRECATED - moving to Progress Log
   NO_LEADS: 'No Leads To Score', // DEPRECATED - Progress Log shows this better
-  COMPLETED_WITH_ERRORS: 'Completed with Errors' // DEPRECATED
+  COMPLETED_WITH_ERRORS: 'Completed with Errors', // DEPRECATED
+  // Token budget pause (costGovernanceService.pauseClientRun). Written alongside a Progress Log
+  // line so the run reads as deliberately stopped, not stuck. Needs the option on the Status field.
+  PAUSED_BUDGET: 'Paused - Token Budget'
 };
 
 // Scoring status values - MUST match Airtable field options exactly
@@ -11,11 +11,12 @@
  * - Pattern matching: Uses 31+ error patterns for comprehensive error detection
  * 
  * Usage:
- *   node daily-log-analyzer.js [--runId=YYMMDD-HHMMSS]
+ *   node daily-log-analyzer.js [--runId=YYMMDD-HHMMSS] [--no-digest]
  * 
  * Options:
  *   --runId=YYMMDD-HHMMSS   Optional: Analyze logs for specific run ID only
  *                            If omitted, uses continuous streaming from last checkpoint
+ *   --no-digest             Skip the daily digest email (sent by default from the CLI)
  * 
  * Examples:
  *   node daily-log-analyzer.js                    # Analyze from last checkpoint to now
@@ -31,8 +32,10 @@
  * 3. Runs pattern matching to find errors (CRITICAL, ERROR, WARNING)
  * 4. Extracts stack trace markers (STACKTRACE:timestamp) from logs
  * 5. Looks up full stack traces from Stack Traces table
- * 6. Creates Production Issue records with error details + stack traces
+ * 6. Records Production Issues, one row per fingerprint (repeats bump Occurrences, a FIXED issue
+ *    seen again is reopened) and routes alerts for new/reopened issues (issueAlertRouter)
  * 7. Stores new "Last Analyzed Log ID" for next run
+ * 8. Sends the daily digest of open issues routed to 'digest'
  * 
  * Environment Variables:
  *   RENDER_API_KEY - Required for fetching logs from Render
@@ -57,12 +60,16 @@ async function runDailyLogAnalysis(options = {}) {
   // Parse command line arguments OR use options parameter
   const args = process.argv.slice(2);
   let specificRunId = options.runId || null;
+  let sendDigest = !!options.sendDigest;
 
   // Command line takes precedence over options parameter
   for (const arg of args) {
     if (arg.startsWith('--runId=')) {
       specificRunId = arg.split('=')[1];
     }
+    if (arg === '--no-digest') {
+      sendDigest = false;
+    }
   }
 
   log.info('🔍 DAILY LOG ANALYZER: Starting...');
@@ -153,6 +160,17 @@ async function runDailyLogAnalysis(options = {}) {
       }
     }
     
+    // Daily digest of open issues routed to 'digest' (immediate alerts already went out above)
+    if (sendDigest) {
+      try {
+        const { sendDailyDigest } = require('./services/issueAlertRouter');
+        analysisResults.digest = await sendDailyDigest({ service: logAnalysisService, hours: 24 });
+        log.info(`📬 Daily digest: ${analysisResults.digest.sent ? `sent (${analysisResults.digest.count} issues)` : 'nothing to send'}`);
+      } catch (digestError) {
+        log.error(`⚠️ Daily digest failed: ${digestError.message}`);
+      }
+    }
+    
     return analysisResults;
     
   } catch (error) {
@@ -167,7 +185,7 @@ async function runDailyLogAnalysis(options = {}) {
 
 // Run if executed directly (CLI mode)
 if (require.main === module) {
-  runDailyLogAnalysis()
+  runDailyLogAnalysis({ sendDigest: true })
     .then(results => {
       log.info(`✅ Daily log analyzer completed successfully`);
       process.exit(0);
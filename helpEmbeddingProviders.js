@@ -0,0 +1,105 @@
+// helpEmbeddingProviders.js
+// Pluggable embedding providers for help retrieval (helpRetrieval.js).
+// A provider is { name, model, cacheable, embed(texts) -> Promise<number[][]> }.
+// Choose with HELP_EMBED_PROVIDER = openai | local | none. Unset: openai when an OpenAI client is
+// configured, otherwise local. registerEmbeddingProvider() plugs in others (e.g. a Vertex model).
+
+const OPENAI_BATCH = 80;
+const LOCAL_DIMS = Math.max(64, parseInt(process.env.HELP_LOCAL_EMBED_DIMS || '512', 10) || 512);
+
+// Words that carry no meaning for similarity; BM25 copes via idf, the hashed vectors can't.
+const STOP_WORDS = new Set(('a an and are as at be but by can do does for from how i if in into is it its ' +
+  'me my of on or so that the their then there these this to was we what when where which who why will ' +
+  'with you your').split(' '));
+
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+// Crude suffix folding so "campaigns" / "campaign", "scheduled" / "schedule" share a feature.
+function stem(w) {
+  if (w.length > 5 && w.endsWith('ing')) return w.slice(0, -3);
+  if (w.length > 4 && w.endsWith('ed')) return w.slice(0, -2);
+  if (w.length > 3 && w.endsWith('s') && !w.endsWith('ss')) return w.slice(0, -1);
+  return w;
+}
+
+/**
+ * Offline provider: feature-hashed bag of (stemmed) words + character trigrams, sublinear tf,
+ * L2-normalised. No network, deterministic, good enough to catch paraphrases BM25 misses
+ * ("schedule" vs "scheduling", "inbox" vs "inboxes") — not a semantic model.
+ */
+function localEmbed(text) {
+  const vec = new Float64Array(LOCAL_DIMS);
+  const add = (feature, weight) => {
+    const h = fnv1a(feature);
+    vec[h % LOCAL_DIMS] += (h & 0x80000000) ? -weight : weight;
+  };
+  const words = String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length > 1 && !STOP_WORDS.has(w));
+  const counts = new Map();
+  for (const w of words) {
+    const s = stem(w);
+    counts.set('w:' + s, (counts.get('w:' + s) || 0) + 1);
+    const padded = `_${s}_`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      const g = 'g:' + padded.slice(i, i + 3);
+      counts.set(g, (counts.get(g) || 0) + 0.35);
+    }
+  }
+  for (const [f, c] of counts) add(f, 1 + Math.log(c + 1));
+  let norm = 0;
+  for (let i = 0; i < vec.length; i++) norm += vec[i] * vec[i];
+  norm = Math.sqrt(norm) || 1;
+  return Array.from(vec, v => +(v / norm).toFixed(6));
+}
+
+const _factories = new Map();
+
+_factories.set('local', () => ({
+  name: 'local',
+  model: `hash-v1-${LOCAL_DIMS}`,
+  cacheable: false, // cheaper to recompute than to read back
+  embed: async (texts) => texts.map(localEmbed),
+}));
+
+_factories.set('openai', ({ openaiClient } = {}) => {
+  if (!openaiClient) throw new Error('OPENAI_CLIENT_MISSING');
+  const model = process.env.HELP_EMBED_MODEL || 'text-embedding-3-small';
+  return {
+    name: 'openai',
+    model,
+    cacheable: true,
+    embed: async (texts) => {
+      const out = [];
+      for (let i = 0; i < texts.length; i += OPENAI_BATCH) {
+        const batch = texts.slice(i, i + OPENAI_BATCH).map(t => String(t).slice(0, 6000));
+        const resp = await openaiClient.embeddings.create({ model, input: batch });
+        resp.data.forEach(d => out.push(d.embedding));
+      }
+      return out;
+    },
+  };
+});
+
+function registerEmbeddingProvider(name, factory) {
+  _factories.set(String(name).toLowerCase(), factory);
+}
+
+/**
+ * The provider to use, or null for BM25-only ('none', or an unknown / unusable choice — retrieval
+ * must keep working without vectors). Throws nothing.
+ */
+function resolveEmbeddingProvider(opts = {}) {
+  const wanted = (process.env.HELP_EMBED_PROVIDER || (opts.openaiClient ? 'openai' : 'local')).trim().toLowerCase();
+  if (wanted === 'none') return null;
+  const factory = _factories.get(wanted);
+  if (!factory) return null;
+  try { return factory(opts); } catch { return null; }
+}
+
+module.exports = { resolveEmbeddingProvider, registerEmbeddingProvider, localEmbed, STOP_WORDS };
@@ -0,0 +1,406 @@
+// helpRetrieval.js
+// Unified help retrieval: ONE segment index over every help source, ranked two ways — BM25 and
+// vector similarity — and merged with reciprocal rank fusion (RRF: score = Σ 1/(k + rank)).
+// Supersedes the OpenAI-only embedding index and the whole-table lexical index that the QA routes
+// used to blend by hand.
+//
+// Sources (every segment keeps its origin, so answers can cite the exact text they used):
+//   topic      Help table topics (Airtable), split into paragraphs
+//   lh-manual  the Linked Helper manual snapshot (manuals/lh-snapshot/segments.jsonl, via lhManualIndex)
+//   manual     the plain-text manual (helpManualStore: manuals/linked-helper.txt or its stub)
+//   content    the "### MODULE:" sections of CONTENT-MODULES-LIBRARY.md
+//
+// Vectors come from a pluggable provider (helpEmbeddingProviders.js; the offline 'local' one needs
+// no API). Cacheable providers' vectors are kept in .cache/help-vectors-<provider>-<model>.json,
+// keyed by segment content hash, so a rebuild only embeds what changed. With no provider, or when
+// it fails, ranking is BM25-only and says so in status().
+
+const { createLogger } = require('./utils/contextLogger');
+const logger = createLogger({ runId: 'SYSTEM', clientId: 'SYSTEM', operation: 'api' });
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { htmlToText } = require('./helpHtmlToText');
+const { resolveEmbeddingProvider } = require('./helpEmbeddingProviders');
+
+const CACHE_DIR = path.join(process.cwd(), '.cache');
+const CONTENT_MODULES_FILE = process.env.HELP_CONTENT_MODULES_PATH || path.join(__dirname, 'CONTENT-MODULES-LIBRARY.md');
+const DEFAULT_TTL_MS = parseInt(process.env.HELP_RETRIEVAL_TTL_MS || String(5 * 60 * 1000), 10);
+const RRF_K = parseInt(process.env.HELP_RRF_K || '60', 10);
+const MAX_SEGMENTS = parseInt(process.env.HELP_RETRIEVAL_MAX_SEGMENTS || '2000', 10);
+const CANDIDATES_PER_LIST = 50; // ranks beyond this add ~nothing under RRF
+const PARAGRAPH_MIN_LEN = 40; // chars
+const PARAGRAPH_MAX_LEN = 1800; // chars; longer paragraphs are split by sentences
+
+let _state = freshState();
+
+function freshState() {
+  return {
+    segments: [], // { id, source, sourceId, title, text, url, headingPath, hash }
+    index: new Map(), // term -> Map(segIdx -> tf)
+    docLen: [],
+    avgDocLen: 0,
+    vectors: new Map(), // segment hash -> number[]
+    provider: null,
+    builtAt: 0,
+    building: null, // in-flight build promise
+    counts: {},
+    lastError: null,
+  };
+}
+
+// ---- segmenting -------------------------------------------------------------------------
+
+function splitIntoParagraphs(body) {
+  const rawParas = (body || '')
+    .replace(/\r\n/g, '\n')
+    .split(/\n{2,}/)
+    .map(p => p.trim())
+    .filter(p => p.length >= PARAGRAPH_MIN_LEN);
+  const chunks = [];
+  for (const para of rawParas) {
+    if (para.length <= PARAGRAPH_MAX_LEN) { chunks.push(para); continue; }
+    const sentences = para.split(/(?<=[.!?])\s+/);
+    let acc = '';
+    for (const s of sentences) {
+      if ((acc + ' ' + s).length > PARAGRAPH_MAX_LEN && acc) { chunks.push(acc.trim()); acc = s; }
+      else acc = acc ? acc + ' ' + s : s;
+    }
+    if (acc.trim().length >= PARAGRAPH_MIN_LEN) chunks.push(acc.trim());
+  }
+  return chunks;
+}
+
+// Help topic body as plain text: drop the "Monologue — Title" heading line, flatten HTML.
+function topicBodyText(fields) {
+  let body = (fields.monologue_context || fields.body || fields.content || '').toString();
+  body = body.replace(/^(?:#+\s*)?Monologue\s*[–—:-]?\s*[^\n]*\n+/i, '');
+  if (/^\s*Monologue\s*$/i.test(body.split(/\r?\n/)[0] || '')) body = body.split(/\r?\n/).slice(1).join('\n');
+  if (/<[a-z][\s\S]*>/i.test(body) && body.includes('</')) body = htmlToText(body);
+  return body;
+}
+
+async function collectTopicSegments(helpBase) {
+  const out = [];
+  if (!helpBase) return out;
+  const rows = [];
+  await helpBase('Help').select({ pageSize: 100 }).eachPage((records, next) => { records.forEach(r => rows.push(r)); next(); });
+  for (const r of rows) {
+    const f = r.fields || {};
+    const title = (f.title || f.Name || '').toString();
+    const paras = splitIntoParagraphs(topicBodyText(f)).slice(0, 40); // cap per topic
+    paras.forEach((text, i) => out.push({ id: `topic:${r.id}:${i}`, source: 'topic', sourceId: r.id, title, text }));
+  }
+  return out;
+}
+
+function collectLhManualSegments() {
+  const { getSegments } = require('./lhManualIndex');
+  return getSegments().map(s => ({
+    id: `lh-manual:${s.id}`,
+    source: 'lh-manual',
+    sourceId: s.id,
+    title: s.headingPath && s.headingPath.length ? s.headingPath.join(' › ') : 'Linked Helper manual',
+    text: s.text,
+    url: s.url || null,
+    headingPath: s.headingPath || [],
+  }));
+}
+
+function collectManualSegments() {
+  const { getManualSegments } = require('./helpManualStore');
+  return getManualSegments().map((text, i) => ({ id: `manual:${i}`, source: 'manual', sourceId: String(i), title: 'Manual', text }));
+}
+
+/** "### MODULE: NAME" sections -> segments (Script paragraphs + Key Points), markdown stripped. */
+function parseContentModules(markdown) {
+  const out = [];
+  const parts = String(markdown || '').split(/^###\s+MODULE:\s*/m).slice(1);
+  for (const part of parts) {
+    const nl = part.indexOf('\n');
+    const name = (nl === -1 ? part : part.slice(0, nl)).trim();
+    const body = (nl === -1 ? '' : part.slice(nl + 1)).split(/^---\s*$|^##\s/m)[0];
+    const plain = body
+      .replace(/^\*\*(Duration|Audience)\*\*:.*$/gim, '')
+      .replace(/\*\*([^*]+)\*\*:?/g, '$1')
+      .replace(/^"|"$/gm, '')
+      .trim();
+    const title = name.replace(/_/g, ' ').toLowerCase().replace(/\b\w/g, c => c.toUpperCase());
+    splitIntoParagraphs(plain).forEach((text, i) => out.push({ id: `content:${name}:${i}`, source: 'content', sourceId: name, title, text }));
+  }
+  return out;
+}
+
+function collectContentSegments() {
+  if (!fs.existsSync(CONTENT_MODULES_FILE)) return [];
+  return parseContentModules(fs.readFileSync(CONTENT_MODULES_FILE, 'utf8'));
+}
+
+// ---- BM25 --------------------------------------------------------------------------------
+
+function tokenize(str) {
+  return String(str || '').toLowerCase().split(/[^a-z0-9]+/).filter(w => w && w.length > 1);
+}
+
+function buildLexicalIndex(segments) {
+  const index = new Map();
+  const docLen = [];
+  let total = 0;
+  segments.forEach((seg, i) => {
+    const terms = tokenize(seg.title + ' ' + seg.text);
+    docLen[i] = terms.length;
+    total += terms.length;
+    const counts = new Map();
+    for (const t of terms) counts.set(t, (counts.get(t) || 0) + 1);
+    for (const [t, tf] of counts) {
+      let postings = index.get(t);
+      if (!postings) { postings = new Map(); index.set(t, postings); }
+      postings.set(i, tf);
+    }
+  });
+  return { index, docLen, avgDocLen: segments.length ? total / segments.length : 0 };
+}
+
+function bm25Rank(terms, allowed, { k1 = 1.2, b = 0.75 } = {}) {
+  const N = _state.segments.length;
+  const scores = new Map();
+  for (const term of new Set(terms)) {
+    const postings = _state.index.get(term);
+    if (!postings) continue;
+    const idf = Math.log(1 + (N - postings.size + 0.5) / (postings.size + 0.5));
+    for (const [i, tf] of postings) {
+      if (allowed && !allowed(i)) continue;
+      const denom = tf + k1 * (1 - b + b * (_state.docLen[i] / (_state.avgDocLen || 1)));
+      scores.set(i, (scores.get(i) || 0) + idf * (tf * (k1 + 1)) / (denom || 1));
+    }
+  }
+  return Array.from(scores, ([i, score]) => ({ i, score })).sort((a, b) => b.score - a.score);
+}
+
+// ---- vectors -----------------------------------------------------------------------------
+
+function cosine(a, b) {
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length && i < b.length; i++) { dot += a[i] * b[i]; na += a[i] * a[i]; nb += b[i] * b[i]; }
+  if (!na || !nb) return 0;
+  return dot / (Math.sqrt(na) * Math.sqrt(nb));
+}
+
+function vectorRank(qVec, allowed) {
+  const out = [];
+  _state.segments.forEach((seg, i) => {
+    if (allowed && !allowed(i)) return;
+    const v = _state.vectors.get(seg.hash);
+    if (!v) return;
+    const score = cosine(qVec, v);
+    if (score > 0) out.push({ i, score });
+  });
+  return out.sort((a, b) => b.score - a.score);
+}
+
+function cacheFile(provider) {
+  const safe = s => String(s).replace(/[^a-z0-9._-]+/gi, '_');
+  return path.join(CACHE_DIR, `help-vectors-${safe(provider.name)}-${safe(provider.model)}.json`);
+}
+
+function loadVectorCache(provider) {
+  try {
+    const file = cacheFile(provider);
+    if (!fs.existsSync(file)) return new Map();
+    const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return new Map(Object.entries(raw.vectors || {}));
+  } catch { return new Map(); }
+}
+
+function saveVectorCache(provider, vectors) {
+  try {
+    if (!fs.existsSync(CACHE_DIR)) fs.mkdirSync(CACHE_DIR, { recursive: true });
+    fs.writeFileSync(cacheFile(provider), JSON.stringify({ provider: provider.name, model: provider.model, savedAt: Date.now(), vectors: Object.fromEntries(vectors) }));
+  } catch (e) {
+    logger.warn('[helpRetrieval] Failed to save vector cache', e.message);
+  }
+}
+
+async function embedSegments(provider, segments) {
+  const cached = provider.cacheable ? loadVectorCache(provider) : new Map();
+  const vectors = new Map();
+  const missing = [];
+  for (const seg of segments) {
+    if (vectors.has(seg.hash)) continue;
+    const hit = cached.get(seg.hash) || _state.vectors.get(seg.hash);
+    if (hit) vectors.set(seg.hash, hit); else missing.push(seg);
+  }
+  if (missing.length) {
+    const embedded = await provider.embed(missing.map(s => `${s.title}\n${s.text}`));
+    missing.forEach((seg, j) => { if (embedded[j]) vectors.set(seg.hash, embedded[j]); });
+    if (provider.cacheable) saveVectorCache(provider, vectors); // also prunes hashes no longer present
+  }
+  return { vectors, embedded: missing.length };
+}
+
+// ---- build -------------------------------------------------------------------------------
+
+async function build(helpBase, { openaiClient } = {}) {
+  const started = Date.now();
+  const collected = [];
+  const counts = {};
+  const errors = [];
+  const collectors = [
+    ['topic', () => collectTopicSegments(helpBase)],
+    ['lh-manual', collectLhManualSegments],
+    ['manual', collectManualSegments],
+    ['content', collectContentSegments],
+  ];
+  for (const [name, collect] of collectors) {
+    try {
+      const segs = await collect();
+      counts[name] = segs.length;
+      collected.push(...segs);
+    } catch (e) {
+      counts[name] = 0;
+      errors.push(`${name}: ${e.message}`);
+      logger.warn(`[helpRetrieval] ${name} segments unavailable`, e.message);
+    }
+  }
+  const segments = collected.slice(0, MAX_SEGMENTS).map(s => ({
+    url: null,
+    headingPath: [],
+    ...s,
+    hash: crypto.createHash('sha1').update(`${s.title}\n${s.text}`).digest('hex').slice(0, 20),
+  }));
+
+  const lexical = buildLexicalIndex(segments);
+  const provider = resolveEmbeddingProvider({ openaiClient });
+  let vectors = new Map();
+  let embedded = 0;
+  if (provider) {
+    try {
+      ({ vectors, embedded } = await embedSegments(provider, segments));
+    } catch (e) {
+      errors.push(`embeddings (${provider.name}): ${e.message}`);
+      logger.warn('[helpRetrieval] Embedding failed — BM25-only until the next rebuild', e.message);
+    }
+  }
+
+  _state = {
+    ..._state,
+    segments,
+    ...lexical,
+    vectors,
+    provider: provider && vectors.size ? provider : null,
+    builtAt: Date.now(),
+    counts,
+    lastError: errors.length ? errors.join('; ') : null,
+  };
+  return { rebuilt: true, segments: segments.length, embedded, buildMs: Date.now() - started };
+}
+
+/**
+ * Build on first use and again once the TTL lapses (or `force`). Concurrent callers share one
+ * build. Never throws for a missing source — the index just has fewer segments.
+ */
+async function ensureIndex(helpBase, { openaiClient, force = false, ttlMs = DEFAULT_TTL_MS } = {}) {
+  if (_state.building) return _state.building;
+  if (!force && _state.builtAt && Date.now() - _state.builtAt < ttlMs) {
+    return { rebuilt: false, segments: _state.segments.length, ageMs: Date.now() - _state.builtAt };
+  }
+  _state.building = build(helpBase, { openaiClient }).finally(() => { _state.building = null; });
+  return _state.building;
+}
+
+// ---- search ------------------------------------------------------------------------------
+
+/**
+ * Hybrid search. Each ranked list (BM25, vector, and — with `topicId` — BM25 within that topic)
+ * contributes 1/(RRF_K + rank) per segment; fused scores are summed.
+ * @param {string} question
+ * @param {object} [opts] { topK=8, topicId, sources: ['topic','lh-manual','manual','content'], terms: extra BM25 terms }
+ * @returns {Promise<Array<{segment:object, score:number, ranks:{bm25:number|null, vector:number|null, topic:number|null}}>>}
+ */
+async function search(question, { topK = 8, topicId = null, sources = null, terms = [] } = {}) {
+  if (!_state.segments.length) return [];
+  const allowedSources = Array.isArray(sources) && sources.length ? new Set(sources) : null;
+  const allowed = allowedSources ? (i => allowedSources.has(_state.segments[i].source)) : null;
+  const queryTerms = tokenize(question).concat(terms.map(t => String(t).toLowerCase()));
+
+  const lists = { bm25: bm25Rank(queryTerms, allowed).slice(0, CANDIDATES_PER_LIST), vector: [], topic: [] };
+  if (_state.provider) {
+    try {
+      const [qVec] = await _state.provider.embed([question]);
+      if (qVec) lists.vector = vectorRank(qVec, allowed).slice(0, CANDIDATES_PER_LIST);
+    } catch (e) {
+      logger.warn('[helpRetrieval] Query embedding failed — BM25 only for this search', e.message);
+    }
+  }
+  if (topicId) {
+    const inTopic = i => _state.segments[i].source === 'topic' && _state.segments[i].sourceId === topicId;
+    lists.topic = bm25Rank(queryTerms, inTopic).slice(0, CANDIDATES_PER_LIST);
+  }
+
+  const fused = new Map();
+  for (const [name, list] of Object.entries(lists)) {
+    list.forEach((hit, rank) => {
+      const entry = fused.get(hit.i) || { score: 0, ranks: { bm25: null, vector: null, topic: null } };
+      entry.score += 1 / (RRF_K + rank + 1);
+      entry.ranks[name] = rank + 1;
+      fused.set(hit.i, entry);
+    });
+  }
+  return Array.from(fused, ([i, e]) => ({ segment: _state.segments[i], score: +e.score.toFixed(6), ranks: e.ranks }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+}
+
+const normalise = s => String(s || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/** The indexed segment whose text contains `text` (optionally within one source record), or null. */
+function locate(text, { source, sourceId } = {}) {
+  const needle = normalise(text);
+  if (!needle) return null;
+  return _state.segments.find(seg =>
+    (!source || seg.source === source) && (!sourceId || seg.sourceId === sourceId) && normalise(seg.text).includes(needle)
+  ) || null;
+}
+
+/** Segment (or search hit) -> the citation shape /api/help/qa returns. */
+function toCitation(hitOrSegment, n, extra = {}) {
+  const seg = hitOrSegment.segment || hitOrSegment;
+  return {
+    id: `S${n}`,
+    source: seg.source,
+    sourceId: seg.sourceId,
+    segmentId: seg.id || null,
+    title: seg.title,
+    url: seg.url || null,
+    headingPath: seg.headingPath || [],
+    text: seg.text,
+    ...(hitOrSegment.score != null && hitOrSegment.segment ? { score: hitOrSegment.score } : {}),
+    ...extra,
+  };
+}
+
+/** Every indexed segment of one source record, in document order (e.g. a topic's paragraphs). */
+function segmentsFor(source, sourceId) {
+  return _state.segments.filter(seg => seg.source === source && seg.sourceId === sourceId);
+}
+
+function status() {
+  return {
+    ready: !!_state.builtAt,
+    building: !!_state.building,
+    segments: _state.segments.length,
+    bySource: _state.counts,
+    vocab: _state.index.size,
+    vectors: _state.vectors.size,
+    embedProvider: _state.provider ? { name: _state.provider.name, model: _state.provider.model } : null,
+    mode: _state.provider ? 'hybrid' : 'bm25',
+    rrfK: RRF_K,
+    builtAt: _state.builtAt || null,
+    lastError: _state.lastError,
+  };
+}
+
+function reset() { _state = freshState(); }
+
+module.exports = { ensureIndex, search, locate, segmentsFor, toCitation, status, reset, parseContentModules, splitIntoParagraphs };
@@ -474,7 +474,7 @@ app.post('/api/analyze-logs/text', async (req, res) => {
  * POST /api/run-daily-log-analyzer
  * TEST ENDPOINT: Runs the daily-log-analyzer utility on demand
  * Header: Authorization: Bearer <PB_WEBHOOK_SECRET>
- * Body: { runId?: "251013-100000" } (optional - if omitted, runs in auto mode from last checkpoint)
+ * Body: { runId?: "251013-100000", sendDigest?: true } (runId optional - if omitted, runs in auto mode from last checkpoint)
  * 
  * REQUIREMENTS:
  * - RENDER_API_KEY environment variable must be set
@@ -503,7 +503,7 @@ app.post('/api/run-daily-log-analyzer', async (req, res) => {
             });
         }
         
-        const { runId } = req.body || {};
+        const { runId, sendDigest } = req.body || {};
         
         moduleLogger.info(`🔍 Running daily-log-analyzer via API${runId ? ` for runId: ${runId}` : ' (auto mode - from last checkpoint)'}`);
         
@@ -511,7 +511,7 @@ app.post('/api/run-daily-log-analyzer', async (req, res) => {
         const { runDailyLogAnalysis } = require('./daily-log-analyzer');
         
         // Pass runId as option parameter instead of command line arg
-        const results = await runDailyLogAnalysis({ runId });
+        const results = await runDailyLogAnalysis({ runId, sendDigest: sendDigest === true });
         
         res.json({ 
             ok: true, 
@@ -1601,6 +1601,116 @@ app.post('/api/production-issues/:recordId/mark-fixed', async (req, res) => {
     }
 });
 
+/**
+ * Snooze alerts for one Production Issue (it keeps counting; alerts and the digest skip it)
+ * POST /api/production-issues/:recordId/snooze
+ * Header: Authorization: Bearer <PB_WEBHOOK_SECRET>
+ * Body: { hours: 24 } or { until: "2026-11-01T00:00:00Z" } or { until: null } to clear
+ */
+app.post('/api/production-issues/:recordId/snooze', async (req, res) => {
+    const auth = req.headers['authorization'];
+    if (!auth || auth !== `Bearer ${REPAIR_SECRET}`) {
+        return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    }
+
+    try {
+        const { hours, until } = req.body || {};
+        let snoozedUntil = null;
+        if (hours != null) {
+            const h = Number(hours);
+            if (!(h > 0)) return res.status(400).json({ ok: false, error: 'hours must be a positive number' });
+            snoozedUntil = new Date(Date.now() + h * 3600 * 1000).toISOString();
+        } else if (until) {
+            if (isNaN(Date.parse(until))) return res.status(400).json({ ok: false, error: 'until must be an ISO date' });
+            snoozedUntil = new Date(until).toISOString();
+        } else if (until !== null) {
+            return res.status(400).json({ ok: false, error: 'Provide hours, until, or until: null to clear' });
+        }
+
+        const service = new ProductionIssueService();
+        const updated = await service.snoozeIssue(req.params.recordId, snoozedUntil);
+        res.json({ ok: true, snoozedUntil, record: updated });
+    } catch (error) {
+        moduleLogger.error('Failed to snooze production issue:', error);
+        res.status(500).json({ ok: false, error: error.message });
+    }
+});
+
+/**
+ * Per-pattern alert mutes (services/issueAlertMuteStore.js)
+ * GET    /api/production-issues/mutes                  -> active mutes
+ * POST   /api/production-issues/mutes { pattern, reason?, hours? }   (no hours = until removed)
+ * DELETE /api/production-issues/mutes { pattern }
+ * Header: Authorization: Bearer <PB_WEBHOOK_SECRET>
+ * `pattern` is the issue's Pattern Matched value (the regex source from config/errorPatterns.js).
+ */
+app.get('/api/production-issues/mutes', async (req, res) => {
+    const auth = req.headers['authorization'];
+    if (!auth || auth !== `Bearer ${REPAIR_SECRET}`) {
+        return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    }
+    try {
+        const { listActiveMutes } = require('./services/issueAlertMuteStore');
+        res.json({ ok: true, mutes: await listActiveMutes() });
+    } catch (error) {
+        res.status(500).json({ ok: false, error: error.message });
+    }
+});
+
+app.post('/api/production-issues/mutes', async (req, res) => {
+    const auth = req.headers['authorization'];
+    if (!auth || auth !== `Bearer ${REPAIR_SECRET}`) {
+        return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    }
+    try {
+        const { pattern, reason, hours } = req.body || {};
+        if (!pattern || typeof pattern !== 'string') return res.status(400).json({ ok: false, error: 'pattern is required' });
+        if (hours != null && !(Number(hours) > 0)) return res.status(400).json({ ok: false, error: 'hours must be a positive number' });
+        const mutedUntil = hours != null ? new Date(Date.now() + Number(hours) * 3600 * 1000).toISOString() : null;
+        const { mutePattern } = require('./services/issueAlertMuteStore');
+        res.json({ ok: true, mute: await mutePattern(pattern, { reason, mutedUntil }) });
+    } catch (error) {
+        res.status(500).json({ ok: false, error: error.message });
+    }
+});
+
+app.delete('/api/production-issues/mutes', async (req, res) => {
+    const auth = req.headers['authorization'];
+    if (!auth || auth !== `Bearer ${REPAIR_SECRET}`) {
+        return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    }
+    try {
+        const { pattern } = req.body || {};
+        if (!pattern) return res.status(400).json({ ok: false, error: 'pattern is required' });
+        const { unmutePattern } = require('./services/issueAlertMuteStore');
+        res.json({ ok: true, removed: await unmutePattern(pattern) });
+    } catch (error) {
+        res.status(500).json({ ok: false, error: error.message });
+    }
+});
+
+/**
+ * Send (or preview) the Production Issues digest now
+ * POST /api/production-issues/digest
+ * Header: Authorization: Bearer <PB_WEBHOOK_SECRET>
+ * Body: { hours?: 24, dryRun?: true }  (dryRun returns the subject + HTML without emailing)
+ */
+app.post('/api/production-issues/digest', async (req, res) => {
+    const auth = req.headers['authorization'];
+    if (!auth || auth !== `Bearer ${REPAIR_SECRET}`) {
+        return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    }
+    try {
+        const { hours = 24, dryRun = false } = req.body || {};
+        const { sendDailyDigest } = require('./services/issueAlertRouter');
+        const digest = await sendDailyDigest({ service: new ProductionIssueService(), hours: Number(hours) || 24, dryRun: !!dryRun });
+        res.json({ ok: true, ...digest });
+    } catch (error) {
+        moduleLogger.error('Failed to send production issues digest:', error);
+        res.status(500).json({ ok: false, error: error.message });
+    }
+});
+
 /**
  * Verify Production Issues table schema
  * GET /api/verify-production-issues-table
@@ -1844,6 +1954,15 @@ try {
     moduleLogger.error("index.js: Error mounting Zoho auth routes", e.message, e.stack);
 }
 
+// Microsoft (Outlook / 365) OAuth connect flow — calendar + mailbox (see routes/microsoftAuthRoutes.js)
+try {
+    const microsoftAuthRoutes = require('./routes/microsoftAuthRoutes.js');
+    app.use('/auth/microsoft', microsoftAuthRoutes);
+    moduleLogger.info("index.js: Microsoft auth routes mounted at /auth/microsoft");
+} catch(e) {
+    moduleLogger.error("index.js: Error mounting Microsoft auth routes", e.message, e.stack);
+}
+
 // Billing routes (Stripe invoices and PDF generation)
 try { 
     const billingRoutes = require('./routes/billingRoutes.js'); 
@@ -1857,7 +1976,7 @@ try {
 try {
     const inboundEmailRoutes = require('./routes/inboundEmailRoutes.js');
     app.use(inboundEmailRoutes);
-    moduleLogger.info("index.js: Inbound email webhook routes mounted at /api/webhooks/inbound-email");
+    moduleLogger.info("index.js: Inbound email webhook routes mounted at /api/webhooks/inbound-email (+ audit log at /api/inbound-email/messages)");
 } catch(e) {
     moduleLogger.error("index.js: Error mounting inbound email routes", e.message, e.stack);
 }
@@ -1979,6 +2098,16 @@ try {
     moduleLogger.error('index.js: Error mounting Wingguy selector routes', e.message, e.stack);
 }
 
+// Run timeline — Job Tracking / Client Run Results laid out per client and operation (owner dashboard)
+try {
+    const mountRunTimeline = require('./routes/runTimelineRoutes.js');
+    if (typeof mountRunTimeline === 'function') {
+        mountRunTimeline(app);
+    }
+} catch(e) {
+    moduleLogger.error('index.js: Error mounting run timeline routes', e.message, e.stack);
+}
+
 // Wingguy read-only draft pages (the queue's [draft] links; HMAC-signed, chat stays the hands)
 try {
     const mountWingguyDraft = require('./routes/wingguyDraftRoutes.js');
@@ -3387,6 +3516,30 @@ try {
   moduleLogger.error("index.js: Error mounting guestBookingRoutes", e.message, e.stack);
 }
 
+try {
+  const calendarFeedRoutes = require("./routes/calendarFeedRoutes.js");
+  app.use(calendarFeedRoutes);
+  moduleLogger.info("index.js: Calendar feed routes mounted.");
+} catch (e) {
+  moduleLogger.error("index.js: Error mounting calendarFeedRoutes", e.message, e.stack);
+}
+
+try {
+  const leadAttachmentRoutes = require("./routes/leadAttachmentRoutes.js");
+  app.use(leadAttachmentRoutes);
+  moduleLogger.info("index.js: Lead attachment routes mounted.");
+} catch (e) {
+  moduleLogger.error("index.js: Error mounting leadAttachmentRoutes", e.message, e.stack);
+}
+
+try {
+  const leadMatchReviewRoutes = require("./routes/leadMatchReviewRoutes.js");
+  app.use(leadMatchReviewRoutes);
+  moduleLogger.info("index.js: Lead match review routes mounted.");
+} catch (e) {
+  moduleLogger.error("index.js: Error mounting leadMatchReviewRoutes", e.message, e.stack);
+}
+
 // --- BROKEN PORTAL ROUTES REMOVED ---
 // The following routes were removed as they were trying to serve non-existent files:
 // - /linkedin and /linkedin/ routes
@@ -3911,8 +4064,28 @@ app.get('/api/help/topic/:id', async (req, res) => {
 });
 moduleLogger.info('index.js: Help Topic endpoint mounted at /api/help/topic/:id');
 
+// --- Help Q&A log: every answer carries a qaId the help panel sends thumbs up/down against ---
+// (services/helpQaFeedbackStore.js; report + topic drafting in routes/helpFeedbackRoutes.js)
+const helpQaFeedbackStore = require('./services/helpQaFeedbackStore');
+const HELP_QA_NO_ANSWER_RE = /i don't have enough information in the current knowledge base/i;
+async function withHelpQaLog(req, endpoint, payload) {
+    const { topicId, question, area } = req.body || {};
+    const qaId = await helpQaFeedbackStore.recordQuestion({
+        endpoint,
+        topicId,
+        area: typeof area === 'string' ? area : null,
+        clientId: req.headers['x-client-id'] || null,
+        question,
+        method: payload.method,
+        answered: payload.method !== 'no-answer' && !HELP_QA_NO_ANSWER_RE.test(payload.answer || ''),
+        answer: payload.answer,
+        citations: payload.citations
+    });
+    return { ...payload, qaId };
+}
+
 // --- Simple QA endpoint (Phase 0 stub) ---
-// POST { topicId, question, includeInstructions? } => basic keyword scan answer
+// POST { topicId, question, includeInstructions?, area? } => basic keyword scan answer (+ qaId for feedback)
 app.post('/api/help/qa', express.json(), async (req, res) => {
     const start = Date.now();
     try {
@@ -4029,34 +4202,44 @@ app.post('/api/help/qa', express.json(), async (req, res) => {
         if (bestPrimaryScore >= suffThreshold) { chosen = bestPrimary; source = 'topic'; chosenScore = bestPrimaryScore; }
         else if (bestRelated && bestRelated.score >= suffThreshold) { chosen = bestRelated.sentence; source = 'related'; chosenScore = bestRelated.score; }
 
-        // 8. Manual segments (for potential LLM grounding only)
-    const { searchManual } = require('./helpManualStore');
-    // For manual-only or enumerative intent, pull more manual segments up-front
-    const manualHits = searchManual(allQueryTerms, intent.manualOnly || intent.enumerative ? 20 : 3);
+        // 8. Hybrid retrieval over the unified help index (topics + LH manual + manual + CONTENT
+        //    modules; BM25 and vector ranks fused with RRF — see helpRetrieval.js). These segments
+        //    ground the LLM and are what the answer cites.
+        const helpRetrieval = require('./helpRetrieval');
+        let retrieved = [];
+        try {
+            await helpRetrieval.ensureIndex(helpBase, { openaiClient });
+            retrieved = await helpRetrieval.search(question, {
+                topK: intent.manualOnly || intent.enumerative ? 20 : 6,
+                topicId,
+                sources: intent.manualOnly ? ['lh-manual', 'manual'] : null,
+                terms: allQueryTerms
+            });
+        } catch (rErr) {
+            moduleLogger.warn('[helpQA] Hybrid retrieval failed', rErr.message);
+        }
+        const retrievalMode = helpRetrieval.status().mode;
+        // Citation for a sentence answered straight from a topic: the indexed paragraph holding it,
+        // or the sentence itself when the index can't place it (e.g. it came from media instructions).
+        const citeSentence = (n, sentence, { sourceId, title }) => {
+            const seg = helpRetrieval.locate(sentence, { source: 'topic', sourceId });
+            return seg ? helpRetrieval.toCitation(seg, n)
+                : { id: `S${n}`, source: 'topic', sourceId, segmentId: null, title, url: null, headingPath: [], text: String(sentence).trim() };
+        };
 
-        // 9. Global (whole-table) lexical fallback if structural retrieval weak
+        // 9. Hybrid fallback if structural retrieval weak: best sentence among the top fused segments
         let globalResult = null;
         let globalMeta = null;
-        if (!chosen) {
-            try {
-                const { ensureIndex, searchGlobalHelp } = require('./helpGlobalIndex');
-                const ensure = await ensureIndex(helpBase, { ttlMs: 5*60*1000 });
-                const globalHits = searchGlobalHelp(allQueryTerms, { topK: 5 });
-                if (globalHits && globalHits.length) {
-                    // Pick best snippet sentence from top doc
-                    const top = globalHits[0];
-                    const body = top.body.slice(0, 6000);
-                    const gSentences = body.split(/(?<=[.!?])\s+/);
-                    let gBest = null, gBestScore = 0;
-                    gSentences.forEach(s => { const sc = scoreSentence(s); if (sc > gBestScore) { gBestScore = sc; gBest = s; } });
-                    if (gBestScore > 0) {
-                        globalResult = { sentence: gBest, score: gBestScore, docId: top.docId, title: top.title, bm25Score: top.score };
-                    }
-                    globalMeta = { ensure, globalHits: globalHits.length, topDocScore: top.score, bestSentenceScore: globalResult?.score || 0 };
+        if (!chosen && retrieved.length) {
+            for (const hit of retrieved.slice(0, 3)) {
+                const gSentences = hit.segment.text.split(/(?<=[.!?])\s+/);
+                let gBest = null, gBestScore = 0;
+                gSentences.forEach(s => { const sc = scoreSentence(s); if (sc > gBestScore) { gBestScore = sc; gBest = s; } });
+                if (gBestScore > (globalResult?.score || 0)) {
+                    globalResult = { sentence: gBest, score: gBestScore, hit };
                 }
-            } catch (gErr) {
-                moduleLogger.warn('[helpQA] Global help search failed', gErr.message);
             }
+            globalMeta = { mode: retrievalMode, hits: retrieved.length, topFusedScore: retrieved[0].score, bestSentenceScore: globalResult?.score || 0 };
         }
 
         // If global sentence passes threshold treat as chosen (but mark source)
@@ -4073,12 +4256,14 @@ app.post('/api/help/qa', express.json(), async (req, res) => {
             const primarySentences = primaryContext.split(/(?<=[.!?])\s+/).map(s => ({ s, score: scoreSentence(s) })).filter(o => o.score>0).sort((a,b)=> b.score - a.score);
             const topPrimary = primarySentences.slice(0, Math.min(6, primarySentences.length));
             const topRelated = relatedResults.slice(0, 8);
-            const manualSegs = manualHits;
-            const sources = []; let counter = 1; const idGen = ()=>'S'+(counter++);
-            const push = o => sources.push(o);
-            topPrimary.forEach(p=> push({ id:idGen(), type:'topic', title:f.title||'Primary', snippet:p.s.trim().slice(0,320), fullText: p.s, score:p.score }));
-            topRelated.forEach(r=> push({ id:idGen(), type:'related', title:r.title||'Related', snippet:r.sentence.trim().slice(0,320), fullText: r.sentence, score:r.score, topicId:r.topicId }));
-            manualSegs.forEach(seg=> push({ id:idGen(), type:'manual', title:'Manual', snippet: seg.slice(0,500), fullText: seg }));
+            // Retrieved segments beyond this topic: manual / snapshot / content modules (other topics'
+            // paragraphs are already covered by the related-topic scan unless the intent is manual-only).
+            const manualSegs = retrieved.filter(h => h.segment.source !== 'topic');
+            const sources = []; const citations = []; let counter = 1; const idGen = ()=>'S'+(counter++);
+            const push = (o, citation) => { sources.push(o); citations.push({ ...citation, id: o.id }); };
+            topPrimary.forEach(p=> { const id = idGen(); push({ id, type:'topic', title:f.title||'Primary', snippet:p.s.trim().slice(0,320), fullText: p.s, score:p.score }, citeSentence(0, p.s, { sourceId: topicId, title: f.title || 'Primary' })); });
+            topRelated.forEach(r=> { const id = idGen(); push({ id, type:'related', title:r.title||'Related', snippet:r.sentence.trim().slice(0,320), fullText: r.sentence, score:r.score, topicId:r.topicId }, citeSentence(0, r.sentence, { sourceId: r.topicId, title: r.title || 'Related' })); });
+            manualSegs.forEach(h=> { const id = idGen(); push({ id, type: h.segment.source === 'content' ? 'content' : 'manual', title: h.segment.title, snippet: h.segment.text.slice(0,500), fullText: h.segment.text, segmentId: h.segment.id }, helpRetrieval.toCitation(h, 0)); });
 
             // Extract actions
             const actions = extractActionsFromBlocks(sources);
@@ -4111,7 +4296,8 @@ app.post('/api/help/qa', express.json(), async (req, res) => {
                 const parts = [];
                 if (topPrimary.length) parts.push(group('From This Topic','topic'));
                 if (topRelated.length) parts.push(group('Related Topics','related'));
-                if (manualSegs.length) parts.push(group('Manual','manual'));
+                parts.push(group('Manual','manual'));
+                parts.push(group('Content Modules','content'));
                 answerBody = parts.filter(Boolean).join('\n\n');
             }
 
@@ -4138,10 +4324,11 @@ app.post('/api/help/qa', express.json(), async (req, res) => {
                 completeness.baselineTotal = catItems.length;
             }
 
-            return res.json({
+            return res.json(await withHelpQaLog(req, 'qa', {
                 answer: answerBody,
                 method: 'aggregated-enumerative',
                 sources,
+                citations,
                 actions,
                 completeness,
                 meta: {
@@ -4149,9 +4336,10 @@ app.post('/api/help/qa', express.json(), async (req, res) => {
                     intent,
                     expandedQueryTerms: allQueryTerms.length,
                     primaryScore: bestPrimaryScore,
-                    relatedConsidered: relatedResults.length
+                    relatedConsidered: relatedResults.length,
+                    retrievalMode
                 }
-            });
+            }));
         }
 
         // 10. Decide if we escalate to LLM (after global attempt)
@@ -4166,14 +4354,18 @@ app.post('/api/help/qa', express.json(), async (req, res) => {
         if (useLLM) {
             try {
                 const allowUngrounded = (typeof HELP_QA_UNGROUNDED_OVERRIDE === 'boolean') ? HELP_QA_UNGROUNDED_OVERRIDE : (process.env.HELP_QA_LLM_ALLOW_UNGROUNDED === '1');
-                // Build grounding: primary truncated + top related sentences + manual snippets
-                const groundingBlocks = [];
-                groundingBlocks.push(`Primary Topic (truncated)\n${primaryContext.slice(0,4000)}`);
-                if (bestRelated) groundingBlocks.push(`Best Related Topic: ${bestRelated.title}\n${bestRelated.sentence}`);
-                if (relatedResults.length > 1) groundingBlocks.push('Other Related Snippets:\n' + relatedResults.slice(1,4).map(r=>`- (${r.score}) ${r.sentence}`).join('\n'));
-                if (manualHits.length) groundingBlocks.push('Manual Segments:\n' + manualHits.join('\n---\n'));
+                // Build grounding from labelled segments so the answer can cite them: the retrieved
+                // hits, topped up with the primary topic's own paragraphs (up to 10 blocks).
+                const llmSegments = retrieved.map(h => h.segment);
+                for (const seg of helpRetrieval.segmentsFor('topic', topicId)) {
+                    if (llmSegments.length >= 10) break;
+                    if (!llmSegments.some(s => s.id === seg.id)) llmSegments.push(seg);
+                }
+                const groundingBlocks = llmSegments.map((seg, i) => `[S${i+1}] ${seg.title} (${seg.source})\n${seg.text}`);
+                if (!llmSegments.length) groundingBlocks.push(`Primary Topic (truncated)\n${primaryContext.slice(0,4000)}`);
+                else if (mediaInstructions) groundingBlocks.push(`Media instructions\n${mediaInstructions.trim()}`);
                 const grounding = groundingBlocks.join('\n\n====\n\n');
-                const strictInstruction = `You are a concise support assistant. ONLY use the provided context blocks. If the answer is not clearly present, reply exactly: "I don't have enough information in the current knowledge base." Provide sections when natural: Answer, Key Points, Next Step.`;
+                const strictInstruction = `You are a concise support assistant. ONLY use the provided context blocks. If the answer is not clearly present, reply exactly: "I don't have enough information in the current knowledge base." Provide sections when natural: Answer, Key Points, Next Step. Cite the blocks you used inline as [S1], [S2].`;
                 // Incorporate prior chat (if provided) for follow-up coherence (LLM only)
                 let convo = '';
                 if (Array.isArray(priorMessages) && priorMessages.length) {
@@ -4206,9 +4398,17 @@ app.post('/api/help/qa', express.json(), async (req, res) => {
                             if (llmAnswer2) llmAnswer = llmAnswer2 + '\n\n(meta: ungrounded fallback)';
                         } catch (fbErr) { moduleLogger.warn('[helpQA] Ungrounded fallback failed', fbErr.message); }
                     }
-                    return res.json({
+                    // Cite the blocks the answer names; if it named none, everything it was given.
+                    const citedNums = new Set(Array.from(llmAnswer.matchAll(/\[S(\d+)\]/g), m => Number(m[1])));
+                    const citedAny = llmSegments.some((_, i) => citedNums.has(i + 1));
+                    const citations = insufficient ? [] : llmSegments
+                        .map((seg, i) => ({ seg, n: i + 1 }))
+                        .filter(({ n }) => !citedAny || citedNums.has(n))
+                        .map(({ seg, n }) => helpRetrieval.toCitation(seg, n));
+                    return res.json(await withHelpQaLog(req, 'qa', {
                         answer: llmAnswer,
                         method: 'llm-after-retrieval',
+                        citations,
                         meta: {
                             generationMs: Date.now()-start,
                             retrievalStrong,
@@ -4217,9 +4417,11 @@ app.post('/api/help/qa', express.json(), async (req, res) => {
                             threshold: suffThreshold,
                             expandedQueryTerms: allQueryTerms.length,
                             relatedConsidered: relatedResults.length,
-                            llmModel: process.env.HELP_QA_LLM_MODEL || 'gpt-4o-mini'
+                            llmModel: process.env.HELP_QA_LLM_MODEL || 'gpt-4o-mini',
+                            retrievalMode,
+                            citationMode: insufficient ? 'none' : (citedAny ? 'cited' : 'supplied')
                         }
-                    });
+                    }));
                 }
             } catch (llmErr) {
                 moduleLogger.warn('[helpQA] LLM escalation failed, falling back to retrieval result if any', llmErr.message);
@@ -4228,9 +4430,15 @@ app.post('/api/help/qa', express.json(), async (req, res) => {
 
     // 11. Return retrieval result (even if weak)
         if (chosen) {
-            return res.json({
+            const citation = source === 'global'
+                ? helpRetrieval.toCitation(globalResult.hit, 1)
+                : citeSentence(1, chosen, source === 'topic'
+                    ? { sourceId: topicId, title: f.title || 'Primary' }
+                    : { sourceId: bestRelated.topicId, title: bestRelated.title || 'Related' });
+            return res.json(await withHelpQaLog(req, 'qa', {
                 answer: chosen.trim(),
                 method: source === 'topic' ? 'topic-direct' : 'related-direct',
+                citations: [citation],
                 meta: {
                     generationMs: Date.now()-start,
                     primaryScore: bestPrimaryScore,
@@ -4241,13 +4449,14 @@ app.post('/api/help/qa', express.json(), async (req, res) => {
             relatedConsidered: relatedResults.length,
             global: globalMeta || null
                 }
-            });
+            }));
         }
 
     // 12. No sufficient retrieval and LLM disabled/failed
-        return res.json({
+        return res.json(await withHelpQaLog(req, 'qa', {
             answer: "I don't have enough information in the current knowledge base.",
             method: 'no-answer',
+            citations: [],
             meta: {
                 generationMs: Date.now()-start,
                 primaryScore: bestPrimaryScore,
@@ -4257,7 +4466,7 @@ app.post('/api/help/qa', express.json(), async (req, res) => {
         expandedQueryTerms: allQueryTerms.length,
         global: globalMeta || null
             }
-        });
+        }));
     } catch (e) {
         moduleLogger.error('QA endpoint error', e);
         res.status(500).json({ error: 'QA_ERROR', message: e.message });
@@ -4274,6 +4483,15 @@ app.get('/api/help/lh-manual/status', (req, res) => {
     }
 });
 
+// --- Unified help retrieval index status (sources, embedding provider, hybrid vs BM25-only) ---
+app.get('/api/help/retrieval/status', (req, res) => {
+    try {
+        res.json({ ok: true, status: require('./helpRetrieval').status() });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
 // --- NEW: Admin Reindex Endpoint ---
 app.post('/admin/lh-manual/reindex', (req, res) => {
     const auth = req.headers['authorization'];
@@ -4283,6 +4501,7 @@ app.post('/admin/lh-manual/reindex', (req, res) => {
     try {
         const { rebuildIndex, status } = require('./lhManualIndex');
         const st = rebuildIndex();
+        require('./helpRetrieval').reset(); // next query re-reads the snapshot
         res.json({ ok: true, status: st });
     } catch (e) {
         res.status(500).json({ ok: false, error: e.message });
@@ -4348,6 +4567,7 @@ app.post('/admin/help/manual/reload', (req, res) => {
     try {
         const { reloadManual, getManualSegments } = require('./helpManualStore');
         const count = reloadManual();
+        require('./helpRetrieval').reset(); // next query re-reads the manual
         res.json({ ok:true, segments: count, sample: getManualSegments().slice(0,2) });
     } catch (e) {
         res.status(500).json({ ok:false, error:e.message });
@@ -4379,18 +4599,11 @@ app.post('/api/help/qa-embed', express.json(), async (req, res) => {
         if (!helpBase) return res.status(500).json({ error: 'HELP_BASE_UNRESOLVED' });
         if (!openaiClient) return res.status(500).json({ error: 'OPENAI_CLIENT_MISSING' });
 
-        // 1. Ensure embedding index
-        const { ensureIndex, search } = require('./helpEmbeddingIndex');
-        await ensureIndex(helpBase, { openaiClient });
-
-        // 2. Embed question
-        const embedModel = process.env.HELP_EMBED_MODEL || 'text-embedding-3-small';
-        const qEmbedResp = await openaiClient.embeddings.create({ model: embedModel, input: question });
-        const qEmbedding = qEmbedResp.data[0].embedding;
-
-        // 3. Search
-    const results = search(qEmbedding, { topK: 7, topicId });
-        const contextBlocks = results.map((r, i) => `Block ${i+1} (score ${(r.score).toFixed(3)}):\n${r.c.text}`).join('\n\n');
+        // 1-3. Hybrid search over the unified help index (helpRetrieval.js)
+        const helpRetrieval = require('./helpRetrieval');
+        await helpRetrieval.ensureIndex(helpBase, { openaiClient });
+        const results = await helpRetrieval.search(question, { topK: 7, topicId });
+        const contextBlocks = results.map((r, i) => `Block ${i+1} (score ${(r.score).toFixed(3)}):\n${r.segment.text}`).join('\n\n');
 
         // 4. Detect Linked Helper intent
         const lowerQ = question.toLowerCase();
@@ -4499,7 +4712,7 @@ app.post('/api/help/qa-embed', express.json(), async (req, res) => {
             finalAnswer = finalAnswer.replace(/Ask if you want setup steps for any item\.?/gi, '').trim() + '\n\nAsk if you want setup steps for any item.';
         }
 
-        res.json({
+        res.json(await withHelpQaLog(req, 'qa-embed', {
             answer: finalAnswer,
             answerDraft: refinedAnswer, // single-pass now
             answerRefined: refinedAnswer,
@@ -4514,14 +4727,23 @@ app.post('/api/help/qa-embed', express.json(), async (req, res) => {
                 model: process.env.HELP_QA_LLM_MODEL || 'gpt-4o-mini',
                 summaryAdded: false
             }
-        });
+        }));
     } catch (e) {
         moduleLogger.error('[qa-embed] error', e);
         res.status(500).json({ error: 'EMBED_QA_ERROR', message: e.message });
     }
 });
 
-// --- Admin: Reindex ALL help search structures (global + embedding) ---
+// Help Q&A feedback + unanswered-question report (see routes/helpFeedbackRoutes.js)
+try {
+    const mountHelpFeedback = require('./routes/helpFeedbackRoutes.js');
+    mountHelpFeedback(app, { adminSecret: REPAIR_SECRET, getHelpBase, getOpenaiClient: () => openaiClient });
+    moduleLogger.info('index.js: Help Q&A feedback routes mounted at /api/help/qa/feedback and /admin/help/qa/*');
+} catch(e) {
+    moduleLogger.error('index.js: Error mounting Help Q&A feedback routes', e.message, e.stack);
+}
+
+// --- Admin: Reindex the unified help retrieval index (BM25 + vectors) ---
 app.post('/admin/help/reindex-all', async (req, res) => {
     const auth = req.headers['authorization'];
     if (!auth || auth !== `Bearer ${REPAIR_SECRET}`) {
@@ -4530,17 +4752,10 @@ app.post('/admin/help/reindex-all', async (req, res) => {
     try {
         const helpBaseInst = getHelpBase();
         if (!helpBaseInst) return res.status(500).json({ ok:false, error:'HELP_BASE_UNRESOLVED' });
-        const globalIdx = require('./helpGlobalIndex');
-        const embedIdx = require('./helpEmbeddingIndex');
-        globalIdx.reset();
-        embedIdx.reset();
-        // Trigger rebuilds (embedding requires openaiClient)
-        const globalEnsure = await globalIdx.ensureIndex(helpBaseInst, { force:true });
-        let embedEnsure = null;
-        if (openaiClient) {
-            embedEnsure = await embedIdx.ensureIndex(helpBaseInst, { openaiClient });
-        }
-        res.json({ ok:true, global: globalIdx.status(), embedding: embedIdx.status(), ensure: { globalEnsure, embedReady: !!embedEnsure } });
+        const helpRetrieval = require('./helpRetrieval');
+        helpRetrieval.reset();
+        const ensure = await helpRetrieval.ensureIndex(helpBaseInst, { openaiClient, force:true });
+        res.json({ ok:true, retrieval: helpRetrieval.status(), ensure });
     } catch (e) {
         res.status(500).json({ ok:false, error:e.message });
     }
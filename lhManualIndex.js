@@ -1,6 +1,7 @@
 // Lightweight BM25 index loader & search for Linked Helper manual segments.
 // Reads segments.jsonl and index.json (if present) OR builds index on the fly.
-// Public API: loadIndexIfNeeded(), searchBM25(queryTerms, opts), status(), rebuildIndex().
+// Public API: loadIndexIfNeeded(), searchBM25(queryTerms, opts), status(), rebuildIndex(), getSegments().
+// The segments also feed the unified help index (helpRetrieval.js).
 
 const fs = require('fs');
 const path = require('path');
@@ -165,4 +166,9 @@ function rebuildIndex() {
   return status();
 }
 
-module.exports = { loadIndexIfNeeded, searchBM25: bm25Score, status, rebuildIndex };
+function getSegments() {
+  loadIndexIfNeeded();
+  return __state.segments;
+}
+
+module.exports = { loadIndexIfNeeded, searchBM25: bm25Score, status, rebuildIndex, getSegments };
@@ -0,0 +1,245 @@
+'use client';
+
+import React, { useState } from 'react';
+import { Loader2, HelpCircle, ArrowLeft, FileText, RefreshCw, ThumbsDown, Copy, CheckCircle } from 'lucide-react';
+import Link from 'next/link';
+
+// Detect backend URL from current hostname
+function getBackendUrl(): string {
+  if (typeof window !== 'undefined') {
+    const host = window.location.hostname || '';
+    if (/^(localhost|127\.0\.0\.1)$/i.test(host)) {
+      return 'http://localhost:3001';
+    }
+    if (/staging/i.test(host)) {
+      return 'https://pb-webhook-server-staging.onrender.com';
+    }
+  }
+  return 'https://pb-webhook-server.onrender.com';
+}
+
+interface QuestionCluster {
+  representative: string;
+  count: number;
+  unanswered: number;
+  downvoted: number;
+  questionIds: string[];
+  examples: string[];
+  comments: string[];
+  lastAskedAt: string;
+}
+
+interface ReportGroup {
+  topicId: string | null;
+  topicTitle: string | null;
+  area: string | null;
+  total: number;
+  clusters: QuestionCluster[];
+}
+
+interface Report {
+  days: number;
+  flagged: number;
+  totals: { asked: number; answered: number; up: number; down: number };
+  groups: ReportGroup[];
+}
+
+interface TopicDraft {
+  id: string;
+  title: string;
+  body: string;
+  method: 'llm' | 'outline';
+  topicId: string | null;
+  questionIds: string[];
+}
+
+function groupLabel(g: ReportGroup): string {
+  if (g.topicId) return `Topic: ${g.topicTitle || g.topicId}`;
+  if (g.area) return `Area: ${g.area}`;
+  return 'Asked outside a topic';
+}
+
+export default function HelpQuestionsPage() {
+  const [adminKey, setAdminKey] = useState('');
+  const [days, setDays] = useState(30);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [report, setReport] = useState<Report | null>(null);
+  const [draftingKey, setDraftingKey] = useState<string | null>(null);
+  const [drafts, setDrafts] = useState<Record<string, TopicDraft>>({});
+  const [copiedId, setCopiedId] = useState<string | null>(null);
+
+  const loadReport = async () => {
+    if (!adminKey) {
+      setError('Please enter your admin key');
+      return;
+    }
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(`${getBackendUrl()}/admin/help/qa/report?days=${days}`, {
+        headers: { Authorization: `Bearer ${adminKey}` }
+      });
+      const data = await response.json();
+      if (!response.ok || !data.ok) throw new Error(data.error || 'Failed to load report');
+      setReport(data);
+    } catch (err: any) {
+      setError(err.message || 'Failed to load report');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const draftTopic = async (key: string, group: ReportGroup, cluster: QuestionCluster) => {
+    setDraftingKey(key);
+    setError(null);
+    try {
+      const response = await fetch(`${getBackendUrl()}/admin/help/qa/draft-topic`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${adminKey}` },
+        body: JSON.stringify({ questionIds: cluster.questionIds, topicId: group.topicId })
+      });
+      const data = await response.json();
+      if (!response.ok || !data.ok) throw new Error(data.error || 'Failed to draft topic');
+      setDrafts((prev) => ({ ...prev, [key]: data.draft }));
+    } catch (err: any) {
+      setError(err.message || 'Failed to draft topic');
+    } finally {
+      setDraftingKey(null);
+    }
+  };
+
+  const copyDraft = async (draft: TopicDraft) => {
+    await navigator.clipboard.writeText(draft.body);
+    setCopiedId(draft.id);
+    setTimeout(() => setCopiedId(null), 2000);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6">
+      <div className="max-w-4xl mx-auto">
+        {/* Header */}
+        <div className="mb-6">
+          <Link href="/owner-dashboard" className="text-blue-600 hover:text-blue-800 flex items-center gap-2 mb-4">
+            <ArrowLeft size={16} />
+            Back to Dashboard
+          </Link>
+          <div className="flex items-center gap-3">
+            <HelpCircle className="text-blue-600" size={32} />
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">Help Questions</h1>
+              <p className="text-gray-600">Questions the help didn&apos;t answer, or answered badly, grouped by topic</p>
+            </div>
+          </div>
+        </div>
+
+        {/* Admin key + window */}
+        <div className="bg-white rounded-lg shadow p-6 mb-6">
+          <label className="block text-sm font-medium text-gray-700 mb-2">Admin Key</label>
+          <div className="flex gap-3">
+            <input
+              type="password"
+              value={adminKey}
+              onChange={(e) => setAdminKey(e.target.value)}
+              placeholder="Enter admin key"
+              className="flex-1 p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+            <select
+              value={days}
+              onChange={(e) => setDays(Number(e.target.value))}
+              className="p-3 border border-gray-300 rounded-lg"
+            >
+              <option value={7}>Last 7 days</option>
+              <option value={30}>Last 30 days</option>
+              <option value={90}>Last 90 days</option>
+            </select>
+            <button
+              onClick={loadReport}
+              disabled={isLoading}
+              className="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-blue-300 flex items-center gap-2"
+            >
+              {isLoading ? <Loader2 className="animate-spin" size={18} /> : <RefreshCw size={18} />}
+              Load
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-6">
+            {error}
+          </div>
+        )}
+
+        {report && (
+          <div className="bg-white rounded-lg shadow p-6 mb-6 text-sm text-gray-700">
+            Last {report.days} days: {report.totals.asked} asked, {report.totals.answered} answered,
+            {' '}{report.totals.up} 👍 / {report.totals.down} 👎. {report.flagged} need attention.
+          </div>
+        )}
+
+        {report && report.groups.length === 0 && (
+          <div className="bg-white rounded-lg shadow p-6 text-gray-600">Nothing flagged in this window.</div>
+        )}
+
+        {report?.groups.map((group, gi) => (
+          <div key={`${group.topicId || group.area || 'unscoped'}-${gi}`} className="bg-white rounded-lg shadow p-6 mb-6">
+            <h2 className="text-lg font-semibold text-gray-800 mb-4">
+              {groupLabel(group)} <span className="text-sm font-normal text-gray-500">({group.total})</span>
+            </h2>
+            <div className="space-y-4">
+              {group.clusters.map((cluster, ci) => {
+                const key = `${gi}-${ci}`;
+                const draft = drafts[key];
+                return (
+                  <div key={key} className="border border-gray-200 rounded-lg p-4">
+                    <div className="flex items-start justify-between gap-4">
+                      <div>
+                        <div className="font-medium text-gray-900">{cluster.representative}</div>
+                        <div className="text-xs text-gray-500 mt-1">
+                          Asked {cluster.count}× · {cluster.unanswered} unanswered ·{' '}
+                          <ThumbsDown size={12} className="inline" /> {cluster.downvoted} · last {new Date(cluster.lastAskedAt).toLocaleDateString()}
+                        </div>
+                      </div>
+                      <button
+                        onClick={() => draftTopic(key, group, cluster)}
+                        disabled={draftingKey !== null || !!draft}
+                        className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700 disabled:bg-green-300 flex items-center gap-2 text-sm whitespace-nowrap"
+                      >
+                        {draftingKey === key ? <Loader2 className="animate-spin" size={16} /> : <FileText size={16} />}
+                        Draft topic
+                      </button>
+                    </div>
+                    {cluster.examples.length > 1 && (
+                      <ul className="list-disc pl-5 mt-2 text-sm text-gray-600">
+                        {cluster.examples.slice(1).map((q, i) => <li key={i}>{q}</li>)}
+                      </ul>
+                    )}
+                    {cluster.comments.length > 0 && (
+                      <div className="mt-2 text-sm text-amber-800 bg-amber-50 rounded p-2">
+                        {cluster.comments.map((c, i) => <div key={i}>“{c}”</div>)}
+                      </div>
+                    )}
+                    {draft && (
+                      <div className="mt-4 bg-green-50 border border-green-200 rounded-lg p-4">
+                        <div className="flex items-center justify-between mb-2">
+                          <h3 className="font-semibold text-green-800">
+                            {draft.title} <span className="text-xs font-normal">({draft.method === 'llm' ? 'AI draft' : 'outline'})</span>
+                          </h3>
+                          <button onClick={() => copyDraft(draft)} className="text-green-700 flex items-center gap-1 text-sm">
+                            {copiedId === draft.id ? <CheckCircle size={16} /> : <Copy size={16} />}
+                            {copiedId === draft.id ? 'Copied' : 'Copy'}
+                          </button>
+                        </div>
+                        <pre className="whitespace-pre-wrap text-sm text-gray-800 font-sans">{draft.body}</pre>
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,21 @@
+"use client";
+import React from "react";
+import Layout from "../../components/Layout";
+import ErrorBoundary from "../../components/ErrorBoundary";
+import EnvironmentValidator from "../../components/EnvironmentValidator";
+import MatchReviewQueue from "../../components/MatchReviewQueue.js";
+
+// Force dynamic rendering for pages that use search parameters
+export const dynamic = 'force-dynamic'
+
+export default function MatchReviewPage() {
+	return (
+		<EnvironmentValidator>
+			<ErrorBoundary>
+				<Layout>
+					<MatchReviewQueue />
+				</Layout>
+			</ErrorBoundary>
+		</EnvironmentValidator>
+	);
+}
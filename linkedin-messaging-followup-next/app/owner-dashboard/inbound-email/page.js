@@ -0,0 +1,299 @@
+"use client";
+import React, { useEffect, useState, useCallback } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import { getCurrentClientId, initializeClient } from '../../../utils/clientUtils';
+import { getInboundEmails, getInboundEmail, replayInboundEmail } from '../../../services/api';
+import { EnvelopeIcon, ArrowLeftIcon, ArrowPathIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+
+const OWNER_CLIENT_ID = 'Guy-Wilson';
+
+const STATUS_OPTIONS = [
+  '', 'processed', 'duplicate', 'lead_not_found', 'client_not_found', 'multiple_leads',
+  'no_recipients', 'no_contact_info', 'parse_error', 'processing_error', 'error', 'rejected_signature', 'received'
+];
+
+const STATUS_BADGE = {
+  processed: 'bg-green-100 text-green-800',
+  duplicate: 'bg-gray-100 text-gray-700',
+  received: 'bg-blue-100 text-blue-800',
+  lead_not_found: 'bg-amber-100 text-amber-800',
+  multiple_leads: 'bg-amber-100 text-amber-800',
+  no_recipients: 'bg-gray-100 text-gray-700'
+};
+
+const formatWhen = (iso) => (iso ? new Date(iso).toLocaleString('en-AU', {
+  timeZone: 'Australia/Brisbane', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+}) : '—');
+
+function StatusBadge({ status }) {
+  return (
+    <span className={`px-2 py-0.5 rounded text-xs font-medium ${STATUS_BADGE[status] || 'bg-red-100 text-red-800'}`}>
+      {status}
+    </span>
+  );
+}
+
+function MessageDetail({ message, onReplay, replaying }) {
+  const [notify, setNotify] = useState(false);
+  const payload = message.payload || {};
+  const body = payload['body-plain'] || payload['stripped-text'] || '';
+
+  return (
+    <div className="bg-white rounded-lg border border-amber-200 shadow-sm p-5 space-y-4">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">#{message.id} · {message.subject || '(no subject)'}</h2>
+          <p className="text-sm text-gray-500">
+            {formatWhen(message.receivedAt)} · from {message.sender || '?'} · to {message.to || '?'}
+          </p>
+          <p className="text-xs text-gray-500 mt-1">
+            <StatusBadge status={message.status} />
+            <span className="ml-2">path: {message.path || '—'}</span>
+            <span className="ml-2">
+              signature: {message.signatureVerified === null ? 'not checked' : (message.signatureVerified ? 'verified' : 'INVALID')}
+            </span>
+            {message.clientId && <span className="ml-2">client: {message.clientName || message.clientId}</span>}
+            {message.replayOf && <span className="ml-2">replay of #{message.replayOf}</span>}
+            {message.replayCount > 0 && <span className="ml-2">replayed {message.replayCount}×</span>}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <label className="flex items-center gap-1 text-xs text-gray-600">
+            <input type="checkbox" checked={notify} onChange={(e) => setNotify(e.target.checked)} />
+            email the client
+          </label>
+          <button
+            onClick={() => onReplay(message.id, notify)}
+            disabled={replaying}
+            className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm font-medium bg-amber-600 text-white hover:bg-amber-700 disabled:opacity-50"
+          >
+            <ArrowPathIcon className={`h-4 w-4 ${replaying ? 'animate-spin' : ''}`} /> Replay
+          </button>
+        </div>
+      </div>
+
+      {message.error && (
+        <div className="p-3 bg-red-50 border border-red-100 rounded text-sm text-red-700">{message.error}</div>
+      )}
+
+      <div>
+        <h3 className="text-sm font-medium text-gray-800 mb-1">Recipients</h3>
+        {!message.leads.length && <p className="text-xs text-gray-500">No recipients were matched against leads.</p>}
+        <ul className="text-sm space-y-1">
+          {message.leads.map((lead, idx) => (
+            <li key={idx} className="flex gap-2">
+              <span>{lead.matched ? '✅' : '❌'}</span>
+              <span className="text-gray-800">{lead.leadName || lead.email || lead.leadId}</span>
+              {lead.email && lead.leadName && <span className="text-gray-500">{lead.email}</span>}
+              <span className="text-xs text-gray-400">{lead.source}{lead.duplicate ? ' · already logged' : ''}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {message.notesDiff.map((diff) => (
+        <div key={diff.leadId}>
+          <h3 className="text-sm font-medium text-gray-800 mb-1">
+            Notes change · {diff.leadId} ({diff.beforeLen} → {diff.afterLen} chars{diff.truncated ? ', truncated' : ''})
+          </h3>
+          {diff.added && <pre className="text-xs bg-green-50 border border-green-100 rounded p-2 whitespace-pre-wrap">{diff.added.split('\n').map((l) => `+ ${l}`).join('\n')}</pre>}
+          {diff.removed && <pre className="text-xs bg-red-50 border border-red-100 rounded p-2 whitespace-pre-wrap mt-1">{diff.removed.split('\n').map((l) => `- ${l}`).join('\n')}</pre>}
+        </div>
+      ))}
+
+      {message.attachments.length > 0 && (
+        <p className="text-xs text-gray-500">
+          📎 {message.attachments.map((a) => `${a.filename} (${Math.round((a.size || 0) / 1024)} KB)`).join(', ')}
+        </p>
+      )}
+
+      <details>
+        <summary className="text-sm font-medium text-gray-800 cursor-pointer">Email body</summary>
+        <pre className="mt-2 text-xs bg-gray-50 border border-gray-100 rounded p-2 whitespace-pre-wrap max-h-96 overflow-y-auto">{body || '(empty)'}</pre>
+      </details>
+      <details>
+        <summary className="text-sm font-medium text-gray-800 cursor-pointer">Raw payload</summary>
+        <pre className="mt-2 text-xs bg-gray-50 border border-gray-100 rounded p-2 whitespace-pre-wrap max-h-96 overflow-y-auto">{JSON.stringify(payload, null, 2)}</pre>
+      </details>
+    </div>
+  );
+}
+
+export default function InboundEmailAuditPage() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const [isReady, setIsReady] = useState(false);
+  const [authError, setAuthError] = useState(null);
+  const [currentClientId, setCurrentClientIdState] = useState(null);
+  const [query, setQuery] = useState('');
+  const [status, setStatus] = useState('');
+  const [messages, setMessages] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [selected, setSelected] = useState(null);
+  const [replaying, setReplaying] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Same token validation as the Owner Dashboard
+  useEffect(() => {
+    const validateAccess = async () => {
+      const token = searchParams.get('token') || (typeof sessionStorage !== 'undefined' ? sessionStorage.getItem('portalToken') : null);
+      const devKey = searchParams.get('devKey');
+      if (!token && !devKey) {
+        router.push('/membership-required');
+        return;
+      }
+      try {
+        await initializeClient();
+        setCurrentClientIdState(getCurrentClientId());
+        setIsReady(true);
+      } catch (err) {
+        console.error('Inbound Email: Auth failed:', err);
+        setAuthError(err.message || 'Authentication failed');
+      }
+    };
+    validateAccess();
+  }, [searchParams, router]);
+
+  const isOwner = currentClientId === OWNER_CLIENT_ID;
+
+  const search = useCallback(async () => {
+    setError(null);
+    try {
+      const data = await getInboundEmails({ q: query.trim() || undefined, status: status || undefined, limit: 100 });
+      setMessages(data.messages || []);
+      setTotal(data.total || 0);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [query, status]);
+
+  useEffect(() => {
+    if (isReady && isOwner) search();
+    // Search runs on submit / status change, not on every keystroke
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isReady, isOwner, status]);
+
+  const openMessage = async (id) => {
+    setError(null);
+    setNotice(null);
+    try {
+      const data = await getInboundEmail(id);
+      setSelected(data.message);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const replay = async (id, notify) => {
+    setReplaying(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const data = await replayInboundEmail(id, { notify });
+      setNotice(`Replayed #${id} as #${data.replay?.id ?? '?'}: ${data.replay?.status || (data.result?.success ? 'processed' : 'not processed')}`);
+      if (data.replay) setSelected(data.replay);
+      await search();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setReplaying(false);
+    }
+  };
+
+  if (!isReady && !authError) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-amber-600 mx-auto"></div>
+          <p className="mt-4 text-gray-500">Verifying access...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (authError || !isOwner) {
+    return (
+      <div className="max-w-2xl mx-auto mt-16">
+        <div className="bg-red-50 border border-red-200 rounded-lg p-8 text-center">
+          <ExclamationTriangleIcon className="h-16 w-16 text-red-400 mx-auto mb-4" />
+          <h2 className="text-xl font-semibold text-red-800 mb-2">Access Denied</h2>
+          <p className="text-red-600">{authError || 'The inbound email log is only available to system administrators.'}</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <div className="mb-6 flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <EnvelopeIcon className="h-8 w-8 text-amber-600" />
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Inbound Email</h1>
+            <p className="text-gray-600">Every BCC / forward / notetaker email received, and what happened to it</p>
+          </div>
+        </div>
+        <button
+          onClick={() => router.push('/owner-dashboard')}
+          className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm font-medium bg-white text-amber-700 border border-amber-300 hover:bg-amber-50"
+        >
+          <ArrowLeftIcon className="h-4 w-4" /> Owner Dashboard
+        </button>
+      </div>
+
+      <form
+        onSubmit={(e) => { e.preventDefault(); search(); }}
+        className="mb-4 flex flex-wrap gap-2"
+      >
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search sender, recipient, subject, client, lead..."
+          className="flex-1 min-w-[16rem] px-3 py-1.5 text-sm border border-amber-200 rounded"
+        />
+        <select value={status} onChange={(e) => setStatus(e.target.value)} className="px-2 py-1.5 text-sm border border-amber-200 rounded">
+          {STATUS_OPTIONS.map((s) => <option key={s} value={s}>{s || 'any status'}</option>)}
+        </select>
+        <button type="submit" className="px-3 py-1.5 rounded-lg text-sm font-medium bg-amber-600 text-white hover:bg-amber-700">Search</button>
+      </form>
+
+      {error && <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>}
+      {notice && <div className="mb-4 p-3 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800">{notice}</div>}
+
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-6">
+        <div className="md:col-span-2 bg-gradient-to-r from-amber-50 to-orange-50 border border-amber-200 rounded-lg p-3">
+          <p className="text-xs text-gray-500 mb-2">{total} message{total === 1 ? '' : 's'}</p>
+          {!messages.length && <p className="text-sm text-gray-500">Nothing stored matches.</p>}
+          <div className="space-y-1 max-h-[70vh] overflow-y-auto">
+            {messages.map((m) => (
+              <button
+                key={m.id}
+                onClick={() => openMessage(m.id)}
+                className={`w-full text-left p-2 rounded-lg text-sm transition-colors ${
+                  selected?.id === m.id ? 'bg-amber-100 border border-amber-300' : 'bg-white/80 hover:bg-amber-50'
+                }`}
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <span className="font-medium text-gray-800 truncate">{m.subject || '(no subject)'}</span>
+                  <StatusBadge status={m.status} />
+                </div>
+                <div className="text-xs text-gray-500 truncate">
+                  #{m.id} · {formatWhen(m.receivedAt)} · {m.clientName || m.sender}
+                  {m.replayOf ? ` · replay of #${m.replayOf}` : ''}
+                </div>
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="md:col-span-3">
+          {selected
+            ? <MessageDetail message={selected} onReplay={replay} replaying={replaying} />
+            : <p className="text-gray-500 text-sm">Pick a message to see its recipients, Notes diff and payload.</p>}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -37,7 +37,9 @@ const getOwnerSections = (backendBase) => [
 const getOwnerQuickActions = (backendBase) => [
   { label: '🆕 New Client', url: 'https://airtable.com/appYLxKgtTYFPxQG1/tblkHNxMf47DFQY1r', primary: true },
   { label: '📋 Templates', url: 'https://airtable.com/appYLxKgtTYFPxQG1/tblm59cOhCPiX9fK3', primary: false },
-  { label: '👥 Coached Clients', url: '/coached-clients', primary: false, internal: true }
+  { label: '👥 Coached Clients', url: '/coached-clients', primary: false, internal: true },
+  { label: '⏱️ Run Timeline', url: '/owner-dashboard/runs', primary: false, internal: true },
+  { label: '📨 Inbound Email', url: '/owner-dashboard/inbound-email', primary: false, internal: true }
 ];
 
 export default function OwnerDashboardPage() {
@@ -0,0 +1,303 @@
+"use client";
+import React, { useEffect, useState } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import { getCurrentClientId, initializeClient } from '../../../utils/clientUtils';
+import { getRuns, getRunTimeline } from '../../../services/api';
+import { ClockIcon, ArrowLeftIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+
+const OWNER_CLIENT_ID = 'Guy-Wilson';
+
+const OPERATION_LABELS = {
+  lead_scoring: 'Lead Scoring',
+  post_harvesting: 'Post Harvesting',
+  post_scoring: 'Post Scoring'
+};
+
+// Bar colours by operation status
+const STATUS_BAR = {
+  completed: 'bg-green-500',
+  running: 'bg-blue-400 animate-pulse',
+  stopped: 'bg-amber-400',
+  skipped: 'bg-gray-300',
+  error: 'bg-red-500'
+};
+
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return '—';
+  const sec = Math.round(ms / 1000);
+  if (sec < 60) return `${sec}s`;
+  const min = Math.floor(sec / 60);
+  if (min < 60) return `${min}m ${sec % 60}s`;
+  return `${Math.floor(min / 60)}h ${min % 60}m`;
+};
+
+const formatTokens = (n) => (n ? Number(n).toLocaleString() : '0');
+
+const formatWhen = (iso) => (iso ? new Date(iso).toLocaleString('en-AU', {
+  timeZone: 'Australia/Brisbane', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+}) : '—');
+
+// "+1m 20s" / "-4,000" against the previous run; red when worse (longer, more tokens, more errors)
+function Delta({ value, format = (v) => v.toLocaleString() }) {
+  if (value === null || value === undefined || value === 0) return null;
+  const sign = value > 0 ? '+' : '-';
+  return (
+    <span className={`ml-1 text-xs ${value > 0 ? 'text-red-600' : 'text-green-600'}`}>
+      ({sign}{format(Math.abs(value))})
+    </span>
+  );
+}
+
+/** One client row: a bar per operation, positioned on the run's time axis */
+function ClientTimelineRow({ client, runStart, runSpan, previous }) {
+  const position = (op) => {
+    if (!op.startedAt || !runSpan) return null;
+    const left = ((new Date(op.startedAt) - runStart) / runSpan) * 100;
+    const width = Math.max(((op.durationMs || 0) / runSpan) * 100, 0.75);
+    return { left: `${Math.max(0, Math.min(left, 99.25))}%`, width: `${Math.min(width, 100 - Math.max(0, left))}%` };
+  };
+
+  return (
+    <div className="grid grid-cols-12 gap-3 items-center py-2 border-b border-gray-100 last:border-0">
+      <div className="col-span-3">
+        <div className="text-sm font-medium text-gray-800 truncate">{client.clientName}</div>
+        <div className="text-xs text-gray-500">
+          {formatDuration(client.durationMs)}
+          <Delta value={previous?.deltas?.durationMs} format={formatDuration} />
+          {' · '}{formatTokens(client.tokens)} tokens
+          <Delta value={previous?.deltas?.tokens} />
+          {client.errorCount > 0 && (
+            <span className="ml-1 text-red-600">· {client.errorCount} error{client.errorCount === 1 ? '' : 's'}</span>
+          )}
+          {previous && !previous.inPreviousRun && <span className="ml-1 text-gray-400">· new</span>}
+        </div>
+      </div>
+      <div className="col-span-9 relative h-7 bg-gray-50 rounded">
+        {client.operations.map((op) => {
+          const style = position(op);
+          if (!style) return null;
+          return (
+            <div
+              key={op.operation}
+              className={`absolute top-1 h-5 rounded ${STATUS_BAR[op.status] || 'bg-gray-400'} ${op.errorCount ? 'ring-2 ring-red-400' : ''}`}
+              style={style}
+              title={`${OPERATION_LABELS[op.operation] || op.operation}: ${op.status || 'unknown'} · ${formatDuration(op.durationMs)} · ${formatTokens(op.tokens)} tokens${op.errorCount ? ` · ${op.errorCount} errors` : ''}${op.detail ? `\n${op.detail}` : ''}`}
+            />
+          );
+        })}
+        {!client.operations.length && (
+          <span className="absolute left-2 top-1 text-xs text-gray-400">No activity recorded</span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function RunTimeline({ timeline }) {
+  const runStart = timeline.startedAt ? new Date(timeline.startedAt) : null;
+  const runSpan = timeline.durationMs || 0;
+  const previous = timeline.previous;
+  const previousByClient = new Map((previous?.clients || []).map((c) => [c.clientId, c]));
+  const clientErrors = timeline.clients.filter((c) => c.errors.length);
+
+  return (
+    <div className="bg-white rounded-lg border border-amber-200 shadow-sm p-5">
+      <div className="flex flex-wrap items-baseline justify-between gap-2 mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Run {timeline.runId}</h2>
+          <p className="text-sm text-gray-500">
+            {formatWhen(timeline.startedAt)} · {timeline.status}
+            {timeline.source !== 'events' && <span className="ml-1 text-gray-400">(from Progress Log)</span>}
+          </p>
+        </div>
+        <div className="flex gap-4 text-sm text-gray-700">
+          <span>⏱️ {formatDuration(timeline.durationMs)}<Delta value={previous?.deltas?.durationMs} format={formatDuration} /></span>
+          <span>🪙 {formatTokens(timeline.totals.tokens)}<Delta value={previous?.deltas?.tokens} /></span>
+          <span>❌ {timeline.totals.errors}<Delta value={previous?.deltas?.errors} /></span>
+          <span>👥 {timeline.totals.clients}</span>
+        </div>
+      </div>
+
+      {previous && (
+        <p className="text-xs text-gray-500 mb-3">
+          Compared with previous run {previous.runId} ({formatWhen(previous.startedAt)}: {formatDuration(previous.durationMs)}, {formatTokens(previous.totals.tokens)} tokens, {previous.totals.errors} errors)
+        </p>
+      )}
+
+      <div className="flex gap-3 mb-2 text-xs text-gray-500">
+        {Object.entries(STATUS_BAR).map(([status, cls]) => (
+          <span key={status} className="flex items-center gap-1">
+            <span className={`inline-block w-3 h-3 rounded ${cls.replace(' animate-pulse', '')}`} /> {status}
+          </span>
+        ))}
+      </div>
+
+      <div>
+        {timeline.clients.map((client) => (
+          <ClientTimelineRow
+            key={client.clientId}
+            client={client}
+            runStart={runStart}
+            runSpan={runSpan}
+            previous={previous ? previousByClient.get(client.clientId) : null}
+          />
+        ))}
+      </div>
+
+      {clientErrors.length > 0 && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-100 rounded-lg">
+          <h3 className="text-sm font-medium text-red-800 mb-1">Errors</h3>
+          <ul className="text-xs text-red-700 space-y-1">
+            {clientErrors.flatMap((c) => c.errors.map((e, idx) => (
+              <li key={`${c.clientId}-${idx}`}>
+                <strong>{c.clientName}</strong> · {OPERATION_LABELS[e.operation] || e.operation || 'run'}: {e.message}
+              </li>
+            )))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function RunTimelinePage() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const [isReady, setIsReady] = useState(false);
+  const [authError, setAuthError] = useState(null);
+  const [currentClientId, setCurrentClientIdState] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [clientFilter, setClientFilter] = useState('');
+  const [selectedRunId, setSelectedRunId] = useState(null);
+  const [timeline, setTimeline] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Same token validation as the Owner Dashboard
+  useEffect(() => {
+    const validateAccess = async () => {
+      const token = searchParams.get('token') || (typeof sessionStorage !== 'undefined' ? sessionStorage.getItem('portalToken') : null);
+      const devKey = searchParams.get('devKey');
+      if (!token && !devKey) {
+        router.push('/membership-required');
+        return;
+      }
+      try {
+        await initializeClient();
+        setCurrentClientIdState(getCurrentClientId());
+        setIsReady(true);
+      } catch (err) {
+        console.error('Run Timeline: Auth failed:', err);
+        setAuthError(err.message || 'Authentication failed');
+      }
+    };
+    validateAccess();
+  }, [searchParams, router]);
+
+  const isOwner = currentClientId === OWNER_CLIENT_ID;
+
+  useEffect(() => {
+    if (!isReady || !isOwner) return;
+    setError(null);
+    getRuns({ client: clientFilter.trim() || undefined })
+      .then((data) => {
+        setRuns(data.runs || []);
+        if (data.runs?.length) setSelectedRunId((current) => current || data.runs[0].runId);
+      })
+      .catch((err) => setError(err.message));
+  }, [isReady, isOwner, clientFilter]);
+
+  useEffect(() => {
+    if (!selectedRunId) return;
+    setLoading(true);
+    setError(null);
+    getRunTimeline(selectedRunId)
+      .then((data) => setTimeline(data.timeline))
+      .catch((err) => { setTimeline(null); setError(err.message); })
+      .finally(() => setLoading(false));
+  }, [selectedRunId]);
+
+  if (!isReady && !authError) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-amber-600 mx-auto"></div>
+          <p className="mt-4 text-gray-500">Verifying access...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (authError || !isOwner) {
+    return (
+      <div className="max-w-2xl mx-auto mt-16">
+        <div className="bg-red-50 border border-red-200 rounded-lg p-8 text-center">
+          <ExclamationTriangleIcon className="h-16 w-16 text-red-400 mx-auto mb-4" />
+          <h2 className="text-xl font-semibold text-red-800 mb-2">Access Denied</h2>
+          <p className="text-red-600">{authError || 'The Run Timeline is only available to system administrators.'}</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <div className="mb-6 flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <ClockIcon className="h-8 w-8 text-amber-600" />
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Run Timeline</h1>
+            <p className="text-gray-600">Job Tracking and Client Run Results, per client and operation</p>
+          </div>
+        </div>
+        <button
+          onClick={() => router.push('/owner-dashboard')}
+          className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm font-medium bg-white text-amber-700 border border-amber-300 hover:bg-amber-50"
+        >
+          <ArrowLeftIcon className="h-4 w-4" /> Owner Dashboard
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+        {/* Runs list */}
+        <div className="md:col-span-1 bg-gradient-to-r from-amber-50 to-orange-50 border border-amber-200 rounded-lg p-3">
+          <input
+            type="text"
+            value={clientFilter}
+            onChange={(e) => setClientFilter(e.target.value)}
+            placeholder="Filter by client ID"
+            className="w-full mb-3 px-2 py-1.5 text-sm border border-amber-200 rounded"
+          />
+          {!runs.length && <p className="text-sm text-gray-500 px-1">No runs in the last 14 days.</p>}
+          <div className="space-y-1 max-h-[70vh] overflow-y-auto">
+            {runs.map((run) => (
+              <button
+                key={run.runId}
+                onClick={() => setSelectedRunId(run.runId)}
+                className={`w-full text-left p-2 rounded-lg text-sm transition-colors ${
+                  run.runId === selectedRunId ? 'bg-amber-600 text-white' : 'bg-white/80 text-gray-700 hover:bg-amber-100'
+                }`}
+              >
+                <div className="font-medium">{run.runId}</div>
+                <div className={`text-xs ${run.runId === selectedRunId ? 'text-amber-100' : 'text-gray-500'}`}>
+                  {formatWhen(run.startedAt)}
+                  {run.status ? ` · ${run.status}` : ''}
+                  {run.errors ? ` · ${run.errors} errors` : ''}
+                </div>
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Selected run */}
+        <div className="md:col-span-3">
+          {error && (
+            <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+          )}
+          {loading && <p className="text-gray-500">Loading timeline...</p>}
+          {!loading && timeline && <RunTimeline timeline={timeline} />}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -354,6 +354,10 @@ const StartHereContent: React.FC = () => {
         if (json.sources && Array.isArray(json.sources) && json.sources.length) {
           const sourceLines = json.sources.map((s:any) => `[#${s.id}] ${s.type}: ${s.title}${s.score ? ` (score ${s.score})` : ''}`);
           enriched += '\n\nSources:\n' + sourceLines.join('\n');
+        } else if (Array.isArray(json.citations) && json.citations.length) {
+          // Exact segments the answer drew on; ids match any inline [S1] markers
+          const citationLines = json.citations.map((c:any) => `[${c.id}] ${c.title}${c.url ? ` – ${c.url}` : ''}`);
+          enriched += '\n\nSources:\n' + citationLines.join('\n');
         }
         if (json.completeness && json.completeness.note) {
           enriched += `\n\n_${json.completeness.note}_`;
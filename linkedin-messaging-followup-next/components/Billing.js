@@ -6,12 +6,27 @@ import { getBackendBase } from '../services/api';
 import { getClientProfile, getCurrentClientId, getCurrentPortalToken, getCurrentDevKey } from '../utils/clientUtils';
 import { CreditCardIcon, DocumentArrowDownIcon, CheckCircleIcon, ExclamationCircleIcon, ClockIcon, ArrowLeftIcon } from '@heroicons/react/24/outline';
 
+// 'YYYY-MM' of last month (the default statement)
+function lastFullMonth() {
+  const d = new Date();
+  d.setDate(1);
+  d.setMonth(d.getMonth() - 1);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+}
+
+// Australian financial year (July–June), named by the year it ends in
+function currentFinancialYear() {
+  const d = new Date();
+  return d.getMonth() >= 6 ? d.getFullYear() + 1 : d.getFullYear();
+}
+
 /**
  * Billing Component
  * 
  * Displays client's billing information:
  * - Current subscription status
- * - Invoice history with PDF download links
+ * - Invoice history with PDF download links (adjustment notes for refunds included)
+ * - Monthly account statement PDF and a financial-year ZIP of every invoice
  * 
  * Uses x-client-id header for API calls - backend looks up email from Master Clients table.
  */
@@ -25,6 +40,9 @@ export default function Billing() {
   const [billingStatus, setBillingStatus] = useState(null);
   const [coachInfo, setCoachInfo] = useState({ name: null, email: null });
   const [portalLoading, setPortalLoading] = useState(false);
+  const [statementMonth, setStatementMonth] = useState(() => lastFullMonth());
+  const [financialYear, setFinancialYear] = useState(() => currentFinancialYear());
+  const [downloading, setDownloading] = useState(null);
 
   // Get headers with x-client-id and portal token for authenticated API calls
   const getHeaders = useCallback(() => {
@@ -154,10 +172,38 @@ export default function Billing() {
     loadBillingData();
   }, [checkBillingStatus, getClientEmail, fetchSubscription, fetchInvoices]);
 
-  // Generate PDF download URL
-  const getPdfUrl = (invoiceId) => {
+  // Generate PDF download URL (credit notes carry their own path)
+  const getPdfUrl = (invoice) => {
     const backendBase = getBackendBase();
-    return `${backendBase}/api/billing/invoice/${invoiceId}/pdf`;
+    return `${backendBase}${invoice.pdfUrl || `/api/billing/invoice/${invoice.id}/pdf`}`;
+  };
+
+  // Statements and FY ZIPs are per-client, so they need our headers - fetch and save the blob
+  const downloadDocument = async (kind, path, fallbackName) => {
+    setDownloading(kind);
+    try {
+      const backendBase = getBackendBase();
+      const response = await fetch(`${backendBase}${path}`, { headers: getHeaders() });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || data.error || `HTTP ${response.status}`);
+      }
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filename = (disposition.match(/filename="([^"]+)"/) || [])[1] || fallbackName;
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      console.error(`Error downloading ${kind}:`, e);
+      alert(`Unable to download: ${e.message}`);
+    } finally {
+      setDownloading(null);
+    }
   };
 
   // Open Stripe Customer Portal for payment method management
@@ -195,7 +241,8 @@ export default function Billing() {
       open: { icon: ClockIcon, color: 'text-yellow-600 bg-yellow-50', label: 'Pending' },
       draft: { icon: ClockIcon, color: 'text-gray-600 bg-gray-50', label: 'Draft' },
       void: { icon: ExclamationCircleIcon, color: 'text-red-600 bg-red-50', label: 'Void' },
-      uncollectible: { icon: ExclamationCircleIcon, color: 'text-red-600 bg-red-50', label: 'Failed' }
+      uncollectible: { icon: ExclamationCircleIcon, color: 'text-red-600 bg-red-50', label: 'Failed' },
+      refunded: { icon: CheckCircleIcon, color: 'text-blue-600 bg-blue-50', label: 'Refunded' }
     };
     const config = statusConfig[status] || statusConfig.open;
     const Icon = config.icon;
@@ -379,7 +426,7 @@ export default function Billing() {
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right">
                       <a
-                        href={getPdfUrl(invoice.id)}
+                        href={getPdfUrl(invoice)}
                         target="_blank"
                         rel="noopener noreferrer"
                         className="inline-flex items-center gap-1.5 px-3 py-1.5 text-sm font-medium text-blue-600 hover:text-blue-800 hover:bg-blue-50 rounded-md transition-colors"
@@ -400,6 +447,50 @@ export default function Billing() {
         </div>
       )}
 
+      {/* Statements & tax documents */}
+      {invoices.length > 0 && (
+        <div className="bg-white border border-gray-200 rounded-lg p-6 mt-6 shadow-sm">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Statements &amp; Tax Documents</h2>
+          <p className="text-sm text-gray-500 mb-4">A monthly account statement, or every invoice and adjustment note for a financial year (July–June) in one ZIP.</p>
+          <div className="flex flex-wrap items-center gap-3 mb-3">
+            <input
+              type="month"
+              value={statementMonth}
+              onChange={(e) => setStatementMonth(e.target.value)}
+              className="px-3 py-1.5 text-sm border border-gray-300 rounded-md"
+            />
+            <button
+              onClick={() => downloadDocument('statement', `/api/billing/statement/pdf?month=${statementMonth}`, `Statement-${statementMonth}.pdf`)}
+              disabled={!statementMonth || downloading !== null}
+              className="inline-flex items-center gap-1.5 px-3 py-1.5 text-sm font-medium text-blue-600 bg-blue-50 hover:bg-blue-100 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <DocumentArrowDownIcon className="h-4 w-4" />
+              {downloading === 'statement' ? 'Preparing...' : 'Download Statement'}
+            </button>
+          </div>
+          <div className="flex flex-wrap items-center gap-3">
+            <select
+              value={financialYear}
+              onChange={(e) => setFinancialYear(Number(e.target.value))}
+              className="px-3 py-1.5 text-sm border border-gray-300 rounded-md"
+            >
+              {[0, 1, 2, 3].map((back) => {
+                const fy = currentFinancialYear() - back;
+                return <option key={fy} value={fy}>FY{fy - 1}-{String(fy).slice(-2)}</option>;
+              })}
+            </select>
+            <button
+              onClick={() => downloadDocument('zip', `/api/billing/invoices/zip?fy=${financialYear}`, `Invoices-FY${financialYear}.zip`)}
+              disabled={downloading !== null}
+              className="inline-flex items-center gap-1.5 px-3 py-1.5 text-sm font-medium text-blue-600 bg-blue-50 hover:bg-blue-100 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <DocumentArrowDownIcon className="h-4 w-4" />
+              {downloading === 'zip' ? 'Preparing...' : 'Download All Invoices (ZIP)'}
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Subscription contact info */}
       {coachInfo.email && (
         <div className="mt-6 p-4 bg-blue-50 border border-blue-200 rounded-lg text-center">
@@ -2,6 +2,7 @@
 import React, { useEffect, useState } from 'react';
 import { getContextHelp, getHelpTopic } from '../services/api';
 import { renderHelpHtml } from './HelpHtmlRenderer';
+import HelpQuestionBox from './HelpQuestionBox';
 
 export default function ContextHelpPanel({ area, isOpen, onClose }) {
   const [loading, setLoading] = useState(false);
@@ -150,6 +151,18 @@ export default function ContextHelpPanel({ area, isOpen, onClose }) {
     );
   };
 
+  // Title of the open topic, so the question box can say what it's scoped to
+  const expandedTopicTitle = (() => {
+    if (!expandedTopicId || !Array.isArray(data?.categories)) return null;
+    for (const cat of data.categories) {
+      for (const sub of cat.subCategories || []) {
+        const hit = (sub.topics || []).find((t) => t.id === expandedTopicId);
+        if (hit) return hit.title || null;
+      }
+    }
+    return null;
+  })();
+
   const areaTitle = (() => {
     switch (area) {
       case 'lead_search_and_update_detail':
@@ -262,6 +275,10 @@ export default function ContextHelpPanel({ area, isOpen, onClose }) {
               ))}
             </div>
           )}
+
+          {!loading && (
+            <HelpQuestionBox area={area} topicId={expandedTopicId} topicTitle={expandedTopicTitle} />
+          )}
         </div>
 
   {/* Footer */}
@@ -0,0 +1,144 @@
+"use client";
+// Duplicate leads (Lead Search → Find duplicates…). Lists pairs the backend thinks are the same
+// person (same LinkedIn profile, same email, or near-identical name at the same company) and
+// merges one into the other: Notes combined, tags unioned, best score kept, meetings and follow-up
+// state moved, duplicate deleted. Backend: /api/linkedin/leads/duplicates + /leads/merge
+// (services/leadDedupService.js).
+import React, { useState, useEffect } from 'react';
+import { getDuplicateLeads, mergeLeads } from '../services/api';
+
+const REASON_LABELS = {
+  linkedin: 'Same LinkedIn profile',
+  email: 'Same email',
+  name_company: 'Same name & company'
+};
+
+const leadName = (l) => [l.firstName, l.lastName].filter(Boolean).join(' ') || l.email || l.id;
+
+function LeadCard({ lead, label, highlight }) {
+  return (
+    <div className={`flex-1 p-2 rounded border ${highlight ? 'border-green-300 bg-green-50' : 'border-gray-200'}`}>
+      <div className="text-[10px] uppercase tracking-wide text-gray-500">{label}</div>
+      <div className="font-medium text-gray-900">{leadName(lead)}</div>
+      <div className="text-gray-600">{[lead.jobTitle, lead.company].filter(Boolean).join(' · ') || '—'}</div>
+      <div className="text-gray-600 truncate">{lead.email || 'No email'}</div>
+      {lead.linkedinProfileUrl && (
+        <a href={lead.linkedinProfileUrl} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline truncate block">
+          {lead.linkedinProfileUrl.replace(/^https?:\/\/(www\.)?/, '')}
+        </a>
+      )}
+      <div className="text-gray-500">
+        AI Score {lead.aiScore ?? '—'}{lead.status ? ` · ${lead.status}` : ''}
+      </div>
+    </div>
+  );
+}
+
+export default function DuplicateLeads({ onMerged, onClose }) {
+  const [candidates, setCandidates] = useState([]);
+  const [scanned, setScanned] = useState(0);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [busyKey, setBusyKey] = useState(null);
+  const [swapped, setSwapped] = useState({}); // pair key -> true when the user flipped the survivor
+
+  const load = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await getDuplicateLeads();
+      setCandidates(data.candidates || []);
+      setScanned(data.scanned || 0);
+      setTotal(data.total || 0);
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => { load(); }, []);
+
+  const pairKey = (c) => `${c.keepId}|${c.mergeId}`;
+
+  const handleMerge = async (c) => {
+    const flip = !!swapped[pairKey(c)];
+    const keep = flip ? c.merge : c.keep;
+    const merge = flip ? c.keep : c.merge;
+    if (!window.confirm(`Merge "${leadName(merge)}" into "${leadName(keep)}"? The duplicate record will be deleted.`)) return;
+    setBusyKey(pairKey(c));
+    setError('');
+    setNotice('');
+    try {
+      const result = await mergeLeads(keep.id, merge.id);
+      // Any other pair that mentioned the deleted record is stale now
+      setCandidates(list => list.filter(x => x.keepId !== merge.id && x.mergeId !== merge.id));
+      setTotal(t => Math.max(0, t - 1));
+      setNotice(`Merged into ${leadName(keep)}.${result.warnings?.length ? ` ${result.warnings.join(' ')}` : ''}`);
+      if (onMerged) onMerged(result);
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-medium text-gray-900">
+          Possible duplicates{!loading && ` (${total} in ${scanned} leads)`}
+        </h3>
+        <div className="space-x-3">
+          <button onClick={load} disabled={loading} className="text-xs text-blue-600 hover:underline disabled:opacity-50">Rescan</button>
+          {onClose && (
+            <button onClick={onClose} className="text-xs text-gray-500 hover:text-gray-700">Close</button>
+          )}
+        </div>
+      </div>
+
+      {error && <div className="p-2 bg-red-50 border border-red-200 rounded text-xs text-red-800">{error}</div>}
+      {notice && <div className="p-2 bg-green-50 border border-green-200 rounded text-xs text-green-800">{notice}</div>}
+
+      {loading ? (
+        <div className="text-xs text-gray-500">Scanning leads…</div>
+      ) : candidates.length === 0 ? (
+        <div className="text-xs text-gray-500">No duplicates found.</div>
+      ) : (
+        <ul className="space-y-2">
+          {candidates.map(c => {
+            const key = pairKey(c);
+            const flip = !!swapped[key];
+            return (
+              <li key={key} className="border border-gray-100 rounded p-2 text-xs space-y-2">
+                <div className="flex flex-wrap gap-1">
+                  {c.reasons.map(r => (
+                    <span key={r} className="px-1.5 py-0.5 rounded bg-amber-100 text-amber-800">{REASON_LABELS[r] || r}</span>
+                  ))}
+                </div>
+                <div className="flex gap-2">
+                  <LeadCard lead={flip ? c.merge : c.keep} label="Keep" highlight />
+                  <LeadCard lead={flip ? c.keep : c.merge} label="Merge into it & delete" />
+                </div>
+                <div className="flex justify-end space-x-3">
+                  <button onClick={() => setSwapped(s => ({ ...s, [key]: !flip }))} className="text-gray-600 hover:underline">
+                    Swap
+                  </button>
+                  <button
+                    onClick={() => handleMerge(c)}
+                    disabled={busyKey === key}
+                    className="px-2 py-1 rounded text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    {busyKey === key ? 'Merging…' : 'Merge'}
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+"use client";
+import React, { useState } from 'react';
+import { askHelpQuestion, sendHelpFeedback } from '../services/api';
+
+// "Ask a question" box for the help panel. Asks within the open topic when there is one, and lets
+// the reader rate the answer (👍/👎 + optional comment). Unanswered and downvoted questions feed
+// the admin report at /admin/help-questions.
+export default function HelpQuestionBox({ area, topicId, topicTitle }) {
+  const [question, setQuestion] = useState('');
+  const [asking, setAsking] = useState(false);
+  const [error, setError] = useState('');
+  const [result, setResult] = useState(null); // { answer, citations, qaId }
+  const [rating, setRating] = useState(null); // 'up' | 'down'
+  const [comment, setComment] = useState('');
+  const [feedbackState, setFeedbackState] = useState(''); // '', 'sending', 'sent', 'error'
+
+  const ask = async (e) => {
+    e?.preventDefault?.();
+    const q = question.trim();
+    if (!q || asking) return;
+    setAsking(true); setError(''); setResult(null); setRating(null); setComment(''); setFeedbackState('');
+    try {
+      setResult(await askHelpQuestion({ question: q, topicId, area }));
+    } catch (err) {
+      setError(err?.message || 'Could not get an answer');
+    } finally {
+      setAsking(false);
+    }
+  };
+
+  const send = async (nextRating, withComment) => {
+    if (!result?.qaId) return;
+    if (nextRating) setRating(nextRating);
+    setFeedbackState('sending');
+    try {
+      await sendHelpFeedback(result.qaId, { rating: nextRating || rating || undefined, comment: withComment ? comment : undefined });
+      setFeedbackState('sent');
+    } catch {
+      setFeedbackState('error');
+    }
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-md p-3 mt-4">
+      <form onSubmit={ask} className="flex gap-2">
+        <input
+          type="text"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          placeholder={topicTitle ? `Ask about “${topicTitle}”…` : 'Ask a question about this page…'}
+          className="flex-1 border border-gray-300 rounded px-2 py-1.5 text-sm"
+          maxLength={1000}
+        />
+        <button type="submit" disabled={asking || !question.trim()} className={`px-3 py-1.5 text-sm rounded bg-blue-600 text-white ${asking || !question.trim() ? 'opacity-50 cursor-not-allowed' : ''}`}>
+          {asking ? 'Asking…' : 'Ask'}
+        </button>
+      </form>
+      {error && <div className="text-sm text-red-600 mt-2">{error}</div>}
+      {result && (
+        <div className="mt-3 space-y-2">
+          <div className="whitespace-pre-wrap text-sm text-gray-800">{result.answer}</div>
+          {Array.isArray(result.citations) && result.citations.length > 0 && (
+            <div className="text-xs text-gray-500">
+              Sources:{' '}
+              {result.citations.map((c, i) => (
+                <span key={c.id || i}>
+                  {i > 0 ? ' · ' : ''}
+                  {c.url ? <a href={c.url} target="_blank" rel="noopener noreferrer" className="underline">{c.title}</a> : c.title}
+                </span>
+              ))}
+            </div>
+          )}
+          {result.qaId && (
+            <div className="flex flex-col gap-2 pt-1">
+              <div className="flex items-center gap-2 text-sm">
+                <span className="text-gray-600">Did this help?</span>
+                <button type="button" onClick={() => send('up')} className={`px-2 py-0.5 rounded border ${rating === 'up' ? 'bg-green-100 border-green-400' : ''}`} aria-label="Helpful">👍</button>
+                <button type="button" onClick={() => send('down')} className={`px-2 py-0.5 rounded border ${rating === 'down' ? 'bg-red-100 border-red-400' : ''}`} aria-label="Not helpful">👎</button>
+                {feedbackState === 'sent' && <span className="text-xs text-green-700">Thanks for the feedback</span>}
+                {feedbackState === 'error' && <span className="text-xs text-red-600">Feedback not saved</span>}
+              </div>
+              {rating === 'down' && (
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={comment}
+                    onChange={(e) => setComment(e.target.value)}
+                    placeholder="What were you looking for? (optional)"
+                    className="flex-1 border border-gray-300 rounded px-2 py-1 text-sm"
+                    maxLength={2000}
+                  />
+                  <button type="button" onClick={() => send(null, true)} disabled={!comment.trim() || feedbackState === 'sending'} className="px-2.5 py-1 text-xs rounded border">
+                    Send
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -4,9 +4,10 @@ import Link from 'next/link';
 import { usePathname, useSearchParams } from 'next/navigation';
 import dynamic from 'next/dynamic';
 import { getEnvLabel, initializeClient, getClientProfile, getCurrentClientId, buildAuthUrl } from '../utils/clientUtils.js';
-import { MagnifyingGlassIcon, CalendarDaysIcon, UserPlusIcon, TrophyIcon, CogIcon, BookOpenIcon, QuestionMarkCircleIcon, PencilSquareIcon, CalendarIcon, UsersIcon, WrenchScrewdriverIcon, CreditCardIcon, SparklesIcon, EnvelopeIcon, MicrophoneIcon, HandRaisedIcon } from '@heroicons/react/24/outline';
+import { MagnifyingGlassIcon, CalendarDaysIcon, UserPlusIcon, TrophyIcon, CogIcon, BookOpenIcon, QuestionMarkCircleIcon, PencilSquareIcon, CalendarIcon, UsersIcon, WrenchScrewdriverIcon, CreditCardIcon, SparklesIcon, EnvelopeIcon, MicrophoneIcon, HandRaisedIcon, InboxArrowDownIcon } from '@heroicons/react/24/outline';
 import ClientCodeEntry from './ClientCodeEntry';
 import UploadEmailsModal from './UploadEmailsModal';
+import { getLeadMatchReviewCount } from '../services/api';
 
 // Lazy-load the help panel to keep initial bundle lean
 const ContextHelpPanel = dynamic(() => import('./ContextHelpPanel'), { ssr: false });
@@ -122,6 +123,7 @@ const Layout = ({ children }) => {
   const [helpOpen, setHelpOpen] = useState(false);
   const [helpAreaOverride, setHelpAreaOverride] = useState(null);
   const [uploadEmailsOpen, setUploadEmailsOpen] = useState(false);
+  const [matchReviewCount, setMatchReviewCount] = useState(0);
   const { isInitialized, error } = useClientInitialization();
   
   // Get client param for Calendar Booking link
@@ -165,6 +167,14 @@ const Layout = ({ children }) => {
     }
   }, [isInitialized, error]);
 
+  // Emails / meeting notes waiting for the coach to pick the lead (link only shows when there are some)
+  useEffect(() => {
+    if (!isInitialized || error) return;
+    let active = true;
+    getLeadMatchReviewCount().then(n => { if (active) setMatchReviewCount(n); });
+    return () => { active = false; };
+  }, [isInitialized, error, pathname]);
+
   // Init state
   if (!isInitialized) {
     return (
@@ -280,6 +290,21 @@ const Layout = ({ children }) => {
                 <UsersIcon className="h-5 w-5" />
                 <span className="hidden sm:inline">My Coached Clients</span>
               </Link>
+
+              {/* Match Review Link - only while something is waiting */}
+              {(matchReviewCount > 0 || pathname?.startsWith('/match-review')) && (
+                <Link
+                  href={buildAuthUrl('/match-review')}
+                  className="inline-flex items-center gap-2 px-3 py-2 text-sm font-medium text-orange-600 bg-orange-50 hover:bg-orange-100 rounded-lg transition-colors"
+                  title="Emails and meeting notes waiting for you to pick the lead"
+                >
+                  <InboxArrowDownIcon className="h-5 w-5" />
+                  <span className="hidden sm:inline">Match Review</span>
+                  {matchReviewCount > 0 && (
+                    <span className="px-1.5 py-0.5 text-xs rounded-full bg-orange-600 text-white">{matchReviewCount}</span>
+                  )}
+                </Link>
+              )}
               
               {/* Smart Follow-ups, Upload Emails, Owner — Guy-Wilson only */}
               {getCurrentClientId() === 'Guy-Wilson' && (
@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import HelpButton from './HelpButton';
 import LeadDetailForm from './LeadDetailForm';
-import { generateSmartFollowupStory, getUpcomingMeetingWithLead, getRecallTranscriptsForLead } from '../services/api';
+import { generateSmartFollowupStory, getUpcomingMeetingWithLead, getRecallTranscriptsForLead, getLeadScoreExplanation, downloadLeadMeetingsIcs, getLeadAttachments, searchLeadAttachments, downloadLeadAttachment } from '../services/api';
 
 const LeadDetailModal = ({ 
   lead, 
@@ -18,10 +18,22 @@ const LeadDetailModal = ({
   const [upcomingMeeting, setUpcomingMeeting] = useState(null);
   const [upcomingMeetingLoading, setUpcomingMeetingLoading] = useState(false);
   const [upcomingMeetingError, setUpcomingMeetingError] = useState(null);
+  const [icsDownloading, setIcsDownloading] = useState(false);
+  const [icsError, setIcsError] = useState(null);
   const [transcripts, setTranscripts] = useState([]);
   const [transcriptsOpen, setTranscriptsOpen] = useState(false);
   const [transcriptsLoading, setTranscriptsLoading] = useState(false);
   const [copiedIdx, setCopiedIdx] = useState(null);
+  const [scoreExplanation, setScoreExplanation] = useState(null);
+  const [scoreExplanationOpen, setScoreExplanationOpen] = useState(false);
+  const [scoreExplanationLoading, setScoreExplanationLoading] = useState(false);
+  const [scoreExplanationError, setScoreExplanationError] = useState(null);
+  const [attachments, setAttachments] = useState(null);
+  const [attachmentsOpen, setAttachmentsOpen] = useState(false);
+  const [attachmentsLoading, setAttachmentsLoading] = useState(false);
+  const [attachmentsError, setAttachmentsError] = useState(null);
+  const [attachmentQuery, setAttachmentQuery] = useState('');
+  const [attachmentMatches, setAttachmentMatches] = useState(null);
   // Fix hydration issues by only rendering on client side
   useEffect(() => {
     setIsMounted(true);
@@ -36,6 +48,14 @@ const LeadDetailModal = ({
       setUpcomingMeetingError(null);
       setTranscripts([]);
       setTranscriptsOpen(false);
+      setScoreExplanation(null);
+      setScoreExplanationOpen(false);
+      setScoreExplanationError(null);
+      setAttachments(null);
+      setAttachmentsOpen(false);
+      setAttachmentsError(null);
+      setAttachmentQuery('');
+      setAttachmentMatches(null);
     }
   }, [isOpen, lead?.id]);
 
@@ -172,6 +192,19 @@ const LeadDetailModal = ({
     }
   };
 
+  const handleDownloadIcs = async () => {
+    if (!lead?.id) return;
+    setIcsDownloading(true);
+    setIcsError(null);
+    try {
+      await downloadLeadMeetingsIcs(lead.id);
+    } catch (err) {
+      setIcsError('Download failed');
+    } finally {
+      setIcsDownloading(false);
+    }
+  };
+
   const handleLoadTranscripts = async () => {
     const leadId = lead?.id || lead?.['Profile Key'];
     if (!leadId) return;
@@ -182,6 +215,64 @@ const LeadDetailModal = ({
     if (r.transcripts?.length) setTranscriptsOpen(true);
   };
 
+  const handleLoadAttachments = async () => {
+    const leadId = lead?.id || lead?.['Profile Key'];
+    if (!leadId) return;
+    setAttachmentsLoading(true);
+    setAttachmentsError(null);
+    try {
+      setAttachments(await getLeadAttachments(leadId));
+      setAttachmentsOpen(true);
+    } catch (err) {
+      setAttachmentsError(err.message || 'Failed to load attachments');
+    } finally {
+      setAttachmentsLoading(false);
+    }
+  };
+
+  const handleSearchAttachments = async (e) => {
+    e.preventDefault();
+    const q = attachmentQuery.trim();
+    if (q.length < 2) {
+      setAttachmentMatches(null);
+      return;
+    }
+    setAttachmentsError(null);
+    try {
+      setAttachmentMatches(await searchLeadAttachments(q, lead?.id || lead?.['Profile Key']));
+    } catch (err) {
+      setAttachmentsError(err.message || 'Search failed');
+    }
+  };
+
+  const handleDownloadAttachment = async (a) => {
+    try {
+      await downloadLeadAttachment(a.id, a.filename);
+    } catch (err) {
+      setAttachmentsError(`Could not download ${a.filename}`);
+    }
+  };
+
+  const formatBytes = (n) => (n >= 1024 * 1024 ? `${(n / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round((n || 0) / 1024))} KB`);
+
+  const handleLoadScoreExplanation = async () => {
+    const leadId = lead?.id || lead?.['Profile Key'];
+    if (!leadId) return;
+    setScoreExplanationLoading(true);
+    setScoreExplanationError(null);
+    try {
+      setScoreExplanation(await getLeadScoreExplanation(leadId));
+      setScoreExplanationOpen(true);
+    } catch (err) {
+      setScoreExplanationError(err.message || 'Failed to load score explanation');
+    } finally {
+      setScoreExplanationLoading(false);
+    }
+  };
+
+  const fmtPoints = (n) => (typeof n === 'number' ? (Math.round(n * 100) / 100).toString() : '—');
+  const fmtDelta = (n) => (n > 0 ? `+${fmtPoints(n)}` : fmtPoints(n));
+
   const handleCopyTranscript = (text, idx) => {
     navigator.clipboard.writeText(text).then(() => {
       setCopiedIdx(idx);
@@ -279,6 +370,17 @@ const LeadDetailModal = ({
                       <span className="text-sm text-emerald-900">{upcomingMeeting.summary} — {upcomingMeeting.displayDate}</span>
                     </div>
                   )}
+                  {upcomingMeeting && lead?.id && (
+                    <button
+                      type="button"
+                      onClick={handleDownloadIcs}
+                      disabled={icsDownloading}
+                      className="ml-auto text-xs font-medium text-emerald-700 hover:text-emerald-900 disabled:text-gray-400"
+                      title="Download this lead's meetings for Apple / Outlook calendars"
+                    >
+                      {icsDownloading ? 'Downloading…' : (icsError || 'Download .ics')}
+                    </button>
+                  )}
                 </div>
               )}
 
@@ -426,6 +528,168 @@ const LeadDetailModal = ({
               )}
             </div>
 
+            {/* Email attachments — files that came in on BCC / notetaker emails */}
+            <div className="border-t border-gray-100 pt-3">
+              <div className="flex items-center gap-3">
+                <button
+                  type="button"
+                  onClick={() => {
+                    if (attachments === null) handleLoadAttachments();
+                    else setAttachmentsOpen(o => !o);
+                  }}
+                  className="text-sm font-medium text-teal-700 hover:text-teal-900"
+                >
+                  {attachmentsLoading ? 'Loading…' : attachmentsOpen ? 'Hide attachments' : 'Email attachments'}
+                  {!attachmentsLoading && <span className="ml-1 text-xs opacity-70">{attachmentsOpen ? '▲' : '▼'}</span>}
+                </button>
+                {attachments && attachments.length > 0 && !attachmentsOpen && (
+                  <span className="text-xs text-gray-400">{attachments.length} file{attachments.length !== 1 ? 's' : ''}</span>
+                )}
+                {attachmentsError && <span className="text-xs text-amber-700">{attachmentsError}</span>}
+              </div>
+              {attachmentsOpen && attachments && attachments.length > 0 && (
+                <div className="mt-3 space-y-2">
+                  <form onSubmit={handleSearchAttachments} className="flex gap-2">
+                    <input
+                      type="text"
+                      value={attachmentQuery}
+                      onChange={(e) => setAttachmentQuery(e.target.value)}
+                      placeholder="Search inside PDFs and Word docs…"
+                      className="flex-1 text-sm border border-gray-200 rounded-md px-2 py-1 focus:outline-none focus:ring-1 focus:ring-teal-500"
+                    />
+                    <button type="submit" className="text-xs px-2.5 py-1 rounded-md bg-teal-600 text-white font-medium hover:bg-teal-700">
+                      Search
+                    </button>
+                  </form>
+                  {attachmentMatches && attachmentMatches.length === 0 && (
+                    <p className="text-xs text-gray-400">No attachment mentions &quot;{attachmentQuery.trim()}&quot;.</p>
+                  )}
+                  {(attachmentMatches || attachments).map((a) => (
+                    <div key={`${a.id}-${a.linkedAt}`} className="border border-gray-100 rounded-lg bg-gray-50/60 p-3">
+                      <div className="flex items-center justify-between gap-2">
+                        <div className="min-w-0">
+                          <span className="text-sm font-medium text-gray-900 break-all">📎 {a.filename}</span>
+                          <span className="text-xs text-gray-400 ml-2">
+                            {formatBytes(a.size)}
+                            {a.contentType ? ` · ${a.contentType}` : ''}
+                            {a.linkedAt ? ` · ${new Date(a.linkedAt).toLocaleDateString('en-AU', { day: 'numeric', month: 'short', year: 'numeric' })}` : ''}
+                          </span>
+                        </div>
+                        <button
+                          type="button"
+                          onClick={() => handleDownloadAttachment(a)}
+                          className="text-xs px-2.5 py-1 rounded-md bg-teal-600 text-white font-medium hover:bg-teal-700 shrink-0"
+                        >
+                          Download
+                        </button>
+                      </div>
+                      {(a.snippet || a.textPreview) && (
+                        <p className="text-xs text-gray-600 mt-2 leading-relaxed line-clamp-3">{a.snippet || a.textPreview}</p>
+                      )}
+                      {a.textStatus && a.textStatus !== 'extracted' && (
+                        <p className="text-xs text-gray-400 mt-1 italic">Not searchable ({a.textStatus === 'unsupported' ? 'file type' : a.textStatus})</p>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+              {attachmentsOpen && attachments && attachments.length === 0 && (
+                <p className="text-xs text-gray-400 mt-2">No attachments yet — files on emails you BCC to your tracking address show up here.</p>
+              )}
+            </div>
+
+            {/* Why this score? — per-attribute audit trail */}
+            <div className="border-t border-gray-100 pt-3">
+              <div className="flex items-center gap-3">
+                <button
+                  type="button"
+                  onClick={() => {
+                    if (!scoreExplanation) handleLoadScoreExplanation();
+                    else setScoreExplanationOpen(o => !o);
+                  }}
+                  className="text-sm font-medium text-blue-700 hover:text-blue-900"
+                >
+                  {scoreExplanationLoading ? 'Loading…' : scoreExplanationOpen ? 'Hide score explanation' : 'Why this score?'}
+                  {!scoreExplanationLoading && <span className="ml-1 text-xs opacity-70">{scoreExplanationOpen ? '▲' : '▼'}</span>}
+                </button>
+                {scoreExplanation?.rubricChangedSinceScored && (
+                  <span className="text-xs text-amber-800 bg-amber-50 border border-amber-200 rounded-full px-2 py-0.5">
+                    Rubric changed since this score
+                  </span>
+                )}
+                {scoreExplanationError && (
+                  <span className="text-xs text-amber-700">{scoreExplanationError}</span>
+                )}
+              </div>
+              {scoreExplanationOpen && scoreExplanation && (
+                <div className="mt-3 space-y-3">
+                  {scoreExplanation.current ? (
+                    <>
+                      <div className="text-sm text-gray-800">
+                        <span className="font-semibold">{fmtPoints(scoreExplanation.current.percentage)}%</span>
+                        {' '}= {fmtPoints(scoreExplanation.current.rawScore)} of {fmtPoints(scoreExplanation.current.denominator)} weighted points
+                        <span className="text-xs text-gray-400 ml-2">
+                          {scoreExplanation.current.createdAt && new Date(scoreExplanation.current.createdAt).toLocaleDateString('en-AU', { day: 'numeric', month: 'short', year: 'numeric' })}
+                          {scoreExplanation.current.model && ` · ${scoreExplanation.current.model}`}
+                          {scoreExplanation.current.rubricHash && ` · rubric ${scoreExplanation.current.rubricHash}`}
+                        </span>
+                      </div>
+
+                      {scoreExplanation.sinceLastScore && (
+                        <div className="text-xs text-gray-700 bg-gray-50 border border-gray-200 rounded-md px-3 py-2">
+                          <span className="font-semibold">Since the previous scoring: </span>
+                          {fmtDelta(scoreExplanation.sinceLastScore.percentageDelta)}%
+                          {scoreExplanation.sinceLastScore.rubricChanged ? ' — the rubric changed in between' : ' — same rubric'}
+                          {scoreExplanation.sinceLastScore.attributes.length > 0 && (
+                            <span>
+                              {' · '}
+                              {scoreExplanation.sinceLastScore.attributes.map(a => (
+                                `${a.id} ${a.change === 'added' ? 'added' : a.change === 'removed' ? 'removed' : `${fmtPoints(a.from)}→${fmtPoints(a.to)}`}`
+                              )).join(', ')}
+                            </span>
+                          )}
+                        </div>
+                      )}
+
+                      <table className="w-full text-xs border border-gray-100 rounded">
+                        <thead className="bg-gray-50 text-gray-500">
+                          <tr>
+                            <th className="text-left px-2 py-1">Attribute</th>
+                            <th className="text-right px-2 py-1 whitespace-nowrap">Points</th>
+                            <th className="text-left px-2 py-1">Why</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {scoreExplanation.current.attributes.map(a => (
+                            <tr key={a.id} className={`border-t border-gray-100 ${a.kind === 'negative' && a.points ? 'bg-red-50/50' : ''}`}>
+                              <td className="px-2 py-1 align-top">
+                                <span className="font-medium text-gray-900">{a.id}</span>
+                                <span className="text-gray-600"> {a.label}</span>
+                                {a.bonus && <span className="ml-1 text-[10px] text-purple-700 bg-purple-50 rounded px-1">bonus ×{a.weight}</span>}
+                              </td>
+                              <td className="px-2 py-1 align-top text-right whitespace-nowrap text-gray-800">
+                                {a.unscored ? <span className="text-gray-400">unscored</span> : `${fmtPoints(a.points)} / ${fmtPoints(a.maxPoints)}`}
+                              </td>
+                              <td className="px-2 py-1 align-top text-gray-600">{a.reason || <span className="text-gray-400">—</span>}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </>
+                  ) : scoreExplanation.legacyBreakdown ? (
+                    <div>
+                      <p className="text-xs text-gray-500 mb-1">Scored before the audit trail existed — showing the saved breakdown. Rescore the lead for a full explanation.</p>
+                      <pre className="text-xs text-gray-700 whitespace-pre-wrap font-sans leading-relaxed max-h-60 overflow-y-auto bg-gray-50 border border-gray-100 rounded p-2">
+                        {scoreExplanation.legacyBreakdown}
+                      </pre>
+                    </div>
+                  ) : (
+                    <p className="text-xs text-gray-400">This lead hasn&apos;t been scored yet.</p>
+                  )}
+                </div>
+              )}
+            </div>
+
             <LeadDetailForm
               lead={{
                 id: lead.id || lead['Profile Key'],
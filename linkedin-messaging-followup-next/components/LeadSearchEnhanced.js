@@ -4,7 +4,9 @@ import HelpButton from './HelpButton';
 import SearchTermsField from './SearchTermsField';
 import LeadSearchTableDirect from './LeadSearchTableDirect';
 import { formatLinkedInUrl, generateProfileKey } from '../utils/helpers';
-import { getLeadByLinkedInUrl } from '../services/api';
+import { getLeadByLinkedInUrl, listSavedSearches, saveSearch, deleteSavedSearch, getExportSchedules } from '../services/api';
+import ScheduledExports from './ScheduledExports';
+import DuplicateLeads from './DuplicateLeads';
 import { getCurrentClientId, getCurrentPortalToken, getCurrentDevKey } from '../utils/clientUtils';
 
 // (Former flag gate removed)
@@ -27,6 +29,14 @@ const LeadSearchEnhanced = ({
   const [linkedinLookupError, setLinkedinLookupError] = useState('');
   const [priority, setPriority] = useState('all');
   const [searchTerms, setSearchTerms] = useState('');
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [activeSavedSearchId, setActiveSavedSearchId] = useState('');
+  const [savedSearchError, setSavedSearchError] = useState('');
+  const [exportColumns, setExportColumns] = useState([]); // [] = server default columns
+  const [columnCatalog, setColumnCatalog] = useState(null);
+  const [showColumnChooser, setShowColumnChooser] = useState(false);
+  const [showSchedules, setShowSchedules] = useState(false);
+  const [showDuplicates, setShowDuplicates] = useState(false);
 
   // Export modal state
   const [isExportOpen, setIsExportOpen] = useState(false);
@@ -73,12 +83,15 @@ const LeadSearchEnhanced = ({
     setExportRunning(false);
   };
 
-  // Handle CSV export - download all matching leads with selected fields
-  const handleCSVExport = async () => {
+  const FILE_FORMAT_LABELS = { csv: 'CSV', xlsx: 'Excel', vcf: 'vCard' };
+
+  // Handle complete-file export (CSV / XLSX / vCard) - download all matching leads with the chosen columns
+  const handleFileExport = async (fileFormat = 'csv') => {
+    const formatLabel = FILE_FORMAT_LABELS[fileFormat] || fileFormat.toUpperCase();
     // Show preparing message with approximate count
     const confirmMessage = totalLeads > 0 
-      ? `Preparing to export ${totalLeads} lead${totalLeads !== 1 ? 's' : ''} to CSV...`
-      : 'Preparing to export leads to CSV...';
+      ? `Preparing to export ${totalLeads} lead${totalLeads !== 1 ? 's' : ''} to ${formatLabel}...`
+      : `Preparing to export leads to ${formatLabel}...`;
     
     // Show non-blocking notification
     const notification = document.createElement('div');
@@ -87,14 +100,15 @@ const LeadSearchEnhanced = ({
     document.body.appendChild(notification);
     
     try {
-      // Use the same /leads/export endpoint as emails/phones but with type=csv
+      // Use the same /leads/export endpoint as emails/phones but with type=csv (all fields)
       const apiBase = getApiBase();
       const p = new URLSearchParams();
       if (nameSearch) p.set('q', nameSearch);
       if (priority !== 'all') p.set('priority', priority);
       if (searchTerms) p.set('searchTerms', searchTerms);
-      p.set('type', 'csv'); // New type that returns all fields
-      p.set('format', 'csv');
+      p.set('type', 'csv');
+      p.set('format', fileFormat);
+      if (exportColumns.length && fileFormat !== 'vcf') p.set('columns', exportColumns.join(','));
       
       // Add clientId for authentication - try getCurrentClientId first, then URL params
       let clientId = getCurrentClientId();
@@ -121,10 +135,11 @@ const LeadSearchEnhanced = ({
       const res = await fetch(url, { credentials: 'include', headers });
       
       if (!res.ok) {
-        throw new Error(`Failed to export: ${res.status}`);
+        const body = await res.json().catch(() => ({}));
+        throw new Error(body.error || `Failed to export: ${res.status}`);
       }
       
-      // Get the CSV blob directly from response
+      // Get the file blob directly from response
       const blob = await res.blob();
       const downloadUrl = URL.createObjectURL(blob);
       
@@ -134,7 +149,7 @@ const LeadSearchEnhanced = ({
       // Trigger download
       const link = document.createElement('a');
       link.setAttribute('href', downloadUrl);
-      link.setAttribute('download', `leads-export-${new Date().toISOString().slice(0, 10)}.csv`);
+      link.setAttribute('download', `leads-export-${new Date().toISOString().slice(0, 10)}.${fileFormat}`);
       link.style.visibility = 'hidden';
       document.body.appendChild(link);
       link.click();
@@ -142,17 +157,34 @@ const LeadSearchEnhanced = ({
       URL.revokeObjectURL(downloadUrl);
 
       // Update notification to success
-      notification.textContent = `✓ Exported ${totalRows} lead${totalRows !== 1 ? 's' : ''} to CSV`;
+      notification.textContent = `✓ Exported ${totalRows} ${fileFormat === 'vcf' ? 'contact' : 'lead'}${totalRows !== 1 ? 's' : ''} to ${formatLabel}`;
       notification.style.background = '#10b981';
       setTimeout(() => document.body.removeChild(notification), 3000);
     } catch (error) {
-      console.error('CSV export error:', error);
+      console.error(`${formatLabel} export error:`, error);
       notification.textContent = `✗ Export failed: ${error.message}`;
       notification.style.background = '#ef4444';
       setTimeout(() => document.body.removeChild(notification), 5000);
     }
   };
 
+  const toggleColumnChooser = async () => {
+    const opening = !showColumnChooser;
+    setShowColumnChooser(opening);
+    if (opening && !columnCatalog) {
+      try {
+        const data = await getExportSchedules();
+        setColumnCatalog(data.columns || []);
+      } catch (error) {
+        setColumnCatalog([]);
+      }
+    }
+  };
+
+  const toggleExportColumn = (key) => {
+    setExportColumns(cols => (cols.includes(key) ? cols.filter(c => c !== key) : [...cols, key]));
+  };
+
   // Handle name search change
   const handleNameSearchChange = async (e) => {
     const value = e.target.value;
@@ -232,6 +264,55 @@ const LeadSearchEnhanced = ({
     }
   };
 
+  // Saved searches: load once; applying one replaces all three filters
+  useEffect(() => {
+    listSavedSearches().then(setSavedSearches).catch(() => {});
+  }, []);
+
+  const handleSavedSearchSelect = (e) => {
+    const id = e.target.value;
+    setActiveSavedSearchId(id);
+    setSavedSearchError('');
+    const saved = savedSearches.find(s => String(s.id) === id);
+    if (!saved) return;
+    setNameSearch(saved.query || '');
+    setPriority(saved.priority || 'all');
+    setSearchTerms(saved.searchTerms || '');
+    if (onSearch) {
+      onSearch({
+        nameQuery: saved.query || '',
+        priority: saved.priority || 'all',
+        searchTerms: saved.searchTerms || ''
+      });
+    }
+  };
+
+  const handleSaveCurrentSearch = async () => {
+    const current = savedSearches.find(s => String(s.id) === activeSavedSearchId);
+    const name = window.prompt('Name this search', current ? current.name : '');
+    if (!name || !name.trim()) return;
+    setSavedSearchError('');
+    try {
+      const saved = await saveSearch({ name: name.trim(), query: nameSearch, searchTerms, priority });
+      setSavedSearches(await listSavedSearches());
+      setActiveSavedSearchId(String(saved.id));
+    } catch (error) {
+      setSavedSearchError(error.message);
+    }
+  };
+
+  const handleDeleteSavedSearch = async () => {
+    const current = savedSearches.find(s => String(s.id) === activeSavedSearchId);
+    if (!current || !window.confirm(`Delete saved search "${current.name}"?`)) return;
+    try {
+      await deleteSavedSearch(current.id);
+      setSavedSearches(savedSearches.filter(s => s.id !== current.id));
+      setActiveSavedSearchId('');
+    } catch (error) {
+      setSavedSearchError(error.message);
+    }
+  };
+
   // Helpers for export
   const getApiBase = () => {
     const rawBase = process.env.NEXT_PUBLIC_API_BASE_URL || 'http://localhost:3001/api/linkedin';
@@ -667,7 +748,7 @@ const LeadSearchEnhanced = ({
               <input
                 type="text"
                 className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
-                placeholder="Name, email, or LinkedIn URL..."
+                placeholder="Name, email, LinkedIn URL, or company:Acme score:>60"
                 value={nameSearch}
                 onChange={handleNameSearchChange}
               />
@@ -727,9 +808,52 @@ const LeadSearchEnhanced = ({
               Priority: {priority}
             </span>
           )}
+          <div className="ml-auto flex items-center gap-2">
+            <select
+              value={activeSavedSearchId}
+              onChange={handleSavedSearchSelect}
+              className="px-2 py-1 border border-gray-300 rounded-md text-xs bg-white"
+            >
+              <option value="">Saved searches…</option>
+              {savedSearches.map(s => (
+                <option key={s.id} value={String(s.id)}>{s.name}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleSaveCurrentSearch}
+              disabled={!nameSearch && !searchTerms && priority === 'all'}
+              className="px-2 py-1 border border-gray-300 rounded-md text-xs text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              Save search
+            </button>
+            {activeSavedSearchId && (
+              <button
+                onClick={handleDeleteSavedSearch}
+                className="px-2 py-1 border border-gray-300 rounded-md text-xs text-red-700 bg-white hover:bg-red-50"
+              >
+                Delete
+              </button>
+            )}
+            <button
+              onClick={() => setShowDuplicates(v => !v)}
+              className="px-2 py-1 border border-gray-300 rounded-md text-xs text-gray-700 bg-white hover:bg-gray-50"
+            >
+              Find duplicates…
+            </button>
+          </div>
         </div>
+        {savedSearchError && (
+          <div className="mt-2 text-xs text-red-600">{savedSearchError}</div>
+        )}
       </div>
 
+      {showDuplicates && (
+        <DuplicateLeads
+          onMerged={() => onSearch && onSearch({ nameQuery: nameSearch, priority, searchTerms })}
+          onClose={() => setShowDuplicates(false)}
+        />
+      )}
+
       {/* Results Table */}
       <div className="space-y-4">
         {/* Bulk Export Actions */}
@@ -768,7 +892,7 @@ const LeadSearchEnhanced = ({
                   Export LinkedIn URLs…
                 </button>
                 <button
-                  onClick={() => handleCSVExport()}
+                  onClick={() => handleFileExport('csv')}
                   className="inline-flex items-center px-3 py-1.5 border border-gray-300 rounded-md text-xs font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
                 >
                   <svg className="w-3 h-3 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -776,11 +900,70 @@ const LeadSearchEnhanced = ({
                   </svg>
                   Export All to CSV
                 </button>
+                <button
+                  onClick={() => handleFileExport('xlsx')}
+                  className="inline-flex items-center px-3 py-1.5 border border-gray-300 rounded-md text-xs font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                >
+                  Excel
+                </button>
+                <button
+                  onClick={() => handleFileExport('vcf')}
+                  title="Contact cards for leads with a phone or email (phone / Outlook import)"
+                  className="inline-flex items-center px-3 py-1.5 border border-gray-300 rounded-md text-xs font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                >
+                  vCard
+                </button>
+                <button
+                  onClick={toggleColumnChooser}
+                  className="inline-flex items-center px-3 py-1.5 border border-gray-300 rounded-md text-xs font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                >
+                  Columns{exportColumns.length ? ` (${exportColumns.length})` : ''}…
+                </button>
+                <button
+                  onClick={() => setShowSchedules(v => !v)}
+                  className="inline-flex items-center px-3 py-1.5 border border-gray-300 rounded-md text-xs font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                >
+                  Schedule…
+                </button>
               </div>
             </div>
+            {showColumnChooser && (
+              <div className="mt-3 border-t border-gray-200 pt-3">
+                <div className="flex items-center justify-between mb-2">
+                  <span className="text-xs text-gray-600">
+                    Columns for CSV / Excel exports, in the order ticked{exportColumns.length ? '' : ' (none ticked = all standard columns)'}
+                  </span>
+                  {exportColumns.length > 0 && (
+                    <button onClick={() => setExportColumns([])} className="text-xs text-blue-600 hover:underline">Reset</button>
+                  )}
+                </div>
+                {columnCatalog === null ? (
+                  <div className="text-xs text-gray-500">Loading columns…</div>
+                ) : (
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-1">
+                    {columnCatalog.map(c => (
+                      <label key={c.key} className="flex items-center gap-1 text-xs text-gray-700">
+                        <input type="checkbox" checked={exportColumns.includes(c.key)} onChange={() => toggleExportColumn(c.key)} />
+                        {c.label}
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
           </div>
         )}
 
+        {showSchedules && (
+          <ScheduledExports
+            query={nameSearch}
+            searchTerms={searchTerms}
+            priority={priority}
+            columns={exportColumns}
+            onClose={() => setShowSchedules(false)}
+          />
+        )}
+
   <LeadSearchTableDirect
           leads={leads}
           totalLeads={totalLeads}
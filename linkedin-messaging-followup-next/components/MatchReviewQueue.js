@@ -0,0 +1,203 @@
+"use client";
+// Match review queue (/match-review). BCC-to-CRM emails and meeting notes where the backend
+// wasn't sure which lead they belong to — two leads with the same name, a first name at a
+// company, a company domain only. Each review lists the scored candidates; one click on
+// "This one" files every waiting email to that lead and remembers the email address for next
+// time. Backend: /api/lead-match-reviews (services/leadMatchReviewService.js).
+import React, { useState, useEffect } from 'react';
+import { getLeadMatchReviews, resolveLeadMatchReview, dismissLeadMatchReview } from '../services/api';
+
+const SOURCE_LABELS = {
+  bcc: 'BCC email',
+  forward: 'Forwarded email',
+  notetaker: 'Meeting notes',
+  add_to: 'Meeting notes (Add to)'
+};
+
+const FILTERS = [
+  { value: 'pending', label: 'Waiting' },
+  { value: 'resolved', label: 'Filed' },
+  { value: 'dismissed', label: 'Dismissed' },
+  { value: 'all', label: 'Everything' }
+];
+
+// Who the email / meeting was about, in the coach's words
+const describe = (r) => {
+  const s = r.signals || {};
+  if (s.name && s.email) return `${s.name} <${s.email}>`;
+  if (s.name) return s.company ? `${s.name} (${s.company})` : s.name;
+  if (s.firstName) return `${s.firstName} at ${s.company}`;
+  return s.email || `someone at ${s.company}`;
+};
+
+const scoreColour = (score) =>
+  score >= 70 ? 'bg-green-100 text-green-800' : score >= 45 ? 'bg-amber-100 text-amber-800' : 'bg-gray-100 text-gray-700';
+
+const when = (iso) => (iso ? new Date(iso).toLocaleString() : '');
+
+function ReviewCard({ review, busy, onPick, onDismiss }) {
+  const ctx = review.context || {};
+  const pending = review.status === 'pending';
+  return (
+    <li className="bg-white border border-gray-200 rounded-lg p-4 space-y-3">
+      <div className="flex flex-wrap items-start justify-between gap-2">
+        <div>
+          <div className="text-sm font-medium text-gray-900">{describe(review)}</div>
+          <div className="text-xs text-gray-500">
+            {SOURCE_LABELS[review.source] || review.source}
+            {ctx.provider ? ` · ${ctx.provider}` : ''}
+            {ctx.subject ? ` · “${ctx.subject}”` : ''}
+            {' · '}{when(review.createdAt)}
+            {review.auditIds.length > 1 ? ` · ${review.auditIds.length} emails waiting` : ''}
+          </div>
+          {ctx.meetingLink && (
+            <a href={ctx.meetingLink} target="_blank" rel="noopener noreferrer" className="text-xs text-blue-600 hover:underline">
+              Open meeting
+            </a>
+          )}
+        </div>
+        {pending && (
+          <button
+            onClick={() => onDismiss(review)}
+            disabled={busy}
+            className="text-xs text-gray-500 hover:text-gray-700 disabled:opacity-50"
+            title="None of these — don't file it anywhere"
+          >
+            None of these
+          </button>
+        )}
+      </div>
+
+      <ul className="space-y-2">
+        {review.candidates.map((c) => {
+          const chosen = review.chosenLeadId === c.leadId;
+          return (
+            <li
+              key={c.leadId}
+              className={`flex flex-wrap items-center gap-3 p-2 rounded border text-xs ${chosen ? 'border-green-300 bg-green-50' : 'border-gray-100'}`}
+            >
+              <span className={`px-1.5 py-0.5 rounded font-medium ${scoreColour(c.score)}`} title="Match confidence">
+                {c.score}
+              </span>
+              <div className="flex-1 min-w-[12rem]">
+                <div className="font-medium text-gray-900">{c.name || c.email || c.leadId}</div>
+                <div className="text-gray-600">{[c.company, c.email].filter(Boolean).join(' · ') || '—'}</div>
+                {c.reasons?.length > 0 && <div className="text-gray-500">{c.reasons.join(' · ')}</div>}
+              </div>
+              {c.linkedinUrl && (
+                <a href={c.linkedinUrl} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                  LinkedIn
+                </a>
+              )}
+              {pending ? (
+                <button
+                  onClick={() => onPick(review, c)}
+                  disabled={busy}
+                  className="px-3 py-1 rounded bg-blue-600 text-white font-medium hover:bg-blue-700 disabled:opacity-50"
+                >
+                  This one
+                </button>
+              ) : chosen ? (
+                <span className="text-green-700 font-medium">Filed here</span>
+              ) : null}
+            </li>
+          );
+        })}
+      </ul>
+    </li>
+  );
+}
+
+export default function MatchReviewQueue() {
+  const [status, setStatus] = useState('pending');
+  const [reviews, setReviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [busyId, setBusyId] = useState(null);
+
+  const load = async (which = status) => {
+    setLoading(true);
+    setError('');
+    try {
+      setReviews(await getLeadMatchReviews(which));
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => { load(status); }, [status]);
+
+  const handlePick = async (review, candidate) => {
+    setBusyId(review.id);
+    setError('');
+    setNotice('');
+    try {
+      const resolved = await resolveLeadMatchReview(review.id, candidate.leadId);
+      const replays = resolved.outcome?.replays || [];
+      const failed = replays.filter(r => r.status === 'error' || r.status === 'not_found').length;
+      setNotice(`Filed to ${candidate.name || 'that lead'}${replays.length ? ` (${replays.length - failed} of ${replays.length} email${replays.length === 1 ? '' : 's'} saved)` : ''}.`);
+      setReviews(list => status === 'pending' ? list.filter(r => r.id !== review.id) : list.map(r => r.id === review.id ? resolved : r));
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDismiss = async (review) => {
+    setBusyId(review.id);
+    setError('');
+    setNotice('');
+    try {
+      const dismissed = await dismissLeadMatchReview(review.id);
+      setReviews(list => status === 'pending' ? list.filter(r => r.id !== review.id) : list.map(r => r.id === review.id ? dismissed : r));
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Which lead is it?</h2>
+          <p className="text-sm text-gray-600">
+            Emails and meeting notes we couldn't confidently match. Pick the lead and we'll file them there.
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          {FILTERS.map(f => (
+            <button
+              key={f.value}
+              onClick={() => setStatus(f.value)}
+              className={`px-2 py-1 text-xs rounded ${status === f.value ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+            >
+              {f.label}
+            </button>
+          ))}
+          <button onClick={() => load()} disabled={loading} className="text-xs text-blue-600 hover:underline disabled:opacity-50">Refresh</button>
+        </div>
+      </div>
+
+      {error && <div className="p-2 bg-red-50 border border-red-200 rounded text-xs text-red-800">{error}</div>}
+      {notice && <div className="p-2 bg-green-50 border border-green-200 rounded text-xs text-green-800">{notice}</div>}
+
+      {loading ? (
+        <div className="text-sm text-gray-500">Loading…</div>
+      ) : reviews.length === 0 ? (
+        <div className="text-sm text-gray-500">{status === 'pending' ? 'Nothing waiting — every email found its lead.' : 'Nothing here.'}</div>
+      ) : (
+        <ul className="space-y-3">
+          {reviews.map(r => (
+            <ReviewCard key={r.id} review={r} busy={busyId === r.id} onPick={handlePick} onDismiss={handleDismiss} />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
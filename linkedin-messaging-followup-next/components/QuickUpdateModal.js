@@ -300,7 +300,7 @@ export default function QuickUpdateModal({
     
     const timeout = setTimeout(async () => {
       try {
-        const preview = await previewParse(noteContent, activeSection);
+        const preview = await previewParse(noteContent, activeSection, selectedLead?.linkedinProfileUrl || null);
         setParsePreview(preview);
       } catch (err) {
         console.error('Parse preview failed:', err);
@@ -309,7 +309,7 @@ export default function QuickUpdateModal({
     }, 500);
     
     return () => clearTimeout(timeout);
-  }, [noteContent, activeSection]);
+  }, [noteContent, activeSection, selectedLead?.linkedinProfileUrl]);
 
   // Auto-detect format and select section when content is pasted but no section selected
   useEffect(() => {
@@ -319,17 +319,10 @@ export default function QuickUpdateModal({
       try {
         // Try parsing as linkedin to detect format
         const preview = await previewParse(noteContent, 'linkedin');
-        if (preview?.detectedFormat) {
-          // Map detected format to section
-          const formatToSection = {
-            'linkedin_raw': 'linkedin',
-            'linkedin_aiblaze': 'linkedin',
-            'salesnav_raw': 'salesnav',
-            'salesnav_aiblaze': 'salesnav',
-            'email': 'email'
-          };
-          const section = formatToSection[preview.detectedFormat];
-          if (section) {
+        if (preview?.autoDetectedFormat) {
+          // autoDetectedFormat is already the section the detected format belongs in
+          const section = preview.autoDetectedFormat;
+          if (section !== 'manual') {
             console.log('🎯 Auto-selecting section based on detected format:', preview.detectedFormat, '→', section);
             setActiveSection(section);
             setParsePreview(preview);
@@ -1265,13 +1258,21 @@ export default function QuickUpdateModal({
                     <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
                   </svg>
                   <span>
-                    Detected: <strong>{parsePreview.detectedFormat}</strong>
+                    Detected: <strong>{parsePreview.formatLabel || parsePreview.detectedFormat}</strong>
+                    {typeof parsePreview.confidence === 'number' && (
+                      <span title={parsePreview.formatReason || ''}> ({Math.round(parsePreview.confidence * 100)}% {parsePreview.confidenceLevel})</span>
+                    )}
                     {parsePreview.messageCount > 0 && (
                       <span> · {parsePreview.messageCount} messages</span>
                     )}
+                    {parsePreview.attachmentCount > 0 && <span> · {parsePreview.attachmentCount} attachments</span>}
+                    {parsePreview.voiceNoteCount > 0 && <span> · {parsePreview.voiceNoteCount} voice notes</span>}
                     {parsePreview.usedAI && <span className="ml-2 text-xs bg-purple-100 text-purple-700 px-1.5 py-0.5 rounded">AI</span>}
                   </span>
                 </div>
+                {parsePreview.warnings?.map((warning) => (
+                  <div key={warning} className="mt-1 text-xs text-orange-700">{warning}</div>
+                ))}
               </div>
             )}
             
@@ -0,0 +1,169 @@
+"use client";
+// Scheduled exports (Lead Search → Export → Schedule…). Saves the CURRENT search filters as a
+// schedule that emails a file daily/weekly — e.g. weekly "new leads scoring 70+" as XLSX to the
+// coach. Backend: /api/linkedin/export-schedules (services/scheduledExportRunner.js sends them).
+import React, { useState, useEffect } from 'react';
+import { getExportSchedules, createExportSchedule, deleteExportSchedule, runExportSchedule } from '../services/api';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const FORMAT_LABELS = { xlsx: 'Excel (.xlsx)', csv: 'CSV', vcf: 'vCard (.vcf)' };
+
+const describeCadence = (s) => (s.cadence === 'weekly' ? `Weekly, ${WEEKDAYS[s.weekday] || ''}` : 'Daily');
+
+export default function ScheduledExports({ query = '', searchTerms = '', priority = 'all', columns = [], onClose }) {
+  const [schedules, setSchedules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [busyId, setBusyId] = useState(null);
+  const [form, setForm] = useState({
+    name: '', format: 'xlsx', cadence: 'weekly', weekday: 1, minScore: '', newOnly: true, recipient: ''
+  });
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const data = await getExportSchedules();
+        setSchedules(data.schedules || []);
+      } catch (e) {
+        setError(e.message);
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, []);
+
+  const set = (key) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm(f => ({ ...f, [key]: value }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+    setNotice('');
+    try {
+      const schedule = await createExportSchedule({
+        ...form,
+        weekday: Number(form.weekday),
+        minScore: form.minScore === '' ? null : Number(form.minScore),
+        query, searchTerms, priority,
+        columns: columns.length ? columns : null
+      });
+      setSchedules(s => [...s, schedule]);
+      setForm(f => ({ ...f, name: '' }));
+      setNotice(`Scheduled "${schedule.name}".`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRun = async (schedule) => {
+    setBusyId(schedule.id);
+    setError('');
+    setNotice('');
+    try {
+      const { result, schedule: updated } = await runExportSchedule(schedule.id);
+      if (updated) setSchedules(s => s.map(x => (x.id === updated.id ? updated : x)));
+      setNotice(result.status === 'sent'
+        ? `Sent ${result.rowCount} to ${result.recipient}.`
+        : 'No leads matched — nothing was sent.');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (schedule) => {
+    if (!window.confirm(`Delete scheduled export "${schedule.name}"?`)) return;
+    try {
+      await deleteExportSchedule(schedule.id);
+      setSchedules(s => s.filter(x => x.id !== schedule.id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const filterSummary = [query && `Search: ${query}`, searchTerms && `Terms: ${searchTerms}`, priority !== 'all' && `Priority: ${priority}`]
+    .filter(Boolean).join(' · ') || 'All leads';
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-medium text-gray-900">Scheduled exports</h3>
+        {onClose && (
+          <button onClick={onClose} className="text-xs text-gray-500 hover:text-gray-700">Close</button>
+        )}
+      </div>
+
+      {error && <div className="p-2 bg-red-50 border border-red-200 rounded text-xs text-red-800">{error}</div>}
+      {notice && <div className="p-2 bg-green-50 border border-green-200 rounded text-xs text-green-800">{notice}</div>}
+
+      {loading ? (
+        <div className="text-xs text-gray-500">Loading…</div>
+      ) : schedules.length === 0 ? (
+        <div className="text-xs text-gray-500">No scheduled exports yet.</div>
+      ) : (
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-1">Name</th><th>When</th><th>Format</th><th>To</th><th>Last sent</th><th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {schedules.map(s => (
+              <tr key={s.id} className="border-t border-gray-100">
+                <td className="py-1 font-medium text-gray-800">{s.name}</td>
+                <td>{describeCadence(s)}</td>
+                <td>{FORMAT_LABELS[s.format] || s.format}</td>
+                <td>{s.recipient || 'Coach'}</td>
+                <td>
+                  {s.lastRunAt ? new Date(s.lastRunAt).toLocaleDateString() : '—'}
+                  {s.lastStatus === 'failed' && <span className="ml-1 text-red-600" title={s.lastError || ''}>(failed)</span>}
+                </td>
+                <td className="text-right space-x-2">
+                  <button onClick={() => handleRun(s)} disabled={busyId === s.id} className="text-blue-600 hover:underline disabled:opacity-50">
+                    {busyId === s.id ? 'Sending…' : 'Send now'}
+                  </button>
+                  <button onClick={() => handleDelete(s)} className="text-red-600 hover:underline">Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <form onSubmit={handleCreate} className="border-t border-gray-200 pt-3 space-y-2">
+        <div className="text-xs text-gray-600">New schedule from the current filters: <span className="text-gray-800">{filterSummary}</span>{columns.length ? ` · ${columns.length} columns` : ''}</div>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-xs">
+          <input required value={form.name} onChange={set('name')} placeholder="Name, e.g. New 70+ leads"
+            className="col-span-2 px-2 py-1 border border-gray-300 rounded" />
+          <select value={form.format} onChange={set('format')} className="px-2 py-1 border border-gray-300 rounded bg-white">
+            {Object.entries(FORMAT_LABELS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+          </select>
+          <select value={form.cadence} onChange={set('cadence')} className="px-2 py-1 border border-gray-300 rounded bg-white">
+            <option value="weekly">Weekly</option>
+            <option value="daily">Daily</option>
+          </select>
+          {form.cadence === 'weekly' && (
+            <select value={form.weekday} onChange={set('weekday')} className="px-2 py-1 border border-gray-300 rounded bg-white">
+              {WEEKDAYS.map((d, i) => <option key={d} value={i}>{d}</option>)}
+            </select>
+          )}
+          <input type="number" min="0" max="100" value={form.minScore} onChange={set('minScore')} placeholder="Min AI Score"
+            className="px-2 py-1 border border-gray-300 rounded" />
+          <input type="email" value={form.recipient} onChange={set('recipient')} placeholder="Recipient (blank = coach)"
+            className="col-span-2 px-2 py-1 border border-gray-300 rounded" />
+          <label className="flex items-center gap-1 col-span-2">
+            <input type="checkbox" checked={form.newOnly} onChange={set('newOnly')} />
+            Only leads added since the last send
+          </label>
+        </div>
+        <button type="submit" className="px-3 py-1.5 rounded-md text-xs font-medium text-white bg-blue-600 hover:bg-blue-700">
+          Schedule
+        </button>
+      </form>
+    </div>
+  );
+}
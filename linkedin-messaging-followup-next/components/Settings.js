@@ -2,7 +2,7 @@
 import React, { useState, useEffect, Suspense } from 'react';
 import { useSearchParams } from 'next/navigation';
 import { getAttributes, saveAttribute, toggleAttributeActive, getTokenUsage, getPostTokenUsage, getPostAttributes, getPostAttributeForEditing, getPostAISuggestions, savePostAttributeChanges, togglePostAttributeActive } from '../services/api';
-import { CogIcon, UserGroupIcon, DocumentTextIcon, ArrowLeftIcon, CreditCardIcon, ShieldCheckIcon, KeyIcon, ExclamationTriangleIcon, ClipboardDocumentIcon, CheckIcon } from '@heroicons/react/24/outline';
+import { CogIcon, UserGroupIcon, DocumentTextIcon, ArrowLeftIcon, CreditCardIcon, ShieldCheckIcon, KeyIcon, ExclamationTriangleIcon, ClipboardDocumentIcon, CheckIcon, CalendarDaysIcon } from '@heroicons/react/24/outline';
 import { getBackendBase, getAuthenticatedHeaders } from '../services/api';
 import Link from 'next/link';
 import AIEditModal from './AIEditModal';
@@ -37,6 +37,12 @@ const SettingsWithParams = () => {
   const [tokenError, setTokenError] = useState(null);
   const [emailSentTo, setEmailSentTo] = useState(null); // Track if backup email was sent
 
+  // Calendar feed (private ICS subscription URL for Apple / Outlook calendars)
+  const [feedUrl, setFeedUrl] = useState(null);
+  const [feedBusy, setFeedBusy] = useState(false);
+  const [feedCopied, setFeedCopied] = useState(false);
+  const [feedError, setFeedError] = useState(null);
+
   // Rescore feature gate: card only shows when the master "Rescore Enabled" flag is on
   // for this client (checked via /api/rescore/status; quietly hidden otherwise).
   const [rescoreEnabled, setRescoreEnabled] = useState(false);
@@ -109,6 +115,40 @@ const SettingsWithParams = () => {
     setTokenCopied(false);
     setTokenError(null);
     setEmailSentTo(null);
+    setFeedUrl(null);
+    setFeedCopied(false);
+    setFeedError(null);
+  };
+
+  // Show (or, with rotate, replace) the client's private calendar feed URL
+  const handleCalendarFeed = async (rotate = false) => {
+    setFeedBusy(true);
+    setFeedError(null);
+    try {
+      const res = await fetch(`${getBackendBase()}/api/calendar-feed${rotate ? '/rotate' : ''}`, {
+        method: rotate ? 'POST' : 'GET',
+        headers: getAuthenticatedHeaders()
+      });
+      const data = await res.json().catch(() => ({}));
+      if (res.ok && data.ok) {
+        setFeedUrl(data.url);
+        setFeedCopied(false);
+      } else {
+        setFeedError(data.error || 'Failed to load calendar feed');
+      }
+    } catch (err) {
+      setFeedError(`Error: ${err.message}`);
+    } finally {
+      setFeedBusy(false);
+    }
+  };
+
+  const handleCopyFeedUrl = () => {
+    if (feedUrl) {
+      navigator.clipboard.writeText(feedUrl);
+      setFeedCopied(true);
+      setTimeout(() => setFeedCopied(false), 3000);
+    }
   };
 
   // Regenerate the client's own portal token
@@ -874,6 +914,67 @@ const SettingsWithParams = () => {
               </button>
             )}
           </div>
+
+          <div className="bg-white rounded-lg border border-gray-200 p-6 mt-6">
+            <div className="flex items-center space-x-3 mb-4">
+              <CalendarDaysIcon className="h-6 w-6 text-blue-600" />
+              <h3 className="text-lg font-semibold text-gray-900">Calendar Feed</h3>
+            </div>
+
+            <p className="text-sm text-gray-600 mb-4">
+              Subscribe to this private link in Apple Calendar, Outlook or any calendar app to see your booked lead
+              meetings, each with a link back to the lead in the portal. Anyone with the link can see these meetings.
+            </p>
+
+            {feedError && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-4">
+                <p className="text-sm text-red-700">{feedError}</p>
+              </div>
+            )}
+
+            {feedUrl ? (
+              <>
+                <div className="flex gap-2 items-center mb-4">
+                  <code className="flex-1 text-xs bg-gray-50 px-3 py-2 rounded border border-gray-200 text-gray-700 break-all">
+                    {feedUrl}
+                  </code>
+                  <button
+                    onClick={handleCopyFeedUrl}
+                    className={`px-3 py-2 rounded text-sm font-medium transition-colors whitespace-nowrap ${
+                      feedCopied
+                        ? 'bg-green-600 text-white'
+                        : 'bg-blue-50 text-blue-700 hover:bg-blue-100'
+                    }`}
+                  >
+                    {feedCopied ? (
+                      <span className="flex items-center gap-1"><CheckIcon className="h-4 w-4" /> Copied!</span>
+                    ) : (
+                      <span className="flex items-center gap-1"><ClipboardDocumentIcon className="h-4 w-4" /> Copy</span>
+                    )}
+                  </button>
+                </div>
+                <button
+                  onClick={() => handleCalendarFeed(true)}
+                  disabled={feedBusy}
+                  className="text-sm text-amber-700 hover:text-amber-800 underline disabled:text-gray-400"
+                >
+                  {feedBusy ? 'Resetting...' : 'Reset link (the old link stops working)'}
+                </button>
+              </>
+            ) : (
+              <button
+                onClick={() => handleCalendarFeed(false)}
+                disabled={feedBusy}
+                className={`w-full px-4 py-3 rounded-lg font-medium transition-colors ${
+                  feedBusy
+                    ? 'bg-gray-200 text-gray-500 cursor-wait'
+                    : 'bg-blue-600 text-white hover:bg-blue-700'
+                }`}
+              >
+                {feedBusy ? 'Loading...' : 'Show My Calendar Feed Link'}
+              </button>
+            )}
+          </div>
         </div>
       </div>
     );
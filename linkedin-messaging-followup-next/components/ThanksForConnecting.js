@@ -54,6 +54,16 @@ async function apiPatch(path, body, cid) {
   return res.json();
 }
 
+async function apiPost(path, body, cid) {
+  const res = await fetch(buildUrl(path, cid), {
+    method: 'POST',
+    headers: buildHeaders(cid),
+    body: body ? JSON.stringify(body) : undefined
+  });
+  if (!res.ok) throw new Error(await res.text());
+  return res.json();
+}
+
 function connectedAgo(days) {
   if (days === null || days === undefined) return '';
   if (days <= 0) return 'today';
@@ -100,6 +110,88 @@ function formatScore(score) {
   return Number.isFinite(n) ? Math.round(n) : String(score);
 }
 
+// Weekly messaged / skipped / outstanding, by the week people connected (GET /stats).
+function WeeklyStats({ clientId, refreshKey }) {
+  const [stats, setStats] = useState(null);
+  useEffect(() => {
+    let mounted = true;
+    apiGet('/stats?weeks=8', clientId).then(d => { if (mounted) setStats(d); }).catch(() => {});
+    return () => { mounted = false; };
+  }, [clientId, refreshKey]);
+  if (!stats?.weeks?.length) return null;
+  const max = Math.max(1, ...stats.weeks.map(w => w.connected));
+  return (
+    <div className="bg-white border rounded p-4">
+      <div className="flex items-baseline gap-3 mb-2">
+        <h3 className="font-medium text-gray-900">Last 8 weeks</h3>
+        <span className="text-xs text-gray-500">
+          {stats.totals.messaged} messaged · {stats.totals.skipped} skipped · {stats.totals.outstanding} outstanding
+        </span>
+      </div>
+      <table className="w-full text-xs">
+        <thead className="text-left text-gray-400 uppercase tracking-wide">
+          <tr>
+            <th className="py-1 pr-3 font-medium">Week of</th>
+            <th className="py-1 pr-3 font-medium w-1/2"></th>
+            <th className="py-1 pr-3 font-medium text-right">Messaged</th>
+            <th className="py-1 pr-3 font-medium text-right">Skipped</th>
+            <th className="py-1 font-medium text-right">Outstanding</th>
+          </tr>
+        </thead>
+        <tbody>
+          {stats.weeks.map(w => (
+            <tr key={w.weekStart} className="border-t">
+              <td className="py-1 pr-3 text-gray-700 whitespace-nowrap">{formatDate(w.weekStart)}</td>
+              <td className="py-1 pr-3">
+                <div className="flex h-2 rounded overflow-hidden bg-gray-100" style={{ width: `${Math.round((w.connected / max) * 100)}%` }}>
+                  <span className="bg-emerald-500" style={{ flex: w.messaged }} />
+                  <span className="bg-gray-400" style={{ flex: w.skipped }} />
+                  <span className="bg-blue-300" style={{ flex: w.outstanding }} />
+                </div>
+              </td>
+              <td className="py-1 pr-3 text-right">{w.messaged}</td>
+              <td className="py-1 pr-3 text-right">{w.skipped}</td>
+              <td className="py-1 text-right">{w.outstanding}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// The pre-written thank-you note under a lead: copy it, or ask for a fresh one.
+function DraftBox({ item, drafting, onRedraft, busy }) {
+  const [copied, setCopied] = useState(false);
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(item.draft);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (_) {}
+  };
+  if (!item.draft) {
+    return (
+      <div className="mt-1 text-xs text-gray-400">
+        {busy || drafting ? 'Drafting a note…' : (
+          <button className="text-blue-600 hover:underline" onClick={onRedraft}>Draft a note</button>
+        )}
+      </div>
+    );
+  }
+  return (
+    <div className="mt-2 text-sm text-gray-800 bg-gray-50 border border-gray-200 rounded px-3 py-2">
+      <div className="whitespace-pre-wrap">{item.draft}</div>
+      <div className="mt-1 flex gap-3 text-xs">
+        <button className="text-blue-600 hover:underline" onClick={copy}>{copied ? 'Copied ✓' : 'Copy'}</button>
+        <button className="text-gray-500 hover:underline disabled:opacity-50" onClick={onRedraft} disabled={busy}>
+          {busy ? 'Redrafting…' : 'Redraft'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
 export default function ThanksForConnecting() {
   const clientId = useMemo(() => buildClientId(), []);
   const [view, setView] = useState('outstanding'); // 'outstanding' | 'all'
@@ -111,6 +203,10 @@ export default function ThanksForConnecting() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [undo, setUndo] = useState(null); // { item, prevStatus, timer }
+  const [drafting, setDrafting] = useState(false); // backend is pre-writing drafts in the background
+  const [redrafting, setRedrafting] = useState({}); // id -> true while one draft is being written
+  const [selected, setSelected] = useState(() => new Set()); // ids ticked for a bulk action
+  const [statsKey, setStatsKey] = useState(0); // bump to reload the weekly stats
 
   const load = useCallback(async (which, days) => {
     setLoading(true);
@@ -121,6 +217,8 @@ export default function ThanksForConnecting() {
       setItems(Array.isArray(data?.items) ? data.items : []);
       setOutstandingCount(Number(data?.outstandingCount ?? 0));
       setTruncated(!!data?.truncated);
+      setDrafting(!!data?.drafting);
+      setSelected(new Set());
       // Adopt the client's configured default the first time (so the selector reflects it).
       if (days == null && data?.lookbackDays != null) setWindowDays(data.lookbackDays);
     } catch (e) {
@@ -133,6 +231,55 @@ export default function ThanksForConnecting() {
 
   useEffect(() => { load(view, windowDays); }, [view, windowDays, load]);
 
+  // While the backend pre-writes drafts, re-read the worklist quietly and fill them in as they land.
+  useEffect(() => {
+    if (!drafting) return undefined;
+    const t = setTimeout(async () => {
+      try {
+        const q = `/worklist?view=${view}` + (windowDays != null ? `&days=${windowDays}` : '');
+        const data = await apiGet(q, clientId);
+        const byId = new Map((data?.items || []).map(it => [it.id, it.draft]));
+        setItems(prev => prev.map(it => (!it.draft && byId.get(it.id) ? { ...it, draft: byId.get(it.id) } : it)));
+        setDrafting(!!data?.drafting);
+      } catch (_) {
+        setDrafting(false);
+      }
+    }, 8000);
+    return () => clearTimeout(t);
+  }, [drafting, view, windowDays, clientId]);
+
+  const redraft = useCallback(async (item) => {
+    setRedrafting(r => ({ ...r, [item.id]: true }));
+    try {
+      const res = await apiPost(`/lead/${encodeURIComponent(item.id)}/draft`, null, clientId);
+      setItems(prev => prev.map(it => it.id === item.id ? { ...it, draft: res.draft } : it));
+    } catch (e) {
+      setError(e?.message || 'Failed to draft');
+    } finally {
+      setRedrafting(r => { const n = { ...r }; delete n[item.id]; return n; });
+    }
+  }, [clientId]);
+
+  const toggleSelected = (id) => setSelected(prev => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    return next;
+  });
+
+  // Bulk tick (no undo — the rows can be Reset from "All recent").
+  const setStatusBulk = useCallback(async (newStatus) => {
+    const ids = [...selected];
+    if (!ids.length) return;
+    try {
+      await apiPatch('/leads', { ids, thanksStatus: newStatus }, clientId);
+      setStatsKey(k => k + 1);
+      load(view, windowDays);
+    } catch (e) {
+      setError(e?.message || 'Failed to update — refreshing');
+      load(view, windowDays);
+    }
+  }, [selected, clientId, load, view, windowDays]);
+
   // Apply a status. In Outstanding view the row leaves the queue (optimistic remove + undo).
   const setStatus = useCallback(async (item, newStatus) => {
     const prevStatus = item.thanksStatus || null;
@@ -158,6 +305,7 @@ export default function ThanksForConnecting() {
 
     try {
       await apiPatch(`/lead/${encodeURIComponent(item.id)}`, { thanksStatus: newStatus }, clientId);
+      setStatsKey(k => k + 1);
     } catch (e) {
       setError(e?.message || 'Failed to update — refreshing');
       if (undo?.timer) clearTimeout(undo.timer);
@@ -209,8 +357,8 @@ export default function ThanksForConnecting() {
           )}
         </div>
         <p className="text-sm text-gray-600">
-          Welcome your recent connections. Click a name to open their LinkedIn profile, send your
-          note, then tick <span className="font-medium">Messaged</span> — or <span className="font-medium">Skipped</span> to
+          Welcome your recent connections. Click a name to open their LinkedIn profile, send the
+          drafted note (copy, tweak, send), then tick <span className="font-medium">Messaged</span> — or <span className="font-medium">Skipped</span> to
           leave it to the automated sequence.
         </p>
 
@@ -256,6 +404,8 @@ export default function ThanksForConnecting() {
         </div>
       </div>
 
+      <WeeklyStats clientId={clientId} refreshKey={statsKey} />
+
       {/* List */}
       <div className="bg-white border rounded">
         <div className="p-4">
@@ -283,7 +433,28 @@ export default function ThanksForConnecting() {
 
           {!loading && items.length > 0 && (
             <>
+            {selected.size > 0 && (
+              <div className="mb-2 flex items-center gap-2 text-sm bg-blue-50 border border-blue-200 rounded px-3 py-2">
+                <span className="text-blue-900">{selected.size} selected</span>
+                <button
+                  className="ml-2 px-3 py-1 rounded text-sm font-medium text-white bg-emerald-700 hover:bg-emerald-600"
+                  onClick={() => setStatusBulk('Messaged')}
+                >Messaged</button>
+                <button
+                  className="px-3 py-1 rounded text-sm border bg-white text-gray-700 border-gray-300 hover:bg-gray-50"
+                  onClick={() => setStatusBulk('Skipped')}
+                >Skipped</button>
+                <button className="ml-auto text-xs text-gray-500 hover:text-gray-800" onClick={() => setSelected(new Set())}>Clear</button>
+              </div>
+            )}
             <div className="flex items-center gap-4 pb-2 mb-1 border-b text-xs font-medium text-gray-400 uppercase tracking-wide">
+              <input
+                type="checkbox"
+                className="shrink-0"
+                aria-label="Select all"
+                checked={selected.size > 0 && selected.size === items.length}
+                onChange={(e) => setSelected(e.target.checked ? new Set(items.map(it => it.id)) : new Set())}
+              />
               <div className="w-24 sm:w-32 shrink-0">Connected</div>
               <div className="flex-1">Lead</div>
               <div className="shrink-0">Action</div>
@@ -291,6 +462,13 @@ export default function ThanksForConnecting() {
             <ul className="divide-y">
               {sortedItems.map(it => (
                 <li key={it.id} className="py-3 flex items-start gap-4">
+                  <input
+                    type="checkbox"
+                    className="mt-1 shrink-0"
+                    aria-label={`Select ${it.name || 'lead'}`}
+                    checked={selected.has(it.id)}
+                    onChange={() => toggleSelected(it.id)}
+                  />
                   <div className="w-24 sm:w-32 shrink-0">
                     <div className="text-sm text-gray-900">{formatDate(it.dateConnected)}</div>
                     <div className="text-xs text-gray-400">{connectedAgo(it.daysSinceConnected)}</div>
@@ -319,6 +497,9 @@ export default function ThanksForConnecting() {
                       )}
                     </div>
                     {headlineLine(it) && <div className="text-sm text-gray-600 truncate">{headlineLine(it)}</div>}
+                    {!it.thanksStatus && (
+                      <DraftBox item={it} drafting={drafting} busy={!!redrafting[it.id]} onRedraft={() => redraft(it)} />
+                    )}
                   </div>
 
                   <div className="flex items-center gap-2 shrink-0">
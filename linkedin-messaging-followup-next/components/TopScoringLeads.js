@@ -76,6 +76,140 @@ async function apiPost(path, body, clientId) {
   return res.json();
 }
 
+// Fetch a file (auth headers required, so no plain <a href>) and hand it to the browser
+async function apiDownload(path, filename, clientId) {
+  const cid = clientId ?? buildClientId();
+  const res = await fetch(buildUrl(path, cid), { headers: buildHeaders(cid), cache: 'no-store' });
+  if (!res.ok) throw new Error(await res.text());
+  const blob = await res.blob();
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
+}
+
+const leadLabel = (l) => [l.firstName, l.lastName].filter(Boolean).join(' ') || l.linkedinUrl || l.id;
+
+function describeFilters(b) {
+  const f = b.filters || {};
+  const parts = [];
+  if (b.threshold !== null && b.threshold !== undefined) parts.push(`score ≥ ${b.threshold}`);
+  if (f.vintage === 'before' && f.connectedBefore) parts.push(`connected before ${f.connectedBefore}`);
+  else if (f.vintage && f.vintage !== 'all') parts.push(f.vintage === 'new' ? 'new since launch' : 'existing network');
+  if (f.q) parts.push(`“${f.q}”`);
+  if (f.savedSearch) parts.push(`saved search #${f.savedSearch}`);
+  return parts.join(' · ') || '—';
+}
+
+// Past batches (finalized via "Confirm Pasted to LH"): re-download any of them or see what changed
+// against the batch before. Backend: /api/top-scoring-leads/batches (services/topLeadsBatchStore.js).
+function BatchHistory({ clientId, refreshKey }) {
+  const [batches, setBatches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [diffs, setDiffs] = useState({}); // batchNo -> diff result (shown inline)
+
+  useEffect(() => {
+    let mounted = true;
+    (async () => {
+      setLoading(true);
+      try {
+        const res = await apiGet('/batches?limit=20', clientId);
+        if (mounted) { setBatches(res.batches || []); setError(null); }
+      } catch (e) {
+        if (mounted) setError('Could not load batch history');
+      } finally {
+        if (mounted) setLoading(false);
+      }
+    })();
+    return () => { mounted = false; };
+  }, [clientId, refreshKey]);
+
+  const download = async (b, format) => {
+    try {
+      await apiDownload(`/batches/${b.batchNo}/export?format=${format}`, `linkedin-urls-batch-${b.batchNo}.${format}`, clientId);
+    } catch (_) {
+      setError(`Download of batch ${b.batchNo} failed`);
+    }
+  };
+
+  const toggleDiff = async (b) => {
+    if (diffs[b.batchNo]) {
+      setDiffs(d => { const n = { ...d }; delete n[b.batchNo]; return n; });
+      return;
+    }
+    try {
+      const res = await apiGet(`/batches/${b.batchNo}/diff`, clientId);
+      setDiffs(d => ({ ...d, [b.batchNo]: res }));
+    } catch (_) {
+      setError(`Could not diff batch ${b.batchNo}`);
+    }
+  };
+
+  return (
+    <div className="bg-white border rounded">
+      <div className="p-4 border-b font-medium">Batch History</div>
+      <div className="p-4 text-sm">
+        {error && <div className="mb-2 text-xs text-red-600" role="alert">{error}</div>}
+        {loading ? (
+          <div className="text-gray-500">Loading…</div>
+        ) : batches.length === 0 ? (
+          <div className="text-gray-500">No finalized batches yet.</div>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead className="text-left text-gray-600">
+              <tr>
+                <th className="py-2 pr-4">#</th>
+                <th className="py-2 pr-4">Finalized</th>
+                <th className="py-2 pr-4">Leads</th>
+                <th className="py-2 pr-4">Selection</th>
+                <th className="py-2 pr-4"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {batches.map(b => (
+                <React.Fragment key={b.batchNo}>
+                  <tr className="border-t">
+                    <td className="py-2 pr-4">{b.batchNo}</td>
+                    <td className="py-2 pr-4">{b.finalizedAt ? new Date(b.finalizedAt).toLocaleString() : ''}</td>
+                    <td className="py-2 pr-4">{b.leadCount}</td>
+                    <td className="py-2 pr-4 text-gray-600">{describeFilters(b)}</td>
+                    <td className="py-2 pr-4 whitespace-nowrap space-x-2">
+                      <button className="px-2 py-1 border rounded" onClick={() => download(b, 'txt')}>.txt</button>
+                      <button className="px-2 py-1 border rounded" onClick={() => download(b, 'csv')}>.csv</button>
+                      {b.batchNo > 1 && (
+                        <button className="px-2 py-1 border rounded" onClick={() => toggleDiff(b)}>
+                          {diffs[b.batchNo] ? 'Hide diff' : `Diff vs #${b.batchNo - 1}`}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                  {diffs[b.batchNo] && (
+                    <tr>
+                      <td colSpan={5} className="pb-3 text-xs text-gray-700">
+                        <div>
+                          {diffs[b.batchNo].added.length} new · {diffs[b.batchNo].removed.length} not repeated · {diffs[b.batchNo].common} in both
+                        </div>
+                        {diffs[b.batchNo].added.length > 0 && (
+                          <div className="text-emerald-700">+ {diffs[b.batchNo].added.slice(0, 20).map(leadLabel).join(', ')}{diffs[b.batchNo].added.length > 20 ? ' …' : ''}</div>
+                        )}
+                        {diffs[b.batchNo].common > 0 && (
+                          <div className="text-amber-700">{diffs[b.batchNo].common} lead(s) were sent in batch #{diffs[b.batchNo].againstNo} too.</div>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
 export default function TopScoringLeads() {
   // --- State ---
   const [threshold, setThreshold] = useState(null);
@@ -100,6 +234,8 @@ export default function TopScoringLeads() {
   const [lastExportAt, setLastExportAt] = useState(null);
   const [exportAckTs, setExportAckTs] = useState(null); // reserved
   const [emptyMessage, setEmptyMessage] = useState(null); // message when no eligible leads on preview
+  const [historyKey, setHistoryKey] = useState(0); // bump to reload Batch History after a finalize
+  const [lastBatchNo, setLastBatchNo] = useState(null); // number given to the batch just finalized
 
   // --- Helpers ---
   const getEffectiveThreshold = () => {
@@ -502,9 +638,11 @@ export default function TopScoringLeads() {
         if (current >= total * 0.85) current = Math.floor(total * 0.85);
         setLoadProgress(lp => ({ ...lp, loaded: Math.min(current, total) }));
       }, 60);
-      await apiPost('/batch/finalize', null, clientId);
+      const fin = await apiPost('/batch/finalize', null, clientId);
       if (total) setLoadProgress({ loaded: total, total });
       clearInterval(intId);
+      setLastBatchNo(fin?.batchNo ?? null);
+      setHistoryKey(k => k + 1);
       setEligible([]);
       setHasSelected(false);
       setSelectedCount(0);
@@ -708,7 +846,7 @@ export default function TopScoringLeads() {
               )}
             </div>
           );
-          if (phase === 'DONE') return <div className="mt-2 text-xs text-emerald-700 bg-emerald-50 border border-emerald-200 rounded px-2 py-1">Batch finalized.</div>;
+          if (phase === 'DONE') return <div className="mt-2 text-xs text-emerald-700 bg-emerald-50 border border-emerald-200 rounded px-2 py-1">Batch{lastBatchNo ? ` #${lastBatchNo}` : ''} finalized.</div>;
           return null;
         })()}
       </div>
@@ -784,6 +922,8 @@ export default function TopScoringLeads() {
           )}
         </div>
       </div>
+
+      <BatchHistory clientId={clientId} refreshKey={historyKey} />
     </div>
   );
 }
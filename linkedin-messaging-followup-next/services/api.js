@@ -299,6 +299,8 @@ export const searchLeads = async (query, priority = 'all', searchTerms = '', lim
     return { leads: mappedLeads, total };
   } catch (error) {
     console.error('Search error:', error);
+    // A 400 INVALID_QUERY carries a message worth showing (e.g. "score: expected a number")
+    if (error.response?.data?.code === 'INVALID_QUERY') throw new Error(error.response.data.error);
     throw new Error('Failed to search leads');
   }
 };
@@ -332,6 +334,117 @@ export const getPopularSearchTerms = async ({ limit = 30 } = {}) => {
   }
 };
 
+// Saved searches: named { query, searchTerms, priority } sets, per client
+export const listSavedSearches = async () => {
+  try {
+    const clientId = getCurrentClientId();
+    if (!clientId) throw new Error('Client ID not available');
+    const res = await api.get('/saved-searches', { params: { testClient: clientId } });
+    return res.data?.searches || [];
+  } catch (e) {
+    console.error('listSavedSearches error', e.response?.data || e.message);
+    return [];
+  }
+};
+
+export const saveSearch = async ({ name, query = '', searchTerms = '', priority = 'all' }) => {
+  const clientId = getCurrentClientId();
+  if (!clientId) throw new Error('Client ID not available');
+  try {
+    const res = await api.post('/saved-searches', { name, query, searchTerms, priority }, { params: { testClient: clientId } });
+    return res.data.search;
+  } catch (e) {
+    console.error('saveSearch error', e.response?.data || e.message);
+    throw new Error(e.response?.data?.error || 'Failed to save search');
+  }
+};
+
+export const deleteSavedSearch = async (id) => {
+  const clientId = getCurrentClientId();
+  if (!clientId) throw new Error('Client ID not available');
+  try {
+    await api.delete(`/saved-searches/${id}`, { params: { testClient: clientId } });
+    return true;
+  } catch (e) {
+    console.error('deleteSavedSearch error', e.response?.data || e.message);
+    throw new Error(e.response?.data?.error || 'Failed to delete saved search');
+  }
+};
+
+// Scheduled exports: a lead filter + file format emailed daily/weekly (Mailgun) to the coach
+export const getExportSchedules = async () => {
+  const clientId = getCurrentClientId();
+  if (!clientId) throw new Error('Client ID not available');
+  try {
+    const res = await api.get('/export-schedules', { params: { testClient: clientId } });
+    return res.data; // { schedules, columns, formats, cadences }
+  } catch (e) {
+    console.error('getExportSchedules error', e.response?.data || e.message);
+    throw new Error(e.response?.data?.error || 'Failed to load scheduled exports');
+  }
+};
+
+export const createExportSchedule = async (schedule) => {
+  const clientId = getCurrentClientId();
+  if (!clientId) throw new Error('Client ID not available');
+  try {
+    const res = await api.post('/export-schedules', schedule, { params: { testClient: clientId } });
+    return res.data.schedule;
+  } catch (e) {
+    console.error('createExportSchedule error', e.response?.data || e.message);
+    throw new Error(e.response?.data?.error || 'Failed to create scheduled export');
+  }
+};
+
+export const deleteExportSchedule = async (id) => {
+  const clientId = getCurrentClientId();
+  if (!clientId) throw new Error('Client ID not available');
+  try {
+    await api.delete(`/export-schedules/${id}`, { params: { testClient: clientId } });
+    return true;
+  } catch (e) {
+    console.error('deleteExportSchedule error', e.response?.data || e.message);
+    throw new Error(e.response?.data?.error || 'Failed to delete scheduled export');
+  }
+};
+
+export const runExportSchedule = async (id) => {
+  const clientId = getCurrentClientId();
+  if (!clientId) throw new Error('Client ID not available');
+  try {
+    const res = await api.post(`/export-schedules/${id}/run`, {}, { params: { testClient: clientId } });
+    return res.data; // { result: { status, rowCount, recipient }, schedule }
+  } catch (e) {
+    console.error('runExportSchedule error', e.response?.data || e.message);
+    throw new Error(e.response?.data?.result?.error || e.response?.data?.error || 'Failed to send scheduled export');
+  }
+};
+
+// Duplicate leads (backend: services/leadDedupService.js)
+export const getDuplicateLeads = async (limit = 50) => {
+  const clientId = getCurrentClientId();
+  if (!clientId) throw new Error('Client ID not available');
+  try {
+    const res = await api.get('/leads/duplicates', { params: { testClient: clientId, limit } });
+    return res.data; // { scanned, total, candidates }
+  } catch (e) {
+    console.error('getDuplicateLeads error', e.response?.data || e.message);
+    throw new Error(e.response?.data?.error || 'Failed to find duplicate leads');
+  }
+};
+
+export const mergeLeads = async (keepId, mergeId) => {
+  const clientId = getCurrentClientId();
+  if (!clientId) throw new Error('Client ID not available');
+  try {
+    const res = await api.post('/leads/merge', { keepId, mergeId }, { params: { testClient: clientId } });
+    return res.data; // { lead, mergedId, fieldsUpdated, meetings, smartFup, warnings }
+  } catch (e) {
+    console.error('mergeLeads error', e.response?.data || e.message);
+    throw new Error(e.response?.data?.error || 'Failed to merge leads');
+  }
+};
+
 export const getLeadById = async (leadId) => {
   try {
     const clientId = getCurrentClientId();
@@ -1299,6 +1412,43 @@ export const getHelpTopic = async (id, opts = {}) => {
   }
 };
 
+/**
+ * Ask the help Q&A. Inside a topic this is /api/help/qa (cited answer); from the panel with no topic
+ * open it falls back to /api/help/qa-embed. Either way the answer carries a qaId for feedback.
+ * @param {{ question: string, topicId?: string, area?: string }} params
+ * @returns {Promise<{ answer: string, method: string, citations?: Array, qaId: string|null }>}
+ */
+export const askHelpQuestion = async ({ question, topicId, area }) => {
+  const baseUrl = getBackendBase();
+  const endpoint = topicId ? 'qa' : 'qa-embed';
+  const headers = { 'Content-Type': 'application/json' };
+  try { const cid = getCurrentClientId?.(); if (cid) headers['x-client-id'] = cid; } catch {}
+  const resp = await fetch(`${baseUrl}/api/help/${endpoint}`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ question, topicId: topicId || undefined, area: area || undefined })
+  });
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok) throw new Error(data.message || data.error || `Help question failed: ${resp.status}`);
+  return data;
+};
+
+/**
+ * Thumbs up/down and/or a comment on one help answer.
+ * @param {string} qaId - from askHelpQuestion()
+ * @param {{ rating?: 'up'|'down', comment?: string }} feedback
+ */
+export const sendHelpFeedback = async (qaId, { rating, comment } = {}) => {
+  const resp = await fetch(`${getBackendBase()}/api/help/qa/feedback`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ qaId, rating, comment })
+  });
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok || !data.ok) throw new Error(data.error || `Feedback failed: ${resp.status}`);
+  return data;
+};
+
 // =========================================================================
 // QUICK UPDATE API FUNCTIONS
 // For rapid notes and contact info updates
@@ -1350,6 +1500,31 @@ export const getLeadNotesSummary = async (leadId) => {
   }
 };
 
+/**
+ * Why a lead scored what it did - latest per-attribute breakdown, what moved since the
+ * previous scoring, and whether the rubric has changed since.
+ * @param {string} leadId - Airtable record ID
+ * @param {number} [history=5] - how many past scorings to include
+ * @returns {Promise<Object>} { aiScore, current, sinceLastScore, rubricChangedSinceScored, history, legacyBreakdown }
+ */
+export const getLeadScoreExplanation = async (leadId, history = 5) => {
+  try {
+    const clientId = getCurrentClientId();
+    if (!clientId) {
+      throw new Error('Client ID not available. Please ensure user is authenticated.');
+    }
+
+    const response = await api.get(`/leads/${leadId}/score-explanation`, {
+      params: { testClient: clientId, history }
+    });
+
+    return response.data;
+  } catch (error) {
+    console.error('Score explanation error:', error.response?.data || error.message);
+    throw new Error(error.response?.data?.error || 'Failed to get score explanation');
+  }
+};
+
 /**
  * Quick update lead - notes section and/or contact info
  * @param {string} leadId - Airtable record ID
@@ -1388,16 +1563,17 @@ export const quickUpdateLead = async (leadId, updates) => {
  * Preview how content will be parsed
  * @param {string} content - Raw content to parse
  * @param {string} section - Target section
- * @returns {Promise<{detectedFormat: string, messageCount: number, formatted: string}>}
+ * @param {string} [leadLinkedinUrl] - Selected lead's LinkedIn URL (narrows a messages.csv export to their conversations)
+ * @returns {Promise<{detectedFormat: string, formatLabel: string, confidence: number, confidenceLevel: string, formatReason: string, messageCount: number, formatted: string, warnings: string[]}>}
  */
-export const previewParse = async (content, section) => {
+export const previewParse = async (content, section, leadLinkedinUrl = null) => {
   try {
     const clientId = getCurrentClientId();
     if (!clientId) {
       throw new Error('Client ID not available. Please ensure user is authenticated.');
     }
     
-    const response = await api.post('/leads/parse-preview', { content, section }, {
+    const response = await api.post('/leads/parse-preview', { content, section, leadLinkedinUrl }, {
       params: { testClient: clientId }
     });
     
@@ -1524,6 +1700,106 @@ export const getCoachedClients = async () => {
   }
 };
 
+/**
+ * Recent Job Tracking runs, newest first (owner only)
+ * @param {Object} [params]
+ * @param {string} [params.client] - only this client's runs
+ * @param {string} [params.since] - ISO date (backend default: 14 days ago)
+ * @returns {Promise<{ok: boolean, runs: Array}>}
+ */
+export const getRuns = async ({ client, since, limit } = {}) => {
+  try {
+    const backendBase = getBackendBase();
+    const response = await axios.get(`${backendBase}/api/runs`, {
+      params: { client: client || undefined, since: since || undefined, limit: limit || undefined },
+      timeout: 30000,
+      headers: getAuthenticatedHeaders()
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Get runs error:', error.response?.data || error.message);
+    throw new Error(error.response?.data?.error || 'Failed to get runs');
+  }
+};
+
+/**
+ * One run laid out per client and operation, with the previous run for comparison (owner only)
+ * @param {string} runId - YYMMDD-HHMMSS
+ * @returns {Promise<{ok: boolean, timeline: Object}>}
+ */
+export const getRunTimeline = async (runId) => {
+  try {
+    const backendBase = getBackendBase();
+    const response = await axios.get(`${backendBase}/api/runs/${encodeURIComponent(runId)}/timeline`, {
+      timeout: 30000,
+      headers: getAuthenticatedHeaders()
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Get run timeline error:', error.response?.data || error.message);
+    throw new Error(error.response?.data?.error || 'Failed to get run timeline');
+  }
+};
+
+/**
+ * Search the inbound email audit log, newest first (owner only)
+ * @param {Object} [params] - { q, status, path, clientId, since, limit, offset }
+ * @returns {Promise<{success: boolean, messages: Array, total: number}>}
+ */
+export const getInboundEmails = async (params = {}) => {
+  try {
+    const backendBase = getBackendBase();
+    const response = await axios.get(`${backendBase}/api/inbound-email/messages`, {
+      params,
+      timeout: 30000,
+      headers: getAuthenticatedHeaders()
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Get inbound emails error:', error.response?.data || error.message);
+    throw new Error(error.response?.data?.error || 'Failed to get inbound emails');
+  }
+};
+
+/**
+ * One stored inbound email with its payload, matched leads and Notes diffs (owner only)
+ * @param {number} id
+ * @returns {Promise<{success: boolean, message: Object}>}
+ */
+export const getInboundEmail = async (id) => {
+  try {
+    const backendBase = getBackendBase();
+    const response = await axios.get(`${backendBase}/api/inbound-email/messages/${id}`, {
+      timeout: 30000,
+      headers: getAuthenticatedHeaders()
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Get inbound email error:', error.response?.data || error.message);
+    throw new Error(error.response?.data?.error || 'Failed to get inbound email');
+  }
+};
+
+/**
+ * Re-run processing on a stored inbound email (owner only)
+ * @param {number} id
+ * @param {Object} [options] - { notify: true } also sends the client emails a live delivery would
+ * @returns {Promise<{success: boolean, original: Object, replay: Object, result: Object}>}
+ */
+export const replayInboundEmail = async (id, { notify = false } = {}) => {
+  try {
+    const backendBase = getBackendBase();
+    const response = await axios.post(`${backendBase}/api/inbound-email/messages/${id}/replay`, { notify }, {
+      timeout: 60000,
+      headers: getAuthenticatedHeaders()
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Replay inbound email error:', error.response?.data || error.message);
+    throw new Error(error.response?.data?.error || 'Failed to replay inbound email');
+  }
+};
+
 /**
  * Get system settings (Coaching Resources URL, etc.)
  * @returns {Promise<{success: boolean, settings: Object}>}
@@ -1901,6 +2177,146 @@ export const getUpcomingMeetingWithLead = async (leadEmail) => {
   }
 };
 
+/**
+ * Download a lead's booked meetings as an .ics file (for Apple / Outlook calendars)
+ * @param {string} leadId - Airtable record id of the lead
+ * @returns {Promise<void>}
+ */
+export const downloadLeadMeetingsIcs = async (leadId) => {
+  const base = getBackendBase();
+  const response = await axios.get(`${base}/api/calendar-feed/lead.ics`, {
+    params: { lead: leadId },
+    headers: getAuthenticatedHeaders(),
+    responseType: 'blob',
+    timeout: 30000,
+  });
+  const match = /filename="([^"]+)"/.exec(response.headers['content-disposition'] || '');
+  const url = URL.createObjectURL(response.data);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = match ? match[1] : 'meetings.ics';
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Files that arrived on BCC-to-CRM / notetaker emails for this lead (newest first).
+ * @returns {Promise<Array<{id, filename, contentType, size, textStatus, textPreview, source, linkedAt}>>}
+ */
+export const getLeadAttachments = async (leadId) => {
+  try {
+    const base = getBackendBase();
+    const response = await axios.get(`${base}/api/lead-attachments`, {
+      params: { lead: leadId },
+      headers: getAuthenticatedHeaders(),
+      timeout: 30000,
+    });
+    return response.data.attachments || [];
+  } catch (error) {
+    throw new Error(error.response?.data?.error || 'Failed to load attachments');
+  }
+};
+
+/**
+ * Search attachment filenames and extracted PDF/DOCX text (optionally within one lead).
+ * @returns {Promise<Array>} matches, each with a `snippet` around the hit
+ */
+export const searchLeadAttachments = async (q, leadId = null) => {
+  try {
+    const base = getBackendBase();
+    const response = await axios.get(`${base}/api/lead-attachments/search`, {
+      params: leadId ? { q, lead: leadId } : { q },
+      headers: getAuthenticatedHeaders(),
+      timeout: 30000,
+    });
+    return response.data.results || [];
+  } catch (error) {
+    throw new Error(error.response?.data?.error || 'Failed to search attachments');
+  }
+};
+
+export const downloadLeadAttachment = async (attachmentId, filename) => {
+  const base = getBackendBase();
+  const response = await axios.get(`${base}/api/lead-attachments/${attachmentId}/download`, {
+    headers: getAuthenticatedHeaders(),
+    responseType: 'blob',
+    timeout: 60000,
+  });
+  const url = URL.createObjectURL(response.data);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename || 'attachment';
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Inbound emails / meeting notes the matcher wasn't sure about, waiting for a lead to be picked.
+ * @param {string} [status] - pending (default) | resolved | dismissed | all
+ * @returns {Promise<Array<{id, source, signals, context, candidates, auditIds, status, createdAt}>>}
+ */
+export const getLeadMatchReviews = async (status = 'pending') => {
+  try {
+    const base = getBackendBase();
+    const response = await axios.get(`${base}/api/lead-match-reviews`, {
+      params: { status },
+      headers: getAuthenticatedHeaders(),
+      timeout: 30000,
+    });
+    return response.data.reviews || [];
+  } catch (error) {
+    throw new Error(error.response?.data?.error || 'Failed to load the review queue');
+  }
+};
+
+/** Pending reviews (nav badge). Never throws - 0 on error. */
+export const getLeadMatchReviewCount = async () => {
+  try {
+    const base = getBackendBase();
+    const response = await axios.get(`${base}/api/lead-match-reviews/count`, {
+      headers: getAuthenticatedHeaders(),
+      timeout: 15000,
+    });
+    return response.data.pending || 0;
+  } catch (error) {
+    return 0;
+  }
+};
+
+/**
+ * File a review to the picked lead: learns the email and replays the waiting emails.
+ * @returns {Promise<Object>} the resolved review (outcome.replays says what landed)
+ */
+export const resolveLeadMatchReview = async (reviewId, leadId) => {
+  try {
+    const base = getBackendBase();
+    const response = await axios.post(`${base}/api/lead-match-reviews/${reviewId}/resolve`, { leadId }, {
+      headers: getAuthenticatedHeaders(),
+      timeout: 120000,
+    });
+    return response.data.review;
+  } catch (error) {
+    throw new Error(error.response?.data?.error || 'Failed to file to that lead');
+  }
+};
+
+export const dismissLeadMatchReview = async (reviewId) => {
+  try {
+    const base = getBackendBase();
+    const response = await axios.post(`${base}/api/lead-match-reviews/${reviewId}/dismiss`, {}, {
+      headers: getAuthenticatedHeaders(),
+      timeout: 30000,
+    });
+    return response.data.review;
+  } catch (error) {
+    throw new Error(error.response?.data?.error || 'Failed to dismiss');
+  }
+};
+
 const BATCH_SIZE = 5;
 const BATCH_TIMEOUT_MS = 120000; // 2 min per batch
 
@@ -26,6 +26,10 @@ const { scorePostsWithGemini } = require('./postGeminiScorer');
 const { parsePlainTextPosts } = require('./utils/parsePlainTextPosts');
 const { repairAndParseJson } = require('./utils/jsonRepair');
 const { alertAdmin } = require('./utils/appHelpers.js');
+const { costGovernanceService, FEATURES } = require('./services/costGovernanceService');
+const billingUsageStore = require('./services/billingUsageStore');
+// Pre-flight estimate per lead for the token budget gate (one Gemini call per lead's posts).
+const EST_TOKENS_PER_POST_LEAD = 6000;
 
 // --- Structured Logging ---
 const { createLogger } = require('./utils/contextLogger');
@@ -146,8 +150,8 @@ async function runMultiTenantPostScoring(geminiClient, geminiModelId, runId, cli
                 results.clientResults.push(clientResult);
                 
                 // We now treat both success and completed_with_errors/failed similarly for aggregation,
-                // but status 'success' means errors=0.
-                const isSuccess = clientResult.status === 'success';
+                // but status 'success' means errors=0. A token-budget pause is deliberate, not a failure.
+                const isSuccess = clientResult.status === 'success' || clientResult.status === 'paused_token_budget';
                 if (isSuccess) results.successfulClients++; else results.failedClients++;
                 results.totalPostsProcessed += clientResult.postsProcessed || 0;
                 results.totalPostsScored += clientResult.postsScored || 0;
@@ -464,6 +468,14 @@ async function processClientPostScoring(client, limit, logger, options = {}) {
         
         for (let i = 0; i < chunks.length; i++) {
             const chunk = chunks[i];
+            // Token budget gate: a soft or hard limit stops the remaining chunks for this client.
+            const budget = await costGovernanceService.checkBudget(client.clientId, { estimatedTokens: chunk.length * EST_TOKENS_PER_POST_LEAD });
+            if (!budget.allowed) {
+                logger.warn(`Token budget (${budget.level}) for ${client.clientId}: ${budget.reason}. Pausing post scoring.`);
+                clientResult.budgetPaused = budget.reason;
+                await costGovernanceService.pauseClientRun({ runId: options.runId, clientId: client.clientId, feature: 'Post Scoring', check: budget });
+                break;
+            }
             logger.info(`Processing chunk ${i + 1}/${chunks.length} (${chunk.length} leads) for client ${client.clientId}`);
             
             try {
@@ -505,7 +517,8 @@ async function processClientPostScoring(client, limit, logger, options = {}) {
             }
         }
         
-        clientResult.status = clientResult.errors === 0 ? 'success' : 'completed_with_errors';
+        clientResult.status = clientResult.budgetPaused ? 'paused_token_budget'
+            : clientResult.errors === 0 ? 'success' : 'completed_with_errors';
         
         // Always update metrics in Client Run Results table using the normalized runId
         try {
@@ -670,6 +683,8 @@ async function processClientPostScoring(client, limit, logger, options = {}) {
         
         if (clientResult.status === 'success') {
           await appendToProgressLog(options.runId, client.clientId, `[${getAESTTime()}] ✅ Post Scoring: Completed (${stats}${tokens})`);
+        } else if (clientResult.status === 'paused_token_budget') {
+          await appendToProgressLog(options.runId, client.clientId, `[${getAESTTime()}] ⏸️ Post Scoring: Stopped early by token budget (${stats}${tokens})`);
         } else if (clientResult.errors > 0) {
           await appendToProgressLog(options.runId, client.clientId, `[${getAESTTime()}] ⚠️ Post Scoring: Completed with ${clientResult.errors} error(s) (${stats}${tokens})`);
         }
@@ -1353,6 +1368,16 @@ async function analyzeAndScorePostsForLead(leadRecord, clientBase, config, clien
         const aiResponse = await scorePostsWithGemini(geminiInput, configuredGeminiModel, logger);
         const aiResponseArray = aiResponse.results;
         const tokenUsage = aiResponse.tokenUsage || { totalTokens: 0 };
+        await costGovernanceService.recordAiUsage({
+            clientId,
+            feature: FEATURES.POST_SCORING,
+            provider: 'gemini',
+            model: POST_BATCH_SCORER_GEMINI_MODEL_ID,
+            inputTokens: tokenUsage.promptTokens,
+            outputTokens: tokenUsage.completionTokens,
+            totalTokens: tokenUsage.totalTokens,
+            runId: options.runId || null
+        });
         
         // Merge original post data into AI response (now including reposts)
         function normalizePostUrl(u) {
@@ -1569,6 +1594,14 @@ async function analyzeAndScorePostsForLead(leadRecord, clientBase, config, clien
                 updateFields,
                 options.markSkips !== false ? config.fields.skipReason : null
             );
+
+            // Billable usage for the Stripe plan (billingUsageStore) — one per post scored; never throws.
+            await billingUsageStore.recordUsage({
+                clientId,
+                metric: billingUsageStore.METRICS.POSTS_SCORED,
+                quantity: aiResponseArray.length,
+                runId: options.runId || null
+            });
             
             // After update verification
             try {
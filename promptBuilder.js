@@ -75,8 +75,9 @@ function slimLead(profile = {}) {
    buildPrompt  –  returns the SYSTEM prompt string for Gemini
    (Schema updated for perfect alignment with helper functions)
    MULTI-TENANT: Now accepts optional clientId parameter
+   opts.rubricVersion is passed to loadAttributes (rubric snapshots)
 ------------------------------------------------------------------ */
-async function buildPrompt(logger = null, clientId = null) {
+async function buildPrompt(logger = null, clientId = null, opts = {}) {
     // Initialize logger if not provided (backward compatibility)
     if (!logger) {
         logger = require('./utils/contextLogger').createLogger({ runId: 'SYSTEM', clientId: 'SYSTEM', operation: 'prompt_builder' });
@@ -85,7 +86,7 @@ async function buildPrompt(logger = null, clientId = null) {
     logger.info(`Starting lead scoring prompt construction${clientId ? ` for client: ${clientId}` : ''}`);
 
     // Pass clientId to loadAttributes for multi-tenant support
-    const { preamble, positives, negatives } = await loadAttributes(logger, clientId);
+    const { preamble, positives, negatives } = await loadAttributes(logger, clientId, opts);
 
     logger.debug(`Loaded attributes: ${Object.keys(positives).length} positive, ${Object.keys(negatives).length} negative`);
 
@@ -39,6 +39,7 @@ const { getStatusString } = require('../utils/statusUtils');
 const runIdSystem = require('../services/runIdSystem.js');
 const { JobTracking } = require('../services/jobTracking.js');
 const jobOrchestrationService = require('../services/jobOrchestrationService.js');
+const { costGovernanceService } = require('../services/costGovernanceService.js');
 const { handleClientError } = require('../utils/errorHandler.js');
 // Old error logger removed - now using Render log analysis
 const logCriticalError = async () => {}; // No-op
@@ -55,8 +56,10 @@ const geminiModelId = geminiConfig ? geminiConfig.geminiModelId : null;
 
 const { scoreLeadNow } = require("../singleScorer.js");
 const batchScorer = require("../batchScorer.js");
-const { loadAttributes, loadAttributeForEditing, loadAttributeForEditingWithClientBase, updateAttribute, updateAttributeWithClientBase } = require("../attributeLoader.js");
-const { computeFinalScore } = require("../scoring.js");
+const { loadAttributes, loadAttributeForEditing, loadAttributeForEditingWithClientBase, updateAttribute, updateAttributeWithClientBase, snapshotLiveRubric } = require("../attributeLoader.js");
+const rubricVersionStore = require("../services/rubricVersionStore.js");
+const { computeFinalScore, explainScore } = require("../scoring.js");
+const scoreExplanationStore = require("../services/scoreExplanationStore.js");
 const { buildAttributeBreakdown } = require("../scripts/analysis/breakdown.js");
 const {
   alertAdmin,
@@ -948,15 +951,16 @@ router.get("/score-lead", async (req, res) => {
       }
     }
 
-    const { percentage, rawScore: earned, denominator: max } =
-      computeFinalScore(
-        positive_scores,
-        positives,
-        negative_scores,
-        negatives,
-        contact_readiness,
-        unscored_attributes
-      );
+    const explanation = explainScore({
+      positiveScores: positive_scores,
+      positivesDict: positives,
+      negativeScores: negative_scores,
+      negativesDict: negatives,
+      contactReady: contact_readiness,
+      unscored: unscored_attributes,
+      reasoning: attribute_reasoning,
+    });
+    const { percentage, rawScore: earned, denominator: max } = explanation;
     const finalPct = Math.round(percentage * 100) / 100;
 
     const breakdown = buildAttributeBreakdown(
@@ -981,6 +985,13 @@ router.get("/score-lead", async (req, res) => {
       AI_Excluded: ai_excluded === "Yes" || ai_excluded === true,
       "Exclude Details": exclude_details,
     });
+    // Score audit trail (GET /api/linkedin/leads/:id/score-explanation) — best-effort.
+    // Labelled with the provider that actually answered (failover may not be Gemini).
+    const scoredBy = gOut._scoredBy || {};
+    await scoreExplanationStore.saveExplanations([{
+      clientId, leadId: id, source: "single", provider: scoredBy.provider || null, model: scoredBy.modelId || null,
+      promptHash: gOut._promptHash || null, assessment: aiProfileAssessment, explanation,
+    }]).catch((e) => debugLogger.warn(`score-lead: could not store score explanation for ${id}: ${e.message}`));
 
     res.json({ id, finalPct, aiProfileAssessment, breakdown });
   } catch (err) {
@@ -1275,6 +1286,62 @@ router.post("/api/followup-brief/prepare", async (req, res) => {
   return res.status(202).json({ ok: true, tenants, message: `Preparation started in the background for ${tenants.length} client(s).` });
 });
 
+/**
+ * POST /api/cron/scheduled-exports[?clientId=Guy-Wilson]
+ * Emails every due scheduled lead export (services/scheduledExportRunner.js). Safe to call hourly:
+ * a schedule sends at most once per local day, weekly ones only on their weekday, and only for
+ * Active clients. Runs in the
+ * BACKGROUND and returns 202 (same pattern as /api/followup-brief/prepare).
+ * Auth: Bearer PB_WEBHOOK_SECRET.
+ */
+router.post("/api/cron/scheduled-exports", async (req, res) => {
+  const authHeader = req.headers.authorization;
+  const secret = process.env.PB_WEBHOOK_SECRET || process.env.DEBUG_API_KEY;
+  if (!secret || !authHeader || !authHeader.includes(secret)) {
+    return res.status(401).json({ ok: false, error: 'Unauthorized' });
+  }
+  const clientId = (typeof req.query.clientId === 'string' && req.query.clientId.trim()) || null;
+  setImmediate(async () => {
+    try {
+      const summary = await require('../services/scheduledExportRunner').runDueExports({ clientId });
+      console.log(`[scheduled-exports] ${JSON.stringify({ ...summary, results: summary.results.map((r) => `${r.clientId}#${r.id}:${r.status}`) })}`);
+    } catch (e) {
+      console.error(`[scheduled-exports] run crashed: ${e.message}`);
+    }
+  });
+  return res.status(202).json({ ok: true, clientId, message: 'Scheduled exports check started in the background.' });
+});
+
+/**
+ * POST /api/cron/billing-usage[?clientId=Guy-Wilson]
+ * Reports unreported metered usage (leads scored, posts scored, rescore leads) to Stripe as meter
+ * events (services/billingUsageReporter.js). Safe to call hourly: each unit is sent once, and a
+ * client with no Stripe customer yet keeps their units pending. BACKGROUND, returns 202.
+ * Auth: Bearer PB_WEBHOOK_SECRET.
+ */
+router.post("/api/cron/billing-usage", async (req, res) => {
+  const authHeader = req.headers.authorization;
+  const secret = process.env.PB_WEBHOOK_SECRET || process.env.DEBUG_API_KEY;
+  if (!secret || !authHeader || !authHeader.includes(secret)) {
+    return res.status(401).json({ ok: false, error: 'Unauthorized' });
+  }
+  const { getStripeClient } = require('../config/stripeClient');
+  const stripe = getStripeClient();
+  if (!stripe) {
+    return res.status(503).json({ ok: false, error: 'Stripe is not configured (STRIPE_SECRET_KEY)' });
+  }
+  const clientId = (typeof req.query.clientId === 'string' && req.query.clientId.trim()) || null;
+  setImmediate(async () => {
+    try {
+      const summary = await require('../services/billingUsageReporter').reportPendingUsage({ stripe, clientId });
+      console.log(`[billing-usage] ${JSON.stringify({ ...summary, results: summary.results.map((r) => `${r.clientId}/${r.metric}=${r.quantity}:${r.status}`) })}`);
+    } catch (e) {
+      console.error(`[billing-usage] run crashed: ${e.message}`);
+    }
+  });
+  return res.status(202).json({ ok: true, clientId, message: 'Billing usage report started in the background.' });
+});
+
 /**
  * GET /debug-render-services
  * Lists every Render service/cron on this owner (id, name, type) so we can look up log resource IDs.
@@ -4156,6 +4223,15 @@ router.get("/api/token-usage", async (req, res) => {
     
     // Add warning levels
     const warningLevel = usage.percentUsed >= 95 ? 'danger' : usage.percentUsed >= 90 ? 'warning' : 'normal';
+
+    // AI spend from the usage ledger (costGovernanceService): budgets, today/month totals and where
+    // the tokens went by feature and model. ?period=day|month (default month). `usage` above is the
+    // attribute-prompt budget Settings already reads — unchanged.
+    const period = req.query.period === 'day' ? 'day' : 'month';
+    const [breakdown, budget] = await Promise.all([
+      costGovernanceService.getUsageBreakdown(clientId, period),
+      costGovernanceService.checkBudget(clientId)
+    ]);
     
     res.json({
       success: true,
@@ -4163,6 +4239,21 @@ router.get("/api/token-usage", async (req, res) => {
         ...usage,
         warningLevel
       },
+      spend: {
+        ...breakdown,
+        level: budget.level,
+        reason: budget.reason,
+        mode: budget.mode,
+        today: { tokens: budget.usage.dailyTokens, costUsd: budget.usage.dailyCost },
+        thisMonth: { tokens: budget.usage.monthlyTokens, costUsd: budget.usage.monthlyCost },
+        limits: {
+          dailyTokens: budget.budgets.DAILY_TOKEN_LIMIT,
+          monthlyTokens: budget.budgets.MONTHLY_TOKEN_LIMIT,
+          dailyCostUsd: budget.budgets.DAILY_COST_LIMIT,
+          monthlyCostUsd: budget.budgets.MONTHLY_COST_LIMIT,
+          softLimitPct: budget.budgets.SOFT_LIMIT_PCT
+        }
+      },
       message: `Using ${usage.totalTokens} of ${usage.limit} tokens (${usage.percentUsed}%)`
     });
     
@@ -4648,12 +4739,32 @@ router.post("/api/attributes/:id/save", async (req, res) => {
       });
     }
 
+    // Rubric versions: the first edit ever snapshots the rubric as it was (baseline), then every
+    // save snapshots the result. Best-effort — a versioning failure never blocks the save.
+    const author = rubricAuthor(req);
+    try {
+      if (!(await rubricVersionStore.listVersions(clientId, { limit: 1 })).length) {
+        await snapshotLiveRubric(clientId, { author, source: 'baseline', note: 'Rubric before first versioned edit' });
+      }
+    } catch (versionErr) {
+      logger.warn(`apiAndJobRoutes.js: baseline rubric snapshot failed for ${clientId}: ${versionErr.message}`);
+    }
+
     await updateAttributeWithClientBase(attributeId, updatedData, clientBase);
+
+    let rubricVersion = null;
+    try {
+      const v = await snapshotLiveRubric(clientId, { author, source: 'attribute_edit', note: `Saved attribute ${attributeId}` });
+      rubricVersion = v.version;
+    } catch (versionErr) {
+      logger.warn(`apiAndJobRoutes.js: rubric snapshot after saving ${attributeId} failed: ${versionErr.message}`);
+    }
     
     logger.info(`apiAndJobRoutes.js: Successfully saved changes to attribute ${attributeId}`);
     res.json({
       success: true,
-      message: "Attribute updated successfully"
+      message: "Attribute updated successfully",
+      rubricVersion
     });
     
   } catch (error) {
@@ -4666,6 +4777,102 @@ router.post("/api/attributes/:id/save", async (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------
+// Scoring rubric versions (services/rubricVersionStore.js)
+// Immutable snapshots of the Scoring Attributes table. A pinned client is scored against its
+// version instead of the live table; rescore "compare" mode scores a sample under two versions.
+//   GET  /api/attributes/versions            -> versions (newest first) + current pin
+//   GET  /api/attributes/versions/:version   -> one version with its rubric
+//   POST /api/attributes/versions            -> snapshot the live rubric now { note?, author? }
+//   PUT  /api/attributes/versions/pin        -> { version } pins, { version: null } unpins
+// ---------------------------------------------------------------------
+
+// Who made a rubric change: the portal sends no user identity, so an explicit author wins,
+// else the client id the request was made for.
+function rubricAuthor(req) {
+  const author = req.body && typeof req.body.author === 'string' ? req.body.author.trim() : '';
+  return author || req.headers['x-client-id'] || null;
+}
+
+async function resolveRubricClient(req, res) {
+  const clientId = req.headers['x-client-id'];
+  if (!clientId) {
+    res.status(400).json({ success: false, error: "Client ID required in x-client-id header" });
+    return null;
+  }
+  const client = await clientService.getClientById(clientId);
+  if (!client) {
+    res.status(404).json({ success: false, error: `Invalid client ID: ${clientId}` });
+    return null;
+  }
+  return client;
+}
+
+router.get("/api/attributes/versions", async (req, res) => {
+  try {
+    const client = await resolveRubricClient(req, res);
+    if (!client) return;
+    const versions = await rubricVersionStore.listVersions(client.clientId, { limit: req.query.limit });
+    res.json({ success: true, pinnedVersion: client.scoringRubricVersion || null, versions });
+  } catch (error) {
+    moduleLogger.error(`apiAndJobRoutes.js: GET /api/attributes/versions error: ${error.message}`);
+    await logRouteError(error, req).catch(() => {});
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get("/api/attributes/versions/:version", async (req, res) => {
+  try {
+    const client = await resolveRubricClient(req, res);
+    if (!client) return;
+    const version = await rubricVersionStore.getVersion(client.clientId, req.params.version);
+    if (!version) return res.status(404).json({ success: false, error: `Rubric version ${req.params.version} not found` });
+    res.json({ success: true, version });
+  } catch (error) {
+    moduleLogger.error(`apiAndJobRoutes.js: GET /api/attributes/versions/${req.params.version} error: ${error.message}`);
+    await logRouteError(error, req).catch(() => {});
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post("/api/attributes/versions", async (req, res) => {
+  try {
+    const client = await resolveRubricClient(req, res);
+    if (!client) return;
+    const note = req.body && typeof req.body.note === 'string' ? req.body.note.slice(0, 500) : null;
+    const v = await snapshotLiveRubric(client.clientId, { author: rubricAuthor(req), note, source: 'manual' });
+    res.status(v.created ? 201 : 200).json({
+      success: true, created: v.created, version: rubricVersionStore.summarize(v),
+      message: v.created ? `Saved rubric as version ${v.version}` : `Rubric unchanged since version ${v.version}`
+    });
+  } catch (error) {
+    moduleLogger.error(`apiAndJobRoutes.js: POST /api/attributes/versions error: ${error.message}`);
+    await logRouteError(error, req).catch(() => {});
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.put("/api/attributes/versions/pin", async (req, res) => {
+  try {
+    const client = await resolveRubricClient(req, res);
+    if (!client) return;
+    const raw = req.body ? req.body.version : undefined;
+    if (raw === undefined) return res.status(400).json({ success: false, error: "version is required (a number, or null to unpin)" });
+    let version = null;
+    if (raw !== null && raw !== '') {
+      const found = await rubricVersionStore.getVersion(client.clientId, raw);
+      if (!found) return res.status(404).json({ success: false, error: `Rubric version ${raw} not found` });
+      version = found.version;
+    }
+    await clientService.setScoringRubricVersion(client.clientId, version);
+    res.json({ success: true, pinnedVersion: version });
+  } catch (error) {
+    moduleLogger.error(`apiAndJobRoutes.js: PUT /api/attributes/versions/pin error: ${error.message}`);
+    await logRouteError(error, req).catch(() => {});
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Helper function to extract plain text from rich text fields
 function extractPlainText(richTextValue) {
   if (!richTextValue) return "";
@@ -7348,6 +7555,79 @@ router.get("/smart-resume-status", async (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------
+// SMART RESUME JOB QUEUE (services/smartResumeJobQueue.js)
+// ---------------------------------------------------------------
+// GET  /smart-resume-queue?stream=1&runId=...   counts by status, dead letters, one run's jobs
+// POST /smart-resume-queue/dead-letters/:id/retry   fresh attempts; runs with the next smart resume pass
+router.get("/smart-resume-queue", async (req, res) => {
+  const logger = createLogger({ operation: 'smart_resume_queue' });
+  
+  const providedSecret = req.headers['x-webhook-secret'];
+  if (!providedSecret || providedSecret !== process.env.PB_WEBHOOK_SECRET) {
+    return res.status(401).json({ 
+      success: false, 
+      error: 'Unauthorized - invalid webhook secret' 
+    });
+  }
+  
+  try {
+    const jobQueue = require('../services/smartResumeJobQueue');
+    const stream = req.query.stream ? parseInt(req.query.stream, 10) : undefined;
+    const [counts, deadLetters, runJobs] = await Promise.all([
+      jobQueue.getQueueStats({ stream }),
+      jobQueue.listDeadLetters({ stream, limit: req.query.limit }),
+      req.query.runId ? jobQueue.listRunJobs(String(req.query.runId)) : Promise.resolve(null)
+    ]);
+    res.json({
+      success: true,
+      stream: stream ?? null,
+      counts,
+      deadLetters,
+      ...(runJobs ? { runId: String(req.query.runId), jobs: runJobs } : {}),
+      config: jobQueue.getConfig()
+    });
+  } catch (error) {
+    logger.error("❌ Smart resume queue status failed:", error.message);
+    await logRouteError(error, req).catch(() => {});
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get queue status',
+      details: error.message
+    });
+  }
+});
+
+router.post("/smart-resume-queue/dead-letters/:id/retry", async (req, res) => {
+  const logger = createLogger({ operation: 'smart_resume_queue_retry' });
+  
+  const providedSecret = req.headers['x-webhook-secret'];
+  if (!providedSecret || providedSecret !== process.env.PB_WEBHOOK_SECRET) {
+    return res.status(401).json({ 
+      success: false, 
+      error: 'Unauthorized - invalid webhook secret' 
+    });
+  }
+  
+  try {
+    const jobQueue = require('../services/smartResumeJobQueue');
+    const job = await jobQueue.retryDeadLetter(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: `No dead-lettered job ${req.params.id}` });
+    }
+    logger.info(`♻️ Dead-lettered job ${job.id} (${job.clientId}/${job.operation}) requeued`);
+    res.json({ success: true, job });
+  } catch (error) {
+    logger.error("❌ Smart resume dead-letter retry failed:", error.message);
+    await logRouteError(error, req).catch(() => {});
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry job',
+      details: error.message
+    });
+  }
+});
+
 // ========================================================================
 // PMPro Membership Sync Endpoints
 // ========================================================================
@@ -9,19 +9,41 @@
  * - GET /api/billing/invoices - List all invoices for a client
  * - GET /api/billing/invoice/:id - Get single invoice details
  * - GET /api/billing/invoice/:id/pdf - Download invoice as PDF
+ * - GET /api/billing/credit-note/:id/pdf - Download the adjustment note for a refund
+ * - GET /api/billing/statement/pdf?month=YYYY-MM - Monthly account statement PDF
+ * - GET /api/billing/invoices/zip?fy=YYYY - Every invoice + adjustment note for a financial year
  * - GET /api/billing/subscription - Get current subscription status
+ * - GET /api/billing/usage - Metered usage in the current billing period
  * - POST /api/billing/portal - Create Stripe Customer Portal session
- * - POST /api/billing/webhook - Stripe webhook handler (new subscriptions)
+ * - POST /api/billing/webhook - Stripe webhook handler (new subscriptions, plan entitlements,
+ *   failed payments, end-of-period usage flush)
+ *
+ * Plan entitlements (services/billingEntitlementService.js) and metered usage
+ * (services/billingUsageStore.js + billingUsageReporter.js) are applied from the webhook.
  */
 
 const express = require('express');
 const router = express.Router();
 
 const { stripe, isStripeAvailable } = require('../config/stripeClient');
-const { generateInvoicePdf, getBusinessConfig } = require('../services/invoicePdfService');
+const { DateTime } = require('luxon');
+const {
+    generateInvoicePdf,
+    generateCreditNotePdf,
+    generateStatementPdf,
+    buildLedgerEntries,
+    buildStatement,
+    creditNoteNumber,
+    gstOf,
+    getBusinessConfig
+} = require('../services/invoicePdfService');
+const { createZip } = require('../utils/zipArchive');
 const { createLogger } = require('../utils/contextLogger');
 const { getClientById } = require('../services/clientService');
 const { sendMailgunEmail } = require('../services/emailNotificationService');
+const billingEntitlements = require('../services/billingEntitlementService');
+const billingUsageStore = require('../services/billingUsageStore');
+const { reportPendingUsage } = require('../services/billingUsageReporter');
 
 /**
  * Send email notification to admin when someone onboards (makes first payment)
@@ -109,6 +131,206 @@ async function getClientEmail(req) {
     return null;
 }
 
+/**
+ * One-time charges only: drop charges that paid an invoice. Checks charge ID, payment_intent,
+ * AND amount+date to catch all duplicates (checkout sessions create both).
+ */
+function filterOneTimeCharges(invoices, charges, logger) {
+    const invoiceChargeIds = new Set();
+    const invoicePaymentIntents = new Set();
+    const invoiceAmountDateKeys = new Set(); // "amount_timestamp" for same-day same-amount dedup
+    
+    invoices.forEach(inv => {
+        if (inv.charge) invoiceChargeIds.add(inv.charge);
+        if (inv.payment_intent) invoicePaymentIntents.add(inv.payment_intent);
+        // Create a key for amount + date (same day) to catch duplicates from checkout sessions
+        const dateKey = new Date(inv.created * 1000).toISOString().split('T')[0];
+        invoiceAmountDateKeys.add(`${inv.amount_paid}_${dateKey}`);
+    });
+
+    return charges.filter(charge => {
+        // Must be paid and successful
+        if (!charge.paid || charge.status !== 'succeeded') return false;
+        
+        // Exclude if charge is linked to an invoice
+        if (invoiceChargeIds.has(charge.id)) return false;
+        
+        // Exclude if payment_intent is linked to an invoice
+        if (charge.payment_intent && invoicePaymentIntents.has(charge.payment_intent)) return false;
+        
+        // Exclude if same amount on same date as an invoice (likely same transaction)
+        const dateKey = new Date(charge.created * 1000).toISOString().split('T')[0];
+        if (invoiceAmountDateKeys.has(`${charge.amount}_${dateKey}`)) {
+            logger.info(`Filtering duplicate charge ${charge.id} - same amount/date as invoice`);
+            return false;
+        }
+        
+        return true;
+    });
+}
+
+/**
+ * The tax invoice a charge paid — the Stripe invoice when we can tie it (charge / payment_intent),
+ * else the one-time charge's own CHG- invoice. Used as the "adjusts" reference on adjustment notes.
+ */
+function originalDocumentForCharge(charge, invoices) {
+    const invoiceId = typeof charge.invoice === 'object' && charge.invoice ? charge.invoice.id : charge.invoice;
+    const inv = invoices.find(i => (invoiceId && i.id === invoiceId)
+        || i.charge === charge.id
+        || (charge.payment_intent && i.payment_intent === charge.payment_intent));
+    if (inv) {
+        return {
+            number: inv.number || `ASH-${inv.id.slice(-8)}`,
+            created: inv.created,
+            description: inv.lines?.data?.[0]?.description || 'Subscription'
+        };
+    }
+    return {
+        number: charge.id.replace('ch_', 'CHG-'),
+        created: charge.created,
+        description: charge.description || 'One-time payment'
+    };
+}
+
+/**
+ * Succeeded refunds on these charges, newest first, each annotated with `_original` (the
+ * document it adjusts) and `_reference` (that document's number, for statements).
+ */
+async function listRefundsForCharges(charges, invoices) {
+    const refunds = [];
+    for (const charge of charges.filter(c => c.amount_refunded > 0)) {
+        const list = await stripe.refunds.list({ charge: charge.id, limit: 100 });
+        const original = originalDocumentForCharge(charge, invoices);
+        for (const refund of list.data) {
+            if (refund.status !== 'succeeded') continue;
+            refunds.push({ ...refund, _original: original, _reference: original.number });
+        }
+    }
+    return refunds.sort((a, b) => b.created - a.created);
+}
+
+/**
+ * Every invoice, one-time charge and refund for a customer created before `before` (unix
+ * seconds), paging through Stripe. Statements need the full history for the opening balance.
+ */
+async function loadCustomerBilling(customerId, { before }, logger) {
+    const created = { lt: before };
+    const invoices = await stripe.invoices.list({ customer: customerId, created, limit: 100 }).autoPagingToArray({ limit: MAX_BILLING_OBJECTS });
+    const charges = await stripe.charges.list({ customer: customerId, created, limit: 100 }).autoPagingToArray({ limit: MAX_BILLING_OBJECTS });
+    const refunds = (await listRefundsForCharges(charges, invoices)).filter(r => r.created < before);
+    return { invoices, charges: filterOneTimeCharges(invoices, charges, logger), refunds };
+}
+
+// Stripe paging cap per object type for statements / FY exports (years of monthly billing)
+const MAX_BILLING_OBJECTS = 1000;
+
+// Statement months and financial years are Australian (1 July - 30 June), in the business's zone
+const BILLING_TIMEZONE = process.env.BILLING_TIMEZONE || 'Australia/Sydney';
+
+/**
+ * [from, to) unix seconds for a statement month. 'YYYY-MM', or the last full month when blank.
+ * @returns {{ from: number, to: number, label: string } | null} null when malformed
+ */
+function statementMonthRange(month, now = DateTime.now()) {
+    let start;
+    if (month) {
+        if (!/^\d{4}-\d{2}$/.test(month)) return null;
+        start = DateTime.fromFormat(month, 'yyyy-MM', { zone: BILLING_TIMEZONE });
+        if (!start.isValid) return null;
+    } else {
+        start = now.setZone(BILLING_TIMEZONE).startOf('month').minus({ months: 1 });
+    }
+    const end = start.plus({ months: 1 });
+    return { from: Math.floor(start.toSeconds()), to: Math.floor(end.toSeconds()), label: start.toFormat('LLLL yyyy') };
+}
+
+/**
+ * [from, to) unix seconds for an Australian financial year, named by the year it ENDS in
+ * (fy=2026 is 1 July 2025 - 30 June 2026). Blank = the current financial year.
+ * @returns {{ fy: number, from: number, to: number, label: string } | null}
+ */
+function financialYearRange(fy, now = DateTime.now()) {
+    let endYear;
+    if (fy) {
+        if (!/^\d{4}$/.test(String(fy))) return null;
+        endYear = parseInt(fy, 10);
+    } else {
+        const local = now.setZone(BILLING_TIMEZONE);
+        endYear = local.month >= 7 ? local.year + 1 : local.year;
+    }
+    const start = DateTime.fromObject({ year: endYear - 1, month: 7, day: 1 }, { zone: BILLING_TIMEZONE });
+    const end = start.plus({ years: 1 });
+    return { fy: endYear, from: Math.floor(start.toSeconds()), to: Math.floor(end.toSeconds()), label: `FY${endYear - 1}-${String(endYear).slice(-2)}` };
+}
+
+/** Tax invoice PDF input for a Stripe invoice (customer expanded or not). */
+function invoicePdfData(invoice) {
+    return {
+        id: invoice.id,
+        number: invoice.number,
+        created: invoice.created,
+        amount_paid: invoice.amount_paid,
+        status: invoice.status,
+        customer_name: invoice.customer_name || invoice.customer?.name,
+        customer_email: invoice.customer_email || invoice.customer?.email,
+        lines: invoice.lines
+    };
+}
+
+/** Tax invoice PDF input for a one-time charge (an invoice-like structure). */
+function chargePdfData(charge, customer) {
+    return {
+        id: charge.id,
+        number: charge.id.replace('ch_', 'CHG-'),
+        created: charge.created,
+        amount_paid: charge.amount,
+        status: charge.paid ? 'paid' : charge.status,
+        customer_name: customer?.name || charge.billing_details?.name,
+        customer_email: customer?.email || charge.billing_details?.email,
+        lines: {
+            data: [{
+                description: charge.description || 'One-time payment',
+                amount: charge.amount
+            }]
+        }
+    };
+}
+
+/** Adjustment note PDF input for a refund annotated by listRefundsForCharges. */
+function creditNotePdfData(refund, customer) {
+    return {
+        id: refund.id,
+        created: refund.created,
+        amount: refund.amount,
+        reason: refund.reason || refund.metadata?.reason,
+        original: refund._original,
+        customer_name: customer?.name,
+        customer_email: customer?.email
+    };
+}
+
+/**
+ * Resolve the Stripe customer for this request (x-client-id -> Client Email Address, or ?email).
+ * Sends the 400 itself and returns null when there is no email; { customer: null } when Stripe
+ * has no customer for it.
+ */
+async function resolveCustomer(req, res) {
+    const email = await getClientEmail(req);
+    if (!email) {
+        res.status(400).json({
+            success: false,
+            error: 'Email required',
+            message: 'Could not determine client email. Ensure x-client-id header is set or provide email parameter.'
+        });
+        return null;
+    }
+    const customers = await stripe.customers.list({
+        email: email.toLowerCase().trim(),
+        limit: 1
+    });
+    return { email, customer: customers.data[0] || null };
+}
+
 /**
  * GET /api/billing/status
  * Health check for billing service
@@ -189,39 +411,8 @@ router.get('/api/billing/invoices', requireStripe, async (req, res) => {
             limit: parseInt(limit)
         });
 
-        // Filter out charges that are already part of an invoice
-        // Check charge ID, payment_intent, AND amount+date to catch all duplicates
-        const invoiceChargeIds = new Set();
-        const invoicePaymentIntents = new Set();
-        const invoiceAmountDateKeys = new Set(); // "amount_timestamp" for same-day same-amount dedup
-        
-        invoices.data.forEach(inv => {
-            if (inv.charge) invoiceChargeIds.add(inv.charge);
-            if (inv.payment_intent) invoicePaymentIntents.add(inv.payment_intent);
-            // Create a key for amount + date (same day) to catch duplicates from checkout sessions
-            const dateKey = new Date(inv.created * 1000).toISOString().split('T')[0];
-            invoiceAmountDateKeys.add(`${inv.amount_paid}_${dateKey}`);
-        });
-
-        const oneTimeCharges = charges.data.filter(charge => {
-            // Must be paid and successful
-            if (!charge.paid || charge.status !== 'succeeded') return false;
-            
-            // Exclude if charge is linked to an invoice
-            if (invoiceChargeIds.has(charge.id)) return false;
-            
-            // Exclude if payment_intent is linked to an invoice
-            if (charge.payment_intent && invoicePaymentIntents.has(charge.payment_intent)) return false;
-            
-            // Exclude if same amount on same date as an invoice (likely same transaction)
-            const dateKey = new Date(charge.created * 1000).toISOString().split('T')[0];
-            if (invoiceAmountDateKeys.has(`${charge.amount}_${dateKey}`)) {
-                logger.info(`Filtering duplicate charge ${charge.id} - same amount/date as invoice`);
-                return false;
-            }
-            
-            return true;
-        });
+        const oneTimeCharges = filterOneTimeCharges(invoices.data, charges.data, logger);
+        const refunds = await listRefundsForCharges(charges.data, invoices.data);
 
         // Transform invoice data for frontend
         const invoiceList = invoices.data.map(inv => ({
@@ -259,10 +450,28 @@ router.get('/api/billing/invoices', requireStripe, async (req, res) => {
             pdfUrl: `/api/billing/invoice/${charge.id}/pdf`
         }));
 
+        // Refunds, each with its adjustment note
+        const creditNoteList = refunds.map(refund => ({
+            id: refund.id,
+            type: 'credit_note',
+            number: creditNoteNumber({ id: refund.id }),
+            date: refund.created,
+            dateFormatted: new Date(refund.created * 1000).toLocaleDateString('en-AU', {
+                day: 'numeric',
+                month: 'short',
+                year: 'numeric'
+            }),
+            amount: -refund.amount / 100,
+            amountFormatted: `-$${(refund.amount / 100).toFixed(2)}`,
+            status: 'refunded',
+            description: `Adjustment note for ${refund._original.number}`,
+            pdfUrl: `/api/billing/credit-note/${refund.id}/pdf`
+        }));
+
         // Combine and sort by date descending
-        const allBillingItems = [...invoiceList, ...chargeList].sort((a, b) => b.date - a.date);
+        const allBillingItems = [...invoiceList, ...chargeList, ...creditNoteList].sort((a, b) => b.date - a.date);
 
-        logger.info(`Found ${invoiceList.length} invoices and ${chargeList.length} one-time charges`);
+        logger.info(`Found ${invoiceList.length} invoices, ${chargeList.length} one-time charges and ${creditNoteList.length} refunds`);
 
         res.json({
             success: true,
@@ -450,16 +659,7 @@ router.get('/api/billing/invoice/:id/pdf', requireStripe, async (req, res) => {
                 expand: ['customer', 'lines.data']
             });
 
-            pdfData = {
-                id: invoice.id,
-                number: invoice.number,
-                created: invoice.created,
-                amount_paid: invoice.amount_paid,
-                status: invoice.status,
-                customer_name: invoice.customer_name || invoice.customer?.name,
-                customer_email: invoice.customer_email || invoice.customer?.email,
-                lines: invoice.lines
-            };
+            pdfData = invoicePdfData(invoice);
             filename = `Invoice-${invoice.number || 'ASH-' + invoice.id.slice(-8)}.pdf`;
 
         } else if (id.startsWith('ch_')) {
@@ -468,21 +668,7 @@ router.get('/api/billing/invoice/:id/pdf', requireStripe, async (req, res) => {
             const customer = await stripe.customers.retrieve(charge.customer);
 
             // For one-time charges, create invoice-like structure
-            pdfData = {
-                id: charge.id,
-                number: charge.id.replace('ch_', 'CHG-'),
-                created: charge.created,
-                amount_paid: charge.amount,
-                status: charge.paid ? 'paid' : charge.status,
-                customer_name: customer.name || charge.billing_details?.name,
-                customer_email: customer.email || charge.billing_details?.email,
-                lines: {
-                    data: [{
-                        description: charge.description || 'One-time payment',
-                        amount: charge.amount
-                    }]
-                }
-            };
+            pdfData = chargePdfData(charge, customer);
             filename = `Invoice-${pdfData.number}.pdf`;
 
         } else {
@@ -522,6 +708,223 @@ router.get('/api/billing/invoice/:id/pdf', requireStripe, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/billing/credit-note/:id/pdf
+ * Download the ATO adjustment note (credit note) for a Stripe refund (re_...). The note
+ * references the tax invoice the refunded charge paid and reverses its GST.
+ */
+router.get('/api/billing/credit-note/:id/pdf', requireStripe, async (req, res) => {
+    const logger = createLogger({ 
+        runId: 'BILLING', 
+        clientId: req.headers['x-client-id'] || 'UNKNOWN', 
+        operation: 'download_credit_note_pdf' 
+    });
+
+    try {
+        const { id } = req.params;
+        if (!id.startsWith('re_')) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid ID format',
+                message: 'ID must start with re_ (refund)'
+            });
+        }
+
+        const refund = await stripe.refunds.retrieve(id, { expand: ['charge'] });
+        if (refund.status !== 'succeeded') {
+            return res.status(409).json({
+                success: false,
+                error: 'Refund not completed',
+                message: `This refund is ${refund.status}; its adjustment note is issued once it succeeds.`
+            });
+        }
+        const charge = typeof refund.charge === 'object' ? refund.charge : await stripe.charges.retrieve(refund.charge);
+        const customer = charge.customer ? await stripe.customers.retrieve(charge.customer) : null;
+        const invoices = charge.customer
+            ? (await stripe.invoices.list({ customer: charge.customer, limit: 100 })).data
+            : [];
+
+        const noteData = creditNotePdfData({ ...refund, _original: originalDocumentForCharge(charge, invoices) }, customer);
+        const pdfBuffer = await generateCreditNotePdf(noteData);
+        const filename = `Adjustment-Note-${creditNoteNumber(noteData)}.pdf`;
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('Content-Length', pdfBuffer.length);
+        res.send(pdfBuffer);
+
+        logger.info(`PDF sent: ${filename}`);
+
+    } catch (error) {
+        logger.error('Error generating adjustment note PDF:', error.message);
+
+        if (error.code === 'resource_missing') {
+            return res.status(404).json({
+                success: false,
+                error: 'Refund not found'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to generate PDF',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/billing/statement/pdf
+ * Monthly account statement: balance brought forward, every invoice, payment, adjustment note
+ * and refund in the month with a running balance, and the period's GST.
+ * 
+ * Query params:
+ * - month: YYYY-MM (default: last full month, Australian time)
+ * - email: Customer email address (optional if x-client-id header is set)
+ */
+router.get('/api/billing/statement/pdf', requireStripe, async (req, res) => {
+    const logger = createLogger({ 
+        runId: 'BILLING', 
+        clientId: req.headers['x-client-id'] || 'UNKNOWN', 
+        operation: 'download_statement_pdf' 
+    });
+
+    try {
+        const period = statementMonthRange(req.query.month);
+        if (!period) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid month',
+                message: 'month must be YYYY-MM'
+            });
+        }
+
+        const resolved = await resolveCustomer(req, res);
+        if (!resolved) return;
+        if (!resolved.customer) {
+            return res.status(404).json({
+                success: false,
+                error: 'No billing history found for this email.'
+            });
+        }
+        const { customer } = resolved;
+
+        const sources = await loadCustomerBilling(customer.id, { before: period.to }, logger);
+        const statement = buildStatement(buildLedgerEntries(sources), period);
+        const pdfBuffer = await generateStatementPdf({
+            customer: { name: customer.name, email: customer.email },
+            periodLabel: period.label,
+            from: period.from,
+            to: period.to,
+            statement
+        });
+        const filename = `Statement-${DateTime.fromSeconds(period.from, { zone: BILLING_TIMEZONE }).toFormat('yyyy-MM')}.pdf`;
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('Content-Length', pdfBuffer.length);
+        res.send(pdfBuffer);
+
+        logger.info(`PDF sent: ${filename} (${statement.rows.length} rows)`);
+
+    } catch (error) {
+        logger.error('Error generating statement PDF:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to generate statement',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/billing/invoices/zip
+ * Every tax invoice (Stripe invoices and one-time charges) and adjustment note dated in an
+ * Australian financial year, as one ZIP of PDFs plus a summary.csv for the bookkeeper.
+ * 
+ * Query params:
+ * - fy: the year the financial year ENDS in (fy=2026 = 1 July 2025 - 30 June 2026; default current)
+ * - email: Customer email address (optional if x-client-id header is set)
+ */
+router.get('/api/billing/invoices/zip', requireStripe, async (req, res) => {
+    const logger = createLogger({ 
+        runId: 'BILLING', 
+        clientId: req.headers['x-client-id'] || 'UNKNOWN', 
+        operation: 'download_invoices_zip' 
+    });
+
+    try {
+        const range = financialYearRange(req.query.fy);
+        if (!range) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid financial year',
+                message: 'fy must be a four-digit year (the year the financial year ends in)'
+            });
+        }
+
+        const resolved = await resolveCustomer(req, res);
+        if (!resolved) return;
+        if (!resolved.customer) {
+            return res.status(404).json({
+                success: false,
+                error: 'No billing history found for this email.'
+            });
+        }
+        const { customer } = resolved;
+
+        const sources = await loadCustomerBilling(customer.id, { before: range.to }, logger);
+        const inYear = (t) => t >= range.from && t < range.to;
+        const folder = `Invoices-${range.label}`;
+        const entries = [];
+        const summary = [['Date', 'Type', 'Number', 'Description', 'Total (AUD)', 'GST (AUD)', 'Status']];
+        const csvDate = (t) => DateTime.fromSeconds(t, { zone: BILLING_TIMEZONE }).toISODate();
+
+        for (const invoice of sources.invoices.filter(inv => inYear(inv.created) && inv.status !== 'draft' && inv.status !== 'void')) {
+            const data = invoicePdfData({ ...invoice, customer });
+            const number = invoice.number || `ASH-${invoice.id.slice(-8)}`;
+            entries.push({ name: `${folder}/Invoice-${number}.pdf`, data: await generateInvoicePdf(data), date: new Date(invoice.created * 1000) });
+            const total = (invoice.total ?? invoice.amount_paid) / 100;
+            summary.push([csvDate(invoice.created), 'Tax invoice', number, invoice.lines?.data?.[0]?.description || 'Subscription', total.toFixed(2), gstOf(total).toFixed(2), invoice.status]);
+        }
+        for (const charge of sources.charges.filter(c => inYear(c.created))) {
+            const data = chargePdfData(charge, customer);
+            entries.push({ name: `${folder}/Invoice-${data.number}.pdf`, data: await generateInvoicePdf(data), date: new Date(charge.created * 1000) });
+            const total = charge.amount / 100;
+            summary.push([csvDate(charge.created), 'Tax invoice', data.number, charge.description || 'One-time payment', total.toFixed(2), gstOf(total).toFixed(2), 'paid']);
+        }
+        for (const refund of sources.refunds.filter(r => inYear(r.created))) {
+            const data = creditNotePdfData(refund, customer);
+            const number = creditNoteNumber(data);
+            entries.push({ name: `${folder}/Adjustment-Note-${number}.pdf`, data: await generateCreditNotePdf(data), date: new Date(refund.created * 1000) });
+            const total = refund.amount / 100;
+            summary.push([csvDate(refund.created), 'Adjustment note', number, `Adjusts ${refund._original.number}`, (-total).toFixed(2), (-gstOf(total)).toFixed(2), 'refunded']);
+        }
+
+        const csvCell = (v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+        const header = summary.shift();
+        summary.sort((a, b) => a[0].localeCompare(b[0]));
+        entries.push({ name: `${folder}/summary.csv`, data: [header, ...summary].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n' });
+
+        const zip = createZip(entries);
+        const filename = `Invoices-${range.label}.zip`;
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('Content-Length', zip.length);
+        res.send(zip);
+
+        logger.info(`ZIP sent: ${filename} (${entries.length - 1} documents)`);
+
+    } catch (error) {
+        logger.error('Error building invoices ZIP:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to build invoices ZIP',
+            message: error.message
+        });
+    }
+});
+
 /**
  * GET /api/billing/subscription
  * Get current subscription status for a client
@@ -601,7 +1004,9 @@ router.get('/api/billing/subscription', requireStripe, async (req, res) => {
                     month: 'long',
                     year: 'numeric'
                 }),
-                cancelAtPeriodEnd: sub.cancel_at_period_end
+                cancelAtPeriodEnd: sub.cancel_at_period_end,
+                // What the plan's price/product metadata grants (billingEntitlementService)
+                entitlements: billingEntitlements.entitlementsFromSubscription(sub)
             }
         });
 
@@ -615,14 +1020,89 @@ router.get('/api/billing/subscription', requireStripe, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/billing/usage
+ * Metered usage (leads scored, posts scored, rescore leads) in the client's current billing
+ * period, and how much of it has been reported to Stripe. Without an active subscription the
+ * period is the current calendar month (UTC).
+ *
+ * Requires the x-client-id header (usage is recorded per client, not per email).
+ */
+router.get('/api/billing/usage', requireStripe, async (req, res) => {
+    const clientId = req.headers['x-client-id'];
+    const logger = createLogger({ 
+        runId: 'BILLING', 
+        clientId: clientId || 'UNKNOWN', 
+        operation: 'get_usage' 
+    });
+
+    try {
+        const client = clientId ? await getClientById(clientId) : null;
+        if (!client) {
+            return res.status(400).json({
+                success: false,
+                error: 'Client required',
+                message: 'Set the x-client-id header to a known client.'
+            });
+        }
+
+        let period = null;
+        let customerId = client.stripeCustomerId;
+        if (!customerId && client.clientEmailAddress) {
+            const customers = await stripe.customers.list({ email: client.clientEmailAddress.toLowerCase().trim(), limit: 1 });
+            customerId = customers.data[0]?.id || null;
+        }
+        if (customerId) {
+            const subscriptions = await stripe.subscriptions.list({ customer: customerId, status: 'active', limit: 1 });
+            if (subscriptions.data.length) period = billingEntitlements.currentPeriod(subscriptions.data[0]);
+        }
+        if (!period) {
+            const now = new Date();
+            period = {
+                start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+                end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+            };
+        }
+
+        const usage = await billingUsageStore.usageTotals(client.clientId, { from: period.start, to: period.end });
+        res.json({
+            success: true,
+            period: { start: period.start.toISOString(), end: period.end.toISOString() },
+            usage
+        });
+
+    } catch (error) {
+        logger.error('Error fetching usage:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch usage',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Log what an entitlement sync did. Airtable/Stripe errors are NOT caught here: the webhook
+ * answers 500 and Stripe retries the event.
+ */
+function logEntitlementResult(result, eventType, logger) {
+    if (result.skipped) {
+        logger.warn(`Entitlements not applied for ${eventType} (${result.customerId || result.clientId || 'unknown'}): ${result.skipped}`);
+    } else {
+        logger.info(`Entitlements applied for ${result.clientId} from ${eventType}: ${JSON.stringify(result.fields)}`);
+    }
+}
+
 /**
  * POST /api/billing/webhook
- * Stripe webhook handler for new subscription events
+ * Stripe webhook handler for subscription and invoice events
  * 
  * Listens for:
- * - customer.subscription.created (notify admin)
- * - customer.subscription.deleted (notify admin)
- * - invoice.payment_failed (notify admin)
+ * - customer.subscription.created (notify admin, apply plan entitlements)
+ * - customer.subscription.updated / deleted (apply plan entitlements; deleted grants nothing)
+ * - invoice.payment_succeeded (notify admin on first payment)
+ * - invoice.payment_failed (flag Billing Status, re-apply the subscription as it now stands)
+ * - invoice.created for a renewal (report the closing period's metered usage to Stripe)
  */
 router.post('/api/billing/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
     const logger = createLogger({ 
@@ -667,7 +1147,14 @@ router.post('/api/billing/webhook', express.raw({ type: 'application/json' }), a
                     planName: subscription.items?.data?.[0]?.price?.nickname || 'Subscription',
                     customerId: subscription.customer
                 }, logger);
-                
+
+                logEntitlementResult(await billingEntitlements.applySubscription(subscription, { stripe }), event.type, logger);
+                break;
+            }
+
+            case 'customer.subscription.updated': {
+                const subscription = event.data.object;
+                logEntitlementResult(await billingEntitlements.applySubscription(subscription, { stripe }), event.type, logger);
                 break;
             }
 
@@ -697,12 +1184,33 @@ router.post('/api/billing/webhook', express.raw({ type: 'application/json' }), a
             case 'customer.subscription.deleted': {
                 const subscription = event.data.object;
                 logger.info(`❌ SUBSCRIPTION CANCELLED: ${subscription.customer_email || subscription.id}`);
+                logEntitlementResult(await billingEntitlements.applySubscription(subscription, { stripe }), event.type, logger);
                 break;
             }
 
             case 'invoice.payment_failed': {
                 const invoice = event.data.object;
                 logger.warn(`⚠️ PAYMENT FAILED: ${invoice.customer_email || invoice.id}`);
+                logEntitlementResult(await billingEntitlements.applyPaymentFailed(invoice, { stripe }), event.type, logger);
+                break;
+            }
+
+            case 'invoice.created': {
+                // A renewal closes a billing period: send that period's remaining metered usage
+                // while Stripe still holds the draft invoice open.
+                const invoice = event.data.object;
+                if (invoice.billing_reason !== 'subscription_cycle' || !stripe) break;
+                const { client, reason } = await billingEntitlements.findClientForCustomer(invoice.customer, { stripe });
+                if (!client) {
+                    logger.warn(`Usage flush skipped for ${invoice.customer}: ${reason}`);
+                    break;
+                }
+                const summary = await reportPendingUsage({
+                    stripe,
+                    clientId: client.clientId,
+                    before: invoice.period_end ? new Date(invoice.period_end * 1000) : null
+                });
+                logger.info(`Usage flush for ${client.clientId}: ${summary.reported} reported, ${summary.skipped} skipped, ${summary.failed} failed`);
                 break;
             }
 
@@ -0,0 +1,82 @@
+/**
+ * Lead meetings for calendar apps (services/meetingIcsFeed.js):
+ *   GET  /calendar-feed/:token.ics       public — the client's private subscription feed
+ *   GET  /api/calendar-feed              portal — the client's feed URL (minted on first call)
+ *   POST /api/calendar-feed/rotate       portal — new feed URL; the old one stops working
+ *   GET  /api/calendar-feed/lead.ics     portal — one lead's meetings (?lead=<recordId> or ?linkedinUrl=)
+ * The feed URL is the credential (calendar apps can't send headers), stored in
+ * services/calendarFeedStore.js.
+ */
+const express = require("express");
+const { authenticateUserWithTestMode } = require("../middleware/authMiddleware");
+const { getOrCreateFeedToken, rotateFeedToken, clientIdForFeedToken } = require("../services/calendarFeedStore.js");
+const { buildClientFeed, buildLeadIcs } = require("../services/meetingIcsFeed.js");
+
+const router = express.Router();
+
+function publicBaseFor(req) {
+  return (
+    process.env.GUEST_BOOKING_PUBLIC_BASE ||
+    `${req.headers["x-forwarded-proto"] || req.protocol || "https"}://${req.get("host")}`
+  );
+}
+
+function feedUrls(req, token) {
+  const url = `${publicBaseFor(req).replace(/\/$/, "")}/calendar-feed/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, "webcal:") };
+}
+
+function sendIcs(res, ics, filename) {
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  res.set("Cache-Control", "private, max-age=300");
+  if (filename) res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  return res.send(ics);
+}
+
+router.get("/calendar-feed/:token.ics", async (req, res) => {
+  try {
+    const clientId = await clientIdForFeedToken(req.params.token);
+    if (!clientId) return res.status(404).type("text/plain").send("Calendar feed not found");
+    return sendIcs(res, await buildClientFeed(clientId));
+  } catch (e) {
+    console.error("[calendarFeed] feed error:", e.message);
+    return res.status(500).type("text/plain").send("Calendar feed unavailable");
+  }
+});
+
+router.get("/api/calendar-feed", authenticateUserWithTestMode, async (req, res) => {
+  try {
+    const token = await getOrCreateFeedToken(req.client.clientId);
+    return res.json({ ok: true, ...feedUrls(req, token) });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+router.post("/api/calendar-feed/rotate", authenticateUserWithTestMode, async (req, res) => {
+  try {
+    const token = await rotateFeedToken(req.client.clientId);
+    return res.json({ ok: true, ...feedUrls(req, token) });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+router.get("/api/calendar-feed/lead.ics", authenticateUserWithTestMode, async (req, res) => {
+  const leadId = typeof req.query.lead === "string" ? req.query.lead.trim() : "";
+  const linkedinUrl = typeof req.query.linkedinUrl === "string" ? req.query.linkedinUrl.trim() : "";
+  if (!leadId && !linkedinUrl) {
+    return res.status(400).json({ ok: false, error: "lead or linkedinUrl is required" });
+  }
+  try {
+    const out = await buildLeadIcs(req.client.clientId, { leadId, linkedinUrl });
+    if (!out.ok) return res.status(out.status).json({ ok: false, error: out.error });
+    const slug = (out.lead.name || "lead").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "lead";
+    return sendIcs(res, out.ics, `meetings-${slug}.ics`);
+  } catch (e) {
+    console.error("[calendarFeed] lead ics error:", e.message);
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,41 @@
 /**
- * Public guest self-serve booking (Guy-only): signed link → slots → Google Calendar invite.
+ * Public guest self-serve booking: signed link → slots → calendar invite.
+ * Original links (no host in the token) book Guy on the OAuth Google calendar. Coach links name a
+ * host or a round-robin team and a meeting type (services/guestBookingHosts.js); coaches mint them
+ * with POST /api/guest-booking/links.
+ * Every confirmation carries signed reschedule / cancel links (/guest-book?m=...) served by
+ * services/guestBookingManage.js.
  */
 const express = require("express");
 const { DateTime } = require("luxon");
 const {
   verifyGuestBookingToken,
+  verifyBookingLinkToken,
+  verifyBookingManageToken,
+  bookingHostsFromPayload,
+  MAX_TEAM_HOSTS,
   signGuestBookingToken,
   guestBookingTokenExpiryUnix,
 } = require("../services/guestBookingToken.js");
+const {
+  resolveBookingLink,
+  getLinkAvailability,
+  bookLinkSlot,
+  mintBookingLink,
+  linkKeyFor,
+  oauthHostClientId,
+} = require("../services/guestBookingHosts.js");
+const {
+  manageLinks,
+  loadManagedBooking,
+  rescheduleLinkFor,
+  rescheduleBooking,
+  cancelBooking,
+} = require("../services/guestBookingManage.js");
+const { recordBooking } = require("../services/guestBookingStore.js");
+const { parseMeetingTypes } = require("../services/guestBookingMeetingTypes.js");
+const { authenticateUserWithTestMode } = require("../middleware/authMiddleware");
+const clientService = require("../services/clientService");
 const {
   fetchHostClientProfile,
   buildGuestBookingEventDetails,
@@ -35,6 +63,8 @@ const {
   maybeSetCcIntroClickedAt,
   maybeSetCcBookingPageVisitedAt,
   maybeSetGuestBookingCompletedAt,
+  setGuestBookingRescheduledAt,
+  setGuestBookingCancelledAt,
 } = require("../services/guestBookingAirtable.js");
 
 const router = express.Router();
@@ -46,6 +76,30 @@ function firstNameFromFull(n) {
   return s.split(/\s+/)[0];
 }
 
+function escapeHtml(s) {
+  return String(s == null ? "" : s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * "Guy here. " for original links; the coach's first name for a one-host link; "" for a team
+ * (the guest doesn't know who they'll get yet).
+ */
+async function hostIntroForPayload(payload) {
+  const hosts = bookingHostsFromPayload(payload);
+  if (!hosts.length) return "Guy here. ";
+  if (hosts.length > 1) return "";
+  try {
+    const client = await clientService.getClientById(hosts[0]);
+    return client && client.clientName ? `${firstNameFromFull(client.clientName)} here. ` : "";
+  } catch (_) {
+    return "";
+  }
+}
+
 /** Gamma embeds default to scrollable “doc” view; ?mode=present = slide-style presentation inside the iframe. */
 function ensureGammaPresentModeUrl(raw) {
   const s = String(raw || "").trim();
@@ -145,11 +199,57 @@ function simpleEmailOk(s) {
   return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(s || "").trim());
 }
 
+/** Public origin for links we hand out (reverse proxy aware). */
+function publicBaseFor(req) {
+  return (
+    process.env.GUEST_BOOKING_PUBLIC_BASE ||
+    `${req.headers["x-forwarded-proto"] || req.protocol || "https"}://${req.get("host")}`
+  );
+}
+
+/** "Tue, 3 Mar 2026, 10:00 am" in the given zone (coach notification emails). */
+function formatWhen(iso, tz) {
+  return new Date(iso).toLocaleString("en-AU", {
+    timeZone: tz,
+    weekday: "short", year: "numeric", month: "short", day: "numeric",
+    hour: "numeric", minute: "2-digit", hour12: true,
+  });
+}
+
+/** loadManagedBooking with its throws mapped to a response (503 = link secret not configured). */
+async function loadManagedForRequest(m) {
+  try {
+    return await loadManagedBooking(m);
+  } catch (e) {
+    if (/GUEST_BOOKING_LINK_SECRET/.test(e.message || "")) {
+      return { ok: false, status: 503, error: "Booking is not configured on the server." };
+    }
+    const report = buildGuestBookErrorReport(e);
+    return { ok: false, status: 500, error: report.summary, errorDetail: report.detail };
+  }
+}
+
+/** Email the coach (original links: Guy) about a guest's booking change. Never throws. */
+async function notifyHostOfGuestChange({ to, subject, lines }) {
+  try {
+    const { sendTextEmail } = require("../services/gmailApiService.js");
+    await sendTextEmail({
+      to: to || process.env.GMAIL_FROM_EMAIL || "guyralphwilson@gmail.com",
+      subject,
+      text: lines.join("\n"),
+    });
+  } catch (emailErr) {
+    console.error("[guest-book] notification email failed (non-fatal)", emailErr?.message);
+  }
+}
+
 /**
  * Shared by POST /api/guest/book and GET /debug-guest-book-harness.
- * @returns {Promise<{ ok: true, eventId: string, htmlLink?: string } | { ok: false, status: number, error: string, errorDetail: string }>}
+ * With `base` the invite carries the guest's reschedule / cancel links and the booking is stored
+ * for them (`manage` in the result); the harness passes none, since it deletes its probe event.
+ * @returns {Promise<{ ok: true, eventId: string, htmlLink?: string, manage?: { rescheduleUrl, cancelUrl } } | { ok: false, status: number, error: string, errorDetail: string }>}
  */
-async function executeGuestBookOnce({ t, start, attendeeEmail, guestNotes }) {
+async function executeGuestBookOnce({ t, start, attendeeEmail, guestNotes, base }) {
   let verified;
   try {
     verified = verifyGuestBookingToken(t);
@@ -179,6 +279,9 @@ async function executeGuestBookOnce({ t, start, attendeeEmail, guestNotes }) {
   }
 
   const { n, li, e } = verified.payload;
+  if (bookingHostsFromPayload(verified.payload).length) {
+    return executeCoachLinkBook({ payload: verified.payload, start, attendeeEmail, guestNotes, base });
+  }
   const startDate = new Date(start);
   if (Number.isNaN(startDate.getTime())) {
     const r = buildGuestBookValidationReport(
@@ -197,14 +300,33 @@ async function executeGuestBookOnce({ t, start, attendeeEmail, guestNotes }) {
       leadLinkedIn: li,
       guestNotes: guestNotes || "",
     });
+    const manage = base ? manageLinks(base) : null;
     const created = await createGuestMeeting({
       startISO: startDate.toISOString(),
       endISO: endDate.toISOString(),
       attendeeEmail,
       summary: details.summary,
-      description: details.description,
+      description: manage ? `${details.description}${manage.descriptionFooter}` : details.description,
       location: details.location,
     });
+    if (manage) {
+      const hostId = oauthHostClientId();
+      await recordBooking({
+        linkKey: linkKeyFor([hostId], "intro"),
+        hostClientId: hostId,
+        meetingType: "intro",
+        eventId: created.id,
+        provider: "google-oauth",
+        startAt: startDate.toISOString(),
+        endAt: endDate.toISOString(),
+        guestName: n,
+        guestEmail: attendeeEmail,
+        guestLinkedIn: li,
+        ref: manage.ref,
+        ownerClientId: hostId,
+        guestNotes,
+      });
+    }
 
     try {
       const host = await fetchHostClientProfile();
@@ -226,6 +348,7 @@ async function executeGuestBookOnce({ t, start, attendeeEmail, guestNotes }) {
       ok: true,
       eventId: created.id,
       htmlLink: created.htmlLink,
+      manage: manage ? { rescheduleUrl: manage.rescheduleUrl, cancelUrl: manage.cancelUrl } : null,
     };
   } catch (err) {
     logGuestBookFailure(err);
@@ -237,6 +360,62 @@ async function executeGuestBookOnce({ t, start, attendeeEmail, guestNotes }) {
   }
 }
 
+/**
+ * executeGuestBookOnce for coach links: round-robin booking via guestBookingHosts, then the same
+ * lead bookkeeping in the booked host's base. `notify` tells the caller whom to email.
+ */
+async function executeCoachLinkBook({ payload, start, attendeeEmail, guestNotes, base }) {
+  const { n, li, e } = payload;
+  try {
+    const link = await resolveBookingLink(payload);
+    const manage = base ? manageLinks(base) : null;
+    const out = await bookLinkSlot(link, {
+      start,
+      attendeeEmail,
+      leadFullName: n,
+      leadLinkedIn: li,
+      guestNotes,
+      ref: manage ? manage.ref : null,
+      descriptionFooter: manage ? manage.descriptionFooter : "",
+    });
+    if (!out.ok) {
+      const r = buildGuestBookValidationReport("guest_book_coach_link", out.error, {
+        hosts: link.hosts.map((h) => h.clientId),
+        meetingType: link.type.key,
+      });
+      return { ok: false, status: out.status, error: r.summary, errorDetail: r.detail };
+    }
+    try {
+      if (out.host.airtableBaseId) {
+        await maybeUpdateLeadEmailIfChanged({
+          airtableBaseId: out.host.airtableBaseId,
+          linkedInUrl: li,
+          oldEmail: e,
+          newEmail: attendeeEmail,
+        });
+        await maybeSetGuestBookingCompletedAt({
+          airtableBaseId: out.host.airtableBaseId,
+          linkedInUrl: li,
+        });
+      }
+    } catch (_) {
+      /* non-fatal */
+    }
+    return {
+      ok: true,
+      eventId: out.eventId,
+      htmlLink: out.htmlLink,
+      hostClientId: out.host.clientId,
+      notify: { to: out.host.email, timezone: out.host.timezone, meetingLabel: out.type.label },
+      manage: manage ? { rescheduleUrl: manage.rescheduleUrl, cancelUrl: manage.cancelUrl } : null,
+    };
+  } catch (err) {
+    logGuestBookFailure(err);
+    const report = buildGuestBookErrorReport(err);
+    return { ok: false, status: 500, error: report.summary, errorDetail: report.detail };
+  }
+}
+
 /**
  * GET /intro?t=TOKEN
  * "Deck-first" landing: verifies token, saves guest identity to localStorage,
@@ -331,9 +510,10 @@ router.get("/intro", async (req, res) => {
  * POST /api/guest/identify
  * Anonymous visitors (no token) provide name + email; server mints a short-lived
  * token so they can proceed through the normal availability / book flow.
+ * From an open coach link (body.link), the token keeps that link's host / team / meeting type.
  */
 router.post("/api/guest/identify", async (req, res) => {
-  const { name, email } = req.body || {};
+  const { name, email, link } = req.body || {};
   if (
     !name ||
     typeof name !== "string" ||
@@ -344,12 +524,27 @@ router.post("/api/guest/identify", async (req, res) => {
       .status(400)
       .json({ ok: false, error: "A valid name and email are required." });
   }
+  let hostFields = {};
+  if (link) {
+    let linkCheck;
+    try {
+      linkCheck = verifyBookingLinkToken(link);
+    } catch (e) {
+      return res.status(503).json({ ok: false, error: "Booking is not configured on the server." });
+    }
+    if (!linkCheck.ok) {
+      return res.status(400).json({ ok: false, error: `Link problem: ${linkCheck.error}` });
+    }
+    const { h, hs, mt } = linkCheck.payload;
+    hostFields = hs ? { hs, mt } : { h, mt };
+  }
   try {
     const token = signGuestBookingToken({
       n: name.trim(),
       li: "direct-booking",
       e: email.trim(),
       exp: guestBookingTokenExpiryUnix(),
+      ...hostFields,
     });
     return res.json({ ok: true, token });
   } catch (e) {
@@ -361,8 +556,53 @@ router.post("/api/guest/identify", async (req, res) => {
 
 router.get("/guest-book", async (req, res) => {
   const token = req.query.t;
+  const openLink = !token && req.query.l ? String(req.query.l) : null;
+  const manageToken = !token && !openLink && req.query.m ? String(req.query.m) : null;
 
   let ctx = null;
+  let hostIntro = "Guy here. ";
+  let greetingTail = "Looking forward to chatting.";
+  if (manageToken) {
+    const loaded = await loadManagedForRequest(manageToken);
+    if (!loaded.ok) {
+      return res
+        .status(loaded.status)
+        .type("html")
+        .send(`<!DOCTYPE html><html><body><p>${escapeHtml(loaded.error)}</p></body></html>`);
+    }
+    hostIntro = "";
+    greetingTail = "Need to change our meeting?";
+    ctx = {
+      m: manageToken,
+      action: req.query.action === "cancel" ? "cancel" : "reschedule",
+      leadFirst: firstNameFromFull(loaded.booking.guestName),
+      guestTzParam: String(req.query.guestTz || req.query.tz || "").trim(),
+      hostIntro,
+    };
+  }
+  if (openLink) {
+    let linkCheck;
+    try {
+      linkCheck = verifyBookingLinkToken(openLink);
+    } catch (e) {
+      return res
+        .status(503)
+        .type("html")
+        .send(
+          "<!DOCTYPE html><html><body><p>Booking is not available right now.</p></body></html>"
+        );
+    }
+    if (!linkCheck.ok) {
+      return res
+        .status(400)
+        .type("html")
+        .send(
+          `<!DOCTYPE html><html><body><p>Invalid or expired link (${linkCheck.error}).</p></body></html>`
+        );
+    }
+    hostIntro = await hostIntroForPayload(linkCheck.payload);
+    ctx = { link: openLink, hostIntro };
+  }
   if (token) {
     let verified;
     try {
@@ -384,19 +624,22 @@ router.get("/guest-book", async (req, res) => {
         );
     }
     const { n, e } = verified.payload;
+    hostIntro = await hostIntroForPayload(verified.payload);
     ctx = {
       t: token,
       leadFirst: firstNameFromFull(n),
       marketingEmail: e,
       leadFullName: n,
       guestTzParam: String(req.query.guestTz || req.query.tz || "").trim(),
+      hostIntro,
     };
   }
 
   const ctxJson = ctx
     ? JSON.stringify(ctx).replace(/</g, "\\u003c")
     : "null";
-  const leadFirst = ctx ? ctx.leadFirst : "there";
+  const leadFirst = ctx && ctx.leadFirst ? ctx.leadFirst : "there";
+  const hostIntroHtml = escapeHtml(hostIntro);
 
   const html = `<!DOCTYPE html>
 <html lang="en">
@@ -505,13 +748,19 @@ router.get("/guest-book", async (req, res) => {
     }
     .ok{background:#ecfdf5;border:1px solid #6ee7b7;padding:20px;border-radius:var(--radius);max-width:min(1040px,92vw);margin:40px auto;padding-left:24px;padding-right:24px;}
     .empty{padding:20px;text-align:center;color:var(--muted);font-size:.95rem;}
+    .secondary{
+      margin-top:12px;padding:12px 20px;font-size:.95rem;font-weight:600;border:2px solid #fecaca;border-radius:12px;
+      background:#fff;color:#b91c1c;cursor:pointer;width:100%;
+    }
+    .secondary:hover:not(:disabled){background:#fef2f2;}
+    .secondary:disabled{opacity:.45;cursor:not-allowed;}
   </style>
 </head>
 <body>
   <div class="wrap">
     <div class="card">
       <div id="identifySection" style="display:none;padding:24px 20px">
-        <h1>Hey, Guy here. Looking forward to chatting.</h1>
+        <h1>${hostIntro ? `Hey, ${hostIntroHtml}` : "Hey there. "}Looking forward to chatting.</h1>
         <p class="sub">Pop in your details and I'll pull up available times.</p>
         <label for="identifyName">Your name</label>
         <input id="identifyName" type="text" autocomplete="name" placeholder="First and last name"/>
@@ -522,9 +771,10 @@ router.get("/guest-book", async (req, res) => {
       </div>
       <div class="card-inner" id="bookingContent">
         <div class="col-schedule">
-          <h1 id="greeting">Hi ${leadFirst}, Guy here. Looking forward to chatting.</h1>
+          <h1 id="greeting">Hi ${escapeHtml(leadFirst)}, ${hostIntroHtml}${escapeHtml(greetingTail)}</h1>
           <p class="sub sub-mobile">Pick a slot below — start with a quick suggestion or choose another day.</p>
           <p class="sub sub-desktop">Pick a time on the left, then add your details on the right.</p>
+          <div id="manageLine" class="tz" style="display:none"></div>
           <div id="tzLine" class="tz" style="display:none"></div>
           <div id="suggested"></div>
           <div id="picker" style="display:none">
@@ -540,14 +790,17 @@ router.get("/guest-book", async (req, res) => {
         </div>
         <div class="col-details">
           <section>
-            <label for="email">Your email (for the calendar invite)</label>
-            <input id="email" type="email" autocomplete="email" inputmode="email"/>
-            <label for="notes">Anything you’d like to cover? (optional)</label>
-            <textarea id="notes" placeholder="Topics, questions, context…"></textarea>
+            <div id="guestFields">
+              <label for="email">Your email (for the calendar invite)</label>
+              <input id="email" type="email" autocomplete="email" inputmode="email"/>
+              <label for="notes">Anything you’d like to cover? (optional)</label>
+              <textarea id="notes" placeholder="Topics, questions, context…"></textarea>
+            </div>
             <div id="msg" class="err"></div>
             <p id="msgDetailHint" class="err-detail-hint" style="display:none">Full diagnostic (copy if you need help)</p>
             <div id="msgDetail" class="err-detail" style="display:none" aria-live="polite"></div>
             <button type="button" class="primary" id="btn" disabled>Choose a time to continue</button>
+            <button type="button" class="secondary" id="cancelBtn" style="display:none">Cancel this meeting</button>
           </section>
         </div>
       </div>
@@ -572,22 +825,29 @@ router.get("/guest-book", async (req, res) => {
   var ctx = null;
   try { ctx = (serverRaw && serverRaw !== 'null') ? JSON.parse(serverRaw) : null; } catch(e){}
 
-  if (!ctx || !ctx.t) {
+  // An open coach link only reuses an identity saved from that same link (and vice versa).
+  var openLink = ctx && ctx.link ? ctx.link : null;
+  var hostIntro = ctx && typeof ctx.hostIntro === 'string' ? ctx.hostIntro : 'Guy here. ';
+  // Reschedule / cancel link for an existing booking (no identity or booking token involved).
+  var manage = ctx && ctx.m ? ctx : null;
+  if (!manage && (!ctx || !ctx.t)) {
     try {
       var stored = localStorage.getItem('guestBookingIdentity');
       if (stored) {
         var sd = JSON.parse(stored);
-        if (sd && sd.t && sd.savedAt && (Date.now() - sd.savedAt < 90*24*60*60*1000)) {
+        if (sd && sd.t && sd.savedAt && (Date.now() - sd.savedAt < 90*24*60*60*1000) && (sd.link || null) === openLink) {
           ctx = {
             t: sd.t,
             leadFirst: sd.leadFirst || 'there',
             marketingEmail: sd.marketingEmail || '',
             leadFullName: sd.leadFullName || '',
-            guestTzParam: sd.timezone || ''
+            guestTzParam: sd.timezone || '',
+            link: openLink,
+            hostIntro: hostIntro
           };
           var h1 = document.getElementById('greeting');
           if (h1 && ctx.leadFirst && ctx.leadFirst !== 'there') {
-            h1.textContent = 'Hi ' + ctx.leadFirst + ', Guy here. Looking forward to chatting.';
+            h1.textContent = 'Hi ' + ctx.leadFirst + ', ' + hostIntro + 'Looking forward to chatting.';
           }
         }
       }
@@ -598,7 +858,7 @@ router.get("/guest-book", async (req, res) => {
     try { ctx.guestTzParam = Intl.DateTimeFormat().resolvedOptions().timeZone; } catch(e){}
   }
 
-  if (!ctx || !ctx.t) {
+  if (!manage && (!ctx || !ctx.t)) {
     document.getElementById('identifySection').style.display = 'block';
     document.getElementById('bookingContent').style.display = 'none';
     document.getElementById('identifyBtn').onclick = function(){
@@ -610,12 +870,12 @@ router.get("/guest-book", async (req, res) => {
       ie.textContent='';
       var ib = document.getElementById('identifyBtn');
       ib.disabled=true; ib.textContent='Loading\u2026';
-      fetch('/api/guest/identify',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({name:nm,email:em})})
+      fetch('/api/guest/identify',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({name:nm,email:em,link:openLink})})
         .then(function(r){return r.json();})
         .then(function(d){
           if(!d.ok){ie.textContent=d.error||'Something went wrong';ib.disabled=false;ib.textContent='Show available times';return;}
           var tz='';try{tz=Intl.DateTimeFormat().resolvedOptions().timeZone;}catch(e){}
-          var id={t:d.token,leadFirst:nm.split(/\\s+/)[0],leadFullName:nm,marketingEmail:em,timezone:tz,savedAt:Date.now()};
+          var id={t:d.token,leadFirst:nm.split(/\\s+/)[0],leadFullName:nm,marketingEmail:em,timezone:tz,savedAt:Date.now(),link:openLink};
           try{localStorage.setItem('guestBookingIdentity',JSON.stringify(id));}catch(e){}
           window.location.reload();
         })
@@ -624,17 +884,21 @@ router.get("/guest-book", async (req, res) => {
     return;
   }
 
-  document.getElementById('email').value = ctx.marketingEmail || '';
-  try {
-    if (sessionStorage.getItem('ccBookingPageTracked') !== '1') {
-      sessionStorage.setItem('ccBookingPageTracked', '1');
-      fetch('/api/guest/track-booking-page', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ t: ctx.t })
-      }).catch(function(){});
-    }
-  } catch (e) {}
+  if (manage) {
+    document.getElementById('guestFields').style.display = 'none';
+  } else {
+    document.getElementById('email').value = ctx.marketingEmail || '';
+    try {
+      if (sessionStorage.getItem('ccBookingPageTracked') !== '1') {
+        sessionStorage.setItem('ccBookingPageTracked', '1');
+        fetch('/api/guest/track-booking-page', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ t: ctx.t })
+        }).catch(function(){});
+      }
+    } catch (e) {}
+  }
   let days = [];
   let daysWithSlots = [];
   let activeDayIndex = 0;
@@ -699,7 +963,7 @@ router.get("/guest-book", async (req, res) => {
       el.classList.toggle('selected', el.dataset.time === slot.time);
     });
     btn.disabled = false;
-    btn.textContent = "Let's lock it in";
+    btn.textContent = manage ? 'Move my meeting here' : "Let's lock it in";
     var line = (slot.dayLabel || '') + ' · ' + (slot.display || '');
     pickHint.innerHTML = 'Selected: <strong>' + line.replace(/</g,'') + '</strong>';
     renderDayStrip();
@@ -748,11 +1012,10 @@ router.get("/guest-book", async (req, res) => {
     });
   }
 
-  (function(){
-    var qs = '/api/guest/availability?t=' + encodeURIComponent(ctx.t);
+  function loadTimes(){
+    var qs = '/api/guest/availability?' + (manage ? 'm=' + encodeURIComponent(ctx.m) : 't=' + encodeURIComponent(ctx.t));
     if (ctx.guestTzParam) qs += '&guestTz=' + encodeURIComponent(ctx.guestTzParam);
-    return fetch(qs);
-  })()
+    return fetch(qs)
     .then(function(r){ return r.json(); })
     .then(function(data){
       if(!data.ok){
@@ -789,18 +1052,76 @@ router.get("/guest-book", async (req, res) => {
       renderSlots();
     })
     .catch(function(){ showLoadErr('Network error loading times'); });
+  }
+
+  function showDone(title, text){
+    document.body.innerHTML = '<div class="ok"><strong></strong><p style="margin:.75em 0 0;line-height:1.5"></p></div>';
+    document.querySelector('.ok strong').textContent = title;
+    document.querySelector('.ok p').textContent = text;
+  }
+
+  if (!manage) {
+    loadTimes();
+  } else {
+    var cancelBtn = document.getElementById('cancelBtn');
+    var qsm = '/api/guest/manage?m=' + encodeURIComponent(ctx.m);
+    if (ctx.guestTzParam) qsm += '&guestTz=' + encodeURIComponent(ctx.guestTzParam);
+    fetch(qsm)
+      .then(function(r){ return r.json(); })
+      .then(function(d){
+        if (!d.ok) { showLoadErr(safeErrText(d.error) || 'Could not load your booking', d.errorDetail || ''); return; }
+        var line = document.getElementById('manageLine');
+        line.style.display = 'block';
+        line.textContent = d.booking.status === 'cancelled'
+          ? 'Your meeting on ' + d.booking.day + ' · ' + d.booking.display + ' was cancelled.'
+          : 'Currently booked: ' + d.booking.day + ' · ' + d.booking.display + ' (' + d.displayTimezoneLabel + ').';
+        if (d.canCancel) cancelBtn.style.display = 'block';
+        if (d.canReschedule) {
+          loadTimes();
+          if (ctx.action === 'cancel') cancelBtn.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        } else {
+          btn.style.display = 'none';
+          if (d.reason) showLoadErr(d.reason);
+        }
+      })
+      .catch(function(){ showLoadErr('Network error loading your booking'); });
+
+    cancelBtn.onclick = function(){
+      if (!window.confirm('Cancel this meeting?')) return;
+      showErr('', '');
+      cancelBtn.disabled = true;
+      cancelBtn.textContent = 'Cancelling…';
+      fetch('/api/guest/cancel', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ m: ctx.m })
+      })
+        .then(function(r){ return r.json(); })
+        .then(function(d){
+          if (!d.ok) {
+            showErr(apiErrMsg(d), d.errorDetail || '');
+            cancelBtn.disabled = false;
+            cancelBtn.textContent = 'Cancel this meeting';
+            return;
+          }
+          showDone('Your meeting is cancelled.', 'The calendar invite has been removed. If you’d like to talk another time, just reply to the original email.');
+        })
+        .catch(function(){ showErr('Network error'); cancelBtn.disabled = false; cancelBtn.textContent = 'Cancel this meeting'; });
+    };
+  }
 
   btn.onclick = function(){
     showErr('', '');
     if(!selected){ showErr('Choose a time first'); return; }
     var email = document.getElementById('email').value.trim();
-    if(!/^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$/.test(email)){ showErr('Please enter a valid email'); return; }
+    if(!manage && !/^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$/.test(email)){ showErr('Please enter a valid email'); return; }
+    var idleText = manage ? 'Move my meeting here' : "Let's lock it in";
     btn.disabled = true;
-    btn.textContent = 'Locking…';
-    fetch('/api/guest/book', {
+    btn.textContent = manage ? 'Moving…' : 'Locking…';
+    fetch(manage ? '/api/guest/reschedule' : '/api/guest/book', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
+      body: JSON.stringify(manage ? { m: ctx.m, start: selected.time } : {
         t: ctx.t,
         start: selected.time,
         attendeeEmail: email,
@@ -826,18 +1147,30 @@ router.get("/guest-book", async (req, res) => {
       if (data && data.__fail) {
         showErr(data.msg || apiErrMsg(data), data.detail);
         btn.disabled = false;
-        btn.textContent = "Let's lock it in";
+        btn.textContent = idleText;
         return;
       }
       if (!data || !data.ok) {
         showErr(apiErrMsg(data), data.errorDetail || '');
         btn.disabled = false;
-        btn.textContent = "Let's lock it in";
+        btn.textContent = idleText;
         return;
       }
-      document.body.innerHTML = '<div class="ok"><strong>You’re booked.</strong><p style="margin:.75em 0 0;line-height:1.5">Check your email for the Google Calendar invite and tap <strong>Accept</strong> so it’s on your calendar.</p></div>';
+      if (manage) {
+        showDone('Your meeting is moved.', 'New time: ' + (selected.dayLabel || '') + ' · ' + (selected.display || '') + '. Your calendar invite has been updated.');
+        return;
+      }
+      document.body.innerHTML = '<div class="ok"><strong>You’re booked.</strong><p style="margin:.75em 0 0;line-height:1.5">Check your email for the calendar invite and tap <strong>Accept</strong> so it’s on your calendar.</p></div>';
+      if (data.manage && data.manage.rescheduleUrl) {
+        var links = document.createElement('p');
+        links.style.cssText = 'margin:.75em 0 0;line-height:1.5;font-size:.9rem';
+        links.innerHTML = 'Need to change it? <a id="reschedLink">Reschedule</a> or <a id="cancelLink">cancel</a> — the links are in the invite too.';
+        document.querySelector('.ok').appendChild(links);
+        document.getElementById('reschedLink').href = data.manage.rescheduleUrl;
+        document.getElementById('cancelLink').href = data.manage.cancelUrl;
+      }
     })
-    .catch(function(){ showErr('Network error'); btn.disabled = false; btn.textContent = "Let's lock it in"; });
+    .catch(function(){ showErr('Network error'); btn.disabled = false; btn.textContent = idleText; });
   };
 })();
   </script>
@@ -882,6 +1215,38 @@ router.post("/api/guest/track-booking-page", async (req, res) => {
 });
 
 router.get("/api/guest/availability", async (req, res) => {
+  if (req.query.m) {
+    const loaded = await loadManagedForRequest(req.query.m);
+    if (!loaded.ok) {
+      return res.status(loaded.status).json({ ok: false, error: loaded.error, errorDetail: loaded.errorDetail });
+    }
+    if (!loaded.policy.canReschedule) {
+      return res.status(403).json({ ok: false, error: loaded.policy.reason });
+    }
+    try {
+      const link = await rescheduleLinkFor(loaded.booking);
+      const hostTz = link.owner.timezone;
+      const guestTz = resolveGuestTimezone(req.query, hostTz);
+      const days = await getLinkAvailability(link, guestTz);
+      return res.json({
+        ok: true,
+        timezone: guestTz,
+        hostTimezone: hostTz,
+        displayTimezoneLabel: timezoneLabelFromIana(guestTz),
+        meetingType: {
+          key: link.type.key,
+          label: link.type.label,
+          durationMinutes: link.type.durationMinutes,
+        },
+        days,
+        suggested: pickDistributedSlots(days, getQuickPickStartDate(hostTz), 3),
+      });
+    } catch (e) {
+      const report = buildGuestBookErrorReport(e);
+      return res.status(500).json({ ok: false, error: report.summary, errorDetail: report.detail });
+    }
+  }
+
   let verified;
   try {
     verified = verifyGuestBookingToken(req.query.t);
@@ -892,6 +1257,36 @@ router.get("/api/guest/availability", async (req, res) => {
     return res.status(400).json({ ok: false, error: verified.error });
   }
 
+  if (bookingHostsFromPayload(verified.payload).length) {
+    try {
+      const link = await resolveBookingLink(verified.payload);
+      const hostTz = link.owner.timezone;
+      const guestTz = resolveGuestTimezone(req.query, hostTz);
+      const days = await getLinkAvailability(link, guestTz);
+      const quickPickStart = getQuickPickStartDate(hostTz);
+      return res.json({
+        ok: true,
+        timezone: guestTz,
+        hostTimezone: hostTz,
+        displayTimezoneLabel: timezoneLabelFromIana(guestTz),
+        meetingType: {
+          key: link.type.key,
+          label: link.type.label,
+          durationMinutes: link.type.durationMinutes,
+        },
+        days,
+        suggested: pickDistributedSlots(days, quickPickStart, 3),
+      });
+    } catch (e) {
+      const report = buildGuestBookErrorReport(e);
+      return res.status(500).json({
+        ok: false,
+        error: report.summary,
+        errorDetail: report.detail,
+      });
+    }
+  }
+
   try {
     const host = await fetchHostClientProfile();
     const hostTz = host.timezone || "Australia/Brisbane";
@@ -962,7 +1357,7 @@ router.post("/api/guest/book", async (req, res) => {
         contentType: req.headers["content-type"] || null,
       })
     );
-    const out = await executeGuestBookOnce({ t, start, attendeeEmail, guestNotes });
+    const out = await executeGuestBookOnce({ t, start, attendeeEmail, guestNotes, base: publicBaseFor(req) });
     console.log(
       "[guest-book] executeGuestBookOnce result",
       JSON.stringify({ ok: out.ok, status: out.status, error: out.error ? String(out.error).slice(0, 200) : null })
@@ -970,22 +1365,21 @@ router.post("/api/guest/book", async (req, res) => {
     if (out.ok) {
       try {
         const { sendTextEmail } = require("../services/gmailApiService.js");
-        const hostEmail = process.env.GMAIL_FROM_EMAIL || "guyralphwilson@gmail.com";
-        const when = new Date(start).toLocaleString("en-AU", {
-          timeZone: "Australia/Brisbane",
-          weekday: "short", year: "numeric", month: "short", day: "numeric",
-          hour: "numeric", minute: "2-digit", hour12: true,
-        });
+        // Coach links tell the coach who got the booking; original links tell Guy.
+        const notify = out.notify || {};
+        const hostEmail = notify.to || process.env.GMAIL_FROM_EMAIL || "guyralphwilson@gmail.com";
+        const notifyTz = notify.timezone || "Australia/Brisbane";
+        const when = formatWhen(start, notifyTz);
         await sendTextEmail({
           to: hostEmail,
-          subject: `Guest booking: ${(verified && verified.ok && verified.payload && verified.payload.n) || "someone"} booked a call`,
+          subject: `Guest booking: ${(verified && verified.ok && verified.payload && verified.payload.n) || "someone"} booked ${notify.meetingLabel ? `a ${notify.meetingLabel}` : "a call"}`,
           text: [
             `A lead just booked via the guest booking link.`,
             ``,
             `Who:   ${(verified && verified.ok && verified.payload && verified.payload.n) || "(unknown)"}`,
             `Email: ${attendeeEmail}`,
             `LinkedIn: ${(verified && verified.ok && verified.payload && verified.payload.li) || "(none)"}`,
-            `When:  ${when} (Brisbane)`,
+            `When:  ${when} (${timezoneLabelFromIana(notifyTz)})`,
             `Notes: ${guestNotes || "(none)"}`,
             ``,
             `Calendar: ${out.htmlLink || "(no link)"}`,
@@ -998,6 +1392,7 @@ router.post("/api/guest/book", async (req, res) => {
         ok: true,
         eventId: out.eventId,
         htmlLink: out.htmlLink,
+        manage: out.manage || null,
       });
     }
     return res.status(out.status).json({
@@ -1016,6 +1411,183 @@ router.post("/api/guest/book", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/guest/manage?m=TOKEN&guestTz=...
+ * The booking behind a reschedule / cancel link and what the guest may still do with it.
+ */
+router.get("/api/guest/manage", async (req, res) => {
+  const loaded = await loadManagedForRequest(req.query.m);
+  if (!loaded.ok) {
+    return res.status(loaded.status).json({ ok: false, error: loaded.error, errorDetail: loaded.errorDetail });
+  }
+  const { booking, policy } = loaded;
+  const guestTz = resolveGuestTimezone(req.query, "UTC");
+  const start = DateTime.fromISO(booking.startAt, { zone: "utc" }).setZone(guestTz);
+  return res.json({
+    ok: true,
+    booking: {
+      status: booking.status,
+      startAt: booking.startAt,
+      endAt: booking.endAt,
+      day: start.toFormat("ccc, d LLL"),
+      display: start.toFormat("h:mm a"),
+      rescheduleCount: booking.rescheduleCount,
+    },
+    displayTimezoneLabel: timezoneLabelFromIana(guestTz),
+    canReschedule: policy.canReschedule,
+    canCancel: policy.canCancel,
+    reason: policy.reason,
+  });
+});
+
+/**
+ * POST /api/guest/reschedule  { m, start }
+ * Move the booking to a fresh slot; the guest gets the updated invite, the coach an email.
+ */
+router.post("/api/guest/reschedule", async (req, res) => {
+  const { m, start } = req.body || {};
+  const loaded = await loadManagedForRequest(m);
+  if (!loaded.ok) {
+    return res.status(loaded.status).json({ ok: false, error: loaded.error, errorDetail: loaded.errorDetail });
+  }
+  const { booking } = loaded;
+  let out;
+  try {
+    out = await rescheduleBooking(booking, { start, base: publicBaseFor(req) });
+  } catch (err) {
+    logGuestBookFailure(err);
+    const report = buildGuestBookErrorReport(err);
+    return res.status(500).json({ ok: false, error: report.summary, errorDetail: report.detail });
+  }
+  if (!out.ok) return res.status(out.status).json({ ok: false, error: out.error });
+
+  try {
+    await setGuestBookingRescheduledAt({
+      airtableBaseId: out.host.airtableBaseId,
+      linkedInUrl: booking.guestLinkedIn,
+    });
+  } catch (_) {
+    /* non-fatal */
+  }
+  const tz = out.host.timezone || "Australia/Brisbane";
+  await notifyHostOfGuestChange({
+    to: out.host.email,
+    subject: `Guest booking: ${booking.guestName || "someone"} moved ${out.type.key === "intro" ? "a call" : `a ${out.type.label}`}`,
+    lines: [
+      `A lead moved their meeting via the guest booking link.`,
+      ``,
+      `Who:   ${booking.guestName || "(unknown)"}`,
+      `Email: ${booking.guestEmail || "(none)"}`,
+      `Was:   ${formatWhen(out.previousStartAt, tz)}`,
+      `Now:   ${formatWhen(out.booking.startAt, tz)} (${timezoneLabelFromIana(tz)})`,
+      ``,
+      `The calendar invite has been updated.`,
+    ],
+  });
+  return res.json({ ok: true, startAt: out.booking.startAt, endAt: out.booking.endAt });
+});
+
+/**
+ * POST /api/guest/cancel  { m }
+ * Cancel the booking; the calendar event is deleted (the guest gets the cancellation) and the
+ * coach is emailed.
+ */
+router.post("/api/guest/cancel", async (req, res) => {
+  const { m } = req.body || {};
+  const loaded = await loadManagedForRequest(m);
+  if (!loaded.ok) {
+    return res.status(loaded.status).json({ ok: false, error: loaded.error, errorDetail: loaded.errorDetail });
+  }
+  const { booking } = loaded;
+  let out;
+  try {
+    out = await cancelBooking(booking);
+  } catch (err) {
+    logGuestBookFailure(err);
+    const report = buildGuestBookErrorReport(err);
+    return res.status(500).json({ ok: false, error: report.summary, errorDetail: report.detail });
+  }
+  if (!out.ok) return res.status(out.status).json({ ok: false, error: out.error });
+
+  try {
+    await setGuestBookingCancelledAt({
+      airtableBaseId: out.host.airtableBaseId,
+      linkedInUrl: booking.guestLinkedIn,
+    });
+  } catch (_) {
+    /* non-fatal */
+  }
+  const tz = out.host.timezone || "Australia/Brisbane";
+  await notifyHostOfGuestChange({
+    to: out.host.email,
+    subject: `Guest booking: ${booking.guestName || "someone"} cancelled`,
+    lines: [
+      `A lead cancelled their meeting via the guest booking link.`,
+      ``,
+      `Who:   ${booking.guestName || "(unknown)"}`,
+      `Email: ${booking.guestEmail || "(none)"}`,
+      `Was:   ${formatWhen(booking.startAt, tz)} (${timezoneLabelFromIana(tz)})`,
+      ``,
+      `The calendar event has been removed.`,
+    ],
+  });
+  return res.json({ ok: true });
+});
+
+/**
+ * GET /api/guest-booking/meeting-types  (portal auth)
+ * The signed-in coach's meeting types (Master Clients 'Booking Meeting Types'; blank = the
+ * built-in 30-minute intro).
+ */
+router.get("/api/guest-booking/meeting-types", authenticateUserWithTestMode, (req, res) => {
+  const types = parseMeetingTypes(req.client.bookingMeetingTypes);
+  return res.json({ ok: true, clientId: req.client.clientId, meetingTypes: types });
+});
+
+/**
+ * POST /api/guest-booking/links  (portal auth)
+ * Mint a booking link for the signed-in coach.
+ * Body: { meetingType?, teamClientIds?: [...other coaches to round-robin with],
+ *         guest?: { name, email, linkedIn? } }
+ * With a guest: their personal /guest-book?t= link. Without: an open /guest-book?l= link.
+ * 403 when a team coach isn't on the caller's booking team (Master Clients "Booking Team", both ways).
+ */
+router.post("/api/guest-booking/links", authenticateUserWithTestMode, async (req, res) => {
+  const { meetingType, teamClientIds, guest } = req.body || {};
+  if (teamClientIds != null && !Array.isArray(teamClientIds)) {
+    return res.status(400).json({ ok: false, error: "teamClientIds must be an array of Client IDs" });
+  }
+  if (guest != null && (!guest.name || !simpleEmailOk(guest.email))) {
+    return res.status(400).json({ ok: false, error: "guest needs a name and a valid email" });
+  }
+  if ((teamClientIds || []).length + 1 > MAX_TEAM_HOSTS) {
+    return res.status(400).json({ ok: false, error: `A team link can have at most ${MAX_TEAM_HOSTS} coaches` });
+  }
+  try {
+    const base = publicBaseFor(req);
+    const out = await mintBookingLink({
+      ownerClientId: req.client.clientId,
+      teamClientIds: teamClientIds || [],
+      meetingType,
+      guest: guest
+        ? { name: String(guest.name).trim(), email: String(guest.email).trim(), linkedIn: guest.linkedIn }
+        : null,
+      base,
+    });
+    return res.json({
+      ok: true,
+      url: out.url,
+      open: out.open,
+      hosts: out.hosts,
+      meetingType: out.meetingType,
+    });
+  } catch (e) {
+    const msg = e.message || String(e);
+    const status = e.statusCode || (/not configured|GUEST_BOOKING_LINK_SECRET/.test(msg) ? 503 : 400);
+    return res.status(status).json({ ok: false, error: msg });
+  }
+});
+
 /**
  * GET /debug-guest-book-harness?secret=PB_WEBHOOK_SECRET
  * Full live test: signs token on server, runs same path as POST /api/guest/book, then deletes probe event.
@@ -0,0 +1,99 @@
+// routes/helpFeedbackRoutes.js
+// Help Q&A feedback loop. /api/help/qa and /api/help/qa-embed log every question and return its
+// `qaId` (services/helpQaFeedbackStore.js); these routes collect feedback on it and report on the
+// questions help content doesn't cover yet.
+// - POST /api/help/qa/feedback          -> { qaId, rating: 'up'|'down', comment? } from the help panel
+// - GET  /admin/help/qa/report          -> unanswered + downvoted questions clustered by topic (?days=30)
+// - POST /admin/help/qa/draft-topic     -> { questionIds, topicId? } -> new topic draft (LLM or outline)
+// - GET  /admin/help/qa/drafts          -> saved drafts, newest first
+// Admin routes take the same Bearer secret as the other /admin/help routes.
+
+const express = require('express');
+const { createLogger } = require('../utils/contextLogger');
+const logger = createLogger({ runId: 'SYSTEM', clientId: 'SYSTEM', operation: 'help_qa_feedback' });
+const store = require('../services/helpQaFeedbackStore');
+const { buildReport, draftTopicFromQuestions } = require('../services/helpQaAnalytics');
+const helpRetrieval = require('../helpRetrieval');
+
+const MAX_DRAFT_QUESTIONS = 50;
+
+/**
+ * @param {import('express').Express} app
+ * @param {{ adminSecret: string, getHelpBase: () => any, getOpenaiClient: () => any }} deps
+ */
+module.exports = function mountHelpFeedbackRoutes(app, { adminSecret, getHelpBase, getOpenaiClient }) {
+  const requireAdmin = (req, res, next) => {
+    if (req.headers['authorization'] !== `Bearer ${adminSecret}`) {
+      return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    }
+    next();
+  };
+
+  app.post('/api/help/qa/feedback', express.json(), async (req, res) => {
+    const { qaId, rating, comment } = req.body || {};
+    if (!qaId) return res.status(400).json({ ok: false, error: 'MISSING_QA_ID' });
+    try {
+      const result = await store.recordFeedback(String(qaId), { rating, comment });
+      if (!result.ok) return res.status(result.error === 'not_found' ? 404 : 400).json(result);
+      res.json({ ok: true, qaId: result.entry.id, rating: result.entry.rating });
+    } catch (e) {
+      logger.error(`[helpFeedback] feedback failed: ${e.message}`);
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  app.get('/admin/help/qa/report', requireAdmin, async (req, res) => {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const includeDrafted = req.query.includeDrafted === '1';
+    try {
+      const [questions, totals] = await Promise.all([
+        store.listFlaggedQuestions({ sinceDays: days, includeDrafted }),
+        store.summarize({ sinceDays: days }),
+      ]);
+      // Titles come from the retrieval index when it's warm; the portal falls back to the id.
+      const topicTitles = {};
+      for (const id of new Set(questions.map((q) => q.topicId).filter(Boolean))) {
+        const seg = helpRetrieval.segmentsFor('topic', id)[0];
+        if (seg) topicTitles[id] = seg.title;
+      }
+      res.json({ ok: true, days, totals, flagged: questions.length, groups: buildReport(questions, { topicTitles }) });
+    } catch (e) {
+      logger.error(`[helpFeedback] report failed: ${e.message}`);
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  app.post('/admin/help/qa/draft-topic', requireAdmin, express.json(), async (req, res) => {
+    const { questionIds, topicId } = req.body || {};
+    if (!Array.isArray(questionIds) || !questionIds.length) {
+      return res.status(400).json({ ok: false, error: 'Provide non-empty array questionIds' });
+    }
+    try {
+      const questions = await store.getQuestions(questionIds.slice(0, MAX_DRAFT_QUESTIONS));
+      if (!questions.length) return res.status(404).json({ ok: false, error: 'No matching questions' });
+      const helpBase = getHelpBase();
+      if (helpBase) {
+        await helpRetrieval.ensureIndex(helpBase, { openaiClient: getOpenaiClient() })
+          .catch((e) => logger.warn(`[helpFeedback] retrieval index unavailable for draft: ${e.message}`));
+      }
+      const draft = await draftTopicFromQuestions(questions, { openaiClient: getOpenaiClient() });
+      const saved = await store.saveDraft({
+        ...draft,
+        topicId: topicId || questions[0].topicId || null,
+        questionIds: questions.map((q) => q.id),
+      });
+      res.json({ ok: true, draft: saved });
+    } catch (e) {
+      logger.error(`[helpFeedback] draft failed: ${e.message}`);
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  app.get('/admin/help/qa/drafts', requireAdmin, async (req, res) => {
+    try {
+      res.json({ ok: true, drafts: await store.listDrafts({ limit: Math.min(parseInt(req.query.limit, 10) || 50, 200) }) });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+};
@@ -6,7 +6,10 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const { createLogger } = require('../utils/contextLogger');
+const { authenticateUserWithTestMode } = require('../middleware/authMiddleware');
 const inboundEmailService = require('../services/inboundEmailService');
+const inboundEmailAudit = require('../services/inboundEmailAuditService');
+const emailAttachments = require('../services/emailAttachmentService');
 
 // Create logger for this module
 const logger = createLogger({ 
@@ -16,7 +19,7 @@ const logger = createLogger({
 });
 
 // Configure multer for handling multipart/form-data (emails with attachments)
-// We use memory storage since we only need the form fields, not the attachment files
+// Memory storage: attachment buffers go straight to emailAttachmentService (local disk / S3)
 const upload = multer({ 
     storage: multer.memoryStorage(),
     limits: {
@@ -36,14 +39,17 @@ const upload = multer({
  * - multipart/form-data for emails with attachments
  * 
  * Flow:
+ * 0. Store the payload in the audit log (inbound_emails) - before anything can fail
  * 1. Validate Mailgun signature
  * 2. Find client by sender email
  * 3. Find lead by recipient (To:) email
  * 4. Update lead notes with email content
  * 5. Set follow-up date to +14 days
+ * 6. Link stored attachments (PDF/DOCX text extracted for search) to each updated lead
  */
 router.post('/api/webhooks/inbound-email', upload.any(), async (req, res) => {
     const startTime = Date.now();
+    let auditId = null;
     
     try {
         logger.info('📧 Inbound email webhook received');
@@ -63,12 +69,21 @@ router.post('/api/webhooks/inbound-email', upload.any(), async (req, res) => {
         logger.info(`Subject: ${mailgunData.subject}`);
         logger.info(`Recipient (BCC): ${mailgunData.recipient}`);
 
-        // Validate Mailgun signature if signing key is configured
+        // Validate Mailgun signature if signing key is configured (null = not checked)
+        let signatureVerified = null;
         if (process.env.MAILGUN_WEBHOOK_SIGNING_KEY) {
             const { timestamp, token, signature } = mailgunData;
-            
-            if (!inboundEmailService.validateMailgunSignature(timestamp, token, signature)) {
+            signatureVerified = !!(timestamp && token && signature) &&
+                inboundEmailService.validateMailgunSignature(timestamp, token, signature);
+        }
+
+        // Audit log: keep the payload whatever happens next (search + replay from the admin view)
+        auditId = await inboundEmailAudit.recordReceived(mailgunData, { files: req.files, signatureVerified });
+
+        if (process.env.MAILGUN_WEBHOOK_SIGNING_KEY) {
+            if (!signatureVerified) {
                 logger.warn('Invalid Mailgun signature - rejecting webhook');
+                await inboundEmailAudit.recordOutcome(auditId, { status: 'rejected_signature', error: 'Webhook signature validation failed' });
                 return res.status(401).json({ 
                     error: 'Invalid signature',
                     message: 'Webhook signature validation failed'
@@ -86,6 +101,12 @@ router.post('/api/webhooks/inbound-email', upload.any(), async (req, res) => {
             const pendingReply = await require('../services/pendingReplyHandler').handlePendingReply(mailgunData);
             if (pendingReply.handled) {
                 logger.info(`↩️ Pending-lead reply handled: ${pendingReply.outcome}`);
+                await inboundEmailAudit.recordOutcome(auditId, {
+                    path: 'pending_reply',
+                    status: 'processed',
+                    result: { outcome: pendingReply.outcome },
+                    durationMs: Date.now() - startTime
+                });
                 return res.status(200).json({ success: true, pendingReply: pendingReply.outcome });
             }
         } catch (prErr) {
@@ -93,13 +114,20 @@ router.post('/api/webhooks/inbound-email', upload.any(), async (req, res) => {
             // no sense to the BCC flow either, so answer 200 and surface the error in logs.
             if (/^add-[a-z0-9_-]+@/i.test(String(mailgunData.recipient || ''))) {
                 logger.error(`Pending-lead reply failed: ${prErr.message}`);
+                await inboundEmailAudit.recordOutcome(auditId, { path: 'pending_reply', status: 'error', error: prErr.message });
                 return res.status(200).json({ success: false, error: 'pending-reply-error', message: prErr.message });
             }
             logger.warn(`Pending-reply check errored (non add-* recipient, continuing to BCC flow): ${prErr.message}`);
         }
 
-        // Process the inbound email
-        const result = await inboundEmailService.processInboundEmail(mailgunData);
+        // Store attachments against the audit row (replays link the same files)
+        const attachments = await emailAttachments.saveIncoming(req.files, {
+            auditId,
+            contentIdMap: mailgunData['content-id-map']
+        });
+
+        // Process the inbound email (outcome recorded against the audit row)
+        const result = await inboundEmailAudit.processAudited(mailgunData, { auditId, attachments });
         
         const duration = Date.now() - startTime;
         
@@ -404,4 +432,80 @@ router.post('/api/webhooks/inbound-email/clear-cache', (req, res) => {
     });
 });
 
+// ---------------------------------------------------------------------------
+// Audit log admin (owner dashboard → Inbound Email): search stored payloads and
+// replay one after a lead is created or a parser is fixed.
+// ---------------------------------------------------------------------------
+
+const OWNER_CLIENT_ID = (process.env.WINGGUY_PLATFORM_OWNER || 'Guy-Wilson').trim();
+
+/** Debug key (as for the test endpoints) or a portal login as the owner - payloads span every client */
+function requireAuditAdmin(req, res, next) {
+    const debugKey = process.env.DEBUG_API_KEY || process.env.PB_WEBHOOK_SECRET;
+    if (debugKey && req.headers.authorization === `Bearer ${debugKey}`) return next();
+    authenticateUserWithTestMode(req, res, () => {
+        if (!req.client || String(req.client.clientId) !== OWNER_CLIENT_ID) {
+            return res.status(403).json({ success: false, error: 'Owner only' });
+        }
+        next();
+    });
+}
+
+/**
+ * GET /api/inbound-email/messages?q=&status=&path=&clientId=&since=&limit=&offset=
+ * Stored webhook payloads, newest first (without payload bodies)
+ */
+router.get('/api/inbound-email/messages', requireAuditAdmin, async (req, res) => {
+    const { q, status, path, clientId, since, limit, offset } = req.query;
+    if (since && Number.isNaN(Date.parse(since))) {
+        return res.status(400).json({ success: false, error: 'since must be a date (e.g. 2026-10-01)' });
+    }
+    try {
+        const { messages, total } = await inboundEmailAudit.searchMessages({ q, status, path, clientId, since, limit, offset });
+        res.json({ success: true, messages, total });
+    } catch (error) {
+        logger.error(`Inbound email audit search failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/inbound-email/messages/:id
+ * One stored message with its payload, matched leads and Notes diffs
+ */
+router.get('/api/inbound-email/messages/:id', requireAuditAdmin, async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (!id) return res.status(400).json({ success: false, error: 'Invalid message id' });
+    try {
+        const message = await inboundEmailAudit.getMessage(id);
+        if (!message) return res.status(404).json({ success: false, error: `No stored message #${id}` });
+        res.json({ success: true, message });
+    } catch (error) {
+        logger.error(`Inbound email audit read failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/inbound-email/messages/:id/replay
+ * Body (optional): { notify: true } - also send the client emails a live delivery would
+ *
+ * Re-runs processing on the stored payload; the replay is recorded as a new message pointing at
+ * the original. Already-logged emails are skipped by the Notes duplicate check, so replaying a
+ * processed message is safe.
+ */
+router.post('/api/inbound-email/messages/:id/replay', requireAuditAdmin, async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (!id) return res.status(400).json({ success: false, error: 'Invalid message id' });
+    try {
+        const replayed = await inboundEmailAudit.replayMessage(id, { notify: req.body?.notify === true });
+        if (!replayed) return res.status(404).json({ success: false, error: `No stored message #${id}` });
+        logger.info(`↻ Replayed inbound email #${id} → #${replayed.replay?.id} (${replayed.replay?.status})`);
+        res.json({ success: true, original: replayed.original, replay: replayed.replay, result: replayed.result });
+    } catch (error) {
+        logger.error(`Inbound email replay #${id} failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 module.exports = router;
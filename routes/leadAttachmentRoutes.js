@@ -0,0 +1,75 @@
+/**
+ * Email attachments linked to a client's leads (services/emailAttachmentService.js):
+ *   GET  /api/lead-attachments?lead=<recordId>          portal — one lead's attachments, newest first
+ *   GET  /api/lead-attachments/search?q=...[&lead=]     portal — filename / extracted-text search
+ *   GET  /api/lead-attachments/:id/text                 portal — the extracted text
+ *   GET  /api/lead-attachments/:id/download             portal — the file (?inline=1 to open in the browser)
+ * Every lookup is scoped to req.client: an attachment is only visible through a link to one of
+ * that client's leads.
+ */
+const express = require("express");
+const { authenticateUserWithTestMode } = require("../middleware/authMiddleware");
+const emailAttachments = require("../services/emailAttachmentService.js");
+
+const router = express.Router();
+
+const param = (v) => (typeof v === "string" ? v.trim() : "");
+
+router.get("/api/lead-attachments", authenticateUserWithTestMode, async (req, res) => {
+  const leadId = param(req.query.lead);
+  if (!leadId) return res.status(400).json({ ok: false, error: "lead is required" });
+  try {
+    const attachments = await emailAttachments.listForLead(req.client.clientId, leadId);
+    return res.json({ ok: true, leadId, attachments: attachments.map(({ storage, sha256, ...a }) => a) });
+  } catch (e) {
+    console.error("[leadAttachments] list error:", e.message);
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+router.get("/api/lead-attachments/search", authenticateUserWithTestMode, async (req, res) => {
+  const q = param(req.query.q);
+  if (q.length < 2) return res.status(400).json({ ok: false, error: "q must be at least 2 characters" });
+  try {
+    const results = await emailAttachments.search(req.client.clientId, {
+      q,
+      leadId: param(req.query.lead) || null,
+      limit: req.query.limit,
+    });
+    return res.json({ ok: true, q, results: results.map(({ storage, sha256, ...a }) => a) });
+  } catch (e) {
+    console.error("[leadAttachments] search error:", e.message);
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+router.get("/api/lead-attachments/:id/text", authenticateUserWithTestMode, async (req, res) => {
+  try {
+    const attachment = await emailAttachments.getAttachment(req.client.clientId, req.params.id);
+    if (!attachment) return res.status(404).json({ ok: false, error: "Attachment not found" });
+    const { storage, sha256, ...rest } = attachment;
+    return res.json({ ok: true, attachment: rest });
+  } catch (e) {
+    console.error("[leadAttachments] text error:", e.message);
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+router.get("/api/lead-attachments/:id/download", authenticateUserWithTestMode, async (req, res) => {
+  try {
+    const out = await emailAttachments.download(req.client.clientId, req.params.id);
+    if (!out) return res.status(404).json({ ok: false, error: "Attachment not found" });
+    const { attachment, content } = out;
+    const disposition = req.query.inline === "1" ? "inline" : "attachment";
+    res.set("Content-Type", attachment.contentType || "application/octet-stream");
+    res.set("Content-Disposition", `${disposition}; filename="${attachment.filename.replace(/["\\\r\n]/g, "_")}"; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`);
+    res.set("Cache-Control", "private, no-store");
+    res.set("X-Content-Type-Options", "nosniff");
+    return res.send(content);
+  } catch (e) {
+    console.error("[leadAttachments] download error:", e.message);
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+module.exports = router;
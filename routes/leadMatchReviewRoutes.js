@@ -0,0 +1,63 @@
+/**
+ * Lead match review queue (services/leadMatchReviewService.js) — inbound emails and meetings the
+ * matcher wasn't sure about, waiting for the coach to pick the lead:
+ *   GET  /api/lead-match-reviews?status=pending|resolved|dismissed|all   portal — the queue, newest first
+ *   GET  /api/lead-match-reviews/count                                   portal — pending count (nav badge)
+ *   POST /api/lead-match-reviews/:id/resolve  { leadId }                 portal — file it to that lead
+ *   POST /api/lead-match-reviews/:id/dismiss                             portal — none of these
+ * Resolving learns the email for the lead and replays the waiting emails with the pick.
+ */
+const express = require("express");
+const { authenticateUserWithTestMode } = require("../middleware/authMiddleware");
+const leadMatchReviews = require("../services/leadMatchReviewService.js");
+
+const router = express.Router();
+
+const param = (v) => (typeof v === "string" ? v.trim() : "");
+
+// Who clicked, for the review's resolved_by
+const actor = (req) => (req.assistant ? `assistant:${req.assistant.name}` : req.client.clientName || req.client.clientId);
+
+router.get("/api/lead-match-reviews", authenticateUserWithTestMode, async (req, res) => {
+  try {
+    const status = param(req.query.status) || "pending";
+    const reviews = await leadMatchReviews.listReviews(req.client.clientId, { status, limit: req.query.limit });
+    return res.json({ ok: true, status, reviews });
+  } catch (e) {
+    console.error("[leadMatchReviews] list error:", e.message);
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+router.get("/api/lead-match-reviews/count", authenticateUserWithTestMode, async (req, res) => {
+  try {
+    return res.json({ ok: true, pending: await leadMatchReviews.countPending(req.client.clientId) });
+  } catch (e) {
+    console.error("[leadMatchReviews] count error:", e.message);
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+router.post("/api/lead-match-reviews/:id/resolve", authenticateUserWithTestMode, async (req, res) => {
+  const leadId = param(req.body && req.body.leadId);
+  if (!leadId) return res.status(400).json({ ok: false, error: "leadId is required" });
+  try {
+    const review = await leadMatchReviews.resolveReview(req.client.clientId, req.params.id, leadId, { resolvedBy: actor(req) });
+    return res.json({ ok: true, review });
+  } catch (e) {
+    if (!e.statusCode) console.error("[leadMatchReviews] resolve error:", e.message);
+    return res.status(e.statusCode || 500).json({ ok: false, error: e.message });
+  }
+});
+
+router.post("/api/lead-match-reviews/:id/dismiss", authenticateUserWithTestMode, async (req, res) => {
+  try {
+    const review = await leadMatchReviews.dismissReview(req.client.clientId, req.params.id, { resolvedBy: actor(req) });
+    return res.json({ ok: true, review });
+  } catch (e) {
+    if (!e.statusCode) console.error("[leadMatchReviews] dismiss error:", e.message);
+    return res.status(e.statusCode || 500).json({ ok: false, error: e.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,163 @@
+/**
+ * Microsoft (Outlook / Microsoft 365) OAuth connect flow — one consent covers the coach's calendar
+ * AND mailbox (the 'microsoft' branches of services/calendarProvider.js + services/mailProvider.js).
+ *
+ *   GET /auth/microsoft/start?clientId=<id>&token=<portal token>
+ *       Authorizes the initiator (the token must be THIS client's Portal Token), then redirects to
+ *       the Microsoft identity platform consent screen with offline_access (→ refresh token).
+ *   GET /auth/microsoft/callback?code=..&state=..
+ *       Verifies the signed state, exchanges the code, and writes the refresh token + the tenant the
+ *       account signed in from onto the client's record + sets Calendar Provider / Email Provider
+ *       ='microsoft'.
+ *
+ * Same generic fields as Zoho: Calendar Provider Token (refresh token — Microsoft rotates it, see
+ * services/microsoftGraph.js) and Calendar Provider Domain (Entra tenant id). One multi-tenant
+ * platform app serves all tenants: MS_GRAPH_CLIENT_ID / MS_GRAPH_CLIENT_SECRET (env).
+ *
+ * SECURITY: as zohoAuthRoutes — Portal Token on /start, HMAC-signed 15-min `state` on /callback.
+ * Set MS_GRAPH_REDIRECT_URI to the exact URI registered on the app (defaults to the prod callback).
+ * The coach's Calendar Email must be blank, or the Wingguy seam routes them to Google instead.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const clientService = require('../services/clientService');
+const { createLogger } = require('../utils/contextLogger');
+const { GRAPH_SCOPES, tokenEndpoint } = require('../services/microsoftGraph');
+const logger = createLogger({ runId: 'SYSTEM', clientId: 'SYSTEM', operation: 'microsoft-auth' });
+
+const router = express.Router();
+
+const STATE_TTL_MS = 15 * 60 * 1000;
+const AUTHORIZE_URL = 'https://login.microsoftonline.com/common/oauth2/v2.0/authorize';
+
+function stateSecret() {
+  return process.env.MS_GRAPH_STATE_SECRET || process.env.MS_GRAPH_CLIENT_SECRET || '';
+}
+function redirectUri() {
+  return process.env.MS_GRAPH_REDIRECT_URI || 'https://pb-webhook-server.onrender.com/auth/microsoft/callback';
+}
+function signState(clientId) {
+  const payload = `${clientId}.${Date.now() + STATE_TTL_MS}`;
+  const sig = crypto.createHmac('sha256', stateSecret()).update(payload).digest('hex').slice(0, 32);
+  return Buffer.from(`${payload}.${sig}`).toString('base64url');
+}
+function verifyState(state) {
+  try {
+    const [clientId, exp, sig] = Buffer.from(String(state || ''), 'base64url').toString('utf8').split('.');
+    if (!clientId || !exp || !sig) return null;
+    const expected = crypto.createHmac('sha256', stateSecret()).update(`${clientId}.${exp}`).digest('hex').slice(0, 32);
+    if (sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return null;
+    if (Date.now() > Number(exp)) return null;
+    return clientId;
+  } catch (_) { return null; }
+}
+// The `tid` claim of the id_token = the tenant the account belongs to. Read without verifying the
+// signature: it came straight from the token endpoint over TLS, and it only picks the token URL.
+function tenantFromIdToken(idToken) {
+  try {
+    const claims = JSON.parse(Buffer.from(String(idToken).split('.')[1], 'base64url').toString('utf8'));
+    return claims.tid || null;
+  } catch (_) { return null; }
+}
+function escapeHtml(s) {
+  return String(s == null ? '' : s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function page(title, body) {
+  return `<!doctype html><html><head><meta name="viewport" content="width=device-width,initial-scale=1">` +
+    `<title>${title}</title><style>body{font-family:-apple-system,Segoe UI,Arial,sans-serif;max-width:520px;` +
+    `margin:60px auto;padding:0 20px;color:#333;line-height:1.5}h1{font-size:20px}.ok{color:#137333}.err{color:#c5221f}</style>` +
+    `</head><body>${body}</body></html>`;
+}
+
+// Step 1 of the browser flow — authorize the initiator, then bounce to Microsoft consent.
+router.get('/start', async (req, res) => {
+  const clientId = String(req.query.clientId || '').trim();
+  const token = String(req.query.token || '').trim();
+  if (!process.env.MS_GRAPH_CLIENT_ID || !stateSecret()) {
+    return res.status(500).send(page('Not configured', '<h1>Microsoft isn\'t configured yet</h1><p>The server is missing MS_GRAPH_CLIENT_ID / MS_GRAPH_CLIENT_SECRET.</p>'));
+  }
+  if (!clientId || !token) {
+    return res.status(400).send(page('Missing details', '<h1>Missing details</h1><p>This connect link needs a client id and token.</p>'));
+  }
+  let client = null;
+  try { client = await clientService.getClientByPortalToken(token); } catch (_) { /* fall through to 403 */ }
+  if (!client || client.clientId !== clientId) {
+    return res.status(403).send(page('Not authorized', '<h1 class="err">Not authorized</h1><p>That connect link isn\'t valid for this client.</p>'));
+  }
+  const u = new URL(AUTHORIZE_URL);
+  u.searchParams.set('response_type', 'code');
+  u.searchParams.set('client_id', process.env.MS_GRAPH_CLIENT_ID);
+  u.searchParams.set('scope', `openid ${GRAPH_SCOPES}`); // openid → id_token carrying the tenant id
+  u.searchParams.set('redirect_uri', redirectUri());
+  u.searchParams.set('response_mode', 'query');
+  u.searchParams.set('prompt', 'select_account');
+  u.searchParams.set('state', signState(clientId));
+  return res.redirect(u.toString());
+});
+
+// Step 2 — Microsoft redirects back here with the code.
+router.get('/callback', async (req, res) => {
+  const { code, state, error } = req.query;
+  if (error) {
+    const desc = String(req.query.error_description || error).slice(0, 160);
+    return res.status(400).send(page('Connect failed', `<h1 class="err">Microsoft connect failed</h1><p>${escapeHtml(desc)}</p>`));
+  }
+  const clientId = verifyState(state);
+  if (!clientId) return res.status(400).send(page('Link expired', '<h1 class="err">This connect link has expired or is invalid</h1><p>Please start again from the link you were sent.</p>'));
+  if (!code) return res.status(400).send(page('Connect failed', '<h1 class="err">No authorization code returned by Microsoft.</h1>'));
+
+  let tok = {};
+  try {
+    const r = await fetch(tokenEndpoint('common'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body: new URLSearchParams({
+        client_id: process.env.MS_GRAPH_CLIENT_ID,
+        client_secret: process.env.MS_GRAPH_CLIENT_SECRET,
+        grant_type: 'authorization_code',
+        redirect_uri: redirectUri(),
+        scope: `openid ${GRAPH_SCOPES}`,
+        code: String(code),
+      }).toString(),
+    });
+    tok = await r.json().catch(() => ({}));
+    if (!r.ok) return res.status(400).send(page('Connect failed', `<h1 class="err">Token exchange failed</h1><p>${escapeHtml(String(tok.error_description || tok.error || '').slice(0, 160))}</p>`));
+  } catch (e) {
+    logger.error(`microsoft callback: token exchange for ${clientId} failed: ${e.message}`);
+    return res.status(502).send(page('Connect failed', '<h1 class="err">Couldn\'t reach Microsoft</h1><p>Please try again in a minute.</p>'));
+  }
+  if (!tok.refresh_token) {
+    return res.status(400).send(page('Connect incomplete', '<h1 class="err">Microsoft didn\'t return a refresh token</h1><p>Please try again — the app must request offline_access.</p>'));
+  }
+
+  const client = await clientService.getClientById(clientId);
+  if (!client || !client.id) return res.status(404).send(page('Client not found', '<h1 class="err">Client record not found.</h1>'));
+  const patchUrl = `https://api.airtable.com/v0/${process.env.MASTER_CLIENTS_BASE_ID}/Clients/${client.id}`;
+  const patchRes = await fetch(patchUrl, {
+    method: 'PATCH',
+    headers: { Authorization: `Bearer ${process.env.AIRTABLE_API_KEY}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      fields: {
+        'Calendar Provider Token': tok.refresh_token,
+        'Calendar Provider Domain': tenantFromIdToken(tok.id_token) || '',
+        'Calendar Provider': 'microsoft',
+        'Email Provider': 'microsoft',
+      },
+    }),
+  });
+  if (!patchRes.ok) {
+    const t = await patchRes.text();
+    logger.error(`microsoft callback: saving the connection for ${clientId} failed (${patchRes.status}): ${t.slice(0, 500)}`);
+    return res.status(500).send(page('Almost there', '<h1 class="err">Couldn\'t save the connection</h1><p>Please try again, or let your coach know if it keeps failing.</p>'));
+  }
+  return res.send(page('Connected', `<h1 class="ok">Your Outlook calendar and mailbox are connected ✓</h1>` +
+    `<p>${escapeHtml(client.clientName || clientId)} is all set — Wingguy can read your availability, book meetings and save email drafts in Outlook. You can close this tab.</p>`));
+});
+
+module.exports = router;
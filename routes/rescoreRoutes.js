@@ -2,67 +2,47 @@
 // On-demand rescore feature (per-client, gated by master "Rescore Enabled").
 // - GET  /api/rescore/status              -> { enabled, credits }
 // - GET  /api/rescore/estimate            -> count + cost + fits-credits for a scope
-// - POST /api/rescore/run                 -> preview|commit; enforces + debits credits; before/after
+// - POST /api/rescore/run                 -> preview|commit|compare; enforces + reserves credits; before/after
+// - GET  /api/rescore/run/status?jobId    -> progress + final report (poll)
+// - GET  /api/rescore/jobs                -> this client's job history (newest first)
+// - GET  /api/rescore/jobs/:jobId         -> one job + its per-lead before/after rows
 //
-// Two modes (see docs/RESCORE-FEATURE-PLAN.md):
+// Three modes (see docs/RESCORE-FEATURE-PLAN.md):
 //   preview -> non-destructive (persist:false): recompute + return scores, write nothing.
 //   commit  -> writes new scores back (persist:true) -> flows to Top Scoring Leads.
+//   compare -> sample scope only: scores the same stratified sample under two rubric versions
+//              (versionA, versionB: snapshot numbers or 'live'), writes nothing, and reports rank
+//              correlation, tier crossings and the largest movers. 2 credits per lead.
 // Two scopes:
 //   sample  -> stratified, DATA-DRIVEN bands (thirds by rank of the client's own scores).
 //   months  -> Scoring Status='Scored' AND Date Scored within the last N months.
 //
 // Both modes debit credits (real AI work). ~3,400 tokens/lead, ~1c/lead on Gemini 2.5 Pro.
+//
+// Jobs are durable (services/rescoreJobStore.js, Postgres): the job, its per-lead rows and the
+// preview baseline survive a restart/deploy, and on mount this process resumes any job whose
+// owner died mid-run (services/rescoreJobRunner.js). Credits are reserved for the whole scope
+// at start and unscored leads are refunded when the job settles.
 
 const express = require('express');
 const { createLogger } = require('../utils/contextLogger');
 const logger = createLogger({ runId: 'SYSTEM', clientId: 'SYSTEM', operation: 'rescore' });
 const clientService = require('../services/clientService');
 const gemini = require('../config/geminiClient');
-const batchScorer = require('../batchScorer');
+const jobStore = require('../services/rescoreJobStore');
+const jobRunner = require('../services/rescoreJobRunner');
+const { costGovernanceService } = require('../services/costGovernanceService');
+const rubricVersionStore = require('../services/rubricVersionStore');
 
 const TOKENS_PER_LEAD = 3400;   // measured average
 const USD_PER_LEAD = 0.008;     // ~1c/lead on Gemini 2.5 Pro
 const SAMPLE_MAX = 100;
 const SAMPLE_DEFAULT = 50;
-const JOB_TTL_MS = 60 * 60 * 1000; // keep finished jobs pollable for 1h
-
-// Build the before/after report from the engine result + captured old scores.
-function buildReport(result, oldById, nameById, tier) {
-  let up = 0, down = 0, crossedUp = 0, crossedDown = 0;
-  const rows = (result.perLead || []).map(p => {
-    const oldScore = oldById[p.recordId];
-    const delta = (typeof p.newScore === 'number' && typeof oldScore === 'number') ? Math.round((p.newScore - oldScore) * 100) / 100 : null;
-    if (typeof delta === 'number') { if (delta > 0) up++; else if (delta < 0) down++; }
-    if (typeof oldScore === 'number' && typeof p.newScore === 'number') {
-      if (oldScore < tier && p.newScore >= tier) crossedUp++;
-      if (oldScore >= tier && p.newScore < tier) crossedDown++;
-    }
-    return { recordId: p.recordId, name: nameById[p.recordId] || p.recordId, old: (typeof oldScore === 'number' ? oldScore : null), new: p.newScore, delta, status: p.status };
-  }).sort((a, b) => Math.abs(b.delta || 0) - Math.abs(a.delta || 0));
-  const scored = result.successful || 0;
-  return {
-    scored, tokensUsed: result.tokensUsed, persisted: result.persisted,
-    summary: { rescored: scored, movedUp: up, movedDown: down, crossedIntoTopTier: crossedUp, droppedBelowTier: crossedDown, tierLine: tier },
-    rows
-  };
-}
 
 module.exports = function mountRescore(app) {
   const router = express.Router();
 
-  // In-memory job store for async rescore runs. A server restart loses in-flight jobs
-  // (rare; acceptable for the gated test rollout). Finished jobs are pollable for JOB_TTL_MS.
-  const jobs = new Map();
-  let jobSeq = 0;
-  const newJobId = () => `rj_${Date.now().toString(36)}_${(jobSeq++).toString(36)}`;
-  const pruneJobs = () => { const now = Date.now(); for (const [id, j] of jobs) { if (now - j.startedAt > JOB_TTL_MS) jobs.delete(id); } };
-
-  // Per-client BASELINE: the last preview's scores, keyed by clientId. When the next preview
-  // covers the SAME lead set (idsKey matches), each row gains deltaVsPrevTest — and because
-  // batching is deterministic, that delta is PURE attribute-change signal (zero batch noise).
-  // A commit clears the baseline (stored scores are re-baselined). In-memory, same tradeoff
-  // as the job store.
-  const baselines = new Map();
+  const geminiDeps = () => ({ vertexAIClient: gemini.vertexAIClient, geminiModelId: gemini.geminiModelId });
 
   async function resolve(req) {
     const clientId = req.headers['x-client-id'] || req.query.clientId || req.query.testClient;
@@ -75,10 +55,7 @@ module.exports = function mountRescore(app) {
     return { clientId, client, base, status };
   }
 
-  const creditsView = (s) => ({
-    available: s.available, granted: s.granted, consumed: s.consumed,
-    monthlyAccrual: s.monthlyAccrual, monthsElapsed: s.monthsElapsed
-  });
+  const { creditsView, fetchFullByIds } = jobRunner;
 
   // Read up to 1,000 of the client's scored AI Scores and derive low/mid/high bands by RANK.
   // NOTE: the early-stop must resolve the promise explicitly — with Airtable's eachPage,
@@ -122,18 +99,13 @@ module.exports = function mountRescore(app) {
     return out.slice(0, size);
   }
 
-  const escId = (id) => String(id).replace(/'/g, "");
-  async function fetchFullByIds(base, ids) {
-    if (!ids.length) return [];
-    const out = [];
-    // chunk the OR() formula to keep it well under Airtable's length limit
-    for (let i = 0; i < ids.length; i += 50) {
-      const slice = ids.slice(i, i + 50);
-      const formula = `OR(${slice.map(id => `RECORD_ID()='${escId(id)}'`).join(', ')})`;
-      const recs = await base('Leads').select({ filterByFormula: formula }).all();
-      out.push(...recs);
-    }
-    return out;
+  // Compare-mode rubric: 'live' or a snapshot number that exists for this client.
+  async function resolveRubricVersion(clientId, raw) {
+    if (raw === undefined || raw === null || raw === '') return { error: 'versionA and versionB are required for compare mode' };
+    if (String(raw).toLowerCase() === 'live') return { version: 'live' };
+    const v = await rubricVersionStore.getVersion(clientId, raw);
+    if (!v) return { error: `Rubric version ${raw} not found` };
+    return { version: v.version };
   }
 
   function monthsFormula(months) {
@@ -175,7 +147,7 @@ module.exports = function mountRescore(app) {
     }
   });
 
-  // GET /estimate?scope=sample&size=50  OR  ?scope=months&months=3
+  // GET /estimate?scope=sample&size=50  OR  ?scope=months&months=3  (&mode=compare doubles the credits)
   router.get('/estimate', async (req, res) => {
     try {
       const r = await resolve(req);
@@ -191,12 +163,13 @@ module.exports = function mountRescore(app) {
         const scored = await readScoredScores(r.base);
         count = Math.min(sz, scored.length);
       }
+      const credits = count * (req.query.mode === 'compare' ? 2 : 1);
       res.json({
-        ok: true, scope, count,
-        estTokens: count * TOKENS_PER_LEAD,
-        estCostUsd: Math.round(count * USD_PER_LEAD * 100) / 100,
+        ok: true, scope, count, credits,
+        estTokens: credits * TOKENS_PER_LEAD,
+        estCostUsd: Math.round(credits * USD_PER_LEAD * 100) / 100,
         creditsAvailable: r.status.available,
-        fits: count <= r.status.available
+        fits: credits <= r.status.available
       });
     } catch (e) {
       logger.error('rescore/estimate error', e.message);
@@ -204,7 +177,8 @@ module.exports = function mountRescore(app) {
     }
   });
 
-  // POST /run   body/query: mode=preview|commit, scope=sample|months, size, months
+  // POST /run   body/query: mode=preview|commit|compare, scope=sample|months, size, months,
+  //             versionA + versionB (compare only)
   // Starts an async job and returns { jobId, total }. Poll GET /run/status?jobId=... .
   router.post('/run', async (req, res) => {
     try {
@@ -212,95 +186,107 @@ module.exports = function mountRescore(app) {
       if (r.error) return res.status(r.code).json({ ok: false, error: r.error });
 
       const q = { ...req.query, ...(req.body || {}) };
-      const mode = q.mode === 'commit' ? 'commit' : 'preview';
+      const mode = ['commit', 'compare'].includes(q.mode) ? q.mode : 'preview';
       const scope = q.scope === 'months' ? 'months' : 'sample';
-      const persist = mode === 'commit';
+
+      let versions = null;
+      if (mode === 'compare') {
+        if (scope !== 'sample') return res.status(400).json({ ok: false, error: 'compare mode runs on the sample scope only' });
+        const a = await resolveRubricVersion(r.clientId, q.versionA);
+        const b = await resolveRubricVersion(r.clientId, q.versionB);
+        if (a.error || b.error) return res.status(400).json({ ok: false, error: a.error || b.error });
+        if (a.version === b.version) return res.status(400).json({ ok: false, error: 'versionA and versionB must differ' });
+        versions = { versionA: a.version, versionB: b.version };
+      }
 
       // Scope-building + credit enforcement happen synchronously (fast) before the job starts.
       const { records, oldById, count } = await buildScope(r.base, { scope, size: q.size, months: q.months });
       if (count === 0) return res.json({ ok: true, jobId: null, total: 0, done: true, result: { mode, scope, count: 0, rows: [], summary: { message: 'No leads in scope.' } } });
-      if (count > r.status.available) {
-        return res.status(402).json({ ok: false, error: 'Not enough credits', needed: count, available: r.status.available });
+      const needed = count * (mode === 'compare' ? 2 : 1);
+      if (needed > r.status.available) {
+        return res.status(402).json({ ok: false, error: 'Not enough credits', needed, available: r.status.available });
+      }
+      // Token budget: refuse to start a job for a client already at its soft/hard limit. A job that
+      // crosses a limit mid-run stops between chunks and refunds the rest (batchScorer.scoreRecordsNow).
+      const budget = await costGovernanceService.checkBudget(r.clientId);
+      if (!budget.allowed) {
+        return res.status(429).json({ ok: false, error: budget.reason, code: budget.code, level: budget.level });
       }
 
-      pruneJobs();
-      const jobId = newJobId();
       const nameById = {}; for (const rec of records) nameById[rec.id] = `${rec.get('First Name') || ''} ${rec.get('Last Name') || ''}`.trim();
       const tier = Number(r.client.primaryFloor) || 70;
-      const job = { id: jobId, clientId: r.clientId, mode, scope, status: 'running', total: count, done: 0, result: null, error: null, startedAt: Date.now() };
-      jobs.set(jobId, job);
-
-      // Kick off scoring in the background (do NOT await — the request returns immediately).
-      (async () => {
-        try {
-          const result = await batchScorer.scoreRecordsNow({
-            records, clientId: r.clientId, clientBase: r.base,
-            dependencies: { vertexAIClient: gemini.vertexAIClient, geminiModelId: gemini.geminiModelId },
-            persist, runId: `RESCORE-${mode}`,
-            onProgress: (done, total) => { job.done = done; job.total = total; }
-          });
-          // Debit by leads actually scored (failures don't cost the client credits).
-          const creditsAfter = await clientService.debitRescoreCredits(r.clientId, result.successful || 0);
-          const report = buildReport(result, oldById, nameById, tier);
+      // Reserves credits for the whole scope, persists the job, and starts scoring in the background.
+      const job = await jobRunner.startJob({
+        clientId: r.clientId, mode, scope,
+        scopeParams: scope === 'months' ? { months: q.months } : { size: q.size, ...versions },
+        records, oldById, nameById, tier, dependencies: geminiDeps()
+      });
 
-          // Baseline compare (preview): if the previous preview covered the same lead set,
-          // annotate deltaVsPrevTest — the noise-free "what did my attribute change do" signal.
-          const idsKey = records.map(rec => rec.id).sort().join(',');
-          let comparedToPreviousTest = false, previousTestAt = null;
-          if (mode === 'preview') {
-            const bl = baselines.get(r.clientId);
-            if (bl && bl.idsKey === idsKey) {
-              comparedToPreviousTest = true;
-              previousTestAt = bl.at;
-              let vsUp = 0, vsDown = 0, vsSame = 0;
-              for (const row of report.rows) {
-                const prev = bl.scoresById[row.recordId];
-                row.prevTest = (typeof prev === 'number') ? prev : null;
-                row.deltaVsPrevTest = (typeof prev === 'number' && typeof row.new === 'number')
-                  ? Math.round((row.new - prev) * 100) / 100 : null;
-                if (typeof row.deltaVsPrevTest === 'number') {
-                  if (row.deltaVsPrevTest > 0) vsUp++; else if (row.deltaVsPrevTest < 0) vsDown++; else vsSame++;
-                }
-              }
-              report.summary.vsPreviousTest = { movedUp: vsUp, movedDown: vsDown, unchanged: vsSame };
-            }
-            // This preview becomes the new baseline for the next test.
-            const scoresById = {};
-            for (const p of (result.perLead || [])) { if (typeof p.newScore === 'number') scoresById[p.recordId] = p.newScore; }
-            baselines.set(r.clientId, { idsKey, at: Date.now(), scoresById });
-          } else {
-            // Commit re-baselines the stored scores; the old test baseline is stale.
-            baselines.delete(r.clientId);
-          }
+      res.json({ ok: true, jobId: job.id, mode, scope, total: job.total, ...versions });
+    } catch (e) {
+      logger.error('rescore/run error', e.message, e.stack);
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
 
-          job.result = { mode, scope, count, credits: creditsView(creditsAfter), comparedToPreviousTest, previousTestAt, ...report };
-          job.done = count;
-          job.status = 'done';
-        } catch (e) {
-          logger.error('rescore job failed', e.message, e.stack);
-          job.status = 'error';
-          job.error = e.message;
-        }
-      })();
+  // GET /run/status?jobId=...  -> progress + final result when done (job must belong to the calling client)
+  router.get('/run/status', async (req, res) => {
+    try {
+      const r = await resolve(req);
+      if (r.error) return res.status(r.code).json({ ok: false, error: r.error });
+      const job = await jobStore.getJob(req.query.jobId);
+      if (!job || job.clientId !== r.clientId) return res.status(404).json({ ok: false, error: 'job not found' });
+      res.json({
+        ok: true, status: job.status, done: job.done, total: job.total,
+        mode: job.mode, scope: job.scope, error: job.error,
+        result: job.status === 'done' ? job.result : null
+      });
+    } catch (e) {
+      logger.error('rescore/run/status error', e.message);
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
 
-      res.json({ ok: true, jobId, mode, scope, total: count });
+  // GET /jobs?limit=20  -> the client's rescore history (no per-lead rows; see /jobs/:jobId)
+  router.get('/jobs', async (req, res) => {
+    try {
+      const r = await resolve(req);
+      if (r.error) return res.status(r.code).json({ ok: false, error: r.error });
+      const jobs = await jobStore.listJobs(r.clientId, { limit: req.query.limit });
+      // The report rows can be large; the list carries the summary only.
+      res.json({ ok: true, jobs: jobs.map(({ result, ...j }) => ({ ...j, summary: result ? result.summary : null })) });
     } catch (e) {
-      logger.error('rescore/run error', e.message, e.stack);
+      logger.error('rescore/jobs error', e.message);
       res.status(500).json({ ok: false, error: e.message });
     }
   });
 
-  // GET /run/status?jobId=...  -> progress + final result when done
-  router.get('/run/status', (req, res) => {
-    const job = jobs.get(req.query.jobId);
-    if (!job) return res.status(404).json({ ok: false, error: 'job not found (may have expired)' });
-    res.json({
-      ok: true, status: job.status, done: job.done, total: job.total,
-      mode: job.mode, scope: job.scope, error: job.error,
-      result: job.status === 'done' ? job.result : null
-    });
+  // GET /jobs/:jobId  -> one job (must belong to the calling client) + per-lead rows
+  router.get('/jobs/:jobId', async (req, res) => {
+    try {
+      const r = await resolve(req);
+      if (r.error) return res.status(r.code).json({ ok: false, error: r.error });
+      const job = await jobStore.getJob(req.params.jobId);
+      if (!job || job.clientId !== r.clientId) return res.status(404).json({ ok: false, error: 'job not found' });
+      // Compare jobs key their rows 'A:<id>' / 'B:<id>' (one per rubric pass).
+      const leads = (await jobStore.getLeadResults(job.id)).map(l => {
+        const m = job.mode === 'compare' ? /^([AB]):(.+)$/.exec(l.recordId) : null;
+        const recordId = m ? m[2] : l.recordId;
+        return { ...l, recordId, ...(m ? { pass: m[1] } : {}), name: job.names[recordId] || recordId };
+      });
+      const { recordIds, oldScores, names, ...rest } = job;
+      res.json({ ok: true, job: rest, leads });
+    } catch (e) {
+      logger.error('rescore/jobs/:jobId error', e.message);
+      res.status(500).json({ ok: false, error: e.message });
+    }
   });
 
+  // Pick up jobs a previous process left mid-run — at mount and then every minute, since the
+  // previous process's heartbeat is usually still fresh when this one boots. Non-blocking:
+  // mount must not wait on Postgres.
+  jobRunner.startResumeSweep(geminiDeps());
+
   app.use('/api/rescore', router);
   logger.info('[Rescore] routes mounted at /api/rescore');
 };
@@ -0,0 +1,70 @@
+// routes/runTimelineRoutes.js
+//
+// Run timeline for Job Tracking and Client Run Results (services/runTimelineService.js).
+//
+//   GET /api/runs?client=&since=&limit=   — recent runs, newest first (client = one client's runs)
+//   GET /api/runs/:runId/timeline         — one run per client and operation, with the previous run
+//                                           for comparison (?compare=false to skip it)
+//
+// Owner only: a run spans every client. Operators and scripts can use the usual
+// Authorization: Bearer PB_WEBHOOK_SECRET instead of a portal login.
+
+const express = require('express');
+const { createLogger } = require('../utils/contextLogger');
+const { authenticateUserWithTestMode } = require('../middleware/authMiddleware');
+const runTimeline = require('../services/runTimelineService');
+
+const logger = createLogger({ runId: 'SYSTEM', clientId: 'SYSTEM', operation: 'run_timeline' });
+
+const OWNER_CLIENT_ID = (process.env.WINGGUY_PLATFORM_OWNER || 'Guy-Wilson').trim();
+
+/** Bearer PB_WEBHOOK_SECRET skips the portal login; everyone else must be the owner. */
+function requireOwnerOrSecret(req, res, next) {
+  const secret = process.env.PB_WEBHOOK_SECRET;
+  if (secret && req.headers.authorization === `Bearer ${secret}`) return next();
+  authenticateUserWithTestMode(req, res, () => {
+    const cid = req.client && String(req.client.clientId);
+    if (cid !== OWNER_CLIENT_ID) {
+      return res.status(403).json({ ok: false, error: 'Owner only.' });
+    }
+    next();
+  });
+}
+
+module.exports = function mountRunTimeline(app) {
+  const router = express.Router();
+
+  router.use(requireOwnerOrSecret);
+
+  router.get('/', async (req, res) => {
+    const { client, since, limit } = req.query;
+    if (since && Number.isNaN(Date.parse(since))) {
+      return res.status(400).json({ ok: false, error: 'since must be a date (e.g. 2026-10-01)' });
+    }
+    try {
+      const runs = await runTimeline.listRuns({ client: client || undefined, since, limit });
+      res.json({ ok: true, runs });
+    } catch (e) {
+      logger.error(`Run list failed: ${e.message}`);
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  router.get('/:runId/timeline', async (req, res) => {
+    const { runId } = req.params;
+    if (!runTimeline.baseRunIdOf(runId)) {
+      return res.status(400).json({ ok: false, error: 'runId must look like YYMMDD-HHMMSS' });
+    }
+    try {
+      const timeline = await runTimeline.getRunTimeline(runId, { compare: req.query.compare !== 'false' });
+      if (!timeline) return res.status(404).json({ ok: false, error: `No run found for ${runId}` });
+      res.json({ ok: true, timeline });
+    } catch (e) {
+      logger.error(`Timeline for ${runId} failed: ${e.message}`);
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  app.use('/api/runs', router);
+  logger.info('Run timeline routes mounted at /api/runs');
+};
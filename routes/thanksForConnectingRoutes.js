@@ -14,8 +14,12 @@
 //
 // Endpoints (mounted at /api/thanks-for-connecting):
 //   GET   /status          public; { ok, enabled }
-//   GET   /worklist        the queue (view=outstanding|all, optional days override)
+//   GET   /worklist        the queue (view=outstanding|all, optional days override); each item
+//                          carries its AI-drafted thank-you note (services/thanksDraftService.js)
+//   POST  /lead/:id/draft  (re)write one lead's draft now
 //   PATCH /lead/:id        set a lead's Thanks Status (Messaged | Let go | clear)
+//   PATCH /leads           same, for many leads at once: { ids: [...], thanksStatus }
+//   GET   /stats           messaged / skipped / outstanding per week of connection (weeks=N)
 
 const express = require('express');
 const { createLogger } = require('../utils/contextLogger');
@@ -23,6 +27,7 @@ const logger = createLogger({ runId: 'SYSTEM', clientId: 'SYSTEM', operation: 't
 const airtableClient = require('../config/airtableClient.js');
 const { getClientById } = require('../services/clientService');
 const { LEAD_FIELDS } = require('../constants/airtableUnifiedConstants');
+const thanksDrafts = require('../services/thanksDraftService');
 
 const THANKS_STATUS_FIELD = 'Thanks Status';
 const VALID_STATUSES = ['Messaged', 'Skipped'];
@@ -34,6 +39,58 @@ const STATUS_ALIASES = { 'Let go': 'Skipped' };
 const normalizeStatus = (s) => (s ? (STATUS_ALIASES[s] || s) : null);
 const DEFAULT_LOOKBACK_DAYS = 14; // ≈ the LH connection window; bounds the queue + solves cold-start flood
 const MAX_ITEMS = 1000;           // safety cap on a single worklist fetch (keeps the MOST RECENT — see sort below)
+const MAX_BULK = 200;             // ids per bulk PATCH
+const DEFAULT_STATS_WEEKS = 8;
+const DAY_MS = 86400000;
+
+// Monday (UTC) of the week a date falls in, as YYYY-MM-DD.
+function weekStartOf(date) {
+  const d = new Date(date);
+  if (Number.isNaN(d.getTime())) return null;
+  const day = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Bucket connections by the week they connected: how many were messaged, skipped, or are
+ * still outstanding. Every one of the last `weeks` weeks is present (zeros included), oldest first.
+ * @param {Array<{ dateConnected, thanksStatus }>} rows
+ */
+function weeklyThanksStats(rows, weeks, now = new Date()) {
+  const buckets = new Map();
+  const thisWeek = new Date(`${weekStartOf(now)}T00:00:00Z`);
+  for (let i = weeks - 1; i >= 0; i--) {
+    const ws = new Date(thisWeek.getTime() - i * 7 * DAY_MS).toISOString().slice(0, 10);
+    buckets.set(ws, { weekStart: ws, connected: 0, messaged: 0, skipped: 0, outstanding: 0 });
+  }
+  for (const r of rows) {
+    const b = buckets.get(weekStartOf(r.dateConnected));
+    if (!b) continue;
+    b.connected++;
+    const status = normalizeStatus(r.thanksStatus);
+    if (status === 'Messaged') b.messaged++;
+    else if (status === 'Skipped') b.skipped++;
+    else b.outstanding++;
+  }
+  const list = [...buckets.values()];
+  const totals = list.reduce((t, w) => ({
+    connected: t.connected + w.connected,
+    messaged: t.messaged + w.messaged,
+    skipped: t.skipped + w.skipped,
+    outstanding: t.outstanding + w.outstanding
+  }), { connected: 0, messaged: 0, skipped: 0, outstanding: 0 });
+  return { weeks: list, totals };
+}
+
+// Body thanksStatus -> a valid value, null (clear), or undefined (invalid)
+function parseStatusInput(raw) {
+  let status = raw;
+  if (status === '' || status === undefined) status = null;
+  if (status !== null && STATUS_ALIASES[status]) status = STATUS_ALIASES[status];
+  if (status !== null && !VALID_STATUSES.includes(status)) return undefined;
+  return status;
+}
 
 function parseBoolFlag(val, defaultValue = false) {
   if (val === undefined || val === null || val === '') return defaultValue;
@@ -186,12 +243,27 @@ module.exports = function mountThanksForConnecting(app, base) {
         ? items.length
         : items.filter((it) => !it.thanksStatus).length;
 
+      // Attach stored drafts, then top up the missing ones for the oldest outstanding connections
+      // in the background (inbox-zero order). A drafts outage never breaks the worklist.
+      try {
+        const drafts = await thanksDrafts.getDrafts(clientId, items.map((it) => it.id));
+        for (const it of items) it.draft = drafts.get(it.id)?.draft || null;
+        const toDraft = items
+          .filter((it) => !it.thanksStatus && !it.draft)
+          .sort((a, b) => String(a.dateConnected || '').localeCompare(String(b.dateConnected || '')));
+        if (toDraft.length) thanksDrafts.prefillDrafts({ client: gate.client, base: b, items: toDraft });
+      } catch (e) {
+        logger.warn(`thanksForConnecting: drafts unavailable for ${clientId}: ${e?.message || e}`);
+        for (const it of items) if (it.draft === undefined) it.draft = null;
+      }
+
       res.json({
         ok: true,
         view: outstandingOnly ? 'outstanding' : 'all',
         lookbackDays,
         outstandingCount,
         truncated: items.length >= MAX_ITEMS, // hit the cap — there may be older rows beyond this
+        drafting: thanksDrafts.isPrefilling(clientId),
         items
       });
     } catch (e) {
@@ -207,10 +279,8 @@ module.exports = function mountThanksForConnecting(app, base) {
     if (!gate) return res.status(403).json({ error: 'feature_not_enabled' });
 
     const id = req.params.id;
-    let { thanksStatus } = req.body || {};
-    if (thanksStatus === '') thanksStatus = null;
-    if (thanksStatus !== null && STATUS_ALIASES[thanksStatus]) thanksStatus = STATUS_ALIASES[thanksStatus];
-    if (thanksStatus !== null && !VALID_STATUSES.includes(thanksStatus)) {
+    const thanksStatus = parseStatusInput((req.body || {}).thanksStatus);
+    if (thanksStatus === undefined) {
       return res.status(400).json({ error: 'invalid_status', allowed: [...VALID_STATUSES, null] });
     }
 
@@ -226,5 +296,94 @@ module.exports = function mountThanksForConnecting(app, base) {
     }
   });
 
+  // Bulk tick: { ids: string[], thanksStatus: 'Messaged' | 'Skipped' | null }
+  router.patch('/leads', async (req, res) => {
+    const clientId = getClientId(req);
+    const gate = await resolveGate(clientId);
+    if (!gate) return res.status(403).json({ error: 'feature_not_enabled' });
+
+    const { ids } = req.body || {};
+    const thanksStatus = parseStatusInput((req.body || {}).thanksStatus);
+    if (thanksStatus === undefined) {
+      return res.status(400).json({ error: 'invalid_status', allowed: [...VALID_STATUSES, null] });
+    }
+    const unique = Array.isArray(ids) ? [...new Set(ids.filter((x) => typeof x === 'string' && x))] : [];
+    if (!unique.length) return res.status(400).json({ error: 'ids_required' });
+    if (unique.length > MAX_BULK) return res.status(400).json({ error: 'too_many_ids', max: MAX_BULK });
+
+    try {
+      const b = await getBaseForRequest(clientId);
+      // Airtable takes at most 10 records per update call
+      let updated = 0;
+      for (let i = 0; i < unique.length; i += 10) {
+        const batch = unique.slice(i, i + 10).map((id) => ({ id, fields: { [THANKS_STATUS_FIELD]: thanksStatus } }));
+        updated += (await b('Leads').update(batch, { typecast: true })).length;
+      }
+      res.json({ ok: true, updated, ids: unique, thanksStatus });
+    } catch (e) {
+      logger.error('thanksForConnecting: bulk patch error', e?.message || e);
+      res.status(500).json({ error: 'update_failed', details: e?.message || String(e) });
+    }
+  });
+
+  // (Re)write one lead's thank-you draft now — the "Redraft" button, or a lead the prefill skipped.
+  router.post('/lead/:id/draft', async (req, res) => {
+    const clientId = getClientId(req);
+    const gate = await resolveGate(clientId);
+    if (!gate) return res.status(403).json({ error: 'feature_not_enabled' });
+
+    try {
+      const b = await getBaseForRequest(clientId);
+      let rec;
+      try {
+        rec = await b('Leads').find(req.params.id);
+      } catch (e) {
+        if (e && (e.statusCode === 404 || e.error === 'NOT_FOUND')) return res.status(404).json({ error: 'lead_not_found' });
+        throw e;
+      }
+      const saved = await thanksDrafts.draftForLead({ client: gate.client, leadId: rec.id, fields: rec.fields || {} });
+      res.json({ ok: true, id: rec.id, draft: saved.draft, model: saved.model, createdAt: saved.createdAt });
+    } catch (e) {
+      if (e && (e.code === 'no_key' || e.code === 'no_profile')) return res.status(400).json({ error: e.code, details: e.message });
+      logger.error('thanksForConnecting: draft error', e?.message || e);
+      res.status(500).json({ error: 'draft_failed', details: e?.message || String(e) });
+    }
+  });
+
+  // Weekly stats by connection week: { weeks: [{ weekStart, connected, messaged, skipped, outstanding }], totals }
+  router.get('/stats', async (req, res) => {
+    const clientId = getClientId(req);
+    const gate = await resolveGate(clientId);
+    if (!gate) return res.status(403).json({ error: 'feature_not_enabled' });
+
+    const w = Number(req.query.weeks);
+    const weeks = Number.isFinite(w) && w > 0 ? Math.min(Math.floor(w), 52) : DEFAULT_STATS_WEEKS;
+
+    try {
+      const b = await getBaseForRequest(clientId);
+      // weeks * 7 days back from today reaches into the oldest (partial) week; +6 covers its Monday.
+      const formula = `AND(NOT({${LEAD_FIELDS.DATE_CONNECTED}} = BLANK()), ` +
+        `DATETIME_DIFF(TODAY(), {${LEAD_FIELDS.DATE_CONNECTED}}, 'days') <= ${weeks * 7 + 6})`;
+      const rows = [];
+      await new Promise((resolve, reject) => {
+        b('Leads')
+          .select({ filterByFormula: formula, fields: [LEAD_FIELDS.DATE_CONNECTED, THANKS_STATUS_FIELD], pageSize: 100 })
+          .eachPage(
+            (records, fetchNextPage) => {
+              for (const r of records) rows.push({ dateConnected: r.get(LEAD_FIELDS.DATE_CONNECTED), thanksStatus: r.get(THANKS_STATUS_FIELD) });
+              fetchNextPage();
+            },
+            (err) => (err ? reject(err) : resolve())
+          );
+      });
+      res.json({ ok: true, ...weeklyThanksStats(rows, weeks) });
+    } catch (e) {
+      logger.error('thanksForConnecting: stats error', e?.message || e);
+      res.status(500).json({ error: 'stats_failed', details: e?.message || String(e) });
+    }
+  });
+
   app.use('/api/thanks-for-connecting', router);
 };
+
+module.exports.weeklyThanksStats = weeklyThanksStats;
@@ -10,6 +10,9 @@ const logger = createLogger({ runId: 'SYSTEM', clientId: 'SYSTEM', operation: 't
 const logCriticalError = async () => {};
 const airtableClient = require('../config/airtableClient.js');
 const clientService = require('../services/clientService');
+const { leadFilterParts, LeadQueryError } = require('../utils/booleanSearchParser');
+const savedSearchStore = require('../services/savedSearchStore');
+const batchStore = require('../services/topLeadsBatchStore');
 
 // Helper for route error logging
 async function logRouteError(error, req, context = {}) {
@@ -125,6 +128,67 @@ module.exports = function mountTopScoringLeads(app, base) {
     return `NOT(IS_BEFORE({Date Connected}, '${launchISO}'))`; // 'new'
   }
 
+  // Lead-query filter: ?q=company:"Acme" title:founder and/or ?savedSearch=<id>
+  // narrow the eligible list with the same query language as lead search/export
+  // (utils/booleanSearchParser.js). Unlike the vintage filter this fails closed: a bad query or
+  // an unknown saved search throws (LeadQueryError -> 400) rather than silently widening the batch.
+  async function getQueryClausesForRequest(req) {
+    const clauses = [];
+    const savedId = String(req.query.savedSearch || '').trim();
+    if (savedId) {
+      const clientId = req.headers['x-client-id'] || req.query.clientId || req.query.testClient;
+      const saved = clientId ? await savedSearchStore.getSearch(clientId, savedId) : null;
+      if (!saved) throw new LeadQueryError(`Saved search ${savedId} not found`);
+      clauses.push(...leadFilterParts({ query: saved.query, searchTerms: saved.searchTerms, priority: saved.priority }));
+    }
+    const q = String(req.query.q || '').trim();
+    if (q) clauses.push(...leadFilterParts({ query: q }));
+    return clauses;
+  }
+
+  async function getEligibleClausesForRequest(req) {
+    return [await getVintageClauseForRequest(req), ...(await getQueryClausesForRequest(req))];
+  }
+
+  const queryErrorResponse = (res, e) => res.status(400).json({ ok: false, error: e.message, code: 'INVALID_QUERY' });
+
+  const getClientIdForRequest = (req) => req.headers['x-client-id'] || req.query.clientId || req.query.testClient || null;
+
+  // Re-batch guard: leads that went out in one of this client's batches within the
+  // last N days are dropped from the eligible lists, even if 'Date Added to LH Campaign' was
+  // cleared since (manual re-queue, lead merge). ?excludeDays=N overrides the
+  // TOP_LEADS_EXCLUDE_RECENT_DAYS default; 0 turns the guard off. Fails open like the vintage
+  // filter: if batch history can't be read, nothing extra is excluded.
+  const DEFAULT_EXCLUDE_DAYS = Math.max(0, parseInt(process.env.TOP_LEADS_EXCLUDE_RECENT_DAYS || '30', 10) || 0);
+
+  function getExcludeDaysForRequest(req) {
+    const raw = req.query.excludeDays;
+    if (raw === undefined || raw === '') return DEFAULT_EXCLUDE_DAYS;
+    const n = parseInt(raw, 10);
+    return Number.isFinite(n) && n >= 0 ? Math.min(n, 3650) : DEFAULT_EXCLUDE_DAYS;
+  }
+
+  async function getRecentlyBatchedIdsForRequest(req) {
+    const clientId = getClientIdForRequest(req);
+    const days = getExcludeDaysForRequest(req);
+    if (!clientId || !days) return new Set();
+    try {
+      return await batchStore.recentLeadIds(clientId, days);
+    } catch (e) {
+      logger.warn(`topScoringLeads: batch history lookup failed for ${clientId}: ${e?.message || e}`);
+      return new Set();
+    }
+  }
+
+  // The filters that shaped a selection, as stored on the batch record
+  const selectionFiltersForRequest = (req) => ({
+    vintage: req.query.vintage,
+    connectedBefore: req.query.connectedBefore,
+    q: req.query.q,
+    savedSearch: req.query.savedSearch,
+    excludeDays: getExcludeDaysForRequest(req),
+  });
+
   async function getThresholdForRequest(req, b) {
     let threshold = req.query.threshold !== undefined ? Number(req.query.threshold) : undefined;
     if (!Number.isFinite(threshold)) {
@@ -137,7 +201,8 @@ module.exports = function mountTopScoringLeads(app, base) {
     return threshold;
   }
 
-  async function fetchEligibleIdsPaged(b, formula, maxToCollect) {
+  // exclude (optional Set of record ids) is the re-batch guard; those rows are skipped, not counted
+  async function fetchEligibleIdsPaged(b, formula, maxToCollect, exclude = null) {
     const ids = [];
     let resolved = false;
     await new Promise((resolve, reject) => {
@@ -151,6 +216,7 @@ module.exports = function mountTopScoringLeads(app, base) {
           (records, fetchNextPage) => {
             for (const r of records) {
               if (ids.length >= maxToCollect) break;
+              if (exclude && exclude.has(r.id)) continue;
               ids.push(r.id);
             }
             if (ids.length >= maxToCollect) {
@@ -173,7 +239,7 @@ module.exports = function mountTopScoringLeads(app, base) {
   }
 
   // Helper to page and collect eligible item objects up to maxToCollect
-  async function fetchEligibleItemsPaged(b, formula, maxToCollect) {
+  async function fetchEligibleItemsPaged(b, formula, maxToCollect, exclude = null) {
     const items = [];
     let resolved = false;
     await new Promise((resolve, reject) => {
@@ -187,6 +253,7 @@ module.exports = function mountTopScoringLeads(app, base) {
           (records, fetchNextPage) => {
             for (const r of records) {
               if (items.length >= maxToCollect) break;
+              if (exclude && exclude.has(r.id)) continue;
               items.push({
                 id: r.id,
                 score: r.get('AI Score') ?? null,
@@ -219,7 +286,7 @@ module.exports = function mountTopScoringLeads(app, base) {
   }
 
   // Helper: count eligible items (pages through without collecting full objects)
-  async function countEligiblePaged(b, formula, maxToCount) {
+  async function countEligiblePaged(b, formula, maxToCount, exclude = null) {
     let total = 0;
     let resolved = false;
     await new Promise((resolve, reject) => {
@@ -232,7 +299,7 @@ module.exports = function mountTopScoringLeads(app, base) {
         })
         .eachPage(
           (records, fetchNextPage) => {
-            total += records.length;
+            total += exclude ? records.filter((r) => !exclude.has(r.id)).length : records.length;
             if (total >= maxToCount) {
               if (!resolved) { resolved = true; resolve(); }
               return;
@@ -358,7 +425,8 @@ module.exports = function mountTopScoringLeads(app, base) {
             { name: 'threshold', in: 'query', type: 'number', required: false, description: 'Override stored AI score threshold.' },
             { name: 'limit', in: 'query', type: 'integer', required: false, default: 50, description: 'Page size (alias of pageSize). Max 200.' },
             { name: 'pageSize', in: 'query', type: 'integer', required: false, default: 50, description: 'Page size (alias of limit). Max 200.' },
-            { name: 'page', in: 'query', type: 'integer', required: false, default: 1, description: '1-based page index.' }
+            { name: 'page', in: 'query', type: 'integer', required: false, default: 1, description: '1-based page index.' },
+            { name: 'excludeDays', in: 'query', type: 'integer', required: false, default: DEFAULT_EXCLUDE_DAYS, description: 'Skip leads included in one of this client\'s batches in the last N days (0 = off). Also honoured by /eligible/count, /eligible/all and /batch/select.' }
           ]
         },
         '/eligible/count': {
@@ -405,6 +473,28 @@ module.exports = function mountTopScoringLeads(app, base) {
           method: 'POST',
           params: []
         },
+        '/batches': {
+          method: 'GET',
+          params: [
+            { name: 'limit', in: 'query', type: 'integer', required: false, default: 50, description: 'Max finalized batches to list (newest first). Requires a tenant.' }
+          ]
+        },
+        '/batches/:batchNo': {
+          method: 'GET',
+          params: []
+        },
+        '/batches/:batchNo/export': {
+          method: 'GET',
+          params: [
+            { name: 'format', in: 'query', type: 'string', enum: ['txt', 'csv'], required: false, default: 'txt', description: 'txt = LinkedIn URL list; csv adds record id, names and score.' }
+          ]
+        },
+        '/batches/:batchNo/diff': {
+          method: 'GET',
+          params: [
+            { name: 'against', in: 'query', type: 'integer', required: false, description: 'Batch number to compare with. Defaults to the previous batch.' }
+          ]
+        },
         '/export/last (PUT)': {
           method: 'PUT',
           params: [],
@@ -523,6 +613,7 @@ module.exports = function mountTopScoringLeads(app, base) {
         <dt><code>threshold</code> (number)</dt><dd>Override stored AI score threshold.</dd>
         <dt><code>limit</code> / <code>pageSize</code> (integer)</dt><dd>Page size (max 200). Default 50.</dd>
         <dt><code>page</code> (integer)</dt><dd>1-based page index. Default 1.</dd>
+        <dt><code>excludeDays</code> (integer)</dt><dd>Skip leads sent in a batch in the last N days. Default ${DEFAULT_EXCLUDE_DAYS}; 0 turns it off.</dd>
       </dl>
       <p>Try: <a href="${apiBase}/eligible${tenantQS ? tenantQS + '&' : '?'}page=1&pageSize=50">${apiBase}/eligible${tenantQS ? tenantQS + '&' : '?'}page=1&pageSize=50</a></p>
     </div>
@@ -563,6 +654,12 @@ module.exports = function mountTopScoringLeads(app, base) {
   <p>Example: <code>POST ${apiBase}/batch/reset${tenantQS ? tenantQS + '&' : ''}</code></p>
     </div>
 
+    <div class="card">
+      <h2 class="h">GET /batches · /batches/:batchNo · /batches/:batchNo/export · /batches/:batchNo/diff</h2>
+      <p>Numbered history of finalized batches (threshold, filters, leads). Re-export a batch as <code>format=txt</code> (URLs) or <code>csv</code>, or diff it <code>against</code> another batch (default: the previous one).</p>
+      <p>Try: <a href="${apiBase}/batches${tenantQS}">${apiBase}/batches${tenantQS}</a></p>
+    </div>
+
     <div class="card">
       <h2 class="h">GET /export/last · PUT /export/last</h2>
       <p>Read or update last export timestamp. PUT body: <code>{ "at": "2025-08-18T12:34:56Z" }</code> (or epoch ms).</p>
@@ -746,20 +843,20 @@ module.exports = function mountTopScoringLeads(app, base) {
       const pageSize = Math.max(1, Math.min(200, parseInt(req.query.limit || req.query.pageSize || '50', 10)));
       const page = Math.max(1, parseInt(req.query.page || '1', 10));
 
-      // Build Airtable formula (+ optional connection-vintage clause)
-      const vintageClause = await getVintageClauseForRequest(req);
-      const formula = buildEligibleFormula(threshold, [vintageClause]);
+      // Build Airtable formula (+ optional connection-vintage / lead-query clauses)
+      const formula = buildEligibleFormula(threshold, await getEligibleClausesForRequest(req));
 
       // Collect enough to determine hasMore beyond requested page
       const maxToCollect = (page * pageSize) + 1;
-      const collected = await fetchEligibleItemsPaged(b, formula, maxToCollect);
+      const collected = await fetchEligibleItemsPaged(b, formula, maxToCollect, await getRecentlyBatchedIdsForRequest(req));
       const start = (page - 1) * pageSize;
       const end = start + pageSize;
       const items = collected.slice(start, end);
       const hasMore = collected.length > end;
 
-      res.json({ ok: true, appliedThreshold: threshold, count: items.length, items, page, pageSize, hasMore });
+      res.json({ ok: true, appliedThreshold: threshold, excludeDays: getExcludeDaysForRequest(req), count: items.length, items, page, pageSize, hasMore });
     } catch (e) {
+      if (e && e.isLeadQueryError) return queryErrorResponse(res, e);
       await logRouteError(e, req, { operation: 'get_eligible_leads', page, pageSize });
       res.status(500).json({ ok: false, error: e?.message || String(e) });
     }
@@ -772,16 +869,16 @@ module.exports = function mountTopScoringLeads(app, base) {
       if (!b) return res.status(500).json({ ok: false, error: 'Airtable base not configured' });
 
       const threshold = await getThresholdForRequest(req, b);
-      const vintageClause = await getVintageClauseForRequest(req);
-      const formula = buildEligibleFormula(threshold, [vintageClause]);
+      const formula = buildEligibleFormula(threshold, await getEligibleClausesForRequest(req));
       const MAX_SELECT_ALL = parseInt(process.env.TOP_LEADS_MAX_SELECT_ALL || '5000', 10);
       // Optional limit to count fewer for performance; never exceed MAX_SELECT_ALL
       const limit = Math.max(1, Math.min(MAX_SELECT_ALL, parseInt(req.query.limit || `${MAX_SELECT_ALL}`, 10)));
 
-      const total = await countEligiblePaged(b, formula, limit);
+      const total = await countEligiblePaged(b, formula, limit, await getRecentlyBatchedIdsForRequest(req));
       // If total == limit, caller should assume there may be more beyond cap
-      res.json({ ok: true, appliedThreshold: threshold, total, limit });
+      res.json({ ok: true, appliedThreshold: threshold, excludeDays: getExcludeDaysForRequest(req), total, limit });
     } catch (e) {
+      if (e && e.isLeadQueryError) return queryErrorResponse(res, e);
       await logRouteError(e, req, { operation: 'count_eligible_leads', limit });
       res.status(500).json({ ok: false, error: e?.message || String(e) });
     }
@@ -857,9 +954,9 @@ module.exports = function mountTopScoringLeads(app, base) {
       // Get threshold using the existing helper
       const threshold = await getThresholdForRequest(req, b);
       
-      // Use the existing buildEligibleFormula function (+ optional connection-vintage clause)
-      const vintageClause = await getVintageClauseForRequest(req);
-      const filterFormula = buildEligibleFormula(threshold, [vintageClause]);
+      // Use the existing buildEligibleFormula function (+ optional connection-vintage / lead-query clauses)
+      const filterFormula = buildEligibleFormula(threshold, await getEligibleClausesForRequest(req));
+      const exclude = await getRecentlyBatchedIdsForRequest(req);
       
       // Use eachPage to get ALL matching records without pagination limits
       let allLeads = [];
@@ -871,7 +968,7 @@ module.exports = function mountTopScoringLeads(app, base) {
           })
           .eachPage(
             (records, fetchNextPage) => {
-              const items = records.map(r => ({
+              const items = records.filter(r => !exclude.has(r.id)).map(r => ({
                 id: r.id,
                 score: r.get('AI Score') ?? null,
                 firstName: r.get('First Name') || null,
@@ -892,6 +989,7 @@ module.exports = function mountTopScoringLeads(app, base) {
       
       return res.json(allLeads);
     } catch (e) {
+      if (e && e.isLeadQueryError) return queryErrorResponse(res, e);
       logger.error('Error in /eligible/all:', e);
       await logRouteError(e, req, { operation: 'get_all_eligible_leads', count: allLeads?.length || 0 });
       await logCriticalError(error, req).catch(() => {});
@@ -918,6 +1016,40 @@ module.exports = function mountTopScoringLeads(app, base) {
     return updated;
   }
 
+  // Batch history (services/topLeadsBatchStore.js) is written after Airtable has been updated, so
+  // a store failure is surfaced as a warning instead of failing a batch that did go through.
+  // Requests without a tenant (default base) have no history.
+  async function recordBatchHistory(req, operation, fn) {
+    const clientId = getClientIdForRequest(req);
+    if (!clientId) return { result: null, warning: null };
+    try {
+      return { result: await fn(clientId), warning: null };
+    } catch (e) {
+      await logRouteError(e, req, { operation });
+      return { result: null, warning: `Batch history not updated: ${e?.message || e}` };
+    }
+  }
+
+  // Export payload for a finalized batch: the fields a re-export needs, in AI Score order
+  const BATCH_PAYLOAD_FIELDS = ['AI Score', 'First Name', 'Last Name', 'LinkedIn Profile URL'];
+  const toBatchLead = (r) => ({
+    id: r.id,
+    score: r.get('AI Score') ?? null,
+    firstName: r.get('First Name') || null,
+    lastName: r.get('Last Name') || null,
+    linkedinUrl: r.get('LinkedIn Profile URL') || null
+  });
+
+  async function fetchBatchLeadsByIds(b, ids) {
+    const found = new Map();
+    for (const c of chunk(ids, 50)) {
+      const formula = `OR(${c.map(id => `RECORD_ID() = '${String(id).replace(/'/g, "\\'")}'`).join(', ')})`;
+      const records = await b('Leads').select({ filterByFormula: formula, fields: BATCH_PAYLOAD_FIELDS }).all();
+      for (const r of records) found.set(r.id, toBatchLead(r));
+    }
+    return ids.map(id => found.get(id)).filter(Boolean);
+  }
+
   // GET /eligible/all - return ALL eligible leads without pagination
   router.get('/eligible/all', async (req, res) => {
     try {
@@ -927,9 +1059,9 @@ module.exports = function mountTopScoringLeads(app, base) {
       // Get threshold using the existing helper
       const threshold = await getThresholdForRequest(req, b);
       
-      // Use the existing buildEligibleFormula function (+ optional connection-vintage clause)
-      const vintageClause = await getVintageClauseForRequest(req);
-      const filterFormula = buildEligibleFormula(threshold, [vintageClause]);
+      // Use the existing buildEligibleFormula function (+ optional connection-vintage / lead-query clauses)
+      const filterFormula = buildEligibleFormula(threshold, await getEligibleClausesForRequest(req));
+      const exclude = await getRecentlyBatchedIdsForRequest(req);
       
       // Use eachPage to get ALL matching records without pagination limits
       let allLeads = [];
@@ -941,7 +1073,7 @@ module.exports = function mountTopScoringLeads(app, base) {
           })
           .eachPage(
             (records, fetchNextPage) => {
-              const items = records.map(r => ({
+              const items = records.filter(r => !exclude.has(r.id)).map(r => ({
                 id: r.id,
                 score: r.get('AI Score') ?? null,
                 firstName: r.get('First Name') || null,
@@ -962,6 +1094,7 @@ module.exports = function mountTopScoringLeads(app, base) {
       
       return res.json(allLeads);
     } catch (e) {
+      if (e && e.isLeadQueryError) return queryErrorResponse(res, e);
       logger.error('Error in /eligible/all:', e);
       await logRouteError(e, req, { operation: 'get_all_eligible_leads_batch', count: allLeads?.length || 0 });
       res.status(500).json({ error: e?.message || String(e) });
@@ -1066,15 +1199,14 @@ module.exports = function mountTopScoringLeads(app, base) {
       if (allMode) {
         // Auto-select eligible records. Default behavior is replace; append only when append=1.
         const threshold = await getThresholdForRequest(req, b);
-        const vintageClause = await getVintageClauseForRequest(req);
-        const formula = buildEligibleFormula(threshold, [vintageClause]);
+        const formula = buildEligibleFormula(threshold, await getEligibleClausesForRequest(req));
 
         // Safety cap for select-all operations
         const MAX_SELECT_ALL = parseInt(process.env.TOP_LEADS_MAX_SELECT_ALL || '5000', 10);
   const pageSize = pageSizeRaw !== undefined ? Math.max(1, Math.min(500, parseInt(pageSizeRaw, 10) || 0)) : null;
         const maxToCollect = pageSize ? pageSize + 1 : MAX_SELECT_ALL + 1; // +1 to detect hasMore
 
-        const ids = await fetchEligibleIdsPaged(b, formula, maxToCollect);
+        const ids = await fetchEligibleIdsPaged(b, formula, maxToCollect, await getRecentlyBatchedIdsForRequest(req));
         const hasMore = ids.length > (pageSize || MAX_SELECT_ALL);
         const idsToSet = ids.slice(0, pageSize || MAX_SELECT_ALL);
 
@@ -1127,7 +1259,14 @@ module.exports = function mountTopScoringLeads(app, base) {
         if (clearUpdates.length) cleared = await updateInChunks(b, 'Leads', clearUpdates);
         const setCount = setUpdates.length ? await updateInChunks(b, 'Leads', setUpdates) : 0;
 
-        return res.json({ ok: true, mode: 'all', append: appendMode, cleared, set: setCount, hasMore });
+        const history = await recordBatchHistory(req, 'batch_select_history', (clientId) => batchStore.recordSelection(clientId, {
+          threshold,
+          filters: selectionFiltersForRequest(req),
+          count: setCount,
+          append: appendMode
+        }));
+
+        return res.json({ ok: true, mode: 'all', append: appendMode, cleared, set: setCount, hasMore, ...(history.warning ? { historyWarning: history.warning } : {}) });
       }
 
       // Legacy explicit IDs mode (replace current batch)
@@ -1171,8 +1310,12 @@ module.exports = function mountTopScoringLeads(app, base) {
       if (clearUpdates.length) cleared = await updateInChunks(b, 'Leads', clearUpdates);
       const setCount = await updateInChunks(b, 'Leads', setUpdates);
 
-      res.json({ ok: true, cleared, set: setCount });
+      const history = await recordBatchHistory(req, 'batch_select_history', (clientId) =>
+        batchStore.recordSelection(clientId, { filters: {}, count: setCount }));
+
+      res.json({ ok: true, cleared, set: setCount, ...(history.warning ? { historyWarning: history.warning } : {}) });
     } catch (e) {
+      if (e && e.isLeadQueryError) return queryErrorResponse(res, e);
       await logRouteError(e, req, { operation: 'batch_select', recordCount: req.body?.recordIds?.length || 0 });
       res.status(500).json({ ok: false, error: e?.message || String(e) });
     }
@@ -1189,21 +1332,27 @@ module.exports = function mountTopScoringLeads(app, base) {
       const BATCH_SELECTED = 'Selected for Current LH Batch';
 
       let ids = [];
+      let leads = null; // export payload for batch history
       const bodyIds = req.body && Array.isArray(req.body.recordIds) ? req.body.recordIds : null;
       if (bodyIds && bodyIds.length) {
         ids = bodyIds.slice(0, 200);
       } else {
         // Finalize ALL currently selected (page through all)
+        leads = [];
         await new Promise((resolve, reject) => {
           b('Leads')
             .select({
               filterByFormula: `{Temp LH Batch Status} = '${BATCH_SELECTED}'`,
-              fields: ['Temp LH Batch Status'],
+              fields: BATCH_PAYLOAD_FIELDS,
+              sort: [{ field: 'AI Score', direction: 'desc' }],
               pageSize: 100,
             })
             .eachPage(
               (records, fetchNextPage) => {
-                for (const r of records) ids.push(r.id);
+                for (const r of records) {
+                  ids.push(r.id);
+                  leads.push(toBatchLead(r));
+                }
                 fetchNextPage();
               },
               (err) => { if (err) reject(err); else resolve(); }
@@ -1217,7 +1366,18 @@ module.exports = function mountTopScoringLeads(app, base) {
   // Always execute updates (dry-run removed)
 
       const updated = updates.length ? await updateInChunks(b, 'Leads', updates) : 0;
-      res.json({ ok: true, updated });
+
+      const history = updated
+        ? await recordBatchHistory(req, 'batch_finalize_history', async (clientId) =>
+          batchStore.finalizeBatch(clientId, { leads: leads || await fetchBatchLeadsByIds(b, ids), finalizedAt: now }))
+        : { result: null, warning: null };
+
+      res.json({
+        ok: true,
+        updated,
+        batchNo: history.result ? history.result.batchNo : null,
+        ...(history.warning ? { historyWarning: history.warning } : {})
+      });
     } catch (e) {
       await logRouteError(e, req, { operation: 'batch_finalize', recordCount: ids?.length || 0 });
       res.status(500).json({ ok: false, error: e?.message || String(e) });
@@ -1254,13 +1414,98 @@ module.exports = function mountTopScoringLeads(app, base) {
   // Always execute updates (dry-run removed)
 
       const cleared = updates.length ? await updateInChunks(b, 'Leads', updates) : 0;
-      res.json({ ok: true, cleared });
+      const history = await recordBatchHistory(req, 'batch_reset_history', (clientId) => batchStore.discardOpenBatch(clientId));
+      res.json({ ok: true, cleared, ...(history.warning ? { historyWarning: history.warning } : {}) });
     } catch (e) {
       await logRouteError(e, req, { operation: 'batch_reset', recordCount: ids?.length || 0 });
       res.status(500).json({ ok: false, error: e?.message || String(e) });
     }
   });
 
+  // --- Batch history (services/topLeadsBatchStore.js) ---
+  // Numbered per client at finalize time; every route below needs a tenant.
+  function requireClientId(req, res) {
+    const clientId = getClientIdForRequest(req);
+    if (!clientId) res.status(400).json({ ok: false, error: 'clientId (or x-client-id header) required' });
+    return clientId;
+  }
+
+  // GET /batches - finalized batch history (newest first) plus the open draft, if any
+  router.get('/batches', async (req, res) => {
+    try {
+      const clientId = requireClientId(req, res);
+      if (!clientId) return;
+      const [batches, open] = await Promise.all([
+        batchStore.listBatches(clientId, { limit: req.query.limit }),
+        batchStore.getOpenBatch(clientId)
+      ]);
+      res.json({ ok: true, open, batches });
+    } catch (e) {
+      await logRouteError(e, req, { operation: 'list_batches' });
+      res.status(500).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  // GET /batches/:batchNo - one batch with its leads in export order
+  router.get('/batches/:batchNo', async (req, res) => {
+    try {
+      const clientId = requireClientId(req, res);
+      if (!clientId) return;
+      const batch = await batchStore.getBatch(clientId, req.params.batchNo);
+      if (!batch) return res.status(404).json({ ok: false, error: `Batch ${req.params.batchNo} not found` });
+      res.json({ ok: true, batch });
+    } catch (e) {
+      await logRouteError(e, req, { operation: 'get_batch', batchNo: req.params.batchNo });
+      res.status(500).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  // GET /batches/:batchNo/export?format=txt|csv - re-download a past batch exactly as it went out.
+  // txt is the LinkedIn URL list the UI downloads for LinkedHelper; csv adds names and scores.
+  router.get('/batches/:batchNo/export', async (req, res) => {
+    try {
+      const clientId = requireClientId(req, res);
+      if (!clientId) return;
+      const format = String(req.query.format || 'txt').toLowerCase();
+      if (format !== 'txt' && format !== 'csv') return res.status(400).json({ ok: false, error: 'format must be txt or csv' });
+      const batch = await batchStore.getBatch(clientId, req.params.batchNo);
+      if (!batch) return res.status(404).json({ ok: false, error: `Batch ${req.params.batchNo} not found` });
+
+      let body;
+      if (format === 'txt') {
+        body = batch.leads.map(l => l.linkedinUrl).filter(Boolean).join('\n');
+      } else {
+        const cell = (v) => {
+          const str = v === null || v === undefined ? '' : String(v);
+          return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+        };
+        const rows = batch.leads.map(l => [l.id, l.firstName, l.lastName, l.score, l.linkedinUrl].map(cell).join(','));
+        body = ['Record ID,First Name,Last Name,AI Score,LinkedIn Profile URL', ...rows].join('\r\n');
+      }
+      const dateStr = (batch.finalizedAt || '').slice(0, 10);
+      res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'text/plain; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="linkedin-urls-batch-${batch.batchNo}-${dateStr}.${format}"`);
+      res.send(body);
+    } catch (e) {
+      await logRouteError(e, req, { operation: 'export_batch', batchNo: req.params.batchNo });
+      res.status(500).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
+  // GET /batches/:batchNo/diff?against=M - leads added / removed vs batch M (default: the previous batch)
+  router.get('/batches/:batchNo/diff', async (req, res) => {
+    try {
+      const clientId = requireClientId(req, res);
+      if (!clientId) return;
+      const diff = await batchStore.diffBatches(clientId, req.params.batchNo, req.query.against);
+      if (!diff) return res.status(404).json({ ok: false, error: 'One or both batches not found' });
+      res.json({ ok: true, ...diff });
+    } catch (e) {
+      await logRouteError(e, req, { operation: 'diff_batches', batchNo: req.params.batchNo, against: req.query.against });
+      res.status(500).json({ ok: false, error: e?.message || String(e) });
+    }
+  });
+
   // INTERNAL DEBUG: list registered routes on this router
   // GET /_debug/routes
   router.get('/_debug/routes', (req, res) => {
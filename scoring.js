@@ -70,4 +70,192 @@ function computeFinalScore(
   };
 }
 
-module.exports = { computeFinalScore };
\ No newline at end of file
+/* ---------- Score explanation (audit trail) ------------------- */
+const crypto = require("crypto");
+
+const REASON_SNIPPET_CHARS = 280;
+
+const entryScore = (entry) =>
+  typeof entry === "number"
+    ? entry
+    : typeof entry === "object" && entry !== null
+    ? Number(entry.score) || 0
+    : Number(entry) || 0;
+
+const entryReason = (id, entry, reasoning) => {
+  const r =
+    typeof reasoning[id] === "string"
+      ? reasoning[id]
+      : reasoning[id]?.reason || (typeof entry === "object" && entry?.reason) || "";
+  const text = String(r || "").replace(/\s+/g, " ").trim();
+  return text.length > REASON_SNIPPET_CHARS ? `${text.slice(0, REASON_SNIPPET_CHARS - 1)}…` : text;
+};
+
+/**
+ * rubricHash
+ *
+ * Short, stable fingerprint of the scoring rubric (what each attribute is worth and how it
+ * is described). Two scores with the same hash were marked against the same rubric; a
+ * different hash means an attribute was added, removed, re-weighted or re-worded.
+ *
+ * @return {string} 12 hex chars
+ */
+function rubricHash(positivesDict = {}, negativesDict = {}) {
+  const pick = (dict, keys) =>
+    Object.keys(dict)
+      .sort()
+      .map((id) => [id, ...keys.map((k) => dict[id]?.[k] ?? null)]);
+  const canonical = JSON.stringify({
+    positives: pick(positivesDict, ["label", "maxPoints", "bonusPoints", "instructions", "signals", "examples"]),
+    negatives: pick(negativesDict, ["label", "penalty", "disqualifying", "instructions", "signals", "examples"]),
+  });
+  return crypto.createHash("sha256").update(canonical).digest("hex").slice(0, 12);
+}
+
+/** JSON with object keys sorted at every level, so equal rubrics serialise identically. */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * rubricSnapshotHash
+ *
+ * Fingerprint of everything promptBuilder feeds the model from a rubric: the preamble and every
+ * field of every attribute (minQualify included), not just the ones rubricHash weighs. Two rubric
+ * versions with the same snapshot hash build the same prompt.
+ *
+ * @param {{ preamble?: string, positives?: Object, negatives?: Object }} rubric
+ * @return {string} 12 hex chars
+ */
+function rubricSnapshotHash({ preamble = "", positives = {}, negatives = {} } = {}) {
+  const canonical = canonicalJson({ preamble: preamble || "", positives: positives || {}, negatives: negatives || {} });
+  return crypto.createHash("sha256").update(canonical).digest("hex").slice(0, 12);
+}
+
+/** Same fingerprint for the full system prompt (rubric + preamble + output schema). */
+function promptHash(systemPrompt) {
+  if (!systemPrompt) return null;
+  return crypto.createHash("sha256").update(String(systemPrompt)).digest("hex").slice(0, 12);
+}
+
+/**
+ * explainScore
+ *
+ * computeFinalScore plus the per-attribute rows behind it, so "why 42%?" can be answered
+ * without re-parsing the Markdown breakdown. Uses computeFinalScore for the totals, so the
+ * explanation can never disagree with the stored AI Score.
+ *
+ * @return {Object} {
+ *   percentage, rawScore, denominator, rubricHash,
+ *   attributes: [{ id, kind, label, points, maxPoints, weight, weightedMax, bonus,
+ *                  reason, unscored, autoAwarded }]
+ * }
+ */
+function explainScore({
+  positiveScores = {},
+  positivesDict = {},
+  negativeScores = {},
+  negativesDict = {},
+  contactReady = false,
+  unscored = [],
+  reasoning = {},
+} = {}) {
+  const autoAwardI = contactReady && positivesDict.I && !positiveScores.I;
+  const { percentage, rawScore, denominator } = computeFinalScore(
+    { ...positiveScores }, positivesDict, negativeScores, negativesDict, contactReady, unscored
+  );
+  const unscoredSet = new Set((unscored || []).map(String));
+
+  const attributes = [];
+  for (const id of Object.keys(positivesDict).sort()) {
+    const def = positivesDict[id] || {};
+    const max = parseInt(String(def.maxPoints ?? def.max_points ?? def.max ?? 0), 10) || 0;
+    const weight = def.bonusPoints ? 0.25 : 1.0;
+    const entry = positiveScores[id];
+    attributes.push({
+      id,
+      kind: "positive",
+      label: def.label || id,
+      points: id === "I" && autoAwardI ? max : entryScore(entry),
+      maxPoints: max,
+      weight,
+      weightedMax: max * weight,
+      bonus: !!def.bonusPoints,
+      reason: entryReason(id, entry, reasoning),
+      unscored: unscoredSet.has(id),
+      autoAwarded: id === "I" && !!autoAwardI,
+    });
+  }
+  for (const id of Object.keys(negativesDict).sort()) {
+    const def = negativesDict[id] || {};
+    const entry = negativeScores[id];
+    attributes.push({
+      id,
+      kind: "negative",
+      label: def.label || id,
+      points: entryScore(entry),
+      maxPoints: Number(def.penalty) || 0,
+      weight: 1.0,
+      weightedMax: Number(def.penalty) || 0,
+      bonus: false,
+      reason: entryReason(id, entry, reasoning),
+      unscored: unscoredSet.has(id),
+      autoAwarded: false,
+    });
+  }
+
+  return {
+    percentage,
+    rawScore,
+    denominator,
+    rubricHash: rubricHash(positivesDict, negativesDict),
+    attributes,
+  };
+}
+
+/**
+ * compareExplanations
+ *
+ * What moved between two explanations of the same lead (older → newer): the percentage
+ * delta, whether the rubric changed in between, and the attributes whose points changed
+ * (including ones added to or dropped from the rubric).
+ */
+function compareExplanations(older, newer) {
+  if (!older || !newer) return null;
+  const byId = (e) => new Map((e.attributes || []).map((a) => [a.id, a]));
+  const before = byId(older);
+  const after = byId(newer);
+  const ids = [...new Set([...before.keys(), ...after.keys()])].sort();
+  const attributes = [];
+  for (const id of ids) {
+    const a = before.get(id);
+    const b = after.get(id);
+    const from = a ? a.points : null;
+    const to = b ? b.points : null;
+    const maxChanged = !!(a && b && a.maxPoints !== b.maxPoints);
+    if (from === to && !maxChanged) continue;
+    attributes.push({
+      id,
+      label: (b || a).label,
+      kind: (b || a).kind,
+      from,
+      to,
+      delta: (to || 0) - (from || 0),
+      change: !a ? "added" : !b ? "removed" : maxChanged ? "reweighted" : "rescored",
+    });
+  }
+  return {
+    from: older.createdAt || null,
+    to: newer.createdAt || null,
+    percentageDelta: Math.round(((newer.percentage || 0) - (older.percentage || 0)) * 100) / 100,
+    rubricChanged: !!(older.rubricHash && newer.rubricHash && older.rubricHash !== newer.rubricHash),
+    attributes,
+  };
+}
+
+module.exports = { computeFinalScore, explainScore, rubricHash, rubricSnapshotHash, promptHash, compareExplanations };
\ No newline at end of file
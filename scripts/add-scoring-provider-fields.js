@@ -0,0 +1,68 @@
+/**
+ * Add scoring-provider fields to the master Clients table (services/scoringProvider.js seam).
+ *
+ * Fields (on master base 'Clients'):
+ *   - Scoring Provider          (singleSelect gemini/openai/anthropic/fixture) — blank = env/default gemini
+ *   - Scoring Provider Fallback (singleLineText) — comma-separated failover chain, e.g. "openai, anthropic"
+ *
+ * Idempotent: existing fields are skipped.
+ *
+ * Usage:
+ *   node scripts/add-scoring-provider-fields.js --dry-run
+ *   node scripts/add-scoring-provider-fields.js
+ *
+ * Prereqs: AIRTABLE_API_KEY (schema write), MASTER_CLIENTS_BASE_ID.
+ */
+
+require('dotenv').config();
+
+const TABLE_NAME = 'Clients';
+const FIELDS = [
+  {
+    name: 'Scoring Provider',
+    type: 'singleSelect',
+    options: { choices: [{ name: 'gemini' }, { name: 'openai' }, { name: 'anthropic' }, { name: 'fixture' }] }
+  },
+  { name: 'Scoring Provider Fallback', type: 'singleLineText' }
+];
+
+const dryRun = process.argv.slice(2).includes('--dry-run');
+
+async function getTables(baseId) {
+  const r = await fetch(`https://api.airtable.com/v0/meta/bases/${baseId}/tables`, {
+    headers: { Authorization: `Bearer ${process.env.AIRTABLE_API_KEY}` }
+  });
+  if (!r.ok) throw new Error(`get tables: ${r.status} - ${await r.text()}`);
+  return (await r.json()).tables || [];
+}
+
+async function addField(baseId, tableId, def) {
+  const r = await fetch(`https://api.airtable.com/v0/meta/bases/${baseId}/tables/${tableId}/fields`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${process.env.AIRTABLE_API_KEY}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(def)
+  });
+  if (!r.ok) throw new Error(`add field ${def.name}: ${r.status} - ${await r.text()}`);
+  return r.json();
+}
+
+async function run() {
+  console.log(`Add scoring-provider fields to master "${TABLE_NAME}"${dryRun ? ' (DRY RUN)' : ''}\n`);
+  if (!process.env.AIRTABLE_API_KEY) { console.error('AIRTABLE_API_KEY not set'); process.exit(1); }
+  const baseId = process.env.MASTER_CLIENTS_BASE_ID;
+  if (!baseId) { console.error('MASTER_CLIENTS_BASE_ID not set'); process.exit(1); }
+
+  const tables = await getTables(baseId);
+  const table = tables.find(t => t.name === TABLE_NAME);
+  if (!table) { console.error(`Table "${TABLE_NAME}" not found. Have: ${tables.map(t => t.name).join(', ')}`); process.exit(1); }
+
+  const existing = new Set((table.fields || []).map(f => f.name));
+  for (const def of FIELDS) {
+    if (existing.has(def.name)) { console.log(`skip (exists): ${def.name}`); continue; }
+    if (dryRun) { console.log(`would add: ${def.name} (${def.type})`); continue; }
+    await addField(baseId, table.id, def);
+    console.log(`added: ${def.name}`);
+  }
+}
+
+run().catch(e => { console.error('Fatal:', e.message); process.exit(1); });
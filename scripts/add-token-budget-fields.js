@@ -0,0 +1,89 @@
+/**
+ * Add per-client token budget fields to the master Clients table (services/costGovernanceService.js).
+ *
+ * Fields (on master base 'Clients'), all optional — blank = DEFAULT_BUDGETS:
+ *   - Daily Token Limit         (number)
+ *   - Monthly Token Limit       (number)
+ *   - Daily Cost Limit          (currency, USD)
+ *   - Monthly Cost Limit        (currency, USD)
+ *   - Token Budget Soft Limit % (number) — batch work pauses at this % of a limit (default 80)
+ *
+ * Also checks that 'Client Run Results' → Status has the 'Paused - Token Budget' option. The meta
+ * API can't add select choices to an existing field, so a missing option is reported for adding
+ * by hand in the Airtable UI.
+ *
+ * Idempotent: existing fields are skipped.
+ *
+ * Usage:
+ *   node scripts/add-token-budget-fields.js --dry-run
+ *   node scripts/add-token-budget-fields.js
+ *
+ * Prereqs: AIRTABLE_API_KEY (schema write), MASTER_CLIENTS_BASE_ID.
+ */
+
+require('dotenv').config();
+
+const { CLIENT_RUN_FIELDS, CLIENT_RUN_STATUS_VALUES, MASTER_TABLES } = require('../constants/airtableUnifiedConstants');
+
+const TABLE_NAME = 'Clients';
+const FIELDS = [
+  { name: 'Daily Token Limit', type: 'number', options: { precision: 0 } },
+  { name: 'Monthly Token Limit', type: 'number', options: { precision: 0 } },
+  { name: 'Daily Cost Limit', type: 'currency', options: { precision: 2, symbol: '$' } },
+  { name: 'Monthly Cost Limit', type: 'currency', options: { precision: 2, symbol: '$' } },
+  { name: 'Token Budget Soft Limit %', type: 'number', options: { precision: 0 } }
+];
+
+const dryRun = process.argv.slice(2).includes('--dry-run');
+
+async function getTables(baseId) {
+  const r = await fetch(`https://api.airtable.com/v0/meta/bases/${baseId}/tables`, {
+    headers: { Authorization: `Bearer ${process.env.AIRTABLE_API_KEY}` }
+  });
+  if (!r.ok) throw new Error(`get tables: ${r.status} - ${await r.text()}`);
+  return (await r.json()).tables || [];
+}
+
+async function addField(baseId, tableId, def) {
+  const r = await fetch(`https://api.airtable.com/v0/meta/bases/${baseId}/tables/${tableId}/fields`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${process.env.AIRTABLE_API_KEY}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(def)
+  });
+  if (!r.ok) throw new Error(`add field ${def.name}: ${r.status} - ${await r.text()}`);
+  return r.json();
+}
+
+function checkPausedStatusOption(tables) {
+  const runs = tables.find(t => t.name === MASTER_TABLES.CLIENT_RUN_RESULTS);
+  const status = runs && (runs.fields || []).find(f => f.name === CLIENT_RUN_FIELDS.STATUS);
+  if (!status) { console.log(`\nnote: "${MASTER_TABLES.CLIENT_RUN_RESULTS}" → ${CLIENT_RUN_FIELDS.STATUS} not found`); return; }
+  const choices = ((status.options && status.options.choices) || []).map(c => c.name);
+  if (status.type !== 'singleSelect' || choices.includes(CLIENT_RUN_STATUS_VALUES.PAUSED_BUDGET)) {
+    console.log(`\nok: ${CLIENT_RUN_FIELDS.STATUS} accepts "${CLIENT_RUN_STATUS_VALUES.PAUSED_BUDGET}"`);
+    return;
+  }
+  console.log(`\nACTION: add the option "${CLIENT_RUN_STATUS_VALUES.PAUSED_BUDGET}" to "${MASTER_TABLES.CLIENT_RUN_RESULTS}" → ${CLIENT_RUN_FIELDS.STATUS} in the Airtable UI`);
+}
+
+async function run() {
+  console.log(`Add token budget fields to master "${TABLE_NAME}"${dryRun ? ' (DRY RUN)' : ''}\n`);
+  if (!process.env.AIRTABLE_API_KEY) { console.error('AIRTABLE_API_KEY not set'); process.exit(1); }
+  const baseId = process.env.MASTER_CLIENTS_BASE_ID;
+  if (!baseId) { console.error('MASTER_CLIENTS_BASE_ID not set'); process.exit(1); }
+
+  const tables = await getTables(baseId);
+  const table = tables.find(t => t.name === TABLE_NAME);
+  if (!table) { console.error(`Table "${TABLE_NAME}" not found. Have: ${tables.map(t => t.name).join(', ')}`); process.exit(1); }
+
+  const existing = new Set((table.fields || []).map(f => f.name));
+  for (const def of FIELDS) {
+    if (existing.has(def.name)) { console.log(`skip (exists): ${def.name}`); continue; }
+    if (dryRun) { console.log(`would add: ${def.name} (${def.type})`); continue; }
+    await addField(baseId, table.id, def);
+    console.log(`added: ${def.name}`);
+  }
+  checkPausedStatusOption(tables);
+}
+
+run().catch(e => { console.error('Fatal:', e.message); process.exit(1); });
@@ -3,9 +3,12 @@
 /**
  * Smart Resume Client-by-Client Processing Pipeline with Email Reporting
  * 
- * Checks each client's last execution status and resumes from where it left off:
- * - Skips clients where all operations completed successfully in the past 24 hours
- * - Resumes incomplete workflows from the failed/missing operation
+ * Queues one job per client × operation in the durable smart resume queue
+ * (services/smartResumeJobQueue.js) and drains it:
+ * - Failed triggers retry with exponential backoff, then dead-letter (the queue covers dispatch:
+ *   a job is done once its endpoint accepted it; the work itself is tracked in Job Tracking)
+ * - A run that crashed is resumed from exactly its unfinished jobs by the next run, which also
+ *   queues its own jobs
  * - Sends comprehensive email reports with execution summary and data impact
  * - Reports what was skipped vs. what was processed
  */
@@ -514,7 +517,7 @@ async function main() {
     logger.info(`   Run ID: ${runId}`);
     logger.info(`   Base URL: ${baseUrl}`);
     logger.info(`   Stream: ${stream}`);
-    logger.info(`   Resume Logic: Skip completed operations from last 24 hours`);
+    logger.info(`   Resume Logic: Durable job queue - unfinished jobs from a crashed run are resumed`);
     logger.info(`   Email Reporting: ${emailService.isConfigured() ? '✅ Enabled' : '⚠️  Not configured'}`);
     
     // Get clients for this stream
@@ -628,120 +631,114 @@ async function main() {
         log(`📋 Total operations to run: ${clientsNeedingWork.reduce((sum, w) => sum + w.operationsToRun.length, 0)}`);
         
         const { getScoredLeadsCount24h } = require('../scripts/daily-client-alerts/index.js');
-        let totalTriggered = 0;
-        let totalJobsStarted = 0;
-        const executionResults = [];
+        const jobQueue = require('../services/smartResumeJobQueue');
         
-        for (let i = 0; i < clientsNeedingWork.length; i++) {
-            const workflow = clientsNeedingWork[i];
-            log(`\n🚀 PROGRESS: Processing client [${i + 1}/${clientsNeedingWork.length}] ${workflow.clientName}:`);
-            log(`   Operations needed: ${workflow.operationsToRun.join(', ')}`);
-            
-            // Create client run record in Airtable
+        // Queue one job per client × operation (and pick up any batch a crashed run left behind),
+        // then drain the stream: retries, backoff, visibility timeouts and per-client limits live in the queue
+        const batch = await jobQueue.enqueueRun({
+            runId: normalizedRunId,
+            stream,
+            clients: clientsNeedingWork.map(w => ({ clientId: w.clientId, clientName: w.clientName, operations: w.operationsToRun }))
+        });
+        const batchRunIds = [...batch.resumedRunIds, batch.runId];
+        for (const resumedRunId of batch.resumedRunIds) {
+            const jobs = batch.jobs.filter(j => j.runId === resumedRunId);
+            const unfinished = jobs.filter(j => j.status === 'pending' || j.status === 'dispatching').length;
+            log(`♻️ RESUMING unfinished batch ${resumedRunId}: ${unfinished}/${jobs.length} jobs left`);
+        }
+        log(`📥 Queued ${batch.jobs.filter(j => j.runId === batch.runId).length} jobs for run ${batch.runId}`);
+        
+        // Client Run Results record per run × client, created on the client's first job of that run this pass
+        const clientRunIds = new Map();
+        const ensureClientRun = async (job) => {
+            const runKey = `${job.runId}|${job.clientId}`;
+            if (clientRunIds.has(runKey)) return clientRunIds.get(runKey);
+            let clientRunId = null;
             try {
-                log(`   📊 Creating run tracking record for ${workflow.clientName}...`);
+                log(`   📊 Creating run tracking record for ${job.clientName || job.clientId}...`);
                 const clientRunRecord = await JobTracking.createClientRun({
-                    runId: normalizedRunId,
-                    clientId: workflow.clientId,
+                    runId: job.runId,
+                    clientId: job.clientId,
                     initialData: { 
-                        [CLIENT_RUN_FIELDS.CLIENT_NAME]: workflow.clientName 
+                        [CLIENT_RUN_FIELDS.CLIENT_NAME]: job.clientName 
                     }
                 });
                 log(`   ✅ Run tracking record created (ID: ${clientRunRecord?.recordId || 'unknown'})`);
-                
-                // Store client run ID for passing to operations
-                workflow.clientRunId = clientRunRecord?.runId;
-                workflow.trackingRecordId = clientRunRecord?.recordId;
+                clientRunId = clientRunRecord?.runId || null;
             } catch (error) {
                 log(`   ⚠️ Failed to create run tracking record: ${error.message}. Continuing execution.`, 'WARN');
                 log(`   🔍 Error details: ${error.stack || 'No stack trace'}`, 'DEBUG');
             }
-            
-            // Log more details about post_scoring status if it's going to be executed
-            if (workflow.operationsToRun.includes('post_scoring')) {
-                const postScoringStatus = workflow.statusSummary['post_scoring'];
-                if (postScoringStatus?.overrideReason) {
-                    log(`   📌 POST SCORING: ${postScoringStatus.overrideReason}`);
-                    if (postScoringStatus.originalStatus) {
-                        log(`   📌 Original reason: ${postScoringStatus.originalStatus.reason}`);
-                    }
-                }
-            }
-            
-            const params = { stream, limit: leadScoringLimit };
-            const clientJobs = [];
-            
-            for (let opIndex = 0; opIndex < workflow.operationsToRun.length; opIndex++) {
-                const operation = workflow.operationsToRun[opIndex];
-                log(`   🚀 Starting operation [${opIndex + 1}/${workflow.operationsToRun.length}] ${operation}...`);
-                moduleLogger.info(`🔍 [TRIGGER-DEBUG] About to trigger ${operation} for ${workflow.clientId}`);
-                
-                if (operation === 'post_scoring') {
-                }
-                
-                const operationParams = operation === 'post_scoring' 
-                    ? { stream, limit: postScoringLimit, secret, runId: workflow.clientRunId || normalizedRunId }
-                    : { stream, limit: leadScoringLimit, secret, runId: workflow.clientRunId || normalizedRunId };
-                
-                if (operation === 'post_scoring') {
-                }
-                
-                moduleLogger.info(`🔍 [TRIGGER-DEBUG] Operation params for ${operation}:`, JSON.stringify(operationParams));
-                    
-                const authRequired = ['post_harvesting', 'post_scoring'].includes(operation);
-                const headers = authRequired ? authHeaders : {};
-                
-                if (operation === 'post_scoring') {
-                }
-                
-                moduleLogger.info(`🔍 [TRIGGER-DEBUG] Calling triggerOperation for ${operation}...`);
-                const result = await triggerOperation(baseUrl, workflow.clientId, operation, operationParams, headers);
-                
-                moduleLogger.info(`🔍 [TRIGGER-DEBUG] Result for ${operation}:`, JSON.stringify(result));
-                totalTriggered++;
-                
-                if (result.success) {
-                    log(`   ✅ ${operation} triggered successfully`);
-                    totalJobsStarted++;
-                } else {
-                    log(`   ❌ ${operation} failed: ${result.error}`);
-                }
-                
-                if (result.success) {
-                    totalJobsStarted++;
-                    clientJobs.push({ operation, jobId: result.jobId });
-                }
+            clientRunIds.set(runKey, clientRunId);
+            return clientRunId;
+        };
+        
+        const workerId = `${process.env.RENDER_INSTANCE_ID || 'local'}:${process.pid}:${normalizedRunId}`;
+        const drainStats = await jobQueue.drain({
+            stream,
+            workerId,
+            logger: moduleLogger,
+            handler: async (job) => {
+                log(`   🚀 ${job.clientName || job.clientId}: ${job.operation} (attempt ${job.attempts}/${job.maxAttempts})...`);
+                const clientRunId = await ensureClientRun(job);
+                const operationParams = {
+                    stream,
+                    limit: job.operation === 'post_scoring' ? postScoringLimit : leadScoringLimit,
+                    secret,
+                    runId: clientRunId || job.runId
+                };
+                const authRequired = ['post_harvesting', 'post_scoring'].includes(job.operation);
+                const result = await triggerOperation(baseUrl, job.clientId, job.operation, operationParams, authRequired ? authHeaders : {});
+                if (!result.success) throw new Error(result.error || `${job.operation} was not accepted`);
+                log(`   ✅ ${job.operation} triggered successfully`);
                 
                 // Small delay between operations
-                if (workflow.operationsToRun.length > 1) {
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                }
+                await new Promise(resolve => setTimeout(resolve, 1000));
+                return { jobId: result.jobId || null };
             }
+        });
+        
+        const totalTriggered = drainStats.attempted;
+        const totalJobsStarted = drainStats.dispatched;
+        const executionResults = [];
+        const batchJobs = [];
+        for (const id of batchRunIds) batchJobs.push(...await jobQueue.listRunJobs(id));
+        const batchRuns = [...new Map(batchJobs.map(j => [`${j.runId}|${j.clientId}`, { runId: j.runId, clientId: j.clientId }])).values()];
+        
+        for (const { runId: batchRunId, clientId } of batchRuns) {
+            const jobs = batchJobs.filter(j => j.runId === batchRunId && j.clientId === clientId);
+            const started = jobs.filter(j => j.status === 'dispatched');
+            const dead = jobs.filter(j => j.status === 'dead');
+            const waiting = jobs.filter(j => j.status === 'pending' || j.status === 'dispatching');
+            const clientName = jobs[0].clientName || clientId;
             
             // Fetch leads scored (last 72h) for report
             let scoredLeads24h = null;
             try {
-                const client = clients.find(c => c.clientId === workflow.clientId);
+                const client = clients.find(c => c.clientId === clientId);
                 if (client?.airtableBaseId) scoredLeads24h = await getScoredLeadsCount24h(client);
             } catch (e) { log(`   ⚠️ Could not fetch leads scored: ${e.message}`, 'WARN'); }
             
             executionResults.push({
-                clientId: workflow.clientId,
-                clientName: workflow.clientName,
-                operationsRun: workflow.operationsToRun,
-                jobs: clientJobs,
+                clientId,
+                clientName,
+                operationsRun: jobs.map(j => j.operation),
+                jobs: started.map(j => ({ operation: j.operation, jobId: j.result?.jobId || null })),
                 scoredLeads24h: scoredLeads24h ?? null
             });
             
-            // Update client run record on completion
+            // Close the client run once none of its jobs can run again this batch
+            if (waiting.length) {
+                log(`   ⏳ ${clientName}: ${waiting.map(j => j.operation).join(', ')} still queued for retry`);
+                continue;
+            }
             try {
-                log(`   📊 Updating run tracking for ${workflow.clientName}...`);
-                const success = clientJobs.length === workflow.operationsToRun.length;
-                const notes = `Executed operations: ${workflow.operationsToRun.join(', ')}\nJobs started: ${clientJobs.length}/${workflow.operationsToRun.length}`;
-                
+                log(`   📊 Updating run tracking for ${clientName}...`);
+                const notes = `Executed operations: ${jobs.map(j => j.operation).join(', ')}\nJobs started: ${started.length}/${jobs.length}` +
+                    (dead.length ? `\nDead-lettered: ${dead.map(j => `${j.operation} (${j.lastError})`).join('; ')}` : '');
                 await JobTracking.completeClientRun({
-                    runId: normalizedRunId,
-                    clientId: workflow.clientId,
+                    runId: batchRunId,
+                    clientId,
                     updates: { 
                         [CLIENT_RUN_FIELDS.SYSTEM_NOTES]: notes 
                     }
@@ -751,12 +748,7 @@ async function main() {
                 log(`   ⚠️ Failed to update run tracking: ${error.message}.`, 'WARN');
             }
             
-            log(`   ✅ ${workflow.clientName}: ${clientJobs.length}/${workflow.operationsToRun.length} jobs started`);
-            
-            // Delay between clients
-            if (i < clientsNeedingWork.length - 1) {
-                await new Promise(resolve => setTimeout(resolve, 2000));
-            }
+            log(`   ✅ ${clientName}: ${started.length}/${jobs.length} jobs started${dead.length ? `, ${dead.length} dead-lettered` : ''}`);
         }
         
         // Comprehensive reporting
@@ -781,6 +773,9 @@ async function main() {
         if (totalJobsStarted < totalTriggered) {
             errors.push(`${totalTriggered - totalJobsStarted} operations failed to start`);
         }
+        if (drainStats.dead) {
+            errors.push(`${drainStats.dead} jobs dead-lettered (retry via /smart-resume-queue/dead-letters/:id/retry)`);
+        }
         
         // Final console summary
         log(`\n🎉 SMART RESUME PROCESSING COMPLETED ✅`);
@@ -0,0 +1,132 @@
+/**
+ * Attachment storage seam — WHERE the bytes of an email attachment live. Rows in
+ * emailAttachmentStore.js hold the metadata and the storage key; this file only moves bytes.
+ *
+ * Providers (env ATTACHMENT_STORAGE, blank => 'local'):
+ *   local = files under ATTACHMENT_STORAGE_DIR (default <repo>/.cache/attachments). The stand-in
+ *           for dev and tests; on Render the disk is ephemeral, so production should use s3.
+ *   s3    = any S3-compatible bucket (AWS S3, Cloudflare R2, Backblaze B2, MinIO), path-style
+ *           requests signed with SigV4 — no SDK dependency for two verbs:
+ *             ATTACHMENT_S3_BUCKET, ATTACHMENT_S3_ACCESS_KEY_ID, ATTACHMENT_S3_SECRET_ACCESS_KEY,
+ *             ATTACHMENT_S3_REGION (default us-east-1; R2 wants 'auto'),
+ *             ATTACHMENT_S3_ENDPOINT (default https://s3.<region>.amazonaws.com)
+ *
+ * Each stored row records the provider it was written with, so switching ATTACHMENT_STORAGE
+ * later doesn't orphan what is already stored: reads go to the provider on the row.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+function activeAttachmentStorage() {
+  return String(process.env.ATTACHMENT_STORAGE || 'local').trim().toLowerCase();
+}
+
+function localDir() {
+  return process.env.ATTACHMENT_STORAGE_DIR || path.join(__dirname, '..', '.cache', 'attachments');
+}
+
+// Keys are built by the caller from safe segments; still refuse anything that could climb out of
+// the storage directory.
+function localPath(key) {
+  const full = path.resolve(localDir(), key);
+  if (!full.startsWith(path.resolve(localDir()) + path.sep)) throw new Error(`Invalid attachment key: ${key}`);
+  return full;
+}
+
+function s3Config() {
+  const region = process.env.ATTACHMENT_S3_REGION || 'us-east-1';
+  const cfg = {
+    bucket: process.env.ATTACHMENT_S3_BUCKET,
+    accessKeyId: process.env.ATTACHMENT_S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.ATTACHMENT_S3_SECRET_ACCESS_KEY,
+    region,
+    endpoint: (process.env.ATTACHMENT_S3_ENDPOINT || `https://s3.${region}.amazonaws.com`).replace(/\/$/, ''),
+  };
+  if (!cfg.bucket || !cfg.accessKeyId || !cfg.secretAccessKey) {
+    throw new Error('ATTACHMENT_STORAGE=s3 needs ATTACHMENT_S3_BUCKET, ATTACHMENT_S3_ACCESS_KEY_ID and ATTACHMENT_S3_SECRET_ACCESS_KEY');
+  }
+  return cfg;
+}
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * SigV4 headers for a path-style S3 request (no query string; the body hash is signed).
+ * @returns {Object} headers to send (host is set by the HTTP client from the URL)
+ */
+function signS3Request({ method, url, body, cfg, now = new Date() }) {
+  const u = new URL(url);
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = sha256Hex(body || '');
+  const signedHeaders = 'host;x-amz-content-sha256;x-amz-date';
+  const canonicalRequest = [
+    method,
+    u.pathname,
+    '',
+    `host:${u.host}\nx-amz-content-sha256:${payloadHash}\nx-amz-date:${amzDate}\n`,
+    signedHeaders,
+    payloadHash,
+  ].join('\n');
+  const scope = `${dateStamp}/${cfg.region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${cfg.secretAccessKey}`, dateStamp), cfg.region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  return {
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${cfg.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+}
+
+function s3Url(cfg, key) {
+  return `${cfg.endpoint}/${encodeURIComponent(cfg.bucket)}/${key.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+/**
+ * Store bytes under a key with the active provider.
+ * @returns {Promise<{provider: string, key: string}>}
+ */
+async function putObject(key, buffer, contentType = 'application/octet-stream') {
+  const provider = activeAttachmentStorage();
+  if (provider === 's3') {
+    const cfg = s3Config();
+    const url = s3Url(cfg, key);
+    await axios.put(url, buffer, {
+      headers: { ...signS3Request({ method: 'PUT', url, body: buffer, cfg }), 'Content-Type': contentType },
+      maxBodyLength: Infinity,
+      timeout: 60000,
+    });
+    return { provider, key };
+  }
+  if (provider !== 'local') throw new Error(`Unknown ATTACHMENT_STORAGE: ${provider}`);
+  const file = localPath(key);
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(file, buffer);
+  return { provider, key };
+}
+
+/**
+ * Read bytes back from the provider they were written with.
+ * @returns {Promise<Buffer>}
+ */
+async function getObject({ provider, key }) {
+  if (provider === 's3') {
+    const cfg = s3Config();
+    const url = s3Url(cfg, key);
+    const res = await axios.get(url, {
+      headers: signS3Request({ method: 'GET', url, body: '', cfg }),
+      responseType: 'arraybuffer',
+      timeout: 60000,
+    });
+    return Buffer.from(res.data);
+  }
+  if (provider !== 'local') throw new Error(`Unknown attachment storage provider: ${provider}`);
+  return fs.promises.readFile(localPath(key));
+}
+
+module.exports = { activeAttachmentStorage, putObject, getObject, signS3Request };
@@ -0,0 +1,244 @@
+/**
+ * Stripe plan -> Master Clients entitlements.
+ *
+ * 'Service Level', 'Post Access Enabled', 'Wingguy Enabled' and the rescore fields used to be set
+ * by hand in Airtable after someone paid. Now the plan carries them: each Stripe price (or its
+ * product) has metadata naming what it includes, and the billing webhook (routes/billingRoutes.js)
+ * writes the result onto the client's Master Clients record whenever the subscription changes
+ * (customer.subscription.created/updated/deleted) or a payment fails.
+ *
+ * Metadata (price wins over product; several items on one subscription are unioned):
+ *   entitlements      comma list: lead_scoring, post_scoring, wingguy, transcript_capture — the
+ *                     plan's complete set, so a key it leaves out is declared off
+ *   <key>=true|false  the same keys one at a time (post_scoring=true); declares only that key
+ *   rescore_credits   rescore credits the plan grants (also turns Rescore Enabled on)
+ *   service_level     explicit Service Level, for plans the two rules below don't describe
+ *
+ * Only what the metadata declares is written; every other field stays as it was set by hand.
+ * A subscription none of whose prices/products carry any of these keys (every price created
+ * before this sync) is skipped outright — nothing is written, not even Billing Status.
+ *
+ * Field rules (each only when its key is declared):
+ *   Lead Scoring Enabled  lead_scoring: 'Yes' / 'No' — 'No' keeps batchScorer off the client
+ *                    (blank = never synced, scoring on as before)
+ *   Service Level    service_level or post_scoring: service_level if set; post_scoring => 2
+ *                    (a level-3 harvesting client keeps 3); otherwise 1. There is no "off" level:
+ *                    Status (access itself) stays owned by the membership sync.
+ *   Post Access / Wingguy Enabled  'Yes' or blank (only 'Yes' enables, as before)
+ *   Rescore Enabled / Rescore Credits Granted  rescore_credits: Enabled 'Yes' or blank; Granted
+ *                    raised to the plan's credits, never lowered (no claw-back of credits
+ *                    already handed out; Consumed keeps counting as before)
+ *   Transcript Capture Enabled  'Yes' / 'No' — ingest stays advisory (services/transcriptProvider.js)
+ *   Billing Status   the subscription status ('active', 'past_due', 'canceled' …) or
+ *                    'payment_failed'. Set it to 'Manual' by hand to keep a client out of the sync.
+ * A subscription that is canceled / unpaid / incomplete_expired / paused grants nothing: its
+ * declared keys are written off.
+ *
+ * The client is found by 'Stripe Customer ID', falling back to the customer's email against
+ * 'Client Email Address'; the first match writes the customer id so later events go direct.
+ */
+
+const clientService = require('./clientService');
+const { createLogger } = require('../utils/contextLogger');
+
+const logger = createLogger({ runId: 'BILLING', clientId: 'SYSTEM', operation: 'billing_entitlements' });
+
+const FLAG_KEYS = ['lead_scoring', 'post_scoring', 'wingguy', 'transcript_capture'];
+const ENTITLED_STATUSES = new Set(['active', 'trialing', 'past_due']);
+const MANUAL_BILLING_STATUS = 'manual';
+
+const truthy = (v) => /^(true|yes|1|on)$/i.test(String(v == null ? '' : v).trim());
+
+const declares = (md, key) => md[key] != null && String(md[key]).trim() !== '';
+
+/** Read one metadata object into { flags:Set, declared:Set, rescoreCredits, serviceLevel }. */
+function parseMetadata(md = {}) {
+  const flags = new Set();
+  const declared = new Set();
+  if (declares(md, 'entitlements')) {
+    FLAG_KEYS.forEach((k) => declared.add(k));
+    for (const k of String(md.entitlements).split(',').map((s) => s.trim().toLowerCase()).filter(Boolean)) {
+      if (FLAG_KEYS.includes(k)) flags.add(k);
+    }
+  }
+  for (const k of FLAG_KEYS) {
+    if (!declares(md, k)) continue;
+    declared.add(k);
+    if (truthy(md[k])) flags.add(k);
+  }
+  if (declares(md, 'rescore_credits')) declared.add('rescore_credits');
+  const rescoreCredits = Math.max(0, parseInt(md.rescore_credits, 10) || 0);
+  const serviceLevel = parseInt(md.service_level, 10) > 0 ? parseInt(md.service_level, 10) : null;
+  if (serviceLevel) declared.add('service_level');
+  return { flags, declared, rescoreCredits, serviceLevel };
+}
+
+/**
+ * Entitlements a subscription grants right now. `declared` lists the metadata keys its prices
+ * carry, whether or not the subscription is still entitled to them.
+ * @param {Object} subscription  Stripe subscription; items' price.product may be an id or expanded
+ * @returns {{ status, entitled, declared: string[], leadScoring, postScoring, wingguy, transcriptCapture, rescoreCredits, serviceLevel }}
+ */
+function entitlementsFromSubscription(subscription) {
+  const status = String((subscription && subscription.status) || 'unknown');
+  const entitled = ENTITLED_STATUSES.has(status);
+  const flags = new Set();
+  const declared = new Set();
+  let rescoreCredits = 0;
+  let serviceLevel = null;
+  for (const item of (subscription && subscription.items && subscription.items.data) || []) {
+    const price = item.price || {};
+    const product = typeof price.product === 'object' && price.product ? price.product : {};
+    // Price over product: a key the price sets replaces the product's value.
+    const parsed = parseMetadata({ ...(product.metadata || {}), ...(price.metadata || {}) });
+    parsed.declared.forEach((k) => declared.add(k));
+    if (!entitled) continue;
+    parsed.flags.forEach((f) => flags.add(f));
+    rescoreCredits += parsed.rescoreCredits;
+    if (parsed.serviceLevel) serviceLevel = Math.max(serviceLevel || 0, parsed.serviceLevel);
+  }
+  return {
+    status,
+    entitled,
+    declared: [...declared],
+    leadScoring: flags.has('lead_scoring'),
+    postScoring: flags.has('post_scoring'),
+    wingguy: flags.has('wingguy'),
+    transcriptCapture: flags.has('transcript_capture'),
+    rescoreCredits,
+    serviceLevel,
+  };
+}
+
+/**
+ * The Master Clients fields these entitlements imply for this client — only the ones the plan's
+ * metadata declares, plus Billing Status.
+ * @param {Object} ent     entitlementsFromSubscription()
+ * @param {Object} client  clientService client (current serviceLevel / rescoreCreditsGranted)
+ * @returns {Object} Airtable field name -> value
+ */
+function clientFieldsForEntitlements(ent, client = {}) {
+  const declared = new Set(ent.declared || []);
+  const current = Number(client.serviceLevel) || 1;
+  const fields = {};
+  if (declared.has('lead_scoring')) fields['Lead Scoring Enabled'] = ent.leadScoring ? 'Yes' : 'No';
+  if (declared.has('service_level') || declared.has('post_scoring')) {
+    fields['Service Level'] = ent.serviceLevel || (ent.postScoring ? Math.max(2, current) : 1);
+  }
+  if (declared.has('post_scoring')) fields['Post Access Enabled'] = ent.postScoring ? 'Yes' : null;
+  if (declared.has('wingguy')) fields['Wingguy Enabled'] = ent.wingguy ? 'Yes' : null;
+  if (declared.has('rescore_credits')) {
+    fields['Rescore Enabled'] = ent.rescoreCredits > 0 ? 'Yes' : null;
+    if (ent.rescoreCredits > (Number(client.rescoreCreditsGranted) || 0)) {
+      fields['Rescore Credits Granted'] = ent.rescoreCredits;
+    }
+  }
+  if (declared.has('transcript_capture')) fields['Transcript Capture Enabled'] = ent.transcriptCapture ? 'Yes' : 'No';
+  fields['Billing Status'] = ent.status;
+  return fields;
+}
+
+/**
+ * The client billed under this Stripe customer.
+ * @returns {Promise<{ client: Object|null, reason?: string }>}
+ */
+async function findClientForCustomer(customerId, { stripe } = {}) {
+  if (!customerId) return { client: null, reason: 'no_customer' };
+  const clients = await clientService.getAllClients();
+  const direct = clients.find((c) => c.stripeCustomerId === customerId);
+  if (direct) return { client: direct };
+  if (!stripe) return { client: null, reason: 'no_match' };
+
+  const customer = await stripe.customers.retrieve(customerId);
+  const email = String((customer && !customer.deleted && customer.email) || '').toLowerCase().trim();
+  if (!email) return { client: null, reason: 'no_email' };
+  const byEmail = clients.filter((c) => String(c.clientEmailAddress || '').toLowerCase().trim() === email);
+  if (byEmail.length > 1) return { client: null, reason: 'ambiguous_email' };
+  return byEmail.length ? { client: byEmail[0] } : { client: null, reason: 'no_match' };
+}
+
+// The webhook payload has price.product as an id; fetch it expanded so product metadata counts.
+async function loadSubscription(subscriptionOrId, stripe) {
+  const id = typeof subscriptionOrId === 'string' ? subscriptionOrId : subscriptionOrId && subscriptionOrId.id;
+  if (!stripe || !id) return typeof subscriptionOrId === 'object' ? subscriptionOrId : null;
+  try {
+    return await stripe.subscriptions.retrieve(id, { expand: ['items.data.price.product'] });
+  } catch (e) {
+    if (typeof subscriptionOrId === 'object') {
+      logger.warn(`Could not expand subscription ${id} (using the event payload): ${e.message}`);
+      return subscriptionOrId;
+    }
+    throw e;
+  }
+}
+
+async function writeFields(client, fields) {
+  await clientService.applyBillingEntitlements(client.clientId, fields);
+  return { clientId: client.clientId, fields };
+}
+
+/**
+ * Apply a subscription's entitlements to its client's Master Clients record.
+ * @param {Object|string} subscription  event payload or subscription id
+ * @param {Object} [opts]
+ * @param {Object} [opts.stripe]        Stripe client (expands products, resolves the customer)
+ * @param {string} [opts.billingStatus] overrides the subscription status (e.g. 'payment_failed')
+ * @returns {Promise<{ clientId, fields, entitlements } | { skipped: string }>}
+ */
+async function applySubscription(subscription, { stripe = null, billingStatus = null } = {}) {
+  const sub = await loadSubscription(subscription, stripe);
+  if (!sub) return { skipped: 'no_subscription' };
+  const customerId = typeof sub.customer === 'object' && sub.customer ? sub.customer.id : sub.customer;
+  const entitlements = entitlementsFromSubscription(sub);
+  // A price from before the sync: leave the hand-set fields alone.
+  if (!entitlements.declared.length) return { skipped: 'no_entitlement_metadata', customerId };
+  const { client, reason } = await findClientForCustomer(customerId, { stripe });
+  if (!client) return { skipped: reason, customerId };
+  if (String(client.billingStatus || '').toLowerCase() === MANUAL_BILLING_STATUS) return { skipped: 'manual', clientId: client.clientId };
+
+  const fields = clientFieldsForEntitlements(entitlements, client);
+  if (billingStatus) fields['Billing Status'] = billingStatus;
+  if (client.stripeCustomerId !== customerId) fields['Stripe Customer ID'] = customerId;
+  return { ...(await writeFields(client, fields)), entitlements };
+}
+
+/**
+ * invoice.payment_failed: flag the client and re-apply the subscription as Stripe now sees it
+ * (past_due keeps the plan through Stripe's retries; unpaid/canceled drops it).
+ * @returns {Promise<Object>} as applySubscription
+ */
+async function applyPaymentFailed(invoice, { stripe = null } = {}) {
+  const subscriptionId = invoice.subscription
+    || (invoice.parent && invoice.parent.subscription_details && invoice.parent.subscription_details.subscription)
+    || null;
+  if (subscriptionId) return applySubscription(subscriptionId, { stripe, billingStatus: 'payment_failed' });
+
+  // A one-off invoice: nothing to re-apply, just flag the client.
+  const { client, reason } = await findClientForCustomer(invoice.customer, { stripe });
+  if (!client) return { skipped: reason, customerId: invoice.customer };
+  if (String(client.billingStatus || '').toLowerCase() === MANUAL_BILLING_STATUS) return { skipped: 'manual', clientId: client.clientId };
+  const fields = { 'Billing Status': 'payment_failed' };
+  if (client.stripeCustomerId !== invoice.customer) fields['Stripe Customer ID'] = invoice.customer;
+  return writeFields(client, fields);
+}
+
+/**
+ * The billing period a subscription is in. Newer Stripe API versions moved current_period_* from
+ * the subscription onto its items; read either.
+ * @returns {{ start: Date, end: Date } | null}
+ */
+function currentPeriod(subscription) {
+  const item = subscription && subscription.items && subscription.items.data && subscription.items.data[0];
+  const start = (subscription && subscription.current_period_start) || (item && item.current_period_start);
+  const end = (subscription && subscription.current_period_end) || (item && item.current_period_end);
+  return start && end ? { start: new Date(start * 1000), end: new Date(end * 1000) } : null;
+}
+
+module.exports = {
+  entitlementsFromSubscription,
+  clientFieldsForEntitlements,
+  findClientForCustomer,
+  applySubscription,
+  applyPaymentFailed,
+  currentPeriod,
+};
@@ -0,0 +1,93 @@
+/**
+ * Billable usage -> Stripe. Claims what services/billingUsageStore.js has not reported yet into
+ * batches (one per client × metric), sends each batch as a Stripe Billing meter event, and stamps
+ * its rows reported once Stripe accepts it.
+ *
+ * Called two ways:
+ *   - hourly cron: POST /api/cron/billing-usage (routes/apiAndJobRoutes.js) — keeps Stripe's
+ *     running total close to real time;
+ *   - the billing webhook on a renewal invoice (invoice.created, billing_reason
+ *     subscription_cycle): flushes that client's units from BEFORE the period end, so the closing
+ *     period is complete while Stripe still holds the draft invoice open.
+ *
+ * Each event's timestamp is the last unit's time, so Stripe files it under the billing period it
+ * happened in. The identifier is the batch id stored on the rows at claim time. A batch that was
+ * sent but never stamped (crash, failed send) is re-sent with exactly the same units under the
+ * same identifier, so Stripe can drop the repeat; units recorded since go in a new batch. If the
+ * cron and the invoice flush overlap, they claim disjoint rows and can only re-send each other's
+ * batches under the same identifier.
+ *
+ * Meter event names are the metric keys unless overridden (STRIPE_METER_LEADS_SCORED,
+ * STRIPE_METER_POSTS_SCORED, STRIPE_METER_RESCORE_LEADS); the meters must be set up in Stripe with
+ * sum aggregation and the default stripe_customer_id / value payload keys.
+ */
+
+const usageStore = require('./billingUsageStore');
+const clientService = require('./clientService');
+const { createLogger } = require('../utils/contextLogger');
+
+const { METRICS } = usageStore;
+const METER_EVENT_NAMES = {
+  [METRICS.LEADS_SCORED]: process.env.STRIPE_METER_LEADS_SCORED || METRICS.LEADS_SCORED,
+  [METRICS.POSTS_SCORED]: process.env.STRIPE_METER_POSTS_SCORED || METRICS.POSTS_SCORED,
+  [METRICS.RESCORE_LEADS]: process.env.STRIPE_METER_RESCORE_LEADS || METRICS.RESCORE_LEADS,
+};
+// Stripe refuses meter events timestamped more than 35 days back; older units are billed now.
+const MAX_BACKDATE_MS = 35 * 24 * 60 * 60 * 1000;
+
+// A re-send Stripe refuses because it already holds that identifier was accepted the first time.
+const alreadyRecorded = (e) => /already exists/i.test(e && e.message || '');
+
+/**
+ * Claim the pending usage in scope, then send every open batch (new or left over).
+ * @param {Object} opts
+ * @param {Object} opts.stripe       Stripe client
+ * @param {string} [opts.clientId]   one client only
+ * @param {Date}   [opts.before]     only claim units before this instant (a period end)
+ * @param {Date}   [opts.now]
+ * @returns {Promise<{ reported: number, skipped: number, failed: number, results: Array }>}
+ */
+async function reportPendingUsage({ stripe, clientId = null, before = null, now = new Date() }) {
+  const summary = { reported: 0, skipped: 0, failed: 0, results: [] };
+  if (!stripe) throw new Error('Stripe is not configured (STRIPE_SECRET_KEY)');
+  await usageStore.claimUsage({ clientId, before });
+  const batches = await usageStore.openBatches({ clientId });
+  const clients = new Map();
+
+  for (const g of batches) {
+    if (!clients.has(g.clientId)) clients.set(g.clientId, await clientService.getClientById(g.clientId));
+    const client = clients.get(g.clientId);
+    const base = { clientId: g.clientId, metric: g.metric, quantity: g.quantity };
+    // No customer yet (never synced, or billed by hand): the units wait, they are not dropped.
+    if (!client || !client.stripeCustomerId) {
+      summary.skipped++;
+      summary.results.push({ ...base, status: 'no_customer' });
+      continue;
+    }
+    const at = new Date(g.lastOccurredAt);
+    const when = now - at > MAX_BACKDATE_MS || at > now ? now : at;
+    const identifier = g.reportId;
+    try {
+      await stripe.billing.meterEvents.create({
+        event_name: METER_EVENT_NAMES[g.metric],
+        identifier,
+        timestamp: Math.floor(when.getTime() / 1000),
+        payload: { stripe_customer_id: client.stripeCustomerId, value: String(g.quantity) },
+      }).catch((e) => { if (!alreadyRecorded(e)) throw e; });
+      await usageStore.markReported(identifier);
+      summary.reported++;
+      summary.results.push({ ...base, status: 'reported', identifier });
+    } catch (e) {
+      summary.failed++;
+      summary.results.push({ ...base, status: 'failed', error: e.message });
+      createLogger({ runId: 'BILLING', clientId: g.clientId, operation: 'billing_usage' })
+        .warn(`Report of ${g.quantity} ${g.metric} failed (stays pending): ${e.message}`);
+    }
+  }
+  return summary;
+}
+
+module.exports = {
+  reportPendingUsage,
+  METER_EVENT_NAMES,
+};
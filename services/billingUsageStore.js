@@ -0,0 +1,263 @@
+/**
+ * Billable usage ledger — what a client used that their Stripe plan meters: leads scored, posts
+ * scored and leads rescored. Unlike ai_token_usage (services/tokenUsageLedger.js, which counts
+ * tokens for budgets) this counts the units a price is quoted in.
+ *
+ * Recorded by the scorers once the results are saved:
+ *   leads_scored (batchScorer) · rescore_leads (batchScorer on a RESCORE run) · posts_scored
+ *   (postBatchScorer, one per post the model scored)
+ *
+ * services/billingUsageReporter.js reports in two steps. claimUsage() stamps unclaimed rows with a
+ * batch id (report_id) in one UPDATE, so two reporters never claim the same row and a row that
+ * commits later waits for the next claim. The batch is sent under that id, and markReported()
+ * sets reported_at only once Stripe has accepted it. A batch left claimed but unreported (crash,
+ * Stripe down) is found by openBatches() and re-sent under the same id — never re-grouped.
+ *
+ * Table (same Postgres as the recall_* store):
+ *   billing_usage_events — client_id, metric, quantity, run_id, occurred_at, reported_at, report_id
+ *
+ * No DATABASE_URL => an in-process array (works locally, lost on restart).
+ * House style: tokenUsageLedger.js (lazy Pool, ensureSchema CREATE-IF-NOT-EXISTS, no migrations).
+ */
+
+const crypto = require('crypto');
+const { Pool } = require('pg');
+const { createLogger } = require('../utils/contextLogger');
+
+const METRICS = {
+  LEADS_SCORED: 'leads_scored',
+  POSTS_SCORED: 'posts_scored',
+  RESCORE_LEADS: 'rescore_leads',
+};
+const METRIC_VALUES = Object.values(METRICS);
+
+let pool;
+let schemaEnsured = false;
+const memory = [];
+let memorySeq = 0;
+
+function getPool() {
+  if (pool) return pool;
+  const url = (process.env.DATABASE_URL || '').trim();
+  if (!url) return null;
+  pool = new Pool({ connectionString: url, ssl: { rejectUnauthorized: false } });
+  return pool;
+}
+
+/** Test seam: inject a fake pool (unit tests never touch a real database). */
+function __setTestPool(fake) {
+  pool = fake;
+  schemaEnsured = fake ? true : false;
+  memory.length = 0;
+  memorySeq = 0;
+}
+
+async function ensureSchema(client) {
+  if (schemaEnsured) return;
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS billing_usage_events (
+      id           BIGSERIAL PRIMARY KEY,
+      client_id    TEXT NOT NULL,
+      metric       TEXT NOT NULL,
+      quantity     INTEGER NOT NULL,
+      run_id       TEXT,
+      occurred_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+      reported_at  TIMESTAMPTZ,
+      report_id    TEXT
+    );
+  `);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_billing_usage_unreported ON billing_usage_events (client_id, metric) WHERE reported_at IS NULL;`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_billing_usage_client_time ON billing_usage_events (client_id, occurred_at);`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_billing_usage_open_batches ON billing_usage_events (report_id) WHERE reported_at IS NULL AND report_id IS NOT NULL;`);
+  schemaEnsured = true;
+}
+
+async function withClient(fn) {
+  const client = await getPool().connect();
+  try {
+    await ensureSchema(client);
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+}
+
+const iso = (v) => (v instanceof Date ? v.toISOString() : v);
+
+/**
+ * Record billable units. Never throws — a ledger outage must not fail a scoring run (the units
+ * are lost from billing, and the warning says so).
+ * @returns {Promise<Object|null>} the stored event, or null when nothing was recorded
+ */
+async function recordUsage({ clientId, metric, quantity, runId = null, occurredAt = new Date() }) {
+  const qty = Math.round(Number(quantity) || 0);
+  if (!clientId || !METRIC_VALUES.includes(metric) || qty <= 0) return null;
+  try {
+    if (!getPool()) {
+      const evt = { id: ++memorySeq, clientId, metric, quantity: qty, runId, occurredAt: iso(occurredAt), reportedAt: null, reportId: null };
+      memory.push(evt);
+      return evt;
+    }
+    const r = await withClient((c) => c.query(
+      `INSERT INTO billing_usage_events (client_id, metric, quantity, run_id, occurred_at)
+       VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+      [clientId, metric, qty, runId, occurredAt]));
+    return { id: Number(r.rows[0].id), clientId, metric, quantity: qty, runId, occurredAt: iso(occurredAt), reportedAt: null, reportId: null };
+  } catch (e) {
+    createLogger({ runId: runId || 'BILLING', clientId, operation: 'billing_usage' })
+      .warn(`Could not record ${qty} ${metric} (unbilled): ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Unreported usage (claimed or not) summed per client × metric.
+ * @param {Object} [opts]
+ * @param {string} [opts.clientId]  one client only
+ * @returns {Promise<Array<{ clientId, metric, quantity }>>}
+ */
+async function pendingUsage({ clientId = null } = {}) {
+  if (!getPool()) {
+    const groups = new Map();
+    for (const e of memory) {
+      if (e.reportedAt || (clientId && e.clientId !== clientId)) continue;
+      const key = `${e.clientId}|${e.metric}`;
+      const g = groups.get(key) || { clientId: e.clientId, metric: e.metric, quantity: 0 };
+      g.quantity += e.quantity;
+      groups.set(key, g);
+    }
+    return [...groups.values()];
+  }
+  return withClient(async (c) => (await c.query(
+    `SELECT client_id, metric, SUM(quantity) AS quantity
+       FROM billing_usage_events
+      WHERE reported_at IS NULL AND ($1::text IS NULL OR client_id = $1)
+      GROUP BY client_id, metric`,
+    [clientId])).rows.map((r) => ({ clientId: r.client_id, metric: r.metric, quantity: Number(r.quantity) || 0 })));
+}
+
+/** Rows -> one batch per report_id: { reportId, clientId, metric, quantity, lastOccurredAt } */
+function toBatches(rows) {
+  const batches = new Map();
+  for (const r of rows) {
+    const b = batches.get(r.reportId) || { reportId: r.reportId, clientId: r.clientId, metric: r.metric, quantity: 0, lastOccurredAt: r.occurredAt };
+    b.quantity += r.quantity;
+    if (r.occurredAt > b.lastOccurredAt) b.lastOccurredAt = r.occurredAt;
+    batches.set(r.reportId, b);
+  }
+  return [...batches.values()];
+}
+
+const fromRow = (r) => ({
+  reportId: r.report_id, clientId: r.client_id, metric: r.metric,
+  quantity: Number(r.quantity) || 0, occurredAt: iso(r.occurred_at),
+});
+
+/**
+ * Claim the unclaimed usage in scope: one new batch per client × metric, id
+ * `client:metric:<claim>`, stored on the rows before anything is sent.
+ * @param {Object} [opts]
+ * @param {string} [opts.clientId]  one client only
+ * @param {Date}   [opts.before]    only units that occurred before this instant (a period end)
+ * @returns {Promise<Array<{ reportId, clientId, metric, quantity, lastOccurredAt }>>} the new batches
+ */
+async function claimUsage({ clientId = null, before = null } = {}) {
+  const claim = `${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`;
+  if (!getPool()) {
+    const rows = [];
+    for (const e of memory) {
+      if (e.reportedAt || e.reportId || (clientId && e.clientId !== clientId)) continue;
+      if (before && new Date(e.occurredAt) >= before) continue;
+      e.reportId = `${e.clientId}:${e.metric}:${claim}`;
+      rows.push(e);
+    }
+    return toBatches(rows);
+  }
+  return withClient(async (c) => toBatches((await c.query(
+    `UPDATE billing_usage_events SET report_id = client_id || ':' || metric || ':' || $3
+      WHERE reported_at IS NULL AND report_id IS NULL
+        AND ($1::text IS NULL OR client_id = $1)
+        AND ($2::timestamptz IS NULL OR occurred_at < $2)
+      RETURNING report_id, client_id, metric, quantity, occurred_at`,
+    [clientId, before, claim])).rows.map(fromRow)));
+}
+
+/**
+ * Every claimed batch Stripe has not accepted yet — just claimed, or left by a crash or a failed
+ * send. Re-sending one reuses its stored id, so Stripe sees the same event again.
+ * @param {Object} [opts]
+ * @param {string} [opts.clientId]  one client only
+ * @returns {Promise<Array<{ reportId, clientId, metric, quantity, lastOccurredAt }>>}
+ */
+async function openBatches({ clientId = null } = {}) {
+  if (!getPool()) {
+    return toBatches(memory.filter((e) => e.reportId && !e.reportedAt && (!clientId || e.clientId === clientId)));
+  }
+  return withClient(async (c) => (await c.query(
+    `SELECT report_id, client_id, metric, SUM(quantity) AS quantity, MAX(occurred_at) AS occurred_at
+       FROM billing_usage_events
+      WHERE reported_at IS NULL AND report_id IS NOT NULL
+        AND ($1::text IS NULL OR client_id = $1)
+      GROUP BY report_id, client_id, metric
+      ORDER BY MIN(id)`,
+    [clientId])).rows.map(fromRow).map(({ occurredAt, ...b }) => ({ ...b, lastOccurredAt: occurredAt })));
+}
+
+/**
+ * Stamp a batch reported (Stripe accepted it).
+ * @returns {Promise<number>} rows stamped
+ */
+async function markReported(reportId) {
+  const now = new Date();
+  if (!getPool()) {
+    let n = 0;
+    for (const e of memory) {
+      if (e.reportedAt || e.reportId !== reportId) continue;
+      e.reportedAt = now.toISOString();
+      n++;
+    }
+    return n;
+  }
+  return withClient(async (c) => (await c.query(
+    `UPDATE billing_usage_events SET reported_at = now() WHERE report_id = $1 AND reported_at IS NULL`,
+    [reportId])).rowCount);
+}
+
+/**
+ * A client's usage in a window (a billing period), reported or not.
+ * @returns {Promise<Object>} metric -> { quantity, reported }
+ */
+async function usageTotals(clientId, { from, to }) {
+  const out = {};
+  for (const m of METRIC_VALUES) out[m] = { quantity: 0, reported: 0 };
+  if (!getPool()) {
+    for (const e of memory) {
+      const at = new Date(e.occurredAt);
+      if (e.clientId !== clientId || at < from || at >= to) continue;
+      out[e.metric].quantity += e.quantity;
+      if (e.reportedAt) out[e.metric].reported += e.quantity;
+    }
+    return out;
+  }
+  const rows = await withClient(async (c) => (await c.query(
+    `SELECT metric, SUM(quantity) AS quantity, COALESCE(SUM(quantity) FILTER (WHERE reported_at IS NOT NULL), 0) AS reported
+       FROM billing_usage_events
+      WHERE client_id = $1 AND occurred_at >= $2 AND occurred_at < $3
+      GROUP BY metric`,
+    [clientId, from, to])).rows);
+  for (const r of rows) {
+    if (out[r.metric]) out[r.metric] = { quantity: Number(r.quantity) || 0, reported: Number(r.reported) || 0 };
+  }
+  return out;
+}
+
+module.exports = {
+  METRICS,
+  recordUsage,
+  pendingUsage,
+  claimUsage,
+  openBatches,
+  markReported,
+  usageTotals,
+  __setTestPool,
+};
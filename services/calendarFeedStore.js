@@ -0,0 +1,119 @@
+/**
+ * Private calendar-feed tokens: one per client, the secret in the ICS subscription URL
+ * (/calendar-feed/<token>.ics) served by routes/calendarFeedRoutes.js.
+ *
+ * A subscription URL can't carry a header, so the token IS the credential — rotating it cuts off
+ * every calendar app still subscribed to the old URL.
+ *
+ * Table (same Postgres as the guest_bookings store):
+ *   calendar_feed_tokens — client_id (PK), token (unique), created_at
+ *
+ * No DATABASE_URL => an in-process map (works locally, lost on restart).
+ * House style: tokenUsageLedger.js (lazy Pool, ensureSchema CREATE-IF-NOT-EXISTS, no migrations).
+ */
+
+const crypto = require("crypto");
+const { Pool } = require("pg");
+
+let pool;
+let schemaEnsured = false;
+const memory = new Map(); // clientId -> { token, createdAt }
+
+function getPool() {
+  if (pool) return pool;
+  const url = (process.env.DATABASE_URL || "").trim();
+  if (!url) return null;
+  pool = new Pool({ connectionString: url, ssl: { rejectUnauthorized: false } });
+  return pool;
+}
+
+/** Test seam: inject a fake pool (unit tests never touch a real database). */
+function __setTestPool(fake) {
+  pool = fake;
+  schemaEnsured = fake ? true : false;
+  memory.clear();
+}
+
+async function ensureSchema(client) {
+  if (schemaEnsured) return;
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+      client_id   TEXT PRIMARY KEY,
+      token       TEXT NOT NULL UNIQUE,
+      created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+  schemaEnsured = true;
+}
+
+async function withClient(fn) {
+  const client = await getPool().connect();
+  try {
+    await ensureSchema(client);
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+}
+
+const FEED_TOKEN_RE = /^[A-Za-z0-9_-]{24,64}$/;
+
+function newFeedToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+/**
+ * The client's feed token, minting one on first use.
+ * @returns {Promise<string>}
+ */
+async function getOrCreateFeedToken(clientId) {
+  if (!getPool()) {
+    if (!memory.has(clientId)) memory.set(clientId, { token: newFeedToken(), createdAt: new Date().toISOString() });
+    return memory.get(clientId).token;
+  }
+  return withClient(async (c) => {
+    await c.query(
+      `INSERT INTO calendar_feed_tokens (client_id, token) VALUES ($1, $2) ON CONFLICT (client_id) DO NOTHING`,
+      [clientId, newFeedToken()]);
+    const r = await c.query(`SELECT token FROM calendar_feed_tokens WHERE client_id = $1`, [clientId]);
+    return r.rows[0].token;
+  });
+}
+
+/**
+ * Replace the client's feed token — the old subscription URL stops working immediately.
+ * @returns {Promise<string>} the new token
+ */
+async function rotateFeedToken(clientId) {
+  const token = newFeedToken();
+  if (!getPool()) {
+    memory.set(clientId, { token, createdAt: new Date().toISOString() });
+    return token;
+  }
+  await withClient((c) => c.query(
+    `INSERT INTO calendar_feed_tokens (client_id, token) VALUES ($1, $2)
+     ON CONFLICT (client_id) DO UPDATE SET token = EXCLUDED.token, created_at = now()`,
+    [clientId, token]));
+  return token;
+}
+
+/**
+ * Which client a feed token belongs to, or null (unknown, rotated away or malformed).
+ * @returns {Promise<string|null>}
+ */
+async function clientIdForFeedToken(token) {
+  if (typeof token !== "string" || !FEED_TOKEN_RE.test(token)) return null;
+  if (!getPool()) {
+    for (const [clientId, v] of memory) if (v.token === token) return clientId;
+    return null;
+  }
+  const r = await withClient((c) => c.query(`SELECT client_id FROM calendar_feed_tokens WHERE token = $1`, [token]));
+  return r.rows[0] ? r.rows[0].client_id : null;
+}
+
+module.exports = {
+  getOrCreateFeedToken,
+  rotateFeedToken,
+  clientIdForFeedToken,
+  __setTestPool,
+};
@@ -12,6 +12,34 @@ function isValidIanaTimezone(tz) {
   return DateTime.now().setZone(tz.trim()).isValid;
 }
 
+/**
+ * Busy periods on the OAuth user's primary calendar (also the busy source for coach booking
+ * links whose host is the OAuth account — services/guestBookingHosts.js).
+ * @param {string} timeMin ISO
+ * @param {string} timeMax ISO
+ * @returns {Promise<{ busy: Array<{ start: string, end: string }>, error?: string }>}
+ */
+async function getOAuthPrimaryBusy(timeMin, timeMax) {
+  const auth = getGmailOAuthClient();
+  const calendar = google.calendar({ version: "v3", auth });
+  try {
+    const { data } = await calendar.freebusy.query({
+      requestBody: {
+        timeMin,
+        timeMax,
+        items: [{ id: "primary" }],
+      },
+    });
+    const cal = data.calendars?.primary;
+    if (cal?.errors?.length) {
+      return { busy: [], error: cal.errors[0]?.reason || "freebusy error" };
+    }
+    return { busy: cal?.busy || [] };
+  } catch (e) {
+    return { busy: [], error: e.message || String(e) };
+  }
+}
+
 /**
  * @param {string[]} dates YYYY-MM-DD (calendar days in host TZ)
  * @param {object} opts
@@ -35,9 +63,6 @@ async function getOAuthPrimaryBatchAvailability(dates, opts) {
   const guestStartMinutes = opts?.guestStartMinutes ?? 9 * 60;
   const guestEndMinutes = opts?.guestEndMinutes ?? 17 * 60;
 
-  const auth = getGmailOAuthClient();
-  const calendar = google.calendar({ version: "v3", auth });
-
   const firstDate = dates[0];
   const lastDate = dates[dates.length - 1];
   const rangeStart = DateTime.fromISO(`${firstDate}T00:00:00`, {
@@ -47,23 +72,11 @@ async function getOAuthPrimaryBatchAvailability(dates, opts) {
     zone: hostTz,
   }).toUTC();
 
-  let allBusyPeriods;
-  try {
-    const { data } = await calendar.freebusy.query({
-      requestBody: {
-        timeMin: rangeStart.toISO(),
-        timeMax: rangeEnd.toISO(),
-        items: [{ id: "primary" }],
-      },
-    });
-    const cal = data.calendars?.primary;
-    if (cal?.errors?.length) {
-      return { days: [], error: cal.errors[0]?.reason || "freebusy error" };
-    }
-    allBusyPeriods = cal?.busy || [];
-  } catch (e) {
-    return { days: [], error: e.message || String(e) };
-  }
+  const { busy: allBusyPeriods, error } = await getOAuthPrimaryBusy(
+    rangeStart.toISO(),
+    rangeEnd.toISO()
+  );
+  if (error) return { days: [], error };
 
   const slotDurationMs = 30 * 60 * 1000;
 
@@ -140,6 +153,7 @@ function getTimezoneOffsetMinutes(tz, dateStr) {
 
 module.exports = {
   getOAuthPrimaryBatchAvailability,
+  getOAuthPrimaryBusy,
   getTimezoneOffsetMinutes,
   isValidIanaTimezone,
 };
@@ -86,6 +86,51 @@ async function createGuestMeeting(opts) {
   };
 }
 
+/**
+ * Move a guest meeting on the primary calendar; Google emails the attendee the new time.
+ * @param {string} eventId
+ * @param {Object} opts
+ * @param {string} opts.startISO
+ * @param {string} opts.endISO
+ */
+async function moveGuestMeeting(eventId, opts) {
+  const { startISO, endISO } = opts || {};
+  if (!eventId || !startISO || !endISO) {
+    throw new Error("moveGuestMeeting: eventId, startISO, endISO required");
+  }
+
+  const auth = getGmailOAuthClient();
+  const calendar = google.calendar({ version: "v3", auth });
+
+  const { data } = await calendar.events.patch({
+    calendarId: "primary",
+    eventId,
+    sendUpdates: "all",
+    requestBody: {
+      start: { dateTime: startISO },
+      end: { dateTime: endISO },
+    },
+  });
+
+  return {
+    id: data.id,
+    htmlLink: data.htmlLink,
+    start: data.start?.dateTime || data.start?.date,
+  };
+}
+
+/** Delete a guest meeting from the primary calendar; Google emails the attendee the cancellation. */
+async function cancelGuestMeeting(eventId) {
+  if (!eventId) throw new Error("cancelGuestMeeting: eventId required");
+  const auth = getGmailOAuthClient();
+  const calendar = google.calendar({ version: "v3", auth });
+  await calendar.events.delete({
+    calendarId: "primary",
+    eventId,
+    sendUpdates: "all",
+  });
+}
+
 /** Throws if primary calendar has busy overlapping [startISO, endISO]. */
 async function assertPrimarySlotFree(startISO, endISO) {
   const auth = getGmailOAuthClient();
@@ -115,5 +160,7 @@ async function assertPrimarySlotFree(startISO, endISO) {
 module.exports = {
   createTestEvent,
   createGuestMeeting,
+  moveGuestMeeting,
+  cancelGuestMeeting,
   assertPrimarySlotFree,
 };
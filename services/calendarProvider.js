@@ -7,6 +7,7 @@
  *            service account). Proven; same path recallAutoSplitService uses.
  *   nylas  = per-tenant Nylas grant (the multi-tenant client model). Each tenant connects their
  *            own Google/Outlook once via Nylas hosted auth; we read through Nylas server-side.
+ * Direct per-tenant backends added since: unipile, zoho and microsoft (Graph — Outlook / 365).
  *
  * The Fathom splitter calls getMeetingsInWindow() and never knows which backend served it, so
  * swapping providers — or going multi-tenant — is contained to THIS file.
@@ -27,6 +28,7 @@
 const { listCalendarEventsWithAttendeesInRange } = require('../config/calendarServiceAccount');
 const { DateTime } = require('luxon');
 const { createSafeLogger } = require('../utils/loggerHelper');
+const { graphRequest, graphError } = require('./microsoftGraph');
 
 const log = createSafeLogger('SYSTEM', null, 'calendar_provider');
 
@@ -92,6 +94,7 @@ async function getMeetingsInWindow(coach, timeMin, timeMax, opts = {}) {
   if (provider === 'nylas') r = await getViaNylas(coach, timeMin, timeMax);
   else if (provider === 'unipile') r = await getViaUnipile(coach, timeMin, timeMax);
   else if (provider === 'zoho') r = await getViaZoho(coach, timeMin, timeMax);
+  else if (provider === 'microsoft') r = await getViaMicrosoft(coach, timeMin, timeMax);
   else r = await getViaGoogle(coach, timeMin, timeMax);
   if (!opts.includeAllDay && Array.isArray(r.events)) {
     r = { ...r, events: r.events.filter((e) => !e.allDay) };
@@ -121,6 +124,10 @@ async function listCalendars(coach) {
       const cals = await listZohoCalendars(coach, accessToken);
       return { calendars: cals.map((c) => ({ id: c.uid, name: c.name || '', isDefault: !!c.isdefault, readOnly: false })), error: null, provider };
     }
+    if (provider === 'microsoft') {
+      const cals = await listMicrosoftCalendars(coach);
+      return { calendars: cals.map((c) => ({ id: c.id, name: c.name || '', isDefault: !!c.isDefaultCalendar, readOnly: c.canEdit === false })), error: null, provider };
+    }
     return { calendars: [], error: 'google service-account clients can\'t enumerate calendars — put explicit calendar emails (shared with the service account) in Calendar Read IDs', provider };
   } catch (e) {
     return { calendars: [], error: e.message, provider };
@@ -318,8 +325,9 @@ async function createCalendarEvent(coach, details) {
   if (provider === 'nylas') return createViaNylas(coach, details);
   if (provider === 'unipile') return createViaUnipile(coach, details);
   if (provider === 'zoho') return createViaZoho(coach, details);
+  if (provider === 'microsoft') return createViaMicrosoft(coach, details);
   // The Google service account is READ-ONLY (calendar.readonly) — no write path there by design.
-  return { ok: false, error: `create-event not supported on provider '${provider}' (Google service account is read-only — use Nylas or Zoho)`, provider };
+  return { ok: false, error: `create-event not supported on provider '${provider}' (Google service account is read-only — use Nylas, Unipile, Zoho or Microsoft)`, provider };
 }
 
 async function createViaNylas(coach, details) {
@@ -369,13 +377,16 @@ async function createViaNylas(coach, details) {
   return { ok: true, eventId: ev.id, htmlLink: ev.html_link || '', provider: 'nylas' };
 }
 
-/* ---- DELETE: remove an event by id (Nylas only — used to clear Wingguy offer HOLDs) ------------- */
-async function deleteCalendarEvent(coach, eventId) {
+/* ---- DELETE: remove an event by id (used to clear Wingguy offer HOLDs and guest cancellations) ---
+ * opts.notifyParticipants (Nylas and Microsoft): true emails attendees the cancellation — guest
+ * booking cancel/reschedule sets it; HOLDs have no one to tell. */
+async function deleteCalendarEvent(coach, eventId, opts = {}) {
   const provider = activeProvider(coach);
   if (provider === 'zoho') return deleteViaZoho(coach, eventId);
   if (provider === 'unipile') return deleteViaUnipile(coach, eventId);
+  if (provider === 'microsoft') return deleteViaMicrosoft(coach, eventId, opts);
   if (provider !== 'nylas') {
-    return { ok: false, error: `delete-event not supported on provider '${provider}' (use Nylas, Unipile or Zoho)`, provider };
+    return { ok: false, error: `delete-event not supported on provider '${provider}' (use Nylas, Unipile, Zoho or Microsoft)`, provider };
   }
   const apiKey = process.env.NYLAS_API_KEY;
   const grantId = (coach && coach.nylasGrantId) || process.env.NYLAS_GRANT_ID;
@@ -386,7 +397,7 @@ async function deleteCalendarEvent(coach, eventId) {
 
   const u = new URL(`${apiUri}/v3/grants/${grantId}/events/${encodeURIComponent(eventId)}`);
   u.searchParams.set('calendar_id', calendarId);
-  u.searchParams.set('notify_participants', 'false');
+  u.searchParams.set('notify_participants', opts.notifyParticipants ? 'true' : 'false');
   let res;
   try {
     res = await fetch(u.toString(), { method: 'DELETE', headers: { Authorization: `Bearer ${apiKey}`, Accept: 'application/json' } });
@@ -911,9 +922,201 @@ async function deleteViaZoho(coach, eventId) {
   }
 }
 
+/* ---- Microsoft Graph (Outlook / Microsoft 365, direct — no Nylas grant needed) ----------------
+ * Creds + token refresh live in services/microsoftGraph.js (the mail seam shares them). Reads use
+ * calendarView (recurring series expanded to instances) with `Prefer: outlook.timezone="UTC"`, so
+ * timed start/end come back as UTC wall-clock strings without a zone suffix. Writes go to the ONE
+ * nominated calendar (coach.calendarWriteId; blank = the mailbox's default calendar). Graph sends
+ * the invite itself whenever an event has attendees — there is no silent-create switch, which is
+ * fine: the only silent events (offer HOLDs) have no attendees.
+ * VERIFY-LIVE: all-day events under the UTC Prefer header (assumed to keep their local-midnight
+ * dates) and the cancel-vs-delete behaviour on an event the coach doesn't organise. Dormant until a
+ * tenant has calendarProvider='microsoft'. */
+
+function msCalendarPath(calendarId) {
+  return calendarId ? `/me/calendars/${encodeURIComponent(calendarId)}` : '/me/calendar';
+}
+
+/** All calendars in the Microsoft mailbox (paginated). Throws on failure. */
+async function listMicrosoftCalendars(coach) {
+  const cals = [];
+  let next = '/me/calendars?$top=100&$select=id,name,isDefaultCalendar,canEdit';
+  for (let page = 0; next && page < 5; page++) {
+    const r = await graphRequest(coach, next);
+    if (!r.ok) throw new Error(`microsoft calendars HTTP ${r.status}: ${graphError(r)}`);
+    cals.push(...(r.json.value || []));
+    next = r.json['@odata.nextLink'] || null;
+  }
+  return cals;
+}
+
+// Graph dateTime ("2026-10-20T01:30:00.0000000", zone given separately) -> ISO. Reads ask for UTC.
+function msToISO(dt) {
+  if (!dt || !dt.dateTime) return null;
+  const s = String(dt.dateTime);
+  const zoned = /Z$|[+-]\d{2}:?\d{2}$/.test(s) ? s : `${s}Z`;
+  const d = new Date(zoned);
+  return isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+function mapMicrosoftStatus(s) {
+  const v = String(s || '').toLowerCase();
+  if (v === 'accepted' || v === 'organizer') return 'accepted';
+  if (v === 'declined') return 'declined';
+  if (v === 'tentativelyaccepted') return 'tentative';
+  return 'needsAction'; // none / notResponded / unknown
+}
+
+/** Map one Graph event into the Google-shaped event the filters expect. */
+function mapMicrosoftEvent(ev, selfEmail, tz) {
+  if (!ev || ev.isCancelled) return null;
+  let start;
+  let end;
+  let allDay = false;
+  if (ev.isAllDay) {
+    const span = allDaySpan(String((ev.start && ev.start.dateTime) || '').slice(0, 10), String((ev.end && ev.end.dateTime) || '').slice(0, 10) || null, tz);
+    if (!span) return null;
+    ({ start, end } = span);
+    allDay = true;
+  } else {
+    start = msToISO(ev.start);
+    end = msToISO(ev.end);
+    if (!start || !end) return null;
+  }
+
+  const orgEmail = String((ev.organizer && ev.organizer.emailAddress && ev.organizer.emailAddress.address) || '').toLowerCase();
+  // Graph knows whether the mailbox owner organised the event even when we don't know their address.
+  const self = selfEmail || (ev.isOrganizer ? orgEmail : '');
+  const attendees = (ev.attendees || []).map((a) => {
+    const addr = (a.emailAddress && a.emailAddress.address) || '';
+    const email = addr.toLowerCase();
+    return {
+      email: addr,
+      displayName: (a.emailAddress && a.emailAddress.name) || '',
+      self: !!self && email === self,
+      organizer: !!orgEmail && email === orgEmail,
+      responseStatus: mapMicrosoftStatus(a.status && a.status.response),
+    };
+  });
+  // Organizer isn't listed among attendees — synthesise the 'self' row (parity with the others).
+  if (self && !attendees.some((a) => a.self)) {
+    attendees.push({ email: self, displayName: '', self: true, organizer: orgEmail === self, responseStatus: 'accepted' });
+  }
+
+  const joinUrl = (ev.onlineMeeting && ev.onlineMeeting.joinUrl) || '';
+  return {
+    id: ev.id || null,
+    summary: ev.subject || '(No title)',
+    start,
+    end,
+    ...(allDay ? { allDay: true } : {}),
+    location: joinUrl || (ev.location && ev.location.displayName) || '',
+    description: (ev.body && ev.body.content) || ev.bodyPreview || '',
+    htmlLink: ev.webLink || '',
+    conferenceData: joinUrl ? { entryPoints: [{ entryPointType: 'video', uri: joinUrl }] } : null,
+    organizerEmail: orgEmail || '',
+    attendees,
+  };
+}
+
+async function getViaMicrosoft(coach, timeMin, timeMax) {
+  try {
+    const selfEmail = String(coach.googleCalendarEmail || coach.calendarEmail || '').toLowerCase();
+    const tz = coach.timezone || null;
+
+    // Read scope: default = the one write calendar; 'all' = every calendar the coach can edit
+    // (shared/subscribed read-only ones are FYI — list one explicitly to include it); explicit ids.
+    const readIds = parseReadIds(coach);
+    let ids;
+    if (readIds === 'all') {
+      ids = (await listMicrosoftCalendars(coach)).filter((c) => c.canEdit !== false).map((c) => c.id);
+      if (!ids.length) ids = [coach.calendarWriteId || null];
+    } else if (Array.isArray(readIds)) {
+      ids = readIds;
+    } else {
+      ids = [coach.calendarWriteId || null];
+    }
+
+    const events = [];
+    const range = `startDateTime=${encodeURIComponent(new Date(timeMin).toISOString())}&endDateTime=${encodeURIComponent(new Date(timeMax).toISOString())}`;
+    const select = 'id,subject,start,end,isAllDay,isCancelled,isOrganizer,location,body,bodyPreview,webLink,onlineMeeting,organizer,attendees';
+    for (const id of ids) {
+      let next = `${msCalendarPath(id)}/calendarView?${range}&$top=100&$select=${select}`;
+      for (let page = 0; next && page < 20; page++) {
+        const r = await graphRequest(coach, next, { headers: { Prefer: 'outlook.timezone="UTC", outlook.body-content-type="text"' } });
+        if (!r.ok) return { events: [], error: `microsoft HTTP ${r.status} (calendar ${id || 'default'}): ${graphError(r)}`, provider: 'microsoft' };
+        for (const ev of r.json.value || []) {
+          const m = mapMicrosoftEvent(ev, selfEmail, tz);
+          if (m) events.push(id ? { ...m, calendarId: id } : m);
+        }
+        next = r.json['@odata.nextLink'] || null;
+      }
+    }
+    return { events: ids.length > 1 ? dedupEvents(events) : events, error: null, provider: 'microsoft' };
+  } catch (e) {
+    return { events: [], error: `microsoft read failed: ${e.message}`, provider: 'microsoft' };
+  }
+}
+
+async function createViaMicrosoft(coach, details) {
+  try {
+    const start = new Date(details.startISO);
+    const end = new Date(details.endISO);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+      return { ok: false, error: 'invalid start/end time', provider: 'microsoft' };
+    }
+    // Graph wants a zone-less dateTime plus a timeZone name.
+    const utc = (d) => ({ dateTime: d.toISOString().replace(/Z$/, ''), timeZone: 'UTC' });
+    const body = {
+      subject: details.title || 'Meeting',
+      body: { contentType: 'text', content: details.description || '' },
+      start: utc(start),
+      end: utc(end),
+      attendees: (details.attendees || [])
+        .filter((a) => a && a.email)
+        .map((a) => ({ emailAddress: { address: String(a.email).trim(), name: a.name || '' }, type: 'required' })),
+    };
+    if (details.location) body.location = { displayName: String(details.location).slice(0, 255) };
+    // Outlook keeps ONE reminder per event — take the earliest requested.
+    if (details.reminders && Array.isArray(details.reminders.overrides) && details.reminders.overrides.length) {
+      body.isReminderOn = true;
+      body.reminderMinutesBeforeStart = Math.max(...details.reminders.overrides.map((r) => Number(r.reminder_minutes) || 0));
+    }
+    const r = await graphRequest(coach, `${msCalendarPath(coach.calendarWriteId)}/events`, { method: 'POST', body });
+    if (!r.ok) {
+      log.warn(`[calendarProvider] microsoft create HTTP ${r.status}: ${graphError(r)}`);
+      return { ok: false, error: `microsoft HTTP ${r.status}: ${graphError(r)}`, provider: 'microsoft' };
+    }
+    return { ok: true, eventId: r.json.id || null, htmlLink: r.json.webLink || '', provider: 'microsoft' };
+  } catch (e) {
+    return { ok: false, error: `microsoft create failed: ${e.message}`, provider: 'microsoft' };
+  }
+}
+
+async function deleteViaMicrosoft(coach, eventId, opts = {}) {
+  try {
+    if (!eventId) return { ok: false, error: 'eventId required', provider: 'microsoft' };
+    const path = `/me/events/${encodeURIComponent(eventId)}`;
+    // Cancelling (organizer only) is what emails attendees; a plain DELETE of a meeting may also
+    // notify, so it's used only when no one needs telling. Fall back to DELETE when cancel is refused
+    // (not the organizer / no attendees) so the event still goes.
+    if (opts.notifyParticipants) {
+      const c = await graphRequest(coach, `${path}/cancel`, { method: 'POST', body: { comment: '' } });
+      if (c.ok) return { ok: true, provider: 'microsoft' };
+      if (c.status !== 400) return { ok: false, error: `microsoft HTTP ${c.status}: ${graphError(c)}`, provider: 'microsoft' };
+    }
+    const r = await graphRequest(coach, path, { method: 'DELETE' });
+    if (!r.ok) return { ok: false, error: `microsoft HTTP ${r.status}: ${graphError(r)}`, provider: 'microsoft' };
+    return { ok: true, provider: 'microsoft' };
+  } catch (e) {
+    return { ok: false, error: `microsoft delete failed: ${e.message}`, provider: 'microsoft' };
+  }
+}
+
 module.exports = {
   getMeetingsInWindow, createCalendarEvent, deleteCalendarEvent, activeProvider, listCalendars,
   mapNylasEvent, mapNylasStatus, mapUnipileEvent, mapUnipileStatus, listUnipileCalendars,
   mapZohoEvent, mapZohoStatus, zohoToISO, isoToZoho, zohoHosts,
+  mapMicrosoftEvent, mapMicrosoftStatus, msToISO, listMicrosoftCalendars,
   parseReadIds, dedupEvents, allDaySpan, zohoDateOnly, googleAllDayNormalise,
 };
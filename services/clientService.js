@@ -231,6 +231,39 @@ async function getAllClients() {
                 const rescoreCreditsGranted = Number(record.get('Rescore Credits Granted')) || 0;
                 const rescoreCreditsConsumed = Number(record.get('Rescore Credits Consumed')) || 0;
                 const rescoreCreditsStart = record.get('Rescore Credits Start') || null;
+                // Scoring provider seam (services/scoringProvider.js): which model scores this
+                // client's leads (blank => env SCORING_PROVIDER => 'gemini', unchanged) and the
+                // comma-separated providers to fail over to when it errors.
+                const scoringProvider = record.get('Scoring Provider') || null;
+                const scoringProviderFallback = record.get('Scoring Provider Fallback') || null;
+                // Token budget overrides (services/costGovernanceService.js). Blank => DEFAULT_BUDGETS.
+                // Soft % is where batch work pauses; the hard limits stop every AI call.
+                const numOrNull = (v) => (v === undefined || v === null || v === '' ? null : Number(v));
+                const dailyTokenLimit = numOrNull(record.get('Daily Token Limit'));
+                const monthlyTokenLimit = numOrNull(record.get('Monthly Token Limit'));
+                const dailyCostLimit = numOrNull(record.get('Daily Cost Limit'));
+                const monthlyCostLimit = numOrNull(record.get('Monthly Cost Limit'));
+                const tokenBudgetSoftPct = numOrNull(record.get('Token Budget Soft Limit %'));
+                // Pinned scoring rubric (services/rubricVersionStore.js): score against this frozen
+                // snapshot instead of the live Scoring Attributes table. Blank => live.
+                const scoringRubricVersion = numOrNull(record.get('Scoring Rubric Version'));
+                // Stripe plan sync (services/billingEntitlementService.js): the customer this client
+                // bills under, the last subscription/payment state seen, and whether the plan
+                // includes transcript capture (blank = never synced).
+                const stripeCustomerId = record.get('Stripe Customer ID') || null;
+                const billingStatus = record.get('Billing Status') || null;
+                const transcriptCaptureRaw = record.get('Transcript Capture Enabled');
+                const transcriptCaptureEnabled = transcriptCaptureRaw ? transcriptCaptureRaw === 'Yes' : null;
+                // Plan's lead scoring entitlement: only an explicit 'No' stops batch scoring
+                const leadScoringRaw = record.get('Lead Scoring Enabled');
+                const leadScoringEnabled = leadScoringRaw ? leadScoringRaw === 'Yes' : null;
+                // Coach booking links (services/guestBookingMeetingTypes.js): JSON meeting types;
+                // blank => the built-in 30-minute intro.
+                const bookingMeetingTypes = record.get('Booking Meeting Types') || null;
+                // Coaches this client takes round-robin bookings with (Client IDs, comma or
+                // newline separated). A team link needs both coaches to list each other.
+                const bookingTeam = String(record.get('Booking Team') || '')
+                    .split(/[,\n]/).map(s => s.trim()).filter(Boolean);
 
                 clients.push({
                     id: record.id,
@@ -319,6 +352,25 @@ async function getAllClients() {
                     rescoreCreditsGranted,
                     rescoreCreditsConsumed,
                     rescoreCreditsStart,
+                    // Scoring provider seam (primary + failover chain)
+                    scoringProvider,
+                    scoringProviderFallback,
+                    // Token budget overrides (costGovernanceService)
+                    dailyTokenLimit,
+                    monthlyTokenLimit,
+                    dailyCostLimit,
+                    monthlyCostLimit,
+                    tokenBudgetSoftPct,
+                    // Pinned rubric version (null = live attributes)
+                    scoringRubricVersion,
+                    // Stripe plan sync (billingEntitlementService)
+                    stripeCustomerId,
+                    billingStatus,
+                    transcriptCaptureEnabled,
+                    leadScoringEnabled,
+                    // Booking link meeting types (raw JSON; parsed by guestBookingMeetingTypes)
+                    bookingMeetingTypes,
+                    bookingTeam,
                     // Store raw record for fire-and-forget field access
                     rawRecord: record
                 });
@@ -997,6 +1049,66 @@ async function debitRescoreCredits(clientId, n) {
     return await getRescoreCreditsStatus(clientId);
 }
 
+/**
+ * Refund N rescore credits (decrement Consumed, never below zero). The other half of the
+ * rescore job's reserve-then-settle: a job debits its whole scope up front and refunds the
+ * leads that never got scored (failed chunks, an interrupted job). Returns the fresh status.
+ * @param {string} clientId
+ * @param {number} n - credits (leads) to give back
+ * @returns {Promise<Object>}
+ */
+async function refundRescoreCredits(clientId, n) {
+    const amount = Math.max(0, Math.round(Number(n) || 0));
+    if (!amount) return await getRescoreCreditsStatus(clientId);
+    const base = initializeClientsBase();
+    const client = await getClientById(clientId);
+    if (!client) throw new Error(`Client ${clientId} not found for rescore credit refund`);
+    const newConsumed = Math.max(0, (Number(client.rescoreCreditsConsumed) || 0) - amount);
+    await base(MASTER_TABLES.CLIENTS).update(client.id, { 'Rescore Credits Consumed': newConsumed });
+    clearCache();
+    logger.info(`Rescore credits refunded for ${clientId}: -${amount} consumed (now ${newConsumed})`);
+    return await getRescoreCreditsStatus(clientId);
+}
+
+/**
+ * Pin a client's lead scoring to a rubric snapshot (or unpin with null → live Scoring
+ * Attributes). Writes Master Clients 'Scoring Rubric Version'; attributeLoader reads it through
+ * getClientById, so the cache is cleared here.
+ * @param {string} clientId
+ * @param {number|null} version
+ * @returns {Promise<number|null>} the pinned version
+ */
+async function setScoringRubricVersion(clientId, version) {
+    const base = initializeClientsBase();
+    const client = await getClientById(clientId);
+    if (!client) throw new Error(`Client ${clientId} not found for rubric pin`);
+    const value = (version === null || version === undefined) ? null : Number(version);
+    await base(MASTER_TABLES.CLIENTS).update(client.id, { 'Scoring Rubric Version': value });
+    clearCache();
+    logger.info(`Scoring rubric for ${clientId} ${value === null ? 'unpinned (live attributes)' : `pinned to v${value}`}`);
+    return value;
+}
+
+/**
+ * Write the plan-driven Master Clients fields (Lead Scoring Enabled, Service Level, Post Access /
+ * Wingguy / Rescore Enabled, Rescore Credits Granted, Transcript Capture Enabled, Stripe Customer
+ * ID, Billing Status) computed by services/billingEntitlementService.js. typecast so a new select option
+ * (a Billing Status Stripe adds later) doesn't reject the whole write.
+ * @param {string} clientId
+ * @param {Object} fields - Airtable field name -> value
+ * @returns {Promise<Object>} the fields written
+ */
+async function applyBillingEntitlements(clientId, fields) {
+    const base = initializeClientsBase();
+    const client = await getClientById(clientId);
+    if (!client) throw new Error(`Client ${clientId} not found for billing entitlements`);
+    if (!fields || !Object.keys(fields).length) return {};
+    await base(MASTER_TABLES.CLIENTS).update([{ id: client.id, fields }], { typecast: true });
+    clearCache();
+    logger.info(`Billing entitlements applied for ${clientId}: ${Object.keys(fields).join(', ')}`);
+    return fields;
+}
+
 /**
  * Get Airtable base connection for a specific client
  * @param {string} airtableBaseId - The Airtable Base ID for the client
@@ -1774,6 +1886,11 @@ module.exports = {
     computeRescoreAvailable,
     getRescoreCreditsStatus,
     debitRescoreCredits,
+    refundRescoreCredits,
+    // Rubric versions: pin a client to a snapshot
+    setScoringRubricVersion,
+    // Stripe plan sync: write entitlement fields
+    applyBillingEntitlements,
     // Floor system functions
     getClientFloorConfig,
     updateClientFloorConfig,
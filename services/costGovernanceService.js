@@ -1,7 +1,21 @@
 // services/costGovernanceService.js - Cost governance and token budgeting for multi-tenant scoring
+//
+// Usage is durable: every AI caller records into the Postgres ledger (services/tokenUsageLedger.js)
+// via recordAiUsage(), and budgets are read per client from Master Clients (blank = DEFAULT_BUDGETS).
+// Enforcement has two levels:
+//   soft - usage has reached SOFT_LIMIT_PCT of any daily/monthly limit. Batch work (scoring runs,
+//          post scoring, rescore, the Smart FUP sweep) pauses; interactive calls (chat, one lead)
+//          carry on so a coach mid-conversation isn't cut off.
+//   hard - the call would take usage over a limit. Nothing runs until the day/month rolls over or
+//          the limit is raised.
+// A paused run writes PAUSED_BUDGET to its Client Run Results Status plus a Progress Log line
+// (pauseClientRun). Nothing is blocked unless TOKEN_BUDGET_ENFORCEMENT=enforce: the default
+// (monitor) computes and logs the levels only, so turning budgets on is a deliberate step once the
+// per-client limits have been set.
 
-const airtable = require('../config/airtableClient');
 const { createLogger } = require('../utils/contextLogger');
+const ledger = require('./tokenUsageLedger');
+const { logCriticalError } = require('../utils/errorLogger');
 
 const logger = createLogger({ runId: 'SYSTEM', clientId: 'SYSTEM', operation: 'system' });
 
@@ -20,6 +34,19 @@ const GEMINI_LIMITS = {
     OUTPUT_COST_PER_1K_TOKENS: 0.0006,   // $0.6 per 1M tokens
 };
 
+// USD per 1K tokens by model-id prefix (first match wins). Unknown models fall back to the
+// GEMINI_LIMITS rates above, which is what calculateCost always used before.
+const MODEL_PRICING = [
+    { prefix: 'gemini-2.5-pro', input: 0.00125, output: 0.01 },
+    { prefix: 'gemini-2.5-flash', input: 0.0003, output: 0.0025 },
+    { prefix: 'gpt-4o-mini', input: 0.00015, output: 0.0006 },
+    { prefix: 'gpt-4o', input: 0.0025, output: 0.01 },
+    { prefix: 'claude-opus', input: 0.005, output: 0.025 },
+    { prefix: 'claude-sonnet', input: 0.003, output: 0.015 },
+    { prefix: 'claude-haiku', input: 0.001, output: 0.005 },
+    { prefix: 'fixture', input: 0, output: 0 },
+];
+
 // Client budget defaults (can be overridden per client)
 const DEFAULT_BUDGETS = {
     DAILY_TOKEN_LIMIT: 500000,       // 500K tokens per day per client
@@ -28,8 +55,21 @@ const DEFAULT_BUDGETS = {
     MONTHLY_COST_LIMIT: 4000,        // $4000 per month per client
     MAX_BATCH_SIZE: 10,              // Max leads per batch
     MAX_PROMPT_TOKENS: 100000,       // Max tokens in a single prompt
+    SOFT_LIMIT_PCT: 80,              // % of any limit at which batch work pauses
+};
+
+// Feature keys recorded in the ledger (the /api/token-usage breakdown groups on these).
+const FEATURES = {
+    LEAD_SCORING: 'lead_scoring',
+    POST_SCORING: 'post_scoring',
+    RESCORE: 'rescore',
+    SMART_FOLLOWUP: 'smart_followup',
+    MEETING_SUMMARY: 'meeting_summary',
+    WINGGUY_CHAT: 'wingguy_chat',
 };
 
+const enforcementMode = () => ((process.env.TOKEN_BUDGET_ENFORCEMENT || '').trim().toLowerCase() === 'enforce' ? 'enforce' : 'monitor');
+
 /* ============================================================================
    UTILITY FUNCTIONS
 ============================================================================ */
@@ -40,11 +80,14 @@ function estimateTokens(text) {
     return Math.ceil(text.length / 4);
 }
 
-// Calculate cost from token usage
-function calculateCost(inputTokens, outputTokens) {
-    const inputCost = (inputTokens / 1000) * GEMINI_LIMITS.INPUT_COST_PER_1K_TOKENS;
-    const outputCost = (outputTokens / 1000) * GEMINI_LIMITS.OUTPUT_COST_PER_1K_TOKENS;
-    return inputCost + outputCost;
+// Calculate cost from token usage (model optional: priced from MODEL_PRICING when known)
+function calculateCost(inputTokens, outputTokens, model = null) {
+    const id = String(model || '').toLowerCase();
+    const price = (id && MODEL_PRICING.find(p => id.startsWith(p.prefix))) || {
+        input: GEMINI_LIMITS.INPUT_COST_PER_1K_TOKENS,
+        output: GEMINI_LIMITS.OUTPUT_COST_PER_1K_TOKENS
+    };
+    return (inputTokens / 1000) * price.input + (outputTokens / 1000) * price.output;
 }
 
 // Get date keys for tracking
@@ -60,120 +103,86 @@ function getDateKeys() {
 ============================================================================ */
 
 class CostGovernanceService {
-    constructor() {
-        this.usageCache = new Map(); // Cache for recent usage data
-        this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
-    }
-
     /**
-     * Get client-specific budgets from Airtable
+     * Client budgets: Master Clients overrides ('Daily Token Limit', 'Monthly Token Limit',
+     * 'Daily Cost Limit', 'Monthly Cost Limit', 'Token Budget Soft Limit %') over DEFAULT_BUDGETS.
      */
     async getClientBudgets(clientId) {
+        const budgets = { ...DEFAULT_BUDGETS };
         try {
-            const clientBase = airtable.getClientBase(clientId);
-            if (!clientBase) {
-                logger.warn(`costGovernanceService: No base found for client ${clientId}, using defaults`);
-                return DEFAULT_BUDGETS;
-            }
-
-            // Try to get custom budgets from a "Client Settings" table
-            try {
-                const settingsRecords = await clientBase("Client Settings")
-                    .select({ maxRecords: 1 })
-                    .firstPage();
-                
-                if (settingsRecords.length > 0) {
-                    const settings = settingsRecords[0];
-                    return {
-                        DAILY_TOKEN_LIMIT: settings.get("Daily Token Limit") || DEFAULT_BUDGETS.DAILY_TOKEN_LIMIT,
-                        MONTHLY_TOKEN_LIMIT: settings.get("Monthly Token Limit") || DEFAULT_BUDGETS.MONTHLY_TOKEN_LIMIT,
-                        DAILY_COST_LIMIT: settings.get("Daily Cost Limit") || DEFAULT_BUDGETS.DAILY_COST_LIMIT,
-                        MONTHLY_COST_LIMIT: settings.get("Monthly Cost Limit") || DEFAULT_BUDGETS.MONTHLY_COST_LIMIT,
-                        MAX_BATCH_SIZE: settings.get("Max Batch Size") || DEFAULT_BUDGETS.MAX_BATCH_SIZE,
-                        MAX_PROMPT_TOKENS: settings.get("Max Prompt Tokens") || DEFAULT_BUDGETS.MAX_PROMPT_TOKENS,
-                    };
-                }
-            } catch (settingsError) {
-                logger.info(`costGovernanceService: No Client Settings table for ${clientId}, using defaults`);
-    logCriticalError(settingsError, { operation: 'unknown', isSearch: true }).catch(() => {});
-            }
-
-            return DEFAULT_BUDGETS;
+            // Lazy: clientService pulls in Airtable, and this module is required very early.
+            const clientService = require('./clientService');
+            const client = await clientService.getClientById(clientId);
+            if (!client) return budgets;
+            const positive = (v) => (typeof v === 'number' && Number.isFinite(v) && v > 0 ? v : null);
+            budgets.DAILY_TOKEN_LIMIT = positive(client.dailyTokenLimit) || budgets.DAILY_TOKEN_LIMIT;
+            budgets.MONTHLY_TOKEN_LIMIT = positive(client.monthlyTokenLimit) || budgets.MONTHLY_TOKEN_LIMIT;
+            budgets.DAILY_COST_LIMIT = positive(client.dailyCostLimit) || budgets.DAILY_COST_LIMIT;
+            budgets.MONTHLY_COST_LIMIT = positive(client.monthlyCostLimit) || budgets.MONTHLY_COST_LIMIT;
+            const soft = positive(client.tokenBudgetSoftPct);
+            if (soft && soft <= 100) budgets.SOFT_LIMIT_PCT = soft;
         } catch (error) {
-            logger.error(`costGovernanceService: Error loading budgets for ${clientId}:`, error.message);
-    logCriticalError(error, { operation: 'unknown', isSearch: true }).catch(() => {});
-            return DEFAULT_BUDGETS;
+            logger.error(`costGovernanceService: Error loading budgets for ${clientId}, using defaults:`, error.message);
         }
+        return budgets;
     }
 
     /**
-     * Get current usage for a client (daily and monthly)
+     * Get current usage for a client (daily and monthly), straight from the ledger
      */
     async getClientUsage(clientId) {
-        const { today, thisMonth } = getDateKeys();
-        const cacheKey = `${clientId}-${today}-${thisMonth}`;
-
-        // Check cache first
-        if (this.usageCache.has(cacheKey)) {
-            const cached = this.usageCache.get(cacheKey);
-            if (Date.now() - cached.timestamp < this.cacheTimeout) {
-                return cached.data;
-            }
-        }
-
         try {
-            const clientBase = airtable.getClientBase(clientId);
-            if (!clientBase) {
-                return { dailyTokens: 0, monthlyTokens: 0, dailyCost: 0, monthlyCost: 0 };
-            }
-
-            // Try to get usage from a "Usage Tracking" table
-            let dailyTokens = 0, monthlyTokens = 0, dailyCost = 0, monthlyCost = 0;
-
-            try {
-                const usageRecords = await clientBase("Usage Tracking")
-                    .select({
-                        filterByFormula: `OR({Date} = "${today}", LEFT({Date}, 7) = "${thisMonth}")`,
-                        fields: ["Date", "Input Tokens", "Output Tokens", "Cost"]
-                    })
-                    .all();
-
-                for (const record of usageRecords) {
-                    const recordDate = record.get("Date");
-                    const inputTokens = record.get("Input Tokens") || 0;
-                    const outputTokens = record.get("Output Tokens") || 0;
-                    const cost = record.get("Cost") || 0;
-
-                    if (recordDate === today) {
-                        dailyTokens += inputTokens + outputTokens;
-                        dailyCost += cost;
-                    }
-                    if (recordDate && recordDate.startsWith(thisMonth)) {
-                        monthlyTokens += inputTokens + outputTokens;
-                        monthlyCost += cost;
-                    }
-                }
-            } catch (usageError) {
-                logger.info(`costGovernanceService: No Usage Tracking table for ${clientId}`);
-    logCriticalError(usageError, { operation: 'unknown', isSearch: true }).catch(() => {});
-            }
-
-            const usage = { dailyTokens, monthlyTokens, dailyCost, monthlyCost };
-            
-            // Cache the result
-            this.usageCache.set(cacheKey, {
-                data: usage,
-                timestamp: Date.now()
-            });
-
-            return usage;
+            return await ledger.getUsageTotals(clientId, getDateKeys());
         } catch (error) {
             logger.error(`costGovernanceService: Error loading usage for ${clientId}:`, error.message);
-    logCriticalError(error, { operation: 'unknown' }).catch(() => {});
+            await logCriticalError(error, { operation: 'cost_governance', clientId }).catch(() => {});
             return { dailyTokens: 0, monthlyTokens: 0, dailyCost: 0, monthlyCost: 0 };
         }
     }
 
+    /**
+     * Budget gate for the next AI call / chunk.
+     * @param {string} clientId
+     * @param {Object} [opts]
+     * @param {number} [opts.estimatedTokens=0] - tokens the next call is expected to use
+     * @param {boolean} [opts.interactive=false] - a person is waiting (chat, single lead): only the hard limit applies
+     * @returns {Promise<{allowed:boolean, level:'ok'|'soft'|'hard', code:string|null, reason:string|null, mode:string, usage:Object, budgets:Object}>}
+     */
+    async checkBudget(clientId, { estimatedTokens = 0, interactive = false } = {}) {
+        const budgets = await this.getClientBudgets(clientId);
+        const usage = await this.getClientUsage(clientId);
+        const mode = enforcementMode();
+        const est = Math.max(0, Number(estimatedTokens) || 0);
+
+        const limits = [
+            { code: 'DAILY_TOKEN_LIMIT', label: 'Daily token', used: usage.dailyTokens, add: est, limit: budgets.DAILY_TOKEN_LIMIT, fmt: v => Math.round(v).toLocaleString() },
+            { code: 'MONTHLY_TOKEN_LIMIT', label: 'Monthly token', used: usage.monthlyTokens, add: est, limit: budgets.MONTHLY_TOKEN_LIMIT, fmt: v => Math.round(v).toLocaleString() },
+            { code: 'DAILY_COST_LIMIT', label: 'Daily cost', used: usage.dailyCost, add: calculateCost(est, 0), limit: budgets.DAILY_COST_LIMIT, fmt: v => `$${v.toFixed(2)}` },
+            { code: 'MONTHLY_COST_LIMIT', label: 'Monthly cost', used: usage.monthlyCost, add: calculateCost(est, 0), limit: budgets.MONTHLY_COST_LIMIT, fmt: v => `$${v.toFixed(2)}` },
+        ];
+
+        let level = 'ok', code = null, reason = null;
+        const hard = limits.find(l => l.used + l.add > l.limit);
+        if (hard) {
+            level = 'hard';
+            code = hard.code;
+            reason = `${hard.label} limit reached: ${hard.fmt(hard.used)} used of ${hard.fmt(hard.limit)}`;
+        } else {
+            const soft = limits.find(l => l.used >= l.limit * budgets.SOFT_LIMIT_PCT / 100);
+            if (soft) {
+                level = 'soft';
+                code = soft.code.replace('_LIMIT', '_SOFT_LIMIT');
+                reason = `${soft.label} soft limit (${budgets.SOFT_LIMIT_PCT}%) reached: ${soft.fmt(soft.used)} used of ${soft.fmt(soft.limit)}`;
+            }
+        }
+
+        const blocked = level === 'hard' || (level === 'soft' && !interactive);
+        if (blocked && mode === 'monitor') {
+            logger.warn(`costGovernanceService: [monitor] ${clientId} would be paused - ${reason}`);
+        }
+        return { allowed: !blocked || mode === 'monitor', level, code, reason, mode, usage, budgets };
+    }
+
     /**
      * Pre-flight validation before batch scoring
      */
@@ -287,47 +296,104 @@ class CostGovernanceService {
     }
 
     /**
-     * Record usage after a successful API call
+     * Record usage after a successful API call (legacy signature; prefer recordAiUsage)
      */
-    async recordUsage(clientId, inputTokens, outputTokens, actualCost = null) {
-        const { today } = getDateKeys();
-        
-        try {
-            const clientBase = airtable.getClientBase(clientId);
-            if (!clientBase) {
-                logger.warn(`costGovernanceService: Cannot record usage for ${clientId} - no base`);
-                return;
-            }
-
-            const cost = actualCost || calculateCost(inputTokens, outputTokens);
-
-            // Try to create/update usage record
-            try {
-                await clientBase("Usage Tracking").create({
-                    "Date": today,
-                    "Input Tokens": inputTokens,
-                    "Output Tokens": outputTokens,
-                    "Cost": cost,
-                    "Timestamp": new Date().toISOString()
-                });
-
-                logger.info(`costGovernanceService: Recorded usage for ${clientId}: ${inputTokens}+${outputTokens} tokens, $${cost.toFixed(4)}`);
-
-                // Clear cache for this client
-                const cacheKeys = Array.from(this.usageCache.keys()).filter(key => key.startsWith(clientId));
-                cacheKeys.forEach(key => this.usageCache.delete(key));
+    async recordUsage(clientId, inputTokens, outputTokens, actualCost = null, meta = {}) {
+        return this.recordAiUsage({ clientId, inputTokens, outputTokens, costUsd: actualCost, ...meta });
+    }
 
-            } catch (trackingError) {
-                logger.warn(`costGovernanceService: Could not record usage for ${clientId}:`, trackingError.message);
-    logCriticalError(trackingError, { operation: 'unknown' }).catch(() => {});
-            }
+    /**
+     * Append one AI call to the client's usage ledger. Never throws: losing one ledger row must not
+     * fail the scoring/chat call that already happened (logged instead).
+     * @param {Object} evt
+     * @param {string} evt.clientId
+     * @param {string} evt.feature - one of FEATURES
+     * @param {string} [evt.provider] - gemini | openai | anthropic | fixture
+     * @param {string} [evt.model]
+     * @param {number} evt.inputTokens
+     * @param {number} evt.outputTokens
+     * @param {number} [evt.totalTokens] - when the provider reports more than input+output (thinking)
+     * @param {number} [evt.costUsd] - override; otherwise priced from the model
+     * @param {string} [evt.runId]
+     */
+    async recordAiUsage({ clientId, feature = 'unspecified', provider = null, model = null, inputTokens = 0, outputTokens = 0, totalTokens = null, costUsd = null, runId = null }) {
+        if (!clientId) return null;
+        try {
+            const cost = (typeof costUsd === 'number') ? costUsd : calculateCost(Number(inputTokens) || 0, Number(outputTokens) || 0, model);
+            const evt = await ledger.recordUsageEvent({ clientId, feature, provider, model, inputTokens, outputTokens, totalTokens, costUsd: cost, runId });
+            logger.debug(`costGovernanceService: ${clientId} ${feature} ${model || provider || '?'}: ${evt.totalTokens} tokens, $${cost.toFixed(4)}`);
+            return evt;
+        } catch (error) {
+            logger.warn(`costGovernanceService: Could not record usage for ${clientId} (${feature}):`, error.message);
+            return null;
+        }
+    }
 
+    /**
+     * Stop a client's run for budget reasons and say so on its Client Run Results record:
+     * Status = PAUSED_BUDGET, System Notes = reason, plus a Progress Log line. Best-effort (a run
+     * without a record, e.g. standalone, just logs).
+     */
+    async pauseClientRun({ runId, clientId, feature, check, isStandalone = false }) {
+        const reason = (check && check.reason) || 'Token budget reached';
+        logger.warn(`costGovernanceService: pausing ${feature} for ${clientId} (run ${runId || '-'}): ${reason}`);
+        if (!runId || isStandalone) return;
+        const { CLIENT_RUN_FIELDS, CLIENT_RUN_STATUS_VALUES } = require('../constants/airtableUnifiedConstants');
+        const { appendToProgressLog, getAESTTime } = require('./jobTracking');
+        const runRecordService = require('./runRecordAdapterSimple');
+        try {
+            await appendToProgressLog(runId, clientId, `[${getAESTTime()}] ⏸️ ${feature}: Paused - ${reason}`);
+        } catch (error) {
+            logger.warn(`costGovernanceService: could not append pause to Progress Log for ${clientId}: ${error.message}`);
+        }
+        try {
+            await runRecordService.updateRunRecord({
+                runId,
+                clientId,
+                updates: {
+                    [CLIENT_RUN_FIELDS.STATUS]: CLIENT_RUN_STATUS_VALUES.PAUSED_BUDGET,
+                    [CLIENT_RUN_FIELDS.SYSTEM_NOTES]: `${feature} paused: ${reason}`
+                },
+                options: { source: 'costGovernanceService_pause' }
+            });
         } catch (error) {
-            logger.error(`costGovernanceService: Error recording usage for ${clientId}:`, error.message);
-    logCriticalError(error, { operation: 'unknown' }).catch(() => {});
+            logger.warn(`costGovernanceService: could not mark run ${runId} paused for ${clientId}: ${error.message}`);
         }
     }
 
+    /**
+     * Ledger breakdown for /api/token-usage: totals plus rows by feature × model.
+     * @param {string} clientId
+     * @param {'day'|'month'} [period='month'] - today, or the current month to date
+     */
+    async getUsageBreakdown(clientId, period = 'month') {
+        const { today, thisMonth } = getDateKeys();
+        const from = period === 'day' ? today : `${thisMonth}-01`;
+        const rows = await ledger.getUsageBreakdown(clientId, { from, to: today });
+        const sum = (key, keyFn) => {
+            const m = new Map();
+            for (const r of rows) {
+                const k = keyFn(r);
+                const g = m.get(k) || { [key]: k, calls: 0, totalTokens: 0, costUsd: 0 };
+                g.calls += r.calls;
+                g.totalTokens += r.totalTokens;
+                g.costUsd += r.costUsd;
+                m.set(k, g);
+            }
+            return [...m.values()].sort((a, b) => b.totalTokens - a.totalTokens);
+        };
+        return {
+            period,
+            from,
+            to: today,
+            totalTokens: rows.reduce((n, r) => n + r.totalTokens, 0),
+            totalCostUsd: rows.reduce((n, r) => n + r.costUsd, 0),
+            byFeature: sum('feature', r => r.feature),
+            byModel: sum('model', r => r.model || r.provider || 'unknown'),
+            rows
+        };
+    }
+
     /**
      * Get governance summary for a client
      */
@@ -364,7 +430,9 @@ const costGovernanceService = new CostGovernanceService();
 module.exports = {
     costGovernanceService,
     GEMINI_LIMITS,
+    MODEL_PRICING,
     DEFAULT_BUDGETS,
+    FEATURES,
     estimateTokens,
     calculateCost,
     getDateKeys
@@ -0,0 +1,155 @@
+// services/emailAttachmentService.js
+// Attachments on BCC-to-CRM / notetaker emails: store the files, extract text for search, and
+// link them to the leads the email updated.
+//
+// routes/inboundEmailRoutes.js calls saveIncoming() with multer's req.files once the webhook is
+// accepted; the descriptors it returns ride along into processInboundEmail (options.attachments),
+// which lists them in the Notes entry and links them to each updated lead. Files are stored
+// against the audit row (inbound_emails.id), so a replay links the same files without needing
+// the original upload.
+//
+// Like the audit log, attachments never break the webhook: a file that can't be stored is
+// logged and skipped.
+
+const crypto = require('crypto');
+const { createLogger } = require('../utils/contextLogger');
+const { extractAttachmentText } = require('../utils/attachmentText');
+const storage = require('./attachmentStorage');
+const store = require('./emailAttachmentStore');
+
+const logger = createLogger({
+    runId: 'INBOUND-EMAIL',
+    clientId: 'SYSTEM',
+    operation: 'email-attachments'
+});
+
+/** Filename safe for a storage key (keeps the extension, drops paths and odd characters). */
+function safeFilename(name) {
+    const base = String(name || 'attachment').split(/[\\/]/).pop();
+    return base.replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^[._]+/, '').slice(-120) || 'attachment';
+}
+
+/**
+ * Mailgun's content-id-map ({"<cid>": "attachment-2"}) names the parts that are inline images
+ * in the HTML body (signature logos, social icons) rather than attached files.
+ */
+function inlineFieldNames(contentIdMap) {
+    if (!contentIdMap) return new Set();
+    try {
+        const map = typeof contentIdMap === 'string' ? JSON.parse(contentIdMap) : contentIdMap;
+        return new Set(Object.values(map || {}));
+    } catch (e) {
+        return new Set();
+    }
+}
+
+/** Descriptor passed through processing (no text, no storage details). */
+function toDescriptor(a) {
+    return { attachmentId: a.id, filename: a.filename, contentType: a.contentType, size: a.size, textStatus: a.textStatus };
+}
+
+/**
+ * Store the attached files of an inbound email
+ * @param {Array} files - multer req.files ({ fieldname, originalname, mimetype, size, buffer })
+ * @param {Object} [options]
+ * @param {number|null} [options.auditId] - inbound_emails.id
+ * @param {string|Object} [options.contentIdMap] - Mailgun's content-id-map field (inline parts are skipped)
+ * @returns {Promise<Array<{attachmentId, filename, contentType, size, textStatus}>>}
+ */
+async function saveIncoming(files, { auditId = null, contentIdMap = null } = {}) {
+    const inline = inlineFieldNames(contentIdMap);
+    const saved = [];
+    for (const file of files || []) {
+        if (!file || !file.buffer || inline.has(file.fieldname)) continue;
+        const filename = file.originalname || file.fieldname || 'attachment';
+        try {
+            const sha256 = crypto.createHash('sha256').update(file.buffer).digest('hex');
+            const month = new Date().toISOString().slice(0, 7).replace('-', '/');
+            const key = `inbound/${month}/${sha256.slice(0, 16)}/${safeFilename(filename)}`;
+            const { provider } = await storage.putObject(key, file.buffer, file.mimetype);
+            const extracted = extractAttachmentText(file.buffer, { filename, contentType: file.mimetype });
+            if (extracted.status === 'failed') logger.warn(`Text extraction failed for ${filename}: ${extracted.error}`);
+
+            const attachment = await store.recordAttachment({
+                auditId,
+                filename,
+                contentType: file.mimetype || null,
+                size: file.size || file.buffer.length,
+                sha256,
+                storageProvider: provider,
+                storageKey: key,
+                textStatus: extracted.status,
+                textContent: extracted.text
+            });
+            logger.info(`📎 Stored ${filename} (${attachment.size} bytes, text: ${extracted.status})`);
+            saved.push(toDescriptor(attachment));
+        } catch (error) {
+            logger.error(`Could not store attachment ${filename}: ${error.message}`);
+        }
+    }
+    return saved;
+}
+
+/** Attachments already stored for an inbound email (replays). Never throws. */
+async function forAudit(auditId) {
+    try {
+        return (await store.listForAudit(auditId)).map(toDescriptor);
+    } catch (error) {
+        logger.error(`Could not load attachments for inbound email #${auditId}: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Link stored attachments to the leads an email updated. Never throws.
+ * @param {Array} attachments - descriptors from saveIncoming / forAudit
+ * @param {Object} params - { clientId, leadIds, source }
+ * @returns {Promise<number>} links created (0 when they already existed)
+ */
+async function linkToLeads(attachments, { clientId, leadIds = [], source = null }) {
+    let linked = 0;
+    if (!attachments || !attachments.length || !clientId) return linked;
+    for (const leadId of new Set(leadIds.filter(Boolean))) {
+        for (const a of attachments) {
+            try {
+                if (await store.linkToLead({ attachmentId: a.attachmentId, clientId, leadId, source })) linked++;
+            } catch (error) {
+                logger.error(`Could not link ${a.filename} to lead ${leadId}: ${error.message}`);
+            }
+        }
+    }
+    if (linked) logger.info(`📎 Linked ${linked} attachment(s) for ${clientId}`);
+    return linked;
+}
+
+/**
+ * One-line Notes mention of the attachments, e.g. "📎 Attachments: proposal.pdf (120 KB), terms.docx (34 KB)"
+ * @returns {string} '' when there are none
+ */
+function formatAttachmentLine(attachments) {
+    if (!attachments || !attachments.length) return '';
+    const size = (n) => (n >= 1024 * 1024 ? `${(n / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(n / 1024))} KB`);
+    return `📎 Attachments: ${attachments.map(a => `${a.filename} (${size(a.size || 0)})`).join(', ')}`;
+}
+
+/**
+ * An attachment's bytes, only if it's linked to one of this client's leads
+ * @returns {Promise<{attachment: Object, content: Buffer}|null>}
+ */
+async function download(clientId, id) {
+    const attachment = await store.getAttachmentForClient(clientId, id);
+    if (!attachment) return null;
+    const content = await storage.getObject(attachment.storage);
+    return { attachment, content };
+}
+
+module.exports = {
+    saveIncoming,
+    forAudit,
+    linkToLeads,
+    formatAttachmentLine,
+    download,
+    listForLead: (clientId, leadId) => store.listForLead(clientId, leadId),
+    search: (clientId, opts) => store.searchAttachments(clientId, opts),
+    getAttachment: (clientId, id) => store.getAttachmentForClient(clientId, id)
+};
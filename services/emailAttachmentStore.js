@@ -0,0 +1,294 @@
+/**
+ * Email attachment store — files that arrived on BCC-to-CRM / notetaker emails, and which leads
+ * they belong to.
+ *
+ * The bytes live in services/attachmentStorage.js (local disk or an S3-compatible bucket); a row
+ * here is the metadata, where the bytes are, and the text pulled out of them for search
+ * (utils/attachmentText.js). An attachment is stored once per inbound email (audit_id =
+ * inbound_emails.id, so a replay finds the same files) and linked to every lead that email
+ * updated — linking is idempotent, so replaying an email doesn't list a file twice.
+ *
+ * Tables (same Postgres as the other stores):
+ *   email_attachments — one row per stored file
+ *   lead_attachments  — (attachment, client, lead) links
+ *
+ * No DATABASE_URL => in-process arrays (works locally, lost on restart).
+ *
+ * House style: rescoreJobStore.js (lazy Pool, ensureSchema CREATE-IF-NOT-EXISTS, no migrations).
+ */
+
+const { Pool } = require('pg');
+
+let pool;
+let schemaEnsured = false;
+
+const PREVIEW_CHARS = 300;
+const SNIPPET_RADIUS = 80;
+
+function getPool() {
+  if (pool) return pool;
+  const url = (process.env.DATABASE_URL || '').trim();
+  if (!url) return null;
+  pool = new Pool({ connectionString: url, ssl: { rejectUnauthorized: false } });
+  return pool;
+}
+
+// In-process fallback (no DATABASE_URL). Rows use the same snake_case shape as the SQL path so
+// rowToAttachment() is the one mapper either way.
+const memory = { attachments: [], links: [], nextId: 1 };
+
+/** Test seam: inject a fake pool (unit tests never touch a real database). */
+function __setTestPool(fake) {
+  pool = fake;
+  schemaEnsured = fake ? true : false;
+  memory.attachments = [];
+  memory.links = [];
+  memory.nextId = 1;
+}
+
+async function ensureSchema(client) {
+  if (schemaEnsured) return;
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS email_attachments (
+      id               BIGSERIAL PRIMARY KEY,
+      audit_id         BIGINT,                   -- inbound_emails.id of the email it came on
+      filename         TEXT NOT NULL,
+      content_type     TEXT,
+      size             INT NOT NULL DEFAULT 0,
+      sha256           TEXT NOT NULL,
+      storage_provider TEXT NOT NULL,            -- local | s3 (whatever it was written with)
+      storage_key      TEXT NOT NULL,
+      text_status      TEXT NOT NULL,            -- extracted | empty | unreadable | unsupported | failed
+      text_content     TEXT,
+      created_at       TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_email_attachments_audit ON email_attachments (audit_id);`);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS lead_attachments (
+      attachment_id BIGINT NOT NULL REFERENCES email_attachments(id),
+      client_id     TEXT NOT NULL,
+      lead_id       TEXT NOT NULL,
+      source        TEXT,                        -- bcc | forward | notetaker
+      linked_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+      PRIMARY KEY (attachment_id, client_id, lead_id)
+    );
+  `);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_lead_attachments_lead ON lead_attachments (client_id, lead_id, linked_at DESC);`);
+  schemaEnsured = true;
+}
+
+async function withClient(fn) {
+  const client = await getPool().connect();
+  try {
+    await ensureSchema(client);
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+}
+
+const iso = (v) => (v ? new Date(v).toISOString() : null);
+
+// Text around the first hit, for search results
+function snippetFor(text, q) {
+  if (!text || !q) return null;
+  const at = text.toLowerCase().indexOf(q.toLowerCase());
+  if (at === -1) return null;
+  const start = Math.max(0, at - SNIPPET_RADIUS);
+  const end = Math.min(text.length, at + q.length + SNIPPET_RADIUS);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ')}${end < text.length ? '…' : ''}`;
+}
+
+function rowToAttachment(r, { withText = false, q = null } = {}) {
+  if (!r) return null;
+  const text = r.text_content || null;
+  const out = {
+    id: Number(r.id),
+    auditId: r.audit_id ? Number(r.audit_id) : null,
+    filename: r.filename,
+    contentType: r.content_type || null,
+    size: Number(r.size) || 0,
+    sha256: r.sha256,
+    storage: { provider: r.storage_provider, key: r.storage_key },
+    textStatus: r.text_status,
+    textPreview: text ? text.slice(0, PREVIEW_CHARS) : null,
+    createdAt: iso(r.created_at),
+  };
+  if (r.lead_id) {
+    out.leadId = r.lead_id;
+    out.source = r.source || null;
+    out.linkedAt = iso(r.linked_at);
+  }
+  if (q) out.snippet = snippetFor(text, q);
+  if (withText) out.text = text;
+  return out;
+}
+
+/**
+ * Record a stored file.
+ * @param {Object} params - { auditId, filename, contentType, size, sha256, storageProvider, storageKey, textStatus, textContent }
+ * @returns {Promise<Object>} the attachment
+ */
+async function recordAttachment(params) {
+  if (!params || !params.filename || !params.sha256 || !params.storageKey) {
+    throw new Error('recordAttachment: filename, sha256 and storageKey are required');
+  }
+  const row = {
+    audit_id: params.auditId || null,
+    filename: params.filename,
+    content_type: params.contentType || null,
+    size: params.size || 0,
+    sha256: params.sha256,
+    storage_provider: params.storageProvider,
+    storage_key: params.storageKey,
+    text_status: params.textStatus || 'unsupported',
+    text_content: params.textContent || null,
+    created_at: new Date(),
+  };
+
+  if (!getPool()) {
+    const stored = { id: memory.nextId++, ...row };
+    memory.attachments.push(stored);
+    return rowToAttachment(stored);
+  }
+  return withClient(async (c) => {
+    const { rows } = await c.query(
+      `INSERT INTO email_attachments
+         (audit_id, filename, content_type, size, sha256, storage_provider, storage_key, text_status, text_content)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+       RETURNING *`,
+      [row.audit_id, row.filename, row.content_type, row.size, row.sha256, row.storage_provider,
+        row.storage_key, row.text_status, row.text_content]
+    );
+    return rowToAttachment(rows[0]);
+  });
+}
+
+/** Attachments stored for one inbound email (oldest first). */
+async function listForAudit(auditId) {
+  if (!auditId) return [];
+  if (!getPool()) {
+    return memory.attachments.filter((a) => a.audit_id === Number(auditId)).map((a) => rowToAttachment(a));
+  }
+  return withClient(async (c) => {
+    const { rows } = await c.query(`SELECT * FROM email_attachments WHERE audit_id = $1 ORDER BY id`, [auditId]);
+    return rows.map((r) => rowToAttachment(r));
+  });
+}
+
+/**
+ * Link an attachment to a lead. Idempotent.
+ * @returns {Promise<boolean>} true when the link is new
+ */
+async function linkToLead({ attachmentId, clientId, leadId, source = null }) {
+  if (!attachmentId || !clientId || !leadId) throw new Error('linkToLead: attachmentId, clientId and leadId are required');
+  if (!getPool()) {
+    const exists = memory.links.some((l) => l.attachment_id === Number(attachmentId) && l.client_id === clientId && l.lead_id === leadId);
+    if (exists) return false;
+    memory.links.push({ attachment_id: Number(attachmentId), client_id: clientId, lead_id: leadId, source, linked_at: new Date() });
+    return true;
+  }
+  return withClient(async (c) => {
+    const { rowCount } = await c.query(
+      `INSERT INTO lead_attachments (attachment_id, client_id, lead_id, source)
+       VALUES ($1,$2,$3,$4)
+       ON CONFLICT DO NOTHING`,
+      [attachmentId, clientId, leadId, source]
+    );
+    return rowCount > 0;
+  });
+}
+
+// Memory-mode join of links onto attachments, newest link first
+function memoryLinked(clientId, predicate = () => true) {
+  return memory.links
+    .filter((l) => l.client_id === clientId)
+    .map((l) => ({ ...memory.attachments.find((a) => a.id === l.attachment_id), ...l }))
+    .filter(predicate)
+    .sort((a, b) => b.linked_at - a.linked_at || b.id - a.id);
+}
+
+/** A lead's attachments, newest first (text preview only). */
+async function listForLead(clientId, leadId) {
+  if (!getPool()) {
+    return memoryLinked(clientId, (r) => r.lead_id === leadId).map((r) => rowToAttachment(r));
+  }
+  return withClient(async (c) => {
+    const { rows } = await c.query(
+      `SELECT a.*, l.lead_id, l.source, l.linked_at
+         FROM lead_attachments l JOIN email_attachments a ON a.id = l.attachment_id
+        WHERE l.client_id = $1 AND l.lead_id = $2
+        ORDER BY l.linked_at DESC, a.id DESC`,
+      [clientId, leadId]
+    );
+    return rows.map((r) => rowToAttachment(r));
+  });
+}
+
+/**
+ * Search a client's attachments by filename or extracted text.
+ * @param {string} clientId
+ * @param {Object} opts - { q, leadId, limit (<= 100) }
+ * @returns {Promise<Array>} one entry per (attachment, lead) link, with a text snippet around the hit
+ */
+async function searchAttachments(clientId, { q, leadId = null, limit = 25 } = {}) {
+  const needle = String(q || '').trim();
+  if (!needle) return [];
+  const lim = Math.min(Math.max(Number(limit) || 25, 1), 100);
+
+  if (!getPool()) {
+    const lower = needle.toLowerCase();
+    return memoryLinked(clientId, (r) =>
+      (!leadId || r.lead_id === leadId) &&
+      (r.filename.toLowerCase().includes(lower) || (r.text_content || '').toLowerCase().includes(lower))
+    ).slice(0, lim).map((r) => rowToAttachment(r, { q: needle }));
+  }
+  return withClient(async (c) => {
+    const params = [clientId, `%${needle.replace(/[\\%_]/g, '\\$&')}%`];
+    let leadClause = '';
+    if (leadId) { params.push(leadId); leadClause = `AND l.lead_id = $${params.length}`; }
+    params.push(lim);
+    const { rows } = await c.query(
+      `SELECT a.*, l.lead_id, l.source, l.linked_at
+         FROM lead_attachments l JOIN email_attachments a ON a.id = l.attachment_id
+        WHERE l.client_id = $1 ${leadClause}
+          AND (a.filename ILIKE $2 OR a.text_content ILIKE $2)
+        ORDER BY l.linked_at DESC, a.id DESC
+        LIMIT $${params.length}`,
+      params
+    );
+    return rows.map((r) => rowToAttachment(r, { q: needle }));
+  });
+}
+
+/**
+ * One attachment with its full text, only if it's linked to one of this client's leads.
+ * @returns {Promise<Object|null>}
+ */
+async function getAttachmentForClient(clientId, id) {
+  if (!getPool()) {
+    const a = memory.attachments.find((r) => r.id === Number(id));
+    const linked = a && memory.links.some((l) => l.attachment_id === a.id && l.client_id === clientId);
+    return linked ? rowToAttachment(a, { withText: true }) : null;
+  }
+  return withClient(async (c) => {
+    const { rows } = await c.query(
+      `SELECT a.* FROM email_attachments a
+        WHERE a.id = $1
+          AND EXISTS (SELECT 1 FROM lead_attachments l WHERE l.attachment_id = a.id AND l.client_id = $2)`,
+      [id, clientId]
+    );
+    return rows[0] ? rowToAttachment(rows[0], { withText: true }) : null;
+  });
+}
+
+module.exports = {
+  recordAttachment,
+  listForAudit,
+  linkToLead,
+  listForLead,
+  searchAttachments,
+  getAttachmentForClient,
+  __setTestPool,
+};
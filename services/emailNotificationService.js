@@ -14,6 +14,7 @@ const logger = createLogger({
 const emailTemplateService = require('./emailTemplateService');
 const https = require('https');
 const querystring = require('querystring');
+const FormData = require('form-data');
 
 const logCriticalError = async () => {};
 
@@ -74,6 +75,54 @@ async function sendMailgunEmail(emailData) {
     });
 }
 
+/**
+ * Send email with file attachments via Mailgun (multipart/form-data — the urlencoded
+ * body sendMailgunEmail uses can't carry files). Used by scheduled lead exports.
+ * @param {Object} emailData - Same fields as sendMailgunEmail (from, to, subject, html, text, h:*)
+ * @param {Array<{ filename: string, content: Buffer, contentType?: string }>} attachments
+ * @returns {Promise<Object>} Response from Mailgun
+ */
+async function sendMailgunEmailWithAttachments(emailData, attachments = []) {
+    if (!process.env.MAILGUN_API_KEY || !process.env.MAILGUN_DOMAIN) {
+        throw new Error("Mailgun not configured - missing API key or domain");
+    }
+
+    const form = new FormData();
+    for (const [key, value] of Object.entries(emailData)) {
+        if (value !== undefined && value !== null) form.append(key, String(value));
+    }
+    for (const a of attachments) {
+        form.append('attachment', a.content, { filename: a.filename, contentType: a.contentType || 'application/octet-stream' });
+    }
+
+    return new Promise((resolve, reject) => {
+        const auth = Buffer.from(`api:${process.env.MAILGUN_API_KEY}`).toString('base64');
+        const req = https.request({
+            hostname: 'api.mailgun.net',
+            port: 443,
+            path: `/v3/${process.env.MAILGUN_DOMAIN}/messages`,
+            method: 'POST',
+            headers: { ...form.getHeaders(), 'Authorization': `Basic ${auth}` }
+        }, (res) => {
+            let responseData = '';
+            res.on('data', (chunk) => { responseData += chunk; });
+            res.on('end', () => {
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    try {
+                        resolve(JSON.parse(responseData));
+                    } catch (error) {
+                        resolve({ id: 'unknown', message: responseData });
+                    }
+                } else {
+                    reject(new Error(`Mailgun API error: ${res.statusCode} - ${responseData}`));
+                }
+            });
+        });
+        req.on('error', reject);
+        form.pipe(req);
+    });
+}
+
 /**
  * Send a templated email to a client with admin BCC
  * @param {Object} clientData - Client data including email and name
@@ -246,5 +295,6 @@ module.exports = {
     sendTemplatedEmail,
     sendBulkTemplatedEmails,
     sendAlertEmail,
-    sendMailgunEmail
+    sendMailgunEmail,
+    sendMailgunEmailWithAttachments
 };
\ No newline at end of file
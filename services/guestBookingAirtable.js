@@ -1,6 +1,7 @@
 /**
  * Optional: update lead Email in client's Leads base when guest submits a different address.
- * CC outreach funnel: first-click intro, booking page visit, completed guest booking (timestamps once).
+ * CC outreach funnel: first-click intro, booking page visit, completed guest booking (timestamps once),
+ * then the guest's own reschedule / cancel (latest wins — a guest can move a meeting more than once).
  */
 const AIRTABLE_KEY = process.env.AIRTABLE_API_KEY;
 
@@ -9,6 +10,8 @@ const AIRTABLE_LEAD_FIELDS = {
   ccIntroClickedAt: "CC Intro Clicked At",
   ccBookingPageVisitedAt: "CC Booking Page Visited At",
   guestBookingCompletedAt: "Guest Booking Completed At",
+  guestBookingRescheduledAt: "Guest Booking Rescheduled At",
+  guestBookingCancelledAt: "Guest Booking Cancelled At",
 };
 
 function normalizeEmail(s) {
@@ -141,6 +144,38 @@ async function maybeSetLeadTimestampOnce(opts) {
   return { ok: true };
 }
 
+/**
+ * Set a datetime field on the lead to now, replacing any earlier value (latest touch wins).
+ * @returns {Promise<{ ok: boolean, reason?: string }>}
+ */
+async function setLeadTimestamp(opts) {
+  const { airtableBaseId, linkedInUrl, fieldName } = opts;
+  if (!AIRTABLE_KEY || !airtableBaseId || !fieldName) {
+    return { ok: false, reason: "missing config" };
+  }
+  if (shouldSkipLeadTrackingByLinkedIn(linkedInUrl)) {
+    return { ok: false, reason: "skip placeholder linkedin" };
+  }
+
+  const lead = await findLeadByLinkedIn(airtableBaseId, linkedInUrl);
+  if (!lead) return { ok: false, reason: "not found" };
+
+  const patchUrl = `https://api.airtable.com/v0/${airtableBaseId}/Leads/${lead.id}`;
+  const patchRes = await fetch(patchUrl, {
+    method: "PATCH",
+    headers: {
+      Authorization: `Bearer ${AIRTABLE_KEY}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ fields: { [fieldName]: new Date().toISOString() } }),
+  });
+  if (!patchRes.ok) {
+    const t = await patchRes.text();
+    return { ok: false, reason: `patch ${patchRes.status} ${t.slice(0, 200)}` };
+  }
+  return { ok: true };
+}
+
 async function maybeSetCcIntroClickedAt(opts) {
   return maybeSetLeadTimestampOnce({
     ...opts,
@@ -162,10 +197,26 @@ async function maybeSetGuestBookingCompletedAt(opts) {
   });
 }
 
+async function setGuestBookingRescheduledAt(opts) {
+  return setLeadTimestamp({
+    ...opts,
+    fieldName: AIRTABLE_LEAD_FIELDS.guestBookingRescheduledAt,
+  });
+}
+
+async function setGuestBookingCancelledAt(opts) {
+  return setLeadTimestamp({
+    ...opts,
+    fieldName: AIRTABLE_LEAD_FIELDS.guestBookingCancelledAt,
+  });
+}
+
 module.exports = {
   maybeUpdateLeadEmailIfChanged,
   maybeSetCcIntroClickedAt,
   maybeSetCcBookingPageVisitedAt,
   maybeSetGuestBookingCompletedAt,
+  setGuestBookingRescheduledAt,
+  setGuestBookingCancelledAt,
   AIRTABLE_LEAD_FIELDS,
 };
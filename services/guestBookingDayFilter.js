@@ -1,6 +1,7 @@
 /**
  * Drop weekends and AU public holidays from guest-booking day lists.
  * Holidays use the host timezone’s Australian state when IANA is Australia/*; otherwise weekends only.
+ * A meeting type may allow other weekdays (opts.weekdays); holidays are dropped either way.
  */
 const { DateTime } = require("luxon");
 const Holidays = require("date-holidays");
@@ -32,9 +33,11 @@ function getHolidayChecker(hostTz) {
   return new Holidays("AU");
 }
 
-function isWeekendDate(dateStr, hostTz) {
+const WEEKDAYS_MON_FRI = [1, 2, 3, 4, 5];
+
+function isAllowedWeekday(dateStr, hostTz, weekdays) {
   const d = DateTime.fromISO(`${dateStr}T12:00:00`, { zone: hostTz });
-  return d.weekday >= 6;
+  return weekdays.includes(d.weekday);
 }
 
 function isPublicHoliday(dateStr, hd) {
@@ -46,11 +49,15 @@ function isPublicHoliday(dateStr, hd) {
 /**
  * @param {Array<{ date: string, day: string, freeSlots: Array }>} days
  * @param {string} hostTz
+ * @param {object} [opts]
+ * @param {number[]} [opts.weekdays] ISO weekdays to keep (default Mon–Fri)
  */
-function filterGuestBookingDays(days, hostTz) {
+function filterGuestBookingDays(days, hostTz, opts = {}) {
   const hd = getHolidayChecker(hostTz);
+  const weekdays =
+    Array.isArray(opts.weekdays) && opts.weekdays.length ? opts.weekdays : WEEKDAYS_MON_FRI;
   return days.filter((day) => {
-    if (isWeekendDate(day.date, hostTz)) return false;
+    if (!isAllowedWeekday(day.date, hostTz, weekdays)) return false;
     if (isPublicHoliday(day.date, hd)) return false;
     return true;
   });
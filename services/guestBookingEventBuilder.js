@@ -64,9 +64,11 @@ async function fetchHostClientProfile(clientId) {
  * @param {string} opts.leadFullName
  * @param {string} [opts.leadLinkedIn]
  * @param {string} [opts.guestNotes] appended under "Notes from guest:" if non-empty
+ * @param {string} [opts.meetingLabel] meeting type label for the title (default "1st meeting")
+ * @param {number} [opts.durationMinutes] default 30
  */
 async function buildGuestBookingEventDetails(opts) {
-  const { clientId, leadFullName, leadLinkedIn, guestNotes } = opts;
+  const { clientId, leadFullName, leadLinkedIn, guestNotes, meetingLabel, durationMinutes } = opts;
 
   const host = await fetchHostClientProfile(clientId);
   if (host.status && host.status !== "Active") {
@@ -77,7 +79,7 @@ async function buildGuestBookingEventDetails(opts) {
   const yourNamePart = host.clientName || "Guy Wilson";
   /** Optional label before the title (e.g. `[CC outreach]`); empty by default. */
   const summaryPrefix = (process.env.GUEST_BOOK_EVENT_SUMMARY_PREFIX ?? "").trim();
-  const titleCore = `${leadNamePart} and ${yourNamePart} 1st meeting`;
+  const titleCore = `${leadNamePart} and ${yourNamePart} ${meetingLabel || "1st meeting"}`;
   const summary = summaryPrefix ? `${summaryPrefix} — ${titleCore}` : titleCore;
 
   const { meetingPlatformLabel } = require("./wingguyCalendar");
@@ -110,7 +112,7 @@ async function buildGuestBookingEventDetails(opts) {
     summary,
     description,
     location,
-    durationMinutes: 30,
+    durationMinutes: durationMinutes || 30,
     hostClientId: host.clientId,
     hostClientName: yourNamePart,
   };
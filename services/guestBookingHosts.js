@@ -0,0 +1,413 @@
+/**
+ * Coach booking links: any Active coach in Master Clients (or a round-robin team of them) with a
+ * meeting type, on top of the original Guy-only guest booking flow.
+ *
+ * A link token (services/guestBookingToken.js) carries `h` (one host) or `hs` (a team) and `mt`.
+ * Each host's calendar is read — and the invite written — through services/calendarProvider.js
+ * (Nylas / Unipile / Zoho, as set on the coach's roster row). The one exception is the OAuth host
+ * (GUEST_BOOKING_CLIENT_ID, default Guy-Wilson): a link naming them keeps using the OAuth primary
+ * calendar the original flow books on, since their service-account share is read-only.
+ *
+ * Slots come from services/guestBookingSlots.js and are filtered per host with the existing AU
+ * holiday rules (guestBookingDayFilter.js). A team booking goes to the free host with the fewest
+ * recent bookings on that link (services/guestBookingStore.js); if their calendar refuses the write
+ * the next free host is tried.
+ *
+ * A team is opt-in on both sides: every other host must list the owner in their Master Clients
+ * "Booking Team" and the owner must list them. That is checked when the link is minted and again
+ * each time it is resolved, so dropping someone from Booking Team takes them off old links too.
+ * The OAuth host's calendar only ever goes on links they mint themselves.
+ *
+ * Each calendar adapter can also move and cancel the event it made, for the guest's own
+ * reschedule / cancel links (services/guestBookingManage.js).
+ */
+const { DateTime } = require("luxon");
+const clientService = require("./clientService");
+const { getMeetingsInWindow, createCalendarEvent, deleteCalendarEvent } = require("./calendarProvider");
+const { getOAuthPrimaryBusy } = require("./calendarOAuthAvailability.js");
+const { createGuestMeeting, moveGuestMeeting, cancelGuestMeeting } = require("./calendarOAuthService.js");
+const { buildGuestBookingEventDetails, DEFAULT_CLIENT_ID } = require("./guestBookingEventBuilder.js");
+const { filterGuestBookingDays } = require("./guestBookingDayFilter.js");
+const { resolveMeetingType } = require("./guestBookingMeetingTypes.js");
+const { buildSlotDays, mergeTeamDays, orderRoundRobin } = require("./guestBookingSlots.js");
+const guestBookingStore = require("./guestBookingStore.js");
+const {
+  signGuestBookingToken,
+  bookingHostsFromPayload,
+  guestBookingTokenExpiryUnix,
+} = require("./guestBookingToken.js");
+
+const DEFAULT_TZ = "Australia/Brisbane";
+// Round-robin fairness looks at this link's bookings over the last 30 days.
+const ROUND_ROBIN_WINDOW_DAYS = 30;
+
+/** Lazy: wingguyCalendar pulls in the booking prefs / lead-timezone helpers. */
+function wingguyCalendar() {
+  return require("./wingguyCalendar");
+}
+
+/** The coach the original Guy-only links book, on the OAuth primary calendar. */
+function oauthHostClientId() {
+  return (process.env.GUEST_BOOKING_CLIENT_ID || DEFAULT_CLIENT_ID).trim();
+}
+
+function isOAuthHost(clientId) {
+  return String(clientId || "").trim().toLowerCase() === oauthHostClientId().toLowerCase();
+}
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+const listsClient = (client, id) =>
+  (client.bookingTeam || []).some((x) => String(x).toLowerCase() === String(id).toLowerCase());
+
+/** May `member` take bookings on `owner`'s team link? (mutual Booking Team entries, never the OAuth host) */
+function isTeamMember(owner, member) {
+  if (isOAuthHost(member.clientId)) return false;
+  return listsClient(owner, member.clientId) && listsClient(member, owner.clientId);
+}
+
+/** Calendar adapter for the OAuth host: the primary calendar the original flow uses. */
+function oauthCalendar() {
+  return {
+    provider: "google-oauth",
+    async busy(timeMin, timeMax) {
+      const { busy, error } = await getOAuthPrimaryBusy(timeMin.toISOString(), timeMax.toISOString());
+      if (error) throw new Error(`OAuth calendar read failed: ${error}`);
+      return busy;
+    },
+    async create(d) {
+      const created = await createGuestMeeting({
+        startISO: d.startISO,
+        endISO: d.endISO,
+        attendeeEmail: d.attendeeEmail,
+        summary: d.summary,
+        description: d.description,
+        location: d.location,
+      });
+      return { ok: true, eventId: created.id, htmlLink: created.htmlLink };
+    },
+    async move(eventId, d) {
+      const moved = await moveGuestMeeting(eventId, { startISO: d.startISO, endISO: d.endISO });
+      return { ok: true, eventId: moved.id, htmlLink: moved.htmlLink };
+    },
+    async cancel(eventId) {
+      await cancelGuestMeeting(eventId);
+      return { ok: true };
+    },
+  };
+}
+
+/** Calendar adapter for a coach on the calendarProvider seam. */
+function providerCalendar(coach, provider) {
+  const create = (d) =>
+    createCalendarEvent(coach, {
+      title: d.summary,
+      description: d.description,
+      startISO: d.startISO,
+      endISO: d.endISO,
+      attendees: [{ email: d.attendeeEmail, name: d.attendeeName || "" }],
+      location: d.location,
+    });
+  return {
+    provider,
+    async busy(timeMin, timeMax) {
+      const { events, error } = await getMeetingsInWindow(coach, timeMin, timeMax);
+      if (error) throw new Error(`${provider} calendar read failed: ${error}`);
+      return events || [];
+    },
+    create,
+    // No update call on the seam: re-create at the new time, then drop the old event (a failed
+    // delete leaves a duplicate the coach can remove, which beats losing the meeting).
+    async move(eventId, d) {
+      const created = await create(d);
+      if (!created.ok) return created;
+      const del = await deleteCalendarEvent(coach, eventId, { notifyParticipants: true });
+      if (!del.ok) console.warn(`[guestBookingHosts] old event ${eventId} not removed after move: ${del.error}`);
+      return created;
+    },
+    async cancel(eventId) {
+      return deleteCalendarEvent(coach, eventId, { notifyParticipants: true });
+    },
+  };
+}
+
+/**
+ * A coach who can take bookings: Active, with a calendar we can write to.
+ * @param {string} clientId
+ * @param {object} [opts]
+ * @param {object} [opts.teamOwner]  loaded owner when this is another host on their team link;
+ *   a coach not on the owner's booking team is refused with statusCode 403
+ * @returns {Promise<{ clientId, name, email, timezone, airtableBaseId, meetingTypes, bookingTeam, calendar }>}
+ */
+async function loadBookingHost(clientId, { teamOwner = null } = {}) {
+  const client = await clientService.getClientById(clientId);
+  if (!client) throw new Error(`Client not found: ${clientId}`);
+  if (client.status && client.status !== "Active") {
+    throw new Error(`Client is not active: ${client.clientId}`);
+  }
+  if (teamOwner && !isTeamMember(teamOwner, client)) {
+    throw httpError(`${client.clientId} is not on ${teamOwner.clientId}'s booking team`, 403);
+  }
+  let calendar;
+  let timezone = client.timezone;
+  if (isOAuthHost(client.clientId)) {
+    calendar = oauthCalendar();
+  } else {
+    const { getCoachCalendarInfo, providerForInfo, coachForCalendar } = wingguyCalendar();
+    const info = await getCoachCalendarInfo(client.clientId);
+    const provider = providerForInfo(info);
+    if (provider === "google") {
+      throw new Error(
+        `${client.clientId} has no calendar we can book into — the Google service-account share is read-only; connect via Unipile/Nylas or Zoho`
+      );
+    }
+    calendar = providerCalendar(coachForCalendar(info), provider);
+    timezone = timezone || info.timezone;
+  }
+  return {
+    clientId: client.clientId,
+    name: client.clientName || client.clientId,
+    email: client.clientEmailAddress || null,
+    timezone: timezone || DEFAULT_TZ,
+    airtableBaseId: client.airtableBaseId || null,
+    meetingTypes: client.bookingMeetingTypes || null,
+    bookingTeam: client.bookingTeam || [],
+    calendar,
+  };
+}
+
+/** Round-robin bucket: one per host (or team) × meeting type. */
+function linkKeyFor(hostIds, typeKey) {
+  const ids = hostIds.map((id) => String(id).toLowerCase());
+  return ids.length > 1
+    ? `team:${[...ids].sort().join(",")}:${typeKey}`
+    : `host:${ids[0]}:${typeKey}`;
+}
+
+/**
+ * Resolve a link payload: its hosts (loaded), the owner (first host) and the meeting type.
+ * Team hosts whose calendar can't be used, or who are no longer on the owner's booking team, are
+ * left out with a warning (listed in `skipped`); the owner must load.
+ * @returns {Promise<{ hosts: object[], owner: object, type: object, linkKey: string, skipped: Array<{ clientId, error, statusCode }> }>}
+ */
+async function resolveBookingLink(payload) {
+  const ids = bookingHostsFromPayload(payload);
+  if (!ids.length) throw new Error("Not a coach booking link");
+  const owner = await loadBookingHost(ids[0]);
+  const type = resolveMeetingType(owner.meetingTypes, payload.mt);
+  if (!type) throw new Error(`Unknown meeting type "${payload.mt}" for ${owner.clientId}`);
+  const hosts = [owner];
+  const skipped = [];
+  for (const id of ids.slice(1)) {
+    try {
+      hosts.push(await loadBookingHost(id, { teamOwner: owner }));
+    } catch (e) {
+      skipped.push({ clientId: id, error: e.message, statusCode: e.statusCode || null });
+      console.warn(`[guestBookingHosts] team host ${id} skipped: ${e.message}`);
+    }
+  }
+  return { hosts, owner, type, linkKey: linkKeyFor(ids, type.key), skipped };
+}
+
+/** Host-time dates offered: tomorrow onward for type.daysAhead days (as the original flow). */
+function bookingDates(hostTz, type, now) {
+  const first = DateTime.fromJSDate(now, { zone: hostTz }).startOf("day").plus({ days: 1 });
+  return Array.from({ length: type.daysAhead }, (_, i) => first.plus({ days: i }).toISODate());
+}
+
+/** One host's filtered grid for these dates (busy read padded by the buffer). */
+async function hostSlotDays(host, type, dates, guestTz, now) {
+  const pad = (type.bufferMinutes || 0) * 60000;
+  const timeMin = DateTime.fromISO(`${dates[0]}T00:00:00`, { zone: host.timezone }).toJSDate();
+  const timeMax = DateTime.fromISO(`${dates[dates.length - 1]}T23:59:59`, { zone: host.timezone }).toJSDate();
+  const busy = await host.calendar.busy(new Date(timeMin.getTime() - pad), new Date(timeMax.getTime() + pad));
+  const days = buildSlotDays({ dates, hostTz: host.timezone, guestTz, busy, type, now });
+  return filterGuestBookingDays(days, host.timezone, { weekdays: type.weekdays });
+}
+
+/**
+ * Bookable days for a resolved link. A team's grid is the union of its hosts' grids; a host
+ * whose calendar read fails drops out (the rest still offer times) unless it's the only one.
+ * @returns {Promise<Array<{ date, day, freeSlots: Array<{ time, display }> }>>}
+ */
+async function getLinkAvailability(link, guestTz, { now = new Date() } = {}) {
+  const { hosts, type } = link;
+  if (hosts.length === 1) {
+    const host = hosts[0];
+    return hostSlotDays(host, type, bookingDates(host.timezone, type, now), guestTz, now);
+  }
+  const perHost = [];
+  for (const host of hosts) {
+    try {
+      const days = await hostSlotDays(host, type, bookingDates(host.timezone, type, now), guestTz, now);
+      perHost.push({ hostId: host.clientId, days });
+    } catch (e) {
+      console.warn(`[guestBookingHosts] availability for ${host.clientId} skipped: ${e.message}`);
+    }
+  }
+  if (!perHost.length) throw new Error("No team calendar could be read");
+  return mergeTeamDays(perHost, guestTz).map((d) => ({
+    date: d.date,
+    day: d.day,
+    freeSlots: d.freeSlots.map(({ time, display }) => ({ time, display })),
+  }));
+}
+
+/** Is `startMs` still a bookable slot for this host (fresh read of that host-local day)? */
+async function hostHasSlot(host, type, startMs, now) {
+  const date = DateTime.fromMillis(startMs, { zone: host.timezone }).toISODate();
+  const days = await hostSlotDays(host, type, [date], host.timezone, now);
+  return days.some((d) => d.freeSlots.some((s) => new Date(s.time).getTime() === startMs));
+}
+
+/**
+ * Book a slot on a resolved link. Re-checks every host against a fresh read (duration, buffer,
+ * notice, cap, weekdays, holidays), then round-robins across the hosts still free.
+ * `ref` / `descriptionFooter` come from guestBookingManage.newManageLinks — the invite carries the
+ * guest's reschedule / cancel links and the stored booking answers to them.
+ * @returns {Promise<{ ok: true, eventId, htmlLink, host, type } | { ok: false, status: number, error: string }>}
+ */
+async function bookLinkSlot(link, {
+  start, attendeeEmail, leadFullName, leadLinkedIn, guestNotes, ref, descriptionFooter, now = new Date(),
+}) {
+  const { hosts, type, linkKey } = link;
+  const startMs = new Date(start).getTime();
+  if (!Number.isFinite(startMs)) return { ok: false, status: 400, error: "That start time could not be read." };
+
+  const free = [];
+  for (const host of hosts) {
+    try {
+      if (await hostHasSlot(host, type, startMs, now)) free.push(host.clientId);
+    } catch (e) {
+      console.warn(`[guestBookingHosts] slot check for ${host.clientId} failed: ${e.message}`);
+    }
+  }
+  if (!free.length) {
+    return { ok: false, status: 409, error: "That time was just taken — please pick another slot." };
+  }
+
+  let order = free;
+  if (free.length > 1) {
+    const since = new Date(now.getTime() - ROUND_ROBIN_WINDOW_DAYS * 86400000);
+    let history = [];
+    try {
+      history = await guestBookingStore.assignmentHistory(linkKey, { since });
+    } catch (e) {
+      console.warn(`[guestBookingHosts] round-robin history unavailable (link order used): ${e.message}`);
+    }
+    order = orderRoundRobin(free, history);
+  }
+
+  const startISO = new Date(startMs).toISOString();
+  const endISO = new Date(startMs + type.durationMinutes * 60000).toISOString();
+  let lastError = null;
+  for (const hostId of order) {
+    const host = hosts.find((h) => h.clientId === hostId);
+    const details = await buildGuestBookingEventDetails({
+      clientId: host.clientId,
+      leadFullName,
+      leadLinkedIn,
+      guestNotes: guestNotes || "",
+      meetingLabel: type.key === "intro" ? null : type.label,
+      durationMinutes: type.durationMinutes,
+    });
+    let created;
+    try {
+      created = await host.calendar.create({
+        summary: details.summary,
+        description: descriptionFooter ? `${details.description}${descriptionFooter}` : details.description,
+        location: details.location,
+        startISO,
+        endISO,
+        attendeeEmail,
+        attendeeName: leadFullName,
+      });
+    } catch (e) {
+      created = { ok: false, error: e.message };
+    }
+    if (!created.ok) {
+      lastError = created.error;
+      console.warn(`[guestBookingHosts] booking with ${host.clientId} failed (${created.error}); trying next host`);
+      continue;
+    }
+    await guestBookingStore.recordBooking({
+      linkKey,
+      hostClientId: host.clientId,
+      meetingType: type.key,
+      eventId: created.eventId,
+      provider: host.calendar.provider,
+      startAt: startISO,
+      endAt: endISO,
+      guestName: leadFullName,
+      guestEmail: attendeeEmail,
+      guestLinkedIn: leadLinkedIn,
+      ref,
+      ownerClientId: link.owner.clientId,
+      guestNotes,
+    });
+    return { ok: true, eventId: created.eventId, htmlLink: created.htmlLink || "", host, type, startISO, endISO };
+  }
+  return { ok: false, status: 500, error: `Could not create the calendar invite: ${lastError || "unknown error"}` };
+}
+
+/**
+ * Mint a coach booking URL. With a guest it is that guest's personal link (/guest-book?t=);
+ * without, an open link (/guest-book?l=) where visitors identify themselves first.
+ * @param {object} opts
+ * @param {string} opts.ownerClientId  the coach minting it (team links: first host)
+ * @param {string[]} [opts.teamClientIds]  other coaches to round-robin with — each must be on the
+ *   owner's booking team (mutual Booking Team entries); anyone else is refused with statusCode 403
+ * @param {string} [opts.meetingType]
+ * @param {{ name: string, linkedIn?: string, email: string }} [opts.guest]
+ * @param {string} opts.base  public origin, e.g. https://pb-webhook-server.onrender.com
+ * @returns {Promise<{ url, token, open: boolean, hosts: string[], meetingType: object }>}
+ */
+async function mintBookingLink({ ownerClientId, teamClientIds = [], meetingType, guest, base }) {
+  const ids = [...new Set([ownerClientId, ...teamClientIds].map((x) => String(x || "").trim()).filter(Boolean))];
+  const payload = ids.length > 1 ? { hs: ids } : { h: ids[0] };
+  if (meetingType) payload.mt = String(meetingType).trim().toLowerCase();
+  const link = await resolveBookingLink(payload);
+  const outsiders = link.skipped.filter((s) => s.statusCode === 403).map((s) => s.clientId);
+  if (outsiders.length) {
+    throw httpError(`Not on your booking team: ${outsiders.join(", ")}`, 403);
+  }
+  if (link.hosts.length !== ids.length) {
+    const ok = new Set(link.hosts.map((h) => h.clientId));
+    throw new Error(`These coaches can't take bookings: ${ids.filter((id) => !ok.has(id)).join(", ")}`);
+  }
+  payload.mt = link.type.key;
+  payload.exp = guestBookingTokenExpiryUnix();
+  const origin = String(base).replace(/\/$/, "");
+  let url;
+  let token;
+  if (guest) {
+    token = signGuestBookingToken({
+      n: guest.name,
+      li: guest.linkedIn || "direct-booking",
+      e: guest.email,
+      ...payload,
+    });
+    url = `${origin}/guest-book?t=${encodeURIComponent(token)}`;
+  } else {
+    token = signGuestBookingToken(payload);
+    url = `${origin}/guest-book?l=${encodeURIComponent(token)}`;
+  }
+  return { url, token, open: !guest, hosts: ids, meetingType: link.type };
+}
+
+module.exports = {
+  oauthHostClientId,
+  isOAuthHost,
+  isTeamMember,
+  loadBookingHost,
+  resolveBookingLink,
+  getLinkAvailability,
+  bookLinkSlot,
+  mintBookingLink,
+  linkKeyFor,
+  hostHasSlot,
+};
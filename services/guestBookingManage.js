@@ -0,0 +1,226 @@
+/**
+ * Guest self-service for booked meetings: every confirmation carries signed reschedule / cancel
+ * links (/guest-book?m=...) that move or delete the calendar event the booking made.
+ *
+ * The link carries only a random booking ref; host, event and time live on the guest_bookings row
+ * (services/guestBookingStore.js), so a moved meeting keeps working from the same link. The event
+ * is moved / cancelled through the booked host's calendar adapter (services/guestBookingHosts.js) —
+ * the OAuth primary calendar for original Guy-only links. A reschedule stays with the same host
+ * and meeting type; the new time must pass the same slot rules as a fresh booking.
+ *
+ * Limits (env):
+ *   GUEST_BOOKING_RESCHEDULE_CUTOFF_HOURS  no online reschedule this close to the start (default 12, 0–168)
+ *   GUEST_BOOKING_MAX_RESCHEDULES          reschedules per booking (default 3, 1–20)
+ * Cancelling is allowed right up to the start time.
+ */
+const crypto = require("crypto");
+const clientService = require("./clientService");
+const guestBookingStore = require("./guestBookingStore.js");
+const { loadBookingHost, hostHasSlot } = require("./guestBookingHosts.js");
+const { resolveMeetingType, normalizeMeetingType, DEFAULT_MEETING_TYPE } = require("./guestBookingMeetingTypes.js");
+const { buildGuestBookingEventDetails } = require("./guestBookingEventBuilder.js");
+const {
+  signGuestBookingToken,
+  verifyBookingManageToken,
+  guestBookingTokenExpiryUnix,
+} = require("./guestBookingToken.js");
+
+function envInt(name, fallback, min, max) {
+  const n = parseInt(process.env[name], 10);
+  if (Number.isFinite(n) && n >= min && n <= max) return n;
+  return fallback;
+}
+
+function rescheduleCutoffHours() {
+  return envInt("GUEST_BOOKING_RESCHEDULE_CUTOFF_HOURS", 12, 0, 168);
+}
+
+function maxReschedules() {
+  return envInt("GUEST_BOOKING_MAX_RESCHEDULES", 3, 1, 20);
+}
+
+function newBookingRef() {
+  return crypto.randomBytes(12).toString("base64url");
+}
+
+/**
+ * Reschedule / cancel URLs for a booking ref (a new ref when none is given) and the footer the
+ * calendar invite carries.
+ * @param {string} base public origin, e.g. https://pb-webhook-server.onrender.com
+ * @param {string} [ref]
+ * @returns {{ ref: string, rescheduleUrl: string, cancelUrl: string, descriptionFooter: string }}
+ */
+function manageLinks(base, ref = newBookingRef()) {
+  const token = signGuestBookingToken({ b: ref, exp: guestBookingTokenExpiryUnix() });
+  const rescheduleUrl = `${String(base).replace(/\/$/, "")}/guest-book?m=${encodeURIComponent(token)}`;
+  const cancelUrl = `${rescheduleUrl}&action=cancel`;
+  return {
+    ref,
+    rescheduleUrl,
+    cancelUrl,
+    descriptionFooter: `\n\nNeed to change this?\nReschedule: ${rescheduleUrl}\nCancel: ${cancelUrl}`,
+  };
+}
+
+/**
+ * What the guest may still do with a booking.
+ * @param {object} booking guest_bookings row
+ * @param {Date} [now]
+ * @returns {{ canReschedule: boolean, canCancel: boolean, reason: string|null }}
+ */
+function changePolicy(booking, now = new Date()) {
+  if (booking.status === "cancelled") {
+    return { canReschedule: false, canCancel: false, reason: "This meeting has been cancelled." };
+  }
+  const msToStart = new Date(booking.startAt).getTime() - now.getTime();
+  if (!(msToStart > 0)) {
+    return { canReschedule: false, canCancel: false, reason: "This meeting has already started." };
+  }
+  if ((booking.rescheduleCount || 0) >= maxReschedules()) {
+    return {
+      canReschedule: false,
+      canCancel: true,
+      reason: "This meeting has already been moved the maximum number of times — reply to the invite to find another time.",
+    };
+  }
+  const cutoff = rescheduleCutoffHours();
+  if (msToStart < cutoff * 3600000) {
+    return {
+      canReschedule: false,
+      canCancel: true,
+      reason: `It's less than ${cutoff} hours until the meeting, so it can't be moved here — reply to the invite to find another time.`,
+    };
+  }
+  return { canReschedule: true, canCancel: true, reason: null };
+}
+
+/**
+ * The booking behind a manage token. Throws when the link secret isn't configured or the store
+ * can't be read.
+ * @returns {Promise<{ ok: true, booking: object, policy: object } | { ok: false, status: number, error: string }>}
+ */
+async function loadManagedBooking(token, { now = new Date() } = {}) {
+  const v = verifyBookingManageToken(token);
+  if (!v.ok) return { ok: false, status: 400, error: `Link problem: ${v.error}` };
+  const booking = await guestBookingStore.getBookingByRef(v.payload.b);
+  if (!booking) {
+    return { ok: false, status: 404, error: "We couldn't find this booking — please reply to the calendar invite to change it." };
+  }
+  return { ok: true, booking, policy: changePolicy(booking, now) };
+}
+
+/**
+ * A one-host link for moving this booking — its availability is where it can move to: the booked
+ * host, with the meeting type from the link owner's definitions (falling back to the booked
+ * length when the owner has since removed that type).
+ */
+async function rescheduleLinkFor(booking) {
+  const host = await loadBookingHost(booking.hostClientId);
+  let typesField = host.meetingTypes;
+  if (booking.ownerClientId && booking.ownerClientId !== host.clientId) {
+    const owner = await clientService.getClientById(booking.ownerClientId);
+    typesField = owner ? owner.bookingMeetingTypes : null;
+  }
+  const durationMinutes = Math.round((new Date(booking.endAt) - new Date(booking.startAt)) / 60000);
+  const type =
+    resolveMeetingType(typesField, booking.meetingType) ||
+    normalizeMeetingType({ key: booking.meetingType, label: booking.meetingType, durationMinutes }) ||
+    { ...DEFAULT_MEETING_TYPE, weekdays: [...DEFAULT_MEETING_TYPE.weekdays] };
+  return { hosts: [host], owner: host, type, linkKey: booking.linkKey };
+}
+
+/**
+ * Move a booking to `start` after re-checking the slot against the host's calendar.
+ * @param {object} booking
+ * @param {{ start: string, base: string, now?: Date }} opts
+ * @returns {Promise<{ ok: true, booking, previousStartAt, host, type } | { ok: false, status: number, error: string }>}
+ */
+async function rescheduleBooking(booking, { start, base, now = new Date() }) {
+  const policy = changePolicy(booking, now);
+  if (!policy.canReschedule) return { ok: false, status: 403, error: policy.reason };
+  const startMs = new Date(start).getTime();
+  if (!Number.isFinite(startMs)) return { ok: false, status: 400, error: "That start time could not be read." };
+  if (startMs === new Date(booking.startAt).getTime()) {
+    return { ok: false, status: 400, error: "That's the time you already have." };
+  }
+
+  const link = await rescheduleLinkFor(booking);
+  const host = link.hosts[0];
+  const { type } = link;
+  if (!(await hostHasSlot(host, type, startMs, now))) {
+    return { ok: false, status: 409, error: "That time was just taken — please pick another slot." };
+  }
+
+  const startISO = new Date(startMs).toISOString();
+  const endISO = new Date(startMs + type.durationMinutes * 60000).toISOString();
+  // Providers without an update call re-create the event, so it needs the full invite again.
+  const details = await buildGuestBookingEventDetails({
+    clientId: host.clientId,
+    leadFullName: booking.guestName,
+    leadLinkedIn: booking.guestLinkedIn,
+    guestNotes: booking.guestNotes || "",
+    meetingLabel: type.key === "intro" ? null : type.label,
+    durationMinutes: type.durationMinutes,
+  });
+  let moved;
+  try {
+    moved = await host.calendar.move(booking.eventId, {
+      summary: details.summary,
+      description: `${details.description}${manageLinks(base, booking.ref).descriptionFooter}`,
+      location: details.location,
+      startISO,
+      endISO,
+      attendeeEmail: booking.guestEmail,
+      attendeeName: booking.guestName,
+    });
+  } catch (e) {
+    moved = { ok: false, error: e.message };
+  }
+  if (!moved.ok) {
+    return { ok: false, status: 500, error: `Could not move the calendar invite: ${moved.error || "unknown error"}` };
+  }
+
+  const updated = await guestBookingStore.rescheduleBookingRow(booking.id, {
+    startAt: startISO,
+    endAt: endISO,
+    eventId: moved.eventId,
+  });
+  if (!updated) console.warn(`[guestBookingManage] booking ${booking.id} moved on the calendar but not in the store`);
+  return {
+    ok: true,
+    booking: updated || { ...booking, startAt: startISO, endAt: endISO, eventId: moved.eventId || booking.eventId },
+    previousStartAt: booking.startAt,
+    host,
+    type,
+  };
+}
+
+/**
+ * Cancel a booking: delete the calendar event (the guest gets the cancellation) and mark the row.
+ * @returns {Promise<{ ok: true, booking, host } | { ok: false, status: number, error: string }>}
+ */
+async function cancelBooking(booking, { now = new Date() } = {}) {
+  const policy = changePolicy(booking, now);
+  if (!policy.canCancel) return { ok: false, status: 403, error: policy.reason };
+  const host = await loadBookingHost(booking.hostClientId);
+  let r;
+  try {
+    r = await host.calendar.cancel(booking.eventId);
+  } catch (e) {
+    r = { ok: false, error: e.message };
+  }
+  if (!r.ok) {
+    return { ok: false, status: 500, error: `Could not cancel the calendar invite: ${r.error || "unknown error"}` };
+  }
+  const updated = await guestBookingStore.cancelBookingRow(booking.id);
+  return { ok: true, booking: updated || { ...booking, status: "cancelled" }, host };
+}
+
+module.exports = {
+  manageLinks,
+  changePolicy,
+  loadManagedBooking,
+  rescheduleLinkFor,
+  rescheduleBooking,
+  cancelBooking,
+};
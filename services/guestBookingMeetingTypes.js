@@ -0,0 +1,137 @@
+/**
+ * Meeting types for coach booking links (services/guestBookingHosts.js).
+ *
+ * Each coach keeps theirs in the Master Clients long-text field 'Booking Meeting Types' as a JSON
+ * array; blank = one built-in type with the original guest booking rules (30 minutes, Mon–Fri,
+ * 9:30–16:00 host time, 9:00–17:00 guest time, five weeks out). A team link uses its owner's
+ * (first host's) definition for every host.
+ *
+ *   [{ "key": "intro", "label": "1st meeting", "durationMinutes": 30 },
+ *    { "key": "strategy", "label": "Strategy session", "durationMinutes": 60, "bufferMinutes": 15,
+ *      "minNoticeHours": 24, "dailyCap": 2, "weekdays": [2, 4], "startTime": "10:00", "endTime": "15:00" }]
+ *
+ * Fields (all optional except key):
+ *   durationMinutes  meeting length, 10–240 (default 30)
+ *   bufferMinutes    clear time kept before AND after, 0–120 (default 0)
+ *   minNoticeHours   earliest bookable start from now, 0–720 (default 0; days start tomorrow anyway)
+ *   dailyCap         most meetings the host takes that day, counting ones already in the calendar
+ *   weekdays         ISO weekdays allowed, 1 = Mon … 7 = Sun (default Mon–Fri; AU holidays still off)
+ *   startTime / endTime  host-time window a meeting must fit inside (default 09:30 / 16:00)
+ *   stepMinutes      spacing of offered start times (default = durationMinutes)
+ *   daysAhead        how far out slots are offered, 1–90 (default 35)
+ */
+
+const DEFAULT_MEETING_TYPE = Object.freeze({
+  key: "intro",
+  label: "1st meeting",
+  durationMinutes: 30,
+  bufferMinutes: 0,
+  minNoticeHours: 0,
+  dailyCap: null,
+  weekdays: Object.freeze([1, 2, 3, 4, 5]),
+  hostStartMinutes: 9 * 60 + 30,
+  hostEndMinutes: 16 * 60,
+  guestStartMinutes: 9 * 60,
+  guestEndMinutes: 17 * 60,
+  stepMinutes: 30,
+  daysAhead: 35,
+});
+
+const KEY_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+
+function clampInt(v, min, max, fallback) {
+  const n = parseInt(v, 10);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
+
+/** "09:30" / "9:30" → minutes since midnight, or the fallback. */
+function timeToMinutes(v, fallback) {
+  const m = String(v == null ? "" : v).trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!m) return fallback;
+  const mins = Number(m[1]) * 60 + Number(m[2]);
+  return Number(m[1]) < 24 && Number(m[2]) < 60 ? mins : fallback;
+}
+
+/**
+ * One entry from the field → a full meeting type, or null when unusable.
+ * @param {object} raw
+ */
+function normalizeMeetingType(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const key = String(raw.key || "").trim().toLowerCase();
+  if (!KEY_RE.test(key)) return null;
+  const d = DEFAULT_MEETING_TYPE;
+  const durationMinutes = clampInt(raw.durationMinutes, 10, 240, d.durationMinutes);
+  const weekdays = Array.isArray(raw.weekdays)
+    ? [...new Set(raw.weekdays.map((x) => parseInt(x, 10)).filter((x) => x >= 1 && x <= 7))].sort((a, b) => a - b)
+    : [...d.weekdays];
+  const hostStartMinutes = timeToMinutes(raw.startTime, d.hostStartMinutes);
+  const hostEndMinutes = timeToMinutes(raw.endTime, d.hostEndMinutes);
+  if (!weekdays.length || hostEndMinutes - hostStartMinutes < durationMinutes) return null;
+  const cap = parseInt(raw.dailyCap, 10);
+  return {
+    key,
+    label: String(raw.label || "").trim() || key,
+    durationMinutes,
+    bufferMinutes: clampInt(raw.bufferMinutes, 0, 120, d.bufferMinutes),
+    minNoticeHours: clampInt(raw.minNoticeHours, 0, 720, d.minNoticeHours),
+    dailyCap: Number.isFinite(cap) && cap > 0 ? cap : null,
+    weekdays,
+    hostStartMinutes,
+    hostEndMinutes,
+    guestStartMinutes: d.guestStartMinutes,
+    guestEndMinutes: d.guestEndMinutes,
+    stepMinutes: clampInt(raw.stepMinutes, 5, 240, durationMinutes),
+    daysAhead: clampInt(raw.daysAhead, 1, 90, d.daysAhead),
+  };
+}
+
+/**
+ * The 'Booking Meeting Types' field → meeting types (bad entries are skipped with a warning;
+ * nothing usable = the built-in default).
+ * @param {string|Array|null} field
+ * @returns {object[]}
+ */
+function parseMeetingTypes(field) {
+  let list = field;
+  if (typeof field === "string") {
+    if (!field.trim()) list = null;
+    else {
+      try {
+        list = JSON.parse(field);
+      } catch (e) {
+        console.warn(`[guestBookingMeetingTypes] Booking Meeting Types is not JSON (using default): ${e.message}`);
+        list = null;
+      }
+    }
+  }
+  const types = [];
+  for (const raw of Array.isArray(list) ? list : []) {
+    const t = normalizeMeetingType(raw);
+    if (!t) {
+      console.warn(`[guestBookingMeetingTypes] skipped unusable meeting type: ${JSON.stringify(raw).slice(0, 120)}`);
+      continue;
+    }
+    if (!types.some((x) => x.key === t.key)) types.push(t);
+  }
+  return types.length ? types : [{ ...DEFAULT_MEETING_TYPE, weekdays: [...DEFAULT_MEETING_TYPE.weekdays] }];
+}
+
+/**
+ * @param {string|Array|null} field  the owner's Booking Meeting Types
+ * @param {string} [key]             blank = the first type
+ * @returns {object|null} null when the key isn't one of the owner's types
+ */
+function resolveMeetingType(field, key) {
+  const types = parseMeetingTypes(field);
+  if (!key) return types[0];
+  return types.find((t) => t.key === String(key).trim().toLowerCase()) || null;
+}
+
+module.exports = {
+  DEFAULT_MEETING_TYPE,
+  normalizeMeetingType,
+  parseMeetingTypes,
+  resolveMeetingType,
+};
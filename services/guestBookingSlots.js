@@ -0,0 +1,140 @@
+/**
+ * Slot grid for coach booking links: busy periods + a meeting type → bookable start times, in the
+ * same { date, day, freeSlots:[{ time, display }] } shape getOAuthPrimaryBatchAvailability returns
+ * so the /guest-book page and pickDistributedSlots work unchanged. Pure (no I/O) — the calendar
+ * reads live in services/guestBookingHosts.js.
+ *
+ * Team links: each host's grid is built in their own timezone and holiday region, then merged;
+ * a merged slot remembers which hosts were free for it so booking can round-robin among them.
+ */
+const { DateTime } = require("luxon");
+
+/**
+ * Busy events from any provider → [{ start, end }] in epoch ms (bad / free entries dropped).
+ * @param {Array<{ start, end, isFree?: boolean }>} events
+ */
+function toBusyMs(events) {
+  return (events || [])
+    .filter((e) => e && !e.isFree && e.start && e.end)
+    .map((e) => ({ start: new Date(e.start).getTime(), end: new Date(e.end).getTime() }))
+    .filter((b) => Number.isFinite(b.start) && Number.isFinite(b.end) && b.end > b.start);
+}
+
+/**
+ * Meetings already in the host's calendar that day: busy blocks that overlap the type's window.
+ * This is what dailyCap counts against.
+ */
+function countDayMeetings(busy, open, close) {
+  return busy.filter((b) => b.start < close && b.end > open).length;
+}
+
+/**
+ * @param {object} opts
+ * @param {string[]} opts.dates YYYY-MM-DD in host time
+ * @param {string} opts.hostTz
+ * @param {string} [opts.guestTz]
+ * @param {Array} opts.busy calendar events ({ start, end })
+ * @param {object} opts.type guestBookingMeetingTypes meeting type
+ * @param {Date} [opts.now]
+ * @returns {Array<{ date: string, day: string, freeSlots: Array<{ time: string, display: string }> }>}
+ */
+function buildSlotDays({ dates, hostTz, guestTz, busy, type, now = new Date() }) {
+  const gTz = guestTz || hostTz;
+  const busyMs = toBusyMs(busy);
+  const durMs = type.durationMinutes * 60000;
+  const bufMs = (type.bufferMinutes || 0) * 60000;
+  const stepMs = (type.stepMinutes || type.durationMinutes) * 60000;
+  const earliest = now.getTime() + (type.minNoticeHours || 0) * 3600000;
+
+  return dates.map((date) => {
+    const dayStart = DateTime.fromISO(`${date}T00:00:00`, { zone: hostTz });
+    const open = dayStart.plus({ minutes: type.hostStartMinutes }).toMillis();
+    const close = dayStart.plus({ minutes: type.hostEndMinutes }).toMillis();
+    const day = DateTime.fromISO(`${date}T12:00:00`, { zone: hostTz }).setZone(gTz).toFormat("ccc, d LLL");
+
+    if (type.dailyCap && countDayMeetings(busyMs, open, close) >= type.dailyCap) {
+      return { date, day, freeSlots: [] };
+    }
+
+    const freeSlots = [];
+    for (let s = open; s + durMs <= close; s += stepMs) {
+      if (s < earliest) continue;
+      const e = s + durMs;
+      // The buffer keeps clear time around the meeting, not around the window edges.
+      if (busyMs.some((b) => s - bufMs < b.end && e + bufMs > b.start)) continue;
+      const gStart = DateTime.fromMillis(s, { zone: gTz });
+      const gEnd = DateTime.fromMillis(e, { zone: gTz });
+      const gStartMin = gStart.hour * 60 + gStart.minute;
+      const gEndMin = gEnd.hour * 60 + gEnd.minute;
+      const guestOk =
+        gStart.day === gEnd.day &&
+        gStartMin >= type.guestStartMinutes &&
+        gEndMin <= type.guestEndMinutes;
+      if (!guestOk) continue;
+      freeSlots.push({
+        time: DateTime.fromMillis(s, { zone: "utc" }).toISO(),
+        display: gStart.toFormat("h:mm a"),
+      });
+    }
+    return { date, day, freeSlots };
+  });
+}
+
+/**
+ * Union of several hosts' grids. Days are keyed by the GUEST's calendar date (hosts can sit in
+ * different timezones); each slot lists the hosts free for it.
+ * @param {Array<{ hostId: string, days: Array }>} perHost
+ * @param {string} guestTz
+ * @returns {Array<{ date, day, freeSlots: Array<{ time, display, hosts: string[] }> }>}
+ */
+function mergeTeamDays(perHost, guestTz) {
+  const byDate = new Map();
+  for (const { hostId, days } of perHost) {
+    for (const d of days || []) {
+      for (const slot of d.freeSlots || []) {
+        const g = DateTime.fromISO(slot.time, { zone: "utc" }).setZone(guestTz);
+        const date = g.toISODate();
+        if (!byDate.has(date)) byDate.set(date, { date, day: g.toFormat("ccc, d LLL"), slots: new Map() });
+        const slots = byDate.get(date).slots;
+        const key = DateTime.fromISO(slot.time).toMillis();
+        if (!slots.has(key)) slots.set(key, { time: slot.time, display: g.toFormat("h:mm a"), hosts: [] });
+        const entry = slots.get(key);
+        if (!entry.hosts.includes(hostId)) entry.hosts.push(hostId);
+      }
+    }
+  }
+  return [...byDate.values()]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(({ date, day, slots }) => ({
+      date,
+      day,
+      freeSlots: [...slots.entries()].sort((a, b) => a[0] - b[0]).map(([, s]) => s),
+    }));
+}
+
+/**
+ * Round-robin: of the hosts free for the slot, the one with the fewest bookings on this link in
+ * the history window; ties go to whoever was assigned longest ago (never = first), then link order.
+ * @param {string[]} candidates host Client IDs free for the slot, in link order
+ * @param {Array<{ hostClientId: string, createdAt: string }>} history this link's recent bookings
+ * @returns {string[]} candidates in the order to try
+ */
+function orderRoundRobin(candidates, history) {
+  const stats = new Map(candidates.map((id, i) => [id, { id, i, count: 0, last: 0 }]));
+  for (const h of history || []) {
+    const s = stats.get(h.hostClientId);
+    if (!s) continue;
+    s.count++;
+    s.last = Math.max(s.last, new Date(h.createdAt).getTime() || 0);
+  }
+  return [...stats.values()]
+    .sort((a, b) => a.count - b.count || a.last - b.last || a.i - b.i)
+    .map((s) => s.id);
+}
+
+module.exports = {
+  buildSlotDays,
+  mergeTeamDays,
+  orderRoundRobin,
+  toBusyMs,
+};
@@ -0,0 +1,271 @@
+/**
+ * Guest bookings made through coach booking links (services/guestBookingHosts.js): which host a
+ * booking went to, on which link, with the calendar event it created. Wingguy's book_meeting
+ * (wingguyCalendar.createBookingEvent) records here too, on link_key `wingguy:<clientId>`.
+ *
+ * Round-robin reads this back — a team link hands the next guest to the free host with the fewest
+ * recent bookings on that link — so assignment stays fair across restarts and instances.
+ *
+ * Guest self-service (services/guestBookingManage.js) finds a booking by its `ref` — the random id
+ * inside the signed reschedule/cancel link — and moves or cancels it here.
+ *
+ * The private ICS feed (services/meetingIcsFeed.js) lists a host's rows, cancelled ones included so
+ * subscribed calendars drop them.
+ *
+ * Table (same Postgres as the recall_* store):
+ *   guest_bookings — link_key, host_client_id, meeting_type, event_id, provider, start_at, end_at,
+ *                    guest_name, guest_email, guest_linkedin, status, created_at,
+ *                    ref, owner_client_id, guest_notes, reschedule_count, updated_at
+ *
+ * No DATABASE_URL => an in-process array (works locally, lost on restart).
+ * House style: tokenUsageLedger.js (lazy Pool, ensureSchema CREATE-IF-NOT-EXISTS, no migrations).
+ */
+
+const { Pool } = require("pg");
+
+let pool;
+let schemaEnsured = false;
+const memory = [];
+let memorySeq = 0;
+
+function getPool() {
+  if (pool) return pool;
+  const url = (process.env.DATABASE_URL || "").trim();
+  if (!url) return null;
+  pool = new Pool({ connectionString: url, ssl: { rejectUnauthorized: false } });
+  return pool;
+}
+
+/** Test seam: inject a fake pool (unit tests never touch a real database). */
+function __setTestPool(fake) {
+  pool = fake;
+  schemaEnsured = fake ? true : false;
+  memory.length = 0;
+  memorySeq = 0;
+}
+
+async function ensureSchema(client) {
+  if (schemaEnsured) return;
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS guest_bookings (
+      id              BIGSERIAL PRIMARY KEY,
+      link_key        TEXT NOT NULL,
+      host_client_id  TEXT NOT NULL,
+      meeting_type    TEXT NOT NULL,
+      event_id        TEXT,
+      provider        TEXT,
+      start_at        TIMESTAMPTZ NOT NULL,
+      end_at          TIMESTAMPTZ NOT NULL,
+      guest_name      TEXT,
+      guest_email     TEXT,
+      guest_linkedin  TEXT,
+      status          TEXT NOT NULL DEFAULT 'booked',
+      created_at      TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_guest_bookings_link ON guest_bookings (link_key, created_at);`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_guest_bookings_host ON guest_bookings (host_client_id, start_at);`);
+  // Guest reschedule / cancel. Added after the fact, hence ADD COLUMN IF NOT EXISTS (no migrations).
+  //   ref              unguessable id carried by the signed manage link
+  //   owner_client_id  the link owner, whose meeting types a reschedule offers
+  //   status           'booked' | 'cancelled'
+  await client.query(`ALTER TABLE guest_bookings ADD COLUMN IF NOT EXISTS ref TEXT;`);
+  await client.query(`ALTER TABLE guest_bookings ADD COLUMN IF NOT EXISTS owner_client_id TEXT;`);
+  await client.query(`ALTER TABLE guest_bookings ADD COLUMN IF NOT EXISTS guest_notes TEXT;`);
+  await client.query(`ALTER TABLE guest_bookings ADD COLUMN IF NOT EXISTS reschedule_count INT NOT NULL DEFAULT 0;`);
+  await client.query(`ALTER TABLE guest_bookings ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;`);
+  await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_guest_bookings_ref ON guest_bookings (ref) WHERE ref IS NOT NULL;`);
+  schemaEnsured = true;
+}
+
+async function withClient(fn) {
+  const client = await getPool().connect();
+  try {
+    await ensureSchema(client);
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+}
+
+const iso = (v) => (v instanceof Date ? v.toISOString() : v);
+
+function rowToBooking(r) {
+  return {
+    id: Number(r.id),
+    linkKey: r.link_key,
+    hostClientId: r.host_client_id,
+    meetingType: r.meeting_type,
+    eventId: r.event_id,
+    provider: r.provider,
+    startAt: iso(r.start_at),
+    endAt: iso(r.end_at),
+    guestName: r.guest_name,
+    guestEmail: r.guest_email,
+    guestLinkedIn: r.guest_linkedin,
+    status: r.status,
+    createdAt: iso(r.created_at),
+    ref: r.ref || null,
+    ownerClientId: r.owner_client_id || null,
+    guestNotes: r.guest_notes || null,
+    rescheduleCount: Number(r.reschedule_count) || 0,
+    updatedAt: iso(r.updated_at) || null,
+  };
+}
+
+/**
+ * Record a booking. Never throws — the calendar invite already went out; losing the row only
+ * skews round-robin (the warning says so).
+ * @returns {Promise<Object|null>}
+ */
+async function recordBooking(b) {
+  const row = {
+    linkKey: b.linkKey,
+    hostClientId: b.hostClientId,
+    meetingType: b.meetingType,
+    eventId: b.eventId || null,
+    provider: b.provider || null,
+    startAt: iso(b.startAt),
+    endAt: iso(b.endAt),
+    guestName: b.guestName || null,
+    guestEmail: b.guestEmail || null,
+    guestLinkedIn: b.guestLinkedIn || null,
+    status: "booked",
+    ref: b.ref || null,
+    ownerClientId: b.ownerClientId || null,
+    guestNotes: b.guestNotes || null,
+    rescheduleCount: 0,
+    updatedAt: null,
+  };
+  try {
+    if (!getPool()) {
+      const rec = { id: ++memorySeq, ...row, createdAt: new Date().toISOString() };
+      memory.push(rec);
+      return rec;
+    }
+    const r = await withClient((c) => c.query(
+      `INSERT INTO guest_bookings (link_key, host_client_id, meeting_type, event_id, provider, start_at, end_at,
+                                   guest_name, guest_email, guest_linkedin, ref, owner_client_id, guest_notes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING *`,
+      [row.linkKey, row.hostClientId, row.meetingType, row.eventId, row.provider, row.startAt, row.endAt,
+        row.guestName, row.guestEmail, row.guestLinkedIn, row.ref, row.ownerClientId, row.guestNotes]));
+    return rowToBooking(r.rows[0]);
+  } catch (e) {
+    console.warn(`[guestBookingStore] could not record booking for ${b.hostClientId} on ${b.linkKey}: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * A link's bookings since a moment (round-robin history), oldest first.
+ * @returns {Promise<Array<{ hostClientId: string, createdAt: string }>>}
+ */
+async function assignmentHistory(linkKey, { since }) {
+  if (!getPool()) {
+    return memory
+      .filter((m) => m.linkKey === linkKey && m.status === "booked" && new Date(m.createdAt) >= since)
+      .map((m) => ({ hostClientId: m.hostClientId, createdAt: m.createdAt }));
+  }
+  const r = await withClient((c) => c.query(
+    `SELECT host_client_id, created_at FROM guest_bookings
+      WHERE link_key = $1 AND status = 'booked' AND created_at >= $2
+      ORDER BY created_at`,
+    [linkKey, since]));
+  return r.rows.map((row) => ({ hostClientId: row.host_client_id, createdAt: iso(row.created_at) }));
+}
+
+/**
+ * The booking a manage link points at (any status), or null.
+ * @param {string} ref
+ * @returns {Promise<Object|null>}
+ */
+async function getBookingByRef(ref) {
+  if (!ref) return null;
+  if (!getPool()) {
+    const m = memory.find((x) => x.ref === ref);
+    return m ? { ...m } : null;
+  }
+  const r = await withClient((c) => c.query(`SELECT * FROM guest_bookings WHERE ref = $1`, [ref]));
+  return r.rows[0] ? rowToBooking(r.rows[0]) : null;
+}
+
+/**
+ * Move a booking to its new time (and event id — some providers re-create the event).
+ * Counts toward the reschedule limit. Only 'booked' rows move.
+ * @returns {Promise<Object|null>} the updated booking, or null when it wasn't 'booked'
+ */
+async function rescheduleBookingRow(id, { startAt, endAt, eventId }) {
+  if (!getPool()) {
+    const m = memory.find((x) => x.id === id && x.status === "booked");
+    if (!m) return null;
+    Object.assign(m, {
+      startAt: iso(startAt),
+      endAt: iso(endAt),
+      eventId: eventId || m.eventId,
+      rescheduleCount: m.rescheduleCount + 1,
+      updatedAt: new Date().toISOString(),
+    });
+    return { ...m };
+  }
+  const r = await withClient((c) => c.query(
+    `UPDATE guest_bookings
+        SET start_at = $2, end_at = $3, event_id = COALESCE($4, event_id),
+            reschedule_count = reschedule_count + 1, updated_at = now()
+      WHERE id = $1 AND status = 'booked'
+      RETURNING *`,
+    [id, iso(startAt), iso(endAt), eventId || null]));
+  return r.rows[0] ? rowToBooking(r.rows[0]) : null;
+}
+
+/**
+ * Mark a booking cancelled (drops it out of round-robin history too).
+ * @returns {Promise<Object|null>} the updated booking, or null when it wasn't 'booked'
+ */
+async function cancelBookingRow(id) {
+  if (!getPool()) {
+    const m = memory.find((x) => x.id === id && x.status === "booked");
+    if (!m) return null;
+    Object.assign(m, { status: "cancelled", updatedAt: new Date().toISOString() });
+    return { ...m };
+  }
+  const r = await withClient((c) => c.query(
+    `UPDATE guest_bookings SET status = 'cancelled', updated_at = now()
+      WHERE id = $1 AND status = 'booked'
+      RETURNING *`,
+    [id]));
+  return r.rows[0] ? rowToBooking(r.rows[0]) : null;
+}
+
+/**
+ * A host's bookings starting inside [from, to), any status, earliest first.
+ * @returns {Promise<Object[]>}
+ */
+async function listHostBookings(hostClientId, { from, to }) {
+  const fromMs = new Date(from).getTime();
+  const toMs = new Date(to).getTime();
+  if (!getPool()) {
+    return memory
+      .filter((m) => {
+        const t = new Date(m.startAt).getTime();
+        return m.hostClientId === hostClientId && t >= fromMs && t < toMs;
+      })
+      .sort((a, b) => new Date(a.startAt) - new Date(b.startAt))
+      .map((m) => ({ ...m }));
+  }
+  const r = await withClient((c) => c.query(
+    `SELECT * FROM guest_bookings
+      WHERE host_client_id = $1 AND start_at >= $2 AND start_at < $3
+      ORDER BY start_at`,
+    [hostClientId, iso(from), iso(to)]));
+  return r.rows.map(rowToBooking);
+}
+
+module.exports = {
+  recordBooking,
+  assignmentHistory,
+  listHostBookings,
+  getBookingByRef,
+  rescheduleBookingRow,
+  cancelBookingRow,
+  __setTestPool,
+};
@@ -1,5 +1,9 @@
 /**
- * Signed payload for public guest booking links (Guy-only).
+ * Signed payload for public guest booking links.
+ * No host fields = the original Guy-only link (OAuth calendar, 30-minute intro).
+ * `h` (one coach) or `hs` (a round-robin team) + optional `mt` (meeting type key) = a coach link
+ * served by services/guestBookingHosts.js.
+ * `b` alone (a booking ref) = a guest's reschedule / cancel link (services/guestBookingManage.js).
  * Env: GUEST_BOOKING_LINK_SECRET (min 16 chars).
  * Env: GUEST_BOOKING_LINK_EXPIRY_DAYS (optional, default 90, clamped 1–365).
  */
@@ -31,6 +35,10 @@ function getSecret() {
  * @param {string} payload.li LinkedIn profile URL (canonical from Airtable)
  * @param {string} payload.e marketing / on-file email
  * @param {number} payload.exp Unix seconds (required)
+ * @param {string} [payload.h] host Master Clients Client ID
+ * @param {string[]} [payload.hs] team link: Client IDs to round-robin across (first = link owner)
+ * @param {string} [payload.mt] meeting type key (the owner's Booking Meeting Types; default first)
+ * @param {string} [payload.b] booking ref (manage links only — no guest or host fields)
  */
 function signGuestBookingToken(payload) {
   const body = JSON.stringify(payload);
@@ -42,6 +50,40 @@ function signGuestBookingToken(payload) {
   return `${b}.${h}`;
 }
 
+const MAX_TEAM_HOSTS = 10;
+
+/** Host fields are optional; when present they must be well-formed. */
+function hostFieldsError(payload) {
+  if (payload.h != null && (typeof payload.h !== "string" || !payload.h.trim())) {
+    return "invalid host";
+  }
+  if (payload.hs != null) {
+    const ok =
+      Array.isArray(payload.hs) &&
+      payload.hs.length >= 1 &&
+      payload.hs.length <= MAX_TEAM_HOSTS &&
+      payload.hs.every((x) => typeof x === "string" && x.trim());
+    if (!ok) return "invalid team";
+  }
+  if (payload.mt != null && (typeof payload.mt !== "string" || !payload.mt.trim())) {
+    return "invalid meeting type";
+  }
+  return null;
+}
+
+/**
+ * Client IDs a payload books with: [] for the original Guy-only link.
+ * @param {object} payload
+ * @returns {string[]}
+ */
+function bookingHostsFromPayload(payload) {
+  if (!payload) return [];
+  if (Array.isArray(payload.hs) && payload.hs.length) {
+    return [...new Set(payload.hs.map((x) => String(x).trim()))];
+  }
+  return payload.h ? [String(payload.h).trim()] : [];
+}
+
 function timingSafeEqualStr(a, b) {
   const ba = Buffer.from(String(a), "utf8");
   const bb = Buffer.from(String(b), "utf8");
@@ -49,10 +91,8 @@ function timingSafeEqualStr(a, b) {
   return crypto.timingSafeEqual(ba, bb);
 }
 
-/**
- * @returns {{ ok: true, payload: object } | { ok: false, error: string }}
- */
-function verifyGuestBookingToken(token) {
+/** Signature + expiry only; callers check the payload shape. */
+function verifySigned(token) {
   if (!token || typeof token !== "string") {
     return { ok: false, error: "missing token" };
   }
@@ -84,15 +124,66 @@ function verifyGuestBookingToken(token) {
   if (payload.exp && Date.now() / 1000 > Number(payload.exp)) {
     return { ok: false, error: "expired" };
   }
+  return { ok: true, payload };
+}
+
+/**
+ * A guest's link: who they are, and optionally which coach / team / meeting type.
+ * @returns {{ ok: true, payload: object } | { ok: false, error: string }}
+ */
+function verifyGuestBookingToken(token) {
+  const v = verifySigned(token);
+  if (!v.ok) return v;
+  const { payload } = v;
   if (!payload.n || !payload.li || !payload.e) {
     return { ok: false, error: "invalid payload" };
   }
+  const hostErr = hostFieldsError(payload);
+  if (hostErr) return { ok: false, error: hostErr };
+  return { ok: true, payload };
+}
+
+/**
+ * An open coach link (/guest-book?l=...): a host or team and meeting type but no guest yet —
+ * the guest identifies on the page and POST /api/guest/identify mints their own token from it.
+ * @returns {{ ok: true, payload: object } | { ok: false, error: string }}
+ */
+function verifyBookingLinkToken(token) {
+  const v = verifySigned(token);
+  if (!v.ok) return v;
+  const { payload } = v;
+  const hostErr = hostFieldsError(payload);
+  if (hostErr) return { ok: false, error: hostErr };
+  if (!bookingHostsFromPayload(payload).length) {
+    return { ok: false, error: "invalid payload" };
+  }
+  return { ok: true, payload };
+}
+
+const BOOKING_REF_RE = /^[A-Za-z0-9_-]{12,64}$/;
+
+/**
+ * A guest's reschedule / cancel link for one booking. Carries only the booking ref, so it can't
+ * be used to book, and a booking link can't be used to manage.
+ * @returns {{ ok: true, payload: object } | { ok: false, error: string }}
+ */
+function verifyBookingManageToken(token) {
+  const v = verifySigned(token);
+  if (!v.ok) return v;
+  const { payload } = v;
+  if (typeof payload.b !== "string" || !BOOKING_REF_RE.test(payload.b) || payload.n || bookingHostsFromPayload(payload).length) {
+    return { ok: false, error: "invalid payload" };
+  }
   return { ok: true, payload };
 }
 
 module.exports = {
   signGuestBookingToken,
   verifyGuestBookingToken,
+  verifyBookingLinkToken,
+  verifyBookingManageToken,
+  bookingHostsFromPayload,
+  MAX_TEAM_HOSTS,
   getGuestBookingLinkExpiryDays,
   guestBookingTokenExpiryUnix,
 };
@@ -0,0 +1,184 @@
+/**
+ * Unanswered-question analytics for Help Q&A: clusters the flagged questions from
+ * helpQaFeedbackStore (no answer, or thumbs down) by topic and wording, and drafts a new help topic
+ * from a cluster.
+ *
+ * Clustering is deliberately cheap: content-word sets compared with Jaccard similarity, greedy
+ * (each question joins the closest existing cluster if it is similar enough, else starts one). A few hundred questions a month
+ * cluster in milliseconds and the groups are easy to eyeball.
+ *
+ * Drafting grounds the LLM in whatever the help retrieval index already has on the subject (so the
+ * draft reuses existing wording and says where the gap is); without an OpenAI client it returns a
+ * plain outline built from the questions themselves.
+ */
+
+const { STOP_WORDS } = require("../helpEmbeddingProviders");
+const helpRetrieval = require("../helpRetrieval");
+const { createLogger } = require("../utils/contextLogger");
+
+const logger = createLogger({ runId: "SYSTEM", clientId: "SYSTEM", operation: "help_qa_feedback" });
+
+const DEFAULT_SIMILARITY = 0.5;
+const MAX_EXAMPLES = 5;
+
+/** Lowercased content words, crude plural folding ("campaigns" ~ "campaign"). */
+function questionTerms(question) {
+  return new Set(
+    String(question || "")
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((w) => w.length > 1 && !STOP_WORDS.has(w))
+      .map((w) => (w.length > 3 && w.endsWith("s") && !w.endsWith("ss") ? w.slice(0, -1) : w))
+  );
+}
+
+function jaccard(a, b) {
+  if (!a.size && !b.size) return 1;
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Group questions whose wording overlaps. A cluster is matched on the terms of the question that
+ * started it, so it cannot drift away from its first phrasing as it grows.
+ * @param {Array<{question:string}>} questions
+ * @param {{similarity?:number}} [opts]
+ * @returns {Array<{seed:Set<string>, items:object[]}>}
+ */
+function clusterQuestions(questions, { similarity = DEFAULT_SIMILARITY } = {}) {
+  const clusters = [];
+  for (const q of questions) {
+    const terms = questionTerms(q.question);
+    let best = null;
+    let bestScore = 0;
+    for (const c of clusters) {
+      const score = jaccard(terms, c.seed);
+      if (score > bestScore) { best = c; bestScore = score; }
+    }
+    if (best && bestScore >= similarity) best.items.push(q);
+    else clusters.push({ seed: terms, items: [q] });
+  }
+  return clusters;
+}
+
+function representative(items) {
+  const counts = new Map();
+  for (const q of items) {
+    const key = q.question.trim().replace(/\s+/g, " ");
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].length - b[0].length)[0][0];
+}
+
+/**
+ * The admin report: flagged questions grouped by topic (then area for questions asked outside a
+ * topic), clustered within each group, biggest clusters first.
+ * @param {object[]} questions entries from helpQaFeedbackStore.listFlaggedQuestions()
+ * @param {{similarity?:number, topicTitles?:Object<string,string>}} [opts]
+ */
+function buildReport(questions, { similarity, topicTitles = {} } = {}) {
+  const groups = new Map();
+  for (const q of questions) {
+    const key = q.topicId ? `topic:${q.topicId}` : q.area ? `area:${q.area}` : "unscoped";
+    if (!groups.has(key)) groups.set(key, { key, topicId: q.topicId || null, area: q.topicId ? null : q.area || null, items: [] });
+    groups.get(key).items.push(q);
+  }
+
+  const out = [];
+  for (const g of groups.values()) {
+    const clusters = clusterQuestions(g.items, { similarity }).map((c) => ({
+      representative: representative(c.items),
+      count: c.items.length,
+      unanswered: c.items.filter((q) => !q.answered).length,
+      downvoted: c.items.filter((q) => q.rating === -1).length,
+      questionIds: c.items.map((q) => q.id),
+      examples: [...new Set(c.items.map((q) => q.question))].slice(0, MAX_EXAMPLES),
+      comments: c.items.map((q) => q.comment).filter(Boolean).slice(0, MAX_EXAMPLES),
+      lastAskedAt: c.items.map((q) => q.askedAt).sort().pop(),
+    }));
+    clusters.sort((a, b) => b.count - a.count || String(b.lastAskedAt).localeCompare(String(a.lastAskedAt)));
+    out.push({
+      topicId: g.topicId,
+      topicTitle: g.topicId ? topicTitles[g.topicId] || null : null,
+      area: g.area,
+      total: g.items.length,
+      clusters,
+    });
+  }
+  out.sort((a, b) => b.total - a.total);
+  return out;
+}
+
+function outlineDraft(questions, context) {
+  const asked = [...new Set(questions.map((q) => q.question.trim()))];
+  const comments = questions.map((q) => q.comment).filter(Boolean);
+  const title = representative(questions).replace(/\?+$/, "");
+  const lines = [
+    `# ${title}`,
+    "",
+    "## Questions this topic should answer",
+    ...asked.map((q) => `- ${q}`),
+  ];
+  if (comments.length) lines.push("", "## What readers said was missing", ...comments.map((c) => `- ${c}`));
+  if (context.length) lines.push("", "## Related existing content", ...context.map((s) => `- ${s.title} (${s.source})`));
+  lines.push("", "## Answer", "_To be written._");
+  return { title, body: lines.join("\n") };
+}
+
+/**
+ * Draft a help topic from a set of logged questions.
+ * @param {object[]} questions entries from helpQaFeedbackStore.getQuestions()
+ * @param {{openaiClient?:object, model?:string}} [opts]
+ * @returns {Promise<{title:string, body:string, method:'llm'|'outline', citations:object[]}>}
+ */
+async function draftTopicFromQuestions(questions, { openaiClient, model } = {}) {
+  if (!questions.length) throw new Error("No questions to draft from");
+  const seen = new Set();
+  const context = [];
+  for (const q of questions.slice(0, 10)) {
+    for (const hit of await helpRetrieval.search(q.question, { topK: 3 })) {
+      if (seen.has(hit.segment.id) || context.length >= 8) continue;
+      seen.add(hit.segment.id);
+      context.push(hit.segment);
+    }
+  }
+  const citations = context.map((seg, i) => helpRetrieval.toCitation(seg, i + 1));
+
+  if (openaiClient) {
+    const asked = [...new Set(questions.map((q) => q.question.trim()))].map((q) => `- ${q}`).join("\n");
+    const comments = questions.map((q) => q.comment).filter(Boolean).map((c) => `- ${c}`).join("\n");
+    const blocks = context.map((seg, i) => `[S${i + 1}] ${seg.title} (${seg.source})\n${seg.text}`).join("\n\n====\n\n");
+    const prompt = [
+      "Users asked these questions in the help panel and got no useful answer:",
+      asked,
+      comments ? `\nTheir feedback:\n${comments}` : "",
+      "\nExisting help content that may be related:",
+      blocks || "(none)",
+      '\nWrite a new help topic that answers them. Reuse facts from the existing content and cite it as [S1]; where the content does not cover something, write "TODO:" with what the author must fill in. Do not invent product behaviour.',
+      'Reply as JSON: {"title": "...", "body": "markdown"}',
+    ].join("\n");
+    try {
+      const chat = await openaiClient.chat.completions.create({
+        model: model || process.env.HELP_QA_LLM_MODEL || "gpt-4o-mini",
+        messages: [
+          { role: "system", content: "You draft help-centre articles for a support team. Be concise and concrete." },
+          { role: "user", content: prompt },
+        ],
+        temperature: 0.3,
+        max_tokens: 900,
+        response_format: { type: "json_object" },
+      });
+      const parsed = JSON.parse(chat.choices?.[0]?.message?.content || "{}");
+      if (parsed.title && parsed.body) {
+        return { title: String(parsed.title).trim(), body: String(parsed.body).trim(), method: "llm", citations };
+      }
+    } catch (e) {
+      // fall through to the outline: a draft the author can still start from
+      logger.warn(`[helpQaAnalytics] LLM draft failed, using outline: ${e.message}`);
+    }
+  }
+  return { ...outlineDraft(questions, context), method: "outline", citations };
+}
+
+module.exports = { questionTerms, clusterQuestions, buildReport, draftTopicFromQuestions };
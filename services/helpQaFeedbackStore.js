@@ -0,0 +1,290 @@
+/**
+ * Help Q&A log + feedback: every question asked through /api/help/qa and /api/help/qa-embed, what
+ * came back (answered or not, which segments it cited), and the asker's thumbs up/down + comment.
+ * Feeds the unanswered/downvoted report and help-topic drafting (services/helpQaAnalytics.js,
+ * routes/helpFeedbackRoutes.js).
+ *
+ * Tables (same Postgres as the other stores):
+ *   help_qa_log        — one row per question; rating/comment/feedback_at filled in by feedback,
+ *                        draft_id once the question has been folded into a topic draft
+ *   help_topic_drafts  — drafts generated from flagged questions (copied into Airtable by hand)
+ *
+ * Logging must never break an answer: recordQuestion() swallows its own errors and returns null.
+ * No DATABASE_URL => in-process arrays (works locally, lost on restart).
+ * House style: tokenUsageLedger.js (lazy Pool, ensureSchema CREATE-IF-NOT-EXISTS, no migrations).
+ */
+
+const crypto = require("crypto");
+const { Pool } = require("pg");
+const { createLogger } = require("../utils/contextLogger");
+
+const logger = createLogger({ runId: "SYSTEM", clientId: "SYSTEM", operation: "help_qa_feedback" });
+
+let pool;
+let schemaEnsured = false;
+const memory = { log: [], drafts: [] };
+
+const MAX_QUESTION = 1000;
+const MAX_ANSWER_EXCERPT = 600;
+const MAX_COMMENT = 2000;
+
+function getPool() {
+  if (pool) return pool;
+  const url = (process.env.DATABASE_URL || "").trim();
+  if (!url) return null;
+  pool = new Pool({ connectionString: url, ssl: { rejectUnauthorized: false } });
+  return pool;
+}
+
+/** Test seam: inject a fake pool (unit tests never touch a real database). */
+function __setTestPool(fake) {
+  pool = fake;
+  schemaEnsured = fake ? true : false;
+  memory.log = [];
+  memory.drafts = [];
+}
+
+async function ensureSchema(client) {
+  if (schemaEnsured) return;
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS help_qa_log (
+      id            TEXT PRIMARY KEY,
+      asked_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+      endpoint      TEXT NOT NULL,
+      topic_id      TEXT,
+      area          TEXT,
+      client_id     TEXT,
+      question      TEXT NOT NULL,
+      method        TEXT,
+      answered      BOOLEAN NOT NULL,
+      answer_excerpt TEXT,
+      citations     JSONB NOT NULL DEFAULT '[]'::jsonb,
+      rating        SMALLINT,
+      comment       TEXT,
+      feedback_at   TIMESTAMPTZ,
+      draft_id      TEXT
+    );
+    CREATE INDEX IF NOT EXISTS help_qa_log_asked_idx ON help_qa_log (asked_at DESC);
+    CREATE TABLE IF NOT EXISTS help_topic_drafts (
+      id            TEXT PRIMARY KEY,
+      created_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+      topic_id      TEXT,
+      title         TEXT NOT NULL,
+      body          TEXT NOT NULL,
+      method        TEXT NOT NULL,
+      question_ids  JSONB NOT NULL DEFAULT '[]'::jsonb,
+      citations     JSONB NOT NULL DEFAULT '[]'::jsonb
+    );
+  `);
+  schemaEnsured = true;
+}
+
+async function withClient(fn) {
+  const client = await getPool().connect();
+  try {
+    await ensureSchema(client);
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+}
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(9).toString("base64url")}`;
+const clip = (s, n) => (s == null ? null : String(s).slice(0, n));
+
+function rowToEntry(r) {
+  return {
+    id: r.id,
+    askedAt: r.asked_at instanceof Date ? r.asked_at.toISOString() : r.asked_at,
+    endpoint: r.endpoint,
+    topicId: r.topic_id || null,
+    area: r.area || null,
+    clientId: r.client_id || null,
+    question: r.question,
+    method: r.method || null,
+    answered: !!r.answered,
+    answerExcerpt: r.answer_excerpt || null,
+    citations: r.citations || [],
+    rating: r.rating == null ? null : Number(r.rating),
+    comment: r.comment || null,
+    feedbackAt: r.feedback_at instanceof Date ? r.feedback_at.toISOString() : (r.feedback_at || null),
+    draftId: r.draft_id || null,
+  };
+}
+
+/**
+ * Log one asked question. Citations are kept as pointers only ({source, sourceId, segmentId}).
+ * @returns {Promise<string|null>} the qaId the client sends feedback against, or null if logging failed
+ */
+async function recordQuestion({ endpoint, topicId, area, clientId, question, method, answered, answer, citations } = {}) {
+  const row = {
+    id: newId("hq"),
+    asked_at: new Date().toISOString(),
+    endpoint: String(endpoint || "qa"),
+    topic_id: topicId || null,
+    area: area || null,
+    client_id: clientId || null,
+    question: clip(question, MAX_QUESTION) || "",
+    method: method || null,
+    answered: !!answered,
+    answer_excerpt: clip(answer, MAX_ANSWER_EXCERPT),
+    citations: (citations || []).map((c) => ({ source: c.source, sourceId: c.sourceId, segmentId: c.segmentId || null })),
+  };
+  try {
+    if (!getPool()) {
+      memory.log.push({ ...row, rating: null, comment: null, feedback_at: null, draft_id: null });
+      return row.id;
+    }
+    await withClient((c) => c.query(
+      `INSERT INTO help_qa_log (id, asked_at, endpoint, topic_id, area, client_id, question, method, answered, answer_excerpt, citations)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [row.id, row.asked_at, row.endpoint, row.topic_id, row.area, row.client_id, row.question, row.method,
+        row.answered, row.answer_excerpt, JSON.stringify(row.citations)]));
+    return row.id;
+  } catch (e) {
+    logger.warn(`[helpQaFeedback] question not logged: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Thumbs up/down and/or a comment on one logged answer. Later feedback replaces the rating; a
+ * comment-only call keeps the rating (and vice versa).
+ * @param {string} qaId
+ * @param {{rating?: 'up'|'down'|1|-1|null, comment?: string}} feedback
+ * @returns {Promise<{ok:boolean, error?:string, entry?:object}>}
+ */
+async function recordFeedback(qaId, { rating, comment } = {}) {
+  let score;
+  if (rating === "up" || rating === 1) score = 1;
+  else if (rating === "down" || rating === -1) score = -1;
+  else if (rating != null) return { ok: false, error: "rating must be 'up' or 'down'" };
+  const note = typeof comment === "string" && comment.trim() ? clip(comment.trim(), MAX_COMMENT) : null;
+  if (score === undefined && !note) return { ok: false, error: "rating or comment is required" };
+
+  if (!getPool()) {
+    const row = memory.log.find((r) => r.id === qaId);
+    if (!row) return { ok: false, error: "not_found" };
+    if (score !== undefined) row.rating = score;
+    if (note) row.comment = note;
+    row.feedback_at = new Date().toISOString();
+    return { ok: true, entry: rowToEntry(row) };
+  }
+  const r = await withClient((c) => c.query(
+    `UPDATE help_qa_log
+        SET rating = COALESCE($2, rating), comment = COALESCE($3, comment), feedback_at = now()
+      WHERE id = $1
+      RETURNING *`,
+    [qaId, score === undefined ? null : score, note]));
+  if (!r.rows[0]) return { ok: false, error: "not_found" };
+  return { ok: true, entry: rowToEntry(r.rows[0]) };
+}
+
+/**
+ * Questions worth a help author's time: unanswered or downvoted, newest first.
+ * @param {{sinceDays?:number, includeDrafted?:boolean, limit?:number}} [opts]
+ */
+async function listFlaggedQuestions({ sinceDays = 30, includeDrafted = false, limit = 2000 } = {}) {
+  const since = new Date(Date.now() - sinceDays * 86400000).toISOString();
+  if (!getPool()) {
+    return memory.log
+      .filter((r) => r.asked_at >= since && (!r.answered || r.rating === -1) && (includeDrafted || !r.draft_id))
+      .sort((a, b) => String(b.asked_at).localeCompare(String(a.asked_at)))
+      .slice(0, limit)
+      .map(rowToEntry);
+  }
+  const r = await withClient((c) => c.query(
+    `SELECT * FROM help_qa_log
+      WHERE asked_at >= $1 AND (answered = false OR rating = -1) AND ($2 OR draft_id IS NULL)
+      ORDER BY asked_at DESC
+      LIMIT $3`,
+    [since, !!includeDrafted, limit]));
+  return r.rows.map(rowToEntry);
+}
+
+/** Totals for the report header: asked, answered, rated up/down over the window. */
+async function summarize({ sinceDays = 30 } = {}) {
+  const since = new Date(Date.now() - sinceDays * 86400000).toISOString();
+  if (!getPool()) {
+    const rows = memory.log.filter((r) => r.asked_at >= since);
+    return {
+      asked: rows.length,
+      answered: rows.filter((r) => r.answered).length,
+      up: rows.filter((r) => r.rating === 1).length,
+      down: rows.filter((r) => r.rating === -1).length,
+    };
+  }
+  const r = await withClient((c) => c.query(
+    `SELECT count(*)::int AS asked,
+            count(*) FILTER (WHERE answered)::int AS answered,
+            count(*) FILTER (WHERE rating = 1)::int AS up,
+            count(*) FILTER (WHERE rating = -1)::int AS down
+       FROM help_qa_log WHERE asked_at >= $1`,
+    [since]));
+  return r.rows[0];
+}
+
+async function getQuestions(ids) {
+  const wanted = (ids || []).map(String).filter(Boolean);
+  if (!wanted.length) return [];
+  if (!getPool()) return memory.log.filter((r) => wanted.includes(r.id)).map(rowToEntry);
+  const r = await withClient((c) => c.query(`SELECT * FROM help_qa_log WHERE id = ANY($1::text[])`, [wanted]));
+  return r.rows.map(rowToEntry);
+}
+
+/**
+ * Keep a generated topic draft and mark its questions as drafted (they drop off the report).
+ * @returns {Promise<object>} the stored draft
+ */
+async function saveDraft({ topicId, title, body, method, questionIds, citations }) {
+  const draft = {
+    id: newId("hd"),
+    createdAt: new Date().toISOString(),
+    topicId: topicId || null,
+    title: String(title),
+    body: String(body),
+    method: String(method),
+    questionIds: (questionIds || []).map(String),
+    citations: citations || [],
+  };
+  if (!getPool()) {
+    memory.drafts.push(draft);
+    for (const r of memory.log) if (draft.questionIds.includes(r.id)) r.draft_id = draft.id;
+    return draft;
+  }
+  await withClient(async (c) => {
+    await c.query(
+      `INSERT INTO help_topic_drafts (id, created_at, topic_id, title, body, method, question_ids, citations)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [draft.id, draft.createdAt, draft.topicId, draft.title, draft.body, draft.method,
+        JSON.stringify(draft.questionIds), JSON.stringify(draft.citations)]);
+    await c.query(`UPDATE help_qa_log SET draft_id = $1 WHERE id = ANY($2::text[])`, [draft.id, draft.questionIds]);
+  });
+  return draft;
+}
+
+async function listDrafts({ limit = 50 } = {}) {
+  if (!getPool()) return memory.drafts.slice().reverse().slice(0, limit);
+  const r = await withClient((c) => c.query(`SELECT * FROM help_topic_drafts ORDER BY created_at DESC LIMIT $1`, [limit]));
+  return r.rows.map((d) => ({
+    id: d.id,
+    createdAt: d.created_at instanceof Date ? d.created_at.toISOString() : d.created_at,
+    topicId: d.topic_id || null,
+    title: d.title,
+    body: d.body,
+    method: d.method,
+    questionIds: d.question_ids || [],
+    citations: d.citations || [],
+  }));
+}
+
+module.exports = {
+  recordQuestion,
+  recordFeedback,
+  listFlaggedQuestions,
+  summarize,
+  getQuestions,
+  saveDraft,
+  listDrafts,
+  __setTestPool,
+};
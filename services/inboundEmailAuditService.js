@@ -0,0 +1,201 @@
+// services/inboundEmailAuditService.js
+// Audit trail + replay around processInboundEmail (BCC-to-CRM, notetaker forwards, "Add to:").
+//
+// routes/inboundEmailRoutes.js stores every webhook payload BEFORE processing (recordReceived),
+// then processAudited() runs the normal pipeline and records what it did: detected path,
+// client, which recipients matched a lead, the Notes diff per lead, and the result. A stored
+// message can be replayed after a lead is created or a parser is fixed: the replay is a new
+// audit row (replay_of = original) and, by default, sends no emails to the client — the
+// "lead not found" email already went out the first time.
+//
+// Auditing never breaks the webhook: a store failure is logged and processing carries on.
+
+const { createLogger } = require('../utils/contextLogger');
+const store = require('./inboundEmailAuditStore');
+const emailAttachments = require('./emailAttachmentService');
+
+const logger = createLogger({
+    runId: 'INBOUND-EMAIL',
+    clientId: 'SYSTEM',
+    operation: 'inbound-email-audit'
+});
+
+// The service is required lazily: it pulls in dotenv, Airtable and the parsers, none of which
+// the store or describeOutcome() need.
+const inboundEmailService = () => require('./inboundEmailService');
+
+/**
+ * Attachment metadata from multer's req.files (the content itself is never stored)
+ * @param {Array} files
+ * @returns {Array<{filename: string, contentType: string, size: number}>}
+ */
+function attachmentMeta(files) {
+    return (files || []).map(f => ({
+        filename: f.originalname || f.fieldname,
+        contentType: f.mimetype || null,
+        size: f.size || (f.buffer ? f.buffer.length : 0)
+    }));
+}
+
+/**
+ * Store a payload as received. Never throws.
+ * @param {Object} mailgunData
+ * @param {Object} [options] - { files (multer) or attachments (already metadata), signatureVerified, replayOf }
+ * @returns {Promise<number|null>} audit id, null when the store is unavailable
+ */
+async function recordReceived(mailgunData, { files, attachments, signatureVerified = null, replayOf = null } = {}) {
+    try {
+        const row = await store.recordReceived({
+            payload: { ...mailgunData },
+            attachments: attachments || attachmentMeta(files),
+            signatureVerified,
+            replayOf
+        });
+        return row.id;
+    } catch (error) {
+        logger.error(`Could not store inbound email payload: ${error.message}`);
+        return null;
+    }
+}
+
+/** Record an outcome for an audit id. Never throws; a null id is a no-op. */
+async function recordOutcome(auditId, outcome) {
+    if (!auditId) return null;
+    try {
+        return await store.recordOutcome(auditId, outcome);
+    } catch (error) {
+        logger.error(`Could not record outcome for inbound email #${auditId}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Turn a processInboundEmail result into the audit row's status, leads and Notes diffs
+ * @param {Object} result - processInboundEmail result
+ * @returns {{status: string, leads: Array, notesDiff: Array}}
+ */
+function describeOutcome(result) {
+    const leads = [];
+    const notesDiff = [];
+
+    // BCC / forward flow
+    for (const u of result.leadsUpdated || []) {
+        leads.push({ leadId: u.leadId, leadName: u.leadName, email: u.leadEmail, source: u.source, matched: true, duplicate: !!u.skippedDuplicate });
+        if (u.notesDiff) notesDiff.push({ leadId: u.leadId, ...u.notesDiff });
+    }
+    for (const n of result.leadsNotFound || []) {
+        leads.push({ leadId: null, leadName: n.name || null, email: n.email, source: n.source, matched: false });
+    }
+    for (const p of result.leadsPendingReview || []) {
+        leads.push({ leadId: null, leadName: p.name || null, email: p.email, source: p.source, matched: false, reviewId: p.reviewId });
+    }
+    // Notetaker flow
+    (result.leadIds || []).forEach((id, i) => {
+        leads.push({ leadId: id, leadName: (result.leadNames || [])[i] || null, email: null, source: 'notetaker', matched: true });
+    });
+    for (const d of result.notesDiffs || []) notesDiff.push(d);
+
+    let status;
+    if (result.success) {
+        const allDuplicates = (result.leadsUpdated || []).length > 0 && result.leadsUpdated.every(u => u.skippedDuplicate);
+        status = result.type === 'meeting_notes_duplicate' || allDuplicates ? 'duplicate' : 'processed';
+    } else if (result.error) {
+        status = result.error;
+    } else if ((result.leadsNotFound || []).length > 0 && !(result.errors || []).length) {
+        status = 'lead_not_found';
+    } else {
+        status = 'error';
+    }
+    return { status, leads, notesDiff };
+}
+
+/**
+ * Run processInboundEmail and record what it did against an audit row
+ * @param {Object} mailgunData
+ * @param {Object} [options]
+ * @param {number|null} [options.auditId] - from recordReceived
+ * @param {boolean} [options.notify=true] - passed to processInboundEmail
+ * @param {Array} [options.attachments] - stored attachment descriptors, passed to processInboundEmail
+ * @param {Object} [options.matchOverrides] - lead picks from the match review queue, passed to processInboundEmail
+ * @returns {Promise<Object>} the processInboundEmail result (errors are recorded, then rethrown)
+ */
+async function processAudited(mailgunData, { auditId = null, notify = true, attachments = [], matchOverrides = null } = {}) {
+    const trace = {};
+    const startTime = Date.now();
+    try {
+        const result = await inboundEmailService().processInboundEmail(mailgunData, { trace, notify, attachments, auditId, matchOverrides });
+        const { status, leads, notesDiff } = describeOutcome(result);
+        // Diffs live in their own column; keep the stored result readable
+        const { notesDiffs: _diffs, ...storedResult } = result;
+        if (storedResult.leadsUpdated) storedResult.leadsUpdated = storedResult.leadsUpdated.map(({ notesDiff: _d, ...u }) => u);
+        await recordOutcome(auditId, {
+            path: trace.path,
+            status,
+            clientId: result.clientId || trace.clientId,
+            clientName: result.clientName || trace.clientName,
+            leads,
+            notesDiff,
+            result: storedResult,
+            error: result.success ? null : (result.message || null),
+            durationMs: Date.now() - startTime
+        });
+        return result;
+    } catch (error) {
+        await recordOutcome(auditId, {
+            path: trace.path,
+            status: 'error',
+            clientId: trace.clientId,
+            clientName: trace.clientName,
+            error: error.message,
+            durationMs: Date.now() - startTime
+        });
+        throw error;
+    }
+}
+
+/**
+ * Re-run processing on a stored message
+ * @param {number} id - audit id of the message to replay
+ * @param {Object} [options]
+ * @param {boolean} [options.notify=false] - send the client emails a live delivery would
+ * @param {Object} [options.matchOverrides] - { [matchKey]: leadId } picked in the match review queue
+ * @returns {Promise<{original: Object, replay: Object, result: Object}|null>} null when the id is unknown
+ */
+async function replayMessage(id, { notify = false, matchOverrides = null } = {}) {
+    const original = await store.getMessage(id);
+    if (!original) return null;
+
+    logger.info(`↻ Replaying inbound email #${id} (${original.subject || 'no subject'}) notify=${notify}`);
+    const replayId = await recordReceived(original.payload, {
+        attachments: original.attachments,
+        signatureVerified: original.signatureVerified,
+        replayOf: original.id
+    });
+    // Attachment files were stored against the live delivery, not the replay rows
+    let deliveryId = original.id;
+    for (let row = original; row && row.replayOf; row = await store.getMessage(row.replayOf)) deliveryId = row.replayOf;
+    const attachments = await emailAttachments.forAudit(deliveryId);
+
+    let result;
+    try {
+        result = await processAudited(original.payload, { auditId: replayId, notify, attachments, matchOverrides });
+    } finally {
+        await store.markReplayed(original.id).catch(e => logger.warn(`Could not count replay of #${id}: ${e.message}`));
+    }
+    return {
+        original: await store.getMessage(original.id),
+        replay: replayId ? await store.getMessage(replayId) : null,
+        result
+    };
+}
+
+module.exports = {
+    attachmentMeta,
+    recordReceived,
+    recordOutcome,
+    describeOutcome,
+    processAudited,
+    replayMessage,
+    searchMessages: (opts) => store.searchMessages(opts),
+    getMessage: (id) => store.getMessage(id)
+};
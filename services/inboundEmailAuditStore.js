@@ -0,0 +1,288 @@
+/**
+ * Inbound email audit store — every Mailgun webhook payload routes/inboundEmailRoutes.js receives.
+ *
+ * Before this, an email that hit "lead not found" or a parser bug was gone once the error email
+ * went out: the only copy of the payload was Mailgun's (short) log. Now each webhook is a row
+ * written BEFORE processing (so a crash mid-way still leaves the payload), then filled in with
+ * what happened: signature check, detected path (bcc / forward / notetaker / pending_reply),
+ * matched client and leads, the Notes diff per lead, and the processing result. A stored row can
+ * be replayed (services/inboundEmailAuditService.js) — the replay is its own row pointing back
+ * at the original.
+ *
+ * Table (same Postgres as the other stores):
+ *   inbound_emails — one row per webhook delivery or replay
+ *
+ * No DATABASE_URL => an in-process array (works locally, lost on restart).
+ *
+ * House style: rescoreJobStore.js (lazy Pool, ensureSchema CREATE-IF-NOT-EXISTS, no migrations).
+ */
+
+const { Pool } = require('pg');
+
+let pool;
+let schemaEnsured = false;
+
+const MEMORY_MAX_ROWS = 2000;
+
+function getPool() {
+  if (pool) return pool;
+  const url = (process.env.DATABASE_URL || '').trim();
+  if (!url) return null;
+  pool = new Pool({ connectionString: url, ssl: { rejectUnauthorized: false } });
+  return pool;
+}
+
+// In-process fallback (no DATABASE_URL). Rows use the same snake_case shape as the SQL path so
+// rowToMessage() is the one mapper either way.
+const memory = { rows: [], nextId: 1 };
+
+/** Test seam: inject a fake pool (unit tests never touch a real database). */
+function __setTestPool(fake) {
+  pool = fake;
+  schemaEnsured = fake ? true : false;
+  memory.rows = [];
+  memory.nextId = 1;
+}
+
+async function ensureSchema(client) {
+  if (schemaEnsured) return;
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS inbound_emails (
+      id                 BIGSERIAL PRIMARY KEY,
+      received_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+      message_id         TEXT,                     -- Message-Id header, when Mailgun sent it
+      sender             TEXT,
+      recipient          TEXT,                     -- the tracking (BCC) address
+      to_header          TEXT,
+      subject            TEXT,
+      signature_verified BOOLEAN,                  -- NULL = no signing key configured
+      path               TEXT,                     -- bcc | forward | notetaker | pending_reply
+      status             TEXT NOT NULL DEFAULT 'received',  -- received | processed | lead_not_found | ... | error
+      client_id          TEXT,
+      client_name        TEXT,
+      leads              JSONB,                    -- [{ leadId, leadName, email, source, matched }]
+      notes_diff         JSONB,                    -- [{ leadId, added, removed, beforeLen, afterLen }]
+      result             JSONB,
+      error              TEXT,
+      payload            JSONB NOT NULL,           -- the Mailgun form fields as received
+      attachments        JSONB,                    -- [{ filename, contentType, size }] (no content)
+      replay_of          BIGINT REFERENCES inbound_emails(id),
+      replay_count       INT NOT NULL DEFAULT 0,
+      last_replayed_at   TIMESTAMPTZ,
+      duration_ms        INT,
+      processed_at       TIMESTAMPTZ
+    );
+  `);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_inbound_emails_received ON inbound_emails (received_at DESC);`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_inbound_emails_client ON inbound_emails (client_id, received_at DESC);`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_inbound_emails_status ON inbound_emails (status, received_at DESC);`);
+  schemaEnsured = true;
+}
+
+async function withClient(fn) {
+  const client = await getPool().connect();
+  try {
+    await ensureSchema(client);
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+}
+
+const json = (v) => (typeof v === 'string' ? JSON.parse(v) : v);
+const iso = (v) => (v ? new Date(v).toISOString() : null);
+
+function rowToMessage(r, { withPayload = true } = {}) {
+  if (!r) return null;
+  const out = {
+    id: Number(r.id),
+    receivedAt: iso(r.received_at),
+    messageId: r.message_id || null,
+    sender: r.sender || null,
+    recipient: r.recipient || null,
+    to: r.to_header || null,
+    subject: r.subject || null,
+    signatureVerified: r.signature_verified === undefined ? null : r.signature_verified,
+    path: r.path || null,
+    status: r.status,
+    clientId: r.client_id || null,
+    clientName: r.client_name || null,
+    leads: json(r.leads) || [],
+    notesDiff: json(r.notes_diff) || [],
+    result: json(r.result) || null,
+    error: r.error || null,
+    attachments: json(r.attachments) || [],
+    replayOf: r.replay_of ? Number(r.replay_of) : null,
+    replayCount: Number(r.replay_count) || 0,
+    lastReplayedAt: iso(r.last_replayed_at),
+    durationMs: r.duration_ms === null || r.duration_ms === undefined ? null : Number(r.duration_ms),
+    processedAt: iso(r.processed_at),
+  };
+  if (withPayload) out.payload = json(r.payload) || {};
+  return out;
+}
+
+/**
+ * Store a payload as received (before any processing).
+ * @param {Object} params
+ * @param {Object} params.payload - Mailgun form fields
+ * @param {Array} [params.attachments] - [{ filename, contentType, size }]
+ * @param {boolean|null} [params.signatureVerified]
+ * @param {number} [params.replayOf] - id of the row this is a replay of
+ * @returns {Promise<Object>} the stored message
+ */
+async function recordReceived({ payload, attachments = [], signatureVerified = null, replayOf = null }) {
+  if (!payload || typeof payload !== 'object') throw new Error('recordReceived: payload is required');
+  const header = (name) => payload[name] || payload[name.toLowerCase()] || null;
+  const row = {
+    received_at: new Date(),
+    message_id: header('Message-Id'),
+    sender: payload.sender || payload.from || null,
+    recipient: payload.recipient || null,
+    to_header: header('To'),
+    subject: payload.subject || null,
+    signature_verified: signatureVerified,
+    status: 'received',
+    payload,
+    attachments,
+    replay_of: replayOf,
+  };
+  if (!getPool()) {
+    Object.assign(row, { id: memory.nextId++, replay_count: 0 });
+    memory.rows.push(row);
+    if (memory.rows.length > MEMORY_MAX_ROWS) memory.rows.splice(0, memory.rows.length - MEMORY_MAX_ROWS);
+    return rowToMessage(row);
+  }
+  return withClient(async (c) => rowToMessage((await c.query(
+    `INSERT INTO inbound_emails (message_id, sender, recipient, to_header, subject, signature_verified, payload, attachments, replay_of)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [row.message_id, row.sender, row.recipient, row.to_header, row.subject, signatureVerified,
+      JSON.stringify(payload), JSON.stringify(attachments), replayOf],
+  )).rows[0]));
+}
+
+/**
+ * Fill in what processing did.
+ * @param {number} id
+ * @param {Object} outcome - { path, status, clientId, clientName, leads, notesDiff, result, error, durationMs }
+ * @returns {Promise<Object|null>} the updated message, null when the id is unknown
+ */
+async function recordOutcome(id, outcome) {
+  const fields = {
+    path: outcome.path || null,
+    status: outcome.status || 'processed',
+    client_id: outcome.clientId || null,
+    client_name: outcome.clientName || null,
+    leads: outcome.leads || [],
+    notes_diff: outcome.notesDiff || [],
+    result: outcome.result || null,
+    error: outcome.error || null,
+    duration_ms: outcome.durationMs === undefined ? null : outcome.durationMs,
+    processed_at: new Date(),
+  };
+  if (!getPool()) {
+    const row = memory.rows.find((r) => r.id === Number(id));
+    if (!row) return null;
+    Object.assign(row, fields);
+    return rowToMessage(row);
+  }
+  return withClient(async (c) => rowToMessage((await c.query(
+    `UPDATE inbound_emails
+        SET path = $2, status = $3, client_id = $4, client_name = $5, leads = $6, notes_diff = $7,
+            result = $8, error = $9, duration_ms = $10, processed_at = now()
+      WHERE id = $1
+      RETURNING *`,
+    [id, fields.path, fields.status, fields.client_id, fields.client_name, JSON.stringify(fields.leads),
+      JSON.stringify(fields.notes_diff), fields.result ? JSON.stringify(fields.result) : null, fields.error, fields.duration_ms],
+  )).rows[0]));
+}
+
+/** Count a replay against the original row. */
+async function markReplayed(id) {
+  if (!getPool()) {
+    const row = memory.rows.find((r) => r.id === Number(id));
+    if (!row) return null;
+    row.replay_count = (row.replay_count || 0) + 1;
+    row.last_replayed_at = new Date();
+    return rowToMessage(row);
+  }
+  return withClient(async (c) => rowToMessage((await c.query(
+    `UPDATE inbound_emails SET replay_count = replay_count + 1, last_replayed_at = now() WHERE id = $1 RETURNING *`,
+    [id])).rows[0]));
+}
+
+/** One stored message, payload included. */
+async function getMessage(id) {
+  if (!getPool()) return rowToMessage(memory.rows.find((r) => r.id === Number(id)));
+  return withClient(async (c) => rowToMessage((await c.query(`SELECT * FROM inbound_emails WHERE id = $1`, [id])).rows[0]));
+}
+
+/**
+ * Search stored messages, newest first (no payloads — fetch one with getMessage).
+ * @param {Object} [opts]
+ * @param {string} [opts.q] - matched against sender, recipient, To, subject, client and lead emails/names
+ * @param {string} [opts.clientId]
+ * @param {string} [opts.status]
+ * @param {string} [opts.path]
+ * @param {string} [opts.since] - ISO date
+ * @param {number} [opts.limit=50]
+ * @param {number} [opts.offset=0]
+ * @returns {Promise<{ messages: Array, total: number }>}
+ */
+async function searchMessages({ q, clientId, status, path, since, limit = 50, offset = 0 } = {}) {
+  const lim = Math.max(1, Math.min(200, parseInt(limit, 10) || 50));
+  const off = Math.max(0, parseInt(offset, 10) || 0);
+  const sinceDate = since ? new Date(since) : null;
+  const needle = q ? String(q).trim().toLowerCase() : '';
+  if (!getPool()) {
+    const matches = memory.rows.filter((r) => {
+      if (clientId && r.client_id !== clientId) return false;
+      if (status && r.status !== status) return false;
+      if (path && r.path !== path) return false;
+      if (sinceDate && r.received_at < sinceDate) return false;
+      if (!needle) return true;
+      const hay = [r.sender, r.recipient, r.to_header, r.subject, r.client_id, r.client_name, JSON.stringify(r.leads || [])]
+        .filter(Boolean).join(' ').toLowerCase();
+      return hay.includes(needle);
+    }).sort((a, b) => b.received_at - a.received_at || b.id - a.id);
+    return {
+      messages: matches.slice(off, off + lim).map((r) => rowToMessage(r, { withPayload: false })),
+      total: matches.length,
+    };
+  }
+  const where = [];
+  const params = [];
+  const add = (sql, value) => { params.push(value); where.push(sql.replace('?', `$${params.length}`)); };
+  if (clientId) add('client_id = ?', clientId);
+  if (status) add('status = ?', status);
+  if (path) add('path = ?', path);
+  if (sinceDate) add('received_at >= ?', sinceDate);
+  if (needle) {
+    params.push(`%${needle}%`);
+    const p = `$${params.length}`;
+    where.push(`(sender ILIKE ${p} OR recipient ILIKE ${p} OR to_header ILIKE ${p} OR subject ILIKE ${p}
+                OR client_id ILIKE ${p} OR client_name ILIKE ${p} OR leads::text ILIKE ${p})`);
+  }
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  return withClient(async (c) => {
+    const total = (await c.query(`SELECT count(*)::int AS n FROM inbound_emails ${whereSql}`, params)).rows[0].n;
+    const rows = (await c.query(
+      `SELECT id, received_at, message_id, sender, recipient, to_header, subject, signature_verified, path, status,
+              client_id, client_name, leads, notes_diff, result, error, attachments, replay_of, replay_count,
+              last_replayed_at, duration_ms, processed_at
+         FROM inbound_emails ${whereSql}
+        ORDER BY received_at DESC, id DESC
+        LIMIT ${lim} OFFSET ${off}`, params)).rows;
+    return { messages: rows.map((r) => rowToMessage(r, { withPayload: false })), total };
+  });
+}
+
+module.exports = {
+  recordReceived,
+  recordOutcome,
+  markReplayed,
+  getMessage,
+  searchMessages,
+  __setTestPool,
+};
@@ -8,8 +8,11 @@
 require('dotenv').config();
 const { createLogger } = require('../utils/contextLogger');
 const { updateSection, getSection } = require('../utils/notesSectionManager');
-const { logNotesChange } = require('../utils/notesAuditLogger');
+const { logNotesChange, diffNotes } = require('../utils/notesAuditLogger');
 const clientService = require('./clientService');
+const emailAttachments = require('./emailAttachmentService');
+const leadMatcher = require('./leadMatcher');
+const leadMatchReviews = require('./leadMatchReviewService');
 const { createBaseInstance } = require('../config/airtableClient');
 
 // Create module-level logger
@@ -342,6 +345,8 @@ function mapLeadRecord(rec) {
         firstName: rec.fields['First Name'] || '',
         lastName: rec.fields['Last Name'] || '',
         email: rec.fields['Email'] || '',
+        company: rec.fields['Company'] || '',
+        linkedinUrl: rec.fields['LinkedIn Profile URL'] || '',
         notes: rec.fields['Notes'] || '',
         followUpDate: rec.fields['Follow-Up Date'] || null
     };
@@ -469,6 +474,25 @@ async function learnEmailForLead(client, leadId, email) {
     }
 }
 
+/**
+ * Load one lead by record id (a lead picked in the match review queue)
+ * @param {Object} client
+ * @param {string} leadId
+ * @returns {Promise<Object|null>} Lead object, or null when the record is gone
+ */
+async function findLeadById(client, leadId) {
+    if (!client.airtableBaseId) {
+        throw new Error(`Client ${client.clientId} has no Airtable base configured`);
+    }
+    try {
+        const rec = await createBaseInstance(client.airtableBaseId)('Leads').find(leadId);
+        return rec ? mapLeadRecord(rec) : null;
+    } catch (error) {
+        logger.warn(`Lead ${leadId} not found for client ${client.clientId}: ${error.message}`);
+        return null;
+    }
+}
+
 /**
  * Find a lead by concatenated username (e.g. Fathom stores "elizagilbertson" not "Eliza Gilbertson").
  * Searches LOWER(CONCATENATE({First Name}, {Last Name})) = username.
@@ -514,11 +538,11 @@ async function findLeadByUsername(client, username) {
  * Format: DD-MM-YY HH:MM AM/PM - SenderName - message
  * @param {Object} client - Client object
  * @param {Object} lead - Lead object (with id, notes)
- * @param {Object} emailData - Email data including full body
+ * @param {Object} emailData - Email data including full body (+ attachments: stored attachment descriptors)
  * @returns {Promise<Object>} Updated lead
  */
 async function updateLeadWithEmail(client, lead, emailData) {
-    const { subject, bodyPlain, bodyHtml, senderName } = emailData;
+    const { subject, bodyPlain, bodyHtml, senderName, attachments } = emailData;
 
     // Use existing airtableClient pattern
     const clientBase = createBaseInstance(client.airtableBaseId);
@@ -577,6 +601,12 @@ async function updateLeadWithEmail(client, lead, emailData) {
         processedContent += `${timestamp.date} ${timestamp.time} - ${senderName} - ${cleanContent}`;
     }
 
+    // Attachments are stored and linked to the lead separately; the Notes line says they exist
+    const attachmentLine = emailAttachments.formatAttachmentLine(attachments);
+    if (attachmentLine) {
+        processedContent += `\n${attachmentLine}`;
+    }
+
     // Update the Email section in notes - APPEND mode
     // Each new email thread is appended; multiple threads are kept as separate blocks
     const noteUpdateResult = updateSection(currentNotes, 'email', processedContent, { 
@@ -662,7 +692,8 @@ async function updateLeadWithEmail(client, lead, emailData) {
         id: lead.id,
         updatedFields: Object.keys(updates),
         followUpDate: followUpDateStr,
-        messageCount: messages.length
+        messageCount: messages.length,
+        notesDiff: diffNotes(currentNotes, noteUpdateResult.notes)
     };
 }
 
@@ -924,6 +955,84 @@ Ref: ${ref}`;
     });
 }
 
+/**
+ * Ask the client to pick the lead for BCC recipients the matcher wasn't sure about
+ * (services/leadMatchReviewService.js). Same Mailgun path as sendLeadNotFoundEmail.
+ * @param {string} toEmail - Recipient email
+ * @param {Array} pending - [{ email, name, candidates: [{ name, score }] }]
+ * @param {string} clientName - Client first name for greeting
+ * @returns {Promise<{sent: boolean}>}
+ */
+async function sendMatchReviewEmail(toEmail, pending = [], clientName = '') {
+    const https = require('https');
+    const querystring = require('querystring');
+
+    if (!process.env.MAILGUN_API_KEY || !process.env.MAILGUN_DOMAIN) {
+        logger.error('Cannot send match review email - Mailgun not configured');
+        return { sent: false };
+    }
+
+    const recipientBlock = pending.map(p => {
+        const who = p.name ? `${p.name} (${p.email})` : p.email;
+        const options = p.candidates.map(c => c.name).filter(Boolean).join(' / ');
+        return `• ${who}${options ? ` – could be ${options}` : ''}`;
+    }).join('\n');
+
+    const body = `Hi${clientName ? ` ${clientName}` : ''},
+
+We received your BCC email but weren't sure which lead it belongs to:
+
+${recipientBlock}
+
+Pick the right lead with one click and we'll log the email to it (and remember that address next time):
+${leadMatchReviews.reviewUrl()}
+
+Best,
+ASH Portal Team`;
+
+    const data = querystring.stringify({
+        from: `ASH Portal <noreply@${process.env.MAILGUN_DOMAIN}>`,
+        to: toEmail,
+        subject: `📧 Email waiting – which lead is it? (${pending.length})`,
+        text: body
+    });
+    const auth = Buffer.from(`api:${process.env.MAILGUN_API_KEY}`).toString('base64');
+
+    return new Promise((resolve) => {
+        const req = https.request({
+            hostname: 'api.mailgun.net',
+            port: 443,
+            path: `/v3/${process.env.MAILGUN_DOMAIN}/messages`,
+            method: 'POST',
+            headers: {
+                'Authorization': `Basic ${auth}`,
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Content-Length': Buffer.byteLength(data)
+            }
+        }, (res) => {
+            let responseData = '';
+            res.on('data', chunk => responseData += chunk);
+            res.on('end', () => {
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    logger.info(`Match review email sent to ${toEmail} (${pending.length} recipient(s))`);
+                    resolve({ sent: true });
+                } else {
+                    logger.error(`Failed to send match review email: ${res.statusCode} ${responseData}`);
+                    resolve({ sent: false });
+                }
+            });
+        });
+
+        req.on('error', (error) => {
+            logger.error(`Error sending match review email: ${error.message}`);
+            resolve({ sent: false });
+        });
+
+        req.write(data);
+        req.end();
+    });
+}
+
 /**
  * Extract sender name from email From header
  * @param {string} fromHeader - e.g. "Guy Wilson <guyralphwilson@gmail.com>"
@@ -2307,7 +2416,8 @@ async function updateLeadWithMeetingNotes(client, lead, meetingData, provider, a
             leadId: lead.id,
             leadName: `${lead.firstName} ${lead.lastName}`.trim(),
             provider: provider,
-            meetingLink: meetingData.meetingLink
+            meetingLink: meetingData.meetingLink,
+            notesDiff: diffNotes(lead.notes || '', updatedNotes)
         };
         
     } catch (error) {
@@ -2316,24 +2426,106 @@ async function updateLeadWithMeetingNotes(client, lead, meetingData, provider, a
     }
 }
 
+/**
+ * Score the candidate leads for one person (services/leadMatcher.js); when the matcher isn't
+ * sure, park the email in the match review queue for the coach to pick the lead
+ * @param {Object} client - Client object
+ * @param {Object} signals - { email, name, firstName, company }
+ * @param {Object} params
+ * @param {string} params.source - bcc | forward | notetaker | add_to
+ * @param {Object} [params.context] - shown with the review (subject, sender, provider, date, meetingLink, contactEmail)
+ * @param {Object} [params.options] - processInboundEmail options (auditId, matchOverrides)
+ * @returns {Promise<{lead: Object|null, match: Object, review: Object|null, reviewCreated: boolean}>}
+ *   review is null when the match was confident, empty, or the queue couldn't be written
+ */
+async function matchOrPark(client, signals, { source, context = {}, options = {} }) {
+    const match = await leadMatcher.matchLead(client, signals, {
+        finders: { findLeadByEmail, findLeadByName, findLeadByFirstNameAndDomain, findLeadByDomainOnly, findLeadById },
+        overrides: options.matchOverrides
+    });
+    if (match.decision !== 'review') {
+        if (match.lead) logger.info(`Matched ${match.key} to lead ${match.lead.id} (confidence ${match.confidence})`);
+        return { lead: match.lead, match, review: null, reviewCreated: false };
+    }
+    logger.info(`Unsure which lead ${match.key} is (${match.candidates.map(c => `${c.lead.id}=${c.score}`).join(', ')}) - parking for review`);
+    const parked = await leadMatchReviews.parkForReview(client, match, {
+        source,
+        signals,
+        context,
+        auditId: options.auditId || null
+    });
+    return { lead: null, match, review: parked ? parked.review : null, reviewCreated: parked ? parked.created : false };
+}
+
+/** What the review queue shows about a meeting */
+function meetingReviewContext(meetingData, provider) {
+    return {
+        provider,
+        date: meetingData.date || null,
+        meetingLink: meetingData.meetingLink || null,
+        contactEmail: meetingData.contactEmail || null
+    };
+}
+
+/**
+ * Result (and the one email) for meeting notes the matcher parked. If the queue couldn't be
+ * written, falls back to the "multiple leads" email asking the coach to add the notes by hand.
+ * @param {Object} client - Client object
+ * @param {Object} meetingData - Parsed meeting data
+ * @param {string} provider - Provider name
+ * @param {Object} parked - matchOrPark() result with match.decision 'review'
+ * @param {Object} params - { notify, label } (label names the person in messages, e.g. '"Jenny Yan"')
+ * @returns {Promise<Object>} Processing result (error: 'needs_review', or 'multiple_leads' on fallback)
+ */
+async function meetingNeedsReview(client, meetingData, provider, { match, review, reviewCreated }, { notify, label }) {
+    const candidates = match.candidates.map(c => c.lead);
+    // One email per review - a second forward of the same meeting just joins it
+    if (notify && (reviewCreated || !review)) {
+        await sendMeetingMultipleLeadsNotification(client.clientEmailAddress, meetingData, provider, candidates, review ? leadMatchReviews.reviewUrl() : null);
+    }
+    const matches = candidates.map(l => ({
+        id: l.id,
+        name: `${l.firstName} ${l.lastName}`.trim(),
+        company: l.company,
+        email: l.email
+    }));
+    if (!review) {
+        return {
+            success: false,
+            error: 'multiple_leads',
+            message: `Found ${matches.length} leads for ${label} - please specify which one`,
+            matches
+        };
+    }
+    return {
+        success: false,
+        error: 'needs_review',
+        message: `Not sure which lead ${label} is (best score ${match.confidence}) - waiting in the match review queue`,
+        reviewId: review.id,
+        matches
+    };
+}
+
 /**
  * Find a lead from an "Add to" item (email or name)
  * @param {Object} client - Client object
  * @param {{email?: string, name?: string}} item - Add to item
  * @param {Object} meetingData - Parsed meeting data (for company hint on name search)
- * @returns {Promise<{lead: Object|null, error?: string, matches?: Array}>}
+ * @param {string} provider - Provider name
+ * @param {Object} [options] - processInboundEmail options (auditId, matchOverrides)
+ * @returns {Promise<{lead: Object|null, match?: Object, review?: Object|null, reviewCreated?: boolean}>}
  */
-async function findLeadForAddToItem(client, item, meetingData) {
+async function findLeadForAddToItem(client, item, meetingData, provider, options = {}) {
     if (item.email) {
         const lead = await findLeadByEmail(client, item.email);
         return { lead };
     }
     if (item.name) {
-        const searchResult = await findLeadByName(client, item.name, meetingData.company);
-        if (searchResult.matchType === 'ambiguous') {
-            return { lead: null, error: 'multiple_leads', matches: searchResult.allMatches };
-        }
-        return { lead: searchResult.lead };
+        return matchOrPark(client, { name: item.name, company: meetingData.company || null }, {
+            source: 'add_to',
+            context: meetingReviewContext(meetingData, provider),
+            options
+        });
     }
     return { lead: null };
 }
@@ -2346,16 +2538,18 @@ async function findLeadForAddToItem(client, item, meetingData) {
  * @param {Array<{email?: string, name?: string}>} addToRecipients - Recipients from Add to:
  * @returns {Promise<Object>} Aggregate result
  */
-async function processMeetingNotetakerMultiLead(client, meetingData, provider, addToRecipients) {
+async function processMeetingNotetakerMultiLead(client, meetingData, provider, addToRecipients, options = {}) {
+    const notify = options.notify !== false;
     const leads = [];
     const notFound = [];
     const ambiguous = [];
     const duplicates = [];
 
     for (const item of addToRecipients) {
-        const { lead, error, matches } = await findLeadForAddToItem(client, item, meetingData);
-        if (error === 'multiple_leads') {
-            ambiguous.push({ item: item.email || item.name, matches });
+        const found = await findLeadForAddToItem(client, item, meetingData, provider, options);
+        const { lead } = found;
+        if (found.match && found.match.decision === 'review') {
+            ambiguous.push({ item: item.email || item.name, ...found });
             continue;
         }
         if (!lead) {
@@ -2365,19 +2559,16 @@ async function processMeetingNotetakerMultiLead(client, meetingData, provider, a
         leads.push(lead);
     }
 
+    // Every unsure name has its own review; nothing is saved until they're all picked (each pick
+    // replays the email with the picks so far)
     if (ambiguous.length > 0) {
-        const first = ambiguous[0];
-        await sendMeetingMultipleLeadsNotification(client.clientEmailAddress, meetingData, provider, first.matches);
-        return {
-            success: false,
-            error: 'multiple_leads',
-            message: `Found ${first.matches.length} leads named "${first.item}" - please use email to specify`,
-            ambiguous
-        };
+        const result = await meetingNeedsReview(client, meetingData, provider, ambiguous[0], { notify, label: `"${ambiguous[0].item}"` });
+        result.ambiguous = ambiguous.map(a => ({ item: a.item, reviewId: a.review ? a.review.id : null }));
+        return result;
     }
 
     if (leads.length === 0) {
-        await sendMeetingLeadNotFoundNotification(client.clientEmailAddress, meetingData, provider);
+        if (notify) await sendMeetingLeadNotFoundNotification(client.clientEmailAddress, meetingData, provider);
         return {
             success: false,
             error: 'lead_not_found',
@@ -2399,7 +2590,7 @@ async function processMeetingNotetakerMultiLead(client, meetingData, provider, a
             duplicates.push(`${lead.firstName} ${lead.lastName}`.trim());
         } else {
             savedCount++;
-            savedLeads.push({ id: lead.id, name: `${lead.firstName} ${lead.lastName}`.trim() });
+            savedLeads.push({ id: lead.id, name: `${lead.firstName} ${lead.lastName}`.trim(), notesDiff: updateResult.notesDiff });
         }
     }
 
@@ -2413,6 +2604,7 @@ async function processMeetingNotetakerMultiLead(client, meetingData, provider, a
         savedCount,
         duplicatesSkipped: duplicates.length,
         duplicates,
+        notesDiffs: savedLeads.map(l => ({ leadId: l.id, ...l.notesDiff })),
         notFound: notFound.length > 0 ? notFound : undefined,
         message: leads.length >= 2 ? `Multi-attendee meeting saved to ${savedCount} profile(s)` : undefined
     };
@@ -2424,10 +2616,13 @@ async function processMeetingNotetakerMultiLead(client, meetingData, provider, a
  * @param {Object} emailData - Email data (subject, bodyPlain, bodyHtml, etc.)
  * @param {string} provider - Detected provider name
  * @param {Array<{email?: string, name?: string}>} addToRecipients - Optional "Add to:" recipients
+ * @param {Object} [options] - { notify: false } skips the emails to the client (replays);
+ *   auditId / matchOverrides as for processInboundEmail
  * @returns {Promise<Object>} Processing result
  */
-async function processMeetingNotetakerEmail(client, emailData, provider, addToRecipients = []) {
+async function processMeetingNotetakerEmail(client, emailData, provider, addToRecipients = [], options = {}) {
     const { subject, bodyPlain, bodyHtml } = emailData;
+    const notify = options.notify !== false;
     
     logger.info(`Processing ${provider} meeting note-taker email for client ${client.clientId}`);
     logger.info(`Subject: "${subject}"`);
@@ -2452,7 +2647,7 @@ async function processMeetingNotetakerEmail(client, emailData, provider, addToRe
     
     // Multi-lead flow: "Add to: email1, email2" or "Add to: Name1; Name2"
     if (addToRecipients.length > 0) {
-        return await processMeetingNotetakerMultiLead(client, meetingData, provider, addToRecipients);
+        return await processMeetingNotetakerMultiLead(client, meetingData, provider, addToRecipients, options);
     }
     
     if (!meetingData.contactName && !meetingData.contactEmail && !meetingData.company && !meetingData.firstNameOnly && meetingData.alternateNames.length === 0) {
@@ -2465,6 +2660,8 @@ async function processMeetingNotetakerEmail(client, emailData, provider, addToRe
     }
     
     try {
+        const reviewContext = meetingReviewContext(meetingData, provider);
+
         // Collect all unique leads found — one forward saves to ALL attendees
         const foundLeads = [];
         const seenLeadIds = new Set();
@@ -2513,24 +2710,17 @@ async function processMeetingNotetakerEmail(client, emailData, provider, addToRe
                 logger.info(`Will try ${namesToTry.length} name(s): ${namesToTry.join(', ')}`);
                 for (const nameToTry of namesToTry) {
                     logger.info(`Trying to find lead by name: "${nameToTry}"`);
-                    const searchResult = await findLeadByName(client, nameToTry, meetingData.company);
-                    if (searchResult.matchType === 'ambiguous') {
-                        await sendMeetingMultipleLeadsNotification(client.clientEmailAddress, meetingData, provider, searchResult.allMatches);
-                        return {
-                            success: false,
-                            error: 'multiple_leads',
-                            message: `Found ${searchResult.allMatches.length} leads named "${nameToTry}" - please specify which one`,
-                            matches: searchResult.allMatches.map(l => ({
-                                id: l.id,
-                                name: `${l.firstName} ${l.lastName}`.trim(),
-                                company: l.company,
-                                email: l.email
-                            }))
-                        };
+                    const matched = await matchOrPark(client, { name: nameToTry, company: meetingData.company || null }, {
+                        source: 'notetaker',
+                        context: reviewContext,
+                        options
+                    });
+                    if (matched.match.decision === 'review') {
+                        return meetingNeedsReview(client, meetingData, provider, matched, { notify, label: `"${nameToTry}"` });
                     }
-                    if (searchResult.matchType !== 'none') {
-                        logger.info(`Found match with name "${nameToTry}" (matchType: ${searchResult.matchType})`);
-                        addFoundLead(searchResult.lead);
+                    if (matched.lead) {
+                        logger.info(`Found match with name "${nameToTry}" (confidence: ${matched.match.confidence})`);
+                        addFoundLead(matched.lead);
                     } else {
                         logger.info(`No match for "${nameToTry}", continuing...`);
                     }
@@ -2555,47 +2745,29 @@ async function processMeetingNotetakerEmail(client, emailData, provider, addToRe
         // PRIORITY 3: First name only + company domain (only when no leads found yet)
         if (foundLeads.length === 0 && meetingData.firstNameOnly && meetingData.company) {
             logger.info(`Trying first name + company domain search: "${meetingData.firstNameOnly}" at "${meetingData.company}"`);
-            const searchResult = await findLeadByFirstNameAndDomain(client, meetingData.firstNameOnly, meetingData.company);
-            if (searchResult.matchType === 'ambiguous') {
-                await sendMeetingMultipleLeadsNotification(client.clientEmailAddress, meetingData, provider, searchResult.allMatches);
-                return {
-                    success: false,
-                    error: 'multiple_leads',
-                    message: `Found ${searchResult.allMatches.length} leads named "${meetingData.firstNameOnly}" at ${meetingData.company}`,
-                    matches: searchResult.allMatches.map(l => ({
-                        id: l.id,
-                        name: `${l.firstName} ${l.lastName}`.trim(),
-                        company: l.company,
-                        email: l.email
-                    }))
-                };
-            }
-            if (searchResult.matchType !== 'none') {
-                addFoundLead(searchResult.lead);
+            const matched = await matchOrPark(client, { firstName: meetingData.firstNameOnly, company: meetingData.company }, {
+                source: 'notetaker',
+                context: reviewContext,
+                options
+            });
+            if (matched.match.decision === 'review') {
+                return meetingNeedsReview(client, meetingData, provider, matched, { notify, label: `"${meetingData.firstNameOnly}" at ${meetingData.company}` });
             }
+            addFoundLead(matched.lead);
         }
 
         // PRIORITY 4: Domain-only search (only when no leads found yet and no name info)
         if (foundLeads.length === 0 && meetingData.company && !meetingData.contactName && !meetingData.firstNameOnly) {
             logger.info(`Trying domain-only search: "${meetingData.company}"`);
-            const searchResult = await findLeadByDomainOnly(client, meetingData.company);
-            if (searchResult.matchType === 'ambiguous') {
-                await sendMeetingMultipleLeadsNotification(client.clientEmailAddress, meetingData, provider, searchResult.allMatches);
-                return {
-                    success: false,
-                    error: 'multiple_leads',
-                    message: `Found ${searchResult.allMatches.length} leads at ${meetingData.company} - please specify which one`,
-                    matches: searchResult.allMatches.map(l => ({
-                        id: l.id,
-                        name: `${l.firstName} ${l.lastName}`.trim(),
-                        company: l.company,
-                        email: l.email
-                    }))
-                };
-            }
-            if (searchResult.matchType !== 'none') {
-                addFoundLead(searchResult.lead);
+            const matched = await matchOrPark(client, { company: meetingData.company }, {
+                source: 'notetaker',
+                context: reviewContext,
+                options
+            });
+            if (matched.match.decision === 'review') {
+                return meetingNeedsReview(client, meetingData, provider, matched, { notify, label: `at ${meetingData.company}` });
             }
+            addFoundLead(matched.lead);
         }
 
         // No leads found at all
@@ -2604,7 +2776,7 @@ async function processMeetingNotetakerEmail(client, emailData, provider, addToRe
                 ? `email "${meetingData.contactEmail}"`
                 : `name "${meetingData.contactName || meetingData.alternateNames.join('" or "')}"`;
             logger.warn(`No lead found - searched for: ${searchedFor}`);
-            await sendMeetingLeadNotFoundNotification(client.clientEmailAddress, meetingData, provider);
+            if (notify) await sendMeetingLeadNotFoundNotification(client.clientEmailAddress, meetingData, provider);
             return {
                 success: false,
                 error: 'lead_not_found',
@@ -2636,7 +2808,7 @@ async function processMeetingNotetakerEmail(client, emailData, provider, addToRe
                 duplicateLeads.push(`${lead.firstName} ${lead.lastName}`.trim());
             } else {
                 savedCount++;
-                savedLeads.push({ id: lead.id, name: `${lead.firstName} ${lead.lastName}`.trim() });
+                savedLeads.push({ id: lead.id, name: `${lead.firstName} ${lead.lastName}`.trim(), notesDiff: updateResult.notesDiff });
             }
         }
 
@@ -2660,6 +2832,7 @@ async function processMeetingNotetakerEmail(client, emailData, provider, addToRe
             leadNames: savedLeads.map(l => l.name),
             savedCount,
             duplicatesSkipped: duplicateLeads.length,
+            notesDiffs: savedLeads.map(l => ({ leadId: l.id, ...l.notesDiff })),
             meetingLink: meetingData.meetingLink
         };
         
@@ -2669,7 +2842,7 @@ async function processMeetingNotetakerEmail(client, emailData, provider, addToRe
         
         // Try to send error notification
         try {
-            await sendMeetingErrorNotification(client.clientEmailAddress, meetingData, provider, error.message);
+            if (notify) await sendMeetingErrorNotification(client.clientEmailAddress, meetingData, provider, error.message);
         } catch (notifyError) {
             logger.error(`Failed to send error notification: ${notifyError.message}`);
         }
@@ -2777,8 +2950,10 @@ ASH Portal`
  * @param {Object} meetingData - Parsed meeting data
  * @param {string} provider - Provider name
  * @param {Array} matchingLeads - Array of matching lead objects
+ * @param {string|null} [reviewUrl] - portal match review page; when set, the email asks the coach
+ *   to pick the lead there instead of adding the notes by hand
  */
-async function sendMeetingMultipleLeadsNotification(toEmail, meetingData, provider, matchingLeads) {
+async function sendMeetingMultipleLeadsNotification(toEmail, meetingData, provider, matchingLeads, reviewUrl = null) {
     const https = require('https');
     const querystring = require('querystring');
     
@@ -2797,7 +2972,23 @@ async function sendMeetingMultipleLeadsNotification(toEmail, meetingData, provid
     }).join('\n');
     
     const displayName = meetingData.contactName || meetingData.firstNameOnly || meetingData.company || 'Unknown';
-    const emailData = {
+    const emailData = reviewUrl ? {
+        from: `ASH Portal <noreply@${process.env.MAILGUN_DOMAIN}>`,
+        to: toEmail,
+        subject: `📹 Meeting Note Waiting - Which "${displayName}" Was It?`,
+        text: `Hi,
+
+We received your ${provider} meeting notes for "${displayName}" but weren't sure which lead they belong to. Closest matches:
+
+${leadList}
+${meetingData.meetingLink ? `\nMeeting Link: ${meetingData.meetingLink}` : ''}
+
+Pick the right lead with one click and we'll save the notes to it:
+${reviewUrl}
+
+Best,
+ASH Portal`
+    } : {
         from: `ASH Portal <noreply@${process.env.MAILGUN_DOMAIN}>`,
         to: toEmail,
         subject: `📹 Meeting Note Not Saved - Multiple Leads Named "${displayName}"`,
@@ -3168,9 +3359,22 @@ function extractEmailsFromFullBody(body, clientEmails = new Set(), existing = []
 /**
  * Main processing function for inbound emails
  * @param {Object} mailgunData - Parsed Mailgun webhook payload
+ * @param {Object} [options]
+ * @param {boolean} [options.notify=true] - false skips the emails to the sender/client (replays)
+ * @param {Object} [options.trace] - filled in as processing goes: { path, clientId, clientName }
+ *   (services/inboundEmailAuditService.js records it with the result)
+ * @param {Array} [options.attachments] - stored attachment descriptors (emailAttachmentService),
+ *   linked to every lead the email updates
+ * @param {number|null} [options.auditId] - inbound_emails.id, so an unsure match can be replayed
+ *   once the coach picks the lead (services/leadMatchReviewService.js)
+ * @param {Object} [options.matchOverrides] - { [matchKey]: leadId } picks from the review queue
  * @returns {Promise<Object>} Processing result
  */
-async function processInboundEmail(mailgunData) {
+async function processInboundEmail(mailgunData, options = {}) {
+    const notify = options.notify !== false;
+    const trace = options.trace || {};
+    const attachments = options.attachments || [];
+
     // Log all top-level keys to understand the payload structure
     logger.info(`Mailgun payload keys: ${Object.keys(mailgunData).join(', ')}`);
     
@@ -3215,6 +3419,7 @@ async function processInboundEmail(mailgunData) {
     logger.info(`  leadEmail="${leadEmail}", recipient="${recipient}"`);
     
     let forwardedRecipients = null;
+    trace.path = isForward && toIsTrackingAddress ? 'forward' : 'bcc';
     if (isForward && toIsTrackingAddress) {
         logger.info('Detected forwarded email sent to tracking address - extracting original recipients');
         forwardedRecipients = extractForwardedRecipients(bodyPlain);
@@ -3232,13 +3437,15 @@ async function processInboundEmail(mailgunData) {
     const client = await findClientByEmail(senderEmail);
     
     if (!client) {
-        await sendErrorNotification(senderEmail, 'client_not_found', {});
+        if (notify) await sendErrorNotification(senderEmail, 'client_not_found', {});
         return {
             success: false,
             error: 'client_not_found',
             message: `No client found for sender email: ${senderEmail}`
         };
     }
+    trace.clientId = client.clientId;
+    trace.clientName = client.clientName;
 
     // Step 1.5: Check if this is a forwarded meeting note-taker email (Fathom, Otter, etc.)
     // Meeting note-takers are detected by sender domain or content patterns
@@ -3252,12 +3459,21 @@ async function processInboundEmail(mailgunData) {
         
         if (meetingDetection.isMeetingNotetaker) {
             logger.info(`🎥 Processing ${meetingDetection.provider} meeting note-taker email`);
+            trace.path = 'notetaker';
             const addToRecipients = parseAddToRecipients(bodyPlain, subject);
-            return await processMeetingNotetakerEmail(client, {
+            const meetingResult = await processMeetingNotetakerEmail(client, {
                 subject: forwardedRecipients?.subject || subject,
                 bodyPlain,
                 bodyHtml
-            }, meetingDetection.provider, addToRecipients);
+            }, meetingDetection.provider, addToRecipients, { notify, auditId: options.auditId, matchOverrides: options.matchOverrides });
+            if (meetingResult.success && attachments.length > 0) {
+                meetingResult.attachmentsLinked = await emailAttachments.linkToLeads(attachments, {
+                    clientId: client.clientId,
+                    leadIds: meetingResult.leadIds || [],
+                    source: 'notetaker'
+                });
+            }
+            return meetingResult;
         }
     }
 
@@ -3355,25 +3571,35 @@ async function processInboundEmail(mailgunData) {
         clientName: client.clientName,
         leadsUpdated: [],
         leadsNotFound: [],
+        leadsPendingReview: [],
         errors: []
     };
     
+    const newReviews = [];
     for (const potential of filteredLeads) {
-        let lead = await findLeadByEmail(client, potential.email);
-        
-        // Name-based fallback: when email lookup fails, try matching by name
-        // Parse from top (headers) to bottom (body) - use header name first, then body
-        if (!lead) {
-            let nameToTry = potential.name && potential.name.trim().length >= 2
-                ? potential.name.trim()
-                : extractNameFromBodyForRecipient(bodyPlain, potential.email);
-            if (nameToTry) {
-                const nameSearch = await findLeadByName(client, nameToTry, null);
-                if (nameSearch.matchType === 'unique' && nameSearch.lead) {
-                    lead = nameSearch.lead;
-                    logger.info(`Email lookup failed for ${potential.email}; matched by name "${nameToTry}" (unique match)`);
-                }
-            }
+        // Email first; when it isn't a known lead email, the name scores the candidates
+        // (header name first, then the body greeting) - see services/leadMatcher.js
+        const nameToTry = potential.name && potential.name.trim().length >= 2
+            ? potential.name.trim()
+            : extractNameFromBodyForRecipient(bodyPlain, potential.email);
+        const { lead, match, review, reviewCreated } = await matchOrPark(client, { email: potential.email, name: nameToTry || null }, {
+            source: trace.path,
+            context: { subject: subject || null, sender: senderEmail, recipientSource: potential.source },
+            options
+        });
+
+        if (review) {
+            logger.info(`${potential.source.toUpperCase()} recipient ${potential.email} parked for review #${review.id}`);
+            const pending = {
+                email: potential.email,
+                name: nameToTry || '',
+                source: potential.source,
+                reviewId: review.id,
+                candidates: review.candidates.slice(0, 3).map(c => ({ leadId: c.leadId, name: c.name, score: c.score }))
+            };
+            results.leadsPendingReview.push(pending);
+            if (reviewCreated) newReviews.push(pending);
+            continue;
         }
         
         if (!lead) {
@@ -3393,7 +3619,8 @@ async function processInboundEmail(mailgunData) {
                 bodyPlain,
                 bodyHtml,
                 timestamp,
-                senderName
+                senderName,
+                attachments
             }));
             
             results.leadsUpdated.push({
@@ -3401,8 +3628,11 @@ async function processInboundEmail(mailgunData) {
                 leadName: `${lead.firstName} ${lead.lastName}`.trim(),
                 leadEmail: potential.email,
                 source: potential.source,
+                matchConfidence: match.confidence,
                 followUpDate: result.followUpDate,
-                messageCount: result.messageCount
+                messageCount: result.messageCount,
+                skippedDuplicate: result.skippedDuplicate || false,
+                notesDiff: result.notesDiff
             });
             
             logger.info(`Updated ${potential.source.toUpperCase()} lead ${lead.id} (${potential.email})`);
@@ -3417,10 +3647,31 @@ async function processInboundEmail(mailgunData) {
         }
     }
     
+    // Attachments: linked to every lead the email landed on (duplicates too - linking is idempotent)
+    if (attachments.length > 0 && results.leadsUpdated.length > 0) {
+        results.attachmentsLinked = await emailAttachments.linkToLeads(attachments, {
+            clientId: client.clientId,
+            leadIds: results.leadsUpdated.map(u => u.leadId),
+            source: trace.path
+        });
+    }
+
     // Determine overall success
     results.success = results.leadsUpdated.length > 0;
     results.totalProcessed = filteredLeads.length;
     results.totalUpdated = results.leadsUpdated.length;
+
+    // Recipients waiting for the coach to pick the lead: one email per new review (a repeat email
+    // about the same person joins the open review quietly)
+    if (results.leadsPendingReview.length > 0) {
+        if (results.leadsUpdated.length === 0) {
+            results.error = 'needs_review';
+            results.message = `Waiting in the match review queue: ${results.leadsPendingReview.map(p => p.email).join(', ')}`;
+        }
+        if (notify && newReviews.length > 0) {
+            await sendMatchReviewEmail(client.clientEmailAddress, newReviews, client.clientFirstName || client.clientName);
+        }
+    }
     
     if (results.leadsUpdated.length === 0 && results.leadsNotFound.length === filteredLeads.length) {
         logger.info('No recipients were leads in the system - notifying client');
@@ -3437,7 +3688,7 @@ async function processInboundEmail(mailgunData) {
             for (const [k, v] of leadNotFoundDedup.entries()) {
                 if (now - v > LEAD_NOT_FOUND_DEDUP_MS) leadNotFoundDedup.delete(k);
             }
-            await sendLeadNotFoundEmail(client.clientEmailAddress, results.leadsNotFound, client.clientFirstName || client.clientName);
+            if (notify) await sendLeadNotFoundEmail(client.clientEmailAddress, results.leadsNotFound, client.clientFirstName || client.clientName);
         }
     }
     
@@ -3471,6 +3722,7 @@ module.exports = {
     findClientByEmail,
     findLeadByEmail,
     findLeadByName,
+    findLeadById,
     learnEmailForLead,
     updateLeadWithEmail,
     updateLeadWithMeetingNotes,
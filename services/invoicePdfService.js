@@ -1,7 +1,12 @@
 /**
  * Invoice PDF Generation Service
  * 
- * Generates ATO-compliant tax invoices as PDFs using PDFKit.
+ * Generates ATO-compliant billing documents as PDFs using PDFKit:
+ * - Tax invoices (one per Stripe invoice or one-time charge)
+ * - Adjustment notes (the ATO's name for a credit note) for Stripe refunds
+ * - Monthly account statements (invoices, payments, adjustments, refunds, running balance)
+ * All three share the letterhead, BUSINESS_CONFIG and the GST split (1/11 of a GST-inclusive
+ * amount), so a refund's GST adjustment always mirrors the invoice it reverses.
  * 
  * ATO Requirements for Tax Invoices:
  * - Business name and ABN
@@ -9,6 +14,11 @@
  * - Description of goods/services
  * - GST amount (if registered)
  * - Total amount
+ * 
+ * ATO Requirements for Adjustment Notes (additionally):
+ * - The words "Adjustment Note", its date and the amount of the adjustment
+ * - The original tax invoice it adjusts, and the reason
+ * - The GST adjustment amount
  */
 
 const PDFDocument = require('pdfkit');
@@ -44,6 +54,113 @@ const BUSINESS_CONFIG = {
     logoPath: getLogoPath()
 };
 
+/** GST component of a GST-inclusive amount (1/11), or 0 when not registered. */
+function gstOf(amountDollars) {
+    return BUSINESS_CONFIG.gstRegistered ? amountDollars / 11 : 0;
+}
+
+function formatLongDate(unixSeconds) {
+    return new Date(unixSeconds * 1000).toLocaleDateString('en-AU', {
+        day: 'numeric',
+        month: 'long',
+        year: 'numeric'
+    });
+}
+
+function formatShortDate(unixSeconds) {
+    return new Date(unixSeconds * 1000).toLocaleDateString('en-AU', {
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric'
+    });
+}
+
+const money = (dollars) => `${dollars < 0 ? '-' : ''}$${Math.abs(dollars).toFixed(2)}`;
+
+/** Run a PDFKit document to a Buffer. `draw(doc)` lays out the pages. */
+function renderPdf(draw) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ 
+            margin: 50,
+            size: 'A4'
+        });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+        try {
+            draw(doc);
+            doc.end();
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Logo (or business name), ABN and the centred document title — the same letterhead as the tax
+ * invoice. Returns the y of the rule under the title.
+ */
+function drawLetterhead(doc, title) {
+    if (BUSINESS_CONFIG.logoPath && fs.existsSync(BUSINESS_CONFIG.logoPath)) {
+        doc.image(BUSINESS_CONFIG.logoPath, 50, 40, { width: 180 });
+    } else {
+        doc.fontSize(24)
+           .font('Helvetica-Bold')
+           .fillColor('#1a365d')
+           .text(BUSINESS_CONFIG.name, 50, 50);
+        if (BUSINESS_CONFIG.tagline) {
+            doc.fontSize(10)
+               .font('Helvetica')
+               .fillColor('#718096')
+               .text(BUSINESS_CONFIG.tagline, 50, 78);
+        }
+    }
+
+    doc.fontSize(10)
+       .font('Helvetica')
+       .fillColor('#4a5568')
+       .text(`ABN: ${BUSINESS_CONFIG.abn}`, 400, 50, { align: 'right' });
+    if (BUSINESS_CONFIG.address) {
+        doc.text(BUSINESS_CONFIG.address, 400, 65, { align: 'right' });
+    }
+
+    doc.fontSize(28)
+       .font('Helvetica-Bold')
+       .fillColor('#2d3748')
+       .text(title, 50, 130, { align: 'center' });
+
+    doc.moveTo(50, 170)
+       .lineTo(545, 170)
+       .strokeColor('#e2e8f0')
+       .lineWidth(2)
+       .stroke();
+    return 170;
+}
+
+/** Label/value rows in the left column, "Bill To" customer block on the right. */
+function drawDetails(doc, y, rows, customer) {
+    rows.forEach(([label, value, color], i) => {
+        doc.fontSize(10)
+           .font('Helvetica-Bold')
+           .fillColor('#4a5568')
+           .text(`${label}:`, 50, y + i * 18);
+        doc.font(color ? 'Helvetica-Bold' : 'Helvetica')
+           .fillColor(color || '#4a5568')
+           .text(value, 150, y + i * 18, { width: 190 });
+    });
+
+    doc.fontSize(10)
+       .font('Helvetica-Bold')
+       .fillColor('#4a5568')
+       .text('Bill To:', 350, y);
+    doc.font('Helvetica')
+       .fillColor('#2d3748')
+       .text(customer.name || 'Customer', 350, y + 18);
+    doc.fillColor('#718096')
+       .text(customer.email || '', 350, y + 36);
+}
+
 /**
  * Generate an ATO-compliant invoice PDF
  * 
@@ -65,118 +182,31 @@ async function generateInvoicePdf(invoiceData) {
         operation: 'generate_invoice_pdf' 
     });
 
-    return new Promise((resolve, reject) => {
-        try {
-            const doc = new PDFDocument({ 
-                margin: 50,
-                size: 'A4'
-            });
-            
-            const chunks = [];
-            doc.on('data', chunk => chunks.push(chunk));
-            doc.on('end', () => resolve(Buffer.concat(chunks)));
-            doc.on('error', reject);
-
-            // Calculate amounts
-            const totalCents = invoiceData.amount_paid || 0;
-            const totalDollars = totalCents / 100;
-            const gstAmount = BUSINESS_CONFIG.gstRegistered ? totalDollars / 11 : 0; // GST is 1/11 of total
-            const subtotal = totalDollars - gstAmount;
-
-            // Format date
-            const invoiceDate = new Date(invoiceData.created * 1000);
-            const formattedDate = invoiceDate.toLocaleDateString('en-AU', {
-                day: 'numeric',
-                month: 'long',
-                year: 'numeric'
-            });
-
-            // Get invoice number (use Stripe's or generate one)
-            const invoiceNumber = invoiceData.number || `ASH-${invoiceDate.getFullYear()}-${invoiceData.id.slice(-6).toUpperCase()}`;
-
-            // === HEADER WITH LOGO ===
-            let headerBottomY = 95;
-            
-            if (BUSINESS_CONFIG.logoPath && fs.existsSync(BUSINESS_CONFIG.logoPath)) {
-                // Add logo on the left (scaled to reasonable size)
-                doc.image(BUSINESS_CONFIG.logoPath, 50, 40, { width: 180 });
-                headerBottomY = 110; // Adjust for logo height
-            } else {
-                // Fallback to text header if no logo
-                doc.fontSize(24)
-                   .font('Helvetica-Bold')
-                   .fillColor('#1a365d')
-                   .text(BUSINESS_CONFIG.name, 50, 50);
-                
-                if (BUSINESS_CONFIG.tagline) {
-                    doc.fontSize(10)
-                       .font('Helvetica')
-                       .fillColor('#718096')
-                       .text(BUSINESS_CONFIG.tagline, 50, 78);
-                }
-            }
+    // Calculate amounts
+    const totalCents = invoiceData.amount_paid || 0;
+    const totalDollars = totalCents / 100;
+    const gstAmount = gstOf(totalDollars); // GST is 1/11 of total
+    const subtotal = totalDollars - gstAmount;
 
-            // ABN on right
-            doc.fontSize(10)
-               .font('Helvetica')
-               .fillColor('#4a5568')
-               .text(`ABN: ${BUSINESS_CONFIG.abn}`, 400, 50, { align: 'right' });
-            
-            if (BUSINESS_CONFIG.address) {
-                doc.text(BUSINESS_CONFIG.address, 400, 65, { align: 'right' });
-            }
+    const formattedDate = formatLongDate(invoiceData.created);
+    const invoiceDate = new Date(invoiceData.created * 1000);
 
-            // === TAX INVOICE TITLE ===
-            doc.moveDown(2);
-            doc.fontSize(28)
-               .font('Helvetica-Bold')
-               .fillColor('#2d3748')
-               .text('TAX INVOICE', 50, 130, { align: 'center' });
+    // Get invoice number (use Stripe's or generate one)
+    const invoiceNumber = invoiceData.number || `ASH-${invoiceDate.getFullYear()}-${invoiceData.id.slice(-6).toUpperCase()}`;
 
-            // Horizontal line
-            doc.moveTo(50, 170)
-               .lineTo(545, 170)
-               .strokeColor('#e2e8f0')
-               .lineWidth(2)
-               .stroke();
+    try {
+        const pdf = await renderPdf((doc) => {
+            // === HEADER WITH LOGO + TAX INVOICE TITLE ===
+            drawLetterhead(doc, 'TAX INVOICE');
 
             // === INVOICE DETAILS ===
-            const detailsY = 190;
-            
-            // Left column - Invoice info
-            doc.fontSize(10)
-               .font('Helvetica-Bold')
-               .fillColor('#4a5568')
-               .text('Invoice Number:', 50, detailsY);
-            doc.font('Helvetica')
-               .text(invoiceNumber, 150, detailsY);
-
-            doc.font('Helvetica-Bold')
-               .text('Date:', 50, detailsY + 18);
-            doc.font('Helvetica')
-               .text(formattedDate, 150, detailsY + 18);
-
-            doc.font('Helvetica-Bold')
-               .text('Status:', 50, detailsY + 36);
-            
-            // Status badge
             const statusColor = invoiceData.status === 'paid' ? '#48bb78' : '#f56565';
             const statusText = invoiceData.status === 'paid' ? 'PAID' : invoiceData.status.toUpperCase();
-            doc.font('Helvetica-Bold')
-               .fillColor(statusColor)
-               .text(statusText, 150, detailsY + 36);
-
-            // Right column - Customer info
-            doc.fontSize(10)
-               .font('Helvetica-Bold')
-               .fillColor('#4a5568')
-               .text('Bill To:', 350, detailsY);
-            
-            doc.font('Helvetica')
-               .fillColor('#2d3748')
-               .text(invoiceData.customer_name || 'Customer', 350, detailsY + 18);
-            doc.fillColor('#718096')
-               .text(invoiceData.customer_email || '', 350, detailsY + 36);
+            drawDetails(doc, 190, [
+                ['Invoice Number', invoiceNumber],
+                ['Date', formattedDate],
+                ['Status', statusText, statusColor]
+            ], { name: invoiceData.customer_name, email: invoiceData.customer_email });
 
             // === LINE ITEMS TABLE ===
             const tableTop = 290;
@@ -208,7 +238,7 @@ async function generateInvoicePdf(invoiceData) {
             } else {
                 for (const item of lineItems) {
                     const itemAmount = (item.amount || 0) / 100;
-                    const itemSubtotal = BUSINESS_CONFIG.gstRegistered ? itemAmount - (itemAmount / 11) : itemAmount;
+                    const itemSubtotal = itemAmount - gstOf(itemAmount);
                     
                     doc.fontSize(10)
                        .font('Helvetica')
@@ -220,41 +250,7 @@ async function generateInvoicePdf(invoiceData) {
             }
 
             // === TOTALS ===
-            const totalsY = rowY + 20;
-            
-            // Horizontal line above totals
-            doc.moveTo(300, totalsY)
-               .lineTo(545, totalsY)
-               .strokeColor('#e2e8f0')
-               .lineWidth(1)
-               .stroke();
-
-            // Subtotal
-            doc.fontSize(10)
-               .font('Helvetica')
-               .fillColor('#4a5568')
-               .text('Subtotal (excl GST):', 350, totalsY + 15)
-               .text(`$${subtotal.toFixed(2)}`, 450, totalsY + 15, { align: 'right', width: 85 });
-
-            // GST
-            if (BUSINESS_CONFIG.gstRegistered) {
-                doc.text('GST (10%):', 350, totalsY + 33)
-                   .text(`$${gstAmount.toFixed(2)}`, 450, totalsY + 33, { align: 'right', width: 85 });
-            }
-
-            // Total line
-            doc.moveTo(300, totalsY + 55)
-               .lineTo(545, totalsY + 55)
-               .strokeColor('#2d3748')
-               .lineWidth(2)
-               .stroke();
-
-            // Total
-            doc.fontSize(12)
-               .font('Helvetica-Bold')
-               .fillColor('#2d3748')
-               .text('TOTAL AUD:', 350, totalsY + 65)
-               .text(`$${totalDollars.toFixed(2)}`, 450, totalsY + 65, { align: 'right', width: 85 });
+            const totalsY = drawTotals(doc, rowY + 20, { subtotal, gstAmount, gstLabel: 'GST (10%):', totalLabel: 'TOTAL AUD:', total: totalDollars });
 
             // === PAYMENT INFO ===
             if (invoiceData.status === 'paid') {
@@ -270,17 +266,345 @@ async function generateInvoicePdf(invoiceData) {
                .font('Helvetica')
                .fillColor('#a0aec0')
                .text('Thank you for your business!', 50, 700, { align: 'center' });
+        });
 
-            // Finalize PDF
-            doc.end();
-            
-            logger.info(`Invoice PDF generated: ${invoiceNumber}`);
+        logger.info(`Invoice PDF generated: ${invoiceNumber}`);
+        return pdf;
 
-        } catch (error) {
-            logger.error('Error generating invoice PDF:', error.message);
-            reject(error);
+    } catch (error) {
+        logger.error('Error generating invoice PDF:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Subtotal (excl GST), GST and total block under a line-items table. Returns the y it started
+ * at, which the callers use to place text under the totals.
+ */
+function drawTotals(doc, totalsY, { subtotal, gstAmount, gstLabel, totalLabel, total }) {
+    // Horizontal line above totals
+    doc.moveTo(300, totalsY)
+       .lineTo(545, totalsY)
+       .strokeColor('#e2e8f0')
+       .lineWidth(1)
+       .stroke();
+
+    doc.fontSize(10)
+       .font('Helvetica')
+       .fillColor('#4a5568')
+       .text('Subtotal (excl GST):', 350, totalsY + 15)
+       .text(`$${subtotal.toFixed(2)}`, 450, totalsY + 15, { align: 'right', width: 85 });
+
+    if (BUSINESS_CONFIG.gstRegistered) {
+        doc.text(gstLabel, 350, totalsY + 33)
+           .text(`$${gstAmount.toFixed(2)}`, 450, totalsY + 33, { align: 'right', width: 85 });
+    }
+
+    doc.moveTo(300, totalsY + 55)
+       .lineTo(545, totalsY + 55)
+       .strokeColor('#2d3748')
+       .lineWidth(2)
+       .stroke();
+
+    doc.fontSize(12)
+       .font('Helvetica-Bold')
+       .fillColor('#2d3748')
+       .text(totalLabel, 350, totalsY + 65)
+       .text(`$${total.toFixed(2)}`, 450, totalsY + 65, { align: 'right', width: 85 });
+    return totalsY;
+}
+
+// Stripe refund.reason -> wording on the adjustment note
+const REFUND_REASONS = {
+    duplicate: 'Duplicate charge',
+    fraudulent: 'Fraudulent charge',
+    requested_by_customer: 'Refund requested by customer',
+    expired_uncaptured_charge: 'Uncaptured charge expired'
+};
+
+/**
+ * Generate an ATO adjustment note (credit note) PDF for a Stripe refund
+ * 
+ * @param {object} noteData
+ * @param {string} noteData.id - Stripe refund ID
+ * @param {string} [noteData.number] - Adjustment note number (default CN-<last 8 of refund id>)
+ * @param {number} noteData.created - Unix timestamp of the refund
+ * @param {number} noteData.amount - Amount refunded in cents (GST-inclusive)
+ * @param {string} [noteData.reason] - Stripe refund.reason or free text
+ * @param {object} noteData.original - The tax invoice being adjusted: { number, created, description }
+ * @param {string} noteData.customer_name - Customer name
+ * @param {string} noteData.customer_email - Customer email
+ * @returns {Promise<Buffer>} PDF as a buffer
+ */
+async function generateCreditNotePdf(noteData) {
+    const logger = createLogger({ 
+        runId: 'PDF', 
+        clientId: 'BILLING', 
+        operation: 'generate_credit_note_pdf' 
+    });
+
+    const totalDollars = (noteData.amount || 0) / 100;
+    const gstAmount = gstOf(totalDollars);
+    const subtotal = totalDollars - gstAmount;
+    const number = creditNoteNumber(noteData);
+    const original = noteData.original || {};
+    const originalRef = original.number
+        ? `${original.number}${original.created ? ` (${formatLongDate(original.created)})` : ''}`
+        : 'N/A';
+    const reason = REFUND_REASONS[noteData.reason] || noteData.reason || 'Refund';
+
+    try {
+        const pdf = await renderPdf((doc) => {
+            drawLetterhead(doc, 'ADJUSTMENT NOTE');
+
+            drawDetails(doc, 190, [
+                ['Note Number', number],
+                ['Date', formatLongDate(noteData.created)],
+                ['Adjusts Invoice', originalRef],
+                ['Reason', reason]
+            ], { name: noteData.customer_name, email: noteData.customer_email });
+
+            const tableTop = 290;
+            doc.rect(50, tableTop, 495, 25)
+               .fill('#f7fafc');
+            doc.fontSize(10)
+               .font('Helvetica-Bold')
+               .fillColor('#4a5568')
+               .text('Description', 60, tableTop + 8)
+               .text('Credit', 450, tableTop + 8, { align: 'right', width: 85 });
+
+            const rowY = tableTop + 35;
+            doc.fontSize(10)
+               .font('Helvetica')
+               .fillColor('#2d3748')
+               .text(`Refund: ${original.description || 'Subscription'}`, 60, rowY, { width: 380 })
+               .text(`$${subtotal.toFixed(2)}`, 450, rowY, { align: 'right', width: 85 });
+
+            const totalsY = drawTotals(doc, rowY + 45, { subtotal, gstAmount, gstLabel: 'GST adjustment:', totalLabel: 'TOTAL CREDIT AUD:', total: totalDollars });
+
+            const note = BUSINESS_CONFIG.gstRegistered
+                ? `This adjustment note reduces the GST on tax invoice ${original.number || 'referenced above'} by $${gstAmount.toFixed(2)}.`
+                : 'No GST was charged on the original invoice.';
+            doc.fontSize(10)
+               .font('Helvetica')
+               .fillColor('#4a5568')
+               .text(note, 50, totalsY + 110, { align: 'center' });
+            doc.fillColor('#48bb78')
+               .text(`Refunded ${formatLongDate(noteData.created)} to the original payment method`, 50, totalsY + 128, { align: 'center' });
+
+            doc.fontSize(10)
+               .font('Helvetica')
+               .fillColor('#a0aec0')
+               .text('Thank you for your business!', 50, 700, { align: 'center' });
+        });
+
+        logger.info(`Adjustment note PDF generated: ${number}`);
+        return pdf;
+
+    } catch (error) {
+        logger.error('Error generating adjustment note PDF:', error.message);
+        throw error;
+    }
+}
+
+/** Adjustment note number for a refund: the caller's, else CN-<last 8 of the refund id>. */
+function creditNoteNumber(noteData) {
+    return noteData.number || `CN-${String(noteData.id || '').slice(-8).toUpperCase()}`;
+}
+
+/**
+ * A customer's account ledger from Stripe objects, oldest first, in cents.
+ *   invoice (finalised, not void)  -> 'invoice' debit; once paid, a 'payment' credit at paid_at
+ *   one-time charge (no invoice)   -> 'invoice' debit + 'payment' credit, same moment
+ *   succeeded refund               -> 'adjustment' credit (the adjustment note) + 'refund' debit
+ *                                     (the money going back) — a refund nets to zero balance
+ * gstCents is carried on the supply rows (invoice +, adjustment -) for the GST summary.
+ *
+ * @param {object} sources - { invoices, charges, refunds } as returned by Stripe; `charges` must
+ *                           already exclude invoice payments; refunds may carry `_reference`
+ *                           (the invoice number they adjust)
+ * @returns {Array<object>} { date, type, reference, description, debitCents, creditCents, gstCents }
+ */
+function buildLedgerEntries({ invoices = [], charges = [], refunds = [] }) {
+    const gstCents = (cents) => Math.round(gstOf(cents / 100) * 100);
+    const entries = [];
+    for (const inv of invoices) {
+        if (!inv || inv.status === 'draft' || inv.status === 'void') continue;
+        const total = inv.total ?? inv.amount_due ?? 0;
+        const reference = inv.number || inv.id;
+        const description = inv.lines?.data?.[0]?.description || 'Subscription';
+        entries.push({ date: inv.created, type: 'invoice', reference, description, debitCents: total, creditCents: 0, gstCents: gstCents(total) });
+        if (inv.amount_paid > 0) {
+            const paidAt = inv.status_transitions?.paid_at || inv.created;
+            entries.push({ date: paidAt, type: 'payment', reference, description: 'Payment received', debitCents: 0, creditCents: inv.amount_paid, gstCents: 0 });
         }
+    }
+    for (const charge of charges) {
+        const reference = charge.id.replace('ch_', 'CHG-');
+        const description = charge.description || 'One-time payment';
+        entries.push({ date: charge.created, type: 'invoice', reference, description, debitCents: charge.amount, creditCents: 0, gstCents: gstCents(charge.amount) });
+        entries.push({ date: charge.created, type: 'payment', reference, description: 'Payment received', debitCents: 0, creditCents: charge.amount, gstCents: 0 });
+    }
+    for (const refund of refunds) {
+        if (refund.status !== 'succeeded') continue;
+        const reference = creditNoteNumber({ id: refund.id });
+        const adjusts = refund._reference ? ` (adjusts ${refund._reference})` : '';
+        entries.push({ date: refund.created, type: 'adjustment', reference, description: `Adjustment note${adjusts}`, debitCents: 0, creditCents: refund.amount, gstCents: -gstCents(refund.amount) });
+        entries.push({ date: refund.created, type: 'refund', reference, description: 'Refund paid', debitCents: refund.amount, creditCents: 0, gstCents: 0 });
+    }
+    // Same-moment ties keep the supply row before its payment / the note before its refund
+    const order = { invoice: 0, adjustment: 1, payment: 2, refund: 3 };
+    return entries.sort((a, b) => (a.date - b.date) || (order[a.type] - order[b.type]));
+}
+
+/**
+ * Cut a statement out of the ledger: the balance brought forward from before `from`, the rows
+ * in [from, to) with a running balance, and the period totals. Positive balance = owed by the
+ * customer.
+ * @param {Array<object>} entries - buildLedgerEntries()
+ * @param {{ from: number, to: number }} period - unix seconds
+ */
+function buildStatement(entries, { from, to }) {
+    let balance = 0;
+    const rows = [];
+    const totals = { invoicedCents: 0, paidCents: 0, adjustedCents: 0, refundedCents: 0, gstCents: 0 };
+    for (const e of entries) {
+        if (e.date >= to) continue;
+        balance += e.debitCents - e.creditCents;
+        if (e.date < from) continue;
+        rows.push({ ...e, balanceCents: balance });
+        if (e.type === 'invoice') totals.invoicedCents += e.debitCents;
+        if (e.type === 'payment') totals.paidCents += e.creditCents;
+        if (e.type === 'adjustment') totals.adjustedCents += e.creditCents;
+        if (e.type === 'refund') totals.refundedCents += e.debitCents;
+        totals.gstCents += e.gstCents;
+    }
+    const openingCents = balance - rows.reduce((sum, r) => sum + r.debitCents - r.creditCents, 0);
+    return { openingCents, rows, closingCents: balance, totals };
+}
+
+/**
+ * Generate a monthly account statement PDF
+ * 
+ * @param {object} data
+ * @param {object} data.customer - { name, email }
+ * @param {string} data.periodLabel - e.g. "September 2026"
+ * @param {number} data.from - period start (unix seconds)
+ * @param {number} data.to - period end, exclusive (unix seconds)
+ * @param {object} data.statement - buildStatement()
+ * @returns {Promise<Buffer>} PDF as a buffer
+ */
+async function generateStatementPdf({ customer = {}, periodLabel, from, to, statement }) {
+    const logger = createLogger({ 
+        runId: 'PDF', 
+        clientId: 'BILLING', 
+        operation: 'generate_statement_pdf' 
     });
+    const dollars = (cents) => money(cents / 100);
+    const TYPE_LABELS = { invoice: 'Invoice', payment: 'Payment', adjustment: 'Adjustment', refund: 'Refund' };
+    const COLS = [
+        { label: 'Date', x: 55, width: 62 },
+        { label: 'Type', x: 117, width: 62 },
+        { label: 'Reference', x: 179, width: 78 },
+        { label: 'Description', x: 257, width: 118 },
+        { label: 'Debit', x: 375, width: 52, align: 'right' },
+        { label: 'Credit', x: 429, width: 52, align: 'right' },
+        { label: 'Balance', x: 483, width: 57, align: 'right' }
+    ];
+
+    try {
+        const pdf = await renderPdf((doc) => {
+            drawLetterhead(doc, 'STATEMENT');
+
+            drawDetails(doc, 190, [
+                ['Period', periodLabel],
+                ['From', formatLongDate(from)],
+                ['To', formatLongDate(to - 1)],
+                ['Balance Due', dollars(statement.closingCents), statement.closingCents > 0 ? '#f56565' : '#48bb78']
+            ], customer);
+
+            const drawTableHeader = (y) => {
+                doc.rect(50, y, 495, 22)
+                   .fill('#f7fafc');
+                doc.fontSize(9)
+                   .font('Helvetica-Bold')
+                   .fillColor('#4a5568');
+                for (const c of COLS) doc.text(c.label, c.x, y + 7, { width: c.width, align: c.align || 'left' });
+                return y + 30;
+            };
+            const drawRow = (y, cells, bold) => {
+                doc.fontSize(9)
+                   .font(bold ? 'Helvetica-Bold' : 'Helvetica')
+                   .fillColor('#2d3748');
+                cells.forEach((text, i) => {
+                    if (text) doc.text(text, COLS[i].x, y, { width: COLS[i].width, align: COLS[i].align || 'left', lineBreak: false, ellipsis: true });
+                });
+                return y + 18;
+            };
+
+            let rowY = drawTableHeader(275);
+            rowY = drawRow(rowY, [formatShortDate(from), '', '', 'Balance brought forward', '', '', dollars(statement.openingCents)], true);
+            for (const r of statement.rows) {
+                if (rowY > 730) {
+                    doc.addPage();
+                    rowY = drawTableHeader(50);
+                }
+                rowY = drawRow(rowY, [
+                    formatShortDate(r.date),
+                    TYPE_LABELS[r.type] || r.type,
+                    r.reference,
+                    r.description,
+                    r.debitCents ? dollars(r.debitCents) : '',
+                    r.creditCents ? dollars(r.creditCents) : '',
+                    dollars(r.balanceCents)
+                ]);
+            }
+            if (!statement.rows.length) {
+                rowY = drawRow(rowY, ['', '', '', 'No activity this period', '', '', '']);
+            }
+            if (rowY > 640) {
+                doc.addPage();
+                rowY = 50;
+            }
+
+            // === PERIOD SUMMARY ===
+            const t = statement.totals;
+            const summary = [
+                ['Invoiced (incl GST):', dollars(t.invoicedCents)],
+                ['Payments received:', dollars(t.paidCents)],
+                ['Adjustment notes:', dollars(t.adjustedCents)],
+                ['Refunds paid:', dollars(t.refundedCents)]
+            ];
+            if (BUSINESS_CONFIG.gstRegistered) summary.push(['Net GST this period:', dollars(t.gstCents)]);
+            let y = rowY + 20;
+            doc.moveTo(300, y)
+               .lineTo(545, y)
+               .strokeColor('#e2e8f0')
+               .lineWidth(1)
+               .stroke();
+            y += 12;
+            doc.fontSize(10)
+               .font('Helvetica')
+               .fillColor('#4a5568');
+            for (const [label, value] of summary) {
+                doc.text(label, 330, y)
+                   .text(value, 450, y, { align: 'right', width: 85 });
+                y += 18;
+            }
+            doc.fontSize(12)
+               .font('Helvetica-Bold')
+               .fillColor('#2d3748')
+               .text('BALANCE DUE AUD:', 330, y + 8)
+               .text(dollars(statement.closingCents), 450, y + 8, { align: 'right', width: 85 });
+        });
+
+        logger.info(`Statement PDF generated: ${customer.email || customer.name || 'customer'} ${periodLabel}`);
+        return pdf;
+
+    } catch (error) {
+        logger.error('Error generating statement PDF:', error.message);
+        throw error;
+    }
 }
 
 /**
@@ -292,6 +616,12 @@ function getBusinessConfig() {
 
 module.exports = {
     generateInvoicePdf,
+    generateCreditNotePdf,
+    generateStatementPdf,
+    buildLedgerEntries,
+    buildStatement,
+    creditNoteNumber,
+    gstOf,
     getBusinessConfig,
     BUSINESS_CONFIG
 };
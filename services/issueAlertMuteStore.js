@@ -0,0 +1,102 @@
+/**
+ * Per-pattern alert mutes for Production Issues (services/issueAlertRouter.js).
+ *
+ * A mute silences alerts and the daily digest for every issue whose Pattern Matched (the regex
+ * source from config/errorPatterns.js) equals the muted pattern. Issues are still recorded and
+ * counted — muting only stops the noise. A mute can expire (muted_until) or last until removed.
+ * Snoozing a single issue is different: that's the Snoozed Until field on its Airtable row.
+ *
+ * Table (same Postgres as the other stores):
+ *   issue_alert_mutes — pattern (PK), reason, muted_until (NULL = indefinitely), created_at
+ *
+ * No DATABASE_URL => an in-process map (works locally, lost on restart; the daily analyzer cron
+ * is a separate process, so production needs the database for mutes to apply there).
+ * House style: tokenUsageLedger.js (lazy Pool, ensureSchema CREATE-IF-NOT-EXISTS, no migrations).
+ */
+
+const { Pool } = require("pg");
+
+let pool;
+let schemaEnsured = false;
+const memory = new Map(); // pattern -> { pattern, reason, mutedUntil, createdAt }
+
+function getPool() {
+  if (pool) return pool;
+  const url = (process.env.DATABASE_URL || "").trim();
+  if (!url) return null;
+  pool = new Pool({ connectionString: url, ssl: { rejectUnauthorized: false } });
+  return pool;
+}
+
+/** Test seam: inject a fake pool (unit tests never touch a real database). */
+function __setTestPool(fake) {
+  pool = fake;
+  schemaEnsured = fake ? true : false;
+  memory.clear();
+}
+
+async function ensureSchema(client) {
+  if (schemaEnsured) return;
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS issue_alert_mutes (
+      pattern      TEXT PRIMARY KEY,
+      reason       TEXT,
+      muted_until  TIMESTAMPTZ,
+      created_at   TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+  schemaEnsured = true;
+}
+
+async function withClient(fn) {
+  const client = await getPool().connect();
+  try {
+    await ensureSchema(client);
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+}
+
+const toIso = (v) => (v instanceof Date ? v.toISOString() : v || null);
+
+/**
+ * Mute alerts for a pattern (re-muting replaces the reason and expiry).
+ * @param {string} pattern - Pattern Matched value, e.g. "ETIMEDOUT"
+ * @param {{ reason?: string, mutedUntil?: string|null }} [opts]
+ */
+async function mutePattern(pattern, { reason = null, mutedUntil = null } = {}) {
+  const entry = { pattern: String(pattern), reason: reason || null, mutedUntil: toIso(mutedUntil), createdAt: new Date().toISOString() };
+  if (!getPool()) {
+    memory.set(entry.pattern, entry);
+    return entry;
+  }
+  await withClient((c) => c.query(
+    `INSERT INTO issue_alert_mutes (pattern, reason, muted_until) VALUES ($1, $2, $3)
+     ON CONFLICT (pattern) DO UPDATE SET reason = EXCLUDED.reason, muted_until = EXCLUDED.muted_until`,
+    [entry.pattern, entry.reason, entry.mutedUntil]));
+  return entry;
+}
+
+/** @returns {Promise<boolean>} whether a mute was removed */
+async function unmutePattern(pattern) {
+  if (!getPool()) return memory.delete(String(pattern));
+  const r = await withClient((c) => c.query(`DELETE FROM issue_alert_mutes WHERE pattern = $1`, [String(pattern)]));
+  return r.rowCount > 0;
+}
+
+/**
+ * Mutes still in force at `now` (expired ones are ignored, not deleted, so the list shows history).
+ * @returns {Promise<Array<{pattern, reason, mutedUntil, createdAt}>>}
+ */
+async function listActiveMutes(now = new Date()) {
+  const at = now.toISOString();
+  if (!getPool()) {
+    return [...memory.values()].filter((m) => !m.mutedUntil || m.mutedUntil > at);
+  }
+  const r = await withClient((c) => c.query(
+    `SELECT * FROM issue_alert_mutes WHERE muted_until IS NULL OR muted_until > $1 ORDER BY created_at DESC`, [at]));
+  return r.rows.map((row) => ({ pattern: row.pattern, reason: row.reason, mutedUntil: toIso(row.muted_until), createdAt: toIso(row.created_at) }));
+}
+
+module.exports = { mutePattern, unmutePattern, listActiveMutes, __setTestPool };
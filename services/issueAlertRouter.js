@@ -0,0 +1,213 @@
+// services/issueAlertRouter.js
+/**
+ * Alert routing for Production Issues
+ *
+ * productionIssueService hands over the issues that changed state in an analysis pass — a
+ * fingerprint seen for the first time ('new') or a FIXED issue seen again ('regression').
+ * Repeat occurrences of an open issue only bump its counts and never alert.
+ *
+ * Each severity routes to any of:
+ *   email   — one alert email per pass (sendAlertEmail → ALERT_EMAIL)
+ *   webhook — one POST per pass to ISSUE_ALERT_WEBHOOK_URL; Slack incoming webhooks read `text`,
+ *             other receivers get the structured `issues` array alongside it
+ *   digest  — nothing now; listed in the daily digest email (sendDailyDigest)
+ * Defaults: CRITICAL → email + webhook, ERROR → webhook + digest, WARNING → digest.
+ * Override with ISSUE_ALERT_ROUTES, e.g. "CRITICAL=email+webhook;ERROR=digest;WARNING=none".
+ *
+ * Suppressed: issues snoozed (Snoozed Until in the future) and issues whose pattern is muted
+ * (services/issueAlertMuteStore.js).
+ */
+
+const { createSafeLogger } = require('../utils/loggerHelper');
+const muteStore = require('./issueAlertMuteStore');
+
+const logger = createSafeLogger('PRODUCTION-ISSUES', 'ALERTS');
+
+const CHANNELS = ['email', 'webhook', 'digest'];
+const DEFAULT_ROUTES = {
+  CRITICAL: ['email', 'webhook'],
+  ERROR: ['webhook', 'digest'],
+  WARNING: ['digest'],
+};
+const SEVERITY_ICON = { CRITICAL: '🔴', ERROR: '🟠', WARNING: '🟡' };
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * Parse ISSUE_ALERT_ROUTES over the defaults. Unknown channels are ignored; "none" clears a severity.
+ * @param {string} [spec]
+ * @returns {{CRITICAL: string[], ERROR: string[], WARNING: string[]}}
+ */
+function resolveRoutes(spec = process.env.ISSUE_ALERT_ROUTES) {
+  const routes = { ...DEFAULT_ROUTES };
+  for (const part of String(spec || '').split(/[;,]/)) {
+    const m = part.match(/^\s*(CRITICAL|ERROR|WARNING)\s*=\s*(.*)$/i);
+    if (!m) continue;
+    routes[m[1].toUpperCase()] = m[2].split(/[+\s]+/).map((c) => c.toLowerCase()).filter((c) => CHANNELS.includes(c));
+  }
+  return routes;
+}
+
+/**
+ * Why an issue should not alert right now, or null
+ * @param {Object} issue - { snoozedUntil, patternMatched }
+ * @param {Array} mutes - listActiveMutes()
+ * @param {Date} now
+ */
+function suppressionReason(issue, mutes, now) {
+  if (issue.snoozedUntil && new Date(issue.snoozedUntil) > now) return `snoozed until ${issue.snoozedUntil}`;
+  const mute = mutes.find((m) => m.pattern === issue.patternMatched);
+  if (mute) return `pattern muted${mute.mutedUntil ? ` until ${mute.mutedUntil}` : ''}`;
+  return null;
+}
+
+const escapeHtml = (s) => String(s == null ? '' : s).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+const shortMessage = (issue) => String(issue.errorMessage || '').replace(/\s+/g, ' ').slice(0, 200);
+
+function eventLine({ type, issue }) {
+  const head = type === 'regression'
+    ? `♻️ REGRESSION ${issue.severity}${issue.fixedTime ? ` (fixed ${issue.fixedTime.slice(0, 10)})` : ''}`
+    : `${SEVERITY_ICON[issue.severity] || ''} NEW ${issue.severity}`;
+  const where = [issue.runId && `run ${issue.runId}`, issue.clientId && `client ${issue.clientId}`].filter(Boolean).join(', ');
+  return `${head}: ${shortMessage(issue)} — ×${issue.occurrences || 1}${where ? `, ${where}` : ''}`;
+}
+
+function alertEmailHtml(events) {
+  const rows = events.map(({ type, issue }) => `
+    <tr>
+      <td style="padding:4px 8px">${type === 'regression' ? '♻️ regression' : type}</td>
+      <td style="padding:4px 8px">${escapeHtml(issue.severity)}</td>
+      <td style="padding:4px 8px;font-family:monospace">${escapeHtml(shortMessage(issue))}</td>
+      <td style="padding:4px 8px">${issue.occurrences || 1}</td>
+      <td style="padding:4px 8px">${escapeHtml(issue.lastSeen || '')}</td>
+    </tr>`).join('');
+  return `<h2>Production Issues</h2>
+<table style="border-collapse:collapse" border="1">
+  <tr><th>Event</th><th>Severity</th><th>Message</th><th>Count</th><th>Last seen</th></tr>${rows}
+</table>
+<p>Fingerprints: ${events.map((e) => escapeHtml(e.issue.fingerprint)).join(', ')}</p>`;
+}
+
+async function postWebhookDefault(url, payload) {
+  const resp = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+  if (!resp.ok) throw new Error(`webhook responded ${resp.status}`);
+}
+
+async function sendEmailDefault(subject, html) {
+  const { sendAlertEmail } = require('./emailNotificationService');
+  const r = await sendAlertEmail(subject, html);
+  if (!r.success) throw new Error(r.error || 'email failed');
+}
+
+/**
+ * Deliver alerts for one analysis pass
+ * @param {Array<{type: 'new'|'regression', issue: Object}>} events
+ * @param {Object} [deps] - test seams: now, routes, sendEmail(subject, html), postWebhook(url, payload), webhookUrl
+ * @returns {Promise<{ email: number, webhook: number, digest: number, suppressed: Array, errors: string[] }>}
+ */
+async function routeIssueEvents(events, deps = {}) {
+  const now = deps.now || new Date();
+  const routes = deps.routes || resolveRoutes();
+  const sendEmail = deps.sendEmail || sendEmailDefault;
+  const postWebhook = deps.postWebhook || postWebhookDefault;
+  const webhookUrl = deps.webhookUrl !== undefined ? deps.webhookUrl : process.env.ISSUE_ALERT_WEBHOOK_URL;
+  const result = { email: 0, webhook: 0, digest: 0, suppressed: [], errors: [] };
+  if (!events.length) return result;
+
+  let mutes = [];
+  try {
+    mutes = await muteStore.listActiveMutes(now);
+  } catch (e) {
+    logger.warn(`Could not load alert mutes, alerting on everything: ${e.message}`);
+  }
+
+  const byChannel = { email: [], webhook: [] };
+  for (const event of events) {
+    const reason = suppressionReason(event.issue, mutes, now);
+    if (reason) {
+      result.suppressed.push({ fingerprint: event.issue.fingerprint, reason });
+      continue;
+    }
+    const channels = routes[event.issue.severity] || [];
+    if (channels.includes('email')) byChannel.email.push(event);
+    if (channels.includes('webhook')) byChannel.webhook.push(event);
+    if (channels.includes('digest')) result.digest++;
+  }
+
+  const regressions = (list) => list.filter((e) => e.type === 'regression').length;
+  if (byChannel.email.length) {
+    const n = byChannel.email.length;
+    const subject = `Production Issues: ${n} ${n === 1 ? 'alert' : 'alerts'}${regressions(byChannel.email) ? ` (${regressions(byChannel.email)} regressed)` : ''}`;
+    try {
+      await sendEmail(subject, alertEmailHtml(byChannel.email));
+      result.email = n;
+    } catch (e) {
+      result.errors.push(`email: ${e.message}`);
+    }
+  }
+  if (byChannel.webhook.length) {
+    if (!webhookUrl) {
+      logger.debug(`${byChannel.webhook.length} webhook alert(s) skipped: ISSUE_ALERT_WEBHOOK_URL not set`);
+    } else {
+      const payload = {
+        text: ['*Production Issues*', ...byChannel.webhook.map(eventLine)].join('\n'),
+        issues: byChannel.webhook.map(({ type, issue }) => ({ event: type, ...issue })),
+      };
+      try {
+        await postWebhook(webhookUrl, payload);
+        result.webhook = byChannel.webhook.length;
+      } catch (e) {
+        result.errors.push(`webhook: ${e.message}`);
+      }
+    }
+  }
+
+  for (const err of result.errors) logger.warn(`Alert delivery failed — ${err}`);
+  logger.info(`Alerts: ${result.email} email, ${result.webhook} webhook, ${result.digest} for digest, ${result.suppressed.length} suppressed`);
+  return result;
+}
+
+/**
+ * Daily digest email: open issues seen in the window whose severity routes to 'digest'
+ * @param {Object} opts
+ * @param {Object} opts.service - ProductionIssueService (getIssuesSeenSince)
+ * @param {number} [opts.hours=24]
+ * @param {boolean} [opts.dryRun] - build it but don't send
+ * @param {Object} [deps] - test seams: now, routes, sendEmail
+ * @returns {Promise<{ sent: boolean, count: number, suppressed: number, subject?: string, html?: string }>}
+ */
+async function sendDailyDigest({ service, hours = 24, dryRun = false }, deps = {}) {
+  const now = deps.now || new Date();
+  const routes = deps.routes || resolveRoutes();
+  const sendEmail = deps.sendEmail || sendEmailDefault;
+  const since = new Date(now.getTime() - hours * 3600 * 1000).toISOString();
+
+  const [issues, mutes] = await Promise.all([service.getIssuesSeenSince(since), muteStore.listActiveMutes(now)]);
+  const candidates = issues.filter((i) => (routes[i.severity] || []).includes('digest') && i.status !== 'IGNORED' && i.status !== 'FIXED');
+  const listed = candidates.filter((i) => !suppressionReason(i, mutes, now));
+  const suppressed = candidates.length - listed.length;
+  if (!listed.length) return { sent: false, count: 0, suppressed };
+
+  const order = { CRITICAL: 0, ERROR: 1, WARNING: 2 };
+  listed.sort((a, b) => order[a.severity] - order[b.severity] || (b.occurrences || 0) - (a.occurrences || 0));
+  const subject = `Production Issues digest: ${listed.length} open ${listed.length === 1 ? 'issue' : 'issues'} seen in the last ${hours}h`;
+  const html = `<p>${escapeHtml(subject)}${suppressed ? ` (${suppressed} snoozed or muted not shown)` : ''}.</p>
+${alertEmailHtml(listed.map((issue) => ({ type: issue.reopenedAt && issue.reopenedAt >= since ? 'regression' : 'open', issue })))}`;
+
+  if (dryRun) return { sent: false, count: listed.length, suppressed, subject, html };
+  await sendEmail(subject, html);
+  logger.info(`Daily digest sent: ${listed.length} issues`);
+  return { sent: true, count: listed.length, suppressed, subject };
+}
+
+module.exports = {
+  DEFAULT_ROUTES,
+  resolveRoutes,
+  suppressionReason,
+  routeIssueEvents,
+  sendDailyDigest,
+};
@@ -0,0 +1,84 @@
+// services/issueFingerprint.js
+/**
+ * Fingerprints for Production Issues
+ *
+ * One fingerprint = one issue. Two log lines get the same fingerprint when they are the same
+ * error: same severity, same message once the per-occurrence noise is stripped (timestamps,
+ * run IDs, record IDs, numbers...), and the same top application stack frame when one was
+ * captured. productionIssueService groups occurrences under the fingerprint instead of creating
+ * a new Airtable row every run.
+ */
+
+const crypto = require('crypto');
+
+const MAX_NORMALIZED_LENGTH = 500;
+
+/**
+ * Strip the parts of a log line that change between occurrences of the same error
+ * @param {string} errorMessage - Raw log line
+ * @returns {string} - Normalized message
+ */
+function normalizeMessage(errorMessage) {
+  let text = String(errorMessage || '').trim();
+
+  // Leading "[2025-10-07T14:23:15Z] [251012-072042-Guy-Wilson] [client] [op] [ERROR]" tags carry
+  // time, run and client — drop them, but keep the line if that's all there is
+  const untagged = text.replace(/^(?:\[[^\]]*\]\s*)+/, '');
+  if (untagged) text = untagged;
+
+  const normalized = text
+    .replace(/\d{4}-\d{2}-\d{2}[T\s]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?/g, '<TIME>')
+    .replace(/\b\d{6}-\d{6}(?:-[A-Za-z][\w-]*)?\b/g, '<RUN>')
+    .replace(/[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}/gi, '<UUID>')
+    .replace(/\brec[a-zA-Z0-9]{14}\b/g, '<RECORD>')
+    .replace(/[\w.+-]+@[\w-]+\.[\w.-]+/g, '<EMAIL>')
+    .replace(/(https?:\/\/[^\s?#"']+)[?#][^\s"']*/g, '$1')
+    .replace(/\b(?=[a-f0-9]*\d)(?=[a-f0-9]*[a-f])[a-f0-9]{8,}\b/gi, '<HEX>')
+    .replace(/\d+(?:\.\d+)?/g, '<N>')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return normalized.slice(0, MAX_NORMALIZED_LENGTH);
+}
+
+/**
+ * First stack frame that belongs to this app (not node internals or node_modules), without
+ * line/column so a redeploy that shifts lines doesn't split the issue
+ * @param {string|null} stackTrace - "    at fn (/path/file.js:10:5)" lines
+ * @returns {string|null} - e.g. "updateLead (services/leadService.js)"
+ */
+function topAppFrame(stackTrace) {
+  if (!stackTrace) return null;
+  for (const raw of String(stackTrace).split('\n')) {
+    const m = raw.match(/^\s*at\s+(?:(.+?)\s+\()?(.+?):\d+:\d+\)?\s*$/);
+    if (!m) continue;
+    const file = m[2];
+    if (/node_modules|^node:|^internal\/|\(internal\//.test(file)) continue;
+    const shortFile = file.replace(/\\/g, '/').split('/').slice(-2).join('/');
+    const fn = (m[1] || '<anonymous>').replace(/^async\s+/, '');
+    return `${fn} (${shortFile})`;
+  }
+  return null;
+}
+
+/**
+ * Compute the fingerprint for an issue from logFilterService
+ * @param {Object} issue - { severity, errorMessage, stackTrace }
+ * @returns {{ fingerprint: string, normalizedMessage: string, topFrame: string|null }}
+ */
+function fingerprintIssue(issue) {
+  const normalizedMessage = normalizeMessage(issue.errorMessage);
+  const topFrame = topAppFrame(issue.stackTrace);
+  const fingerprint = crypto
+    .createHash('sha1')
+    .update(`${issue.severity}|${normalizedMessage}|${topFrame || ''}`)
+    .digest('hex')
+    .slice(0, 16);
+  return { fingerprint, normalizedMessage, topFrame };
+}
+
+module.exports = {
+  normalizeMessage,
+  topAppFrame,
+  fingerprintIssue,
+};
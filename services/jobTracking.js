@@ -22,6 +22,9 @@ const { FIELD_NAMES, createValidatedObject } = require('../utils/airtableFieldVa
 // Database access
 const airtableClient = require('../config/airtableClient');
 const runIdSystem = require('./runIdSystem');
+// Structured run events behind the run timeline (GET /api/runs/:runId/timeline)
+const runEventStore = require('./runEventStore');
+const { baseRunIdOf, parseProgressMessage, metricsFromFields } = require('./runTimelineService');
 
 // Import constants - using standardized names only
 const { 
@@ -46,6 +49,17 @@ const { getStatusString, getRawStatusValue } = require('../utils/statusUtils');
 
 // This function has been moved to a static method in the JobTracking class
 
+/**
+ * Record a run timeline event without waiting on it - tracking must never slow down or fail
+ * because the event store is unavailable.
+ * @param {Object} event - runEventStore.recordEvent() event
+ */
+function recordRunEvent(event) {
+  runEventStore.recordEvent(event).catch(error => {
+    logger.debug(`Run event not recorded (${event.type} ${event.runId}): ${error.message}`);
+  });
+}
+
 /**
  * Validate field names against the appropriate constants
  * @param {string} tableName - Table name (e.g., JOB_TRACKING_TABLE, CLIENT_RUN_RESULTS_TABLE)
@@ -315,6 +329,12 @@ class JobTracking {
       const record = await masterBase(JOB_TRACKING_TABLE).create(recordData);
       
       log.debug(`Created job tracking record for ${runId}`);
+      recordRunEvent({
+        runId: standardRunId,
+        type: 'run_started',
+        data: { jobType, stream: initialData[JOB_TRACKING_FIELDS.STREAM] ?? null },
+        at: startTime
+      });
       
       return {
         id: record.id,
@@ -582,8 +602,16 @@ class JobTracking {
       
       // Create the record
       const record = await masterBase(CLIENT_RUN_RESULTS_TABLE).create(recordData);
+      const startTime = new Date().toISOString();
       
       log.debug(`Created client run record for ${clientRunId}`);
+      recordRunEvent({
+        runId: standardRunId,
+        clientId,
+        type: 'client_started',
+        data: { clientName: initialData[CLIENT_RUN_FIELDS.CLIENT_NAME] || null },
+        at: startTime
+      });
       
       return {
         id: record.id,
@@ -813,11 +841,16 @@ class JobTracking {
     };
     
     // Update the record with completion details
-    return await JobTracking.updateJob({
+    const result = await JobTracking.updateJob({
       runId,
       updates: completeUpdates,
       options
     });
+    const baseRunId = baseRunIdOf(JobTracking.extractId(runId));
+    if (baseRunId) {
+      recordRunEvent({ runId: baseRunId, type: 'run_completed', data: { status }, at: completeUpdates[JOB_TRACKING_FIELDS.END_TIME] });
+    }
+    return result;
   }
 
   /**
@@ -840,12 +873,17 @@ class JobTracking {
     };
     
     // Update the record with completion details
-    return await JobTracking.updateClientRun({
+    const result = await JobTracking.updateClientRun({
       runId,
       clientId,
       updates: completeUpdates,
       options
     });
+    const baseRunId = baseRunIdOf(JobTracking.extractId(runId));
+    if (baseRunId) {
+      recordRunEvent({ runId: baseRunId, clientId: JobTracking.extractId(clientId), type: 'client_completed', data: { status } });
+    }
+    return result;
   }
 
   /**
@@ -1184,7 +1222,7 @@ class JobTracking {
       log.debug(`Updating metrics for client ${safeClientId} with run ID ${safeRunId}`, { metrics: filteredMetrics });
       
       // Use the standard updateClientRun method but with filtered metrics
-      return await JobTracking.updateClientRun({
+      const result = await JobTracking.updateClientRun({
         runId: safeRunId,
         clientId: safeClientId,
         updates: {
@@ -1195,6 +1233,11 @@ class JobTracking {
           logger: log // Pass existing logger to prevent new logger creation
         }
       });
+      const snapshot = metricsFromFields(filteredMetrics);
+      if (snapshot && baseRunIdOf(safeRunId)) {
+        recordRunEvent({ runId: baseRunIdOf(safeRunId), clientId: safeClientId, type: 'metrics_snapshot', data: { metrics: snapshot, source } });
+      }
+      return result;
     } catch (error) {
       log.error(`Error updating client metrics: ${error.message}`);
       await logCriticalError(error, { context: 'Service error (before throw)', service: 'jobTracking.js' }).catch(() => {});
@@ -1626,6 +1669,21 @@ async function appendToProgressLog(runId, clientId, message) {
     ]);
     
     log.info(`Progress Log updated: ${message.substring(0, 100)}...`);
+    
+    // Same step as a structured timeline event (lines the parser doesn't recognise are skipped)
+    const step = parseProgressMessage(message);
+    const baseRunId = baseRunIdOf(runId);
+    if (step && baseRunId) {
+      recordRunEvent({
+        runId: baseRunId,
+        clientId,
+        type: step.type,
+        operation: step.operation,
+        phase: step.phase,
+        message: step.message,
+        data: step.data
+      });
+    }
     return true;
     
   } catch (error) {
@@ -0,0 +1,385 @@
+/**
+ * Lead deduplication and merge
+ *
+ * The same person ends up in Leads twice more often than you'd think: an LH import and a portal
+ * quick-add with different URL shapes (scripts/scan-linkedin-slug-collisions.js finds those), an
+ * inbound email that created a lead before the LinkedIn one was connected, a re-import after a
+ * name change. Notes, meetings and follow-ups then split across two records.
+ *
+ * Detection (per client base, test leads excluded):
+ *   - linkedin     same canonical slug (utils/linkedinCanonical.js)
+ *   - email        same Email, case-insensitive
+ *   - name_company same normalised Company Name and near-identical cleaned name
+ *                  (bigram similarity >= NAME_SIMILARITY, credentials/titles stripped)
+ * Each candidate pair carries a suggested survivor: higher AI Score, then the one with a LinkedIn
+ * URL, then the fuller record, then the older one.
+ *
+ * Merge (keep <- merge):
+ *   - Notes: section by section through utils/notesSectionManager.js - messages, manual and Sales
+ *     Nav lines merged/sorted/deduped, email threads and meeting blocks kept as units, tags unioned
+ *   - fields: blanks on the survivor are filled from the duplicate; the duplicate's email is kept
+ *     in Alt Emails; if the duplicate scored higher its score and assessment come across with it
+ *   - recall_meeting_leads / speaker mappings re-pointed (recallWebhookDb.reassignLeadMeetings)
+ *   - Smart FUP State re-pointed or dropped (smartFollowUpService.repointStateRecord)
+ *   - Notes audit entry (source 'lead-merge') once the survivor is written, if Notes changed
+ *   - the duplicate is deleted, then a lead-merge audit entry records survivor, merged id,
+ *     meetings moved and what happened to Smart FUP State
+ * The survivor is written before anything else moves, and the duplicate is only deleted once the
+ * meeting links are across, so a failure part-way leaves both records and the merge can be re-run
+ * (every Notes merge step dedupes).
+ */
+
+const { createLogger } = require('../utils/contextLogger');
+const { canonicalLinkedinSlug } = require('../utils/linkedinCanonical');
+const { cleanFullName } = require('../utils/nameNormalizer');
+const { logNotesChange, logLeadMerge } = require('../utils/notesAuditLogger');
+const { EXCLUDE_TEST_LEADS } = require('../utils/booleanSearchParser');
+const {
+  parseNotesIntoSections,
+  rebuildNotesFromSections,
+  mergeAndSortMessages,
+  mergeAndSortEmailBlocks,
+  mergeAndSortBlocks,
+} = require('../utils/notesSectionManager');
+const recallWebhookDb = require('./recallWebhookDb');
+const smartFollowUpService = require('./smartFollowUpService');
+
+const logger = createLogger({ runId: 'SYSTEM', clientId: 'SYSTEM', operation: 'lead_dedup' });
+
+const NAME_SIMILARITY = 0.8; // Jon/John Smith = 0.8, Anna/Anne Lee = 0.67 - and a human confirms every merge
+const MAX_CANDIDATES = 200;
+const REASON_ORDER = ['linkedin', 'email', 'name_company'];
+
+const SCAN_FIELDS = [
+  'First Name', 'Last Name', 'Email', 'Company Name', 'Job Title', 'LinkedIn Profile URL',
+  'AI Score', 'Status', 'Date Connected', 'Follow-Up Date',
+];
+
+// Filled on the survivor when blank there and set on the duplicate
+const FILL_FIELDS = [
+  'First Name', 'Last Name', 'Email', 'Phone', 'Company Name', 'Job Title', 'Headline', 'Location',
+  'About', 'Job History', 'LinkedIn Profile URL', 'LinkedIn Connection Status', 'Date Connected',
+  'Follow-Up Date', 'Priority', 'Source', 'Search Terms', 'Raw Profile Data',
+];
+// Travel together with AI Score when the duplicate scored higher
+const SCORE_FIELDS = [
+  'AI Score', 'AI Profile Assessment', 'AI Attribute Breakdown', 'Scoring Status', 'Date Scored',
+  'AI_Excluded', 'Exclude Details',
+];
+
+const COMPANY_NOISE = new Set([
+  'the', 'pty', 'ltd', 'limited', 'inc', 'incorporated', 'llc', 'llp', 'plc', 'co', 'corp',
+  'corporation', 'company', 'group', 'gmbh', 'holdings', 'australia', 'au',
+]);
+
+const isBlank = (v) => v === undefined || v === null || (typeof v === 'string' && !v.trim()) || (Array.isArray(v) && !v.length);
+
+const normalizeEmail = (v) => String(v || '').trim().toLowerCase();
+
+function normalizeCompany(v) {
+  return String(v || '')
+    .toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9 ]+/g, ' ')
+    .split(/\s+/)
+    .filter((t) => t && !COMPANY_NOISE.has(t))
+    .join(' ');
+}
+
+function normalizePersonName(fields) {
+  const full = `${fields['First Name'] || ''} ${fields['Last Name'] || ''}`;
+  return cleanFullName(full.normalize('NFD').replace(/[\u0300-\u036f]/g, ''))
+    .toLowerCase()
+    .replace(/[^a-z ]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/** Dice coefficient over character bigrams (spaces ignored). 1 = identical. */
+function nameSimilarity(a, b) {
+  const x = String(a || '').replace(/\s+/g, '');
+  const y = String(b || '').replace(/\s+/g, '');
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  if (x.length < 2 || y.length < 2) return 0;
+  const grams = new Map();
+  for (let i = 0; i < x.length - 1; i++) {
+    const g = x.slice(i, i + 2);
+    grams.set(g, (grams.get(g) || 0) + 1);
+  }
+  let shared = 0;
+  for (let i = 0; i < y.length - 1; i++) {
+    const g = y.slice(i, i + 2);
+    const n = grams.get(g);
+    if (n) { shared++; grams.set(g, n - 1); }
+  }
+  return (2 * shared) / (x.length - 1 + y.length - 1);
+}
+
+const score = (fields) => (typeof fields['AI Score'] === 'number' ? fields['AI Score'] : -1);
+const filledCount = (fields) => Object.values(fields || {}).filter((v) => !isBlank(v)).length;
+
+/**
+ * Which of two records should survive a merge.
+ * @returns {[Object, Object]} [keep, merge]
+ */
+function chooseSurvivor(a, b) {
+  const rules = [
+    (r) => score(r.fields),
+    (r) => (canonicalLinkedinSlug(r.fields['LinkedIn Profile URL']) ? 1 : 0),
+    (r) => filledCount(r.fields),
+    (r) => -(Date.parse(r.createdTime || '') || 0),
+  ];
+  for (const rule of rules) {
+    const d = rule(a) - rule(b);
+    if (d) return d > 0 ? [a, b] : [b, a];
+  }
+  return [a, b];
+}
+
+const summarize = (r) => ({
+  id: r.id,
+  firstName: r.fields['First Name'] || '',
+  lastName: r.fields['Last Name'] || '',
+  email: r.fields['Email'] || '',
+  company: r.fields['Company Name'] || '',
+  jobTitle: r.fields['Job Title'] || '',
+  linkedinProfileUrl: r.fields['LinkedIn Profile URL'] || '',
+  aiScore: typeof r.fields['AI Score'] === 'number' ? r.fields['AI Score'] : null,
+  status: r.fields['Status'] || '',
+  dateConnected: r.fields['Date Connected'] || null,
+  createdTime: r.createdTime || null,
+});
+
+/**
+ * Find duplicate pairs among lead records.
+ * @param {Array<{ id: string, fields: Object, createdTime?: string }>} records
+ * @param {{ limit?: number }} [opts]
+ * @returns {Array<{ keepId, mergeId, reasons: string[], nameSimilarity: number, keep, merge }>}
+ *   strongest first: more reasons, then slug > email > name+company
+ */
+function findDuplicatePairs(records, { limit = MAX_CANDIDATES } = {}) {
+  const pairs = new Map();
+  const addPair = (a, b, reason) => {
+    if (a.id === b.id) return;
+    const key = a.id < b.id ? `${a.id}|${b.id}` : `${b.id}|${a.id}`;
+    if (!pairs.has(key)) pairs.set(key, { a, b, reasons: new Set() });
+    pairs.get(key).reasons.add(reason);
+  };
+  const addGroups = (keyFn, reason) => {
+    const groups = new Map();
+    for (const r of records) {
+      const k = keyFn(r);
+      if (!k) continue;
+      if (!groups.has(k)) groups.set(k, []);
+      groups.get(k).push(r);
+    }
+    for (const group of groups.values()) {
+      for (let i = 0; i < group.length; i++) {
+        for (let j = i + 1; j < group.length; j++) addPair(group[i], group[j], reason);
+      }
+    }
+  };
+
+  addGroups((r) => canonicalLinkedinSlug(r.fields['LinkedIn Profile URL']), 'linkedin');
+  addGroups((r) => normalizeEmail(r.fields['Email']), 'email');
+
+  // Names are only compared within a company, which keeps this linear-ish on real bases
+  const byCompany = new Map();
+  for (const r of records) {
+    const company = normalizeCompany(r.fields['Company Name']);
+    const name = normalizePersonName(r.fields);
+    if (!company || name.length < 3) continue;
+    if (!byCompany.has(company)) byCompany.set(company, []);
+    byCompany.get(company).push({ r, name });
+  }
+  for (const group of byCompany.values()) {
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        if (nameSimilarity(group[i].name, group[j].name) >= NAME_SIMILARITY) addPair(group[i].r, group[j].r, 'name_company');
+      }
+    }
+  }
+
+  const rank = (reasons) => Math.min(...reasons.map((x) => REASON_ORDER.indexOf(x)));
+  return [...pairs.values()]
+    .map(({ a, b, reasons }) => {
+      const [keep, merge] = chooseSurvivor(a, b);
+      const list = REASON_ORDER.filter((x) => reasons.has(x));
+      return {
+        keepId: keep.id,
+        mergeId: merge.id,
+        reasons: list,
+        nameSimilarity: Math.round(nameSimilarity(normalizePersonName(a.fields), normalizePersonName(b.fields)) * 100) / 100,
+        keep: summarize(keep),
+        merge: summarize(merge),
+      };
+    })
+    .sort((x, y) => (y.reasons.length - x.reasons.length) || (rank(x.reasons) - rank(y.reasons)))
+    .slice(0, limit);
+}
+
+/**
+ * Scan a client's Leads table for duplicates.
+ * @param {Function} base - Airtable base for the client
+ * @returns {Promise<{ scanned: number, total: number, candidates: Array }>}
+ */
+async function findDuplicates(base, { limit = MAX_CANDIDATES } = {}) {
+  const records = [];
+  await base('Leads').select({ fields: SCAN_FIELDS, filterByFormula: EXCLUDE_TEST_LEADS, pageSize: 100 }).eachPage((page, next) => {
+    for (const r of page) {
+      records.push({ id: r.id, fields: r.fields || {}, createdTime: (r._rawJson && r._rawJson.createdTime) || null });
+    }
+    next();
+  });
+  const all = findDuplicatePairs(records, { limit: Infinity });
+  return { scanned: records.length, total: all.length, candidates: all.slice(0, limit) };
+}
+
+/**
+ * Combine two Notes values section by section. The survivor's tags come first.
+ * @returns {string}
+ */
+function combineNotes(keepNotes, mergeNotes) {
+  if (!String(mergeNotes || '').trim()) return keepNotes || '';
+  if (!String(keepNotes || '').trim()) return mergeNotes || '';
+  const a = parseNotesIntoSections(keepNotes);
+  const b = parseNotesIntoSections(mergeNotes);
+
+  const tags = [...a.tags];
+  for (const t of b.tags) {
+    if (!tags.some((x) => x.toLowerCase() === t.toLowerCase())) tags.push(t);
+  }
+  const legacy = [a.legacy, b.legacy].map((s) => (s || '').trim()).filter(Boolean);
+
+  return rebuildNotesFromSections({
+    tags,
+    linkedin: mergeAndSortMessages(a.linkedin, b.linkedin),
+    manual: mergeAndSortMessages(a.manual, b.manual),
+    salesnav: mergeAndSortMessages(a.salesnav, b.salesnav),
+    email: mergeAndSortEmailBlocks(a.email, b.email),
+    meeting: mergeAndSortBlocks(a.meeting, b.meeting),
+    legacy: [...new Set(legacy)].join('\n\n'),
+  });
+}
+
+/**
+ * Field updates for the survivor (Notes excluded - see combineNotes).
+ * @returns {Object} fields to write; empty when nothing changes
+ */
+function mergeLeadFields(keepFields, mergeFields) {
+  const updates = {};
+  for (const f of FILL_FIELDS) {
+    if (isBlank(keepFields[f]) && !isBlank(mergeFields[f])) updates[f] = mergeFields[f];
+  }
+  if (score(mergeFields) > score(keepFields)) {
+    for (const f of SCORE_FIELDS) {
+      if (mergeFields[f] !== undefined) updates[f] = mergeFields[f];
+    }
+  }
+
+  const primary = normalizeEmail(updates['Email'] || keepFields['Email']);
+  const seen = new Set();
+  const alts = [];
+  for (const part of `${keepFields['Alt Emails'] || ''}\n${mergeFields['Alt Emails'] || ''}\n${mergeFields['Email'] || ''}`.split(/[;,\n]+/)) {
+    const e = normalizeEmail(part);
+    if (!e || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e) || e === primary || seen.has(e)) continue;
+    seen.add(e);
+    alts.push(e);
+  }
+  if (alts.join('\n') !== String(keepFields['Alt Emails'] || '').trim()) updates['Alt Emails'] = alts.join('\n');
+  return updates;
+}
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+async function findLead(base, id) {
+  try {
+    return await base('Leads').find(id);
+  } catch (e) {
+    if (e.statusCode === 404) throw httpError(`Lead ${id} not found`, 404);
+    throw e;
+  }
+}
+
+/**
+ * Merge lead `mergeId` into lead `keepId` and delete it.
+ * @param {Function} base - Airtable base for the client
+ * @param {{ keepId: string, mergeId: string, clientId: string }} opts
+ * @returns {Promise<{ lead: { id, fields }, mergedId: string, fieldsUpdated: string[], meetings: Object, smartFup: Object, warnings: string[] }>}
+ */
+async function mergeLeads(base, { keepId, mergeId, clientId }) {
+  if (!keepId || !mergeId) throw httpError('keepId and mergeId are required', 400);
+  if (keepId === mergeId) throw httpError('Cannot merge a lead into itself', 400);
+
+  const keep = await findLead(base, keepId);
+  const merge = await findLead(base, mergeId);
+  const keepFields = keep.fields || {};
+  const mergeFields = merge.fields || {};
+  const warnings = [];
+
+  const updates = mergeLeadFields(keepFields, mergeFields);
+  const notesBefore = keepFields['Notes'] || '';
+  const notesAfter = combineNotes(notesBefore, mergeFields['Notes'] || '');
+  if (notesAfter !== notesBefore) updates['Notes'] = notesAfter;
+
+  let lead = { id: keep.id, fields: keepFields };
+  if (Object.keys(updates).length) {
+    const [updated] = await base('Leads').update([{ id: keepId, fields: updates }]);
+    lead = { id: updated.id, fields: updated.fields };
+  }
+  if (updates['Notes'] !== undefined) {
+    logNotesChange({
+      leadId: keepId,
+      leadEmail: keepFields['Email'] || mergeFields['Email'] || 'unknown',
+      source: 'lead-merge',
+      notesBefore,
+      notesAfter,
+      metadata: { clientId, mergedFromId: mergeId, mergedFromNotesLength: (mergeFields['Notes'] || '').length },
+    });
+  }
+
+  // Meeting links must be across before the duplicate goes - they're the only pointer to the transcripts
+  const meetings = await recallWebhookDb.reassignLeadMeetings(mergeId, keepId, clientId);
+
+  // Smart FUP State is derived data the next sweep rebuilds, so a failure here doesn't block the merge
+  let smartFup = { action: 'none' };
+  try {
+    smartFup = await smartFollowUpService.repointStateRecord(clientId, mergeId, lead);
+  } catch (e) {
+    warnings.push(`Smart FUP State not re-pointed: ${e.message}`);
+    logger.warn(`leadDedup: Smart FUP State re-point failed for ${clientId} ${mergeId} -> ${keepId}: ${e.message}`);
+  }
+
+  await base('Leads').destroy(mergeId);
+  logLeadMerge({
+    clientId,
+    survivorId: keepId,
+    mergedIds: [mergeId],
+    fieldsUpdated: Object.keys(updates),
+    meetingsMoved: meetings.moved || 0,
+    smartFupAction: smartFup.action,
+    metadata: warnings.length ? { warnings } : {},
+  });
+  logger.info(`leadDedup: merged ${mergeId} into ${keepId} for ${clientId} (fields: ${Object.keys(updates).join(', ') || 'none'}; meetings moved ${meetings.moved || 0}; smart FUP ${smartFup.action})`);
+
+  return { lead, mergedId: mergeId, fieldsUpdated: Object.keys(updates), meetings, smartFup, warnings };
+}
+
+module.exports = {
+  findDuplicates,
+  findDuplicatePairs,
+  chooseSurvivor,
+  combineNotes,
+  mergeLeadFields,
+  mergeLeads,
+  nameSimilarity,
+  normalizeCompany,
+  NAME_SIMILARITY,
+  MAX_CANDIDATES,
+};
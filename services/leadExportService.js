@@ -0,0 +1,297 @@
+/**
+ * Lead export formats — the row shape and file builders behind GET /api/linkedin/leads/export
+ * (CSV / XLSX / vCard) and the scheduled export emails (services/scheduledExportRunner.js).
+ *
+ * One row builder (leadExportRow) so the download and the emailed file can't drift apart.
+ * Values stay the strings Airtable gives us (that is what the CSV has always contained); the
+ * XLSX builder then types them per column — numbers as numbers, dates as real Excel dates —
+ * so a coach can sort by score or filter by date without "Text to Columns" first.
+ *
+ * Column chooser: ?columns=first_name,email,ai_score picks (and orders) standard columns;
+ * 'lh_*' in the list appends every flattened Raw Profile Data column. No ?columns => the
+ * standard set plus lh_* for CSV (the historical "complete file"), the standard set for XLSX.
+ */
+
+const XLSX = require('xlsx');
+
+/** Standard columns, in default order. type drives XLSX cell typing (text | number | date | bool). */
+const LEAD_EXPORT_COLUMNS = [
+  { key: 'first_name', label: 'First Name', type: 'text' },
+  { key: 'last_name', label: 'Last Name', type: 'text' },
+  { key: 'full_name', label: 'Full Name', type: 'text' },
+  { key: 'linkedin_url', label: 'LinkedIn URL', type: 'text' },
+  { key: 'email', label: 'Email', type: 'text' },
+  { key: 'alt_emails', label: 'Alt Emails', type: 'text' },
+  { key: 'phone', label: 'Phone', type: 'text' },
+  { key: 'company', label: 'Company', type: 'text' },
+  { key: 'job_title', label: 'Job Title', type: 'text' },
+  { key: 'headline', label: 'Headline', type: 'text' },
+  { key: 'location', label: 'Location', type: 'text' },
+  { key: 'about', label: 'About', type: 'text' },
+  { key: 'job_history', label: 'Job History', type: 'text' },
+  { key: 'ai_score', label: 'AI Score', type: 'number' },
+  { key: 'priority', label: 'Priority', type: 'text' },
+  { key: 'scoring_status', label: 'Scoring Status', type: 'text' },
+  { key: 'outbound_email_score', label: 'Outbound Email Score', type: 'number' },
+  { key: 'au', label: 'AU', type: 'bool' },
+  { key: 'status', label: 'Status', type: 'text' },
+  { key: 'connection_status', label: 'Connection Status', type: 'text' },
+  { key: 'lead_has_replied', label: 'Lead Has Replied', type: 'bool' },
+  { key: 'date_connected', label: 'Date Connected', type: 'date' },
+  { key: 'date_created', label: 'Date Created', type: 'date' },
+  { key: 'follow_up_date', label: 'Follow-Up Date', type: 'date' },
+  { key: 'cease_fup', label: 'Cease FUP', type: 'text' },
+  { key: 'source', label: 'Source', type: 'text' },
+  { key: 'search_terms', label: 'Search Terms', type: 'text' },
+];
+const COLUMN_BY_KEY = new Map(LEAD_EXPORT_COLUMNS.map((c) => [c.key, c]));
+const LH_ALL = 'lh_*';
+
+// Raw LH keys we never export: operator identity, opaque IDs, campaign
+// internals, expiring signed asset URLs. Junk that is noise or leaky.
+const RAW_BLOCKLIST = new Set([
+  'my_id', 'my_email', 'my_full_name',
+  'hash_id', 'sn_hash_id', 't_hash_id', 'r_member_id', 'member_id', 'sn_member_id',
+  'avatar_id', 'public_id_2', 'lh_id', 'avatar',
+  'action_id', 'action_name', 'action_type', 'campaign_id', 'campaign_name', 'campaign_type',
+]);
+const isJunkRawKey = (k) => {
+  if (RAW_BLOCKLIST.has(k)) return true;
+  if (/^[0-9a-f]{32}$/i.test(k)) return true; // hashed tracking key/value pairs
+  if (/_actual_at$/.test(k)) return true;     // scrape timestamps
+  return false;
+};
+
+const normalize = (val) => (val == null ? '' : String(val));
+const normLinkedIn = (url) => {
+  let u = String(url || '').trim();
+  if (u.endsWith('/')) u = u.slice(0, -1);
+  return u;
+};
+
+/**
+ * One lead as an export row: every standard column (as strings), plus lh_* columns flattened
+ * out of Raw Profile Data. Returns { row, lhKeys }.
+ * @param {Object} f - Airtable record.fields
+ */
+function leadExportRow(f) {
+  const row = {
+    first_name: normalize(f['First Name']),
+    last_name: normalize(f['Last Name']),
+    full_name: normalize(f['Full Name']),
+    linkedin_url: normLinkedIn(f['LinkedIn Profile URL']),
+    email: normalize(f['Email']),
+    alt_emails: normalize(f['Alt Emails']),
+    phone: normalize(f['Phone'] || f['Phone Number']),
+    company: normalize(f['Company Name']),
+    job_title: normalize(f['Job Title']),
+    headline: normalize(f['Headline']),
+    location: normalize(f['Location']),
+    about: normalize(f['About']),
+    job_history: normalize(f['Job History']),
+    ai_score: normalize(f['AI Score']),
+    priority: normalize(f['Priority']),
+    scoring_status: normalize(f['Scoring Status']),
+    outbound_email_score: normalize(f['Outbound Email Score']),
+    au: f['AU'] ? 'Yes' : '',
+    status: normalize(f['Status']),
+    connection_status: normalize(f['LinkedIn Connection Status']),
+    lead_has_replied: f['Lead Has Replied'] ? 'Yes' : '',
+    date_connected: normalize(f['Date Connected']),
+    date_created: normalize(f['Date Created']),
+    follow_up_date: normalize(f['Follow-Up Date']),
+    cease_fup: normalize(f['Cease FUP']),
+    source: normalize(f['Source']),
+    search_terms: normalize(f['Search Terms']),
+  };
+  const lhKeys = [];
+  try {
+    const parsed = JSON.parse(f['Raw Profile Data'] || '{}');
+    if (parsed && typeof parsed === 'object') {
+      for (const [k, v] of Object.entries(parsed)) {
+        if (isJunkRawKey(k)) continue;
+        const col = 'lh_' + k;
+        row[col] = (v == null) ? '' : (typeof v === 'object' ? JSON.stringify(v) : String(v));
+        lhKeys.push(col);
+      }
+    }
+  } catch (_) { /* skip unparseable raw profile blobs */ }
+  return { row, lhKeys };
+}
+
+/**
+ * Parse ?columns=. Returns { columns: [keys…], includeLh, unknown: [names…] }.
+ * Empty => null columns (caller uses its format's default).
+ */
+function resolveColumns(param) {
+  const names = (Array.isArray(param) ? param.join(',') : String(param || ''))
+    .split(',').map((s) => s.trim().toLowerCase()).filter(Boolean);
+  if (!names.length) return { columns: null, includeLh: null, unknown: [] };
+  const columns = [];
+  const unknown = [];
+  let includeLh = false;
+  for (const n of names) {
+    if (n === LH_ALL) includeLh = true;
+    else if (COLUMN_BY_KEY.has(n)) { if (!columns.includes(n)) columns.push(n); }
+    else unknown.push(n);
+  }
+  return { columns, includeLh, unknown };
+}
+
+/** Final header list for a file: chosen (or all) standard columns, then sorted lh_* if wanted. */
+function headerFor({ columns, includeLh }, lhKeys) {
+  const std = columns || LEAD_EXPORT_COLUMNS.map((c) => c.key);
+  return includeLh ? [...std, ...Array.from(lhKeys).sort()] : std;
+}
+
+const csvEscape = (v) => '"' + String(v || '').replace(/"/g, '""') + '"';
+
+function buildCsv(rows, header) {
+  const head = header.map(csvEscape).join(',');
+  const body = rows.map((r) => header.map((c) => csvEscape(r[c])).join(',')).join('\r\n');
+  return Buffer.from('\uFEFF' + head + '\r\n' + body + (body ? '\r\n' : ''), 'utf8');
+}
+
+/** A string value as a typed XLSX cell value (blank stays blank, unparseable stays text). */
+function typedValue(value, type) {
+  if (value === '' || value == null) return null;
+  if (type === 'number') {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : value;
+  }
+  if (type === 'date') {
+    // Airtable dates arrive as 'YYYY-MM-DD' or full ISO; date-only stays midnight UTC-free.
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    const d = m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : new Date(value);
+    return Number.isNaN(d.getTime()) ? value : d;
+  }
+  if (type === 'bool') return value === 'Yes';
+  return value;
+}
+
+/**
+ * XLSX workbook with one "Leads" sheet: header row of labels, typed cells, dates formatted
+ * yyyy-mm-dd, header frozen and filterable.
+ */
+function buildXlsx(rows, header) {
+  const labels = header.map((k) => (COLUMN_BY_KEY.get(k) ? COLUMN_BY_KEY.get(k).label : k));
+  const types = header.map((k) => (COLUMN_BY_KEY.get(k) ? COLUMN_BY_KEY.get(k).type : 'text'));
+  const aoa = [labels, ...rows.map((r) => header.map((k, i) => typedValue(r[k], types[i])))];
+  const sheet = XLSX.utils.aoa_to_sheet(aoa, { cellDates: true, dateNF: 'yyyy-mm-dd' });
+  sheet['!cols'] = header.map((k, i) => ({ wch: Math.min(60, Math.max(labels[i].length + 2, types[i] === 'date' ? 12 : 10)) }));
+  if (rows.length) sheet['!autofilter'] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: rows.length, c: header.length - 1 } }) };
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, sheet, 'Leads');
+  return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx', cellDates: true });
+}
+
+// vCard 3.0 text escaping (RFC 2426 §4): backslash, comma, semicolon, newline.
+const vEscape = (s) => String(s || '').replace(/\\/g, '\\\\').replace(/,/g, '\\,').replace(/;/g, '\\;').replace(/\r?\n/g, '\\n');
+
+// Fold content lines at 75 octets (continuation lines start with a space), never splitting a UTF-8 sequence.
+function foldLine(line) {
+  const out = [];
+  let current = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch, 'utf8');
+    if (bytes + n > 75) {
+      out.push(current);
+      current = ' ';
+      bytes = 1;
+    }
+    current += ch;
+    bytes += n;
+  }
+  out.push(current);
+  return out.join('\r\n');
+}
+
+/**
+ * vCard 3.0 file — one card per lead that has a phone or an email (the point is a phone
+ * import; a card with neither is just a name). Returns { buffer, count }.
+ */
+function buildVcards(rows) {
+  const cards = [];
+  for (const r of rows) {
+    if (!r.phone && !r.email) continue;
+    const fn = [r.first_name, r.last_name].filter(Boolean).join(' ') || r.full_name || r.email || r.phone;
+    const lines = [
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      `N:${vEscape(r.last_name)};${vEscape(r.first_name)};;;`,
+      `FN:${vEscape(fn)}`,
+    ];
+    if (r.company) lines.push(`ORG:${vEscape(r.company)}`);
+    if (r.job_title) lines.push(`TITLE:${vEscape(r.job_title)}`);
+    if (r.phone) lines.push(`TEL;TYPE=CELL:${vEscape(r.phone)}`);
+    if (r.email) lines.push(`EMAIL;TYPE=INTERNET:${vEscape(r.email)}`);
+    if (r.linkedin_url) lines.push(`URL:${vEscape(r.linkedin_url)}`);
+    if (r.ai_score) lines.push(`NOTE:${vEscape(`AI Score ${r.ai_score}${r.status ? ` · ${r.status}` : ''}`)}`);
+    lines.push('END:VCARD');
+    cards.push(lines.map(foldLine).join('\r\n'));
+  }
+  return { buffer: Buffer.from(cards.length ? cards.join('\r\n') + '\r\n' : '', 'utf8'), count: cards.length };
+}
+
+const FORMAT_META = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  vcf: { contentType: 'text/vcard; charset=utf-8', extension: 'vcf' },
+};
+
+/**
+ * Build a full-lead export file.
+ * @param {Array<Object>} rows - leadExportRow().row objects
+ * @param {{ format: 'csv'|'xlsx'|'vcf', columns?: string[]|null, includeLh?: boolean|null, lhKeys?: Iterable<string> }} opts
+ * @returns {{ buffer: Buffer, contentType: string, extension: string, rowCount: number }}
+ */
+function renderLeadExport(rows, { format, columns = null, includeLh = null, lhKeys = [] }) {
+  const meta = FORMAT_META[format];
+  if (!meta) throw new Error(`Unknown export format: ${format}`);
+  if (format === 'vcf') {
+    const { buffer, count } = buildVcards(rows);
+    return { buffer, rowCount: count, ...meta };
+  }
+  // Historical default: CSV carries lh_* unless a column list says otherwise; XLSX stays readable.
+  const lh = includeLh === null ? (format === 'csv' && !columns) : includeLh;
+  const header = headerFor({ columns, includeLh: lh }, lhKeys);
+  const buffer = format === 'xlsx' ? buildXlsx(rows, header) : buildCsv(rows, header);
+  return { buffer, rowCount: rows.length, ...meta };
+}
+
+/**
+ * Read every matching lead as export rows (used by scheduled exports; the download route
+ * streams its own pages so it can also serve the dedup-only txt types).
+ * @returns {Promise<{ rows: Object[], lhKeys: Set<string> }>}
+ */
+async function fetchLeadExportRows(base, { filterByFormula, maxRecords = 50000 } = {}) {
+  const rows = [];
+  const lhKeys = new Set();
+  const select = { sort: [{ field: 'First Name' }, { field: 'Last Name' }], pageSize: 100 };
+  if (filterByFormula) select.filterByFormula = filterByFormula;
+  if (maxRecords) select.maxRecords = maxRecords;
+  await base('Leads').select(select).eachPage((records, next) => {
+    for (const r of records) {
+      const { row, lhKeys: keys } = leadExportRow(r.fields || {});
+      rows.push(row);
+      keys.forEach((k) => lhKeys.add(k));
+    }
+    next();
+  });
+  return { rows, lhKeys };
+}
+
+module.exports = {
+  LEAD_EXPORT_COLUMNS,
+  LH_ALL,
+  FORMAT_META,
+  leadExportRow,
+  resolveColumns,
+  buildCsv,
+  buildXlsx,
+  buildVcards,
+  renderLeadExport,
+  fetchLeadExportRows,
+  normLinkedIn,
+};
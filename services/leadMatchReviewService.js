@@ -0,0 +1,169 @@
+// services/leadMatchReviewService.js
+// The lead match review queue: inbound emails and meetings the matcher (services/leadMatcher.js)
+// scored too low or too close to call wait here for the coach to pick the lead in the portal
+// (/match-review), instead of a "multiple leads" email asking them to file it by hand.
+//
+// parkForReview() is called by inboundEmailService when matchLead() says 'review'. The coach's
+// pick (resolveReview) is fed back two ways:
+//   1. learnEmailForLead — the email the item came with is recorded on the lead, so the next
+//      email from that address matches on its own;
+//   2. every inbound email waiting on the review is replayed (inboundEmailAuditService) with
+//      matchOverrides { [matchKey]: leadId }, so the Notes land exactly as a confident match
+//      would have put them, with the audit trail showing the replay.
+//
+// Parking never breaks the webhook: a store failure is logged and the item is treated as
+// "lead not found".
+
+const { createLogger } = require('../utils/contextLogger');
+const store = require('./leadMatchReviewStore');
+
+const logger = createLogger({
+    runId: 'INBOUND-EMAIL',
+    clientId: 'SYSTEM',
+    operation: 'lead-match-review'
+});
+
+// Required lazily: both require inboundEmailService, which requires this file.
+const inboundEmailService = () => require('./inboundEmailService');
+const inboundEmailAudit = () => require('./inboundEmailAuditService');
+const clientService = () => require('./clientService');
+
+const MAX_CANDIDATES = 5;
+const DEFAULT_PORTAL_BASE = 'https://pb-webhook-server.vercel.app';
+
+function httpError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+/** Portal page where the coach works the queue (linked from the notification emails). */
+function reviewUrl() {
+    return `${(process.env.PORTAL_BASE_URL || DEFAULT_PORTAL_BASE).replace(/\/+$/, '')}/match-review`;
+}
+
+/** What the portal shows for a candidate — enough to tell two Jenny Yans apart. */
+function toCandidate({ lead, score, reasons }) {
+    return {
+        leadId: lead.id,
+        name: `${lead.firstName || ''} ${lead.lastName || ''}`.trim(),
+        email: lead.email || null,
+        company: lead.company || null,
+        linkedinUrl: lead.linkedinUrl || null,
+        followUpDate: lead.followUpDate || null,
+        score,
+        reasons
+    };
+}
+
+/**
+ * Park an uncertain match for the coach. Never throws.
+ * @param {Object} client - client object (clientId)
+ * @param {Object} match - leadMatcher.matchLead() result with decision 'review'
+ * @param {Object} params
+ * @param {string} params.source - bcc | forward | notetaker | add_to
+ * @param {Object} params.signals - what the email told us about the person
+ * @param {Object} [params.context] - { subject, sender, provider, date, meetingLink, contactEmail }
+ * @param {number|null} [params.auditId] - inbound_emails.id to replay once the lead is picked
+ * @returns {Promise<{review: Object, created: boolean}|null>} null when the queue is unavailable
+ */
+async function parkForReview(client, match, { source, signals, context = {}, auditId = null }) {
+    try {
+        const result = await store.openReview({
+            clientId: client.clientId,
+            source,
+            matchKey: match.key,
+            signals,
+            context,
+            candidates: match.candidates.slice(0, MAX_CANDIDATES).map(toCandidate),
+            auditId
+        });
+        logger.info(`🔎 ${result.created ? 'Parked' : 'Added to'} match review #${result.review.id} for ${client.clientId} (${match.key}, top score ${match.confidence})`);
+        if (!auditId) logger.warn(`Match review #${result.review.id} has no stored email to replay - the coach's pick will only teach the email`);
+        return result;
+    } catch (error) {
+        logger.error(`Could not park ${match.key} for review: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * The coach picked the lead: learn the email, replay the waiting emails, close the review.
+ * @param {string} clientId
+ * @param {number} id - review id
+ * @param {string} leadId - must be one of the review's candidates
+ * @param {Object} [options] - { resolvedBy }
+ * @returns {Promise<Object>} the resolved review (outcome: { learned, replays: [{ auditId, replayId, status }] })
+ */
+async function resolveReview(clientId, id, leadId, { resolvedBy = null } = {}) {
+    const review = await store.getReview(clientId, id);
+    if (!review) throw httpError('Review not found', 404);
+    if (review.status !== 'pending') throw httpError(`Review is already ${review.status}`, 409);
+    const candidate = review.candidates.find(c => c.leadId === leadId);
+    if (!candidate) throw httpError('leadId is not one of this review\'s candidates', 400);
+
+    // Close first so a double click can't replay twice
+    const closed = await store.closeReview(clientId, id, { status: 'resolved', chosenLeadId: leadId, resolvedBy });
+    if (!closed) throw httpError('Review was resolved by someone else', 409);
+
+    const outcome = { leadName: candidate.name, learned: null, replays: [] };
+    const email = review.signals.email || review.context.contactEmail;
+    if (email) {
+        try {
+            const client = await clientService().getClientById(clientId);
+            outcome.learned = client
+                ? await inboundEmailService().learnEmailForLead(client, leadId, email)
+                : { learned: false, reason: 'client_not_found' };
+        } catch (error) {
+            logger.error(`Could not learn ${email} for ${leadId}: ${error.message}`);
+            outcome.learned = { learned: false, reason: 'error' };
+        }
+    }
+
+    // An email can name several unsure people (CCs, "Add to: Jenny; Sam") - replay with every
+    // pick already made for these emails, or the earlier ones would be parked all over again
+    const matchOverrides = {};
+    for (const earlier of await store.listReviews(clientId, { status: 'resolved', limit: 200 })) {
+        if (earlier.chosenLeadId && earlier.auditIds.some(a => review.auditIds.includes(a))) {
+            matchOverrides[earlier.matchKey] = earlier.chosenLeadId;
+        }
+    }
+    matchOverrides[review.matchKey] = leadId;
+
+    for (const auditId of review.auditIds) {
+        try {
+            const replay = await inboundEmailAudit().replayMessage(auditId, { notify: false, matchOverrides });
+            outcome.replays.push(replay
+                ? { auditId, replayId: replay.replay ? replay.replay.id : null, status: replay.replay ? replay.replay.status : (replay.result.success ? 'processed' : replay.result.error) }
+                : { auditId, replayId: null, status: 'not_found' });
+        } catch (error) {
+            logger.error(`Replay of inbound email #${auditId} for review #${id} failed: ${error.message}`);
+            outcome.replays.push({ auditId, replayId: null, status: 'error', error: error.message });
+        }
+    }
+
+    logger.info(`✅ Match review #${id} resolved to ${leadId} (${candidate.name}) - ${outcome.replays.length} email(s) replayed`);
+    return (await store.recordOutcome(clientId, id, outcome)) || { ...closed, outcome };
+}
+
+/**
+ * None of the candidates is right (or it doesn't matter): close without filing anything.
+ * @returns {Promise<Object>} the dismissed review
+ */
+async function dismissReview(clientId, id, { resolvedBy = null } = {}) {
+    const review = await store.getReview(clientId, id);
+    if (!review) throw httpError('Review not found', 404);
+    const closed = await store.closeReview(clientId, id, { status: 'dismissed', resolvedBy });
+    if (!closed) throw httpError(`Review is already ${review.status}`, 409);
+    logger.info(`Match review #${id} dismissed for ${clientId}`);
+    return closed;
+}
+
+module.exports = {
+    parkForReview,
+    resolveReview,
+    dismissReview,
+    reviewUrl,
+    listReviews: (clientId, opts) => store.listReviews(clientId, opts),
+    countPending: (clientId) => store.countPending(clientId)
+};
@@ -0,0 +1,261 @@
+/**
+ * Lead match review queue — inbound emails / meetings the matcher (services/leadMatcher.js)
+ * wasn't sure about, waiting for the coach to pick the lead in the portal (/match-review).
+ *
+ * One pending review per (client, match_key): a second email about the same uncertain person
+ * joins the existing review (audit_ids grows), so one click files all of them.
+ *
+ * Table (same Postgres as the other stores):
+ *   lead_match_reviews — status pending → resolved | dismissed
+ *
+ * No DATABASE_URL => in-process array (works locally, lost on restart).
+ *
+ * House style: rescoreJobStore.js (lazy Pool, ensureSchema CREATE-IF-NOT-EXISTS, no migrations).
+ */
+
+const { Pool } = require('pg');
+
+let pool;
+let schemaEnsured = false;
+
+const STATUSES = ['pending', 'resolved', 'dismissed'];
+
+function getPool() {
+  if (pool) return pool;
+  const url = (process.env.DATABASE_URL || '').trim();
+  if (!url) return null;
+  pool = new Pool({ connectionString: url, ssl: { rejectUnauthorized: false } });
+  return pool;
+}
+
+// In-process fallback (no DATABASE_URL). Rows use the same snake_case shape as the SQL path so
+// rowToReview() is the one mapper either way.
+const memory = { reviews: [], nextId: 1 };
+
+/** Test seam: inject a fake pool (unit tests never touch a real database). */
+function __setTestPool(fake) {
+  pool = fake;
+  schemaEnsured = fake ? true : false;
+  memory.reviews = [];
+  memory.nextId = 1;
+}
+
+async function ensureSchema(client) {
+  if (schemaEnsured) return;
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS lead_match_reviews (
+      id             BIGSERIAL PRIMARY KEY,
+      created_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+      client_id      TEXT NOT NULL,
+      status         TEXT NOT NULL DEFAULT 'pending',   -- pending | resolved | dismissed
+      source         TEXT,                              -- bcc | forward | notetaker | add_to
+      match_key      TEXT NOT NULL,                     -- leadMatcher.matchKey(signals)
+      signals        JSONB NOT NULL DEFAULT '{}'::jsonb,
+      context        JSONB NOT NULL DEFAULT '{}'::jsonb, -- subject, sender, provider, date, meetingLink
+      candidates     JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{ leadId, name, email, company, score, reasons }]
+      audit_ids      JSONB NOT NULL DEFAULT '[]'::jsonb, -- inbound_emails.id of every email waiting on this
+      chosen_lead_id TEXT,
+      resolved_at    TIMESTAMPTZ,
+      resolved_by    TEXT,
+      outcome        JSONB
+    );
+  `);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_lead_match_reviews_client ON lead_match_reviews (client_id, status, created_at DESC);`);
+  await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_lead_match_reviews_pending ON lead_match_reviews (client_id, match_key) WHERE status = 'pending';`);
+  schemaEnsured = true;
+}
+
+async function withClient(fn) {
+  const client = await getPool().connect();
+  try {
+    await ensureSchema(client);
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+}
+
+const iso = (v) => (v ? new Date(v).toISOString() : null);
+const json = (v, fallback) => (v == null ? fallback : typeof v === 'string' ? JSON.parse(v) : v);
+
+function rowToReview(r) {
+  if (!r) return null;
+  return {
+    id: Number(r.id),
+    createdAt: iso(r.created_at),
+    updatedAt: iso(r.updated_at),
+    clientId: r.client_id,
+    status: r.status,
+    source: r.source || null,
+    matchKey: r.match_key,
+    signals: json(r.signals, {}),
+    context: json(r.context, {}),
+    candidates: json(r.candidates, []),
+    auditIds: json(r.audit_ids, []).map(Number),
+    chosenLeadId: r.chosen_lead_id || null,
+    resolvedAt: iso(r.resolved_at),
+    resolvedBy: r.resolved_by || null,
+    outcome: json(r.outcome, null),
+  };
+}
+
+/**
+ * Open a review, or add this email to the pending one for the same person.
+ * @param {Object} params - { clientId, source, matchKey, signals, context, candidates, auditId }
+ * @returns {Promise<{review: Object, created: boolean}>}
+ */
+async function openReview(params) {
+  if (!params || !params.clientId || !params.matchKey) throw new Error('openReview: clientId and matchKey are required');
+  const auditIds = params.auditId ? [Number(params.auditId)] : [];
+  const now = new Date();
+
+  if (!getPool()) {
+    const pending = memory.reviews.find((r) => r.client_id === params.clientId && r.match_key === params.matchKey && r.status === 'pending');
+    if (pending) {
+      pending.audit_ids = [...new Set([...pending.audit_ids, ...auditIds])];
+      pending.candidates = params.candidates || pending.candidates;
+      pending.updated_at = now;
+      return { review: rowToReview(pending), created: false };
+    }
+    const row = {
+      id: memory.nextId++,
+      created_at: now,
+      updated_at: now,
+      client_id: params.clientId,
+      status: 'pending',
+      source: params.source || null,
+      match_key: params.matchKey,
+      signals: params.signals || {},
+      context: params.context || {},
+      candidates: params.candidates || [],
+      audit_ids: auditIds,
+      chosen_lead_id: null,
+      resolved_at: null,
+      resolved_by: null,
+      outcome: null,
+    };
+    memory.reviews.push(row);
+    return { review: rowToReview(row), created: true };
+  }
+
+  return withClient(async (c) => {
+    const { rows } = await c.query(
+      `INSERT INTO lead_match_reviews (client_id, source, match_key, signals, context, candidates, audit_ids)
+       VALUES ($1,$2,$3,$4,$5,$6,$7)
+       ON CONFLICT (client_id, match_key) WHERE status = 'pending'
+       DO UPDATE SET
+         audit_ids  = (SELECT COALESCE(jsonb_agg(DISTINCT x), '[]'::jsonb)
+                         FROM jsonb_array_elements(lead_match_reviews.audit_ids || EXCLUDED.audit_ids) x),
+         candidates = EXCLUDED.candidates,
+         updated_at = now()
+       RETURNING *, (xmax = 0) AS inserted`,
+      [params.clientId, params.source || null, params.matchKey, JSON.stringify(params.signals || {}),
+        JSON.stringify(params.context || {}), JSON.stringify(params.candidates || []), JSON.stringify(auditIds)]
+    );
+    return { review: rowToReview(rows[0]), created: Boolean(rows[0].inserted) };
+  });
+}
+
+/**
+ * A client's reviews, newest first.
+ * @param {string} clientId
+ * @param {Object} [opts] - { status (default pending; 'all' for every status), limit (<= 200) }
+ */
+async function listReviews(clientId, { status = 'pending', limit = 50 } = {}) {
+  const lim = Math.min(Math.max(Number(limit) || 50, 1), 200);
+  const filter = STATUSES.includes(status) ? status : null;
+  if (!getPool()) {
+    return memory.reviews
+      .filter((r) => r.client_id === clientId && (!filter || r.status === filter))
+      .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+      .slice(0, lim)
+      .map(rowToReview);
+  }
+  return withClient(async (c) => {
+    const params = [clientId];
+    let statusClause = '';
+    if (filter) { params.push(filter); statusClause = `AND status = $${params.length}`; }
+    params.push(lim);
+    const { rows } = await c.query(
+      `SELECT * FROM lead_match_reviews
+        WHERE client_id = $1 ${statusClause}
+        ORDER BY created_at DESC, id DESC
+        LIMIT $${params.length}`,
+      params
+    );
+    return rows.map(rowToReview);
+  });
+}
+
+/** Pending reviews for a client (nav badge). */
+async function countPending(clientId) {
+  if (!getPool()) return memory.reviews.filter((r) => r.client_id === clientId && r.status === 'pending').length;
+  return withClient(async (c) => {
+    const { rows } = await c.query(`SELECT COUNT(*)::int AS n FROM lead_match_reviews WHERE client_id = $1 AND status = 'pending'`, [clientId]);
+    return rows[0].n;
+  });
+}
+
+/** One review, only if it belongs to this client. */
+async function getReview(clientId, id) {
+  if (!getPool()) return rowToReview(memory.reviews.find((r) => r.id === Number(id) && r.client_id === clientId));
+  return withClient(async (c) => {
+    const { rows } = await c.query(`SELECT * FROM lead_match_reviews WHERE id = $1 AND client_id = $2`, [id, clientId]);
+    return rowToReview(rows[0]);
+  });
+}
+
+/**
+ * Close a pending review. Only a pending review can be closed, so two clicks don't file twice.
+ * @param {string} clientId
+ * @param {number} id
+ * @param {Object} params - { status: resolved | dismissed, chosenLeadId, resolvedBy, outcome }
+ * @returns {Promise<Object|null>} the closed review, or null if it wasn't pending
+ */
+async function closeReview(clientId, id, { status, chosenLeadId = null, resolvedBy = null, outcome = null }) {
+  if (status !== 'resolved' && status !== 'dismissed') throw new Error(`closeReview: bad status ${status}`);
+  if (!getPool()) {
+    const r = memory.reviews.find((x) => x.id === Number(id) && x.client_id === clientId && x.status === 'pending');
+    if (!r) return null;
+    Object.assign(r, { status, chosen_lead_id: chosenLeadId, resolved_by: resolvedBy, outcome, resolved_at: new Date(), updated_at: new Date() });
+    return rowToReview(r);
+  }
+  return withClient(async (c) => {
+    const { rows } = await c.query(
+      `UPDATE lead_match_reviews
+          SET status = $3, chosen_lead_id = $4, resolved_by = $5, outcome = $6, resolved_at = now(), updated_at = now()
+        WHERE id = $1 AND client_id = $2 AND status = 'pending'
+        RETURNING *`,
+      [id, clientId, status, chosenLeadId, resolvedBy, outcome ? JSON.stringify(outcome) : null]
+    );
+    return rowToReview(rows[0]);
+  });
+}
+
+/** What resolving did (learned email, replays), recorded after the review is closed. */
+async function recordOutcome(clientId, id, outcome) {
+  if (!getPool()) {
+    const r = memory.reviews.find((x) => x.id === Number(id) && x.client_id === clientId);
+    if (!r) return null;
+    Object.assign(r, { outcome, updated_at: new Date() });
+    return rowToReview(r);
+  }
+  return withClient(async (c) => {
+    const { rows } = await c.query(
+      `UPDATE lead_match_reviews SET outcome = $3, updated_at = now() WHERE id = $1 AND client_id = $2 RETURNING *`,
+      [id, clientId, JSON.stringify(outcome)]
+    );
+    return rowToReview(rows[0]);
+  });
+}
+
+module.exports = {
+  openReview,
+  listReviews,
+  countPending,
+  getReview,
+  closeReview,
+  recordOutcome,
+  __setTestPool,
+};
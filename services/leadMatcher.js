@@ -0,0 +1,233 @@
+// services/leadMatcher.js
+// One confidence-scored matcher for "which lead is this?" — used by the BCC-to-CRM flow, the
+// notetaker flow and "Add to:" recipients in services/inboundEmailService.js.
+//
+// Before this, each flow walked its own cascade (findLeadByEmail → findLeadByAltEmail →
+// findLeadByName → findLeadByFirstNameAndDomain → findLeadByDomainOnly) and treated the first
+// unique hit as certain and any tie as a "multiple leads" email. Now the same finders gather
+// CANDIDATES, every candidate gets a score from the evidence for it, and:
+//
+//   auto    top score >= LEAD_MATCH_AUTO_THRESHOLD (70) and at least LEAD_MATCH_MARGIN (15)
+//           ahead of the runner-up  → use it, as before
+//   review  top score >= LEAD_MATCH_REVIEW_FLOOR (25) → park it in the portal review queue
+//           (services/leadMatchReviewService.js); the coach picks the lead with one click
+//   none    nothing plausible → lead not found, as before
+//
+// Score (0-100, evidence adds up, capped at 99 unless the email itself matched):
+//   email exact 100 · alt email 95 · full name exact 70, close 40-60 · first name only 45 ·
+//   same company / email domain +25 · follow-up date within 14 days +10 (60 days +5)
+// So a unique exact name still auto-matches, two people with the same name go to review unless
+// the company tells them apart, and a bare domain hit is never trusted on its own.
+//
+// The finders are passed in (deps.finders) rather than required: they live in
+// inboundEmailService, which requires this file.
+
+// A configured 0 is meaningful (MARGIN=0: any lead at the threshold wins), so only a missing or
+// non-numeric value falls back to the default.
+function envNumber(name, fallback) {
+    const raw = process.env[name];
+    const n = raw == null || String(raw).trim() === '' ? NaN : Number(raw);
+    return Number.isNaN(n) ? fallback : n;
+}
+const AUTO_THRESHOLD = () => envNumber('LEAD_MATCH_AUTO_THRESHOLD', 70);
+const MARGIN = () => envNumber('LEAD_MATCH_MARGIN', 15);
+const REVIEW_FLOOR = () => envNumber('LEAD_MATCH_REVIEW_FLOOR', 25);
+
+const PERSONAL_DOMAINS = ['gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'yahoo.com', 'icloud.com',
+    'live.com', 'msn.com', 'aol.com', 'protonmail.com', 'mail.com', 'bigpond.com', 'me.com'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Lowercase, accents and punctuation stripped, hyphens as spaces ("Van-Driel" = "van driel"). */
+function normName(s) {
+    return String(s || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/['’.]/g, '')
+        .replace(/[-_,]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Sørensen–Dice on letter pairs: 1 = same string, ~0.8 = one typo in a short name
+function dice(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    const pairs = (s) => {
+        const out = new Map();
+        for (let i = 0; i < s.length - 1; i++) {
+            const p = s.slice(i, i + 2);
+            out.set(p, (out.get(p) || 0) + 1);
+        }
+        return out;
+    };
+    const pa = pairs(a);
+    const pb = pairs(b);
+    let overlap = 0;
+    for (const [p, n] of pa) overlap += Math.min(n, pb.get(p) || 0);
+    const total = Math.max(1, a.length - 1) + Math.max(1, b.length - 1);
+    return (2 * overlap) / total;
+}
+
+/**
+ * How alike a searched-for name and a lead's name are
+ * @returns {number} 0..1 (1 = same full name)
+ */
+function nameSimilarity(name, lead) {
+    // "Visser, Johann" → "Johann Visser" (findLeadByName searches it that way too)
+    const commaParts = String(name || '').split(',').map(p => p.trim()).filter(Boolean);
+    const searched = normName(commaParts.length === 2 ? `${commaParts[1]} ${commaParts[0]}` : name);
+    const first = normName(lead.firstName);
+    const last = normName(lead.lastName);
+    if (!searched || !first) return 0;
+    const full = `${first} ${last}`.trim();
+    if (searched === full) return 1;
+
+    const parts = searched.split(' ');
+    const sFirst = parts[0];
+    const sLast = parts.slice(1).join(' ');
+    if (!sLast) return sFirst === first ? 0.6 : 0;
+    if (sFirst === first && last && (last.endsWith(sLast) || sLast.endsWith(last))) return 0.9;   // "Van Driel" / "Driel"
+    if (sLast === last && sFirst[0] === first[0]) return 0.8;                                     // "Jen" / "Jennifer"
+    return dice(searched.replace(/ /g, ''), full.replace(/ /g, '')) * 0.9;
+}
+
+/** "acme.com.au" / "jenny@acme.com.au" / "Acme" → "acme"; personal mail domains → null */
+function companyKey(value) {
+    const v = String(value || '').toLowerCase().trim();
+    if (!v) return null;
+    const domain = v.includes('@') ? v.split('@').pop() : v;
+    if (PERSONAL_DOMAINS.some(pd => domain === pd || domain.endsWith(`.${pd}`))) return null;
+    const key = domain.replace(/^www\./, '').replace(/\.[a-z]{2,}(\.[a-z]{2})?$/, '').replace(/[^a-z0-9]/g, '');
+    return key.length >= 3 ? key : null;
+}
+
+function companyMatches(signals, lead) {
+    const key = companyKey(signals.company) || companyKey(signals.email);
+    if (!key) return false;
+    const leadKey = companyKey(lead.email);
+    const company = String(lead.company || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    const linkedin = String(lead.linkedinUrl || '').toLowerCase();
+    return leadKey === key || (company && (company.includes(key) || key.includes(company))) || linkedin.includes(key);
+}
+
+/**
+ * Score one candidate against what we know about the person
+ * @param {Object} lead - { id, firstName, lastName, email, altEmails?, company?, linkedinUrl?, followUpDate? }
+ * @param {Object} signals - { email, name, firstName, company }
+ * @param {Object} [opts] - { matchedBy: 'email' | 'alt_email' | ..., now }
+ * @returns {{score: number, reasons: string[]}}
+ */
+function scoreCandidate(lead, signals, { matchedBy = null, now = new Date() } = {}) {
+    const reasons = [];
+    const email = String(signals.email || '').toLowerCase().trim();
+    if (email && String(lead.email || '').toLowerCase().trim() === email) {
+        return { score: 100, reasons: ['email matches'] };
+    }
+    if (email && matchedBy === 'alt_email') {
+        return { score: 95, reasons: ['matches one of the lead\'s other emails'] };
+    }
+
+    let score = 0;
+    if (signals.name) {
+        const sim = nameSimilarity(signals.name, lead);
+        if (sim >= 0.999) { score += 70; reasons.push('same full name'); }
+        else if (sim >= 0.6) { score += Math.round(sim * 60); reasons.push(sim >= 0.8 ? 'very similar name' : 'similar name'); }
+    } else if (signals.firstName && normName(signals.firstName) === normName(lead.firstName)) {
+        score += 45;
+        reasons.push('same first name');
+    }
+    if (companyMatches(signals, lead)) {
+        score += 25;
+        reasons.push('same company / email domain');
+    }
+    if (lead.followUpDate) {
+        const days = Math.abs(new Date(now) - new Date(lead.followUpDate)) / DAY_MS;
+        if (days <= 14) { score += 10; reasons.push('follow-up due within 2 weeks'); }
+        else if (days <= 60) { score += 5; reasons.push('recent follow-up date'); }
+    }
+    return { score: Math.min(score, 99), reasons };
+}
+
+/**
+ * auto / review / none from scored candidates (sorted best first)
+ * @returns {'auto'|'review'|'none'}
+ */
+function decide(candidates) {
+    const [top, second] = candidates;
+    if (!top || top.score < REVIEW_FLOOR()) return 'none';
+    if (top.score >= AUTO_THRESHOLD() && (!second || top.score - second.score >= MARGIN())) return 'auto';
+    return 'review';
+}
+
+/** Stable key for "this person" — a review decision is replayed against the same key. */
+function matchKey(signals) {
+    if (signals.email) return `email:${String(signals.email).toLowerCase().trim()}`;
+    if (signals.name) return `name:${normName(signals.name)}${signals.company ? `@${companyKey(signals.company) || ''}` : ''}`;
+    if (signals.firstName) return `first:${normName(signals.firstName)}@${companyKey(signals.company) || ''}`;
+    return `company:${companyKey(signals.company) || String(signals.company || '').toLowerCase()}`;
+}
+
+/**
+ * Find the lead an inbound email / meeting is about
+ * @param {Object} client - client object (airtableBaseId)
+ * @param {Object} signals - { email, name, firstName, company } — whatever the email gave us
+ * @param {Object} deps
+ * @param {Object} deps.finders - { findLeadByEmail, findLeadByName, findLeadByFirstNameAndDomain, findLeadByDomainOnly, findLeadById }
+ * @param {Object} [deps.overrides] - { [matchKey]: leadId } decisions from the review queue
+ * @param {Date} [deps.now]
+ * @returns {Promise<{decision: string, lead: Object|null, confidence: number, key: string, candidates: Array<{lead, score, reasons}>}>}
+ */
+async function matchLead(client, signals, { finders, overrides = null, now = new Date() }) {
+    const key = matchKey(signals);
+
+    // A coach already picked the lead for this person (review queue → replay)
+    if (overrides && overrides[key]) {
+        const picked = await finders.findLeadById(client, overrides[key]);
+        if (picked) {
+            const candidate = { lead: picked, score: 100, reasons: ['picked in review'] };
+            return { decision: 'auto', lead: picked, confidence: 100, key, candidates: [candidate] };
+        }
+    }
+
+    // The email is the strongest evidence there is: stop at a hit, as the cascade always did
+    if (signals.email) {
+        const byEmail = await finders.findLeadByEmail(client, signals.email);
+        if (byEmail) {
+            const isPrimary = String(byEmail.email || '').toLowerCase().trim() === String(signals.email).toLowerCase().trim();
+            const scored = { lead: byEmail, ...scoreCandidate(byEmail, signals, { matchedBy: isPrimary ? 'email' : 'alt_email', now }) };
+            return { decision: 'auto', lead: byEmail, confidence: scored.score, key, candidates: [scored] };
+        }
+    }
+
+    const found = new Map();
+    const add = (leads) => (leads || []).forEach(l => { if (l && l.id && !found.has(l.id)) found.set(l.id, l); });
+    if (signals.name) {
+        add((await finders.findLeadByName(client, signals.name, signals.company || null)).allMatches);
+    } else if (signals.firstName && signals.company) {
+        add((await finders.findLeadByFirstNameAndDomain(client, signals.firstName, signals.company)).allMatches);
+    } else if (signals.company) {
+        add((await finders.findLeadByDomainOnly(client, signals.company)).allMatches);
+    }
+
+    const candidates = [...found.values()]
+        .map(lead => ({ lead, ...scoreCandidate(lead, signals, { now }) }))
+        .sort((a, b) => b.score - a.score);
+    const decision = decide(candidates);
+    return {
+        decision,
+        lead: decision === 'auto' ? candidates[0].lead : null,
+        confidence: candidates[0] ? candidates[0].score : 0,
+        key,
+        candidates
+    };
+}
+
+module.exports = {
+    matchLead,
+    scoreCandidate,
+    nameSimilarity,
+    companyKey,
+    matchKey,
+    decide
+};
@@ -211,10 +211,11 @@ async function recordLhMessages({ base, recordId, lh, clientName, timezone, log
 
 module.exports = {
     recordLhMessages,
-    // exported for tests
-    payloadHasMessages,
+    // also used by utils/messageParser.js for Linked Helper / LinkedIn exports
     parseSendAt,
     formatStamp,
+    // exported for tests
+    payloadHasMessages,
     buildMessageLines,
     applyMessageLinesToNotes,
 };
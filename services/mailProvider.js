@@ -10,14 +10,16 @@
  * writes the draft straight to the provider's own API (Gmail, Outlook, …), which does NOT rewrite
  * links, so the HTML lands byte-for-byte. This adapter is that clean write path.
  *
- * Provider switch (CALENDAR_PROVIDER is calendar's; mail uses the coach's Nylas grant directly —
- * a mailbox behind a Nylas grant is the only compose path we support, by design). The Google
- * service account is read-only and cannot compose, exactly as in calendarProvider.
+ * Provider switch (CALENDAR_PROVIDER is calendar's; mail follows the coach's `Email Provider`:
+ * nylas (default), unipile or microsoft — each writes through the provider's own API, never a
+ * link-rewriting connector). The Google service account is read-only and cannot compose, exactly
+ * as in calendarProvider.
  *
  * Nylas v3 Drafts API: POST/GET /v3/grants/{grantId}/drafts[/{id}]. `body` carries HTML verbatim.
  */
 
 const { createSafeLogger } = require('../utils/loggerHelper');
+const { graphRequest, graphError } = require('./microsoftGraph');
 
 const log = createSafeLogger('SYSTEM', null, 'mail_provider');
 
@@ -39,6 +41,7 @@ function activeMailProvider(coach) {
  */
 function hasMailbox(coach) {
   if (activeMailProvider(coach) === 'unipile') return !!(coach && coach.unipileAccountId);
+  if (activeMailProvider(coach) === 'microsoft') return !!(coach && coach.calendarProviderToken);
   return !!(coach && coach.nylasGrantId);
 }
 
@@ -83,6 +86,7 @@ function attachmentNames(m) {
  */
 async function createDraft(coach, details = {}) {
   if (activeMailProvider(coach) === 'unipile') return createDraftViaUnipile(coach, details);
+  if (activeMailProvider(coach) === 'microsoft') return createDraftViaMicrosoft(coach, details);
   const { apiKey, grantId, apiUri } = nylasConfig(coach);
   if (!apiKey || !grantId) return { ok: false, error: 'NYLAS_API_KEY / grant not configured for this coach', provider: 'nylas' };
 
@@ -141,6 +145,7 @@ async function createDraft(coach, details = {}) {
  */
 async function findMessages(coach, { from, anyEmail, subject, threadId, receivedAfter, queryImap, limit } = {}) {
   if (activeMailProvider(coach) === 'unipile') return findMessagesViaUnipile(coach, { from, anyEmail, subject, threadId, receivedAfter, limit });
+  if (activeMailProvider(coach) === 'microsoft') return findMessagesViaMicrosoft(coach, { from, anyEmail, subject, threadId, receivedAfter, limit });
   const { apiKey, grantId, apiUri } = nylasConfig(coach);
   if (!apiKey || !grantId) return { ok: false, error: 'NYLAS_API_KEY / grant not configured for this coach' };
 
@@ -187,6 +192,7 @@ async function findMessages(coach, { from, anyEmail, subject, threadId, received
  */
 async function getMessage(coach, messageId) {
   if (activeMailProvider(coach) === 'unipile') return getMessageViaUnipile(coach, messageId);
+  if (activeMailProvider(coach) === 'microsoft') return getMessageViaMicrosoft(coach, messageId);
   const { apiKey, grantId, apiUri } = nylasConfig(coach);
   if (!apiKey || !grantId) return { ok: false, error: 'NYLAS_API_KEY / grant not configured for this coach' };
   if (!messageId) return { ok: false, error: 'messageId required' };
@@ -237,6 +243,7 @@ const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
 async function listRecent(coach, { after, max = 3000, pageSize = 50 } = {}) {
   if (activeMailProvider(coach) === 'unipile') return listRecentViaUnipile(coach, { after, max, pageSize });
+  if (activeMailProvider(coach) === 'microsoft') return listRecentViaMicrosoft(coach, { after, max, pageSize });
   const { apiKey, grantId, apiUri } = nylasConfig(coach);
   if (!apiKey || !grantId) return { ok: false, error: 'NYLAS_API_KEY / grant not configured for this coach' };
 
@@ -301,6 +308,7 @@ async function listRecent(coach, { after, max = 3000, pageSize = 50 } = {}) {
  */
 async function getDraft(coach, draftId) {
   if (activeMailProvider(coach) === 'unipile') return getDraftViaUnipile(coach, draftId);
+  if (activeMailProvider(coach) === 'microsoft') return getDraftViaMicrosoft(coach, draftId);
   const { apiKey, grantId, apiUri } = nylasConfig(coach);
   if (!apiKey || !grantId) return { ok: false, error: 'NYLAS_API_KEY / grant not configured for this coach' };
   if (!draftId) return { ok: false, error: 'draftId required' };
@@ -522,4 +530,193 @@ async function getDraftViaUnipile(coach, draftId) {
   return { ok: true, draft: r.message };
 }
 
+/* ---- Microsoft Graph mail (Outlook / Microsoft 365, direct) -------------------------------------
+ * Same clean-write rationale: POST /me/messages stores the HTML body as given — Graph does not
+ * rewrite links at compose time (Defender Safe Links, where a recipient's tenant has it, rewrites on
+ * DELIVERY, which no compose path can prevent). Selected by coach.emailProvider='microsoft'; creds and
+ * token refresh are shared with the calendar branch (services/microsoftGraph.js).
+ * Shape differences from Nylas:
+ *   - recipients are { emailAddress: { address, name } }.
+ *   - a threaded reply is POST /me/messages/{id}/createReply with the body passed in `message` —
+ *     Graph then writes OUR body in place of its quoted-history template.
+ *   - `anyEmail` (either direction) has no $filter form, so it uses $search "participants:…", which
+ *     can't be combined with $filter / $orderby — the other filters are applied to that page here.
+ *   - a $filter + $orderby on receivedDateTime must name receivedDateTime first in the filter.
+ * VERIFY-LIVE: the createReply body replacement on a real thread. Dormant until emailProvider='microsoft'. */
+
+const MS_MESSAGE_SELECT = 'id,conversationId,subject,from,toRecipients,ccRecipients,receivedDateTime,bodyPreview,hasAttachments';
+
+function fromGraphRecipient(r) {
+  const a = r && r.emailAddress;
+  if (!a || !a.address) return null;
+  return { email: String(a.address).trim(), ...(a.name ? { name: String(a.name).trim() } : {}) };
+}
+function toGraphRecipients(list) {
+  return toParticipants(list).map((r) => ({ emailAddress: { address: r.email, ...(r.name ? { name: r.name } : {}) } }));
+}
+function graphPartiesToString(arr, withName) {
+  return (arr || []).map(fromGraphRecipient).filter(Boolean)
+    .map((p) => (withName && p.name ? `${p.name} <${p.email}>` : p.email)).join(', ');
+}
+// Graph attachments { name, isInline } -> the { name, is_inline } attachmentNames() reads.
+function graphAttachmentNames(m) {
+  return attachmentNames({ attachments: (m.attachments || []).map((a) => ({ name: a.name, is_inline: !!a.isInline })) });
+}
+function graphMessageSummary(m) {
+  const fp = fromGraphRecipient(m.from);
+  return {
+    id: m.id,
+    threadId: m.conversationId,
+    subject: m.subject,
+    from: fp ? (fp.name ? `${fp.name} <${fp.email}>` : fp.email) : '',
+    fromEmail: (fp || {}).email || null,
+    to: graphPartiesToString(m.toRecipients, false),
+    date: m.receivedDateTime || null, // already ISO
+    snippet: m.bodyPreview,
+    attachments: graphAttachmentNames(m),
+  };
+}
+const odataString = (s) => String(s).replace(/'/g, "''");
+
+async function createDraftViaMicrosoft(coach, details = {}) {
+  const to = toGraphRecipients(details.to);
+  if (!to.length) return { ok: false, error: 'at least one "to" recipient is required', provider: 'microsoft' };
+  const subject = String(details.subject || '').trim();
+  if (!subject) return { ok: false, error: 'subject is required', provider: 'microsoft' };
+  const message = { subject, body: { contentType: 'HTML', content: details.html || '' }, toRecipients: to };
+  const cc = toGraphRecipients(details.cc); if (cc.length) message.ccRecipients = cc;
+  const bcc = toGraphRecipients(details.bcc); if (bcc.length) message.bccRecipients = bcc;
+  const replyTo = toGraphRecipients(details.replyTo); if (replyTo.length) message.replyTo = replyTo;
+  let r;
+  try {
+    r = details.replyToMessageId
+      ? await graphRequest(coach, `/me/messages/${encodeURIComponent(String(details.replyToMessageId).trim())}/createReply`, { method: 'POST', body: { message } })
+      : await graphRequest(coach, '/me/messages', { method: 'POST', body: message });
+  } catch (e) {
+    return { ok: false, error: `microsoft request failed: ${e.message}`, provider: 'microsoft' };
+  }
+  if (!r.ok) {
+    log.warn(`[mailProvider] microsoft draft create HTTP ${r.status}: ${graphError(r)}`);
+    return { ok: false, error: `microsoft HTTP ${r.status}: ${graphError(r)}`, provider: 'microsoft' };
+  }
+  return { ok: true, draftId: r.json.id, threadId: r.json.conversationId, provider: 'microsoft' };
+}
+
+async function findMessagesViaMicrosoft(coach, { from, anyEmail, subject, threadId, receivedAfter, limit } = {}) {
+  const top = Math.min(Math.max(parseInt(limit, 10) || 5, 1), 20);
+  const afterISO = receivedAfter ? new Date(Number(receivedAfter) * 1000).toISOString() : null;
+  const params = new URLSearchParams();
+  params.set('$select', MS_MESSAGE_SELECT);
+  params.set('$expand', 'attachments($select=name,isInline)');
+  let post = null; // client-side filter for the $search path
+  if (anyEmail) {
+    params.set('$search', `"participants:${String(anyEmail).trim().replace(/"/g, '')}"`);
+    params.set('$top', '50');
+    post = (m) => (!from || ((fromGraphRecipient(m.from) || {}).email || '').toLowerCase() === String(from).trim().toLowerCase())
+      && (!subject || String(m.subject || '').toLowerCase().includes(String(subject).trim().toLowerCase()))
+      && (!threadId || m.conversationId === String(threadId).trim())
+      && (!afterISO || String(m.receivedDateTime || '') >= afterISO);
+  } else {
+    const clauses = [`receivedDateTime ge ${afterISO || '1970-01-01T00:00:00Z'}`];
+    if (from) clauses.push(`from/emailAddress/address eq '${odataString(String(from).trim())}'`);
+    if (threadId) clauses.push(`conversationId eq '${odataString(String(threadId).trim())}'`);
+    if (subject) clauses.push(`contains(subject, '${odataString(String(subject).trim())}')`);
+    params.set('$filter', clauses.join(' and '));
+    params.set('$orderby', 'receivedDateTime desc');
+    params.set('$top', String(top));
+  }
+  let r;
+  try { r = await graphRequest(coach, `/me/messages?${params.toString()}`); }
+  catch (e) { return { ok: false, error: `microsoft request failed: ${e.message}` }; }
+  if (!r.ok) {
+    log.warn(`[mailProvider] microsoft message search HTTP ${r.status}: ${graphError(r)}`);
+    return { ok: false, error: `microsoft HTTP ${r.status}: ${graphError(r)}` };
+  }
+  let list = r.json.value || [];
+  if (post) {
+    list = list.filter(post)
+      .sort((a, b) => String(b.receivedDateTime || '').localeCompare(String(a.receivedDateTime || '')))
+      .slice(0, top);
+  }
+  return { ok: true, messages: list.map(graphMessageSummary) };
+}
+
+async function getMessageViaMicrosoft(coach, messageId) {
+  if (!messageId) return { ok: false, error: 'messageId required' };
+  let r;
+  try { r = await graphRequest(coach, `/me/messages/${encodeURIComponent(messageId)}?$expand=attachments($select=name,isInline)`); }
+  catch (e) { return { ok: false, error: `microsoft request failed: ${e.message}` }; }
+  if (!r.ok) {
+    log.warn(`[mailProvider] microsoft message read HTTP ${r.status}: ${graphError(r)}`);
+    return { ok: false, error: `microsoft HTTP ${r.status}: ${graphError(r)}` };
+  }
+  const m = r.json;
+  return {
+    ok: true,
+    message: {
+      ...graphMessageSummary(m),
+      cc: graphPartiesToString(m.ccRecipients, false),
+      body: (m.body && m.body.content) || '',
+    },
+  };
+}
+
+async function listRecentViaMicrosoft(coach, { after, max = 3000, pageSize = 50 } = {}) {
+  const per = Math.min(Math.max(parseInt(pageSize, 10) || 50, 1), 100);
+  const afterISO = after ? new Date(Number(after) * 1000).toISOString() : '1970-01-01T00:00:00Z';
+  const params = new URLSearchParams({
+    $select: MS_MESSAGE_SELECT,
+    $filter: `receivedDateTime ge ${afterISO}`,
+    $orderby: 'receivedDateTime desc',
+    $top: String(per),
+  });
+  let next = `/me/messages?${params.toString()}`;
+  const out = [];
+  let truncated = false; let partialError = null;
+  for (let guard = 0; guard < 120 && next; guard++) {
+    let json = null; let lastErr = null;
+    for (let attempt = 0; attempt < 3 && json === null; attempt++) {
+      if (attempt) await sleep(500 * attempt);
+      let r;
+      try { r = await graphRequest(coach, next); }
+      catch (e) { lastErr = `request failed: ${e.message}`; continue; }
+      if (r.ok) { json = r.json; break; }
+      lastErr = `HTTP ${r.status}: ${graphError(r).slice(0, 150)}`;
+      if (!(r.status >= 500 || r.status === 429)) break;
+    }
+    if (json === null) {
+      if (!out.length) return { ok: false, error: `microsoft ${lastErr}` };
+      log.warn(`[mailProvider] listRecentViaMicrosoft partial after ${out.length}: ${lastErr}`);
+      partialError = lastErr; truncated = true; break;
+    }
+    const items = json.value || [];
+    for (const m of items) {
+      out.push({
+        id: m.id,
+        threadId: m.conversationId,
+        subject: m.subject,
+        fromEmail: (fromGraphRecipient(m.from) || {}).email || null,
+        toEmails: (m.toRecipients || []).map(fromGraphRecipient).filter(Boolean).map((p) => p.email.toLowerCase()),
+        ccEmails: (m.ccRecipients || []).map(fromGraphRecipient).filter(Boolean).map((p) => p.email.toLowerCase()),
+        date: m.receivedDateTime || null,
+        snippet: m.bodyPreview,
+      });
+    }
+    next = json['@odata.nextLink'] || null;
+    if (out.length >= max) { truncated = !!next; break; }
+    if (!items.length) break;
+  }
+  return { ok: true, messages: out.slice(0, max), truncated, partialError };
+}
+
+// A Graph draft is just a message with isDraft=true — read it back by id.
+async function getDraftViaMicrosoft(coach, draftId) {
+  if (!draftId) return { ok: false, error: 'draftId required' };
+  let r;
+  try { r = await graphRequest(coach, `/me/messages/${encodeURIComponent(draftId)}`); }
+  catch (e) { return { ok: false, error: `microsoft request failed: ${e.message}` }; }
+  if (!r.ok) return { ok: false, error: `microsoft HTTP ${r.status}: ${graphError(r)}` };
+  return { ok: true, draft: r.json };
+}
+
 module.exports = { createDraft, getDraft, findMessages, listRecent, getMessage, toParticipants, activeMailProvider, hasMailbox };
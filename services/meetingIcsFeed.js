@@ -0,0 +1,355 @@
+/**
+ * Lead meetings as iCalendar (RFC 5545): a client's private subscription feed and a per-lead .ics
+ * download (routes/calendarFeedRoutes.js), so a coach on Apple / Outlook / any calendar app sees
+ * their lead meetings — each tagged with the lead's portal link — without a Google / Nylas / Zoho /
+ * Unipile connection of their own on that device.
+ *
+ * Two sources, merged:
+ *   - our own booking records (guest_bookings: guest booking links, the original intro link and
+ *     Wingguy's book_meeting) — authoritative for time and status; cancelled rows stay in the feed
+ *     as STATUS:CANCELLED so subscribed calendars drop them;
+ *   - the coach's calendar through calendarProvider (meetings booked from the portal calendar page
+ *     or by hand), kept only when a guest's email matches a lead in the client's base.
+ * The same event from both sources appears once (matched on the provider event id), with the
+ * record's time and status and the calendar's title and location.
+ *
+ * Times are written in UTC, so no VTIMEZONE blocks are needed.
+ */
+const clientService = require("./clientService");
+const { listHostBookings } = require("./guestBookingStore.js");
+const { getMeetingsInWindow } = require("./calendarProvider");
+const { getCoachCalendarInfo, coachForCalendar } = require("./wingguyCalendar");
+
+const DEFAULT_PORTAL_BASE = "https://pb-webhook-server.vercel.app";
+const FEED_WINDOW = { pastDays: 30, futureDays: 90 };
+const LEAD_WINDOW = { pastDays: 180, futureDays: 180 };
+const EMAIL_LOOKUP_CHUNK = 20;
+const MAX_DESCRIPTION = 4000;
+
+function portalBase() {
+  return String(process.env.PORTAL_BASE_URL || DEFAULT_PORTAL_BASE).replace(/\/$/, "");
+}
+
+/**
+ * The lead's page in the portal. No portal token in the URL — the feed may be shared with a
+ * calendar app or another person; the portal picks the token up from the coach's browser.
+ * @param {{ id?: string, linkedIn?: string }} lead
+ * @returns {string|null}
+ */
+function portalLeadUrl(lead) {
+  if (!lead) return null;
+  if (lead.id) return `${portalBase()}/quick-update?lead=${encodeURIComponent(lead.id)}`;
+  if (lead.linkedIn) return `${portalBase()}/quick-update?linkedinUrl=${encodeURIComponent(lead.linkedIn)}`;
+  return null;
+}
+
+// ── iCalendar text ───────────────────────────────────────────────────────────────────────────────
+
+function escapeText(s) {
+  return String(s == null ? "" : s)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r\n|\r|\n/g, "\\n");
+}
+
+/** Fold a content line at 75 octets (continuation lines start with a space), never mid-character. */
+function foldLine(line) {
+  if (Buffer.byteLength(line, "utf8") <= 75) return line;
+  const out = [];
+  let cur = "";
+  let curBytes = 0;
+  for (const ch of line) {
+    const b = Buffer.byteLength(ch, "utf8");
+    const limit = out.length ? 74 : 75; // the leading space counts on continuation lines
+    if (curBytes + b > limit) {
+      out.push(cur);
+      cur = "";
+      curBytes = 0;
+    }
+    cur += ch;
+    curBytes += b;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+/** 2026-10-19T01:30:00.000Z -> 20261019T013000Z */
+function icsDate(v) {
+  return new Date(v).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * @param {{ name: string, events: Array<{ uid, start, end, summary, description?, location?, url?,
+ *   status?: 'CONFIRMED'|'CANCELLED', sequence?: number, updatedAt? }>, now?: Date }} cal
+ * @returns {string} text/calendar body (CRLF line endings)
+ */
+function buildCalendar({ name, events, now = new Date() }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//ASH Portal//Lead Meetings//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+    "X-PUBLISHED-TTL:PT1H",
+  ];
+  const stamp = icsDate(now);
+  for (const ev of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${ev.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsDate(ev.start)}`,
+      `DTEND:${icsDate(ev.end)}`,
+      `SUMMARY:${escapeText(ev.summary)}`
+    );
+    if (ev.description) lines.push(`DESCRIPTION:${escapeText(ev.description)}`);
+    if (ev.location) lines.push(`LOCATION:${escapeText(ev.location)}`);
+    if (ev.url) lines.push(`URL:${ev.url}`);
+    if (ev.updatedAt) lines.push(`LAST-MODIFIED:${icsDate(ev.updatedAt)}`);
+    lines.push(`SEQUENCE:${ev.sequence || 0}`, `STATUS:${ev.status || "CONFIRMED"}`, "END:VEVENT");
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// ── Leads ────────────────────────────────────────────────────────────────────────────────────────
+
+function normEmail(s) {
+  return String(s || "").trim().toLowerCase();
+}
+
+function escapeFormulaString(s) {
+  return String(s).replace(/\\/g, "\\\\").replace(/'/g, "''");
+}
+
+function leadFromRecord(rec) {
+  const f = rec.fields || {};
+  return {
+    id: rec.id,
+    name: [f["First Name"], f["Last Name"]].filter(Boolean).join(" ").trim(),
+    email: normEmail(f["Email"]),
+    linkedIn: f["LinkedIn Profile URL"] || null,
+  };
+}
+
+async function selectLeads(airtableBaseId, formula, maxRecords) {
+  const params = new URLSearchParams({ filterByFormula: formula, maxRecords: String(maxRecords) });
+  for (const f of ["First Name", "Last Name", "Email", "LinkedIn Profile URL"]) params.append("fields[]", f);
+  const res = await fetch(`https://api.airtable.com/v0/${airtableBaseId}/Leads?${params}`, {
+    headers: { Authorization: `Bearer ${process.env.AIRTABLE_API_KEY}` },
+  });
+  if (!res.ok) throw new Error(`lead lookup failed (${res.status})`);
+  const data = await res.json();
+  return (data.records || []).map(leadFromRecord);
+}
+
+/**
+ * Leads in the client's base for a set of emails (primary {Email} only).
+ * @returns {Promise<Map<string, { id, name, email, linkedIn }>>} keyed by lowercased email
+ */
+async function findLeadsByEmails(airtableBaseId, emails) {
+  const out = new Map();
+  const wanted = [...new Set(emails.map(normEmail).filter(Boolean))];
+  for (let i = 0; i < wanted.length; i += EMAIL_LOOKUP_CHUNK) {
+    const chunk = wanted.slice(i, i + EMAIL_LOOKUP_CHUNK);
+    const formula = `OR(${chunk.map((e) => `LOWER({Email}) = '${escapeFormulaString(e)}'`).join(", ")})`;
+    for (const lead of await selectLeads(airtableBaseId, formula, chunk.length * 2)) {
+      if (lead.email && !out.has(lead.email)) out.set(lead.email, lead);
+    }
+  }
+  return out;
+}
+
+/**
+ * One lead by record id or LinkedIn profile URL, or null.
+ * @returns {Promise<{ id, name, email, linkedIn }|null>}
+ */
+async function findLead(airtableBaseId, { leadId, linkedinUrl }) {
+  if (leadId) {
+    const res = await fetch(`https://api.airtable.com/v0/${airtableBaseId}/Leads/${encodeURIComponent(leadId)}`, {
+      headers: { Authorization: `Bearer ${process.env.AIRTABLE_API_KEY}` },
+    });
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error(`lead lookup failed (${res.status})`);
+    return leadFromRecord(await res.json());
+  }
+  if (!linkedinUrl) return null;
+  const li = escapeFormulaString(String(linkedinUrl).trim());
+  const leads = await selectLeads(airtableBaseId, `OR({LinkedIn Profile URL} = '${li}', {LinkedIn URL} = '${li}')`, 1);
+  return leads[0] || null;
+}
+
+// ── Meetings ─────────────────────────────────────────────────────────────────────────────────────
+
+function windowFor({ pastDays, futureDays }, now) {
+  return {
+    from: new Date(now.getTime() - pastDays * 86400000),
+    to: new Date(now.getTime() + futureDays * 86400000),
+  };
+}
+
+const providerEventId = (e) => e.id || e.eventId || null;
+
+/** The coach's own addresses never identify a lead. */
+function guestEmails(event, coachEmails) {
+  return (event.attendees || [])
+    .filter((a) => a && a.email && !a.self && !coachEmails.has(normEmail(a.email)))
+    .map((a) => normEmail(a.email));
+}
+
+function describe({ lead, guestName, guestEmail, notes, original }) {
+  const parts = [];
+  const name = (lead && lead.name) || guestName || guestEmail;
+  if (name) parts.push(`Lead: ${name}`);
+  const url = portalLeadUrl(lead);
+  if (url) parts.push(`Portal: ${url}`);
+  if (lead && lead.linkedIn) parts.push(`LinkedIn: ${lead.linkedIn}`);
+  let text = parts.join("\n");
+  const body = [notes, original].filter(Boolean).join("\n\n");
+  if (body) text += `\n\n${body}`;
+  return text.length > MAX_DESCRIPTION ? `${text.slice(0, MAX_DESCRIPTION - 1)}…` : text;
+}
+
+function bookingToEvent(b, calendarEvent, lead) {
+  const guestLead = lead || (b.guestLinkedIn && b.guestLinkedIn !== "direct-booking" ? { linkedIn: b.guestLinkedIn } : null);
+  return {
+    uid: `booking-${b.ref || b.id}@pb-webhook-server`,
+    start: b.startAt,
+    end: b.endAt,
+    summary: (calendarEvent && calendarEvent.summary) || `Meeting with ${(lead && lead.name) || b.guestName || b.guestEmail || "a lead"}`,
+    description: describe({
+      lead: guestLead,
+      guestName: b.guestName,
+      guestEmail: b.guestEmail,
+      notes: b.guestNotes,
+      original: calendarEvent && calendarEvent.description,
+    }),
+    location: (calendarEvent && calendarEvent.location) || "",
+    url: portalLeadUrl(guestLead),
+    status: b.status === "cancelled" ? "CANCELLED" : "CONFIRMED",
+    sequence: (b.rescheduleCount || 0) + (b.status === "cancelled" ? 1 : 0),
+    updatedAt: b.updatedAt || b.createdAt,
+    lead: guestLead,
+    guestEmail: normEmail(b.guestEmail),
+  };
+}
+
+function calendarToEvent(e, provider, lead) {
+  return {
+    uid: `event-${provider}-${providerEventId(e)}@pb-webhook-server`,
+    start: e.start,
+    end: e.end,
+    summary: e.summary || `Meeting with ${lead.name || lead.email}`,
+    description: describe({ lead, original: e.description }),
+    location: e.location || "",
+    url: portalLeadUrl(lead),
+    status: "CONFIRMED",
+    sequence: 0,
+    lead,
+    guestEmail: lead.email,
+  };
+}
+
+/**
+ * A client's lead meetings in a window, earliest first. A calendar read failure degrades to the
+ * booking records alone (logged) rather than an empty or failed feed.
+ * @param {string} clientId
+ * @param {{ from: Date, to: Date, lead?: { id, email, linkedIn } }} opts `lead` narrows to one lead
+ * @returns {Promise<{ client: object, events: object[], calendarError: string|null }>}
+ */
+async function collectLeadMeetings(clientId, { from, to, lead = null }) {
+  const client = await clientService.getClientById(clientId);
+  if (!client) throw new Error(`client "${clientId}" not found`);
+
+  const bookings = await listHostBookings(clientId, { from, to });
+
+  let calendarEvents = [];
+  let provider = "google";
+  let calendarError = null;
+  const coachEmails = new Set();
+  try {
+    const info = await getCoachCalendarInfo(clientId);
+    const coach = coachForCalendar(info);
+    provider = coach.calendarProvider;
+    if (info.calendarEmail) coachEmails.add(normEmail(info.calendarEmail));
+    const r = await getMeetingsInWindow(coach, from, to);
+    calendarEvents = (r.events || []).filter((e) => providerEventId(e) && e.start && e.end);
+    calendarError = r.error || null;
+  } catch (e) {
+    calendarError = e.message;
+  }
+  if (calendarError) console.warn(`[meetingIcsFeed] ${clientId}: calendar read failed, feed has booking records only: ${calendarError}`);
+
+  const byEventId = new Map(calendarEvents.map((e) => [providerEventId(e), e]));
+  const recorded = new Set(bookings.map((b) => b.eventId).filter(Boolean));
+  const unrecorded = calendarEvents.filter((e) => !recorded.has(providerEventId(e)));
+
+  const emails = [
+    ...bookings.map((b) => b.guestEmail),
+    ...unrecorded.flatMap((e) => guestEmails(e, coachEmails)),
+  ];
+  let leadsByEmail = new Map();
+  if (client.airtableBaseId && emails.length) {
+    try {
+      leadsByEmail = await findLeadsByEmails(client.airtableBaseId, emails);
+    } catch (e) {
+      console.warn(`[meetingIcsFeed] ${clientId}: ${e.message} — calendar-only meetings left out`);
+    }
+  }
+
+  const events = bookings.map((b) =>
+    bookingToEvent(b, b.eventId ? byEventId.get(b.eventId) : null, leadsByEmail.get(normEmail(b.guestEmail)) || null));
+  for (const e of unrecorded) {
+    const match = guestEmails(e, coachEmails).map((m) => leadsByEmail.get(m)).find(Boolean);
+    if (match) events.push(calendarToEvent(e, provider, match));
+  }
+
+  const forLead = lead
+    ? events.filter((ev) =>
+      (lead.id && ev.lead && ev.lead.id === lead.id) ||
+      (lead.email && ev.guestEmail === normEmail(lead.email)) ||
+      (lead.linkedIn && ev.lead && ev.lead.linkedIn === lead.linkedIn))
+    : events;
+  forLead.sort((a, b) => new Date(a.start) - new Date(b.start));
+  return { client, events: forLead, calendarError };
+}
+
+/**
+ * The client's subscription feed: lead meetings from FEED_WINDOW.pastDays ago to
+ * FEED_WINDOW.futureDays ahead.
+ * @returns {Promise<string>} text/calendar body
+ */
+async function buildClientFeed(clientId, { now = new Date() } = {}) {
+  const { client, events } = await collectLeadMeetings(clientId, windowFor(FEED_WINDOW, now));
+  return buildCalendar({ name: `Lead meetings — ${client.clientName || clientId}`, events, now });
+}
+
+/**
+ * One lead's meetings (LEAD_WINDOW either side of now) as a downloadable .ics.
+ * @param {{ leadId?: string, linkedinUrl?: string }} which
+ * @returns {Promise<{ ok: true, ics: string, lead: object, count: number } | { ok: false, status: number, error: string }>}
+ */
+async function buildLeadIcs(clientId, which, { now = new Date() } = {}) {
+  const client = await clientService.getClientById(clientId);
+  if (!client || !client.airtableBaseId) return { ok: false, status: 404, error: "No lead base for this client" };
+  const lead = await findLead(client.airtableBaseId, which);
+  if (!lead) return { ok: false, status: 404, error: "Lead not found" };
+  const { events } = await collectLeadMeetings(clientId, { ...windowFor(LEAD_WINDOW, now), lead });
+  const ics = buildCalendar({ name: `Meetings with ${lead.name || lead.email || "lead"}`, events, now });
+  return { ok: true, ics, lead, count: events.length };
+}
+
+module.exports = {
+  buildCalendar,
+  foldLine,
+  escapeText,
+  portalLeadUrl,
+  collectLeadMeetings,
+  buildClientFeed,
+  buildLeadIcs,
+  FEED_WINDOW,
+  LEAD_WINDOW,
+};
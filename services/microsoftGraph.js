@@ -0,0 +1,130 @@
+/**
+ * Microsoft Graph (Outlook / Microsoft 365) auth + request helper, shared by the 'microsoft'
+ * branches of services/calendarProvider.js and services/mailProvider.js — one connection covers a
+ * coach's calendar AND mailbox, so the token handling lives here once.
+ *
+ * Per-tenant creds live on the client record, in the same generic fields Zoho uses:
+ *   calendarProviderToken  = the Microsoft REFRESH token (from routes/microsoftAuthRoutes.js)
+ *   calendarProviderDomain = the Entra tenant id the account signed in from (blank = 'common')
+ * The platform app (one for all tenants) supplies MS_GRAPH_CLIENT_ID / MS_GRAPH_CLIENT_SECRET.
+ *
+ * Microsoft ROTATES refresh tokens: every refresh returns a new one and the stored one eventually
+ * expires (90 days), so a token that's only ever read would die even on an active coach. The newest
+ * token is kept in memory for this process and written back to Master Clients (best-effort — a
+ * failed write just means the next process starts from the older, still-valid token).
+ */
+
+const { createSafeLogger } = require('../utils/loggerHelper');
+
+const log = createSafeLogger('SYSTEM', null, 'microsoft_graph');
+
+const GRAPH_BASE = 'https://graph.microsoft.com/v1.0';
+const GRAPH_SCOPES = 'offline_access User.Read Calendars.ReadWrite Mail.ReadWrite';
+
+const tokenCache = new Map();   // stored refresh token -> { accessToken, expiresAt }
+const latestRefresh = new Map(); // stored refresh token -> newest refresh token Microsoft issued
+
+function msTenant(coach) {
+  const t = String((coach && coach.calendarProviderDomain) || '').trim();
+  return t || 'common';
+}
+
+function tokenEndpoint(tenant) {
+  return `https://login.microsoftonline.com/${encodeURIComponent(tenant)}/oauth2/v2.0/token`;
+}
+
+// Write the rotated token back onto whichever client record holds the old one (no client id
+// needed — the seam's coach object doesn't always carry it).
+async function persistRotatedToken(storedToken, newToken) {
+  const baseId = process.env.MASTER_CLIENTS_BASE_ID;
+  const apiKey = process.env.AIRTABLE_API_KEY;
+  if (!baseId || !apiKey) return;
+  try {
+    const formula = `{Calendar Provider Token} = '${String(storedToken).replace(/'/g, "\\'")}'`;
+    const u = `https://api.airtable.com/v0/${baseId}/Clients?filterByFormula=${encodeURIComponent(formula)}&maxRecords=1&fields[]=Client ID`;
+    const r = await fetch(u, { headers: { Authorization: `Bearer ${apiKey}` } });
+    if (!r.ok) throw new Error(`lookup HTTP ${r.status}`);
+    const rec = ((await r.json()).records || [])[0];
+    if (!rec) return;
+    const p = await fetch(`https://api.airtable.com/v0/${baseId}/Clients/${rec.id}`, {
+      method: 'PATCH',
+      headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ fields: { 'Calendar Provider Token': newToken } }),
+    });
+    if (!p.ok) throw new Error(`update HTTP ${p.status}`);
+  } catch (e) {
+    log.warn(`[microsoftGraph] rotated refresh token not saved (the stored one still works for now): ${e.message}`);
+  }
+}
+
+async function getGraphAccessToken(coach) {
+  const stored = coach && coach.calendarProviderToken;
+  if (!stored) throw new Error('no Microsoft refresh token on file (calendarProviderToken)');
+  const cached = tokenCache.get(stored);
+  if (cached && cached.expiresAt > Date.now() + 60000) return cached.accessToken;
+  const clientId = process.env.MS_GRAPH_CLIENT_ID;
+  const clientSecret = process.env.MS_GRAPH_CLIENT_SECRET;
+  if (!clientId || !clientSecret) throw new Error('MS_GRAPH_CLIENT_ID / MS_GRAPH_CLIENT_SECRET not configured');
+  const form = new URLSearchParams({
+    client_id: clientId,
+    client_secret: clientSecret,
+    grant_type: 'refresh_token',
+    refresh_token: latestRefresh.get(stored) || stored,
+    scope: GRAPH_SCOPES,
+  });
+  const res = await fetch(tokenEndpoint(msTenant(coach)), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: form.toString(),
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok || !json.access_token) {
+    throw new Error(`Microsoft token refresh HTTP ${res.status}: ${String(json.error_description || json.error || '').slice(0, 160)}`);
+  }
+  const ttlMs = (Number(json.expires_in) || 3600) * 1000;
+  tokenCache.set(stored, { accessToken: json.access_token, expiresAt: Date.now() + ttlMs });
+  if (json.refresh_token && json.refresh_token !== (latestRefresh.get(stored) || stored)) {
+    latestRefresh.set(stored, json.refresh_token);
+    persistRotatedToken(stored, json.refresh_token); // fire-and-forget; logs its own failure
+  }
+  return json.access_token;
+}
+
+/**
+ * One Graph call as the coach. `path` is relative to /v1.0 (or a full @odata.nextLink URL).
+ * Never throws for HTTP errors — callers map { ok:false } into their own provider error shape.
+ * @returns {Promise<{ok:boolean, status:number, json:object, text:string}>}
+ */
+async function graphRequest(coach, path, { method = 'GET', body, headers = {} } = {}) {
+  const accessToken = await getGraphAccessToken(coach);
+  const url = /^https:\/\//.test(path) ? path : `${GRAPH_BASE}${path}`;
+  const res = await fetch(url, {
+    method,
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      Accept: 'application/json',
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      ...headers,
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  const text = res.status === 204 ? '' : await res.text();
+  let json = {}; try { json = text ? JSON.parse(text) : {}; } catch (_) { /* leave empty */ }
+  return { ok: res.ok, status: res.status, json, text };
+}
+
+/** Graph error body -> short message ("ErrorItemNotFound: The specified object was not found…"). */
+function graphError(r) {
+  const e = r.json && r.json.error;
+  return e ? `${e.code}: ${String(e.message || '').slice(0, 160)}` : r.text.slice(0, 200);
+}
+
+/** Test seam: forget cached access tokens and rotated refresh tokens. */
+function __resetGraphTokens() {
+  tokenCache.clear();
+  latestRefresh.clear();
+}
+
+module.exports = {
+  GRAPH_BASE, GRAPH_SCOPES, msTenant, tokenEndpoint, getGraphAccessToken, graphRequest, graphError, __resetGraphTokens,
+};
@@ -7,6 +7,8 @@
 const { filterLogs, generateSummary } = require('./logFilterService');
 const RenderLogService = require('./renderLogService');
 const StackTraceService = require('./stackTraceService');
+const { fingerprintIssue } = require('./issueFingerprint');
+const { routeIssueEvents } = require('./issueAlertRouter');
 const { getMasterClientsBase } = require('../config/airtableClient');
 const { createSafeLogger } = require('../utils/loggerHelper');
 
@@ -34,14 +36,28 @@ const FIELDS = {
   OCCURRENCES: 'Occurrences',
   FIRST_SEEN: 'First Seen',
   LAST_SEEN: 'Last Seen',
+  FINGERPRINT: 'Fingerprint',
+  REOPENED_AT: 'Reopened At',
+  REOPEN_COUNT: 'Reopen Count',
+  SNOOZED_UNTIL: 'Snoozed Until',
 };
 
+// Added with fingerprint dedupe - bases not yet migrated reject them with UNKNOWN_FIELD_NAME
+const DEDUPE_FIELDS = [FIELDS.FINGERPRINT, FIELDS.REOPENED_AT, FIELDS.REOPEN_COUNT, FIELDS.SNOOZED_UNTIL];
+
+const FINGERPRINT_LOOKUP_CHUNK = 20; // keeps the OR() formula well under Airtable's URL limit
+
 class ProductionIssueService {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.alertDeps] - Passed to issueAlertRouter.routeIssueEvents (test seam)
+   */
+  constructor(options = {}) {
     // Lazy initialization - only create RenderLogService when needed
     // This prevents crashes when RENDER_API_KEY is missing but service isn't used
     this._renderLogService = null;
     this.masterBase = getMasterClientsBase();
+    this.alertDeps = options.alertDeps || {};
   }
 
   /**
@@ -548,10 +564,16 @@ class ProductionIssueService {
   }
 
   /**
-   * Create Production Issue records in Airtable
+   * Record issues in Airtable, one row per fingerprint (services/issueFingerprint.js)
+   *
+   * A fingerprint already in the table gets its Occurrences / Last Seen bumped instead of a new
+   * row; if that row was FIXED before this occurrence it is reopened (Status back to NEW, Reopened
+   * At, Reopen Count). New and reopened issues are then routed to alerts (issueAlertRouter).
+   * Occurrences no later than the row's Last Seen were already counted (re-analysed window) and
+   * are skipped.
    * @param {Array} issues - Filtered issues from logFilterService
    * @param {string} runId - Optional run ID to associate with all issues
-   * @returns {Promise<Array>} - Created Airtable records
+   * @returns {Promise<Array>} - Created or updated Airtable records
    */
   async createProductionIssues(issues, runId = null) {
     if (issues.length === 0) {
@@ -559,36 +581,182 @@ class ProductionIssueService {
       return [];
     }
 
-    logger.info( `Creating ${issues.length} Production Issue records${runId ? ` for runId: ${runId}` : ''}`);
-    
-    // DEBUG: Log all issue error messages to trace what we're trying to save
-    logger.debug('createProductionIssues', `Issues to create (first 25 chars of each):`);
-    issues.forEach((issue, idx) => {
-      logger.debug('createProductionIssues', `  ${idx + 1}. [${issue.severity}] ${issue.errorMessage.substring(0, 80)}...`);
-    });
+    const grouped = this.groupByFingerprint(issues);
+    logger.info( `Recording ${issues.length} issues as ${grouped.length} fingerprints${runId ? ` for runId: ${runId}` : ''}`);
 
-    const createdRecords = [];
+    let existing = new Map();
+    try {
+      existing = await this.findIssuesByFingerprint(grouped.map(issue => issue.fingerprint));
+    } catch (error) {
+      // Without the lookup every fingerprint looks new: rows may duplicate, but nothing is lost
+      logger.warn('createProductionIssues', `Fingerprint lookup failed, creating new rows: ${error.message}`);
+    }
+
+    const records = [];
+    const events = [];
     const errors = [];
 
-    for (const issue of issues) {
+    for (const issue of grouped) {
       try {
-        const record = await this.createProductionIssue(issue, runId);
-        createdRecords.push(record);
-        logger.debug('createProductionIssues', `✓ Created: ${issue.errorMessage.substring(0, 60)}...`);
+        const current = existing.get(issue.fingerprint);
+        if (current) {
+          const { record, reopened } = await this.recordRecurrence(current, issue, runId);
+          if (!record) continue;
+          records.push(record);
+          if (reopened) events.push({ type: 'regression', issue: this.toAlertIssue(record) });
+        } else {
+          const record = await this.createProductionIssue(issue, runId);
+          records.push(record);
+          events.push({ type: 'new', issue: this.toAlertIssue(record) });
+        }
+        logger.debug('createProductionIssues', `✓ ${current ? 'Updated' : 'Created'}: ${issue.errorMessage.substring(0, 60)}...`);
       } catch (error) {
-        logger.warn('createProductionIssues', `Failed to create record: ${error.message}`);
+        logger.warn('createProductionIssues', `Failed to record issue: ${error.message}`);
         logger.warn('createProductionIssues', `  Issue was: ${issue.errorMessage.substring(0, 80)}...`);
         errors.push({ issue, error: error.message });
       }
     }
 
     if (errors.length > 0) {
-      logger.warn('createProductionIssues', `${errors.length} records failed to create`);
+      logger.warn('createProductionIssues', `${errors.length} issues failed to record`);
+    }
+
+    logger.info('createProductionIssues', `Recorded ${records.length} of ${grouped.length} fingerprints (${events.filter(e => e.type === 'new').length} new, ${events.filter(e => e.type === 'regression').length} regressed)`);
+
+    try {
+      await routeIssueEvents(events, this.alertDeps);
+    } catch (error) {
+      logger.warn('createProductionIssues', `Alert routing failed: ${error.message}`);
+    }
+
+    return records;
+  }
+
+  /**
+   * Merge issues that share a fingerprint (filterLogs dedupes on message only; the fingerprint
+   * also folds together lines that differ only in IDs, times or client tags)
+   * @param {Array} issues - Filtered issues from logFilterService
+   * @returns {Array} - One issue per fingerprint, with summed occurrences and first/last seen
+   */
+  groupByFingerprint(issues) {
+    const byFingerprint = new Map();
+    for (const issue of issues) {
+      const { fingerprint } = fingerprintIssue(issue);
+      const seen = byFingerprint.get(fingerprint);
+      if (!seen) {
+        byFingerprint.set(fingerprint, { ...issue, fingerprint, occurrences: issue.occurrences || 1 });
+        continue;
+      }
+      seen.occurrences += issue.occurrences || 1;
+      if (issue.firstSeen < seen.firstSeen) seen.firstSeen = issue.firstSeen;
+      if (issue.lastSeen > seen.lastSeen) seen.lastSeen = issue.lastSeen;
+    }
+    return [...byFingerprint.values()];
+  }
+
+  /**
+   * Existing rows for the given fingerprints (the most recently seen row wins if there are several)
+   * @param {string[]} fingerprints
+   * @returns {Promise<Map<string, Object>>} - fingerprint -> Airtable record
+   */
+  async findIssuesByFingerprint(fingerprints) {
+    const found = new Map();
+    const unique = [...new Set(fingerprints)].filter(Boolean);
+    for (let i = 0; i < unique.length; i += FINGERPRINT_LOOKUP_CHUNK) {
+      const chunk = unique.slice(i, i + FINGERPRINT_LOOKUP_CHUNK);
+      const formula = `OR(${chunk.map(fp => `{${FIELDS.FINGERPRINT}} = '${fp}'`).join(', ')})`;
+      const rows = await this.masterBase(PRODUCTION_ISSUES_TABLE).select({ filterByFormula: formula }).all();
+      for (const row of rows) {
+        const fp = row.fields[FIELDS.FINGERPRINT];
+        const prev = found.get(fp);
+        if (!prev || String(row.fields[FIELDS.LAST_SEEN] || '') > String(prev.fields[FIELDS.LAST_SEEN] || '')) {
+          found.set(fp, row);
+        }
+      }
     }
+    return found;
+  }
 
-    logger.info('createProductionIssues', `Created ${createdRecords.length} of ${issues.length} records`);
+  /**
+   * Add a new batch of occurrences to an existing issue row, reopening it if it was fixed before
+   * @param {Object} record - Existing Airtable record
+   * @param {Object} issue - Grouped issue (groupByFingerprint)
+   * @param {string} runId - Optional run ID fallback
+   * @returns {Promise<{record: Object|null, reopened: boolean}>} - record null if nothing new
+   */
+  async recordRecurrence(record, issue, runId = null) {
+    const f = record.fields || {};
+    const previousLastSeen = f[FIELDS.LAST_SEEN] ? new Date(f[FIELDS.LAST_SEEN]) : null;
+    if (previousLastSeen && issue.lastSeen <= previousLastSeen) {
+      return { record: null, reopened: false };
+    }
 
-    return createdRecords;
+    const updates = {
+      [FIELDS.OCCURRENCES]: (f[FIELDS.OCCURRENCES] || 0) + issue.occurrences,
+      [FIELDS.LAST_SEEN]: issue.lastSeen.toISOString(),
+    };
+    const finalRunId = issue.runId || runId;
+    if (finalRunId) updates[FIELDS.RUN_ID] = finalRunId;
+
+    const fixedTime = f[FIELDS.FIXED_TIME] ? new Date(f[FIELDS.FIXED_TIME]) : null;
+    const reopened = f[FIELDS.STATUS] === 'FIXED' && (!fixedTime || issue.lastSeen > fixedTime);
+    if (reopened) {
+      updates[FIELDS.STATUS] = 'NEW';
+      updates[FIELDS.REOPENED_AT] = new Date().toISOString();
+      updates[FIELDS.REOPEN_COUNT] = (f[FIELDS.REOPEN_COUNT] || 0) + 1;
+      logger.warn('recordRecurrence', `Regression: issue ${record.id} was fixed ${f[FIELDS.FIXED_TIME] || '(no time)'} and is back`);
+    }
+
+    const updated = await this.updateProductionIssue(record.id, updates);
+    return { record: updated, reopened };
+  }
+
+  /**
+   * Plain issue object for alerting from an Airtable record
+   * @param {Object} record - Production Issues record
+   * @returns {Object}
+   */
+  toAlertIssue(record) {
+    const f = record.fields || {};
+    return {
+      recordId: record.id,
+      fingerprint: f[FIELDS.FINGERPRINT] || null,
+      severity: f[FIELDS.SEVERITY],
+      status: f[FIELDS.STATUS] || null,
+      patternMatched: f[FIELDS.PATTERN_MATCHED] || null,
+      errorMessage: f[FIELDS.ERROR_MESSAGE] || '',
+      occurrences: f[FIELDS.OCCURRENCES] || 1,
+      firstSeen: f[FIELDS.FIRST_SEEN] || null,
+      lastSeen: f[FIELDS.LAST_SEEN] || null,
+      fixedTime: f[FIELDS.FIXED_TIME] || null,
+      reopenedAt: f[FIELDS.REOPENED_AT] || null,
+      snoozedUntil: f[FIELDS.SNOOZED_UNTIL] || null,
+      runId: f[FIELDS.RUN_ID] || null,
+      clientId: f[FIELDS.CLIENT] || null,
+    };
+  }
+
+  /**
+   * Issues seen since a time, as alert issues (for the daily digest)
+   * @param {string} sinceIso - ISO timestamp
+   * @returns {Promise<Array<Object>>}
+   */
+  async getIssuesSeenSince(sinceIso) {
+    const rows = await this.masterBase(PRODUCTION_ISSUES_TABLE).select({
+      filterByFormula: `IS_AFTER({${FIELDS.LAST_SEEN}}, '${sinceIso}')`,
+      sort: [{ field: FIELDS.LAST_SEEN, direction: 'desc' }],
+    }).all();
+    return rows.map(row => this.toAlertIssue(row));
+  }
+
+  /**
+   * Snooze alerts (and digest listing) for one issue
+   * @param {string} recordId - Airtable record ID
+   * @param {string|null} untilIso - ISO timestamp, or null to clear the snooze
+   * @returns {Promise<Object>} - Updated record
+   */
+  async snoozeIssue(recordId, untilIso) {
+    return this.updateProductionIssue(recordId, { [FIELDS.SNOOZED_UNTIL]: untilIso || null });
   }
 
   /**
@@ -610,6 +778,10 @@ class ProductionIssueService {
       [FIELDS.LAST_SEEN]: issue.lastSeen.toISOString(),
     };
 
+    if (issue.fingerprint) {
+      fields[FIELDS.FINGERPRINT] = issue.fingerprint;
+    }
+
     // Add Run ID - prioritize issue.runId (extracted from error message), fall back to parameter
     const finalRunId = issue.runId || runId;
     if (finalRunId) {
@@ -670,8 +842,18 @@ class ProductionIssueService {
       fields[FIELDS.CLIENT] = issue.clientId; // Store client name/ID as text
     }
 
-    const record = await this.masterBase(PRODUCTION_ISSUES_TABLE).create(fields);
-    return record;
+    const table = this.masterBase(PRODUCTION_ISSUES_TABLE);
+    try {
+      return await table.create(fields);
+    } catch (error) {
+      const unknownField = /UNKNOWN_FIELD_NAME|Unknown field name/i.test(String((error && (error.error + ' ' + error.message)) || ''));
+      if (!unknownField || !DEDUPE_FIELDS.some((name) => name in fields)) throw error;
+      // Keep alerts flowing until the base has the dedupe fields (AIRTABLE-PRODUCTION-ISSUES-SCHEMA.md)
+      logger.warn('createProductionIssue', `Production Issues is missing dedupe fields, creating without them: ${error.message}`);
+      const legacyFields = { ...fields };
+      for (const name of DEDUPE_FIELDS) delete legacyFields[name];
+      return table.create(legacyFields);
+    }
   }
 
   /**
@@ -16,6 +16,7 @@
 const { vertexAIClient, geminiModelId } = require('../config/geminiClient');
 const { getMeetingById, getParticipantsForMeeting, saveMeetingSummary } = require('./recallWebhookDb');
 const { createSafeLogger } = require('../utils/loggerHelper');
+const { costGovernanceService, FEATURES } = require('./costGovernanceService');
 
 const log = createSafeLogger('SYSTEM', null, 'recall_summary');
 
@@ -103,6 +104,14 @@ async function generateMeetingSummary(meetingId, opts = {}) {
   const MAX_CHARS = 120000;
   if (text.length > MAX_CHARS) text = text.slice(0, MAX_CHARS) + '\n\n[transcript truncated]';
 
+  // Token budget: an explicit regenerate (force) is someone waiting, so only the hard limit applies;
+  // the automatic summary after ingest is batch work and waits out a soft limit too.
+  const clientId = row.coach_client_id || null;
+  if (clientId) {
+    const budget = await costGovernanceService.checkBudget(clientId, { estimatedTokens: Math.ceil(text.length / 4), interactive: !!opts.force });
+    if (!budget.allowed) return { ok: false, error: budget.reason, budgetPaused: true };
+  }
+
   try {
     const model = vertexAIClient.getGenerativeModel({
       model: SUMMARY_MODEL,
@@ -119,6 +128,13 @@ async function generateMeetingSummary(meetingId, opts = {}) {
     const timeoutPromise = new Promise((_, reject) =>
       setTimeout(() => reject(new Error('summary generation timed out')), AI_TIMEOUT_MS));
     const result = await Promise.race([callPromise, timeoutPromise]);
+    const u = result?.response?.usageMetadata;
+    if (clientId && u) {
+      await costGovernanceService.recordAiUsage({
+        clientId, feature: FEATURES.MEETING_SUMMARY, provider: 'gemini', model: SUMMARY_MODEL,
+        inputTokens: u.promptTokenCount, outputTokens: u.candidatesTokenCount, totalTokens: u.totalTokenCount,
+      });
+    }
 
     const partText = result?.response?.candidates?.[0]?.content?.parts?.[0]?.text;
     if (!partText) return { ok: false, error: 'AI returned no content' };
@@ -1285,6 +1285,51 @@ async function removeMeetingLead(meetingId, airtableLeadId) {
   }
 }
 
+/**
+ * Move every meeting link (and speaker mapping) from one Airtable lead to another — used when two
+ * duplicate Leads are merged (services/leadDedupService.js). A meeting already linked to the
+ * surviving lead just loses the duplicate link. Scoped to the coach so tenants never touch each
+ * other's rows.
+ * @returns {Promise<{ ok: boolean, moved?: number, dropped?: number }>}
+ */
+async function reassignLeadMeetings(fromLeadId, toLeadId, coachClientId) {
+  const from = String(fromLeadId || '').trim();
+  const to = String(toLeadId || '').trim();
+  const coach = String(coachClientId || '').trim();
+  if (!from || !to || !coach || from === to) return { ok: false, error: 'invalid' };
+  const p = getPool();
+  if (!p) return { ok: false };
+  const client = await p.connect();
+  try {
+    await ensureSchema(client);
+    await client.query('BEGIN');
+    const dropped = await client.query(
+      `DELETE FROM recall_meeting_leads ml
+       WHERE ml.airtable_lead_id = $1 AND ml.coach_client_id = $3
+         AND EXISTS (SELECT 1 FROM recall_meeting_leads o WHERE o.meeting_id = ml.meeting_id AND o.airtable_lead_id = $2)`,
+      [from, to, coach],
+    );
+    const moved = await client.query(
+      `UPDATE recall_meeting_leads SET airtable_lead_id = $2
+       WHERE airtable_lead_id = $1 AND coach_client_id = $3
+       RETURNING meeting_id`,
+      [from, to, coach],
+    );
+    await client.query(
+      `UPDATE recall_meeting_participants SET airtable_lead_id = $2
+       WHERE airtable_lead_id = $1 AND coach_client_id = $3`,
+      [from, to, coach],
+    );
+    await client.query('COMMIT');
+    return { ok: true, moved: moved.rowCount, dropped: dropped.rowCount };
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
 async function syncMeetingReviewStatusTx(client, meetingId) {
   const n = typeof meetingId === 'string' ? parseInt(meetingId, 10) : Number(meetingId);
   const st = await client.query(`SELECT status FROM recall_meetings WHERE id = $1`, [n]);
@@ -1890,6 +1935,7 @@ module.exports = {
   listMeetingLeads,
   addMeetingLead,
   removeMeetingLead,
+  reassignLeadMeetings,
   syncMeetingReviewStatus,
   recomputeAllRecallMeetingReviewStatuses,
   saveMeetingSpeakers,
@@ -0,0 +1,386 @@
+/**
+ * Rescore job runner — executes, checkpoints and resumes on-demand rescore jobs against the
+ * durable store (services/rescoreJobStore.js). routes/rescoreRoutes.js builds the scope and
+ * calls startJob(); everything after that lives here so a restarted process can pick the same
+ * job up (startResumeSweep() → resumeInterruptedJobs()) and finish it.
+ *
+ * Credits are reserve-then-settle: the whole scope is debited when the job starts (so a second
+ * job can't spend the same balance while the first runs), and at the end every lead that never
+ * reached 'Scored' — a failed chunk, or a job that could not be resumed — is refunded. The
+ * client pays for exactly the leads that were scored, same rule as before, but the money is
+ * never "in flight" only in process memory.
+ *
+ * Resumption: per-lead rows are written after every chunk (batchScorer.scoreRecordsNow's
+ * onChunkScored). A resumed job re-fetches only the record ids that have no row yet and scores
+ * them in the original order, so the remaining chunks are the same batches the first process
+ * would have formed (deterministic batching — see buildScope in the route).
+ *
+ * Compare mode: the same sample is scored twice, pass A under
+ * scopeParams.versionA and pass B under scopeParams.versionB (rubric snapshots from
+ * services/rubricVersionStore.js, or 'live'). Nothing is written to Airtable. Per-lead rows are
+ * stored as 'A:<recordId>' / 'B:<recordId>' so each pass resumes on its own, credits are 2 per
+ * lead, and the report is rank correlation, tier crossings and the largest movers between A and B.
+ */
+
+const os = require('os');
+const { createLogger } = require('../utils/contextLogger');
+const clientService = require('./clientService');
+const store = require('./rescoreJobStore');
+
+const logger = createLogger({ runId: 'SYSTEM', clientId: 'SYSTEM', operation: 'rescore_jobs' });
+
+// Identifies THIS process as the owner of the jobs it runs. A job whose heartbeat is older than
+// STALE_MS belongs to a dead process and may be claimed.
+const WORKER_ID = `${os.hostname()}:${process.pid}:${Date.now().toString(36)}`;
+const HEARTBEAT_MS = 60 * 1000;
+const STALE_MS = Math.max(2 * HEARTBEAT_MS, parseInt(process.env.RESCORE_JOB_STALE_MS || String(5 * 60 * 1000), 10));
+
+let jobSeq = 0;
+const newJobId = () => `rj_${Date.now().toString(36)}_${(jobSeq++).toString(36)}`;
+
+const escId = (id) => String(id).replace(/'/g, '');
+async function fetchFullByIds(base, ids) {
+  if (!ids.length) return [];
+  const out = [];
+  // chunk the OR() formula to keep it well under Airtable's length limit
+  for (let i = 0; i < ids.length; i += 50) {
+    const slice = ids.slice(i, i + 50);
+    const formula = `OR(${slice.map(id => `RECORD_ID()='${escId(id)}'`).join(', ')})`;
+    const recs = await base('Leads').select({ filterByFormula: formula }).all();
+    out.push(...recs);
+  }
+  return out;
+}
+
+// Build the before/after report from the per-lead rows + captured old scores.
+function buildReport(leadRows, oldById, nameById, tier) {
+  let up = 0, down = 0, crossedUp = 0, crossedDown = 0;
+  const rows = leadRows.map(p => {
+    const oldScore = oldById[p.recordId];
+    const delta = (typeof p.newScore === 'number' && typeof oldScore === 'number') ? Math.round((p.newScore - oldScore) * 100) / 100 : null;
+    if (typeof delta === 'number') { if (delta > 0) up++; else if (delta < 0) down++; }
+    if (typeof oldScore === 'number' && typeof p.newScore === 'number') {
+      if (oldScore < tier && p.newScore >= tier) crossedUp++;
+      if (oldScore >= tier && p.newScore < tier) crossedDown++;
+    }
+    return { recordId: p.recordId, name: nameById[p.recordId] || p.recordId, old: (typeof oldScore === 'number' ? oldScore : null), new: p.newScore, delta, status: p.status };
+  }).sort((a, b) => Math.abs(b.delta || 0) - Math.abs(a.delta || 0));
+  const scored = leadRows.filter(p => p.status === 'Scored').length;
+  return {
+    scored,
+    summary: { rescored: scored, movedUp: up, movedDown: down, crossedIntoTopTier: crossedUp, droppedBelowTier: crossedDown, tierLine: tier },
+    rows
+  };
+}
+
+// Spearman rank correlation of paired scores (ties get their average rank). null under 2 pairs
+// or when one side is constant (the coefficient is undefined there, not 0).
+function rankCorrelation(pairs) {
+  if (pairs.length < 2) return null;
+  const ranks = (vals) => {
+    const order = vals.map((v, i) => [v, i]).sort((x, y) => x[0] - y[0]);
+    const out = new Array(vals.length);
+    for (let i = 0; i < order.length;) {
+      let j = i;
+      while (j + 1 < order.length && order[j + 1][0] === order[i][0]) j++;
+      for (let k = i; k <= j; k++) out[order[k][1]] = (i + j) / 2 + 1;
+      i = j + 1;
+    }
+    return out;
+  };
+  const ra = ranks(pairs.map(p => p[0]));
+  const rb = ranks(pairs.map(p => p[1]));
+  const mean = (xs) => xs.reduce((t, x) => t + x, 0) / xs.length;
+  const ma = mean(ra), mb = mean(rb);
+  let cov = 0, va = 0, vb = 0;
+  for (let i = 0; i < ra.length; i++) {
+    cov += (ra[i] - ma) * (rb[i] - mb);
+    va += (ra[i] - ma) ** 2;
+    vb += (rb[i] - mb) ** 2;
+  }
+  if (!va || !vb) return null;
+  return Math.round((cov / Math.sqrt(va * vb)) * 1000) / 1000;
+}
+
+// Compare-mode report: the sample under rubric A vs rubric B ('A:'/'B:' per-lead rows).
+function buildCompareReport(leadRows, { recordIds, oldById, nameById, tier, versionA, versionB, topMovers = 10 }) {
+  const byKey = new Map(leadRows.map(r => [r.recordId, r]));
+  const pairs = [];
+  let up = 0, down = 0, same = 0, crossedUp = 0, crossedDown = 0;
+  const rows = recordIds.map(id => {
+    const a = byKey.get(`A:${id}`), b = byKey.get(`B:${id}`);
+    const scoreA = a && typeof a.newScore === 'number' ? a.newScore : null;
+    const scoreB = b && typeof b.newScore === 'number' ? b.newScore : null;
+    let delta = null;
+    if (scoreA !== null && scoreB !== null) {
+      pairs.push([scoreA, scoreB]);
+      delta = Math.round((scoreB - scoreA) * 100) / 100;
+      if (delta > 0) up++; else if (delta < 0) down++; else same++;
+      if (scoreA < tier && scoreB >= tier) crossedUp++;
+      if (scoreA >= tier && scoreB < tier) crossedDown++;
+    }
+    return {
+      recordId: id, name: nameById[id] || id, old: typeof oldById[id] === 'number' ? oldById[id] : null,
+      a: scoreA, b: scoreB, delta, statusA: a ? a.status : null, statusB: b ? b.status : null,
+    };
+  });
+  const moved = rows.filter(r => typeof r.delta === 'number');
+  const meanAbsDelta = moved.length ? Math.round((moved.reduce((t, r) => t + Math.abs(r.delta), 0) / moved.length) * 100) / 100 : null;
+  rows.sort((x, y) => Math.abs(y.delta || 0) - Math.abs(x.delta || 0));
+  return {
+    scored: leadRows.filter(p => p.status === 'Scored').length,
+    summary: {
+      versionA, versionB, compared: pairs.length, rankCorrelation: rankCorrelation(pairs),
+      movedUp: up, movedDown: down, unchanged: same, meanAbsDelta,
+      crossedIntoTopTier: crossedUp, droppedBelowTier: crossedDown, tierLine: tier,
+    },
+    largestMovers: rows.filter(r => r.delta).slice(0, topMovers),
+    rows
+  };
+}
+
+// The scoring passes a job makes: one (key '') for preview/commit, A then B for compare.
+const passesFor = (job) => (job.mode === 'compare'
+  ? [{ key: 'A:', rubricVersion: job.scopeParams.versionA }, { key: 'B:', rubricVersion: job.scopeParams.versionB }]
+  : [{ key: '', rubricVersion: null }]);
+
+const creditsView = (s) => (s ? {
+  available: s.available, granted: s.granted, consumed: s.consumed,
+  monthlyAccrual: s.monthlyAccrual, monthsElapsed: s.monthsElapsed
+} : null);
+
+/**
+ * Reserve credits, persist the job, and start scoring in the background.
+ * @returns {Promise<Object>} the stored job (status 'running')
+ */
+async function startJob({ clientId, mode, scope, scopeParams, records, oldById, nameById, tier, dependencies }) {
+  // Compare scores every lead twice: progress and credits count both passes.
+  const count = records.length * (mode === 'compare' ? 2 : 1);
+  const recordIds = records.map(r => r.id);
+  // oldById may cover the whole scored pool (sample scope) — persist only the scope's slice.
+  const oldScores = {};
+  for (const id of recordIds) { if (typeof oldById[id] === 'number') oldScores[id] = oldById[id]; }
+  await clientService.debitRescoreCredits(clientId, count);
+  let job;
+  try {
+    job = await store.createJob({
+      id: newJobId(), clientId, mode, scope, scopeParams, total: count,
+      recordIds, oldScores, names: nameById, tier,
+      creditsDebited: count, workerId: WORKER_ID,
+    });
+  } catch (e) {
+    // No job row means nothing would ever settle the reservation: give it straight back.
+    await clientService.refundRescoreCredits(clientId, count)
+      .catch(re => logger.error(`rescore job for ${clientId} not created; refund of ${count} credits FAILED: ${re.message}`));
+    throw e;
+  }
+  // Do NOT await — the request returns immediately and the client polls.
+  executeJob(job, { records, dependencies }).catch(e => logger.error(`rescore job ${job.id} crashed: ${e.message}`));
+  return job;
+}
+
+/**
+ * Score whatever part of `job` has no per-lead row yet, checkpointing after every chunk, then
+ * settle credits and write the final report. `records` may be the full scope (fresh start) or
+ * omitted (resume: the unscored ids are re-fetched from the client's base).
+ */
+async function executeJob(job, { records = null, dependencies = {}, base = null } = {}) {
+  const batchScorer = require('../batchScorer');
+  const heartbeat = setInterval(() => { store.updateJob(job.id, {}).catch(() => {}); }, HEARTBEAT_MS);
+  if (heartbeat.unref) heartbeat.unref();
+  try {
+    const already = new Set((await store.getLeadResults(job.id)).map(r => r.recordId));
+    const passes = passesFor(job).map(p => ({ ...p, ids: job.recordIds.filter(id => !already.has(p.key + id)) }));
+    let byId;
+    if (records) {
+      byId = new Map(records.map(r => [r.id, r]));
+    } else {
+      const client = await clientService.getClientById(job.clientId);
+      const clientBase = base || clientService.getClientBase(client.airtableBaseId);
+      const ids = job.recordIds.filter(id => passes.some(p => p.ids.includes(id)));
+      byId = new Map((await fetchFullByIds(clientBase, ids)).map(r => [r.id, r]));
+      base = clientBase;
+    }
+    if (!base) {
+      const client = await clientService.getClientById(job.clientId);
+      base = clientService.getClientBase(client.airtableBaseId);
+    }
+
+    let done = already.size;
+    let tokensUsed = job.tokensUsed || 0;
+    let budgetPaused = null;
+    for (const pass of passes) {
+      const pending = pass.ids.map(id => byId.get(id)).filter(Boolean);
+      if (!pending.length) continue;
+      const out = await batchScorer.scoreRecordsNow({
+        records: pending, clientId: job.clientId, clientBase: base, dependencies,
+        persist: job.mode === 'commit', runId: `RESCORE-${job.mode}`, rubricVersion: pass.rubricVersion,
+        onChunkScored: async (chunkRes) => {
+          await store.saveLeadResults(job.id, (chunkRes.perLead || []).map(p => ({
+            recordId: pass.key + p.recordId, oldScore: job.oldScores[p.recordId], newScore: p.newScore, status: p.status,
+          })));
+          done = Math.min(job.total, done + (chunkRes.processed || 0));
+          tokensUsed += chunkRes.tokensUsed || 0;
+          await store.updateJob(job.id, { done, tokensUsed });
+        },
+      });
+      // Token budget stopped it part-way: finish normally, the unscored leads are refunded.
+      budgetPaused = (out && out.budgetPaused) || null;
+      if (budgetPaused) break;
+    }
+    return await finishJob(job, { tokensUsed, budgetPaused });
+  } catch (e) {
+    logger.error(`rescore job ${job.id} failed: ${e.message}`);
+    return await settleFailed(job, 'error', e.message);
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+// Refund everything that isn't a 'Scored' row. Returns { refunded, credits } (credits may be null
+// if the refund itself failed — logged loudly, the job row still records what was owed).
+async function refundUnscored(job, leadRows) {
+  const scored = leadRows.filter(r => r.status === 'Scored').length;
+  const owed = Math.max(0, job.creditsDebited - (job.creditsRefunded || 0) - scored);
+  let credits = null;
+  try {
+    credits = owed
+      ? await clientService.refundRescoreCredits(job.clientId, owed)
+      : await clientService.getRescoreCreditsStatus(job.clientId);
+  } catch (e) {
+    logger.error(`rescore job ${job.id}: refund of ${owed} credits for ${job.clientId} FAILED: ${e.message}`);
+    return { refunded: 0, owed, credits: null };
+  }
+  return { refunded: owed, owed, credits };
+}
+
+async function finishJob(job, { tokensUsed, budgetPaused = null }) {
+  const leadRows = await store.getLeadResults(job.id);
+  const order = new Map(job.recordIds.map((id, i) => [id, i]));
+  leadRows.sort((a, b) => (order.get(a.recordId) ?? 0) - (order.get(b.recordId) ?? 0));
+  const { refunded, credits } = await refundUnscored(job, leadRows);
+  if (job.mode === 'compare') {
+    const { versionA, versionB } = job.scopeParams;
+    const report = buildCompareReport(leadRows, { recordIds: job.recordIds, oldById: job.oldScores, nameById: job.names, tier: job.tier, versionA, versionB });
+    // A rubric comparison is not a test of the live rubric: the preview baseline is left alone.
+    const result = {
+      mode: job.mode, scope: job.scope, count: job.recordIds.length, credits: creditsView(credits),
+      creditsRefunded: (job.creditsRefunded || 0) + refunded, budgetPaused, tokensUsed, persisted: false, ...report
+    };
+    return store.updateJob(job.id, {
+      status: 'done', done: job.total, result, tokensUsed,
+      creditsRefunded: (job.creditsRefunded || 0) + refunded, finishedAt: new Date().toISOString(),
+    });
+  }
+  const report = buildReport(leadRows, job.oldScores, job.names, job.tier);
+
+  // Baseline compare (preview): if the previous preview covered the same lead set,
+  // annotate deltaVsPrevTest — the noise-free "what did my attribute change do" signal.
+  const idsKey = job.recordIds.slice().sort().join(',');
+  let comparedToPreviousTest = false, previousTestAt = null;
+  if (job.mode === 'preview') {
+    const bl = await store.getBaseline(job.clientId);
+    if (bl && bl.idsKey === idsKey) {
+      comparedToPreviousTest = true;
+      previousTestAt = bl.at;
+      let vsUp = 0, vsDown = 0, vsSame = 0;
+      for (const row of report.rows) {
+        const prev = bl.scoresById[row.recordId];
+        row.prevTest = (typeof prev === 'number') ? prev : null;
+        row.deltaVsPrevTest = (typeof prev === 'number' && typeof row.new === 'number')
+          ? Math.round((row.new - prev) * 100) / 100 : null;
+        if (typeof row.deltaVsPrevTest === 'number') {
+          if (row.deltaVsPrevTest > 0) vsUp++; else if (row.deltaVsPrevTest < 0) vsDown++; else vsSame++;
+        }
+      }
+      report.summary.vsPreviousTest = { movedUp: vsUp, movedDown: vsDown, unchanged: vsSame };
+    }
+    // This preview becomes the new baseline for the next test.
+    const scoresById = {};
+    for (const p of leadRows) { if (typeof p.newScore === 'number') scoresById[p.recordId] = p.newScore; }
+    await store.setBaseline(job.clientId, { idsKey, scoresById });
+  } else {
+    // Commit re-baselines the stored scores; the old test baseline is stale.
+    await store.clearBaseline(job.clientId);
+  }
+
+  const result = {
+    mode: job.mode, scope: job.scope, count: job.total, credits: creditsView(credits),
+    creditsRefunded: (job.creditsRefunded || 0) + refunded,
+    comparedToPreviousTest, previousTestAt, budgetPaused,
+    tokensUsed, persisted: job.mode === 'commit', ...report
+  };
+  return store.updateJob(job.id, {
+    status: 'done', done: job.total, result, tokensUsed,
+    creditsRefunded: (job.creditsRefunded || 0) + refunded, finishedAt: new Date().toISOString(),
+  });
+}
+
+async function settleFailed(job, status, error) {
+  const leadRows = await store.getLeadResults(job.id).catch(() => []);
+  const { refunded } = await refundUnscored(job, leadRows);
+  return store.updateJob(job.id, {
+    status, error, creditsRefunded: (job.creditsRefunded || 0) + refunded, finishedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Claim every running job whose owner stopped heart-beating and carry it on. Run by
+ * startResumeSweep(); safe to call again (claiming is atomic). A job whose client has since been disabled is
+ * closed as 'interrupted' and its unscored leads refunded rather than silently re-run.
+ * @returns {Promise<string[]>} ids of the jobs picked up
+ */
+async function resumeInterruptedJobs(dependencies = {}) {
+  const claimed = await store.claimStaleJobs(WORKER_ID, STALE_MS);
+  for (const job of claimed) {
+    let status = null;
+    try { status = await clientService.getRescoreCreditsStatus(job.clientId); } catch (_) { /* treated as gone */ }
+    if (!status || !status.enabled) {
+      logger.warn(`rescore job ${job.id}: client ${job.clientId} no longer enabled — closing as interrupted`);
+      await settleFailed(job, 'interrupted', 'Rescore no longer enabled for this client when the job was resumed');
+      continue;
+    }
+    logger.info(`rescore job ${job.id}: resuming for ${job.clientId} at ${job.done}/${job.total}`);
+    executeJob(job, { dependencies }).catch(e => logger.error(`resumed rescore job ${job.id} crashed: ${e.message}`));
+  }
+  return claimed.map(j => j.id);
+}
+
+/**
+ * Keep calling resumeInterruptedJobs() — now and every intervalMs. A restart or redeploy is
+ * usually over well inside STALE_MS, so at boot the previous process's job still looks alive;
+ * a later pass claims it once its heartbeat has gone stale. Passes never overlap.
+ * @returns {Function} stop
+ */
+function startResumeSweep(dependencies = {}, { intervalMs = HEARTBEAT_MS } = {}) {
+  let inFlight = false;
+  const sweep = async () => {
+    if (inFlight) return;
+    inFlight = true;
+    try {
+      const ids = await resumeInterruptedJobs(dependencies);
+      if (ids.length) logger.info(`resumed ${ids.length} interrupted rescore job(s): ${ids.join(', ')}`);
+    } catch (e) {
+      logger.error(`resume of interrupted rescore jobs failed: ${e.message}`);
+    } finally {
+      inFlight = false;
+    }
+  };
+  sweep();
+  const timer = setInterval(sweep, intervalMs);
+  if (timer.unref) timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  startJob,
+  executeJob,
+  resumeInterruptedJobs,
+  startResumeSweep,
+  buildReport,
+  buildCompareReport,
+  rankCorrelation,
+  fetchFullByIds,
+  creditsView,
+  WORKER_ID,
+};
@@ -0,0 +1,326 @@
+/**
+ * Rescore job store — durable state for on-demand rescore runs (routes/rescoreRoutes.js).
+ *
+ * Before this the route kept jobs and preview baselines in in-memory Maps, so a Render restart
+ * lost every in-flight job AND the credits already debited for it. Now each job is a row:
+ * scope, mode, progress, the ordered record ids it covers (the deterministic batch order), the
+ * old scores/names captured at start, credits debited/refunded, and one child row per scored lead
+ * (before/after). That is enough to resume a job from the last scored lead after a restart and to
+ * refund leads that never got scored.
+ *
+ * Tables (same Postgres as the recall_* store):
+ *   rescore_jobs       — one row per job
+ *   rescore_job_leads  — per-lead before/after, (job_id, record_id) unique
+ *   rescore_baselines  — the last preview's scores per client (deltaVsPrevTest)
+ *
+ * No DATABASE_URL => the same functions run against in-process Maps: exactly the old behaviour
+ * (works locally, lost on restart), so nothing breaks on a box without Postgres.
+ *
+ * House style: recallWebhookDb.js (lazy Pool, ensureSchema CREATE-IF-NOT-EXISTS, no migrations).
+ */
+
+const { Pool } = require('pg');
+
+let pool;
+let schemaEnsured = false;
+
+function getPool() {
+  if (pool) return pool;
+  const url = (process.env.DATABASE_URL || '').trim();
+  if (!url) return null;
+  pool = new Pool({ connectionString: url, ssl: { rejectUnauthorized: false } });
+  return pool;
+}
+
+/** Test seam: inject a fake pool (unit tests never touch a real database). */
+function __setTestPool(fake) {
+  pool = fake;
+  schemaEnsured = fake ? true : false;
+  memory.jobs.clear();
+  memory.leads.clear();
+  memory.baselines.clear();
+}
+
+async function ensureSchema(client) {
+  if (schemaEnsured) return;
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS rescore_jobs (
+      id               TEXT PRIMARY KEY,
+      client_id        TEXT NOT NULL,
+      mode             TEXT NOT NULL,             -- 'preview' | 'commit' | 'compare'
+      scope            TEXT NOT NULL,             -- 'sample' | 'months'
+      scope_params     JSONB,                     -- { size, months, versionA, versionB }
+      status           TEXT NOT NULL DEFAULT 'running',  -- running | done | error | interrupted
+      total            INT NOT NULL DEFAULT 0,
+      done             INT NOT NULL DEFAULT 0,
+      record_ids       JSONB NOT NULL,            -- ordered: the deterministic batch order
+      old_scores       JSONB,                     -- { recordId: score } captured at start
+      names            JSONB,                     -- { recordId: "First Last" }
+      tier             NUMERIC,
+      credits_debited  INT NOT NULL DEFAULT 0,
+      credits_refunded INT NOT NULL DEFAULT 0,
+      tokens_used      BIGINT NOT NULL DEFAULT 0,
+      worker_id        TEXT,                      -- which process owns a running job
+      result           JSONB,
+      error            TEXT,
+      started_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+      finished_at      TIMESTAMPTZ
+    );
+  `);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_rescore_jobs_client ON rescore_jobs (client_id, started_at DESC);`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_rescore_jobs_running ON rescore_jobs (updated_at) WHERE status = 'running';`);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS rescore_job_leads (
+      job_id     TEXT NOT NULL REFERENCES rescore_jobs(id) ON DELETE CASCADE,
+      record_id  TEXT NOT NULL,
+      old_score  NUMERIC,
+      new_score  NUMERIC,
+      status     TEXT,
+      scored_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+      PRIMARY KEY (job_id, record_id)
+    );
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS rescore_baselines (
+      client_id   TEXT PRIMARY KEY,
+      ids_key     TEXT NOT NULL,
+      scores      JSONB NOT NULL,
+      created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+  schemaEnsured = true;
+}
+
+// In-process fallback (no DATABASE_URL). Rows use the same snake_case shape as the SQL path so
+// rowToJob() is the one mapper either way.
+const memory = { jobs: new Map(), leads: new Map(), baselines: new Map() };
+
+async function withClient(fn) {
+  const client = await getPool().connect();
+  try {
+    await ensureSchema(client);
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+}
+
+const num = (v) => (v === null || v === undefined ? null : Number(v));
+const json = (v) => (typeof v === 'string' ? JSON.parse(v) : v);
+const iso = (v) => (v ? new Date(v).toISOString() : null);
+
+function rowToJob(r) {
+  if (!r) return null;
+  return {
+    id: r.id,
+    clientId: r.client_id,
+    mode: r.mode,
+    scope: r.scope,
+    scopeParams: json(r.scope_params) || {},
+    status: r.status,
+    total: Number(r.total) || 0,
+    done: Number(r.done) || 0,
+    recordIds: json(r.record_ids) || [],
+    oldScores: json(r.old_scores) || {},
+    names: json(r.names) || {},
+    tier: num(r.tier),
+    creditsDebited: Number(r.credits_debited) || 0,
+    creditsRefunded: Number(r.credits_refunded) || 0,
+    tokensUsed: Number(r.tokens_used) || 0,
+    workerId: r.worker_id || null,
+    result: json(r.result) || null,
+    error: r.error || null,
+    startedAt: iso(r.started_at),
+    updatedAt: iso(r.updated_at),
+    finishedAt: iso(r.finished_at),
+  };
+}
+
+/**
+ * Create a job row. `job` is the camelCase shape rowToJob returns (id, clientId, mode, scope,
+ * scopeParams, total, recordIds, oldScores, names, tier, creditsDebited, workerId).
+ */
+async function createJob(job) {
+  const row = {
+    id: job.id,
+    client_id: job.clientId,
+    mode: job.mode,
+    scope: job.scope,
+    scope_params: job.scopeParams || {},
+    status: 'running',
+    total: job.total || 0,
+    done: 0,
+    record_ids: job.recordIds || [],
+    old_scores: job.oldScores || {},
+    names: job.names || {},
+    tier: job.tier ?? null,
+    credits_debited: job.creditsDebited || 0,
+    credits_refunded: 0,
+    tokens_used: 0,
+    worker_id: job.workerId || null,
+    result: null,
+    error: null,
+    started_at: new Date(),
+    updated_at: new Date(),
+    finished_at: null,
+  };
+  if (!getPool()) {
+    memory.jobs.set(row.id, row);
+    return rowToJob(row);
+  }
+  return withClient(async (c) => {
+    const r = await c.query(
+      `INSERT INTO rescore_jobs (id, client_id, mode, scope, scope_params, status, total, done, record_ids,
+                                 old_scores, names, tier, credits_debited, worker_id)
+       VALUES ($1, $2, $3, $4, $5, 'running', $6, 0, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      [row.id, row.client_id, row.mode, row.scope, JSON.stringify(row.scope_params), row.total,
+        JSON.stringify(row.record_ids), JSON.stringify(row.old_scores), JSON.stringify(row.names),
+        row.tier, row.credits_debited, row.worker_id],
+    );
+    return rowToJob(r.rows[0]);
+  });
+}
+
+// camelCase patch key -> column. Only these are updatable after creation.
+const PATCHABLE = {
+  status: 'status', total: 'total', done: 'done', tokensUsed: 'tokens_used', workerId: 'worker_id',
+  creditsDebited: 'credits_debited', creditsRefunded: 'credits_refunded', result: 'result',
+  error: 'error', finishedAt: 'finished_at',
+};
+
+/** Patch a job (also bumps updated_at — the heartbeat resumeable-job detection keys on). */
+async function updateJob(id, patch = {}) {
+  const entries = Object.entries(patch).filter(([k]) => PATCHABLE[k]);
+  if (!getPool()) {
+    const row = memory.jobs.get(id);
+    if (!row) return null;
+    for (const [k, v] of entries) row[PATCHABLE[k]] = v;
+    row.updated_at = new Date();
+    return rowToJob(row);
+  }
+  return withClient(async (c) => {
+    const sets = ['updated_at = now()'];
+    const params = [id];
+    for (const [k, v] of entries) {
+      params.push(k === 'result' ? JSON.stringify(v) : v);
+      sets.push(`${PATCHABLE[k]} = $${params.length}`);
+    }
+    const r = await c.query(`UPDATE rescore_jobs SET ${sets.join(', ')} WHERE id = $1 RETURNING *`, params);
+    return rowToJob(r.rows[0]);
+  });
+}
+
+async function getJob(id) {
+  if (!id) return null;
+  if (!getPool()) return rowToJob(memory.jobs.get(id));
+  return withClient(async (c) => rowToJob((await c.query(`SELECT * FROM rescore_jobs WHERE id = $1`, [id])).rows[0]));
+}
+
+/** A client's job history, newest first (record_ids/old_scores/names stripped — list view). */
+async function listJobs(clientId, { limit = 20 } = {}) {
+  const lim = Math.max(1, Math.min(100, parseInt(limit, 10) || 20));
+  let rows;
+  if (!getPool()) {
+    // reverse() first so jobs started in the same millisecond still list newest first
+    rows = [...memory.jobs.values()].reverse().filter((r) => r.client_id === clientId)
+      .sort((a, b) => b.started_at - a.started_at).slice(0, lim);
+  } else {
+    rows = await withClient(async (c) => (await c.query(
+      `SELECT * FROM rescore_jobs WHERE client_id = $1 ORDER BY started_at DESC LIMIT $2`, [clientId, lim])).rows);
+  }
+  return rows.map(rowToJob).map(({ recordIds, oldScores, names, ...rest }) => rest);
+}
+
+/**
+ * Atomically take ownership of running jobs whose heartbeat is older than `staleMs` (their
+ * process died). Returns the claimed jobs. The conditional UPDATE is the lock: two booting
+ * instances can't both claim the same job.
+ */
+async function claimStaleJobs(workerId, staleMs) {
+  const cutoff = new Date(Date.now() - staleMs);
+  if (!getPool()) {
+    const out = [];
+    for (const row of memory.jobs.values()) {
+      if (row.status === 'running' && row.updated_at < cutoff) {
+        row.worker_id = workerId;
+        row.updated_at = new Date();
+        out.push(rowToJob(row));
+      }
+    }
+    return out;
+  }
+  return withClient(async (c) => (await c.query(
+    `UPDATE rescore_jobs SET worker_id = $1, updated_at = now()
+     WHERE status = 'running' AND updated_at < $2
+     RETURNING *`, [workerId, cutoff])).rows.map(rowToJob));
+}
+
+/** Record per-lead before/after rows for a job (idempotent: a re-scored lead overwrites). */
+async function saveLeadResults(jobId, rows) {
+  if (!rows || !rows.length) return;
+  if (!getPool()) {
+    const m = memory.leads.get(jobId) || new Map();
+    for (const r of rows) m.set(r.recordId, { ...r, scoredAt: new Date().toISOString() });
+    memory.leads.set(jobId, m);
+    return;
+  }
+  await withClient(async (c) => {
+    for (const r of rows) {
+      await c.query(
+        `INSERT INTO rescore_job_leads (job_id, record_id, old_score, new_score, status)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (job_id, record_id) DO UPDATE
+           SET old_score = EXCLUDED.old_score, new_score = EXCLUDED.new_score,
+               status = EXCLUDED.status, scored_at = now()`,
+        [jobId, r.recordId, r.oldScore ?? null, r.newScore ?? null, r.status || null],
+      );
+    }
+  });
+}
+
+/** Per-lead rows for a job: [{ recordId, oldScore, newScore, status, scoredAt }]. */
+async function getLeadResults(jobId) {
+  if (!getPool()) return [...(memory.leads.get(jobId) || new Map()).values()];
+  return withClient(async (c) => (await c.query(
+    `SELECT record_id, old_score, new_score, status, scored_at FROM rescore_job_leads WHERE job_id = $1`, [jobId],
+  )).rows.map((r) => ({
+    recordId: r.record_id, oldScore: num(r.old_score), newScore: num(r.new_score), status: r.status, scoredAt: iso(r.scored_at),
+  })));
+}
+
+async function getBaseline(clientId) {
+  if (!getPool()) return memory.baselines.get(clientId) || null;
+  return withClient(async (c) => {
+    const r = (await c.query(`SELECT ids_key, scores, created_at FROM rescore_baselines WHERE client_id = $1`, [clientId])).rows[0];
+    return r ? { idsKey: r.ids_key, scoresById: json(r.scores) || {}, at: new Date(r.created_at).getTime() } : null;
+  });
+}
+
+async function setBaseline(clientId, { idsKey, scoresById }) {
+  if (!getPool()) { memory.baselines.set(clientId, { idsKey, scoresById, at: Date.now() }); return; }
+  await withClient((c) => c.query(
+    `INSERT INTO rescore_baselines (client_id, ids_key, scores) VALUES ($1, $2, $3)
+     ON CONFLICT (client_id) DO UPDATE SET ids_key = EXCLUDED.ids_key, scores = EXCLUDED.scores, created_at = now()`,
+    [clientId, idsKey, JSON.stringify(scoresById)]));
+}
+
+async function clearBaseline(clientId) {
+  if (!getPool()) { memory.baselines.delete(clientId); return; }
+  await withClient((c) => c.query(`DELETE FROM rescore_baselines WHERE client_id = $1`, [clientId]));
+}
+
+module.exports = {
+  createJob,
+  updateJob,
+  getJob,
+  listJobs,
+  claimStaleJobs,
+  saveLeadResults,
+  getLeadResults,
+  getBaseline,
+  setBaseline,
+  clearBaseline,
+  __setTestPool,
+};
@@ -0,0 +1,173 @@
+/**
+ * Scoring rubric versions — immutable snapshots of a client's Scoring Attributes
+ * ({ preamble, positives, negatives } exactly as attributeLoader.loadAttributes builds them).
+ *
+ * The live Scoring Attributes table is edited in place (attributeLoader.updateAttributeWithClientBase),
+ * so without this there is no way back to last month's rubric and nothing to compare against.
+ * A snapshot is taken on demand (POST /api/attributes/versions) and automatically around every
+ * attribute save (the pre-edit rubric once, then each saved state). Versions number 1, 2, 3… per
+ * client and are never updated; identical consecutive snapshots (same preamble and attributes,
+ * every field — scoring.rubricSnapshotHash) are not duplicated.
+ *
+ * Used by: attributeLoader (a pinned client — Master Clients 'Scoring Rubric Version' — or an
+ * explicit { rubricVersion } scores against the snapshot) and the rescore 'compare' mode.
+ *
+ * Table (same Postgres as the recall_* store):
+ *   scoring_rubric_versions — client_id, version, rubric JSONB, rubric_hash, author, note,
+ *                             source (manual | attribute_edit | baseline), created_at;
+ *                             (client_id, version) unique
+ *
+ * No DATABASE_URL => an in-process array (works locally, lost on restart).
+ * House style: recallWebhookDb.js (lazy Pool, ensureSchema CREATE-IF-NOT-EXISTS, no migrations).
+ */
+
+const { Pool } = require('pg');
+const { rubricSnapshotHash } = require('../scoring');
+
+let pool;
+let schemaEnsured = false;
+const memory = [];
+
+function getPool() {
+  if (pool) return pool;
+  const url = (process.env.DATABASE_URL || '').trim();
+  if (!url) return null;
+  pool = new Pool({ connectionString: url, ssl: { rejectUnauthorized: false } });
+  return pool;
+}
+
+/** Test seam: inject a fake pool (unit tests never touch a real database). */
+function __setTestPool(fake) {
+  pool = fake;
+  schemaEnsured = fake ? true : false;
+  memory.length = 0;
+}
+
+async function ensureSchema(client) {
+  if (schemaEnsured) return;
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS scoring_rubric_versions (
+      id           BIGSERIAL PRIMARY KEY,
+      client_id    TEXT NOT NULL,
+      version      INT NOT NULL,
+      rubric       JSONB NOT NULL,
+      rubric_hash  TEXT NOT NULL,
+      author       TEXT,
+      note         TEXT,
+      source       TEXT NOT NULL DEFAULT 'manual',
+      created_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+      UNIQUE (client_id, version)
+    );
+  `);
+  schemaEnsured = true;
+}
+
+async function withClient(fn) {
+  const client = await getPool().connect();
+  try {
+    await ensureSchema(client);
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+}
+
+const summarize = (v) => ({
+  version: v.version,
+  rubricHash: v.rubricHash,
+  author: v.author,
+  note: v.note,
+  source: v.source,
+  createdAt: v.createdAt,
+  positives: Object.keys((v.rubric && v.rubric.positives) || {}).length,
+  negatives: Object.keys((v.rubric && v.rubric.negatives) || {}).length,
+});
+
+function fromRow(r) {
+  return {
+    clientId: r.client_id,
+    version: Number(r.version),
+    rubric: r.rubric,
+    rubricHash: r.rubric_hash,
+    author: r.author,
+    note: r.note,
+    source: r.source,
+    createdAt: r.created_at instanceof Date ? r.created_at.toISOString() : r.created_at,
+  };
+}
+
+/**
+ * Snapshot a rubric as the client's next version. If it is identical to the latest version
+ * (same preamble and attributes) nothing is written and the latest is returned with created:false.
+ * The latest is re-hashed from its stored rubric, so rows written before the hash covered the
+ * preamble compare correctly.
+ * @param {string} clientId
+ * @param {{ rubric: { preamble, positives, negatives }, author?: string, note?: string, source?: string }} opts
+ * @returns {Promise<Object>} the version (with rubric) + created flag
+ */
+async function createVersion(clientId, { rubric, author = null, note = null, source = 'manual' }) {
+  if (!clientId) throw new Error('createVersion: clientId is required');
+  if (!rubric || !rubric.positives) throw new Error('createVersion: rubric { preamble, positives, negatives } is required');
+  const snapshot = { preamble: rubric.preamble || '', positives: rubric.positives || {}, negatives: rubric.negatives || {} };
+  const hash = rubricSnapshotHash(snapshot);
+  const sameAs = (latest) => !!latest && rubricSnapshotHash(latest.rubric || {}) === hash;
+
+  if (!getPool()) {
+    const mine = memory.filter((v) => v.clientId === clientId);
+    const latest = mine[mine.length - 1];
+    if (sameAs(latest)) return { ...latest, created: false };
+    const v = {
+      clientId, version: mine.length + 1, rubric: JSON.parse(JSON.stringify(snapshot)), rubricHash: hash,
+      author, note, source, createdAt: new Date().toISOString(),
+    };
+    memory.push(v);
+    return { ...v, created: true };
+  }
+
+  return withClient(async (c) => {
+    const latest = (await c.query(
+      `SELECT * FROM scoring_rubric_versions WHERE client_id = $1 ORDER BY version DESC LIMIT 1`, [clientId])).rows[0];
+    if (latest && sameAs(fromRow(latest))) return { ...fromRow(latest), created: false };
+    // Next number from MAX()+1; the unique constraint turns a concurrent save into an error, not a duplicate.
+    const row = (await c.query(
+      `INSERT INTO scoring_rubric_versions (client_id, version, rubric, rubric_hash, author, note, source)
+       SELECT $1, COALESCE(MAX(version), 0) + 1, $2::jsonb, $3, $4, $5, $6
+         FROM scoring_rubric_versions WHERE client_id = $1
+       RETURNING *`,
+      [clientId, JSON.stringify(snapshot), hash, author, note, source])).rows[0];
+    return { ...fromRow(row), created: true };
+  });
+}
+
+/** A client's versions, newest first, without the rubric bodies (attribute counts instead). */
+async function listVersions(clientId, { limit = 50 } = {}) {
+  const n = Math.min(Math.max(1, Number(limit) || 50), 200);
+  if (!getPool()) {
+    return memory.filter((v) => v.clientId === clientId).reverse().slice(0, n).map(summarize);
+  }
+  return withClient(async (c) => (await c.query(
+    `SELECT * FROM scoring_rubric_versions WHERE client_id = $1 ORDER BY version DESC LIMIT $2`,
+    [clientId, n])).rows.map(fromRow).map(summarize));
+}
+
+/** One version with its rubric, or null. */
+async function getVersion(clientId, version) {
+  const v = Number(version);
+  if (!Number.isInteger(v) || v < 1) return null;
+  if (!getPool()) {
+    return memory.find((x) => x.clientId === clientId && x.version === v) || null;
+  }
+  return withClient(async (c) => {
+    const row = (await c.query(
+      `SELECT * FROM scoring_rubric_versions WHERE client_id = $1 AND version = $2`, [clientId, v])).rows[0];
+    return row ? fromRow(row) : null;
+  });
+}
+
+module.exports = {
+  createVersion,
+  listVersions,
+  getVersion,
+  summarize,
+  __setTestPool,
+};
@@ -0,0 +1,197 @@
+/**
+ * Run event store — structured events behind the run timeline (services/runTimelineService.js).
+ *
+ * Job Tracking and Client Run Results keep a run's story as text: the Progress Log blob
+ * appendToProgressLog() writes and a handful of metric fields. services/jobTracking.js now also
+ * records each step here as a row, so the timeline API can lay runs out without parsing text:
+ *
+ *   run_started / run_completed        — JobTracking.createJob / completeJob
+ *   client_started / client_completed  — createClientRun / completeClientRun
+ *   operation_step                     — a Progress Log line (🚀 started, ✅ completed, ⏸️ stopped…)
+ *   error                              — a ❌ Progress Log line
+ *   metrics_snapshot                   — updateClientMetrics (the metric fields as written)
+ *
+ * Runs from before this store existed still get a timeline: the service falls back to parsing
+ * their Progress Log.
+ *
+ * Table (same Postgres as the other stores):
+ *   run_events — one row per event; run_id is always the base run id (YYMMDD-HHMMSS)
+ *
+ * No DATABASE_URL => an in-process array (works locally, lost on restart; the timeline then
+ * falls back to the Progress Log for anything it doesn't hold).
+ *
+ * House style: rescoreJobStore.js (lazy Pool, ensureSchema CREATE-IF-NOT-EXISTS, no migrations).
+ */
+
+const { Pool } = require('pg');
+
+let pool;
+let schemaEnsured = false;
+
+const EVENT_TYPES = [
+  'run_started', 'run_completed', 'client_started', 'client_completed',
+  'operation_step', 'error', 'metrics_snapshot',
+];
+const MEMORY_MAX_EVENTS = 20000;
+
+function getPool() {
+  if (pool) return pool;
+  const url = (process.env.DATABASE_URL || '').trim();
+  if (!url) return null;
+  pool = new Pool({ connectionString: url, ssl: { rejectUnauthorized: false } });
+  return pool;
+}
+
+// In-process fallback (no DATABASE_URL). Rows use the same snake_case shape as the SQL path so
+// rowToEvent() is the one mapper either way.
+const memory = { events: [], nextId: 1 };
+
+/** Test seam: inject a fake pool (unit tests never touch a real database). */
+function __setTestPool(fake) {
+  pool = fake;
+  schemaEnsured = fake ? true : false;
+  memory.events = [];
+  memory.nextId = 1;
+}
+
+async function ensureSchema(client) {
+  if (schemaEnsured) return;
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS run_events (
+      id          BIGSERIAL PRIMARY KEY,
+      run_id      TEXT NOT NULL,               -- base run id, YYMMDD-HHMMSS
+      client_id   TEXT,                        -- NULL for run-level events
+      type        TEXT NOT NULL,               -- see EVENT_TYPES
+      operation   TEXT,                        -- lead_scoring | post_harvesting | post_scoring | ...
+      phase       TEXT,                        -- started | completed | stopped | skipped | info | error
+      message     TEXT,
+      data        JSONB,                       -- tokens, durationSec, metrics, jobType, stream...
+      at          TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_run_events_run ON run_events (run_id, at);`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_run_events_client ON run_events (client_id, at DESC);`);
+  schemaEnsured = true;
+}
+
+async function withClient(fn) {
+  const client = await getPool().connect();
+  try {
+    await ensureSchema(client);
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+}
+
+const json = (v) => (typeof v === 'string' ? JSON.parse(v) : v);
+const iso = (v) => (v ? new Date(v).toISOString() : null);
+
+function rowToEvent(r) {
+  if (!r) return null;
+  return {
+    id: Number(r.id),
+    runId: r.run_id,
+    clientId: r.client_id || null,
+    type: r.type,
+    operation: r.operation || null,
+    phase: r.phase || null,
+    message: r.message || null,
+    data: json(r.data) || {},
+    at: iso(r.at),
+  };
+}
+
+/**
+ * Record one event. Callers in jobTracking fire and forget — tracking must never wait on or
+ * fail because of the timeline.
+ * @param {Object} event - { runId, clientId?, type, operation?, phase?, message?, data?, at? }
+ */
+async function recordEvent(event) {
+  if (!event || !event.runId) throw new Error('recordEvent: runId is required');
+  if (!EVENT_TYPES.includes(event.type)) throw new Error(`recordEvent: unknown event type ${event.type}`);
+  const row = {
+    run_id: String(event.runId),
+    client_id: event.clientId || null,
+    type: event.type,
+    operation: event.operation || null,
+    phase: event.phase || null,
+    message: event.message ? String(event.message).slice(0, 4000) : null,
+    data: event.data || {},
+    at: event.at ? new Date(event.at) : new Date(),
+  };
+  if (!getPool()) {
+    row.id = memory.nextId++;
+    memory.events.push(row);
+    if (memory.events.length > MEMORY_MAX_EVENTS) memory.events.splice(0, memory.events.length - MEMORY_MAX_EVENTS);
+    return rowToEvent(row);
+  }
+  return withClient(async (c) => rowToEvent((await c.query(
+    `INSERT INTO run_events (run_id, client_id, type, operation, phase, message, data, at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [row.run_id, row.client_id, row.type, row.operation, row.phase, row.message, JSON.stringify(row.data), row.at],
+  )).rows[0]));
+}
+
+/** Every event of a run, oldest first. */
+async function listRunEvents(runId) {
+  if (!getPool()) {
+    return memory.events.filter((r) => r.run_id === runId)
+      .sort((a, b) => a.at - b.at || a.id - b.id).map(rowToEvent);
+  }
+  return withClient(async (c) => (await c.query(
+    `SELECT * FROM run_events WHERE run_id = $1 ORDER BY at, id`, [runId])).rows.map(rowToEvent));
+}
+
+/**
+ * Per-run totals for the runs list, newest first. Errors count the same way as the timeline:
+ * each ❌ line's error count plus "Completed with N errors".
+ * @param {Object} [opts]
+ * @param {string} [opts.clientId] - only runs this client took part in (totals are still the client's)
+ * @param {string} [opts.since] - ISO date; runs with events at or after it
+ * @param {number} [opts.limit=50]
+ * @returns {Promise<Array<{ runId, startedAt, endedAt, clients, errors, tokens }>>}
+ */
+async function summarizeRuns({ clientId, since, limit = 50 } = {}) {
+  const lim = Math.max(1, Math.min(500, parseInt(limit, 10) || 50));
+  const sinceDate = since ? new Date(since) : new Date(0);
+  if (!getPool()) {
+    const byRun = new Map();
+    for (const r of memory.events) {
+      if (r.at < sinceDate || (clientId && r.client_id !== clientId)) continue;
+      const s = byRun.get(r.run_id) || { run_id: r.run_id, started_at: r.at, ended_at: r.at, clients: new Set(), errors: 0, tokens: 0 };
+      if (r.at < s.started_at) s.started_at = r.at;
+      if (r.at > s.ended_at) s.ended_at = r.at;
+      if (r.client_id) s.clients.add(r.client_id);
+      if (r.type === 'error') s.errors += Number((r.data || {}).errorCount) || 1;
+      if (r.type === 'operation_step') s.errors += Number((r.data || {}).errorCount) || 0;
+      if (r.type === 'operation_step' && r.phase !== 'started') s.tokens += Number((r.data || {}).tokens) || 0;
+      byRun.set(r.run_id, s);
+    }
+    return [...byRun.values()].sort((a, b) => b.started_at - a.started_at).slice(0, lim)
+      .map((s) => ({ runId: s.run_id, startedAt: iso(s.started_at), endedAt: iso(s.ended_at), clients: s.clients.size, errors: s.errors, tokens: s.tokens }));
+  }
+  return withClient(async (c) => (await c.query(
+    `SELECT run_id, min(at) AS started_at, max(at) AS ended_at,
+            count(DISTINCT client_id)::int AS clients,
+            (COALESCE(sum(COALESCE((data->>'errorCount')::int, 1)) FILTER (WHERE type = 'error'), 0)
+              + COALESCE(sum((data->>'errorCount')::int) FILTER (WHERE type = 'operation_step'), 0))::int AS errors,
+            COALESCE(sum((data->>'tokens')::bigint) FILTER (WHERE type = 'operation_step' AND phase <> 'started'), 0)::bigint AS tokens
+       FROM run_events
+      WHERE at >= $1 AND ($2::text IS NULL OR client_id = $2)
+      GROUP BY run_id
+      ORDER BY min(at) DESC
+      LIMIT $3`,
+    [sinceDate, clientId || null, lim])).rows.map((r) => ({
+    runId: r.run_id, startedAt: iso(r.started_at), endedAt: iso(r.ended_at), clients: r.clients, errors: r.errors, tokens: Number(r.tokens) || 0,
+  })));
+}
+
+module.exports = {
+  EVENT_TYPES,
+  recordEvent,
+  listRunEvents,
+  summarizeRuns,
+  __setTestPool,
+};
@@ -0,0 +1,493 @@
+// services/runTimelineService.js
+/**
+ * Run timeline — one run laid out per client and operation, for GET /api/runs/:runId/timeline,
+ * GET /api/runs and the owner dashboard's Runs page.
+ *
+ * Sources, best first:
+ *   1. run_events (services/runEventStore.js) — structured events jobTracking.js records
+ *   2. the client's Progress Log on Client Run Results — parsed line by line, for runs from before
+ *      the event store or clients whose events were lost (no DATABASE_URL, restart)
+ * Client Run Results metric fields (tokens, profiles/posts scored) are merged in either way.
+ *
+ * Progress Log lines look like "[15:30:45] ✅ Lead Scoring: Completed (12/14 successful, 83s, 41200 tokens)".
+ * The clock is AEST (getAESTTime) and the date comes from the run id (YYMMDD-HHMMSS, server UTC).
+ */
+
+const { createLogger } = require('../utils/contextLogger');
+const runEventStore = require('./runEventStore');
+
+const logger = createLogger({ runId: 'SYSTEM', clientId: 'SYSTEM', operation: 'run_timeline' });
+
+const RUN_ID_PATTERN = /^(\d{2})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})/;
+const AEST_OFFSET_SEC = 10 * 3600;
+const DEFAULT_LIST_DAYS = 14;
+
+const OPERATION_KEYS = {
+  'lead scoring': 'lead_scoring',
+  'post harvesting': 'post_harvesting',
+  'post scoring': 'post_scoring',
+};
+
+// Client Run Results metric fields surfaced on the timeline (see CLIENT_RUN_FIELDS)
+const METRIC_FIELDS = {
+  profilesExamined: 'Profiles Examined for Scoring',
+  profilesScored: 'Profiles Successfully Scored',
+  profileScoringTokens: 'Profile Scoring Tokens',
+  postsExamined: 'Posts Examined for Scoring',
+  postsScored: 'Posts Successfully Scored',
+  postScoringTokens: 'Post Scoring Tokens',
+  postsHarvested: 'Total Posts Harvested',
+  totalTokens: 'Total Tokens Used',
+};
+
+/** Base run id ("251014-153000") from a base or client run id, or null when it isn't one. */
+function baseRunIdOf(runId) {
+  const m = String(runId || '').match(RUN_ID_PATTERN);
+  return m ? m[0] : null;
+}
+
+/** The instant a run id was generated (treated as UTC, which the server runs in). */
+function runIdDate(runId) {
+  const m = String(runId || '').match(RUN_ID_PATTERN);
+  if (!m) return null;
+  const [, yy, mo, dd, hh, mi, ss] = m.map(Number);
+  return new Date(Date.UTC(2000 + yy, mo - 1, dd, hh, mi, ss));
+}
+
+const toKey = (name) => OPERATION_KEYS[name.toLowerCase()] || name.toLowerCase().trim().replace(/\s+/g, '_');
+const num = (s) => Number(String(s).replace(/,/g, ''));
+
+/**
+ * Parse one Progress Log message into event fields
+ * @param {string} message - "[HH:MM:SS] <icon> <Operation>: <text>" (timestamp optional)
+ * @returns {{ type: string, operation: string, phase: string, clock: string|null, message: string, data: Object }|null}
+ */
+function parseProgressMessage(message) {
+  const text = String(message || '').trim();
+  const stamp = text.match(/^\[(\d{1,2}:\d{2}:\d{2})\]\s*/);
+  const body = stamp ? text.slice(stamp[0].length) : text;
+  const m = body.match(/^(\S+)\s+([A-Za-z][A-Za-z ]*?):\s*([\s\S]*)$/);
+  if (!m) return null;
+  const [, icon, opName, rest] = m;
+
+  let phase;
+  if (icon.startsWith('🚀')) phase = 'started';
+  else if (icon.startsWith('✅')) phase = /^skipped\b/i.test(rest) ? 'skipped' : 'completed';
+  else if (icon.startsWith('⚠')) phase = 'completed';
+  else if (icon.startsWith('⏸')) phase = 'stopped';
+  else if (icon.startsWith('⏭')) phase = 'info';
+  else if (icon.startsWith('❌')) phase = 'error';
+  else return null;
+
+  const data = {};
+  const tokens = rest.match(/(\d[\d,]*)\s+tokens\b/);
+  if (tokens) data.tokens = num(tokens[1]);
+  const duration = rest.match(/\b(\d+)s\b/);
+  if (duration) data.durationSec = num(duration[1]);
+  const ratio = rest.match(/\((\d+)\/(\d+)\b/);
+  if (ratio) { data.succeeded = num(ratio[1]); data.processed = num(ratio[2]); }
+  const errorCount = rest.match(/(\d+)\s+error\(?s?\)?/i);
+  if (phase === 'error') data.errorCount = errorCount ? num(errorCount[1]) : 1;
+  else if (icon.startsWith('⚠') && errorCount) data.errorCount = num(errorCount[1]);
+
+  return {
+    type: phase === 'error' ? 'error' : 'operation_step',
+    operation: toKey(opName),
+    phase,
+    clock: stamp ? stamp[1] : null,
+    message: rest.split('\n')[0].trim(),
+    data,
+  };
+}
+
+/**
+ * Turn a Client Run Results Progress Log into timeline events
+ * @param {string} runId - base run id (dates the AEST clock times)
+ * @param {string} clientId
+ * @param {string} progressLog - the field's text
+ * @returns {Array<Object>} events in runEventStore's shape (no ids)
+ */
+function progressLogToEvents(runId, clientId, progressLog) {
+  const start = runIdDate(runId);
+  if (!start || !progressLog) return [];
+  const messages = [];
+  for (const line of String(progressLog).split('\n')) {
+    if (/^\[\d{1,2}:\d{2}:\d{2}\]/.test(line)) messages.push(line);
+    else if (messages.length && line.trim() && !/^===/.test(line)) messages[messages.length - 1] += `\n${line}`;
+  }
+
+  // AEST clock -> UTC instant: the first time of day at/after the previous line (lines are in order)
+  const dayStart = Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate());
+  let cursor = start.getTime() - 60 * 1000;
+  const events = [];
+  for (const msg of messages) {
+    const parsed = parseProgressMessage(msg);
+    if (!parsed) continue;
+    const [h, mi, s] = parsed.clock.split(':').map(Number);
+    const utcSec = ((h * 3600 + mi * 60 + s - AEST_OFFSET_SEC) % 86400 + 86400) % 86400;
+    let at = dayStart - 86400 * 1000 + utcSec * 1000;
+    while (at < cursor) at += 86400 * 1000;
+    cursor = at;
+    events.push({
+      runId, clientId, type: parsed.type, operation: parsed.operation, phase: parsed.phase,
+      message: parsed.message, data: parsed.data, at: new Date(at).toISOString(),
+    });
+  }
+  return events;
+}
+
+const ms = (iso) => (iso ? new Date(iso).getTime() : null);
+const minIso = (a, b) => (!a ? b : !b ? a : (a < b ? a : b));
+const maxIso = (a, b) => (!a ? b : !b ? a : (a > b ? a : b));
+const span = (from, to) => (from && to ? Math.max(0, ms(to) - ms(from)) : null);
+
+function metricsTokens(metrics) {
+  if (!metrics) return 0;
+  if (Number(metrics.totalTokens)) return Number(metrics.totalTokens);
+  return (Number(metrics.profileScoringTokens) || 0) + (Number(metrics.postScoringTokens) || 0);
+}
+
+/**
+ * Lay a run's events out per client and operation
+ * @param {string} runId - base run id
+ * @param {Array<Object>} events - runEventStore events (any order)
+ * @param {Object} [opts]
+ * @param {Object} [opts.clientInfo] - clientId -> { clientName, metrics } from Client Run Results
+ * @returns {Object} timeline (see GET /api/runs/:runId/timeline)
+ */
+function buildTimeline(runId, events, { clientInfo = {} } = {}) {
+  const run = { runId, startedAt: null, endedAt: null, status: null, jobType: null, stream: null };
+  const clients = new Map();
+  const clientOf = (id) => {
+    if (!clients.has(id)) {
+      clients.set(id, {
+        clientId: id, clientName: (clientInfo[id] && clientInfo[id].clientName) || null,
+        startedAt: null, endedAt: null, operations: new Map(), errors: [], metrics: (clientInfo[id] && clientInfo[id].metrics) || null,
+      });
+    }
+    return clients.get(id);
+  };
+  const opOf = (client, operation) => {
+    if (!client.operations.has(operation)) {
+      client.operations.set(operation, { operation, status: null, startedAt: null, endedAt: null, tokens: 0, errorCount: 0, detail: null });
+    }
+    return client.operations.get(operation);
+  };
+
+  const sorted = [...events].sort((a, b) => ms(a.at) - ms(b.at) || (a.id || 0) - (b.id || 0));
+  for (const ev of sorted) {
+    const data = ev.data || {};
+    if (ev.type === 'run_started') {
+      run.startedAt = minIso(run.startedAt, ev.at);
+      run.jobType = data.jobType || run.jobType;
+      run.stream = data.stream ?? run.stream;
+      continue;
+    }
+    if (ev.type === 'run_completed') {
+      run.endedAt = maxIso(run.endedAt, ev.at);
+      run.status = data.status || 'Completed';
+      continue;
+    }
+    if (!ev.clientId) continue;
+    const client = clientOf(ev.clientId);
+    if (data.clientName && !client.clientName) client.clientName = data.clientName;
+
+    if (ev.type === 'client_started') client.startedAt = minIso(client.startedAt, ev.at);
+    else if (ev.type === 'client_completed') client.endedAt = maxIso(client.endedAt, ev.at);
+    else if (ev.type === 'metrics_snapshot') client.metrics = { ...(client.metrics || {}), ...(data.metrics || {}) };
+    else if (ev.type === 'error') {
+      client.errors.push({ at: ev.at, operation: ev.operation, message: ev.message, count: data.errorCount || 1 });
+      if (ev.operation) opOf(client, ev.operation).errorCount += data.errorCount || 1;
+    } else if (ev.type === 'operation_step' && ev.operation) {
+      const op = opOf(client, ev.operation);
+      if (ev.phase === 'started') {
+        op.startedAt = op.startedAt || ev.at;
+        if (!op.endedAt) op.status = 'running';
+        if (!op.detail) op.detail = ev.message;
+      } else if (ev.phase === 'info') {
+        op.detail = ev.message;
+      } else {
+        op.endedAt = ev.at;
+        op.status = ev.phase;
+        op.detail = ev.message;
+        if (data.tokens) op.tokens += data.tokens;
+        if (data.errorCount) {
+          // "⚠️ Completed with N errors" — finished, but the errors still count
+          op.errorCount += data.errorCount;
+          client.errors.push({ at: ev.at, operation: ev.operation, message: ev.message, count: data.errorCount });
+        }
+        if (!op.startedAt && data.durationSec) op.startedAt = new Date(ms(ev.at) - data.durationSec * 1000).toISOString();
+      }
+    }
+  }
+
+  // Clients that only have Client Run Results metrics still get a (timeless) row
+  for (const id of Object.keys(clientInfo)) clientOf(id);
+
+  const clientRows = [...clients.values()].map((c) => {
+    const operations = [...c.operations.values()].map((op) => ({
+      ...op, startedAt: op.startedAt || op.endedAt, durationMs: span(op.startedAt || op.endedAt, op.endedAt),
+    }));
+    let startedAt = c.startedAt;
+    let endedAt = c.endedAt;
+    for (const op of operations) {
+      startedAt = minIso(startedAt, op.startedAt);
+      endedAt = maxIso(endedAt, op.endedAt);
+    }
+    for (const e of c.errors) endedAt = maxIso(endedAt, e.at);
+    const opTokens = operations.reduce((sum, op) => sum + op.tokens, 0);
+    return {
+      clientId: c.clientId,
+      clientName: c.clientName || c.clientId,
+      startedAt,
+      endedAt,
+      durationMs: span(startedAt, endedAt),
+      tokens: opTokens || metricsTokens(c.metrics),
+      errorCount: c.errors.reduce((sum, e) => sum + e.count, 0),
+      status: operations.some((op) => op.status === 'running') ? 'running' : (operations.length ? 'done' : 'no activity'),
+      operations,
+      errors: c.errors,
+      metrics: c.metrics,
+    };
+  }).sort((a, b) => (ms(a.startedAt) ?? Infinity) - (ms(b.startedAt) ?? Infinity) || a.clientName.localeCompare(b.clientName));
+
+  const startedAt = clientRows.reduce((acc, c) => minIso(acc, c.startedAt), run.startedAt) || (runIdDate(runId) && runIdDate(runId).toISOString());
+  const endedAt = clientRows.reduce((acc, c) => maxIso(acc, c.endedAt), run.endedAt);
+  return {
+    runId,
+    jobType: run.jobType,
+    stream: run.stream,
+    status: run.status || (clientRows.some((c) => c.status === 'running') ? 'running' : (endedAt ? 'done' : 'unknown')),
+    startedAt,
+    endedAt,
+    durationMs: span(startedAt, endedAt),
+    totals: {
+      clients: clientRows.length,
+      operations: clientRows.reduce((sum, c) => sum + c.operations.length, 0),
+      tokens: clientRows.reduce((sum, c) => sum + c.tokens, 0),
+      errors: clientRows.reduce((sum, c) => sum + c.errorCount, 0),
+    },
+    clients: clientRows,
+  };
+}
+
+const delta = (a, b) => (a === null || a === undefined || b === null || b === undefined ? null : a - b);
+
+/**
+ * Current vs previous run: the previous run's totals and the change per run and per client
+ * @returns {Object} { runId, startedAt, durationMs, totals, deltas, clients: [{ clientId, durationMs, tokens, errorCount, deltas }] }
+ */
+function compareTimelines(current, previous) {
+  const prevClients = new Map(previous.clients.map((c) => [c.clientId, c]));
+  return {
+    runId: previous.runId,
+    startedAt: previous.startedAt,
+    durationMs: previous.durationMs,
+    totals: previous.totals,
+    deltas: {
+      durationMs: delta(current.durationMs, previous.durationMs),
+      tokens: current.totals.tokens - previous.totals.tokens,
+      errors: current.totals.errors - previous.totals.errors,
+    },
+    clients: current.clients.map((c) => {
+      const p = prevClients.get(c.clientId);
+      if (!p) return { clientId: c.clientId, inPreviousRun: false };
+      return {
+        clientId: c.clientId,
+        inPreviousRun: true,
+        durationMs: p.durationMs,
+        tokens: p.tokens,
+        errorCount: p.errorCount,
+        deltas: { durationMs: delta(c.durationMs, p.durationMs), tokens: c.tokens - p.tokens, errors: c.errorCount - p.errorCount },
+      };
+    }),
+  };
+}
+
+// --- Airtable sources (overridable in tests) -----------------------------------------------------
+
+/** Client Run Results metric fields -> the timeline's metric keys (null when none are set) */
+function metricsFromFields(fields) {
+  const metrics = {};
+  for (const [key, field] of Object.entries(METRIC_FIELDS)) {
+    if (fields[field] !== undefined && fields[field] !== null && fields[field] !== '') metrics[key] = Number(fields[field]) || 0;
+  }
+  return Object.keys(metrics).length ? metrics : null;
+}
+
+/** Client Run Results rows of a run: [{ clientId, clientName, progressLog, metrics }] */
+async function loadClientRunsDefault(runId) {
+  const { getMasterClientsBase } = require('../config/airtableClient');
+  const { MASTER_TABLES, CLIENT_RUN_FIELDS } = require('../constants/airtableUnifiedConstants');
+  const records = await getMasterClientsBase()(MASTER_TABLES.CLIENT_RUN_RESULTS).select({
+    filterByFormula: `FIND('${runId}-', {${CLIENT_RUN_FIELDS.RUN_ID}}) = 1`,
+  }).all();
+  return records.map((r) => ({
+    clientId: r.fields[CLIENT_RUN_FIELDS.CLIENT_ID],
+    clientName: r.fields[CLIENT_RUN_FIELDS.CLIENT_NAME] || null,
+    progressLog: r.fields[CLIENT_RUN_FIELDS.PROGRESS_LOG] || '',
+    metrics: metricsFromFields(r.fields),
+  })).filter((r) => r.clientId);
+}
+
+async function getPreviousRunIdDefault(runId) {
+  const JobTracking = require('./jobTracking');
+  const { JOB_TRACKING_FIELDS } = require('../constants/airtableUnifiedConstants');
+  const prev = await JobTracking.getPreviousRun(runId);
+  return prev && prev.fields ? baseRunIdOf(prev.fields[JOB_TRACKING_FIELDS.RUN_ID]) : null;
+}
+
+/** Job Tracking runs started since `since`, newest first */
+async function listJobRunsDefault({ since, limit }) {
+  const { getMasterClientsBase } = require('../config/airtableClient');
+  const { MASTER_TABLES, JOB_TRACKING_FIELDS } = require('../constants/airtableUnifiedConstants');
+  const records = await getMasterClientsBase()(MASTER_TABLES.JOB_TRACKING).select({
+    filterByFormula: `IS_AFTER({${JOB_TRACKING_FIELDS.START_TIME}}, '${since}')`,
+    sort: [{ field: JOB_TRACKING_FIELDS.START_TIME, direction: 'desc' }],
+    maxRecords: limit,
+  }).all();
+  return records.map((r) => ({
+    runId: baseRunIdOf(r.fields[JOB_TRACKING_FIELDS.RUN_ID]),
+    status: r.fields[JOB_TRACKING_FIELDS.STATUS] || null,
+    startedAt: r.fields[JOB_TRACKING_FIELDS.START_TIME] || null,
+    endedAt: r.fields[JOB_TRACKING_FIELDS.END_TIME] || null,
+    stream: r.fields[JOB_TRACKING_FIELDS.STREAM] ?? null,
+  })).filter((r) => r.runId);
+}
+
+/** One client's Client Run Results rows created since `since`, newest first */
+async function listClientRunsDefault({ clientId, since, limit }) {
+  const { getMasterClientsBase } = require('../config/airtableClient');
+  const { MASTER_TABLES, CLIENT_RUN_FIELDS } = require('../constants/airtableUnifiedConstants');
+  const safeClient = String(clientId).replace(/'/g, "\\'");
+  const records = await getMasterClientsBase()(MASTER_TABLES.CLIENT_RUN_RESULTS).select({
+    filterByFormula: `AND({${CLIENT_RUN_FIELDS.CLIENT_ID}} = '${safeClient}', IS_AFTER(CREATED_TIME(), '${since}'))`,
+  }).all();
+  return records.map((r) => {
+    const metrics = metricsFromFields(r.fields);
+    return {
+      runId: baseRunIdOf(r.fields[CLIENT_RUN_FIELDS.RUN_ID]),
+      startedAt: (r._rawJson && r._rawJson.createdTime) || null,
+      tokens: metricsTokens(metrics),
+    };
+  }).filter((r) => r.runId)
+    .sort((a, b) => String(b.runId).localeCompare(String(a.runId)))
+    .slice(0, limit);
+}
+
+function resolveDeps(deps) {
+  return {
+    eventStore: deps.eventStore || runEventStore,
+    loadClientRuns: deps.loadClientRuns || loadClientRunsDefault,
+    getPreviousRunId: deps.getPreviousRunId || getPreviousRunIdDefault,
+    listJobRuns: deps.listJobRuns || listJobRunsDefault,
+    listClientRuns: deps.listClientRuns || listClientRunsDefault,
+  };
+}
+
+/**
+ * Timeline for one run, with the previous run for comparison
+ * @param {string} runId - base or client run id
+ * @param {Object} [opts]
+ * @param {boolean} [opts.compare=true] - include `previous` (JobTracking.getPreviousRun)
+ * @param {Object} [deps] - test seams: eventStore, loadClientRuns, getPreviousRunId
+ * @returns {Promise<Object|null>} null when nothing is known about the run
+ */
+async function getRunTimeline(runId, { compare = true } = {}, deps = {}) {
+  const d = resolveDeps(deps);
+  const baseRunId = baseRunIdOf(runId);
+  if (!baseRunId) throw new Error(`Invalid run id: ${runId}`);
+
+  const events = await d.eventStore.listRunEvents(baseRunId);
+  let clientRuns = [];
+  try {
+    clientRuns = await d.loadClientRuns(baseRunId);
+  } catch (e) {
+    logger.warn(`Could not load Client Run Results for ${baseRunId}: ${e.message}`);
+  }
+
+  // Clients with no structured activity get their Progress Log parsed instead
+  const withEvents = new Set(events.filter((e) => e.clientId && e.type !== 'metrics_snapshot').map((e) => e.clientId));
+  const fallback = [];
+  for (const cr of clientRuns) {
+    if (!withEvents.has(cr.clientId)) fallback.push(...progressLogToEvents(baseRunId, cr.clientId, cr.progressLog));
+  }
+  if (!events.length && !clientRuns.length) return null;
+
+  const clientInfo = {};
+  for (const cr of clientRuns) clientInfo[cr.clientId] = { clientName: cr.clientName, metrics: cr.metrics };
+  const timeline = buildTimeline(baseRunId, [...events, ...fallback], { clientInfo });
+  timeline.source = !fallback.length ? 'events' : (events.length ? 'mixed' : 'progress_log');
+
+  if (compare) {
+    timeline.previous = null;
+    try {
+      const prevId = await d.getPreviousRunId(baseRunId);
+      const prev = prevId && prevId !== baseRunId ? await getRunTimeline(prevId, { compare: false }, deps) : null;
+      if (prev) timeline.previous = compareTimelines(timeline, prev);
+    } catch (e) {
+      logger.warn(`Could not compare ${baseRunId} with the previous run: ${e.message}`);
+    }
+  }
+  return timeline;
+}
+
+/**
+ * Runs list, newest first: Job Tracking (or the client's Client Run Results) merged with the
+ * event store's per-run totals.
+ * @param {Object} [opts]
+ * @param {string} [opts.client] - clientId
+ * @param {string} [opts.since] - ISO date (default: 14 days ago)
+ * @param {number} [opts.limit=50]
+ * @param {Object} [deps] - test seams: eventStore, listJobRuns, listClientRuns
+ * @returns {Promise<Array<{ runId, startedAt, endedAt, status, stream, clients, tokens, errors, hasEvents }>>}
+ */
+async function listRuns({ client, since, limit = 50 } = {}, deps = {}) {
+  const d = resolveDeps(deps);
+  const lim = Math.max(1, Math.min(200, parseInt(limit, 10) || 50));
+  const sinceIso = since ? new Date(since).toISOString() : new Date(Date.now() - DEFAULT_LIST_DAYS * 86400 * 1000).toISOString();
+
+  let rows = [];
+  try {
+    rows = client ? await d.listClientRuns({ clientId: client, since: sinceIso, limit: lim }) : await d.listJobRuns({ since: sinceIso, limit: lim });
+  } catch (e) {
+    logger.warn(`Could not list runs from Airtable: ${e.message}`);
+  }
+  const summaries = await d.eventStore.summarizeRuns({ clientId: client, since: sinceIso, limit: lim });
+
+  const byRun = new Map();
+  for (const r of rows) {
+    byRun.set(r.runId, {
+      runId: r.runId, startedAt: r.startedAt || null, endedAt: r.endedAt || null, status: r.status || null,
+      stream: r.stream ?? null, clients: client ? 1 : null, tokens: r.tokens || 0, errors: null, hasEvents: false,
+    });
+  }
+  for (const s of summaries) {
+    const row = byRun.get(s.runId) || { runId: s.runId, startedAt: null, endedAt: null, status: null, stream: null, clients: null, tokens: 0, errors: null };
+    byRun.set(s.runId, {
+      ...row,
+      startedAt: minIso(row.startedAt, s.startedAt),
+      endedAt: row.endedAt || s.endedAt,
+      clients: Math.max(row.clients || 0, s.clients),
+      tokens: s.tokens || row.tokens,
+      errors: s.errors,
+      hasEvents: true,
+    });
+  }
+  return [...byRun.values()]
+    .map((r) => ({ ...r, startedAt: r.startedAt || (runIdDate(r.runId) && runIdDate(r.runId).toISOString()) }))
+    .sort((a, b) => ms(b.startedAt) - ms(a.startedAt))
+    .slice(0, lim);
+}
+
+module.exports = {
+  baseRunIdOf,
+  runIdDate,
+  parseProgressMessage,
+  metricsFromFields,
+  progressLogToEvents,
+  buildTimeline,
+  compareTimelines,
+  getRunTimeline,
+  listRuns,
+};
@@ -0,0 +1,170 @@
+/**
+ * Saved lead searches — named queries per client (utils/booleanSearchParser.js query language),
+ * so "Warm founders, connected this month" is one click on the portal's lead search page instead
+ * of being retyped.
+ *
+ * A saved search holds the same three inputs the lead search page has: `query` (name / URL /
+ * email or a structured query), `searchTerms` (boolean over search tokens) and `priority`.
+ * /leads/search, /leads/export and the Top Scoring Leads /eligible routes accept `savedSearch=<id>`
+ * and AND it with whatever else the request asks for.
+ *
+ * Table (same Postgres as the recall_* store):
+ *   saved_lead_searches — client_id, name, query, search_terms, priority, created_at, updated_at;
+ *                         (client_id, lower(name)) unique — saving an existing name replaces it
+ *
+ * No DATABASE_URL => an in-process array (works locally, lost on restart).
+ * House style: recallWebhookDb.js (lazy Pool, ensureSchema CREATE-IF-NOT-EXISTS, no migrations).
+ */
+
+const { Pool } = require('pg');
+
+const MAX_PER_CLIENT = 50;
+
+let pool;
+let schemaEnsured = false;
+const memory = [];
+let memorySeq = 0;
+
+function getPool() {
+  if (pool) return pool;
+  const url = (process.env.DATABASE_URL || '').trim();
+  if (!url) return null;
+  pool = new Pool({ connectionString: url, ssl: { rejectUnauthorized: false } });
+  return pool;
+}
+
+/** Test seam: inject a fake pool (unit tests never touch a real database). */
+function __setTestPool(fake) {
+  pool = fake;
+  schemaEnsured = fake ? true : false;
+  memory.length = 0;
+  memorySeq = 0;
+}
+
+async function ensureSchema(client) {
+  if (schemaEnsured) return;
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS saved_lead_searches (
+      id            BIGSERIAL PRIMARY KEY,
+      client_id     TEXT NOT NULL,
+      name          TEXT NOT NULL,
+      query         TEXT,
+      search_terms  TEXT,
+      priority      TEXT,
+      created_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at    TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+  await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_saved_lead_searches_name ON saved_lead_searches (client_id, lower(name));`);
+  schemaEnsured = true;
+}
+
+async function withClient(fn) {
+  const client = await getPool().connect();
+  try {
+    await ensureSchema(client);
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+}
+
+const iso = (v) => (v instanceof Date ? v.toISOString() : v);
+
+function fromRow(r) {
+  return {
+    id: String(r.id),
+    clientId: r.client_id,
+    name: r.name,
+    query: r.query || '',
+    searchTerms: r.search_terms || '',
+    priority: r.priority || '',
+    createdAt: iso(r.created_at),
+    updatedAt: iso(r.updated_at),
+  };
+}
+
+/**
+ * Create or replace (same name, any case) a client's saved search.
+ * @param {string} clientId
+ * @param {{ name: string, query?: string, searchTerms?: string, priority?: string }} search
+ * @returns {Promise<Object>} the saved search
+ */
+async function saveSearch(clientId, { name, query = '', searchTerms = '', priority = '' }) {
+  const cleanName = String(name || '').trim().slice(0, 100);
+  if (!clientId) throw new Error('saveSearch: clientId is required');
+  if (!cleanName) throw new Error('saveSearch: name is required');
+  const row = { query: String(query || '').trim(), search_terms: String(searchTerms || '').trim(), priority: priority && priority !== 'all' ? String(priority) : '' };
+
+  if (!getPool()) {
+    const existing = memory.find((m) => m.client_id === clientId && m.name.toLowerCase() === cleanName.toLowerCase());
+    if (existing) {
+      Object.assign(existing, row, { name: cleanName, updated_at: new Date() });
+      return fromRow(existing);
+    }
+    if (memory.filter((m) => m.client_id === clientId).length >= MAX_PER_CLIENT) {
+      throw new Error(`saveSearch: a client can keep at most ${MAX_PER_CLIENT} saved searches`);
+    }
+    const created = { id: ++memorySeq, client_id: clientId, name: cleanName, ...row, created_at: new Date(), updated_at: new Date() };
+    memory.push(created);
+    return fromRow(created);
+  }
+
+  return withClient(async (c) => {
+    const count = Number((await c.query(`SELECT COUNT(*) AS n FROM saved_lead_searches WHERE client_id = $1 AND lower(name) <> lower($2)`, [clientId, cleanName])).rows[0].n);
+    if (count >= MAX_PER_CLIENT) throw new Error(`saveSearch: a client can keep at most ${MAX_PER_CLIENT} saved searches`);
+    const r = await c.query(
+      `INSERT INTO saved_lead_searches (client_id, name, query, search_terms, priority)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (client_id, lower(name))
+       DO UPDATE SET name = EXCLUDED.name, query = EXCLUDED.query, search_terms = EXCLUDED.search_terms,
+                     priority = EXCLUDED.priority, updated_at = now()
+       RETURNING *`,
+      [clientId, cleanName, row.query, row.search_terms, row.priority]);
+    return fromRow(r.rows[0]);
+  });
+}
+
+/** A client's saved searches, alphabetical. */
+async function listSearches(clientId) {
+  if (!getPool()) {
+    return memory.filter((m) => m.client_id === clientId).map(fromRow).sort((a, b) => a.name.localeCompare(b.name));
+  }
+  return withClient(async (c) => (await c.query(
+    `SELECT * FROM saved_lead_searches WHERE client_id = $1 ORDER BY lower(name)`, [clientId])).rows.map(fromRow));
+}
+
+/** One saved search (scoped to the client), or null. */
+async function getSearch(clientId, id) {
+  if (!/^\d+$/.test(String(id || ''))) return null;
+  if (!getPool()) {
+    const m = memory.find((x) => x.client_id === clientId && String(x.id) === String(id));
+    return m ? fromRow(m) : null;
+  }
+  return withClient(async (c) => {
+    const r = (await c.query(`SELECT * FROM saved_lead_searches WHERE client_id = $1 AND id = $2`, [clientId, id])).rows[0];
+    return r ? fromRow(r) : null;
+  });
+}
+
+/** Delete one saved search. @returns {Promise<boolean>} whether it existed */
+async function deleteSearch(clientId, id) {
+  if (!/^\d+$/.test(String(id || ''))) return false;
+  if (!getPool()) {
+    const i = memory.findIndex((x) => x.client_id === clientId && String(x.id) === String(id));
+    if (i === -1) return false;
+    memory.splice(i, 1);
+    return true;
+  }
+  return withClient(async (c) =>
+    (await c.query(`DELETE FROM saved_lead_searches WHERE client_id = $1 AND id = $2`, [clientId, id])).rowCount > 0);
+}
+
+module.exports = {
+  saveSearch,
+  listSearches,
+  getSearch,
+  deleteSearch,
+  MAX_PER_CLIENT,
+  __setTestPool,
+};
@@ -0,0 +1,188 @@
+/**
+ * Scheduled lead export runner — sends the due schedules in services/scheduledExportStore.js.
+ *
+ * Triggered by POST /api/cron/scheduled-exports (the same curl-the-web-service pattern as the
+ * other crons; hourly is plenty) and by "Send now" (POST /api/linkedin/export-schedules/:id/run).
+ *
+ * Due = enabled and not yet sent today in the client's timezone (Master Clients Timezone,
+ * default Australia/Brisbane); weekly schedules additionally wait for their weekday and at least
+ * six days since the last send, so an hourly cron sends each schedule once.
+ *
+ * The file is built by services/leadExportService.js and emailed through Mailgun
+ * (emailNotificationService.sendMailgunEmailWithAttachments) to the schedule's recipient, else
+ * the client's coach, else the client. A run that finds no leads records 'empty' and sends
+ * nothing; a failed send records 'failed' and keeps last_run_at, so the next cron retries and
+ * "new since last send" still counts from the last file that went out.
+ */
+
+const { DateTime } = require('luxon');
+const { createLogger } = require('../utils/contextLogger');
+const clientService = require('./clientService');
+const store = require('./scheduledExportStore');
+const savedSearchStore = require('./savedSearchStore');
+const { leadFilterParts, EXCLUDE_TEST_LEADS } = require('../utils/booleanSearchParser');
+const { fetchLeadExportRows, renderLeadExport, resolveColumns } = require('./leadExportService');
+const { sendMailgunEmailWithAttachments } = require('./emailNotificationService');
+
+const logger = createLogger({ runId: 'SYSTEM', clientId: 'SYSTEM', operation: 'scheduled_exports' });
+
+const DEFAULT_TZ = 'Australia/Brisbane';
+const MAX_ROWS = 20000; // an emailed attachment, not a backup — Mailgun caps messages at 25MB
+
+const validZone = (tz) => (tz && DateTime.now().setZone(tz).isValid ? tz : DEFAULT_TZ);
+
+/**
+ * Whether a schedule should send at `now`.
+ * @param {Object} schedule - scheduledExportStore row
+ * @param {Date} now
+ * @param {string} [timezone] - IANA zone of the client
+ */
+function isDue(schedule, now = new Date(), timezone = DEFAULT_TZ) {
+  if (!schedule.enabled) return false;
+  const zone = validZone(timezone);
+  const local = DateTime.fromJSDate(now).setZone(zone);
+  const last = schedule.lastRunAt ? DateTime.fromISO(String(schedule.lastRunAt)).setZone(zone) : null;
+  if (last && last.hasSame(local, 'day')) return false;
+  if (schedule.cadence === 'weekly') {
+    if (local.weekday % 7 !== Number(schedule.weekday)) return false; // luxon: 1=Mon…7=Sun
+    if (last && local.diff(last, 'days').days < 6) return false;
+  }
+  return true;
+}
+
+/**
+ * Airtable formula for a schedule: its own query inputs, its saved search (if any), the score
+ * floor and — for new-only schedules that have sent before — leads created since the last send.
+ * @throws {LeadQueryError} on a query that no longer compiles
+ */
+function scheduleFormula(schedule, savedSearch = null) {
+  const parts = [
+    ...(savedSearch ? leadFilterParts({ query: savedSearch.query, searchTerms: savedSearch.searchTerms, priority: savedSearch.priority }) : []),
+    ...leadFilterParts({ query: schedule.query, searchTerms: schedule.searchTerms, priority: schedule.priority }),
+  ];
+  if (schedule.minScore !== null && schedule.minScore !== undefined) {
+    parts.push(`AND(NOT({AI Score} = BLANK()), {AI Score} >= ${Number(schedule.minScore)})`);
+  }
+  if (schedule.newOnly && schedule.lastRunAt) {
+    parts.push(`IS_AFTER(CREATED_TIME(), '${new Date(schedule.lastRunAt).toISOString()}')`);
+  }
+  parts.push(EXCLUDE_TEST_LEADS);
+  return parts.length > 1 ? `AND(${parts.join(', ')})` : parts[0];
+}
+
+/** Schedule recipient, else the coach's email (Master Clients Coach is a client id), else the client's. */
+async function resolveRecipient(schedule, client) {
+  if (schedule.recipient) return schedule.recipient;
+  if (client.coach) {
+    try {
+      const coach = await clientService.getClientById(client.coach);
+      if (coach && coach.clientEmailAddress) return coach.clientEmailAddress;
+    } catch (e) {
+      logger.warn(`scheduledExports: coach lookup failed for ${client.clientId}: ${e.message}`);
+    }
+  }
+  return client.clientEmailAddress || null;
+}
+
+const escapeHtml = (s) => String(s || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+function describeFilter(schedule, savedSearch) {
+  const bits = [];
+  if (savedSearch) bits.push(`saved search "${savedSearch.name}"`);
+  if (schedule.query) bits.push(`query ${schedule.query}`);
+  if (schedule.searchTerms) bits.push(`terms ${schedule.searchTerms}`);
+  if (schedule.priority) bits.push(`priority ${schedule.priority}`);
+  if (schedule.minScore !== null && schedule.minScore !== undefined) bits.push(`AI Score ≥ ${schedule.minScore}`);
+  if (schedule.newOnly) bits.push(schedule.lastRunAt ? 'added since the last send' : 'all matching (first send)');
+  return bits.length ? bits.join(' · ') : 'all leads';
+}
+
+/**
+ * Build and email one schedule now.
+ * @param {Object} schedule
+ * @param {{ now?: Date, client?: Object }} [opts]
+ * @returns {Promise<{ status: 'sent'|'empty'|'failed', rowCount?: number, recipient?: string, error?: string }>}
+ */
+async function runSchedule(schedule, { now = new Date(), client = null } = {}) {
+  let result;
+  try {
+    const c = client || await clientService.getClientById(schedule.clientId);
+    if (!c) throw new Error(`client ${schedule.clientId} not found`);
+
+    let savedSearch = null;
+    if (schedule.savedSearchId) {
+      savedSearch = await savedSearchStore.getSearch(schedule.clientId, schedule.savedSearchId);
+      if (!savedSearch) throw new Error(`saved search ${schedule.savedSearchId} no longer exists`);
+    }
+    const filterByFormula = scheduleFormula(schedule, savedSearch);
+    const recipient = await resolveRecipient(schedule, c);
+    if (!recipient) throw new Error('no recipient: set one on the schedule or a Client Email Address');
+
+    const base = clientService.getClientBase(c.airtableBaseId);
+    const { rows, lhKeys } = await fetchLeadExportRows(base, { filterByFormula, maxRecords: MAX_ROWS });
+    const chosen = resolveColumns(schedule.columns || []);
+    const file = renderLeadExport(rows, { format: schedule.format, columns: chosen.columns, includeLh: chosen.includeLh, lhKeys });
+
+    if (!file.rowCount) {
+      result = { status: 'empty', rowCount: 0, recipient };
+    } else {
+      const day = DateTime.fromJSDate(now).setZone(validZone(c.timezone)).toISODate();
+      const fromEmail = process.env.FROM_EMAIL || `noreply@${process.env.MAILGUN_DOMAIN}`;
+      const filename = `${schedule.name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'leads'}-${day}.${file.extension}`;
+      const what = schedule.format === 'vcf' ? 'contact card' : 'lead';
+      await sendMailgunEmailWithAttachments({
+        from: fromEmail,
+        to: recipient,
+        subject: `${schedule.name}: ${file.rowCount} ${what}${file.rowCount === 1 ? '' : 's'} (${c.clientName || c.clientId}, ${day})`,
+        html: `<p>Your scheduled export <strong>${escapeHtml(schedule.name)}</strong> for ${escapeHtml(c.clientName || c.clientId)} is attached.</p>`
+          + `<p>${file.rowCount} ${what}${file.rowCount === 1 ? '' : 's'} — ${escapeHtml(describeFilter(schedule, savedSearch))}.</p>`
+          + (rows.length >= MAX_ROWS ? `<p>Capped at ${MAX_ROWS} leads; narrow the filter for the rest.</p>` : ''),
+        'h:X-Client-ID': schedule.clientId,
+        'h:X-Export-Schedule-ID': schedule.id,
+      }, [{ filename, content: file.buffer, contentType: file.contentType }]);
+      result = { status: 'sent', rowCount: file.rowCount, recipient };
+    }
+  } catch (e) {
+    logger.error(`scheduledExports: schedule ${schedule.id} (${schedule.clientId}) failed: ${e.message}`);
+    result = { status: 'failed', error: e.message };
+  }
+  await store.recordRun(schedule.id, { status: result.status, rowCount: result.rowCount ?? null, error: result.error || null, ranAt: now });
+  return result;
+}
+
+/**
+ * Send every due schedule (sequentially — a handful of Airtable reads and emails per hour).
+ * Schedules of clients that aren't Active (or no longer exist) are skipped, not sent.
+ * @param {{ now?: Date, clientId?: string }} [opts] - clientId limits the run to one client
+ * @returns {Promise<{ checked: number, sent: number, empty: number, failed: number, skipped: number, results: Array }>}
+ */
+async function runDueExports({ now = new Date(), clientId = null } = {}) {
+  const schedules = (await store.listEnabledSchedules()).filter((s) => !clientId || s.clientId === clientId);
+  const summary = { checked: schedules.length, sent: 0, empty: 0, failed: 0, skipped: 0, results: [] };
+  if (!schedules.length) return summary;
+  const activeClients = new Map(((await clientService.getAllActiveClients()) || []).map((c) => [c.clientId, c]));
+  for (const schedule of schedules) {
+    const client = activeClients.get(schedule.clientId);
+    if (!client) {
+      logger.info(`scheduledExports: skipping schedule ${schedule.id}: client ${schedule.clientId} is not active`);
+      summary.skipped++;
+      continue;
+    }
+    if (!isDue(schedule, now, client.timezone)) continue;
+    const r = await runSchedule(schedule, { now, client });
+    summary[r.status]++;
+    summary.results.push({ id: schedule.id, clientId: schedule.clientId, name: schedule.name, ...r });
+  }
+  logger.info(`scheduledExports: checked ${summary.checked}, sent ${summary.sent}, empty ${summary.empty}, failed ${summary.failed}, ${summary.skipped} skipped (client not active)`);
+  return summary;
+}
+
+module.exports = {
+  isDue,
+  scheduleFormula,
+  resolveRecipient,
+  runSchedule,
+  runDueExports,
+  DEFAULT_TZ,
+  MAX_ROWS,
+};
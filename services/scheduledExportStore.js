@@ -0,0 +1,286 @@
+/**
+ * Scheduled lead exports — "every Monday, email me the new leads scoring 70+ as a spreadsheet".
+ * Each schedule is a lead filter (query / searchTerms / priority in the utils/booleanSearchParser.js
+ * language, optionally a saved search, plus a minimum score and "only leads added since the last
+ * send"), a file format and column list (services/leadExportService.js), a cadence and a recipient.
+ * services/scheduledExportRunner.js decides what is due and sends it.
+ *
+ * Table (same Postgres as the recall_* store):
+ *   lead_export_schedules — client_id, name, query, search_terms, priority, saved_search_id,
+ *                           min_score, new_only, format (xlsx | csv | vcf), columns JSONB,
+ *                           cadence (daily | weekly), weekday (0=Sun…6, weekly only),
+ *                           recipient (blank => the client's coach, else the client),
+ *                           enabled, last_run_at, last_status, last_row_count, last_error,
+ *                           created_at, updated_at
+ *
+ * No DATABASE_URL => an in-process array (works locally, lost on restart).
+ * House style: recallWebhookDb.js (lazy Pool, ensureSchema CREATE-IF-NOT-EXISTS, no migrations).
+ */
+
+const { Pool } = require('pg');
+
+const MAX_PER_CLIENT = 20;
+const FORMATS = ['xlsx', 'csv', 'vcf'];
+const CADENCES = ['daily', 'weekly'];
+
+let pool;
+let schemaEnsured = false;
+const memory = [];
+let memorySeq = 0;
+
+function getPool() {
+  if (pool) return pool;
+  const url = (process.env.DATABASE_URL || '').trim();
+  if (!url) return null;
+  pool = new Pool({ connectionString: url, ssl: { rejectUnauthorized: false } });
+  return pool;
+}
+
+/** Test seam: inject a fake pool (unit tests never touch a real database). */
+function __setTestPool(fake) {
+  pool = fake;
+  schemaEnsured = fake ? true : false;
+  memory.length = 0;
+  memorySeq = 0;
+}
+
+async function ensureSchema(client) {
+  if (schemaEnsured) return;
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS lead_export_schedules (
+      id               BIGSERIAL PRIMARY KEY,
+      client_id        TEXT NOT NULL,
+      name             TEXT NOT NULL,
+      query            TEXT,
+      search_terms     TEXT,
+      priority         TEXT,
+      saved_search_id  BIGINT,
+      min_score        NUMERIC(5, 2),
+      new_only         BOOLEAN NOT NULL DEFAULT false,
+      format           TEXT NOT NULL DEFAULT 'xlsx',
+      columns          JSONB,
+      cadence          TEXT NOT NULL DEFAULT 'weekly',
+      weekday          INT,
+      recipient        TEXT,
+      enabled          BOOLEAN NOT NULL DEFAULT true,
+      last_run_at      TIMESTAMPTZ,
+      last_status      TEXT,
+      last_row_count   INT,
+      last_error       TEXT,
+      created_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at       TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_lead_export_schedules_client ON lead_export_schedules (client_id);`);
+  schemaEnsured = true;
+}
+
+async function withClient(fn) {
+  const client = await getPool().connect();
+  try {
+    await ensureSchema(client);
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+}
+
+const iso = (v) => (v instanceof Date ? v.toISOString() : v || null);
+
+function fromRow(r) {
+  return {
+    id: String(r.id),
+    clientId: r.client_id,
+    name: r.name,
+    query: r.query || '',
+    searchTerms: r.search_terms || '',
+    priority: r.priority || '',
+    savedSearchId: r.saved_search_id == null ? null : String(r.saved_search_id),
+    minScore: r.min_score == null ? null : Number(r.min_score),
+    newOnly: !!r.new_only,
+    format: r.format,
+    columns: Array.isArray(r.columns) ? r.columns : null,
+    cadence: r.cadence,
+    weekday: r.weekday == null ? null : Number(r.weekday),
+    recipient: r.recipient || '',
+    enabled: !!r.enabled,
+    lastRunAt: iso(r.last_run_at),
+    lastStatus: r.last_status || null,
+    lastRowCount: r.last_row_count == null ? null : Number(r.last_row_count),
+    lastError: r.last_error || null,
+    createdAt: iso(r.created_at),
+    updatedAt: iso(r.updated_at),
+  };
+}
+
+/**
+ * Check and normalise schedule input. Throws an Error with .isValidationError on bad input.
+ * @returns {Object} snake_case row fields
+ */
+function validate(input) {
+  const fail = (msg) => { const e = new Error(msg); e.isValidationError = true; throw e; };
+  const name = String(input.name || '').trim().slice(0, 100);
+  if (!name) fail('name is required');
+  const format = String(input.format || 'xlsx').toLowerCase();
+  if (!FORMATS.includes(format)) fail(`format must be one of ${FORMATS.join(', ')}`);
+  const cadence = String(input.cadence || 'weekly').toLowerCase();
+  if (!CADENCES.includes(cadence)) fail(`cadence must be one of ${CADENCES.join(', ')}`);
+  let weekday = null;
+  if (cadence === 'weekly') {
+    weekday = input.weekday === undefined || input.weekday === null || input.weekday === '' ? 1 : Number(input.weekday);
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) fail('weekday must be 0 (Sunday) to 6 (Saturday)');
+  }
+  let minScore = null;
+  if (input.minScore !== undefined && input.minScore !== null && input.minScore !== '') {
+    minScore = Number(input.minScore);
+    if (!Number.isFinite(minScore) || minScore < 0 || minScore > 100) fail('minScore must be between 0 and 100');
+  }
+  const recipient = String(input.recipient || '').trim();
+  if (recipient && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(recipient)) fail('recipient must be an email address');
+  const savedSearchId = input.savedSearchId ? String(input.savedSearchId) : null;
+  if (savedSearchId && !/^\d+$/.test(savedSearchId)) fail('savedSearchId must be a saved search id');
+  const columns = Array.isArray(input.columns) && input.columns.length ? input.columns.map(String) : null;
+  return {
+    name,
+    query: String(input.query || '').trim(),
+    search_terms: String(input.searchTerms || '').trim(),
+    priority: input.priority && input.priority !== 'all' ? String(input.priority) : '',
+    saved_search_id: savedSearchId,
+    min_score: minScore,
+    new_only: !!input.newOnly,
+    format,
+    columns,
+    cadence,
+    weekday,
+    recipient,
+    enabled: input.enabled === undefined ? true : !!input.enabled,
+  };
+}
+
+const FIELDS = ['name', 'query', 'search_terms', 'priority', 'saved_search_id', 'min_score', 'new_only',
+  'format', 'columns', 'cadence', 'weekday', 'recipient', 'enabled'];
+
+/** Create a schedule. @returns {Promise<Object>} */
+async function createSchedule(clientId, input) {
+  if (!clientId) throw new Error('createSchedule: clientId is required');
+  const row = validate(input);
+  if (!getPool()) {
+    if (memory.filter((m) => m.client_id === clientId).length >= MAX_PER_CLIENT) {
+      throw new Error(`createSchedule: a client can keep at most ${MAX_PER_CLIENT} scheduled exports`);
+    }
+    const created = { id: ++memorySeq, client_id: clientId, ...row, created_at: new Date(), updated_at: new Date() };
+    memory.push(created);
+    return fromRow(created);
+  }
+  return withClient(async (c) => {
+    const n = Number((await c.query(`SELECT COUNT(*) AS n FROM lead_export_schedules WHERE client_id = $1`, [clientId])).rows[0].n);
+    if (n >= MAX_PER_CLIENT) throw new Error(`createSchedule: a client can keep at most ${MAX_PER_CLIENT} scheduled exports`);
+    const values = FIELDS.map((f) => (f === 'columns' ? (row.columns ? JSON.stringify(row.columns) : null) : row[f]));
+    const r = await c.query(
+      `INSERT INTO lead_export_schedules (client_id, ${FIELDS.join(', ')})
+       VALUES ($1, ${FIELDS.map((_, i) => (FIELDS[i] === 'columns' ? `$${i + 2}::jsonb` : `$${i + 2}`)).join(', ')})
+       RETURNING *`,
+      [clientId, ...values]);
+    return fromRow(r.rows[0]);
+  });
+}
+
+/** Replace a schedule's settings (run history is kept). @returns {Promise<Object|null>} */
+async function updateSchedule(clientId, id, input) {
+  if (!/^\d+$/.test(String(id || ''))) return null;
+  const row = validate(input);
+  if (!getPool()) {
+    const m = memory.find((x) => x.client_id === clientId && String(x.id) === String(id));
+    if (!m) return null;
+    Object.assign(m, row, { updated_at: new Date() });
+    return fromRow(m);
+  }
+  return withClient(async (c) => {
+    const values = FIELDS.map((f) => (f === 'columns' ? (row.columns ? JSON.stringify(row.columns) : null) : row[f]));
+    const sets = FIELDS.map((f, i) => `${f} = $${i + 3}${f === 'columns' ? '::jsonb' : ''}`).join(', ');
+    const r = (await c.query(
+      `UPDATE lead_export_schedules SET ${sets}, updated_at = now() WHERE client_id = $1 AND id = $2 RETURNING *`,
+      [clientId, id, ...values])).rows[0];
+    return r ? fromRow(r) : null;
+  });
+}
+
+/** A client's schedules, oldest first. */
+async function listSchedules(clientId) {
+  if (!getPool()) return memory.filter((m) => m.client_id === clientId).map(fromRow);
+  return withClient(async (c) => (await c.query(
+    `SELECT * FROM lead_export_schedules WHERE client_id = $1 ORDER BY id`, [clientId])).rows.map(fromRow));
+}
+
+/** Every enabled schedule across clients (the runner decides which are due). */
+async function listEnabledSchedules() {
+  if (!getPool()) return memory.filter((m) => m.enabled).map(fromRow);
+  return withClient(async (c) => (await c.query(
+    `SELECT * FROM lead_export_schedules WHERE enabled ORDER BY client_id, id`)).rows.map(fromRow));
+}
+
+/** One schedule (scoped to the client), or null. */
+async function getSchedule(clientId, id) {
+  if (!/^\d+$/.test(String(id || ''))) return null;
+  if (!getPool()) {
+    const m = memory.find((x) => x.client_id === clientId && String(x.id) === String(id));
+    return m ? fromRow(m) : null;
+  }
+  return withClient(async (c) => {
+    const r = (await c.query(`SELECT * FROM lead_export_schedules WHERE client_id = $1 AND id = $2`, [clientId, id])).rows[0];
+    return r ? fromRow(r) : null;
+  });
+}
+
+/** Delete one schedule. @returns {Promise<boolean>} whether it existed */
+async function deleteSchedule(clientId, id) {
+  if (!/^\d+$/.test(String(id || ''))) return false;
+  if (!getPool()) {
+    const i = memory.findIndex((x) => x.client_id === clientId && String(x.id) === String(id));
+    if (i === -1) return false;
+    memory.splice(i, 1);
+    return true;
+  }
+  return withClient(async (c) =>
+    (await c.query(`DELETE FROM lead_export_schedules WHERE client_id = $1 AND id = $2`, [clientId, id])).rowCount > 0);
+}
+
+/**
+ * Record a send attempt. A failed attempt keeps the previous last_run_at, so "new since last
+ * send" still starts from the last export that actually went out and the next run retries.
+ * @param {string} id
+ * @param {{ status: 'sent'|'empty'|'failed', rowCount?: number, error?: string, ranAt?: Date }} result
+ */
+async function recordRun(id, { status, rowCount = null, error = null, ranAt = new Date() }) {
+  const advance = status !== 'failed';
+  if (!getPool()) {
+    const m = memory.find((x) => String(x.id) === String(id));
+    if (!m) return null;
+    Object.assign(m, { last_status: status, last_row_count: rowCount, last_error: error });
+    if (advance) m.last_run_at = ranAt;
+    return fromRow(m);
+  }
+  return withClient(async (c) => {
+    const r = (await c.query(
+      `UPDATE lead_export_schedules
+          SET last_status = $2, last_row_count = $3, last_error = $4,
+              last_run_at = CASE WHEN $5 THEN $6::timestamptz ELSE last_run_at END
+        WHERE id = $1 RETURNING *`,
+      [id, status, rowCount, error, advance, ranAt])).rows[0];
+    return r ? fromRow(r) : null;
+  });
+}
+
+module.exports = {
+  createSchedule,
+  updateSchedule,
+  listSchedules,
+  listEnabledSchedules,
+  getSchedule,
+  deleteSchedule,
+  recordRun,
+  FORMATS,
+  CADENCES,
+  MAX_PER_CLIENT,
+  __setTestPool,
+};
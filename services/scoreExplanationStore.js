@@ -0,0 +1,164 @@
+/**
+ * Lead score explanations — one row per time a lead's AI Score was written, with the structured
+ * per-attribute breakdown behind it (scoring.js explainScore). Backs
+ * GET /api/linkedin/leads/:id/score-explanation and the "Why this score?" panel in LeadDetailModal.
+ *
+ * Airtable keeps only the latest Markdown "AI Attribute Breakdown"; keeping history here is what
+ * lets a coach see whether a rubric change (rubric_hash) moved a lead, attribute by attribute.
+ *
+ * Table (same Postgres as the recall_* store):
+ *   lead_score_explanations — client_id, lead_id, run_id, source (batch | single | rescore),
+ *                             provider, model, rubric_hash, prompt_hash, percentage, raw_score,
+ *                             denominator, attributes JSONB, assessment, created_at
+ *
+ * Writes are best-effort from the scorers: a failed insert is logged and never fails scoring.
+ * No DATABASE_URL => an in-process array (works locally, lost on restart).
+ *
+ * House style: recallWebhookDb.js (lazy Pool, ensureSchema CREATE-IF-NOT-EXISTS, no migrations).
+ */
+
+const { Pool } = require('pg');
+
+const MAX_HISTORY = 20;
+
+let pool;
+let schemaEnsured = false;
+const memory = [];
+
+function getPool() {
+  if (pool) return pool;
+  const url = (process.env.DATABASE_URL || '').trim();
+  if (!url) return null;
+  pool = new Pool({ connectionString: url, ssl: { rejectUnauthorized: false } });
+  return pool;
+}
+
+/** Test seam: inject a fake pool (unit tests never touch a real database). */
+function __setTestPool(fake) {
+  pool = fake;
+  schemaEnsured = fake ? true : false;
+  memory.length = 0;
+}
+
+async function ensureSchema(client) {
+  if (schemaEnsured) return;
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS lead_score_explanations (
+      id           BIGSERIAL PRIMARY KEY,
+      client_id    TEXT NOT NULL,
+      lead_id      TEXT NOT NULL,
+      run_id       TEXT,
+      source       TEXT NOT NULL DEFAULT 'batch',
+      provider     TEXT,
+      model        TEXT,
+      rubric_hash  TEXT,
+      prompt_hash  TEXT,
+      percentage   NUMERIC(7, 2),
+      raw_score    NUMERIC(9, 2),
+      denominator  NUMERIC(9, 2),
+      attributes   JSONB NOT NULL DEFAULT '[]'::jsonb,
+      assessment   TEXT,
+      created_at   TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_lead_score_explanations_lead ON lead_score_explanations (client_id, lead_id, created_at DESC);`);
+  schemaEnsured = true;
+}
+
+async function withClient(fn) {
+  const client = await getPool().connect();
+  try {
+    await ensureSchema(client);
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+}
+
+function fromRow(r) {
+  return {
+    id: String(r.id),
+    clientId: r.client_id,
+    leadId: r.lead_id,
+    runId: r.run_id,
+    source: r.source,
+    provider: r.provider,
+    model: r.model,
+    rubricHash: r.rubric_hash,
+    promptHash: r.prompt_hash,
+    percentage: r.percentage === null ? null : Number(r.percentage),
+    rawScore: r.raw_score === null ? null : Number(r.raw_score),
+    denominator: r.denominator === null ? null : Number(r.denominator),
+    attributes: Array.isArray(r.attributes) ? r.attributes : [],
+    assessment: r.assessment,
+    createdAt: r.created_at instanceof Date ? r.created_at.toISOString() : r.created_at,
+  };
+}
+
+/**
+ * Store explanations for one scoring pass (usually a chunk of leads).
+ * @param {Array<{ clientId, leadId, runId?, source?, provider?, model?, promptHash?, assessment?,
+ *                 explanation: { percentage, rawScore, denominator, rubricHash, attributes } }>} items
+ * @returns {Promise<number>} rows written
+ */
+async function saveExplanations(items = []) {
+  const rows = items.filter((i) => i && i.clientId && i.leadId && i.explanation);
+  if (!rows.length) return 0;
+  if (!getPool()) {
+    for (const i of rows) {
+      const e = i.explanation;
+      memory.push({
+        id: String(memory.length + 1),
+        clientId: i.clientId, leadId: i.leadId, runId: i.runId || null, source: i.source || 'batch',
+        provider: i.provider || null, model: i.model || null,
+        rubricHash: e.rubricHash || null, promptHash: i.promptHash || null,
+        percentage: e.percentage, rawScore: e.rawScore, denominator: e.denominator,
+        attributes: e.attributes || [], assessment: i.assessment || null,
+        createdAt: new Date().toISOString(),
+      });
+    }
+    return rows.length;
+  }
+  await withClient(async (c) => {
+    for (const i of rows) {
+      const e = i.explanation;
+      await c.query(
+        `INSERT INTO lead_score_explanations
+           (client_id, lead_id, run_id, source, provider, model, rubric_hash, prompt_hash, percentage, raw_score, denominator, attributes, assessment)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12::jsonb, $13)`,
+        [i.clientId, i.leadId, i.runId || null, i.source || 'batch', i.provider || null, i.model || null,
+          e.rubricHash || null, i.promptHash || null, e.percentage, e.rawScore, e.denominator,
+          JSON.stringify(e.attributes || []), i.assessment || null]);
+    }
+  });
+  return rows.length;
+}
+
+/**
+ * A lead's explanations, newest first.
+ * @param {string} clientId
+ * @param {string} leadId - Airtable record id
+ * @param {{ limit?: number }} [opts]
+ */
+async function listExplanations(clientId, leadId, { limit = 5 } = {}) {
+  const n = Math.min(Math.max(1, Number(limit) || 5), MAX_HISTORY);
+  if (!getPool()) {
+    return memory
+      .filter((e) => e.clientId === clientId && e.leadId === leadId)
+      .reverse()
+      .slice(0, n);
+  }
+  return withClient(async (c) => (await c.query(
+    `SELECT * FROM lead_score_explanations
+      WHERE client_id = $1 AND lead_id = $2
+      ORDER BY created_at DESC, id DESC
+      LIMIT $3`,
+    [clientId, leadId, n])).rows.map(fromRow));
+}
+
+module.exports = {
+  saveExplanations,
+  listExplanations,
+  MAX_HISTORY,
+  __setTestPool,
+};
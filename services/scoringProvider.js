@@ -0,0 +1,287 @@
+/**
+ * Scoring provider seam — WHICH model scores a client's leads. Mirrors calendarProvider /
+ * mailProvider / transcriptProvider: per-client `Scoring Provider` roster field wins, then env
+ * SCORING_PROVIDER, then 'gemini' (today's behaviour for every existing client).
+ *
+ * Providers:
+ *   gemini    = Vertex Gemini via the vertexAIClient/geminiModelId the caller already injects
+ *               (config/geminiClient.js). The existing path, byte-for-byte the same request.
+ *   openai    = config/openaiClient.js (OPENAI_SCORING_MODEL_ID, default gpt-4o).
+ *   anthropic = config/anthropicClient.js through resolveClientAnthropic — the SAME billing rule
+ *               as every other Claude caller: the client's stored key, else platform only for the
+ *               owner/managed plans, else BLOCKED (an error here, so the chain fails over).
+ *   fixture   = deterministic, offline. No network, no key: reads the attribute dictionaries out
+ *               of the system prompt and derives every score from a hash of the lead, so the same
+ *               lead always scores the same. For tests and for dry-running the pipeline end to end.
+ *
+ * Failover: `Scoring Provider Fallback` (comma-separated, env SCORING_PROVIDER_FALLBACK) lists the
+ * providers to try, in order, when the primary call fails. batchScorer walks the chain; a provider
+ * only counts as failed after its own transient-retry budget is spent. 'fixture' is never added to
+ * a chain implicitly — it writes fake scores, so it has to be asked for by name.
+ *
+ * Every backend returns the same shape so the callers' parse/compute/write code is untouched:
+ *   { text, usage: { promptTokens, responseTokens, totalTokens }, finishReason, modelId, provider }
+ * finishReason is normalised to Gemini's vocabulary (STOP / MAX_TOKENS / OTHER) because that is
+ * what the existing truncation handling in batchScorer/singleScorer checks.
+ */
+
+const crypto = require('crypto');
+
+const SCORING_PROVIDERS = ['gemini', 'openai', 'anthropic', 'fixture'];
+
+const OPENAI_SCORING_MODEL_ID = process.env.OPENAI_SCORING_MODEL_ID || 'gpt-4o';
+// Output cap for Claude scoring calls. Gemini's chunk budget (60k) is far above what a 40-lead chunk
+// needs; Claude is streamed so a long response can't trip the SDK's non-streaming time guard.
+const ANTHROPIC_SCORING_MAX_TOKENS = Math.max(1024, parseInt(process.env.ANTHROPIC_SCORING_MAX_TOKENS || '32000', 10));
+const SCORING_TIMEOUT_FALLBACK_MS = 120000;
+
+function normaliseProvider(p) {
+  const v = String(p || '').trim().toLowerCase();
+  return SCORING_PROVIDERS.includes(v) ? v : null;
+}
+
+function activeScoringProvider(client) {
+  return normaliseProvider((client && client.scoringProvider) || process.env.SCORING_PROVIDER) || 'gemini';
+}
+
+/**
+ * The ordered list of providers to try for this client: primary first, then the configured
+ * fallbacks, de-duplicated, unknown names dropped.
+ * @param {Object} client     clientService record (scoringProvider, scoringProviderFallback)
+ * @param {string} [override] force a primary (e.g. dependencies.scoringProvider in tests)
+ */
+function scoringProviderChain(client, override) {
+  const primary = normaliseProvider(override) || activeScoringProvider(client);
+  const rawFallback = (client && client.scoringProviderFallback) || process.env.SCORING_PROVIDER_FALLBACK || '';
+  const chain = [primary];
+  for (const p of String(rawFallback).split(/[,\n]/)) {
+    const v = normaliseProvider(p);
+    if (v && !chain.includes(v)) chain.push(v);
+  }
+  return chain;
+}
+
+/**
+ * Can this provider be called at all with what we have? Lets callers skip a chain entry cleanly
+ * ("gemini not configured") instead of burning a retry budget on a guaranteed failure.
+ */
+function isProviderConfigured(provider, dependencies = {}) {
+  switch (provider) {
+    case 'gemini': return !!(dependencies.vertexAIClient && dependencies.geminiModelId);
+    case 'openai': return !!process.env.OPENAI_API_KEY;
+    case 'anthropic': return require('../config/anthropicClient').isAnthropicConfigured();
+    case 'fixture': return true;
+    default: return false;
+  }
+}
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const t = new Promise((_, rej) => { timer = setTimeout(() => rej(new Error(`${label} timeout`)), ms); });
+  return Promise.race([promise, t]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run one scoring call on one provider.
+ * @param {string} provider  one of SCORING_PROVIDERS
+ * @param {Object} req
+ *   systemPrompt, userPrompt  the prompts promptBuilder produced (identical for every provider)
+ *   leads                     the slimmed leads in prompt order (the fixture scores these)
+ *   maxOutputTokens, timeoutMs
+ *   dependencies              { vertexAIClient, geminiModelId } for gemini
+ *   client                    clientService record (anthropic key lane)
+ * @returns {Promise<{text:string, usage:Object, finishReason:string|null, modelId:string, provider:string}>}
+ */
+async function generateScores(provider, req = {}) {
+  const timeoutMs = req.timeoutMs || SCORING_TIMEOUT_FALLBACK_MS;
+  switch (provider) {
+    case 'gemini': return generateViaGemini(req, timeoutMs);
+    case 'openai': return generateViaOpenAI(req, timeoutMs);
+    case 'anthropic': return generateViaAnthropic(req, timeoutMs);
+    case 'fixture': return generateViaFixture(req);
+    default: throw new Error(`Unknown scoring provider: ${provider}`);
+  }
+}
+
+async function generateViaGemini({ systemPrompt, userPrompt, maxOutputTokens, dependencies = {} }, timeoutMs) {
+  const { vertexAIClient, geminiModelId } = dependencies;
+  if (!vertexAIClient || !geminiModelId) throw new Error('Gemini client/model not configured for scoring');
+  const { HarmCategory, HarmBlockThreshold } = require('@google-cloud/vertexai');
+
+  const model = vertexAIClient.getGenerativeModel({
+    model: geminiModelId,
+    systemInstruction: { parts: [{ text: systemPrompt }] },
+    safetySettings: [
+      { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_NONE },
+      { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_NONE },
+      { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_NONE },
+      { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_NONE },
+    ],
+    generationConfig: {
+      temperature: 0,
+      responseMimeType: 'application/json',
+      maxOutputTokens,
+    },
+  });
+
+  const result = await withTimeout(
+    model.generateContent({ contents: [{ role: 'user', parts: [{ text: userPrompt }] }] }),
+    timeoutMs, 'Gemini API call');
+  if (!result || !result.response) throw new Error('Gemini API call returned no response object.');
+
+  const usageMetadata = result.response.usageMetadata || {};
+  const candidate = result.response.candidates?.[0];
+  if (!candidate) {
+    const blockReason = result.response.promptFeedback?.blockReason;
+    const sf = result.response.promptFeedback?.safetyRatings ? ` SafetyRatings: ${JSON.stringify(result.response.promptFeedback.safetyRatings)}` : '';
+    if (blockReason) throw new Error(`Gemini API call blocked. Reason: ${blockReason}.${sf}`);
+    throw new Error(`Gemini API call returned no candidates.${sf}`);
+  }
+  const text = candidate.content?.parts?.[0]?.text || '';
+  return {
+    text,
+    usage: {
+      promptTokens: usageMetadata.promptTokenCount || 0,
+      responseTokens: usageMetadata.candidatesTokenCount || 0,
+      totalTokens: usageMetadata.totalTokenCount || 0,
+    },
+    finishReason: candidate.finishReason || null,
+    safetyRatings: candidate.safetyRatings || null,
+    modelId: geminiModelId,
+    provider: 'gemini',
+  };
+}
+
+async function generateViaOpenAI({ systemPrompt, userPrompt, maxOutputTokens }, timeoutMs) {
+  const { getOpenAIClient } = require('../config/openaiClient');
+  const chat = await withTimeout(getOpenAIClient().chat.completions.create({
+    model: OPENAI_SCORING_MODEL_ID,
+    temperature: 0,
+    // gpt-4o caps completion tokens at 16k; asking for Gemini's 60k budget is a 400.
+    max_tokens: Math.min(maxOutputTokens || 4096, 16384),
+    messages: [{ role: 'system', content: systemPrompt }, { role: 'user', content: userPrompt }],
+  }), timeoutMs, 'OpenAI API call');
+  const choice = chat.choices?.[0];
+  const reason = choice?.finish_reason;
+  return {
+    text: (choice?.message?.content || '').trim(),
+    usage: {
+      promptTokens: chat.usage?.prompt_tokens || 0,
+      responseTokens: chat.usage?.completion_tokens || 0,
+      totalTokens: chat.usage?.total_tokens || 0,
+    },
+    finishReason: reason === 'length' ? 'MAX_TOKENS' : reason === 'stop' ? 'STOP' : (reason ? 'OTHER' : null),
+    modelId: OPENAI_SCORING_MODEL_ID,
+    provider: 'openai',
+  };
+}
+
+async function generateViaAnthropic({ systemPrompt, userPrompt, maxOutputTokens, client }, timeoutMs) {
+  const { resolveClientAnthropic, claudeModelId } = require('../config/anthropicClient');
+  const { llm, message } = resolveClientAnthropic(client);
+  if (!llm) throw new Error(`Claude scoring blocked: ${message}`);
+  const stream = llm.messages.stream({
+    model: claudeModelId,
+    max_tokens: Math.min(maxOutputTokens || 4096, ANTHROPIC_SCORING_MAX_TOKENS),
+    thinking: { type: 'disabled' },
+    system: systemPrompt,
+    messages: [{ role: 'user', content: userPrompt }],
+  });
+  const msg = await withTimeout(stream.finalMessage(), timeoutMs, 'Claude API call');
+  const text = (msg.content || []).filter((b) => b.type === 'text').map((b) => b.text).join('');
+  const inTok = msg.usage?.input_tokens || 0;
+  const outTok = msg.usage?.output_tokens || 0;
+  return {
+    text,
+    usage: { promptTokens: inTok, responseTokens: outTok, totalTokens: inTok + outTok },
+    finishReason: msg.stop_reason === 'max_tokens' ? 'MAX_TOKENS' : msg.stop_reason === 'end_turn' ? 'STOP' : (msg.stop_reason ? 'OTHER' : null),
+    modelId: claudeModelId,
+    provider: 'anthropic',
+  };
+}
+
+/* ---- fixture ---------------------------------------------------------------------------------- */
+
+// promptBuilder embeds both dictionaries as pretty-printed JSON under fixed section banners; the
+// fixture reads them back from there so it sees exactly the rubric a real model would.
+function extractDictionary(systemPrompt, banner) {
+  const s = String(systemPrompt || '');
+  const at = s.indexOf(banner);
+  if (at === -1) return {};
+  const open = s.indexOf('{', at);
+  if (open === -1) return {};
+  let depth = 0;
+  for (let i = open; i < s.length; i++) {
+    if (s[i] === '{') depth++;
+    else if (s[i] === '}' && --depth === 0) {
+      try { return JSON.parse(s.slice(open, i + 1)); } catch (_) { return {}; }
+    }
+  }
+  return {};
+}
+
+// A stable fraction in [0,1) from any string — the fixture's only source of "judgement".
+function unitHash(str) {
+  return parseInt(crypto.createHash('sha1').update(String(str)).digest('hex').slice(0, 8), 16) / 0x100000000;
+}
+
+/**
+ * Deterministic model stand-in: one result object per lead in the exact schema promptBuilder asks
+ * for. Positives land on 0..maxPoints; a negative fires (full penalty) for ~1 lead in 5; a lead
+ * with no headline leaves every attribute unscored, as a real model would.
+ */
+function fixtureScoreLeads(leads, positives = {}, negatives = {}) {
+  return (leads || []).map((lead) => {
+    const key = JSON.stringify(lead || {});
+    const out = {
+      positive_scores: {},
+      negative_scores: {},
+      attribute_reasoning: {},
+      contact_readiness: false,
+      unscored_attributes: [],
+      aiProfileAssessment: `Fixture assessment for "${(lead && lead.headline) || 'unknown headline'}" (deterministic, no model call).`,
+      ai_excluded: 'No',
+      exclude_details: '',
+    };
+    const hasSignal = !!(lead && String(lead.headline || '').trim());
+    for (const [id, def] of Object.entries(positives)) {
+      if (!hasSignal) { out.unscored_attributes.push(id); continue; }
+      const max = parseInt(String(def.maxPoints ?? def.max_points ?? def.max ?? 0), 10) || 0;
+      out.positive_scores[id] = Math.floor(unitHash(`${key}|${id}`) * (max + 1));
+      out.attribute_reasoning[id] = `Fixture score ${out.positive_scores[id]}/${max}.`;
+    }
+    for (const [id, def] of Object.entries(negatives)) {
+      if (!hasSignal) { out.unscored_attributes.push(id); continue; }
+      const penalty = -Math.abs(parseInt(String(def.penalty ?? def.maxPoints ?? 0), 10) || 0);
+      out.negative_scores[id] = unitHash(`${key}|${id}`) < 0.2 ? penalty : 0;
+      out.attribute_reasoning[id] = `Fixture penalty ${out.negative_scores[id]}.`;
+    }
+    return out;
+  });
+}
+
+async function generateViaFixture({ systemPrompt, userPrompt, leads }) {
+  const positives = extractDictionary(systemPrompt, 'POSITIVE ATTRIBUTES');
+  const negatives = extractDictionary(systemPrompt, 'NEGATIVE ATTRIBUTES');
+  const text = JSON.stringify(fixtureScoreLeads(leads, positives, negatives));
+  // Rough chars/4 so token accounting downstream sees non-zero, stable numbers.
+  const promptTokens = Math.ceil((String(systemPrompt || '').length + String(userPrompt || '').length) / 4);
+  const responseTokens = Math.ceil(text.length / 4);
+  return {
+    text,
+    usage: { promptTokens, responseTokens, totalTokens: promptTokens + responseTokens },
+    finishReason: 'STOP',
+    modelId: 'fixture-v1',
+    provider: 'fixture',
+  };
+}
+
+module.exports = {
+  SCORING_PROVIDERS,
+  activeScoringProvider,
+  scoringProviderChain,
+  isProviderConfigured,
+  generateScores,
+  fixtureScoreLeads,
+  extractDictionary,
+};
@@ -17,6 +17,7 @@ const { createLogger } = require('../utils/contextLogger');
 const { SMART_FUP_STATE_FIELDS } = require('../scripts/setup-smart-fup-airtable');
 const { getAllClients, getClientBase, getClientById, initializeClientsBase } = require('./clientService');
 const { vertexAIClient } = require('../config/geminiClient');
+const { costGovernanceService, FEATURES } = require('./costGovernanceService');
 const { getSection } = require('../utils/notesSectionManager');
 const fetch = require('node-fetch');
 
@@ -245,6 +246,21 @@ function buildCandidateFilter() {
 
 // Model configuration - use GEMINI_MODEL_ID (default gemini-2.5-flash for speed)
 const SMART_FUP_MODEL = process.env.GEMINI_MODEL_ID || 'gemini-2.5-flash';
+
+// Record a Gemini call in the client's token ledger (costGovernanceService). No clientId => skipped.
+function recordSmartFupUsage(clientId, result) {
+  const u = result?.response?.usageMetadata;
+  if (!clientId || !u) return Promise.resolve(null);
+  return costGovernanceService.recordAiUsage({
+    clientId,
+    feature: FEATURES.SMART_FOLLOWUP,
+    provider: 'gemini',
+    model: SMART_FUP_MODEL,
+    inputTokens: u.promptTokenCount,
+    outputTokens: u.candidatesTokenCount,
+    totalTokens: u.totalTokenCount
+  });
+}
 const AI_TIMEOUT_MS = parseInt(process.env.GEMINI_TIMEOUT_MS || '90000', 10) || 90000; // 90s default (was 30s) - large notes can be slow
 
 /**
@@ -403,6 +419,7 @@ Today's date is: ${new Date().toISOString().split('T')[0]}`;
     });
 
     const result = await Promise.race([callPromise, timeoutPromise]);
+    await recordSmartFupUsage(options.clientId, result);
 
     if (!result || !result.response) {
       throw new Error('Gemini API returned no response');
@@ -766,13 +783,21 @@ async function sweepClient(options) {
         const hasNewNotes = currentNotesLength > previousNotesLength;
         
         if (forceAll || hasNewNotes) {
+          // Token budget gate: stop the sweep here rather than sync this lead date-only (that would
+          // record its notes as processed and the new notes would never be analysed).
+          const budget = await costGovernanceService.checkBudget(clientId);
+          if (!budget.allowed) {
+            logger.warn(`Sweep for ${clientId} paused by token budget (${budget.level}): ${budget.reason}`);
+            results.budgetPaused = budget.reason;
+            break;
+          }
           // When forceAll, analyze full notes; otherwise just the new portion
           const newNotesPortion = forceAll ? null : notes.slice(previousNotesLength);
           const analyzeMode = forceAll ? 'forceAll' : `new notes (${previousNotesLength} -> ${currentNotesLength})`;
           logger.info(`Lead ${lead.id}: Analyzing - ${analyzeMode}`);
           
           // Run AI analysis (null newNotesPortion = analyze full notes)
-          aiOutput = await analyzeLeadNotes(lead, fupInstructions, clientType, newNotesPortion, { includeErrorOnFallback: true });
+          aiOutput = await analyzeLeadNotes(lead, fupInstructions, clientType, newNotesPortion, { includeErrorOnFallback: true, clientId });
           results.aiAnalyzed++;
           // Track placeholder (AI failure) so status can report it
           if (aiOutput?.story && String(aiOutput.story).toUpperCase().includes('[AI UNAVAILABLE]')) {
@@ -1104,6 +1129,43 @@ async function snoozeLead(clientId, leadId, followUpDate, baseId) {
   return { success: true, followUpDate };
 }
 
+/**
+ * Re-point a merged-away lead's Smart FUP State record at the lead it was merged into
+ * (services/leadDedupService.js). If the surviving lead already has a record, the duplicate's is
+ * deleted instead. Either way the surviving record's processed-notes length is reset so the next
+ * sweep re-analyses the combined Notes.
+ *
+ * @param {string} clientId - Client ID
+ * @param {string} fromLeadId - Lead ID being merged away
+ * @param {{ id: string, fields: Object }} toLead - Surviving lead (fields after the merge)
+ * @returns {Promise<{ action: 'none'|'moved'|'dropped' }>}
+ */
+async function repointStateRecord(clientId, fromLeadId, toLead) {
+  const existing = await findExistingStateRecord(clientId, fromLeadId);
+  if (!existing) return { action: 'none' };
+
+  const stateBase = initializeClientsBase();
+  const survivor = await findExistingStateRecord(clientId, toLead.id);
+  if (survivor) {
+    await stateBase('Smart FUP State').destroy(existing.id);
+    await stateBase('Smart FUP State').update(survivor.id, {
+      [SMART_FUP_STATE_FIELDS.LAST_PROCESSED_NOTES_LENGTH]: 0,
+    });
+    return { action: 'dropped' };
+  }
+
+  const fields = toLead.fields || {};
+  await stateBase('Smart FUP State').update(existing.id, {
+    [SMART_FUP_STATE_FIELDS.LEAD_ID]: toLead.id,
+    [SMART_FUP_STATE_FIELDS.LEAD_FIRST_NAME]: fields[LEAD_FIELDS.FIRST_NAME] || '',
+    [SMART_FUP_STATE_FIELDS.LEAD_LAST_NAME]: fields[LEAD_FIELDS.LAST_NAME] || '',
+    [SMART_FUP_STATE_FIELDS.LEAD_EMAIL]: fields[LEAD_FIELDS.EMAIL] || '',
+    [SMART_FUP_STATE_FIELDS.LEAD_LINKEDIN]: fields[LEAD_FIELDS.LINKEDIN_URL] || '',
+    [SMART_FUP_STATE_FIELDS.LAST_PROCESSED_NOTES_LENGTH]: 0,
+  });
+  return { action: 'moved' };
+}
+
 /**
  * Generate story on-demand for a single lead (reuses analyzeLeadNotes logic).
  * Used when user clicks "Generate story so far" in Lead Search detail.
@@ -1176,7 +1238,7 @@ const BRIEF_TRANSCRIPT_MAX_CHARS = 8000;
 /**
  * Analyze lead notes + Fathom transcript to produce a full pre-meeting brief.
  */
-async function analyzeLeadNotesForBrief(leadRecord, clientInstructions, clientType, fathomTranscripts) {
+async function analyzeLeadNotesForBrief(leadRecord, clientInstructions, clientType, fathomTranscripts, clientId = null) {
   const rawNotes = leadRecord.fields[LEAD_FIELDS.NOTES] || '';
   // Truncate from the end so we keep the most recent content (bottom of notes)
   const fullNotes = rawNotes.length > BRIEF_NOTES_MAX_CHARS
@@ -1244,6 +1306,7 @@ Today's date: ${new Date().toISOString().split('T')[0]}`;
     );
 
     const result = await Promise.race([callPromise, timeoutPromise]);
+    await recordSmartFupUsage(clientId, result);
     const responseText = result?.response?.candidates?.[0]?.content?.parts?.[0]?.text;
     if (!responseText) throw new Error('AI returned no content');
 
@@ -1323,12 +1386,17 @@ async function generateStoryForLead(clientId, leadId) {
 
     const fupInstructions = client.fupInstructions || '';
     const clientType = client.clientType || 'A - Partner Selection';
-    let aiOutput = await analyzeLeadNotesForBrief(leadRecord, fupInstructions, clientType, fathomTranscripts);
+    // Someone is waiting on this brief: only the hard token limit applies.
+    const budget = await costGovernanceService.checkBudget(clientId, { interactive: true });
+    if (!budget.allowed) {
+      return { error: budget.reason };
+    }
+    let aiOutput = await analyzeLeadNotesForBrief(leadRecord, fupInstructions, clientType, fathomTranscripts, clientId);
 
     // If parsing failed and we had a transcript, retry without it (transcript may have made input too large)
     if (aiOutput?._aiError && fathomTranscripts) {
       logger.warn(`generateStoryForLead: first attempt failed (${aiOutput._aiError}), retrying without Fathom transcript`);
-      aiOutput = await analyzeLeadNotesForBrief(leadRecord, fupInstructions, clientType, null);
+      aiOutput = await analyzeLeadNotesForBrief(leadRecord, fupInstructions, clientType, null, clientId);
     }
 
     const story = aiOutput?.story || '';
@@ -1436,5 +1504,6 @@ module.exports = {
   generateStoryForLead,
   acknowledgeAiDate,
   snoozeLead,
+  repointStateRecord,
   LEAD_FIELDS,
 };
@@ -0,0 +1,543 @@
+/**
+ * Smart resume job queue — durable work queue for scripts/smart-resume-client-by-client.js.
+ *
+ * Before this the script triggered every client × operation in one loop and worked out what was
+ * left from Job Tracking / Client Run Results "last 24 hours" heuristics; a crash mid-loop meant
+ * the next run guessed. Now a run enqueues one job per client × operation (lead_scoring,
+ * post_harvesting, post_scoring) and workers drain them:
+ *
+ *   - claim       — pending jobs whose available_at has passed, oldest first, never more than
+ *                   `perClientLimit` dispatching jobs for one client. Claiming sets locked_by and
+ *                   a visibility timeout (locked_until) and counts an attempt.
+ *   - complete    — dispatched, fenced on locked_by + attempts so a worker whose lock expired
+ *                   can't overwrite the job someone else picked up.
+ *   - fail        — back to pending with exponential backoff (base × 2^(attempts-1), capped), or
+ *                   dead once max_attempts is used up. Dead letters stay until retried by hand.
+ *   - reap        — dispatching jobs past locked_until (the worker died) go back to pending, or
+ *                   dead if that was their last attempt.
+ *
+ * The queue covers DISPATCH only: a job is 'dispatched' once the operation endpoint accepted it
+ * (202). Retries, backoff and crash-resume are about getting that trigger through; the client's
+ * actual scoring / harvesting runs in the background of the endpoint and its progress and
+ * failures are tracked in Job Tracking / Client Run Results as before, not here.
+ *
+ * A run that crashed leaves pending/dispatching rows behind. The next enqueueRun() for the stream
+ * resumes those batches (same run ids, so the same Client Run Results records) AND queues its own
+ * jobs, minus any client × operation an unfinished job already covers — so a resumed batch or a
+ * retried dead letter never crowds out the pass's own work.
+ *
+ * Table (same Postgres as the other stores):
+ *   smart_resume_jobs — one row per run × client × operation (unique)
+ *
+ * No DATABASE_URL => the same functions run against an in-process Map (works locally and
+ * survives a failed run inside one process, lost on restart).
+ *
+ * House style: rescoreJobStore.js (lazy Pool, ensureSchema CREATE-IF-NOT-EXISTS, no migrations).
+ */
+
+const { Pool } = require('pg');
+
+let pool;
+let schemaEnsured = false;
+
+const OPERATIONS = ['lead_scoring', 'post_harvesting', 'post_scoring'];
+
+const intEnv = (name, fallback) => {
+  const v = parseInt(process.env[name], 10);
+  return Number.isFinite(v) && v > 0 ? v : fallback;
+};
+
+function getConfig() {
+  return {
+    maxAttempts: intEnv('SMART_RESUME_JOB_MAX_ATTEMPTS', 4),
+    visibilityMs: intEnv('SMART_RESUME_JOB_VISIBILITY_MS', 10 * 60 * 1000),
+    backoffBaseMs: intEnv('SMART_RESUME_JOB_BACKOFF_MS', 30 * 1000),
+    backoffMaxMs: intEnv('SMART_RESUME_JOB_BACKOFF_MAX_MS', 15 * 60 * 1000),
+    concurrency: intEnv('SMART_RESUME_QUEUE_CONCURRENCY', 1),
+    perClientLimit: intEnv('SMART_RESUME_PER_CLIENT_CONCURRENCY', 1),
+  };
+}
+
+function getPool() {
+  if (pool) return pool;
+  const url = (process.env.DATABASE_URL || '').trim();
+  if (!url) return null;
+  pool = new Pool({ connectionString: url, ssl: { rejectUnauthorized: false } });
+  return pool;
+}
+
+// In-process fallback (no DATABASE_URL). Rows use the same snake_case shape as the SQL path so
+// rowToJob() is the one mapper either way.
+const memory = { jobs: new Map(), nextId: 1 };
+let clock = () => Date.now();
+
+/** Test seam: inject a fake pool (unit tests never touch a real database). */
+function __setTestPool(fake) {
+  pool = fake;
+  schemaEnsured = fake ? true : false;
+  memory.jobs.clear();
+  memory.nextId = 1;
+}
+
+/** Test seam: fake "now" for the in-process queue (the SQL path uses the database clock). */
+function __setClock(fn) {
+  clock = fn || (() => Date.now());
+}
+
+async function ensureSchema(client) {
+  if (schemaEnsured) return;
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS smart_resume_jobs (
+      id            BIGSERIAL PRIMARY KEY,
+      run_id        TEXT NOT NULL,
+      stream        INT NOT NULL,
+      client_id     TEXT NOT NULL,
+      client_name   TEXT,
+      operation     TEXT NOT NULL,             -- lead_scoring | post_harvesting | post_scoring
+      seq           INT NOT NULL DEFAULT 0,    -- order within the run (client order, then operation)
+      status        TEXT NOT NULL DEFAULT 'pending',  -- pending | dispatching | dispatched | dead
+      attempts      INT NOT NULL DEFAULT 0,
+      max_attempts  INT NOT NULL,
+      available_at  TIMESTAMPTZ NOT NULL DEFAULT now(),  -- backoff: not claimable before this
+      locked_by     TEXT,                      -- worker holding a dispatching job
+      locked_until  TIMESTAMPTZ,               -- visibility timeout
+      last_error    TEXT,
+      result        JSONB,
+      created_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+      finished_at   TIMESTAMPTZ,
+      UNIQUE (run_id, client_id, operation)
+    );
+  `);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_smart_resume_jobs_claim ON smart_resume_jobs (stream, available_at, seq) WHERE status = 'pending';`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_smart_resume_jobs_dispatching ON smart_resume_jobs (client_id) WHERE status = 'dispatching';`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_smart_resume_jobs_run ON smart_resume_jobs (run_id);`);
+  schemaEnsured = true;
+}
+
+async function withClient(fn) {
+  const client = await getPool().connect();
+  try {
+    await ensureSchema(client);
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+}
+
+/** Run fn inside a transaction holding the claim lock, so per-client counts can't race. */
+async function withClaimLock(fn) {
+  return withClient(async (c) => {
+    await c.query('BEGIN');
+    try {
+      await c.query(`SELECT pg_advisory_xact_lock(hashtext('smart_resume_jobs_claim'))`);
+      const out = await fn(c);
+      await c.query('COMMIT');
+      return out;
+    } catch (e) {
+      await c.query('ROLLBACK').catch(() => {});
+      throw e;
+    }
+  });
+}
+
+const json = (v) => (typeof v === 'string' ? JSON.parse(v) : v);
+const iso = (v) => (v ? new Date(v).toISOString() : null);
+
+function rowToJob(r) {
+  if (!r) return null;
+  return {
+    id: Number(r.id),
+    runId: r.run_id,
+    stream: Number(r.stream),
+    clientId: r.client_id,
+    clientName: r.client_name || null,
+    operation: r.operation,
+    seq: Number(r.seq) || 0,
+    status: r.status,
+    attempts: Number(r.attempts) || 0,
+    maxAttempts: Number(r.max_attempts) || 0,
+    availableAt: iso(r.available_at),
+    lockedBy: r.locked_by || null,
+    lockedUntil: iso(r.locked_until),
+    lastError: r.last_error || null,
+    result: json(r.result) || null,
+    createdAt: iso(r.created_at),
+    updatedAt: iso(r.updated_at),
+    finishedAt: iso(r.finished_at),
+  };
+}
+
+/** Delay before the next attempt after `attempts` tries: base × 2^(attempts-1), capped. */
+function backoffMs(attempts, cfg = getConfig()) {
+  const n = Math.max(1, attempts);
+  return Math.min(cfg.backoffMaxMs, cfg.backoffBaseMs * 2 ** (n - 1));
+}
+
+const UNFINISHED = ['pending', 'dispatching'];
+
+/**
+ * Queue a run's jobs, and resume any unfinished batches earlier runs left on the stream (a
+ * crash, or a dead letter retried by hand). A client × operation an unfinished job already
+ * covers is not queued twice.
+ * @param {Object} opts
+ * @param {string} opts.runId - normalized run id the jobs belong to (Client Run Results key)
+ * @param {number} opts.stream
+ * @param {Array<{clientId: string, clientName?: string, operations: string[]}>} opts.clients
+ * @param {number} [opts.maxAttempts]
+ * @returns {Promise<{ runId: string, resumed: boolean, resumedRunIds: string[], jobs: Array }>}
+ *   jobs of every batch that will run (resumed batches first)
+ */
+async function enqueueRun({ runId, stream, clients, maxAttempts }) {
+  const max = maxAttempts || getConfig().maxAttempts;
+  const specs = [];
+  for (const client of clients || []) {
+    for (const operation of client.operations || []) {
+      if (!OPERATIONS.includes(operation)) throw new Error(`Unknown smart resume operation: ${operation}`);
+      specs.push({ clientId: client.clientId, clientName: client.clientName || null, operation, seq: specs.length });
+    }
+  }
+  const key = (clientId, operation) => `${clientId}|${operation}`;
+
+  if (!getPool()) {
+    const open = [...memory.jobs.values()]
+      .filter((r) => r.stream === stream && UNFINISHED.includes(r.status))
+      .sort((a, b) => a.created_at - b.created_at || a.id - b.id);
+    const resumedRunIds = [...new Set(open.map((r) => r.run_id))].filter((id) => id !== runId);
+    const covered = new Set(open.map((r) => key(r.client_id, r.operation)));
+    const now = new Date(clock());
+    for (const s of specs) {
+      if (covered.has(key(s.clientId, s.operation))) continue;
+      const dup = [...memory.jobs.values()].some((r) => r.run_id === runId && r.client_id === s.clientId && r.operation === s.operation);
+      if (dup) continue;
+      const row = {
+        id: memory.nextId++, run_id: runId, stream, client_id: s.clientId, client_name: s.clientName,
+        operation: s.operation, seq: s.seq, status: 'pending', attempts: 0, max_attempts: max,
+        available_at: now, locked_by: null, locked_until: null, last_error: null, result: null,
+        created_at: now, updated_at: now, finished_at: null,
+      };
+      memory.jobs.set(row.id, row);
+    }
+    const jobs = [];
+    for (const id of [...resumedRunIds, runId]) jobs.push(...await listRunJobs(id));
+    return { runId, resumed: resumedRunIds.length > 0, resumedRunIds, jobs };
+  }
+
+  return withClaimLock(async (c) => {
+    const open = (await c.query(
+      `SELECT run_id, client_id, operation, created_at FROM smart_resume_jobs
+        WHERE stream = $1 AND status = ANY($2) ORDER BY created_at, id`, [stream, UNFINISHED])).rows;
+    const resumedRunIds = [...new Set(open.map((r) => r.run_id))].filter((id) => id !== runId);
+    const covered = new Set(open.map((r) => key(r.client_id, r.operation)));
+    for (const s of specs) {
+      if (covered.has(key(s.clientId, s.operation))) continue;
+      await c.query(
+        `INSERT INTO smart_resume_jobs (run_id, stream, client_id, client_name, operation, seq, max_attempts)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (run_id, client_id, operation) DO NOTHING`,
+        [runId, stream, s.clientId, s.clientName, s.operation, s.seq, max],
+      );
+    }
+    const runIds = [...resumedRunIds, runId];
+    const rows = (await c.query(
+      `SELECT * FROM smart_resume_jobs WHERE run_id = ANY($1)
+        ORDER BY array_position($1::text[], run_id), seq, id`, [runIds])).rows;
+    return { runId, resumed: resumedRunIds.length > 0, resumedRunIds, jobs: rows.map(rowToJob) };
+  });
+}
+
+/**
+ * Return dispatching jobs whose visibility timeout passed to the queue (or dead-letter them when
+ * that was their last attempt). claimNext() does this first; exported for the status route.
+ * @returns {Promise<number>} jobs reaped
+ */
+async function reapExpired() {
+  if (!getPool()) {
+    const now = new Date(clock());
+    let n = 0;
+    for (const row of memory.jobs.values()) {
+      if (row.status !== 'dispatching' || row.locked_until > now) continue;
+      row.status = row.attempts >= row.max_attempts ? 'dead' : 'pending';
+      row.last_error = `visibility timeout expired (worker ${row.locked_by})`;
+      row.available_at = now;
+      row.locked_by = null;
+      row.locked_until = null;
+      row.updated_at = now;
+      if (row.status === 'dead') row.finished_at = now;
+      n++;
+    }
+    return n;
+  }
+  return withClient((c) => reapExpiredSql(c));
+}
+
+async function reapExpiredSql(c) {
+  const r = await c.query(
+    `UPDATE smart_resume_jobs
+        SET status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'pending' END,
+            last_error = 'visibility timeout expired (worker ' || COALESCE(locked_by, '?') || ')',
+            available_at = now(), locked_by = NULL, locked_until = NULL, updated_at = now(),
+            finished_at = CASE WHEN attempts >= max_attempts THEN now() ELSE NULL END
+      WHERE status = 'dispatching' AND locked_until <= now()`);
+  return r.rowCount;
+}
+
+/**
+ * Claim the next runnable job for a stream.
+ * @param {Object} opts
+ * @param {number} opts.stream
+ * @param {string} opts.workerId
+ * @param {number} [opts.visibilityMs]
+ * @param {number} [opts.perClientLimit]
+ * @returns {Promise<Object|null>} the claimed job (status 'dispatching', attempts already counted)
+ */
+async function claimNext({ stream, workerId, visibilityMs, perClientLimit }) {
+  const cfg = getConfig();
+  const visibility = visibilityMs || cfg.visibilityMs;
+  const limit = perClientLimit || cfg.perClientLimit;
+
+  if (!getPool()) {
+    await reapExpired();
+    const now = new Date(clock());
+    const running = new Map();
+    for (const r of memory.jobs.values()) {
+      if (r.status === 'dispatching') running.set(r.client_id, (running.get(r.client_id) || 0) + 1);
+    }
+    const row = [...memory.jobs.values()]
+      .filter((r) => r.stream === stream && r.status === 'pending' && r.available_at <= now && (running.get(r.client_id) || 0) < limit)
+      .sort((a, b) => a.available_at - b.available_at || a.seq - b.seq || a.id - b.id)[0];
+    if (!row) return null;
+    row.status = 'dispatching';
+    row.attempts += 1;
+    row.locked_by = workerId;
+    row.locked_until = new Date(now.getTime() + visibility);
+    row.updated_at = now;
+    return rowToJob(row);
+  }
+
+  return withClaimLock(async (c) => {
+    await reapExpiredSql(c);
+    const r = await c.query(
+      `UPDATE smart_resume_jobs
+          SET status = 'dispatching', attempts = attempts + 1, locked_by = $2,
+              locked_until = now() + ($3::int * interval '1 millisecond'), updated_at = now()
+        WHERE id = (
+          SELECT j.id FROM smart_resume_jobs j
+           WHERE j.stream = $1 AND j.status = 'pending' AND j.available_at <= now()
+             AND (SELECT count(*) FROM smart_resume_jobs r
+                   WHERE r.client_id = j.client_id AND r.status = 'dispatching') < $4
+           ORDER BY j.available_at, j.seq, j.id
+           LIMIT 1
+           FOR UPDATE SKIP LOCKED)
+        RETURNING *`,
+      [stream, workerId, visibility, limit],
+    );
+    return rowToJob(r.rows[0]);
+  });
+}
+
+/**
+ * Mark a claimed job dispatched (the endpoint accepted it). Ignored (returns null) when the caller no longer holds it.
+ * @param {Object} job - as returned by claimNext()
+ * @param {Object} [result] - stored as JSONB, e.g. { jobId }
+ */
+async function completeJob(job, result = null) {
+  if (!getPool()) {
+    const row = memory.jobs.get(job.id);
+    if (!row || row.status !== 'dispatching' || row.locked_by !== job.lockedBy || row.attempts !== job.attempts) return null;
+    const now = new Date(clock());
+    Object.assign(row, {
+      status: 'dispatched', result, last_error: null, locked_by: null, locked_until: null, updated_at: now, finished_at: now,
+    });
+    return rowToJob(row);
+  }
+  return withClient(async (c) => rowToJob((await c.query(
+    `UPDATE smart_resume_jobs
+        SET status = 'dispatched', result = $4, last_error = NULL, locked_by = NULL, locked_until = NULL,
+            updated_at = now(), finished_at = now()
+      WHERE id = $1 AND status = 'dispatching' AND locked_by = $2 AND attempts = $3
+      RETURNING *`,
+    [job.id, job.lockedBy, job.attempts, result === null ? null : JSON.stringify(result)])).rows[0]));
+}
+
+/**
+ * Record a failed attempt: back to pending after the backoff, or dead when attempts are used up.
+ * Ignored (returns null) when the caller no longer holds the job.
+ * @param {Object} job - as returned by claimNext()
+ * @param {string|Error} error
+ */
+async function failJob(job, error) {
+  const message = String((error && error.message) || error || 'unknown error').slice(0, 2000);
+  const dead = job.attempts >= job.maxAttempts;
+  const delay = dead ? 0 : backoffMs(job.attempts);
+  if (!getPool()) {
+    const row = memory.jobs.get(job.id);
+    if (!row || row.status !== 'dispatching' || row.locked_by !== job.lockedBy || row.attempts !== job.attempts) return null;
+    const now = new Date(clock());
+    Object.assign(row, {
+      status: dead ? 'dead' : 'pending', last_error: message, available_at: new Date(now.getTime() + delay),
+      locked_by: null, locked_until: null, updated_at: now, finished_at: dead ? now : null,
+    });
+    return rowToJob(row);
+  }
+  return withClient(async (c) => rowToJob((await c.query(
+    `UPDATE smart_resume_jobs
+        SET status = $4, last_error = $5, available_at = now() + ($6::int * interval '1 millisecond'),
+            locked_by = NULL, locked_until = NULL, updated_at = now(),
+            finished_at = CASE WHEN $4 = 'dead' THEN now() ELSE NULL END
+      WHERE id = $1 AND status = 'dispatching' AND locked_by = $2 AND attempts = $3
+      RETURNING *`,
+    [job.id, job.lockedBy, job.attempts, dead ? 'dead' : 'pending', message, delay])).rows[0]));
+}
+
+/** When the stream's next pending job becomes claimable (ms epoch), or null if none are pending. */
+async function nextAvailableAt(stream) {
+  if (!getPool()) {
+    const times = [...memory.jobs.values()]
+      .filter((r) => r.stream === stream && r.status === 'pending').map((r) => r.available_at.getTime());
+    return times.length ? Math.min(...times) : null;
+  }
+  return withClient(async (c) => {
+    const r = (await c.query(
+      `SELECT min(available_at) AS at FROM smart_resume_jobs WHERE stream = $1 AND status = 'pending'`, [stream])).rows[0];
+    return r && r.at ? new Date(r.at).getTime() : null;
+  });
+}
+
+/** Every job of a run, in run order. */
+async function listRunJobs(runId) {
+  if (!getPool()) {
+    return [...memory.jobs.values()].filter((r) => r.run_id === runId)
+      .sort((a, b) => a.seq - b.seq || a.id - b.id).map(rowToJob);
+  }
+  return withClient(async (c) => (await c.query(
+    `SELECT * FROM smart_resume_jobs WHERE run_id = $1 ORDER BY seq, id`, [runId])).rows.map(rowToJob));
+}
+
+/** Dead-lettered jobs, newest first. */
+async function listDeadLetters({ stream, limit = 50 } = {}) {
+  const lim = Math.max(1, Math.min(500, parseInt(limit, 10) || 50));
+  if (!getPool()) {
+    return [...memory.jobs.values()].reverse()
+      .filter((r) => r.status === 'dead' && (stream === undefined || r.stream === stream))
+      .sort((a, b) => b.finished_at - a.finished_at).slice(0, lim).map(rowToJob);
+  }
+  return withClient(async (c) => (await c.query(
+    `SELECT * FROM smart_resume_jobs WHERE status = 'dead' AND ($1::int IS NULL OR stream = $1)
+      ORDER BY finished_at DESC LIMIT $2`, [stream === undefined ? null : stream, lim])).rows.map(rowToJob));
+}
+
+/**
+ * Put a dead-lettered job back on the queue with a fresh set of attempts. It runs with its
+ * stream's next smart resume pass, alongside that pass's own jobs.
+ * @returns {Promise<Object|null>} the job, or null if it isn't dead
+ */
+async function retryDeadLetter(id) {
+  if (!getPool()) {
+    const row = memory.jobs.get(Number(id));
+    if (!row || row.status !== 'dead') return null;
+    const now = new Date(clock());
+    Object.assign(row, { status: 'pending', attempts: 0, available_at: now, updated_at: now, finished_at: null });
+    return rowToJob(row);
+  }
+  return withClient(async (c) => rowToJob((await c.query(
+    `UPDATE smart_resume_jobs
+        SET status = 'pending', attempts = 0, available_at = now(), updated_at = now(), finished_at = NULL
+      WHERE id = $1 AND status = 'dead'
+      RETURNING *`, [Number(id)])).rows[0]));
+}
+
+/** Job counts by status, optionally for one stream: { pending, dispatching, dispatched, dead }. */
+async function getQueueStats({ stream } = {}) {
+  const counts = { pending: 0, dispatching: 0, dispatched: 0, dead: 0 };
+  if (!getPool()) {
+    for (const r of memory.jobs.values()) {
+      if (stream === undefined || r.stream === stream) counts[r.status] = (counts[r.status] || 0) + 1;
+    }
+    return counts;
+  }
+  const rows = await withClient(async (c) => (await c.query(
+    `SELECT status, count(*)::int AS n FROM smart_resume_jobs WHERE ($1::int IS NULL OR stream = $1) GROUP BY status`,
+    [stream === undefined ? null : stream])).rows);
+  for (const r of rows) counts[r.status] = r.n;
+  return counts;
+}
+
+/**
+ * Work the stream's queue until nothing is claimable. Waits out backoffs that end before
+ * `maxRunMs` is up; jobs still backing off after that stay pending for the next pass.
+ * @param {Object} opts
+ * @param {number} opts.stream
+ * @param {string} opts.workerId
+ * @param {(job: Object) => Promise<Object>} opts.handler - resolves the job's result, throws to fail it
+ * @param {number} [opts.concurrency] - jobs in flight at once for this worker
+ * @param {number} [opts.perClientLimit]
+ * @param {number} [opts.visibilityMs]
+ * @param {number} [opts.maxRunMs=1800000]
+ * @param {Object} [opts.logger]
+ * @param {(ms: number) => Promise} [opts.sleep] - test seam
+ * @returns {Promise<{ attempted: number, dispatched: number, retried: number, dead: number, lost: number }>}
+ */
+async function drain({ stream, workerId, handler, concurrency, perClientLimit, visibilityMs, maxRunMs = 30 * 60 * 1000, logger, sleep }) {
+  const cfg = getConfig();
+  const width = concurrency || cfg.concurrency;
+  const wait = sleep || ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+  const deadline = clock() + maxRunMs;
+  const stats = { attempted: 0, dispatched: 0, retried: 0, dead: 0, lost: 0 };
+  const inFlight = new Set();
+
+  const runOne = async (job) => {
+    stats.attempted++;
+    let result;
+    try {
+      result = await handler(job);
+    } catch (e) {
+      const failed = await failJob(job, e);
+      if (!failed) stats.lost++;
+      else if (failed.status === 'dead') stats.dead++;
+      else stats.retried++;
+      if (logger) logger.warn(`Job ${job.id} ${job.clientId}/${job.operation} attempt ${job.attempts}/${job.maxAttempts} failed: ${e.message}${failed && failed.status === 'pending' ? ` — retry at ${failed.availableAt}` : failed ? ' — dead-lettered' : ''}`);
+      return;
+    }
+    if (await completeJob(job, result || null)) stats.dispatched++;
+    else stats.lost++;
+  };
+
+  for (;;) {
+    while (inFlight.size < width) {
+      const job = await claimNext({ stream, workerId, visibilityMs, perClientLimit });
+      if (!job) break;
+      const p = runOne(job).catch((e) => { if (logger) logger.error(`Job ${job.id} bookkeeping failed: ${e.message}`); })
+        .finally(() => inFlight.delete(p));
+      inFlight.add(p);
+    }
+    if (inFlight.size) {
+      await Promise.race(inFlight);
+      continue;
+    }
+    const next = await nextAvailableAt(stream);
+    if (next === null || next > deadline) break;
+    // A past `next` means the job is pending but its client is at the limit (another worker)
+    await wait(Math.max(1000, next - clock() + 50));
+  }
+  return stats;
+}
+
+module.exports = {
+  OPERATIONS,
+  getConfig,
+  backoffMs,
+  enqueueRun,
+  reapExpired,
+  claimNext,
+  completeJob,
+  failJob,
+  nextAvailableAt,
+  listRunJobs,
+  listDeadLetters,
+  retryDeadLetter,
+  getQueueStats,
+  drain,
+  __setTestPool,
+  __setClock,
+};
@@ -0,0 +1,250 @@
+/**
+ * Thanks-for-Connecting drafts — a pre-written thank-you note on every worklist item.
+ *
+ * The worklist (routes/thanksForConnectingRoutes.js) used to hand the coach a name and a profile
+ * link; writing the note was still the slow part. Now each outstanding connection gets a draft
+ * written from the lead's profile (Leads record: headline, title, company, About) and the
+ * client's own Wingguy rulebook (wingguyRulesStore.renderRulesBlock, 'outreach' context — the
+ * same lane the extension's /draft-thanks reads), so the coach copies, tweaks and sends.
+ *
+ * Drafting is PREFILLED in the background when the worklist loads (a few at a time, oldest
+ * connections first, one run per client at once) and can be (re)generated on demand for one
+ * lead. Billing follows config/anthropicClient.resolveClientAnthropic: a client without their
+ * own key (and not on a managed plan) simply gets no drafts — never the platform key.
+ *
+ * Table (same Postgres as the recall_* store):
+ *   thanks_drafts — client_id, lead_id (PK pair), draft, model, rule_count, created_at
+ *
+ * No DATABASE_URL => an in-process Map (works locally, lost on restart).
+ * House style: savedSearchStore.js (lazy Pool, ensureSchema CREATE-IF-NOT-EXISTS, no migrations).
+ */
+
+const { Pool } = require('pg');
+const { LEAD_FIELDS } = require('../constants/airtableUnifiedConstants');
+
+const MODEL_ID = process.env.WINGGUY_DRAFT_MODEL_ID || 'claude-sonnet-4-6';
+const DRAFT_MAX_TOKENS = 700;   // a thanks-for-connecting note is short
+const ABOUT_CHAR_CAP = 4000;    // About can be long; bound input cost
+const PREFILL_LIMIT = Math.max(0, parseInt(process.env.THANKS_DRAFT_PREFILL || '10', 10) || 0);
+
+let pool;
+let schemaEnsured = false;
+const memory = new Map(); // `${clientId}|${leadId}` -> row
+const prefillRunning = new Set(); // clientIds with a background prefill in flight
+
+function getPool() {
+  if (pool) return pool;
+  const url = (process.env.DATABASE_URL || '').trim();
+  if (!url) return null;
+  pool = new Pool({ connectionString: url, ssl: { rejectUnauthorized: false } });
+  return pool;
+}
+
+/** Test seam: inject a fake pool (unit tests never touch a real database). */
+function __setTestPool(fake) {
+  pool = fake;
+  schemaEnsured = fake ? true : false;
+  memory.clear();
+  prefillRunning.clear();
+}
+
+async function ensureSchema(client) {
+  if (schemaEnsured) return;
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS thanks_drafts (
+      client_id   TEXT NOT NULL,
+      lead_id     TEXT NOT NULL,
+      draft       TEXT NOT NULL,
+      model       TEXT,
+      rule_count  INTEGER,
+      created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+      PRIMARY KEY (client_id, lead_id)
+    );
+  `);
+  schemaEnsured = true;
+}
+
+async function withClient(fn) {
+  const client = await getPool().connect();
+  try {
+    await ensureSchema(client);
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+}
+
+const iso = (v) => (v instanceof Date ? v.toISOString() : v);
+
+function fromRow(r) {
+  return { leadId: r.lead_id, draft: r.draft, model: r.model || null, ruleCount: r.rule_count ?? null, createdAt: iso(r.created_at) };
+}
+
+/** Stored drafts for these leads. @returns {Promise<Map<string, Object>>} leadId -> draft */
+async function getDrafts(clientId, leadIds) {
+  const out = new Map();
+  const ids = [...new Set((leadIds || []).filter(Boolean))];
+  if (!clientId || !ids.length) return out;
+  if (!getPool()) {
+    for (const id of ids) {
+      const r = memory.get(`${clientId}|${id}`);
+      if (r) out.set(id, fromRow(r));
+    }
+    return out;
+  }
+  return withClient(async (c) => {
+    const r = await c.query(`SELECT * FROM thanks_drafts WHERE client_id = $1 AND lead_id = ANY($2::text[])`, [clientId, ids]);
+    for (const row of r.rows) out.set(row.lead_id, fromRow(row));
+    return out;
+  });
+}
+
+async function saveDraft(clientId, leadId, { draft, model = null, ruleCount = null }) {
+  const row = { client_id: clientId, lead_id: leadId, draft, model, rule_count: ruleCount, created_at: new Date() };
+  if (!getPool()) {
+    memory.set(`${clientId}|${leadId}`, row);
+    return fromRow(row);
+  }
+  return withClient(async (c) => fromRow((await c.query(
+    `INSERT INTO thanks_drafts (client_id, lead_id, draft, model, rule_count)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (client_id, lead_id)
+     DO UPDATE SET draft = EXCLUDED.draft, model = EXCLUDED.model, rule_count = EXCLUDED.rule_count, created_at = now()
+     RETURNING *`,
+    [clientId, leadId, draft, model, ruleCount])).rows[0]));
+}
+
+/**
+ * The profile block the model drafts from — curated Leads fields only.
+ * @param {Object} fields Airtable Leads fields
+ * @returns {string} '' when there is nothing to go on
+ */
+function buildLeadProfileBlock(fields = {}) {
+  const lines = [];
+  const add = (label, val) => {
+    const v = (val == null ? '' : String(val)).trim();
+    if (v) lines.push(`${label}: ${v}`);
+  };
+  add('Name', [fields[LEAD_FIELDS.FIRST_NAME], fields[LEAD_FIELDS.LAST_NAME]].filter(Boolean).join(' '));
+  add('Headline', fields[LEAD_FIELDS.HEADLINE]);
+  add('Job title', fields[LEAD_FIELDS.JOB_TITLE]);
+  add('Company', fields[LEAD_FIELDS.COMPANY_NAME]);
+  add('Location', fields[LEAD_FIELDS.LOCATION]);
+  if (fields[LEAD_FIELDS.ABOUT]) add('About (their own words)', String(fields[LEAD_FIELDS.ABOUT]).slice(0, ABOUT_CHAR_CAP));
+  return lines.join('\n');
+}
+
+// Trailing "Note: …" / *italic aside* lines the model sometimes appends — same trim as the
+// extension's /draft-thanks (routes/wingguyRoutes.js stripMetaCommentary).
+function stripTrailingNotes(text) {
+  const lines = String(text || '').split('\n');
+  while (lines.length) {
+    const last = lines[lines.length - 1].trim();
+    if (last === '' || /^[*_(\[]*\s*note\b/i.test(last) || /^\*.*\*$/.test(last)) { lines.pop(); continue; }
+    break;
+  }
+  return lines.join('\n').trim();
+}
+
+/**
+ * Write (or rewrite) one lead's thank-you draft and store it.
+ * @param {Object} opts
+ * @param {Object} opts.client   clientService record (billing lane + tenant id)
+ * @param {string} opts.leadId
+ * @param {Object} opts.fields   the lead's Airtable fields
+ * @param {Object} [opts.llm]    Anthropic client; resolved from the client record when omitted
+ * @returns {Promise<Object>} the stored draft
+ * Throws with code 'no_key' (client can't be drafted for) or 'no_profile'.
+ */
+async function draftForLead({ client, leadId, fields, llm }) {
+  const tenantId = client && client.clientId;
+  if (!llm) {
+    const { resolveClientAnthropic } = require('../config/anthropicClient');
+    const lane = resolveClientAnthropic(client);
+    if (!lane.llm) throw Object.assign(new Error(lane.message), { code: 'no_key' });
+    llm = lane.llm;
+  }
+  const profile = buildLeadProfileBlock(fields);
+  if (!profile) throw Object.assign(new Error('No profile data on this lead to draft from.'), { code: 'no_profile' });
+
+  // Rulebook first; a store outage drafts with the plain harness rather than failing the queue.
+  const { STORE_DRAFT_HARNESS } = require('./wingguyRulesSource');
+  let rules = { text: '', ruleCount: 0 };
+  try {
+    rules = await require('./wingguyRulesStore').renderRulesBlock({ tenantId, contexts: ['outreach'] });
+  } catch (e) {
+    console.warn(`[thanksDraft] rules render failed for ${tenantId} (drafting with plain voice): ${e.message}`);
+  }
+  const system = [{ type: 'text', text: STORE_DRAFT_HARNESS }];
+  if (rules.text) system.push({ type: 'text', text: `THE COACH'S RULEBOOK:\n\n${rules.text}`, cache_control: { type: 'ephemeral', ttl: '1h' } });
+
+  const response = await llm.messages.create({
+    model: MODEL_ID,
+    max_tokens: DRAFT_MAX_TOKENS,
+    system,
+    messages: [{
+      role: 'user',
+      content: `This person just accepted a LinkedIn connection. Draft the thanks-for-connecting message. ` +
+        `Ground every detail in what's below; if a hook isn't clearly here, stay warm and generic rather than inventing one.\n\nPROFILE:\n${profile}`,
+    }],
+  });
+  const draft = stripTrailingNotes((response.content || []).filter((b) => b.type === 'text').map((b) => b.text).join(''));
+  if (!draft) throw new Error('Claude returned an empty draft.');
+  return saveDraft(tenantId, leadId, { draft, model: MODEL_ID, ruleCount: rules.ruleCount ?? null });
+}
+
+/**
+ * Background prefill: draft up to `limit` of these worklist items that have no draft yet, one at
+ * a time. At most one run per client; a key/billing failure ends the run (every later call would
+ * fail the same way). Never throws — call without await.
+ * @param {Object} opts
+ * @param {Object} opts.client  clientService record
+ * @param {Function} opts.base  the client's Airtable base
+ * @param {Array<{id: string}>} opts.items  outstanding worklist items, in drafting priority order
+ * @returns {Promise<{ drafted: number, skipped?: string }>}
+ */
+async function prefillDrafts({ client, base, items, limit = PREFILL_LIMIT }) {
+  const clientId = client && client.clientId;
+  if (!clientId || !limit || prefillRunning.has(clientId)) return { drafted: 0, skipped: 'busy' };
+  prefillRunning.add(clientId);
+  let drafted = 0;
+  try {
+    const { resolveClientAnthropic, anthropicKeyError } = require('../config/anthropicClient');
+    const lane = resolveClientAnthropic(client);
+    if (!lane.llm) return { drafted, skipped: 'no_key' };
+
+    const existing = await getDrafts(clientId, items.map((it) => it.id));
+    const todo = items.filter((it) => !existing.has(it.id)).slice(0, limit);
+    for (const it of todo) {
+      try {
+        const rec = await base('Leads').find(it.id);
+        await draftForLead({ client, leadId: it.id, fields: rec.fields || {}, llm: lane.llm });
+        drafted++;
+      } catch (e) {
+        if (e.code === 'no_profile') continue;
+        console.warn(`[thanksDraft] prefill draft failed for ${clientId}/${it.id}: ${e.message}`);
+        if (anthropicKeyError(e)) break;
+      }
+    }
+    return { drafted };
+  } catch (e) {
+    console.warn(`[thanksDraft] prefill failed for ${clientId}: ${e.message}`);
+    return { drafted };
+  } finally {
+    prefillRunning.delete(clientId);
+  }
+}
+
+/** Whether a background prefill is running for this client (the UI shows "drafting…"). */
+const isPrefilling = (clientId) => prefillRunning.has(clientId);
+
+module.exports = {
+  getDrafts,
+  saveDraft,
+  draftForLead,
+  prefillDrafts,
+  isPrefilling,
+  buildLeadProfileBlock,
+  PREFILL_LIMIT,
+  __setTestPool,
+};
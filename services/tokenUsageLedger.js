@@ -0,0 +1,181 @@
+/**
+ * Token usage ledger — one row per AI call, per client, so budgets can be enforced on real
+ * numbers instead of a five-minute in-memory cache (services/costGovernanceService.js).
+ *
+ * Every AI caller records into this through costGovernanceService.recordAiUsage():
+ *   lead_scoring (batchScorer) · post_scoring (postBatchScorer) · rescore · smart_followup ·
+ *   meeting_summary (recallSummaryService) · wingguy_chat.
+ *
+ * Table (same Postgres as the recall_* store):
+ *   ai_token_usage — client_id, feature, provider, model, input/output/total tokens, cost_usd,
+ *                    run_id, usage_day (UTC date — matches costGovernanceService.getDateKeys)
+ *
+ * Daily/monthly totals and the feature × model breakdown are plain SUM/GROUP BY queries over an
+ * index on (client_id, usage_day). No DATABASE_URL => an in-process array (works locally, lost on
+ * restart), so the callers never have to care.
+ *
+ * House style: recallWebhookDb.js (lazy Pool, ensureSchema CREATE-IF-NOT-EXISTS, no migrations).
+ */
+
+const { Pool } = require('pg');
+
+let pool;
+let schemaEnsured = false;
+const memory = [];
+
+function getPool() {
+  if (pool) return pool;
+  const url = (process.env.DATABASE_URL || '').trim();
+  if (!url) return null;
+  pool = new Pool({ connectionString: url, ssl: { rejectUnauthorized: false } });
+  return pool;
+}
+
+/** Test seam: inject a fake pool (unit tests never touch a real database). */
+function __setTestPool(fake) {
+  pool = fake;
+  schemaEnsured = fake ? true : false;
+  memory.length = 0;
+}
+
+async function ensureSchema(client) {
+  if (schemaEnsured) return;
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ai_token_usage (
+      id            BIGSERIAL PRIMARY KEY,
+      client_id     TEXT NOT NULL,
+      feature       TEXT NOT NULL,
+      provider      TEXT,
+      model         TEXT,
+      input_tokens  INTEGER NOT NULL DEFAULT 0,
+      output_tokens INTEGER NOT NULL DEFAULT 0,
+      total_tokens  INTEGER NOT NULL DEFAULT 0,
+      cost_usd      NUMERIC(12, 6) NOT NULL DEFAULT 0,
+      run_id        TEXT,
+      usage_day     DATE NOT NULL,
+      created_at    TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_ai_token_usage_client_day ON ai_token_usage (client_id, usage_day);`);
+  schemaEnsured = true;
+}
+
+async function withClient(fn) {
+  const client = await getPool().connect();
+  try {
+    await ensureSchema(client);
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+}
+
+const utcDay = (d = new Date()) => d.toISOString().split('T')[0];
+
+/**
+ * Append one usage event. `costUsd` is computed by the caller (costGovernanceService owns pricing).
+ * @returns {Promise<Object>} the stored event
+ */
+async function recordUsageEvent({ clientId, feature, provider = null, model = null, inputTokens = 0, outputTokens = 0, totalTokens = null, costUsd = 0, runId = null }) {
+  const input = Math.max(0, Math.round(Number(inputTokens) || 0));
+  const output = Math.max(0, Math.round(Number(outputTokens) || 0));
+  const evt = {
+    clientId, feature, provider, model,
+    inputTokens: input,
+    outputTokens: output,
+    totalTokens: totalTokens === null || totalTokens === undefined ? input + output : Math.max(0, Math.round(Number(totalTokens) || 0)),
+    costUsd: Number(costUsd) || 0,
+    runId,
+    usageDay: utcDay(),
+    createdAt: new Date().toISOString(),
+  };
+  if (!getPool()) {
+    memory.push(evt);
+    return evt;
+  }
+  await withClient((c) => c.query(
+    `INSERT INTO ai_token_usage (client_id, feature, provider, model, input_tokens, output_tokens, total_tokens, cost_usd, run_id, usage_day)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [evt.clientId, evt.feature, evt.provider, evt.model, evt.inputTokens, evt.outputTokens, evt.totalTokens, evt.costUsd, evt.runId, evt.usageDay]));
+  return evt;
+}
+
+/**
+ * Today's and this month's totals for a client.
+ * @param {string} clientId
+ * @param {{ today: string, thisMonth: string }} keys - from costGovernanceService.getDateKeys()
+ * @returns {Promise<{ dailyTokens:number, monthlyTokens:number, dailyCost:number, monthlyCost:number }>}
+ */
+async function getUsageTotals(clientId, { today, thisMonth }) {
+  if (!getPool()) {
+    const out = { dailyTokens: 0, monthlyTokens: 0, dailyCost: 0, monthlyCost: 0 };
+    for (const e of memory) {
+      if (e.clientId !== clientId || !e.usageDay.startsWith(thisMonth)) continue;
+      out.monthlyTokens += e.totalTokens;
+      out.monthlyCost += e.costUsd;
+      if (e.usageDay === today) { out.dailyTokens += e.totalTokens; out.dailyCost += e.costUsd; }
+    }
+    return out;
+  }
+  return withClient(async (c) => {
+    const r = (await c.query(
+      `SELECT COALESCE(SUM(total_tokens) FILTER (WHERE usage_day = $2::date), 0) AS daily_tokens,
+              COALESCE(SUM(cost_usd)     FILTER (WHERE usage_day = $2::date), 0) AS daily_cost,
+              COALESCE(SUM(total_tokens), 0) AS monthly_tokens,
+              COALESCE(SUM(cost_usd), 0)     AS monthly_cost
+         FROM ai_token_usage
+        WHERE client_id = $1 AND usage_day >= $3::date AND usage_day < ($3::date + INTERVAL '1 month')`,
+      [clientId, today, `${thisMonth}-01`])).rows[0];
+    return {
+      dailyTokens: Number(r.daily_tokens) || 0,
+      monthlyTokens: Number(r.monthly_tokens) || 0,
+      dailyCost: Number(r.daily_cost) || 0,
+      monthlyCost: Number(r.monthly_cost) || 0,
+    };
+  });
+}
+
+/**
+ * Usage for a client between two UTC days (inclusive), grouped by feature × provider × model.
+ * @returns {Promise<Array<{ feature, provider, model, calls, inputTokens, outputTokens, totalTokens, costUsd }>>}
+ *          sorted by totalTokens, largest first
+ */
+async function getUsageBreakdown(clientId, { from, to }) {
+  let rows;
+  if (!getPool()) {
+    const groups = new Map();
+    for (const e of memory) {
+      if (e.clientId !== clientId || e.usageDay < from || e.usageDay > to) continue;
+      const key = `${e.feature}|${e.provider}|${e.model}`;
+      const g = groups.get(key) || { feature: e.feature, provider: e.provider, model: e.model, calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0 };
+      g.calls++;
+      g.inputTokens += e.inputTokens;
+      g.outputTokens += e.outputTokens;
+      g.totalTokens += e.totalTokens;
+      g.costUsd += e.costUsd;
+      groups.set(key, g);
+    }
+    rows = [...groups.values()];
+  } else {
+    rows = await withClient(async (c) => (await c.query(
+      `SELECT feature, provider, model, COUNT(*) AS calls,
+              SUM(input_tokens) AS input_tokens, SUM(output_tokens) AS output_tokens,
+              SUM(total_tokens) AS total_tokens, SUM(cost_usd) AS cost_usd
+         FROM ai_token_usage
+        WHERE client_id = $1 AND usage_day BETWEEN $2::date AND $3::date
+        GROUP BY feature, provider, model`,
+      [clientId, from, to])).rows.map((r) => ({
+      feature: r.feature, provider: r.provider, model: r.model, calls: Number(r.calls) || 0,
+      inputTokens: Number(r.input_tokens) || 0, outputTokens: Number(r.output_tokens) || 0,
+      totalTokens: Number(r.total_tokens) || 0, costUsd: Number(r.cost_usd) || 0,
+    })));
+  }
+  return rows.sort((a, b) => b.totalTokens - a.totalTokens);
+}
+
+module.exports = {
+  recordUsageEvent,
+  getUsageTotals,
+  getUsageBreakdown,
+  __setTestPool,
+};
@@ -0,0 +1,355 @@
+/**
+ * Top Scoring Leads batch history — numbered, per-client record of every LinkedHelper batch.
+ *
+ * The Airtable side of a batch is just two fields on Leads ('Temp LH Batch Status' while staged,
+ * 'Date Added to LH Campaign' once finalized), so before this store only the current batch
+ * existed and "what did we send in batch 7, at what threshold?" had no answer. Now:
+ *   POST /batch/select   -> recordSelection(): one open draft per client (threshold + filters)
+ *   POST /batch/finalize -> finalizeBatch(): the draft gets the next batch number and the export
+ *                           payload (one row per lead), so it can be re-exported or diffed later
+ *   POST /batch/reset    -> discardOpenBatch(): the draft is dropped, no number is used up
+ * and recentLeadIds() backs the "not in a batch within N days" guard on the eligible routes.
+ *
+ * Tables (same Postgres as the recall_* store):
+ *   top_lead_batches      — client_id, batch_no (null while open), status, threshold, filters,
+ *                           selected_count, lead_count, created_at, finalized_at
+ *   top_lead_batch_leads  — batch_id, client_id, lead_id, position, score, first_name, last_name,
+ *                           linkedin_url, finalized_at (denormalised for the N-day lookup)
+ *
+ * No DATABASE_URL => in-process arrays (works locally, lost on restart).
+ * House style: savedSearchStore.js (lazy Pool, ensureSchema CREATE-IF-NOT-EXISTS, no migrations).
+ */
+
+const { Pool } = require('pg');
+
+const STATUS_OPEN = 'selected';
+const STATUS_FINALIZED = 'finalized';
+
+let pool;
+let schemaEnsured = false;
+const memory = { batches: [], leads: [] };
+let memorySeq = 0;
+
+function getPool() {
+  if (pool) return pool;
+  const url = (process.env.DATABASE_URL || '').trim();
+  if (!url) return null;
+  pool = new Pool({ connectionString: url, ssl: { rejectUnauthorized: false } });
+  return pool;
+}
+
+/** Test seam: inject a fake pool (unit tests never touch a real database). */
+function __setTestPool(fake) {
+  pool = fake;
+  schemaEnsured = fake ? true : false;
+  memory.batches.length = 0;
+  memory.leads.length = 0;
+  memorySeq = 0;
+}
+
+async function ensureSchema(client) {
+  if (schemaEnsured) return;
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS top_lead_batches (
+      id              BIGSERIAL PRIMARY KEY,
+      client_id       TEXT NOT NULL,
+      batch_no        INTEGER,
+      status          TEXT NOT NULL,
+      threshold       NUMERIC,
+      filters         JSONB NOT NULL DEFAULT '{}'::jsonb,
+      selected_count  INTEGER NOT NULL DEFAULT 0,
+      lead_count      INTEGER NOT NULL DEFAULT 0,
+      created_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+      finalized_at    TIMESTAMPTZ
+    );
+  `);
+  await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_top_lead_batches_no ON top_lead_batches (client_id, batch_no) WHERE batch_no IS NOT NULL;`);
+  await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_top_lead_batches_open ON top_lead_batches (client_id) WHERE status = '${STATUS_OPEN}';`);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS top_lead_batch_leads (
+      batch_id      BIGINT NOT NULL REFERENCES top_lead_batches(id) ON DELETE CASCADE,
+      client_id     TEXT NOT NULL,
+      lead_id       TEXT NOT NULL,
+      position      INTEGER NOT NULL,
+      score         NUMERIC,
+      first_name    TEXT,
+      last_name     TEXT,
+      linkedin_url  TEXT,
+      finalized_at  TIMESTAMPTZ NOT NULL,
+      PRIMARY KEY (batch_id, lead_id)
+    );
+  `);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_top_lead_batch_leads_recent ON top_lead_batch_leads (client_id, finalized_at);`);
+  schemaEnsured = true;
+}
+
+async function withClient(fn) {
+  const client = await getPool().connect();
+  try {
+    await ensureSchema(client);
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+}
+
+const iso = (v) => (v instanceof Date ? v.toISOString() : v);
+const num = (v) => (v === null || v === undefined || v === '' ? null : Number(v));
+
+function fromRow(r) {
+  return {
+    id: String(r.id),
+    clientId: r.client_id,
+    batchNo: r.batch_no === null || r.batch_no === undefined ? null : Number(r.batch_no),
+    status: r.status,
+    threshold: num(r.threshold),
+    filters: r.filters || {},
+    selectedCount: Number(r.selected_count || 0),
+    leadCount: Number(r.lead_count || 0),
+    createdAt: iso(r.created_at),
+    finalizedAt: iso(r.finalized_at) || null,
+  };
+}
+
+function leadFromRow(r) {
+  return {
+    id: r.lead_id,
+    score: num(r.score),
+    firstName: r.first_name || null,
+    lastName: r.last_name || null,
+    linkedinUrl: r.linkedin_url || null,
+  };
+}
+
+// Only the filters that shaped the selection are kept — the same keys the eligible routes read.
+function cleanFilters(filters = {}) {
+  const out = {};
+  for (const k of ['vintage', 'connectedBefore', 'q', 'savedSearch', 'excludeDays']) {
+    const v = filters[k];
+    if (v !== undefined && v !== null && v !== '') out[k] = v;
+  }
+  return out;
+}
+
+function parseBatchNo(batchNo) {
+  return /^\d+$/.test(String(batchNo || '')) ? Number(batchNo) : null;
+}
+
+/**
+ * Record (or update) the client's open draft after /batch/select staged leads in Airtable.
+ * Replace mode overwrites threshold/filters; append mode keeps the draft's original settings
+ * and only grows the count.
+ * @param {string} clientId
+ * @param {{ threshold?: number, filters?: Object, count: number, append?: boolean }} selection
+ * @returns {Promise<Object>} the open draft
+ */
+async function recordSelection(clientId, { threshold = null, filters = {}, count = 0, append = false }) {
+  if (!clientId) throw new Error('recordSelection: clientId is required');
+  const row = { threshold: num(threshold), filters: cleanFilters(filters), selected_count: Math.max(0, Number(count) || 0) };
+
+  if (!getPool()) {
+    const open = memory.batches.find((m) => m.client_id === clientId && m.status === STATUS_OPEN);
+    if (open) {
+      if (append) open.selected_count += row.selected_count;
+      else Object.assign(open, row, { created_at: new Date() });
+      return fromRow(open);
+    }
+    const created = { id: ++memorySeq, client_id: clientId, batch_no: null, status: STATUS_OPEN, ...row, lead_count: 0, created_at: new Date(), finalized_at: null };
+    memory.batches.push(created);
+    return fromRow(created);
+  }
+
+  return withClient(async (c) => {
+    const r = await c.query(
+      `INSERT INTO top_lead_batches (client_id, status, threshold, filters, selected_count)
+       VALUES ($1, '${STATUS_OPEN}', $2, $3, $4)
+       ON CONFLICT (client_id) WHERE status = '${STATUS_OPEN}'
+       DO UPDATE SET ${append
+         ? 'selected_count = top_lead_batches.selected_count + EXCLUDED.selected_count'
+         : 'threshold = EXCLUDED.threshold, filters = EXCLUDED.filters, selected_count = EXCLUDED.selected_count, created_at = now()'}
+       RETURNING *`,
+      [clientId, row.threshold, JSON.stringify(row.filters), row.selected_count]);
+    return fromRow(r.rows[0]);
+  });
+}
+
+/** The client's open (selected, not yet finalized) draft, or null. */
+async function getOpenBatch(clientId) {
+  if (!getPool()) {
+    const open = memory.batches.find((m) => m.client_id === clientId && m.status === STATUS_OPEN);
+    return open ? fromRow(open) : null;
+  }
+  return withClient(async (c) => {
+    const r = (await c.query(`SELECT * FROM top_lead_batches WHERE client_id = $1 AND status = '${STATUS_OPEN}'`, [clientId])).rows[0];
+    return r ? fromRow(r) : null;
+  });
+}
+
+/** Drop the open draft (/batch/reset). @returns {Promise<boolean>} whether there was one */
+async function discardOpenBatch(clientId) {
+  if (!getPool()) {
+    const i = memory.batches.findIndex((m) => m.client_id === clientId && m.status === STATUS_OPEN);
+    if (i === -1) return false;
+    memory.batches.splice(i, 1);
+    return true;
+  }
+  return withClient(async (c) =>
+    (await c.query(`DELETE FROM top_lead_batches WHERE client_id = $1 AND status = '${STATUS_OPEN}'`, [clientId])).rowCount > 0);
+}
+
+/**
+ * Number the client's open draft (or a fresh record when the leads were staged before this
+ * store existed / without /batch/select) and store its export payload.
+ * @param {string} clientId
+ * @param {{ leads: Array<{id, score?, firstName?, lastName?, linkedinUrl?}>, finalizedAt?: Date }} batch
+ * @returns {Promise<Object|null>} the finalized batch (with leads), or null when leads is empty
+ */
+async function finalizeBatch(clientId, { leads = [], finalizedAt = new Date() }) {
+  if (!clientId) throw new Error('finalizeBatch: clientId is required');
+  const seen = new Set();
+  const unique = (leads || []).filter((l) => l && l.id && !seen.has(l.id) && seen.add(l.id));
+  if (!unique.length) return null;
+
+  if (!getPool()) {
+    let batch = memory.batches.find((m) => m.client_id === clientId && m.status === STATUS_OPEN);
+    if (!batch) {
+      batch = { id: ++memorySeq, client_id: clientId, threshold: null, filters: {}, selected_count: unique.length, created_at: finalizedAt };
+      memory.batches.push(batch);
+    }
+    const maxNo = Math.max(0, ...memory.batches.filter((m) => m.client_id === clientId && m.batch_no).map((m) => m.batch_no));
+    Object.assign(batch, { batch_no: maxNo + 1, status: STATUS_FINALIZED, lead_count: unique.length, finalized_at: finalizedAt });
+    unique.forEach((l, i) => memory.leads.push({
+      batch_id: batch.id, client_id: clientId, lead_id: l.id, position: i, score: num(l.score),
+      first_name: l.firstName || null, last_name: l.lastName || null, linkedin_url: l.linkedinUrl || null, finalized_at: finalizedAt,
+    }));
+    return { ...fromRow(batch), leads: unique.map((l) => leadFromRow({ lead_id: l.id, score: l.score, first_name: l.firstName, last_name: l.lastName, linkedin_url: l.linkedinUrl })) };
+  }
+
+  return withClient(async (c) => {
+    await c.query('BEGIN');
+    try {
+      // Serialise numbering per client; the unique index is the backstop.
+      await c.query(`SELECT pg_advisory_xact_lock(hashtext($1))`, [`top_lead_batches:${clientId}`]);
+      const next = Number((await c.query(`SELECT COALESCE(MAX(batch_no), 0) + 1 AS n FROM top_lead_batches WHERE client_id = $1`, [clientId])).rows[0].n);
+      let r = await c.query(
+        `UPDATE top_lead_batches SET batch_no = $2, status = '${STATUS_FINALIZED}', lead_count = $3, finalized_at = $4
+         WHERE client_id = $1 AND status = '${STATUS_OPEN}' RETURNING *`,
+        [clientId, next, unique.length, finalizedAt]);
+      if (!r.rows.length) {
+        r = await c.query(
+          `INSERT INTO top_lead_batches (client_id, batch_no, status, selected_count, lead_count, created_at, finalized_at)
+           VALUES ($1, $2, '${STATUS_FINALIZED}', $3, $3, $4, $4) RETURNING *`,
+          [clientId, next, unique.length, finalizedAt]);
+      }
+      const batch = r.rows[0];
+      for (let i = 0; i < unique.length; i += 500) {
+        const slice = unique.slice(i, i + 500);
+        const values = [];
+        const params = [];
+        slice.forEach((l, j) => {
+          const p = params.length;
+          values.push(`($${p + 1}, $${p + 2}, $${p + 3}, $${p + 4}, $${p + 5}, $${p + 6}, $${p + 7}, $${p + 8}, $${p + 9})`);
+          params.push(batch.id, clientId, l.id, i + j, num(l.score), l.firstName || null, l.lastName || null, l.linkedinUrl || null, finalizedAt);
+        });
+        await c.query(
+          `INSERT INTO top_lead_batch_leads (batch_id, client_id, lead_id, position, score, first_name, last_name, linkedin_url, finalized_at)
+           VALUES ${values.join(', ')}`, params);
+      }
+      await c.query('COMMIT');
+      return { ...fromRow(batch), leads: unique.map((l) => leadFromRow({ lead_id: l.id, score: l.score, first_name: l.firstName, last_name: l.lastName, linkedin_url: l.linkedinUrl })) };
+    } catch (e) {
+      await c.query('ROLLBACK').catch(() => {});
+      throw e;
+    }
+  });
+}
+
+/** A client's finalized batches, newest first (summaries — no lead payload). */
+async function listBatches(clientId, { limit = 50 } = {}) {
+  const cap = Math.max(1, Math.min(500, Number(limit) || 50));
+  if (!getPool()) {
+    return memory.batches
+      .filter((m) => m.client_id === clientId && m.status === STATUS_FINALIZED)
+      .sort((a, b) => b.batch_no - a.batch_no)
+      .slice(0, cap)
+      .map(fromRow);
+  }
+  return withClient(async (c) => (await c.query(
+    `SELECT * FROM top_lead_batches WHERE client_id = $1 AND status = '${STATUS_FINALIZED}'
+     ORDER BY batch_no DESC LIMIT $2`, [clientId, cap])).rows.map(fromRow));
+}
+
+/** One finalized batch with its leads in export order, or null. */
+async function getBatch(clientId, batchNo) {
+  const no = parseBatchNo(batchNo);
+  if (!no) return null;
+  if (!getPool()) {
+    const m = memory.batches.find((x) => x.client_id === clientId && x.batch_no === no);
+    if (!m) return null;
+    const leads = memory.leads.filter((l) => l.batch_id === m.id).sort((a, b) => a.position - b.position).map(leadFromRow);
+    return { ...fromRow(m), leads };
+  }
+  return withClient(async (c) => {
+    const r = (await c.query(`SELECT * FROM top_lead_batches WHERE client_id = $1 AND batch_no = $2`, [clientId, no])).rows[0];
+    if (!r) return null;
+    const leads = (await c.query(`SELECT * FROM top_lead_batch_leads WHERE batch_id = $1 ORDER BY position`, [r.id])).rows.map(leadFromRow);
+    return { ...fromRow(r), leads };
+  });
+}
+
+/**
+ * Compare two lead lists by record id.
+ * @returns {{ added: Object[], removed: Object[], common: number }} added = in `leads` only,
+ *   removed = in `against` only
+ */
+function diffLeads(leads, against) {
+  const ids = new Set(leads.map((l) => l.id));
+  const againstIds = new Set(against.map((l) => l.id));
+  return {
+    added: leads.filter((l) => !againstIds.has(l.id)),
+    removed: against.filter((l) => !ids.has(l.id)),
+    common: leads.filter((l) => againstIds.has(l.id)).length,
+  };
+}
+
+/**
+ * Diff batch `batchNo` against `againstNo` (default: the batch before it).
+ * @returns {Promise<Object|null>} null when either batch doesn't exist
+ */
+async function diffBatches(clientId, batchNo, againstNo) {
+  const batch = await getBatch(clientId, batchNo);
+  if (!batch) return null;
+  const otherNo = againstNo !== undefined && againstNo !== null && againstNo !== '' ? againstNo : batch.batchNo - 1;
+  const other = await getBatch(clientId, otherNo);
+  if (!other) return null;
+  return { batchNo: batch.batchNo, againstNo: other.batchNo, ...diffLeads(batch.leads, other.leads) };
+}
+
+/**
+ * Lead ids that went out in any of the client's batches finalized in the last `days` days.
+ * @returns {Promise<Set<string>>} empty when days <= 0
+ */
+async function recentLeadIds(clientId, days, now = new Date()) {
+  const d = Number(days);
+  if (!clientId || !Number.isFinite(d) || d <= 0) return new Set();
+  const since = new Date(now.getTime() - d * 24 * 60 * 60 * 1000);
+  if (!getPool()) {
+    return new Set(memory.leads.filter((l) => l.client_id === clientId && l.finalized_at >= since).map((l) => l.lead_id));
+  }
+  return withClient(async (c) => new Set((await c.query(
+    `SELECT DISTINCT lead_id FROM top_lead_batch_leads WHERE client_id = $1 AND finalized_at >= $2`,
+    [clientId, since])).rows.map((r) => r.lead_id)));
+}
+
+module.exports = {
+  recordSelection,
+  getOpenBatch,
+  discardOpenBatch,
+  finalizeBatch,
+  listBatches,
+  getBatch,
+  diffLeads,
+  diffBatches,
+  recentLeadIds,
+  __setTestPool,
+};
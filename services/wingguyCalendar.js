@@ -15,6 +15,7 @@ const { DateTime } = require('luxon');
 const { getTimezoneFromLocation } = require('../linkedin-messaging-followup-next/lib/timezoneFromLocation.js');
 const { getBookingPrefs } = require('../config/wingguyBookingPrefs');
 const { createCalendarEvent, deleteCalendarEvent, getMeetingsInWindow } = require('./calendarProvider');
+const { recordBooking } = require('./guestBookingStore');
 
 const DEFAULT_TZ = 'Australia/Brisbane';
 const DAYS_TO_SCAN = 49;     // ~7 weeks ahead — the visibility CEILING (free/busy fetch window). Widened from 21
@@ -414,6 +415,21 @@ async function createBookingEvent(coach, { startISO, durationMins, leadEmail, le
     reminders,
   });
   if (!result.ok) return { ok: false, error: result.error };
+  // Our own record of the meeting — the private ICS feed lists it with the lead's
+  // portal link. Never throws; the invite has already gone out.
+  await recordBooking({
+    linkKey: `wingguy:${coach.clientId}`,
+    hostClientId: coach.clientId,
+    meetingType: 'wingguy',
+    eventId: result.eventId,
+    provider: result.provider || coach.calendarProvider || null,
+    startAt: start.toISOString(),
+    endAt: end.toISOString(),
+    guestName: leadName || null,
+    guestEmail: leadEmail,
+    guestLinkedIn: leadLinkedIn || null,
+    guestNotes: note ? String(note) : null,
+  });
   return { ok: true, eventId: result.eventId, title: finalTitle, start: start.toISOString(), durationMins: len };
 }
 
@@ -23,6 +23,7 @@ const wingguyCalendar = require('./wingguyCalendar');
 const { getTimezoneFromLocation } = require('../linkedin-messaging-followup-next/lib/timezoneFromLocation.js');
 const wingguyLeads = require('./wingguyLeads');
 const wingguyRules = require('./wingguyRulesMcp');
+const { costGovernanceService, FEATURES, calculateCost } = require('./costGovernanceService');
 
 const MODEL_ID = process.env.WINGGUY_DRAFT_MODEL_ID || 'claude-sonnet-5';
 // Disable thinking for this agentic booking chat: it's latency-sensitive (interactive panel) and the tool
@@ -302,6 +303,12 @@ async function runWingguyChatTurn({ coach, profile = {}, conversation = [], mess
   const updateLeadEmails = deps.updateLeadEmails || wingguyLeads.updateLeadEmails;
   const createLead = deps.createLead || wingguyLeads.createLead;
   const deleteOfferHolds = deps.deleteOfferHolds || wingguyCalendar.deleteOfferHolds;
+  const checkBudget = deps.checkBudget || ((id, opts) => costGovernanceService.checkBudget(id, opts));
+  const recordAiUsage = deps.recordAiUsage || ((evt) => costGovernanceService.recordAiUsage(evt));
+  // Token budget: a coach is waiting, so only the hard limit stops a chat turn (soft limits only
+  // pause unattended batch work). Checked once per turn, not per tool round-trip.
+  const budget = await checkBudget(coach.clientId, { interactive: true });
+  if (!budget.allowed) return { ok: false, error: `Token budget reached — ${budget.reason}`, budgetPaused: true };
   // Mutable so update_lead_email can re-point the invite at a new primary within this turn.
   let currentLeadEmail = leadEmail;
   // Mutable so create_lead can make a record mid-turn and the SAME turn's update_lead_email / book_meeting
@@ -593,6 +600,19 @@ async function runWingguyChatTurn({ coach, profile = {}, conversation = [], mess
       tools: AGENT_TOOLS,
       messages: convo,
     });
+    const usage = response.usage || {};
+    const cacheWrite = usage.cache_creation_input_tokens || 0;
+    const cacheRead = usage.cache_read_input_tokens || 0;
+    await recordAiUsage({
+      clientId: coach.clientId,
+      feature: FEATURES.WINGGUY_CHAT,
+      provider: 'anthropic',
+      model: MODEL_ID,
+      inputTokens: (usage.input_tokens || 0) + cacheWrite + cacheRead,
+      outputTokens: usage.output_tokens || 0,
+      // Cache writes bill at 1.25x and reads at 0.1x of the input rate.
+      costUsd: calculateCost((usage.input_tokens || 0) + 1.25 * cacheWrite + 0.1 * cacheRead, usage.output_tokens || 0, MODEL_ID),
+    });
 
     if (response.stop_reason === 'refusal') {
       return { ok: false, error: 'Claude declined the request.' };
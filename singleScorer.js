@@ -4,12 +4,18 @@ require("dotenv").config();
 const { createLogger } = require('./utils/contextLogger');
 
 const { buildPrompt, slimLead } = require("./promptBuilder");
-const { HarmCategory, HarmBlockThreshold } = require('@google-cloud/vertexai');
+const { promptHash } = require("./scoring");
+const { scoringProviderChain, isProviderConfigured, generateScores } = require('./services/scoringProvider');
 
 const GEMINI_TIMEOUT_MS = Math.max(30000, parseInt(process.env.GEMINI_TIMEOUT_MS || "120000", 10));
 
+/**
+ * Score one lead now. dependencies: { vertexAIClient, geminiModelId, clientId, client?, scoringProvider? }
+ * — the provider chain comes from the client record (passed in, or looked up by clientId) exactly as
+ * batchScorer resolves it; scoringProvider forces the primary (e.g. 'fixture').
+ */
 async function scoreLeadNow(fullLead = {}, dependencies, logger = null) {
-    const { vertexAIClient, geminiModelId, clientId } = dependencies || {};
+    const { vertexAIClient, geminiModelId, clientId, scoringProvider } = dependencies || {};
 
     // Initialize logger if not provided (backward compatibility)
     if (!logger) {
@@ -19,8 +25,15 @@ async function scoreLeadNow(fullLead = {}, dependencies, logger = null) {
 
     logger.info( `Starting single lead scoring for lead: ${fullLead?.id || fullLead?.public_id || 'N/A'}${clientId ? ` (client: ${clientId})` : ''}`);
 
-    if (!vertexAIClient || !geminiModelId) {
-        logger.error('scoreLeadNow', 'vertexAIClient or geminiModelId was not provided');
+    let client = (dependencies && dependencies.client) || null;
+    if (!client && clientId) {
+        try { client = await require('./services/clientService').getClientById(clientId); } catch (_) { /* env/default chain */ }
+    }
+    const aiDependencies = { vertexAIClient, geminiModelId };
+    const providerChain = scoringProviderChain(client, scoringProvider).filter(p => isProviderConfigured(p, aiDependencies));
+
+    if (!providerChain.length) {
+        logger.error('scoreLeadNow', 'No configured scoring provider (vertexAIClient or geminiModelId not provided and no alternative)');
         throw new Error("Gemini client/model dependencies not available for single scoring.");
     }
 
@@ -31,86 +44,64 @@ async function scoreLeadNow(fullLead = {}, dependencies, logger = null) {
     
     const maxOutputForSingleLead = 4096; // Production-appropriate value
 
-    logger.debug( `Calling Gemini for single lead - Model: ${geminiModelId}, Max tokens: ${maxOutputForSingleLead}`);
+    logger.debug( `Calling scoring provider chain [${providerChain.join(' -> ')}] for single lead - Max tokens: ${maxOutputForSingleLead}`);
 
     let rawResponseText = ""; 
     let usageMetadata = {};
     let modelFinishReason = null;
     let modelSafetyRatings = null;
-
-    try {
-        const modelInstanceForRequest = vertexAIClient.getGenerativeModel({
-            model: geminiModelId,
-            systemInstruction: { parts: [{ text: systemInstructionText }] },
-            safetySettings: [
-                { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_NONE },
-                { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_NONE },
-                { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_NONE },
-                { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_NONE },
-            ],
-            generationConfig: {
-                temperature: 0,
-                responseMimeType: "application/json",
-                maxOutputTokens: maxOutputForSingleLead 
-            }
-        });
-
-        const requestPayload = {
-            contents: [{ role: "user", parts: [{ text: userPromptContent }] }],
-        };
-        
-        const callPromise = modelInstanceForRequest.generateContent(requestPayload);
-        const timer = new Promise((_, rej) => setTimeout(() => rej(new Error("Gemini API call timeout for single lead scoring")), GEMINI_TIMEOUT_MS));
-        
-        const result = await Promise.race([callPromise, timer]);
-
-        if (!result || !result.response) {
-            logger.error('scoreLeadNow', 'Gemini API call returned no response object');
-            throw new Error("Gemini API call (singleScorer) returned no response object.");
-        }
-        
-        usageMetadata = result.response.usageMetadata || {}; 
-        const candidate = result.response.candidates?.[0];
-
-        if (!candidate) {
-            const blockReason = result.response.promptFeedback?.blockReason;
-            modelSafetyRatings = result.response.promptFeedback?.safetyRatings;
-            let sf = modelSafetyRatings ? ` SafetyRatings: ${JSON.stringify(modelSafetyRatings)}`:"";
-            if (blockReason) {
-                logger.error('scoreLeadNow', `Gemini API call blocked - Reason: ${blockReason}${sf}`);
-                throw new Error(`Gemini API call (singleScorer) blocked. Reason: ${blockReason}.${sf}`);
-            }
-            logger.error('scoreLeadNow', `Gemini API call returned no candidates${sf}`);
-            throw new Error(`Gemini API call (singleScorer) returned no candidates.${sf}`);
+    let scoredBy = null;
+
+    let lastError = null;
+    for (const provider of providerChain) {
+        try {
+            const result = await generateScores(provider, {
+                systemPrompt: systemInstructionText,
+                userPrompt: userPromptContent,
+                leads: [userLeadData],
+                maxOutputTokens: maxOutputForSingleLead,
+                timeoutMs: GEMINI_TIMEOUT_MS,
+                dependencies: aiDependencies,
+                client
+            });
+            usageMetadata = {
+                promptTokenCount: result.usage.promptTokens,
+                candidatesTokenCount: result.usage.responseTokens,
+                totalTokenCount: result.usage.totalTokens
+            };
+            modelFinishReason = result.finishReason;
+            modelSafetyRatings = result.safetyRatings || null;
+            rawResponseText = result.text || "";
+            scoredBy = { provider, modelId: result.modelId };
+            lastError = null;
+            break;
+        } catch (error) {
+            lastError = error;
+            logger.warn('scoreLeadNow', `Scoring provider ${provider} failed for single lead: ${error.message}`);
         }
+    }
 
-        modelFinishReason = candidate.finishReason;
-        modelSafetyRatings = candidate.safetyRatings;
-
-        if (candidate.content && candidate.content.parts && candidate.content.parts[0].text) {
-            rawResponseText = candidate.content.parts[0].text;
-        } else {
-            logger.warn('scoreLeadNow', `Candidate had no text content - Finish Reason: ${modelFinishReason || 'Unknown'}`);
-        }
+    if (lastError) {
+        logger.error('scoreLeadNow', `Scoring failed on every provider [${providerChain.join(' -> ')}] for single lead: ${lastError.message}. Profile ID: ${fullLead.id || fullLead.public_id || 'N/A'}`);
+        lastError.finishReason = modelFinishReason;
+        lastError.safetyRatings = modelSafetyRatings;
+        throw lastError;
+    }
 
-        if (modelFinishReason === 'MAX_TOKENS') {
-            logger.warn('scoreLeadNow', `Gemini API call finished due to MAX_TOKENS (limit: ${maxOutputForSingleLead}) - Output may be truncated. SafetyRatings: ${JSON.stringify(modelSafetyRatings)}`);
-            if (rawResponseText.trim() === "") {
-                 logger.error('scoreLeadNow', 'MAX_TOKENS finish reason AND no text content returned - will likely cause parsing error');
-            }
-        } else if (modelFinishReason && modelFinishReason !== 'STOP') {
-            logger.warn('scoreLeadNow', `Gemini API call finished with non-STOP reason: ${modelFinishReason}. SafetyRatings: ${JSON.stringify(modelSafetyRatings)}`);
+    if (!rawResponseText) {
+        logger.warn('scoreLeadNow', `Candidate had no text content - Finish Reason: ${modelFinishReason || 'Unknown'}`);
+    }
+    if (modelFinishReason === 'MAX_TOKENS') {
+        logger.warn('scoreLeadNow', `${scoredBy.provider} call finished due to MAX_TOKENS (limit: ${maxOutputForSingleLead}) - Output may be truncated. SafetyRatings: ${JSON.stringify(modelSafetyRatings)}`);
+        if (rawResponseText.trim() === "") {
+             logger.error('scoreLeadNow', 'MAX_TOKENS finish reason AND no text content returned - will likely cause parsing error');
         }
-
-    } catch (error) {
-        logger.error('scoreLeadNow', `Gemini API call failed for single lead: ${error.message}. Profile ID: ${fullLead.id || fullLead.public_id || 'N/A'}`);
-        error.finishReason = modelFinishReason;
-        error.safetyRatings = modelSafetyRatings;
-        throw error; 
+    } else if (modelFinishReason && modelFinishReason !== 'STOP') {
+        logger.warn('scoreLeadNow', `${scoredBy.provider} call finished with non-STOP reason: ${modelFinishReason}. SafetyRatings: ${JSON.stringify(modelSafetyRatings)}`);
     }
 
     logger.debug('scoreLeadNow',
-        `TOKENS single lead (Gemini) – Prompt: ${usageMetadata.promptTokenCount || "?"}, ` +
+        `TOKENS single lead (${scoredBy.provider}) – Prompt: ${usageMetadata.promptTokenCount || "?"}, ` +
         `Candidates: ${usageMetadata.candidatesTokenCount || "?"}, Total: ${usageMetadata.totalTokenCount || "?"}`
     );
 
@@ -152,8 +143,11 @@ async function scoreLeadNow(fullLead = {}, dependencies, logger = null) {
             throw new Error("singleScorer: Gemini response format error: Expected array with one item or a single object.");
         }
         
-        // Add token usage information to the result
+        // Add token usage, which provider answered and the prompt fingerprint (same hash as the
+        // batch path stores with its explanations) to the result
         result._tokenUsage = tokenUsageInfo;
+        result._scoredBy = scoredBy;
+        result._promptHash = promptHash(systemInstructionText);
         return result;
     } catch (parseErr) {
         logger.error('scoreLeadNow', `Failed to parse Gemini JSON: ${parseErr.message}. Raw (first 500 chars): ${rawResponseText.substring(0, 500)}... Finish Reason: ${modelFinishReason}`);
@@ -0,0 +1,190 @@
+/**
+ * Tests for adjustment notes, account statements and the financial-year invoice ZIP
+ * (services/invoicePdfService.js, utils/zipArchive.js, routes/billingRoutes.js).
+ *
+ * Covers: the ledger (invoice + payment, one-time charge, refund as adjustment note + refund
+ * paid) and a statement's opening / running / closing balance and GST · adjustment note numbers ·
+ * the three PDFs render · ZIP structure and CRC · the routes end to end against a fake Stripe:
+ * credit-note PDF, statement month validation, FY ZIP contents and summary.csv, and refunds
+ * listed as credit notes. Stripe, clientService and Mailgun are fakes.
+ *
+ * Run: node tests/billing-documents.test.js
+ */
+const assert = require('assert');
+
+let failures = 0;
+const check = async (name, fn) => {
+  try { await fn(); console.log(`  ✓ ${name}`); }
+  catch (e) { failures++; console.error(`  ✗ ${name}\n    ${e.message}`); }
+};
+
+const stub = (relPath, exports) => {
+  const full = require.resolve(relPath);
+  require.cache[full] = { id: full, filename: full, loaded: true, exports };
+};
+
+// --- fakes ---------------------------------------------------------------------------------
+// 2026-01-15 and 2026-02-10 (AEDT), a one-off charge in March, refunded in part in March.
+const INVOICES = [
+  { id: 'in_jan', number: 'ASH-0001', created: 1768435200, status: 'paid', total: 11000, amount_paid: 11000, charge: 'ch_jan',
+    status_transitions: { paid_at: 1768435200 }, lines: { data: [{ description: 'Monthly plan', amount: 11000 }] } },
+  { id: 'in_feb', number: 'ASH-0002', created: 1770681600, status: 'open', total: 11000, amount_paid: 0,
+    lines: { data: [{ description: 'Monthly plan', amount: 11000 }] } },
+];
+const CHARGES = [
+  { id: 'ch_jan', created: 1768435200, amount: 11000, paid: true, status: 'succeeded', amount_refunded: 0, customer: 'cus_1' },
+  { id: 'ch_setup01', created: 1772582400, amount: 22000, paid: true, status: 'succeeded', amount_refunded: 5500,
+    description: 'Setup fee', customer: 'cus_1' },
+];
+const REFUNDS = [
+  { id: 're_abcdef1234', charge: 'ch_setup01', created: 1773014400, amount: 5500, status: 'succeeded', reason: 'requested_by_customer' },
+];
+const CUSTOMER = { id: 'cus_1', name: 'Sally Smith', email: 'sally@example.com' };
+
+const inRange = (items, created) => items.filter((o) => !created || !created.lt || o.created < created.lt);
+const pageable = (data) => {
+  const p = Promise.resolve({ data, has_more: false });
+  p.autoPagingToArray = async () => data;
+  return p;
+};
+const missing = () => Object.assign(new Error('No such object'), { code: 'resource_missing' });
+const fakeStripe = {
+  customers: {
+    list: ({ email }) => pageable(email === CUSTOMER.email ? [CUSTOMER] : []),
+    retrieve: async (id) => { if (id !== CUSTOMER.id) throw missing(); return CUSTOMER; },
+  },
+  invoices: { list: ({ created }) => pageable(inRange(INVOICES, created)) },
+  charges: {
+    list: ({ created }) => pageable(inRange(CHARGES, created)),
+    retrieve: async (id) => { const c = CHARGES.find((x) => x.id === id); if (!c) throw missing(); return c; },
+  },
+  refunds: {
+    list: ({ charge }) => pageable(REFUNDS.filter((r) => r.charge === charge)),
+    retrieve: async (id, opts) => {
+      const r = REFUNDS.find((x) => x.id === id);
+      if (!r) throw missing();
+      return opts && opts.expand ? { ...r, charge: CHARGES.find((c) => c.id === r.charge) } : r;
+    },
+  },
+};
+stub('../config/stripeClient', { stripe: fakeStripe, isStripeAvailable: () => true });
+stub('../services/clientService', {
+  getClientById: async (id) => (id === 'Sally' ? { clientId: 'Sally', clientEmailAddress: CUSTOMER.email } : null),
+});
+stub('../services/emailNotificationService', { sendMailgunEmail: async () => ({ success: true }) });
+
+const pdf = require('../services/invoicePdfService');
+const { createZip, crc32 } = require('../utils/zipArchive');
+
+// Read a STORE zip back: name -> Buffer
+function readZip(buf) {
+  const files = {};
+  let off = 0;
+  while (buf.readUInt32LE(off) === 0x04034b50) {
+    const size = buf.readUInt32LE(off + 18);
+    const nameLen = buf.readUInt16LE(off + 26);
+    const name = buf.slice(off + 30, off + 30 + nameLen).toString('utf8');
+    const data = buf.slice(off + 30 + nameLen, off + 30 + nameLen + size);
+    assert.strictEqual(buf.readUInt32LE(off + 14), crc32(data), `crc of ${name}`);
+    files[name] = data;
+    off += 30 + nameLen + size;
+  }
+  return files;
+}
+
+(async () => {
+  console.log('ledger / statement:');
+  const refunds = REFUNDS.map((r) => ({ ...r, _reference: 'CHG-setup01' }));
+  const entries = pdf.buildLedgerEntries({ invoices: INVOICES, charges: CHARGES.slice(1), refunds });
+  await check('invoices, payments, one-time charges and refunds become ledger rows', () => {
+    assert.deepStrictEqual(entries.map((e) => `${e.type}:${e.reference}`), [
+      'invoice:ASH-0001', 'payment:ASH-0001', 'invoice:ASH-0002',
+      'invoice:CHG-setup01', 'payment:CHG-setup01', 'adjustment:CN-CDEF1234', 'refund:CN-CDEF1234',
+    ]);
+    const adj = entries.find((e) => e.type === 'adjustment');
+    assert.deepStrictEqual([adj.creditCents, adj.gstCents], [5500, -500]);
+    assert.ok(adj.description.includes('CHG-setup01'));
+  });
+  await check('statement carries the opening balance and a running balance', () => {
+    // March 2026 (AEDT): the open February invoice is brought forward
+    const s = pdf.buildStatement(entries, { from: 1772283600, to: 1774962000 });
+    assert.deepStrictEqual([s.openingCents, s.closingCents], [11000, 11000]);
+    assert.deepStrictEqual(s.rows.map((r) => r.balanceCents), [33000, 11000, 5500, 11000]);
+    assert.deepStrictEqual(s.totals, { invoicedCents: 22000, paidCents: 22000, adjustedCents: 5500, refundedCents: 5500, gstCents: 1500 });
+  });
+  await check('adjustment note numbers: Stripe number wins, else CN- and the id tail', () => {
+    assert.strictEqual(pdf.creditNoteNumber({ id: 're_abcdef1234' }), 'CN-CDEF1234');
+    assert.strictEqual(pdf.creditNoteNumber({ id: 're_1', number: 'CN-0007' }), 'CN-0007');
+  });
+  await check('invoice, adjustment note and statement PDFs render', async () => {
+    const note = await pdf.generateCreditNotePdf({
+      id: 're_abcdef1234', created: 1773014400, amount: 5500, reason: 'requested_by_customer',
+      original: { number: 'CHG-setup01', created: 1772582400, description: 'Setup fee' },
+      customer_name: 'Sally Smith', customer_email: 'sally@example.com',
+    });
+    const statement = await pdf.generateStatementPdf({
+      customer: CUSTOMER, periodLabel: 'March 2026', from: 1772283600, to: 1774962000,
+      statement: pdf.buildStatement(entries, { from: 1772283600, to: 1774962000 }),
+    });
+    const invoice = await pdf.generateInvoicePdf({ ...INVOICES[0], customer_name: 'Sally Smith' });
+    for (const b of [note, statement, invoice]) assert.strictEqual(b.slice(0, 4).toString(), '%PDF');
+  });
+
+  console.log('\nzip:');
+  await check('crc32 check value and a readable STORE archive', () => {
+    assert.strictEqual(crc32(Buffer.from('123456789')), 0xCBF43926);
+    const zip = createZip([{ name: 'a/one.txt', data: 'hello' }, { name: 'a/two.bin', data: Buffer.from([0, 1, 2]) }]);
+    const files = readZip(zip);
+    assert.deepStrictEqual(Object.keys(files), ['a/one.txt', 'a/two.bin']);
+    assert.strictEqual(files['a/one.txt'].toString(), 'hello');
+    assert.strictEqual(zip.readUInt16LE(zip.length - 12), 2, 'entry count in the end record');
+  });
+
+  console.log('\nroutes:');
+  const express = require('express');
+  const app = express();
+  app.use(require('../routes/billingRoutes'));
+  const server = await new Promise((resolve) => { const s = app.listen(0, () => resolve(s)); });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const get = (path) => fetch(`${base}${path}`, { headers: { 'x-client-id': 'Sally' } });
+
+  await check('invoice list includes the refund as a credit note', async () => {
+    const data = await (await get('/api/billing/invoices')).json();
+    const cn = data.invoices.find((i) => i.type === 'credit_note');
+    assert.ok(cn, 'credit note listed');
+    assert.deepStrictEqual([cn.status, cn.pdfUrl], ['refunded', '/api/billing/credit-note/re_abcdef1234/pdf']);
+    assert.ok(cn.amount < 0);
+  });
+  await check('credit-note PDF downloads; bad and unknown ids are refused', async () => {
+    const res = await get('/api/billing/credit-note/re_abcdef1234/pdf');
+    assert.strictEqual(res.status, 200);
+    assert.ok(res.headers.get('content-disposition').includes('Adjustment-Note-CN-CDEF1234.pdf'));
+    assert.strictEqual((await get('/api/billing/credit-note/in_jan/pdf')).status, 400);
+    assert.strictEqual((await get('/api/billing/credit-note/re_nope/pdf')).status, 404);
+  });
+  await check('statement PDF for a month; malformed month is a 400', async () => {
+    const res = await get('/api/billing/statement/pdf?month=2026-03');
+    assert.strictEqual(res.status, 200);
+    assert.ok(res.headers.get('content-disposition').includes('Statement-2026-03.pdf'));
+    assert.strictEqual(Buffer.from(await res.arrayBuffer()).slice(0, 4).toString(), '%PDF');
+    assert.strictEqual((await get('/api/billing/statement/pdf?month=March')).status, 400);
+  });
+  await check('FY ZIP holds every document dated in the year plus summary.csv', async () => {
+    const res = await get('/api/billing/invoices/zip?fy=2026');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.get('content-type'), 'application/zip');
+    const files = readZip(Buffer.from(await res.arrayBuffer()));
+    assert.deepStrictEqual(Object.keys(files).sort(), [
+      'Invoices-FY2025-26/Adjustment-Note-CN-CDEF1234.pdf', 'Invoices-FY2025-26/Invoice-ASH-0001.pdf',
+      'Invoices-FY2025-26/Invoice-ASH-0002.pdf', 'Invoices-FY2025-26/Invoice-CHG-setup01.pdf', 'Invoices-FY2025-26/summary.csv',
+    ]);
+    const csv = files['Invoices-FY2025-26/summary.csv'].toString().trim().split('\r\n');
+    assert.strictEqual(csv.length, 5);
+    assert.ok(csv.some((l) => l.includes('Adjustment note,CN-CDEF1234') && l.includes('-55.00,-5.00')), csv.join('\n'));
+    assert.strictEqual((await get('/api/billing/invoices/zip?fy=26')).status, 400);
+  });
+
+  server.close();
+  console.log(failures ? `\n❌ ${failures} test(s) failed` : '\n✅ all billing-documents tests passed');
+  process.exit(failures ? 1 : 0);
+})();
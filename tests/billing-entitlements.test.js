@@ -0,0 +1,228 @@
+/**
+ * Tests for Stripe plan entitlements and metered usage (services/billingEntitlementService.js,
+ * billingUsageStore.js, billingUsageReporter.js), in-memory mode.
+ *
+ * Covers: price/product metadata unioned into entitlements, nothing granted once a subscription
+ * lapses · Master Clients fields (Service Level keeps level 3, credits never lowered, lead_scoring
+ * -> Lead Scoring Enabled) · only declared fields are written and a price without entitlement
+ * metadata is skipped outright · the client
+ * is found by Stripe Customer ID, then by email, and the id is written back · a 'Manual' Billing
+ * Status is left alone · payment_failed re-applies the subscription and flags the client ·
+ * pending usage is claimed into one batch per client × metric and reported once, respects a
+ * period cut-off and keeps units for clients with no customer · a batch sent but not stamped is
+ * re-sent with the same units under the same identifier, units recorded since go in a new batch,
+ * and claimed rows are never claimed again. clientService and Stripe are fakes.
+ *
+ * Run: node tests/billing-entitlements.test.js
+ */
+const assert = require('assert');
+
+delete process.env.DATABASE_URL;
+
+let failures = 0;
+const check = async (name, fn) => {
+  try { await fn(); console.log(`  ✓ ${name}`); }
+  catch (e) { failures++; console.error(`  ✗ ${name}\n    ${e.message}`); }
+};
+
+const stub = (relPath, exports) => {
+  const full = require.resolve(relPath);
+  require.cache[full] = { id: full, filename: full, loaded: true, exports };
+};
+
+// --- fakes ---------------------------------------------------------------------------------
+let CLIENTS = [];
+const writes = [];
+stub('../services/clientService', {
+  getAllClients: async () => CLIENTS,
+  getClientById: async (id) => CLIENTS.find((c) => c.clientId === id) || null,
+  applyBillingEntitlements: async (clientId, fields) => { writes.push({ clientId, fields }); return fields; },
+});
+
+const meterEvents = [];
+const SUBS = {};
+const fakeStripe = {
+  customers: { retrieve: async (id) => ({ id, email: id === 'cus_email' ? 'Sally@Example.com' : null }) },
+  subscriptions: {
+    retrieve: async (id) => {
+      if (!SUBS[id]) throw new Error(`No such subscription: ${id}`);
+      return SUBS[id];
+    },
+  },
+  billing: { meterEvents: { create: async (evt) => { meterEvents.push(evt); return evt; } } },
+};
+
+const ent = require('../services/billingEntitlementService');
+const usage = require('../services/billingUsageStore');
+const { reportPendingUsage } = require('../services/billingUsageReporter');
+
+const sub = (id, status, items, customer = 'cus_1') => ({
+  id, status, customer,
+  items: { data: items.map(([productMd, priceMd]) => ({ price: { metadata: priceMd || {}, product: { metadata: productMd || {} } } })) },
+});
+
+(async () => {
+  console.log('entitlementsFromSubscription / clientFieldsForEntitlements:');
+  await check('price and product metadata are unioned across items', () => {
+    const e = ent.entitlementsFromSubscription(sub('sub_1', 'active', [
+      [{ entitlements: 'lead_scoring, post_scoring' }, { rescore_credits: '300' }],
+      [{ wingguy: 'true' }, { transcript_capture: 'yes', rescore_credits: '100' }],
+    ]));
+    assert.deepStrictEqual(
+      [e.entitled, e.leadScoring, e.postScoring, e.wingguy, e.transcriptCapture, e.rescoreCredits, e.serviceLevel],
+      [true, true, true, true, true, 400, null]);
+    const lapsed = ent.entitlementsFromSubscription(sub('sub_2', 'canceled', [[{ entitlements: 'post_scoring,wingguy' }]]));
+    assert.deepStrictEqual([lapsed.entitled, lapsed.postScoring, lapsed.wingguy, lapsed.status], [false, false, false, 'canceled']);
+  });
+  await check('field rules: level 3 kept, add-ons off when not granted, credits never lowered', () => {
+    const e = ent.entitlementsFromSubscription(sub('sub_1', 'past_due', [[{ entitlements: 'lead_scoring,post_scoring' }, { rescore_credits: '200' }]]));
+    assert.deepStrictEqual(ent.clientFieldsForEntitlements(e, { serviceLevel: 3, rescoreCreditsGranted: 50 }), {
+      'Lead Scoring Enabled': 'Yes', 'Service Level': 3, 'Post Access Enabled': 'Yes', 'Wingguy Enabled': null, 'Rescore Enabled': 'Yes',
+      'Transcript Capture Enabled': 'No', 'Billing Status': 'past_due', 'Rescore Credits Granted': 200,
+    });
+    const basic = ent.entitlementsFromSubscription(sub('sub_1', 'active', [[{ entitlements: 'lead_scoring' }]]));
+    const f = ent.clientFieldsForEntitlements(basic, { serviceLevel: 2, rescoreCreditsGranted: 500 });
+    assert.deepStrictEqual([f['Service Level'], f['Post Access Enabled'], f['Rescore Credits Granted']], [1, null, undefined]);
+    const explicit = ent.entitlementsFromSubscription(sub('sub_1', 'active', [[{ service_level: '3' }]]));
+    assert.strictEqual(ent.clientFieldsForEntitlements(explicit, { serviceLevel: 1 })['Service Level'], 3);
+  });
+
+  console.log('\napplySubscription / applyPaymentFailed:');
+  await check('client found by customer id, else by email (id written back); Manual left alone', async () => {
+    CLIENTS = [
+      { clientId: 'Direct', stripeCustomerId: 'cus_1', serviceLevel: 1 },
+      { clientId: 'ByEmail', clientEmailAddress: 'sally@example.com', serviceLevel: 1 },
+      { clientId: 'Hand', stripeCustomerId: 'cus_manual', billingStatus: 'Manual' },
+    ];
+    writes.length = 0;
+    SUBS.sub_1 = sub('sub_1', 'active', [[{ entitlements: 'post_scoring,wingguy' }]]);
+    const r1 = await ent.applySubscription({ id: 'sub_1', status: 'active', customer: 'cus_1' }, { stripe: fakeStripe });
+    assert.strictEqual(r1.clientId, 'Direct');
+    assert.strictEqual(r1.fields['Wingguy Enabled'], 'Yes', 'expanded product metadata was read');
+    assert.strictEqual(r1.fields['Stripe Customer ID'], undefined);
+
+    SUBS.sub_x = sub('sub_x', 'active', [[{ entitlements: 'lead_scoring' }]], 'cus_email');
+    SUBS.sub_y = sub('sub_y', 'active', [[{ entitlements: 'lead_scoring' }]], 'cus_manual');
+    SUBS.sub_z = sub('sub_z', 'active', [[{ entitlements: 'lead_scoring' }]], 'cus_nobody');
+    const r2 = await ent.applySubscription('sub_x', { stripe: fakeStripe });
+    assert.deepStrictEqual([r2.clientId, r2.fields['Stripe Customer ID']], ['ByEmail', 'cus_email']);
+
+    const r3 = await ent.applySubscription('sub_y', { stripe: fakeStripe });
+    assert.deepStrictEqual([r3.skipped, writes.length], ['manual', 2]);
+    assert.strictEqual((await ent.applySubscription('sub_z', { stripe: fakeStripe })).skipped, 'no_email');
+  });
+  await check('only declared fields are written; lead_scoring maps to Lead Scoring Enabled; no metadata => no write', async () => {
+    CLIENTS = [{ clientId: 'Direct', stripeCustomerId: 'cus_1', serviceLevel: 3, rescoreCreditsGranted: 100 }];
+    writes.length = 0;
+    SUBS.sub_legacy = sub('sub_legacy', 'active', [[{ name: 'Pro plan' }, { nickname: 'monthly' }]]);
+    const legacy = await ent.applySubscription('sub_legacy', { stripe: fakeStripe });
+    assert.deepStrictEqual([legacy.skipped, writes.length], ['no_entitlement_metadata', 0], 'a pre-sync price strips nothing');
+    const legacyFailed = await ent.applyPaymentFailed({ customer: 'cus_1', subscription: 'sub_legacy' }, { stripe: fakeStripe });
+    assert.deepStrictEqual([legacyFailed.skipped, writes.length], ['no_entitlement_metadata', 0]);
+
+    SUBS.sub_addon = sub('sub_addon', 'active', [[{}, { wingguy: 'true' }]]);
+    const addon = await ent.applySubscription('sub_addon', { stripe: fakeStripe });
+    assert.deepStrictEqual(addon.fields, { 'Wingguy Enabled': 'Yes', 'Billing Status': 'active' });
+
+    SUBS.sub_scoring = sub('sub_scoring', 'active', [[{ lead_scoring: 'yes' }]]);
+    assert.deepStrictEqual((await ent.applySubscription('sub_scoring', { stripe: fakeStripe })).fields,
+      { 'Lead Scoring Enabled': 'Yes', 'Billing Status': 'active' });
+    SUBS.sub_scoring = sub('sub_scoring', 'canceled', [[{ lead_scoring: 'yes' }]]);
+    assert.deepStrictEqual((await ent.applySubscription('sub_scoring', { stripe: fakeStripe })).fields,
+      { 'Lead Scoring Enabled': 'No', 'Billing Status': 'canceled' });
+    assert.strictEqual(writes[writes.length - 1].fields['Lead Scoring Enabled'], 'No', 'written through clientService');
+  });
+  await check('payment_failed flags the client and re-applies the subscription as it stands', async () => {
+    writes.length = 0;
+    SUBS.sub_1 = sub('sub_1', 'unpaid', [[{ entitlements: 'post_scoring' }]]);
+    const r = await ent.applyPaymentFailed({ customer: 'cus_1', parent: { subscription_details: { subscription: 'sub_1' } } }, { stripe: fakeStripe });
+    assert.deepStrictEqual([r.fields['Billing Status'], r.fields['Post Access Enabled'], r.fields['Service Level']], ['payment_failed', null, 1]);
+    const oneOff = await ent.applyPaymentFailed({ customer: 'cus_1' }, { stripe: fakeStripe });
+    assert.deepStrictEqual(oneOff.fields, { 'Billing Status': 'payment_failed' });
+  });
+  await check('currentPeriod reads the subscription or, on newer API versions, its items', () => {
+    const p = ent.currentPeriod({ items: { data: [{ current_period_start: 1760000000, current_period_end: 1762600000 }] } });
+    assert.deepStrictEqual([p.start.getTime(), p.end.getTime()], [1760000000000, 1762600000000]);
+    assert.strictEqual(ent.currentPeriod({ items: { data: [] } }), null);
+  });
+
+  console.log('\nusage store / reporter:');
+  await check('pending usage is claimed per client × metric and reported once', async () => {
+    usage.__setTestPool(null);
+    meterEvents.length = 0;
+    CLIENTS = [{ clientId: 'Direct', stripeCustomerId: 'cus_1' }, { clientId: 'NoCustomer' }];
+    await usage.recordUsage({ clientId: 'Direct', metric: usage.METRICS.LEADS_SCORED, quantity: 40, occurredAt: new Date('2026-10-10T01:00:00Z') });
+    await usage.recordUsage({ clientId: 'Direct', metric: usage.METRICS.LEADS_SCORED, quantity: 12, occurredAt: new Date('2026-10-11T01:00:00Z') });
+    await usage.recordUsage({ clientId: 'Direct', metric: usage.METRICS.POSTS_SCORED, quantity: 7, occurredAt: new Date('2026-10-11T02:00:00Z') });
+    await usage.recordUsage({ clientId: 'NoCustomer', metric: usage.METRICS.RESCORE_LEADS, quantity: 5 });
+    assert.strictEqual(await usage.recordUsage({ clientId: 'Direct', metric: 'bogus', quantity: 1 }), null);
+    assert.strictEqual(await usage.recordUsage({ clientId: 'Direct', metric: usage.METRICS.LEADS_SCORED, quantity: 0 }), null);
+
+    const now = new Date('2026-10-19T00:00:00Z');
+    const s = await reportPendingUsage({ stripe: fakeStripe, now });
+    assert.deepStrictEqual([s.reported, s.skipped, s.failed], [2, 1, 0]);
+    const leads = meterEvents.find((e) => e.event_name === 'leads_scored');
+    assert.deepStrictEqual(leads.payload, { stripe_customer_id: 'cus_1', value: '52' });
+    assert.match(leads.identifier, /^Direct:leads_scored:\w+$/);
+    assert.strictEqual(leads.timestamp, Date.parse('2026-10-11T01:00:00Z') / 1000, 'stamped when the units happened');
+
+    const again = await reportPendingUsage({ stripe: fakeStripe, now });
+    assert.deepStrictEqual([again.reported, again.skipped, meterEvents.length], [0, 1, 2], 'nothing sent twice; NoCustomer still pending');
+    const totals = await usage.usageTotals('Direct', { from: new Date('2026-10-01T00:00:00Z'), to: new Date('2026-11-01T00:00:00Z') });
+    assert.deepStrictEqual(totals.leads_scored, { quantity: 52, reported: 52 });
+  });
+  await check('a period cut-off reports only the units before it; a failed send stays pending', async () => {
+    usage.__setTestPool(null);
+    meterEvents.length = 0;
+    CLIENTS = [{ clientId: 'Direct', stripeCustomerId: 'cus_1' }];
+    await usage.recordUsage({ clientId: 'Direct', metric: usage.METRICS.LEADS_SCORED, quantity: 10, occurredAt: new Date('2026-10-31T23:00:00Z') });
+    await usage.recordUsage({ clientId: 'Direct', metric: usage.METRICS.LEADS_SCORED, quantity: 3, occurredAt: new Date('2026-11-01T00:10:00Z') });
+    const now = new Date('2026-11-01T00:30:00Z');
+    await reportPendingUsage({ stripe: fakeStripe, clientId: 'Direct', before: new Date('2026-11-01T00:00:00Z'), now });
+    assert.deepStrictEqual(meterEvents.map((e) => e.payload.value), ['10']);
+    assert.deepStrictEqual((await usage.pendingUsage()).map((g) => g.quantity), [3]);
+
+    const broken = { billing: { meterEvents: { create: async () => { throw new Error('stripe down'); } } } };
+    const s = await reportPendingUsage({ stripe: broken, now });
+    assert.deepStrictEqual([s.failed, (await usage.pendingUsage())[0].quantity], [1, 3]);
+  });
+  await check('a batch sent but not stamped is re-sent as-is; a unit recorded since is a new batch', async () => {
+    usage.__setTestPool(null);
+    meterEvents.length = 0;
+    CLIENTS = [{ clientId: 'Direct', stripeCustomerId: 'cus_1' }];
+    const now = new Date('2026-10-19T00:00:00Z');
+    await usage.recordUsage({ clientId: 'Direct', metric: usage.METRICS.LEADS_SCORED, quantity: 40, occurredAt: new Date('2026-10-18T01:00:00Z') });
+    // Crash between "Stripe accepted" and "rows stamped"
+    const markReported = usage.markReported;
+    usage.markReported = async () => { throw new Error('process killed'); };
+    try {
+      assert.strictEqual((await reportPendingUsage({ stripe: fakeStripe, now })).failed, 1);
+    } finally {
+      usage.markReported = markReported;
+    }
+    await usage.recordUsage({ clientId: 'Direct', metric: usage.METRICS.LEADS_SCORED, quantity: 5, occurredAt: new Date('2026-10-18T02:00:00Z') });
+    const s = await reportPendingUsage({ stripe: fakeStripe, now });
+    assert.deepStrictEqual([s.reported, s.failed], [2, 0]);
+    const [first, resent, fresh] = meterEvents;
+    assert.deepStrictEqual([resent.identifier, resent.payload.value], [first.identifier, '40'], 'same units, same identifier');
+    assert.notStrictEqual(fresh.identifier, first.identifier);
+    assert.strictEqual(fresh.payload.value, '5');
+    const billed = new Map(meterEvents.map((e) => [e.identifier, Number(e.payload.value)]));
+    assert.strictEqual([...billed.values()].reduce((a, b) => a + b, 0), 45, 'Stripe dedupes by identifier: 45 billed, not 85');
+    assert.deepStrictEqual(await usage.pendingUsage(), []);
+  });
+  await check('claimed rows are never claimed twice (cron and invoice flush overlapping)', async () => {
+    usage.__setTestPool(null);
+    await usage.recordUsage({ clientId: 'Direct', metric: usage.METRICS.LEADS_SCORED, quantity: 10, occurredAt: new Date('2026-10-31T23:00:00Z') });
+    const flush = await usage.claimUsage({ clientId: 'Direct', before: new Date('2026-11-01T00:00:00Z') });
+    await usage.recordUsage({ clientId: 'Direct', metric: usage.METRICS.LEADS_SCORED, quantity: 2, occurredAt: new Date('2026-10-31T23:30:00Z') });
+    const cron = await usage.claimUsage();
+    assert.deepStrictEqual([flush.map((b) => b.quantity), cron.map((b) => b.quantity)], [[10], [2]]);
+    assert.notStrictEqual(flush[0].reportId, cron[0].reportId);
+    assert.deepStrictEqual(await usage.claimUsage(), []);
+    assert.deepStrictEqual((await usage.openBatches()).map((b) => b.quantity), [10, 2]);
+  });
+
+  console.log(failures ? `\n❌ ${failures} test(s) failed` : '\n✅ all billing-entitlements tests passed');
+  process.exit(failures ? 1 : 0);
+})();
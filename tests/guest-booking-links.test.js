@@ -0,0 +1,226 @@
+/**
+ * Tests for coach booking links (services/guestBookingToken.js, guestBookingMeetingTypes.js,
+ * guestBookingSlots.js, guestBookingDayFilter.js, guestBookingHosts.js), in-memory mode.
+ *
+ * Covers: host / team / meeting-type token fields and open links · meeting type parsing and
+ * defaults · slot grid (duration, step, buffer, minimum notice, daily cap, guest window) · allowed
+ * weekdays with AU holidays still dropped · team grids merged by guest date · round-robin order
+ * and booking (fresh re-check, fewest recent bookings first, next host on a failed write) ·
+ * minting refuses hosts without a writable calendar · team hosts need mutual Booking Team entries
+ * (checked at mint and again at resolve) and the OAuth host never joins someone else's link.
+ * Calendars, clientService and the event builder are fakes.
+ *
+ * Run: node tests/guest-booking-links.test.js
+ */
+const assert = require("assert");
+
+delete process.env.DATABASE_URL;
+process.env.GUEST_BOOKING_LINK_SECRET = "test-secret-0123456789";
+
+let failures = 0;
+const check = async (name, fn) => {
+  try { await fn(); console.log(`  ✓ ${name}`); }
+  catch (e) { failures++; console.error(`  ✗ ${name}\n    ${e.message}`); }
+};
+
+const stub = (relPath, exports) => {
+  const full = require.resolve(relPath);
+  require.cache[full] = { id: full, filename: full, loaded: true, exports };
+};
+
+// --- fakes ---------------------------------------------------------------------------------
+const CLIENTS = {
+  "Sarah-Jones": { clientId: "Sarah-Jones", clientName: "Sarah Jones", status: "Active", timezone: "Australia/Sydney",
+    clientEmailAddress: "sarah@example.com", airtableBaseId: "appS",
+    bookingMeetingTypes: JSON.stringify([{ key: "strategy", label: "Strategy session", durationMinutes: 60, bufferMinutes: 15 }]),
+    bookingTeam: ["Tom-Lee", "Read-Only", "Guy-Wilson"] },
+  "Tom-Lee": { clientId: "Tom-Lee", clientName: "Tom Lee", status: "Active", timezone: "Australia/Brisbane", clientEmailAddress: "tom@example.com",
+    bookingTeam: ["sarah-jones"] },
+  "Read-Only": { clientId: "Read-Only", clientName: "Rita Only", status: "Active", timezone: "Australia/Sydney", bookingTeam: ["Sarah-Jones"] },
+  "Ann-Out": { clientId: "Ann-Out", clientName: "Ann Out", status: "Active", timezone: "Australia/Sydney", bookingTeam: ["Sarah-Jones"] },
+  "Guy-Wilson": { clientId: "Guy-Wilson", clientName: "Guy Wilson", status: "Active", timezone: "Australia/Brisbane", bookingTeam: ["Sarah-Jones"] },
+};
+const BUSY = { "Sarah-Jones": [], "Tom-Lee": [] };
+const created = [];
+let failWrites = new Set();
+stub("../services/clientService", { getClientById: async (id) => CLIENTS[id] || null });
+stub("../services/wingguyCalendar", {
+  getCoachCalendarInfo: async (id) => ({ clientId: id, calendarProvider: id === "Read-Only" ? null : "unipile", calendarEmail: id === "Read-Only" ? "r@x" : null }),
+  providerForInfo: (info) => (info.calendarEmail ? "google" : info.calendarProvider),
+  coachForCalendar: (info) => ({ clientId: info.clientId, calendarProvider: info.calendarProvider }),
+});
+stub("../services/calendarProvider", {
+  getMeetingsInWindow: async (coach) => ({ events: BUSY[coach.clientId] || [], error: null }),
+  createCalendarEvent: async (coach, d) => {
+    if (failWrites.has(coach.clientId)) return { ok: false, error: "calendar offline" };
+    created.push({ host: coach.clientId, ...d });
+    return { ok: true, eventId: `evt_${created.length}`, htmlLink: "" };
+  },
+});
+stub("../services/calendarOAuthAvailability.js", { getOAuthPrimaryBusy: async () => ({ busy: [] }) });
+stub("../services/calendarOAuthService.js", { createGuestMeeting: async () => ({ id: "oauth_evt" }) });
+stub("../services/guestBookingEventBuilder.js", {
+  DEFAULT_CLIENT_ID: "Guy-Wilson",
+  buildGuestBookingEventDetails: async (o) => ({
+    summary: `${o.leadFullName} and ${o.clientId} ${o.meetingLabel || "1st meeting"}`,
+    description: "", location: "Zoom",
+  }),
+});
+
+const token = require("../services/guestBookingToken.js");
+const { parseMeetingTypes, resolveMeetingType } = require("../services/guestBookingMeetingTypes.js");
+const { buildSlotDays, mergeTeamDays, orderRoundRobin } = require("../services/guestBookingSlots.js");
+const { filterGuestBookingDays } = require("../services/guestBookingDayFilter.js");
+const hosts = require("../services/guestBookingHosts.js");
+const store = require("../services/guestBookingStore.js");
+
+const exp = Math.floor(Date.now() / 1000) + 3600;
+const TYPE_30 = resolveMeetingType(null);
+const times = (day) => day.freeSlots.map((s) => s.display);
+
+(async () => {
+  console.log("tokens:");
+  await check("host / team / meeting type fields verify; bad ones are refused", () => {
+    const t = token.signGuestBookingToken({ n: "Jane Doe", li: "direct-booking", e: "j@x.com", exp, hs: ["Sarah-Jones", "Tom-Lee"], mt: "strategy" });
+    const v = token.verifyGuestBookingToken(t);
+    assert.deepStrictEqual(token.bookingHostsFromPayload(v.payload), ["Sarah-Jones", "Tom-Lee"]);
+    assert.deepStrictEqual(token.bookingHostsFromPayload(token.verifyGuestBookingToken(
+      token.signGuestBookingToken({ n: "A", li: "b", e: "c@d.e", exp })).payload), [], "original links name no host");
+    const bad = token.signGuestBookingToken({ n: "A", li: "b", e: "c@d.e", exp, hs: "Sarah-Jones" });
+    assert.strictEqual(token.verifyGuestBookingToken(bad).error, "invalid team");
+  });
+  await check("open links need a host and no guest; guest tokens still need the guest", () => {
+    const open = token.signGuestBookingToken({ h: "Sarah-Jones", mt: "strategy", exp });
+    assert.strictEqual(token.verifyBookingLinkToken(open).ok, true);
+    assert.strictEqual(token.verifyGuestBookingToken(open).error, "invalid payload");
+    assert.strictEqual(token.verifyBookingLinkToken(token.signGuestBookingToken({ exp })).error, "invalid payload");
+  });
+
+  console.log("\nmeeting types:");
+  await check("blank field = built-in intro; entries normalised, bad ones skipped", () => {
+    assert.deepStrictEqual([TYPE_30.key, TYPE_30.durationMinutes, TYPE_30.weekdays], ["intro", 30, [1, 2, 3, 4, 5]]);
+    const types = parseMeetingTypes(JSON.stringify([
+      { key: "Deep-Dive", durationMinutes: 90, weekdays: [6, 2, 2], startTime: "10:00", endTime: "15:00", dailyCap: "2" },
+      { key: "bad key!" },
+      { key: "toolong", durationMinutes: 120, startTime: "10:00", endTime: "11:00" },
+    ]));
+    assert.deepStrictEqual(types.map((t) => [t.key, t.durationMinutes, t.weekdays, t.hostStartMinutes, t.dailyCap, t.stepMinutes]),
+      [["deep-dive", 90, [2, 6], 600, 2, 90]]);
+    assert.strictEqual(resolveMeetingType(CLIENTS["Sarah-Jones"].bookingMeetingTypes, "nope"), null);
+    assert.strictEqual(parseMeetingTypes("{not json")[0].key, "intro");
+  });
+
+  console.log("\nslots:");
+  const now = new Date("2026-03-01T00:00:00Z");
+  await check("30-minute grid matches the original 9:30–16:00 window", () => {
+    const [day] = buildSlotDays({ dates: ["2026-03-03"], hostTz: "Australia/Brisbane", busy: [], type: TYPE_30, now });
+    assert.strictEqual(day.freeSlots.length, 13);
+    assert.deepStrictEqual([times(day)[0], times(day)[12]], ["9:30 AM", "3:30 PM"]);
+    assert.strictEqual(day.freeSlots[0].time, "2026-03-02T23:30:00.000Z");
+  });
+  await check("buffer keeps clear time around busy blocks; notice and cap remove slots", () => {
+    const strategy = resolveMeetingType(CLIENTS["Sarah-Jones"].bookingMeetingTypes, "strategy");
+    const busy = [{ start: "2026-03-03T12:00:00+10:00", end: "2026-03-03T12:30:00+10:00" }];
+    const [day] = buildSlotDays({ dates: ["2026-03-03"], hostTz: "Australia/Brisbane", busy, type: strategy, now });
+    assert.deepStrictEqual(times(day), ["9:30 AM", "10:30 AM", "1:30 PM", "2:30 PM"], "60-min steps; 11:30 and 12:30 blocked by the 15-min buffer");
+    const noticed = buildSlotDays({ dates: ["2026-03-03"], hostTz: "Australia/Brisbane", busy: [],
+      type: { ...TYPE_30, minNoticeHours: 12 }, now: new Date("2026-03-02T12:00:00Z") });
+    assert.strictEqual(times(noticed[0])[0], "10:00 AM");
+    const capped = buildSlotDays({ dates: ["2026-03-03"], hostTz: "Australia/Brisbane", busy, type: { ...TYPE_30, dailyCap: 1 }, now });
+    assert.strictEqual(capped[0].freeSlots.length, 0);
+  });
+  await check("guest window: slots outside 9–17 guest time are not offered", () => {
+    const [day] = buildSlotDays({ dates: ["2026-03-03"], hostTz: "Australia/Brisbane", guestTz: "Australia/Perth", busy: [], type: TYPE_30, now });
+    assert.strictEqual(times(day)[0], "9:00 AM", "11:00 Brisbane is 9:00 Perth");
+  });
+  await check("allowed weekdays widen the week; AU public holidays still drop", () => {
+    const days = ["2026-01-24", "2026-01-26", "2026-01-27"].map((date) => ({ date, day: date, freeSlots: [{}] }));
+    assert.deepStrictEqual(filterGuestBookingDays(days, "Australia/Sydney").map((d) => d.date), ["2026-01-27"]);
+    assert.deepStrictEqual(filterGuestBookingDays(days, "Australia/Sydney", { weekdays: [1, 2, 6] }).map((d) => d.date),
+      ["2026-01-24", "2026-01-27"], "Saturday allowed; Australia Day (Mon) still off");
+  });
+  await check("team grids merge by guest date and remember who is free", () => {
+    const merged = mergeTeamDays([
+      { hostId: "A", days: [{ date: "2026-03-03", freeSlots: [{ time: "2026-03-03T00:00:00.000Z" }, { time: "2026-03-03T01:00:00.000Z" }] }] },
+      { hostId: "B", days: [{ date: "2026-03-03", freeSlots: [{ time: "2026-03-03T01:00:00.000Z" }] }] },
+    ], "Australia/Sydney");
+    assert.deepStrictEqual(merged.map((d) => [d.date, d.freeSlots.map((s) => [s.display, s.hosts])]),
+      [["2026-03-03", [["11:00 AM", ["A"]], ["12:00 PM", ["A", "B"]]]]]);
+  });
+  await check("round-robin: fewest recent bookings, then longest since last, then link order", () => {
+    const history = [
+      { hostClientId: "A", createdAt: "2026-02-01T00:00:00Z" },
+      { hostClientId: "B", createdAt: "2026-02-02T00:00:00Z" },
+      { hostClientId: "A", createdAt: "2026-02-03T00:00:00Z" },
+    ];
+    assert.deepStrictEqual(orderRoundRobin(["A", "B", "C"], history), ["C", "B", "A"]);
+    assert.deepStrictEqual(orderRoundRobin(["A", "B"], history.slice(0, 2)), ["A", "B"]);
+  });
+
+  console.log("\nbooking:");
+  await check("team booking rotates across free hosts and records each assignment", async () => {
+    store.__setTestPool(null);
+    created.length = 0;
+    const link = await hosts.resolveBookingLink({ hs: ["Tom-Lee", "Sarah-Jones"] });
+    assert.deepStrictEqual([link.type.key, link.linkKey], ["intro", "team:sarah-jones,tom-lee:intro"], "owner's (Tom's) types");
+    const guest = { attendeeEmail: "jane@x.com", leadFullName: "Jane Doe", leadLinkedIn: "direct-booking", now };
+    // 10:00 Brisbane = 11:00 Sydney, inside both hosts' windows
+    const r1 = await hosts.bookLinkSlot(link, { ...guest, start: "2026-03-03T00:00:00.000Z" });
+    const r2 = await hosts.bookLinkSlot(link, { ...guest, start: "2026-03-03T01:00:00.000Z" });
+    const r3 = await hosts.bookLinkSlot(link, { ...guest, start: "2026-03-03T02:00:00.000Z" });
+    assert.deepStrictEqual([r1.host.clientId, r2.host.clientId, r3.host.clientId], ["Tom-Lee", "Sarah-Jones", "Tom-Lee"]);
+    assert.strictEqual(created[0].endISO, "2026-03-03T00:30:00.000Z");
+  });
+  await check("a busy host is skipped, a failed write falls through, a gone slot is a 409", async () => {
+    store.__setTestPool(null);
+    created.length = 0;
+    const link = await hosts.resolveBookingLink({ hs: ["Tom-Lee", "Sarah-Jones"] });
+    const guest = { attendeeEmail: "jane@x.com", leadFullName: "Jane Doe", leadLinkedIn: "direct-booking", now };
+    BUSY["Tom-Lee"] = [{ start: "2026-03-03T00:00:00Z", end: "2026-03-03T00:30:00Z" }];
+    assert.strictEqual((await hosts.bookLinkSlot(link, { ...guest, start: "2026-03-03T00:00:00.000Z" })).host.clientId, "Sarah-Jones");
+    BUSY["Tom-Lee"] = [];
+    failWrites = new Set(["Tom-Lee"]);
+    const r = await hosts.bookLinkSlot(link, { ...guest, start: "2026-03-03T03:00:00.000Z" });
+    assert.deepStrictEqual([r.ok, r.host.clientId], [true, "Sarah-Jones"]);
+    failWrites = new Set();
+    const weekend = await hosts.bookLinkSlot(link, { ...guest, start: "2026-03-07T00:00:00.000Z" });
+    assert.deepStrictEqual([weekend.ok, weekend.status], [false, 409]);
+  });
+  await check("single-host availability uses the host's meeting type and buffer", async () => {
+    const link = await hosts.resolveBookingLink({ h: "Sarah-Jones", mt: "strategy" });
+    BUSY["Sarah-Jones"] = [{ start: "2026-03-03T10:00:00+11:00", end: "2026-03-03T11:00:00+11:00" }];
+    const days = await hosts.getLinkAvailability(link, "Australia/Sydney", { now });
+    const tue = days.find((d) => d.date === "2026-03-03");
+    assert.deepStrictEqual(times(tue), ["11:30 AM", "12:30 PM", "1:30 PM", "2:30 PM"]);
+    assert.ok(days.every((d) => !["2026-03-07", "2026-03-08"].includes(d.date)), "weekends dropped");
+    BUSY["Sarah-Jones"] = [];
+  });
+  await check("minting: open vs guest links; hosts without a writable calendar are refused", async () => {
+    const open = await hosts.mintBookingLink({ ownerClientId: "Sarah-Jones", base: "https://x.test/" });
+    assert.ok(open.url.startsWith("https://x.test/guest-book?l="));
+    assert.deepStrictEqual(token.verifyBookingLinkToken(open.token).payload.mt, "strategy");
+    const personal = await hosts.mintBookingLink({ ownerClientId: "Sarah-Jones", teamClientIds: ["Tom-Lee"], base: "https://x.test",
+      guest: { name: "Jane Doe", email: "jane@x.com" } });
+    assert.deepStrictEqual(token.verifyGuestBookingToken(personal.token).payload.hs, ["Sarah-Jones", "Tom-Lee"]);
+    await assert.rejects(hosts.mintBookingLink({ ownerClientId: "Sarah-Jones", teamClientIds: ["Read-Only"], base: "https://x.test" }), /Read-Only/);
+    await assert.rejects(hosts.mintBookingLink({ ownerClientId: "Tom-Lee", meetingType: "strategy", base: "https://x.test" }), /Unknown meeting type/);
+  });
+  await check("team links: only mutual Booking Team coaches; never someone else's OAuth host", async () => {
+    const refused = (teamClientIds) => hosts.mintBookingLink({ ownerClientId: "Sarah-Jones", teamClientIds, base: "https://x.test" })
+      .then(() => null, (e) => [e.statusCode, e.message]);
+    assert.deepStrictEqual(await refused(["Ann-Out"]), [403, "Not on your booking team: Ann-Out"], "Ann lists Sarah; Sarah doesn't list Ann");
+    assert.deepStrictEqual(await refused(["Guy-Wilson"]), [403, "Not on your booking team: Guy-Wilson"], "OAuth host, though both list each other");
+    const guy = await hosts.mintBookingLink({ ownerClientId: "Guy-Wilson", base: "https://x.test" });
+    assert.deepStrictEqual(guy.hosts, ["Guy-Wilson"], "the OAuth host's own link is fine");
+    // A link minted earlier (or forged) is re-checked when resolved: outsiders are dropped
+    const link = await hosts.resolveBookingLink({ hs: ["Sarah-Jones", "Tom-Lee", "Ann-Out"] });
+    assert.deepStrictEqual(link.hosts.map((h) => h.clientId), ["Sarah-Jones", "Tom-Lee"]);
+    CLIENTS["Tom-Lee"].bookingTeam = [];
+    const later = await hosts.resolveBookingLink({ hs: ["Sarah-Jones", "Tom-Lee"] });
+    assert.deepStrictEqual(later.hosts.map((h) => h.clientId), ["Sarah-Jones"], "Tom left the team");
+    CLIENTS["Tom-Lee"].bookingTeam = ["Sarah-Jones"];
+  });
+
+  console.log(failures ? `\n❌ ${failures} test(s) failed` : "\n✅ all guest-booking-links tests passed");
+  process.exit(failures ? 1 : 0);
+})();
@@ -0,0 +1,272 @@
+/**
+ * Tests for guest reschedule / cancel (services/guestBookingManage.js + the /guest-book?m= routes),
+ * in-memory mode.
+ *
+ * Covers: manage tokens vs booking tokens · change policy (cutoff, reschedule limit, cancelled,
+ * started) · a coach-link booking stores its ref and the invite carries the manage links ·
+ * reschedule re-checks the slot, moves the event (re-create + delete on the provider seam) and
+ * counts toward the limit · cancel deletes the event once and drops it from round-robin ·
+ * routes: the manage page renders (inline script parses), reschedule / cancel stamp Airtable and
+ * email the coach; minting a team link with a coach off the caller's booking team is a 403.
+ * Calendars, clientService, Airtable and Gmail are fakes.
+ *
+ * Run: node tests/guest-booking-manage.test.js
+ */
+const assert = require("assert");
+
+delete process.env.DATABASE_URL;
+delete process.env.GUEST_BOOKING_RESCHEDULE_CUTOFF_HOURS;
+delete process.env.GUEST_BOOKING_MAX_RESCHEDULES;
+process.env.GUEST_BOOKING_LINK_SECRET = "test-secret-0123456789";
+process.env.GUEST_BOOKING_PUBLIC_BASE = "https://book.test";
+
+let failures = 0;
+const check = async (name, fn) => {
+  try { await fn(); console.log(`  ✓ ${name}`); }
+  catch (e) { failures++; console.error(`  ✗ ${name}\n    ${e.message}`); }
+};
+
+const stub = (relPath, exports) => {
+  const full = require.resolve(relPath);
+  require.cache[full] = { id: full, filename: full, loaded: true, exports };
+};
+
+// --- fakes ---------------------------------------------------------------------------------
+const CLIENTS = {
+  "Sarah-Jones": { clientId: "Sarah-Jones", clientName: "Sarah Jones", status: "Active", timezone: "Australia/Brisbane",
+    clientEmailAddress: "sarah@example.com", airtableBaseId: "appS", portalToken: "tok-sarah" },
+  "Tom-Lee": { clientId: "Tom-Lee", clientName: "Tom Lee", status: "Active", timezone: "Australia/Brisbane" },
+};
+let BUSY = [];
+const created = [];
+const deleted = [];
+stub("../services/clientService", {
+  getClientById: async (id) => CLIENTS[id] || null,
+  getClientByPortalToken: async (t) => Object.values(CLIENTS).find((c) => c.portalToken === t) || null,
+  getAssistantByPortalToken: async () => null,
+});
+stub("../services/wingguyCalendar", {
+  getCoachCalendarInfo: async (id) => ({ clientId: id, calendarProvider: "nylas" }),
+  providerForInfo: (info) => info.calendarProvider,
+  coachForCalendar: (info) => ({ clientId: info.clientId, calendarProvider: info.calendarProvider }),
+});
+stub("../services/calendarProvider", {
+  getMeetingsInWindow: async () => ({ events: BUSY, error: null }),
+  createCalendarEvent: async (coach, d) => {
+    created.push({ host: coach.clientId, ...d });
+    return { ok: true, eventId: `evt_${created.length}`, htmlLink: "" };
+  },
+  deleteCalendarEvent: async (coach, eventId, opts) => {
+    deleted.push({ eventId, notify: !!(opts && opts.notifyParticipants) });
+    return { ok: true };
+  },
+});
+stub("../services/calendarOAuthAvailability.js", {
+  getOAuthPrimaryBusy: async () => ({ busy: [] }),
+  getOAuthPrimaryBatchAvailability: async () => ({ days: [] }),
+  isValidIanaTimezone: (tz) => { try { Intl.DateTimeFormat("en", { timeZone: tz }); return true; } catch (_) { return false; } },
+});
+stub("../services/calendarOAuthService.js", {
+  createGuestMeeting: async () => ({ id: "oauth_evt" }),
+  moveGuestMeeting: async (id) => ({ id }),
+  cancelGuestMeeting: async () => {},
+  assertPrimarySlotFree: async () => {},
+});
+stub("../services/guestBookingEventBuilder.js", {
+  DEFAULT_CLIENT_ID: "Guy-Wilson",
+  fetchHostClientProfile: async () => ({ timezone: "Australia/Brisbane" }),
+  buildGuestBookingEventDetails: async (o) => ({
+    summary: `${o.leadFullName} and ${o.clientId} ${o.meetingLabel || "1st meeting"}`,
+    description: "Agenda", location: "Zoom",
+  }),
+});
+const stamps = [];
+stub("../services/guestBookingAirtable.js", {
+  maybeUpdateLeadEmailIfChanged: async () => ({ updated: false }),
+  maybeSetCcIntroClickedAt: async () => ({ ok: false }),
+  maybeSetCcBookingPageVisitedAt: async () => ({ ok: false }),
+  maybeSetGuestBookingCompletedAt: async (o) => { stamps.push(["completed", o.airtableBaseId]); return { ok: true }; },
+  setGuestBookingRescheduledAt: async (o) => { stamps.push(["rescheduled", o.airtableBaseId, o.linkedInUrl]); return { ok: true }; },
+  setGuestBookingCancelledAt: async (o) => { stamps.push(["cancelled", o.airtableBaseId, o.linkedInUrl]); return { ok: true }; },
+});
+const emails = [];
+stub("../services/gmailApiService.js", { sendTextEmail: async (m) => { emails.push(m); } });
+
+const token = require("../services/guestBookingToken.js");
+const store = require("../services/guestBookingStore.js");
+const hosts = require("../services/guestBookingHosts.js");
+const manage = require("../services/guestBookingManage.js");
+
+const now = new Date("2026-03-01T00:00:00Z");
+const exp = Math.floor(Date.now() / 1000) + 3600;
+const refFromUrl = (url) => token.verifyBookingManageToken(decodeURIComponent(new URL(url).searchParams.get("m"))).payload.b;
+
+async function bookOne(start) {
+  const link = await hosts.resolveBookingLink({ h: "Sarah-Jones" });
+  const links = manage.manageLinks("https://book.test");
+  const out = await hosts.bookLinkSlot(link, {
+    start, attendeeEmail: "jane@x.com", leadFullName: "Jane Doe",
+    leadLinkedIn: "https://www.linkedin.com/in/jane", guestNotes: "pricing",
+    ref: links.ref, descriptionFooter: links.descriptionFooter, now,
+  });
+  assert.strictEqual(out.ok, true, out.error);
+  return { out, links };
+}
+
+(async () => {
+  console.log("tokens + policy:");
+  await check("manage tokens carry only a booking ref; booking tokens don't manage and vice versa", () => {
+    const { rescheduleUrl, cancelUrl, ref } = manage.manageLinks("https://book.test/");
+    assert.ok(rescheduleUrl.startsWith("https://book.test/guest-book?m=") && cancelUrl === `${rescheduleUrl}&action=cancel`);
+    assert.strictEqual(refFromUrl(rescheduleUrl), ref);
+    const m = decodeURIComponent(new URL(rescheduleUrl).searchParams.get("m"));
+    assert.strictEqual(token.verifyGuestBookingToken(m).ok, false);
+    const booking = token.signGuestBookingToken({ n: "A", li: "b", e: "c@d.e", exp });
+    assert.strictEqual(token.verifyBookingManageToken(booking).error, "invalid payload");
+    assert.strictEqual(token.verifyBookingManageToken(token.signGuestBookingToken({ b: "short", exp })).error, "invalid payload");
+  });
+  await check("policy: cutoff and reschedule limit block moving but not cancelling", () => {
+    const b = { status: "booked", startAt: "2026-03-02T00:00:00Z", rescheduleCount: 0 };
+    assert.deepStrictEqual(manage.changePolicy(b, now), { canReschedule: true, canCancel: true, reason: null });
+    const late = manage.changePolicy(b, new Date("2026-03-01T13:00:00Z"));
+    assert.deepStrictEqual([late.canReschedule, late.canCancel], [false, true]);
+    assert.match(late.reason, /less than 12 hours/);
+    process.env.GUEST_BOOKING_RESCHEDULE_CUTOFF_HOURS = "2";
+    assert.strictEqual(manage.changePolicy(b, new Date("2026-03-01T13:00:00Z")).canReschedule, true);
+    delete process.env.GUEST_BOOKING_RESCHEDULE_CUTOFF_HOURS;
+    const maxed = manage.changePolicy({ ...b, rescheduleCount: 3 }, now);
+    assert.deepStrictEqual([maxed.canReschedule, maxed.canCancel], [false, true]);
+    assert.deepStrictEqual(Object.values(manage.changePolicy({ ...b, status: "cancelled" }, now)).slice(0, 2), [false, false]);
+    assert.deepStrictEqual(Object.values(manage.changePolicy(b, new Date("2026-03-02T00:05:00Z"))).slice(0, 2), [false, false]);
+  });
+
+  console.log("\nreschedule + cancel:");
+  await check("a booking stores its ref; the invite carries both links", async () => {
+    store.__setTestPool(null);
+    created.length = 0;
+    const { links } = await bookOne("2026-03-03T00:00:00.000Z");
+    assert.ok(created[0].description.endsWith(`Reschedule: ${links.rescheduleUrl}\nCancel: ${links.cancelUrl}`));
+    const row = await store.getBookingByRef(links.ref);
+    assert.deepStrictEqual([row.hostClientId, row.ownerClientId, row.eventId, row.guestNotes, row.status],
+      ["Sarah-Jones", "Sarah-Jones", "evt_1", "pricing", "booked"]);
+  });
+  await check("reschedule: fresh slot check, event re-created + old one deleted, count goes up", async () => {
+    store.__setTestPool(null);
+    created.length = 0;
+    deleted.length = 0;
+    const { links } = await bookOne("2026-03-03T00:00:00.000Z");
+    const loaded = await manage.loadManagedBooking(decodeURIComponent(new URL(links.rescheduleUrl).searchParams.get("m")), { now });
+    assert.strictEqual(loaded.ok, true);
+    BUSY = [{ start: "2026-03-04T00:00:00Z", end: "2026-03-04T00:30:00Z" }];
+    const taken = await manage.rescheduleBooking(loaded.booking, { start: "2026-03-04T00:00:00.000Z", base: "https://book.test", now });
+    assert.deepStrictEqual([taken.ok, taken.status], [false, 409]);
+    BUSY = [];
+    const moved = await manage.rescheduleBooking(loaded.booking, { start: "2026-03-04T01:00:00.000Z", base: "https://book.test", now });
+    assert.strictEqual(moved.ok, true, moved.error);
+    assert.deepStrictEqual(deleted, [{ eventId: "evt_1", notify: true }]);
+    assert.ok(created[1].description.includes(links.rescheduleUrl), "same manage link in the new invite");
+    const row = await store.getBookingByRef(links.ref);
+    assert.deepStrictEqual([row.startAt, row.endAt, row.eventId, row.rescheduleCount],
+      ["2026-03-04T01:00:00.000Z", "2026-03-04T01:30:00.000Z", "evt_2", 1]);
+    assert.strictEqual(moved.previousStartAt, "2026-03-03T00:00:00.000Z");
+  });
+  await check("cancel: event deleted once, row cancelled, link then refuses both actions", async () => {
+    store.__setTestPool(null);
+    deleted.length = 0;
+    const { links } = await bookOne("2026-03-03T00:00:00.000Z");
+    const m = decodeURIComponent(new URL(links.cancelUrl).searchParams.get("m"));
+    const first = await manage.cancelBooking((await manage.loadManagedBooking(m, { now })).booking, { now });
+    assert.strictEqual(first.ok, true);
+    const again = await manage.loadManagedBooking(m, { now });
+    assert.deepStrictEqual([again.booking.status, again.policy.canCancel, again.policy.canReschedule], ["cancelled", false, false]);
+    const second = await manage.cancelBooking(again.booking, { now });
+    assert.deepStrictEqual([second.ok, second.status, deleted.length], [false, 403, 1]);
+    assert.deepStrictEqual(await store.assignmentHistory("host:sarah-jones:intro", { since: new Date(0) }), []);
+  });
+  await check("unknown ref is a 404; a tampered link is a 400", async () => {
+    store.__setTestPool(null);
+    const { rescheduleUrl } = manage.manageLinks("https://book.test");
+    const m = decodeURIComponent(new URL(rescheduleUrl).searchParams.get("m"));
+    assert.strictEqual((await manage.loadManagedBooking(m)).status, 404);
+    assert.strictEqual((await manage.loadManagedBooking(`${m}x`)).status, 400);
+  });
+
+  console.log("\nroutes:");
+  {
+    const express = require("express");
+    const app = express();
+    app.use(require("../routes/guestBookingRoutes.js"));
+    const server = app.listen(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const post = (path, body) => fetch(`${base}${path}`, {
+      method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body),
+    }).then(async (r) => ({ status: r.status, body: await r.json() }));
+    try {
+      store.__setTestPool(null);
+      // Real clock here (the routes use it): next bookable weekday a week out, 10:00 Brisbane.
+      const future = new Date(Date.now() + 7 * 86400000);
+      future.setUTCHours(0, 0, 0, 0);
+      const link = await hosts.resolveBookingLink({ h: "Sarah-Jones" });
+      const links = manage.manageLinks("https://book.test");
+      for (let i = 0; i < 10; i++, future.setUTCDate(future.getUTCDate() + 1)) {
+        const r = await hosts.bookLinkSlot(link, {
+          start: future.toISOString(), attendeeEmail: "jane@x.com", leadFullName: "Jane Doe",
+          leadLinkedIn: "https://www.linkedin.com/in/jane", ref: links.ref, descriptionFooter: links.descriptionFooter,
+        });
+        if (r.ok) break;
+      }
+      const m = decodeURIComponent(new URL(links.rescheduleUrl).searchParams.get("m"));
+
+      await check("GET /guest-book?m= renders the manage page with a parseable script", async () => {
+        const r = await fetch(`${base}/guest-book?m=${encodeURIComponent(m)}&action=cancel`);
+        const html = await r.text();
+        assert.strictEqual(r.status, 200);
+        assert.ok(html.includes("Hi Jane, Need to change our meeting?"));
+        const script = html.split("<script>")[1].split("</script>")[0];
+        new Function(script); // eslint-disable-line no-new-func
+        assert.strictEqual((await fetch(`${base}/guest-book?m=nope.nope`)).status, 400);
+      });
+      await check("GET /api/guest/manage describes the booking in the guest's zone", async () => {
+        const r = await fetch(`${base}/api/guest/manage?m=${encodeURIComponent(m)}&guestTz=Australia/Brisbane`).then((x) => x.json());
+        assert.deepStrictEqual([r.ok, r.booking.display, r.canReschedule, r.canCancel], [true, "10:00 AM", true, true]);
+      });
+      await check("POST /api/guest/reschedule moves it, stamps Airtable and emails the coach", async () => {
+        emails.length = 0;
+        stamps.length = 0;
+        const to = new Date(future.getTime() + 2 * 3600000).toISOString();
+        const r = await post("/api/guest/reschedule", { m, start: to });
+        assert.deepStrictEqual([r.status, r.body.startAt], [200, to]);
+        assert.deepStrictEqual(stamps, [["rescheduled", "appS", "https://www.linkedin.com/in/jane"]]);
+        assert.strictEqual(emails[0].to, "sarah@example.com");
+        assert.match(emails[0].subject, /Jane Doe moved a call/);
+        assert.match(emails[0].text, /Was: .*10:00[\s\S]*Now: .*12:00/);
+      });
+      await check("POST /api/guest/cancel cancels once; the second try is refused", async () => {
+        emails.length = 0;
+        stamps.length = 0;
+        const r = await post("/api/guest/cancel", { m });
+        assert.deepStrictEqual([r.status, r.body.ok], [200, true]);
+        assert.deepStrictEqual(stamps.map((s) => s[0]), ["cancelled"]);
+        assert.match(emails[0].subject, /Jane Doe cancelled/);
+        const again = await post("/api/guest/cancel", { m });
+        assert.deepStrictEqual([again.status, again.body.error], [403, "This meeting has been cancelled."]);
+        const avail = await fetch(`${base}/api/guest/availability?m=${encodeURIComponent(m)}`);
+        assert.strictEqual(avail.status, 403);
+      });
+      await check("minting a team link with a coach off the caller's booking team is a 403", async () => {
+        const mint = (body) => fetch(`${base}/api/guest-booking/links`, {
+          method: "POST", headers: { "Content-Type": "application/json", "x-portal-token": "tok-sarah" }, body: JSON.stringify(body),
+        }).then(async (r) => ({ status: r.status, body: await r.json() }));
+        const r = await mint({ teamClientIds: ["Tom-Lee"] });
+        assert.deepStrictEqual([r.status, r.body.error], [403, "Not on your booking team: Tom-Lee"]);
+        const solo = await mint({});
+        assert.deepStrictEqual([solo.status, solo.body.hosts], [200, ["Sarah-Jones"]]);
+      });
+    } finally {
+      server.close();
+    }
+  }
+
+  console.log(failures ? `\n❌ ${failures} test(s) failed` : "\n✅ all guest-booking-manage tests passed");
+  process.exit(failures ? 1 : 0);
+})();
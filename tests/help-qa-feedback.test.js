@@ -0,0 +1,182 @@
+/**
+ * Tests for the help Q&A feedback loop (services/helpQaFeedbackStore.js,
+ * services/helpQaAnalytics.js, routes/helpFeedbackRoutes.js).
+ *
+ * Covers: question log + thumbs/comment feedback (in-memory store) · only unanswered or downvoted
+ * questions are flagged · paraphrases cluster together, grouped by topic then area · drafting
+ * grounds the LLM in retrieved help segments and falls back to an outline when it fails · drafted
+ * questions leave the report · the routes end to end (feedback validation, admin auth, report,
+ * draft). OpenAI is a fake; the help index is built from a fake Airtable base with BM25 only.
+ *
+ * Run: node tests/help-qa-feedback.test.js
+ */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "help-qa-feedback-"));
+process.chdir(tmp);
+delete process.env.DATABASE_URL;
+process.env.HELP_EMBED_PROVIDER = "none";
+
+let failures = 0;
+const check = async (name, fn) => {
+  try { await fn(); console.log(`  ✓ ${name}`); }
+  catch (e) { failures++; console.error(`  ✗ ${name}\n    ${e.message}`); }
+};
+
+const TOPICS = [
+  { id: "recHours", fields: { title: "Working hours", body: "Working hours decide when Linked Helper runs your campaigns each day." } },
+];
+const helpBase = (table) => ({
+  select: () => ({ eachPage: (cb) => new Promise((resolve) => cb(table === "Help" ? TOPICS : [], resolve)) }),
+});
+
+const store = require("../services/helpQaFeedbackStore");
+const { clusterQuestions, buildReport, draftTopicFromQuestions } = require("../services/helpQaAnalytics");
+const helpRetrieval = require("../helpRetrieval");
+const mountHelpFeedbackRoutes = require("../routes/helpFeedbackRoutes");
+
+const ask = (question, extra = {}) =>
+  store.recordQuestion({ endpoint: "qa", question, method: "no-answer", answered: false, answer: "I don't have enough information", ...extra });
+
+(async () => {
+  console.log("help Q&A feedback");
+  await helpRetrieval.ensureIndex(helpBase, { force: true });
+
+  await check("questions are logged and take thumbs + comment feedback", async () => {
+    store.__setTestPool(null);
+    const id = await ask("How do I pause a campaign?", { answered: true, method: "topic-direct", topicId: "recHours",
+      citations: [{ id: "S1", source: "topic", sourceId: "recHours", segmentId: "topic:recHours:0", text: "long text" }] });
+    assert.match(id, /^hq_/);
+    const down = await store.recordFeedback(id, { rating: "down" });
+    assert.strictEqual(down.entry.rating, -1);
+    const noted = await store.recordFeedback(id, { comment: "  I wanted the keyboard shortcut  " });
+    assert.strictEqual(noted.entry.rating, -1, "a comment keeps the earlier rating");
+    assert.strictEqual(noted.entry.comment, "I wanted the keyboard shortcut");
+    assert.deepStrictEqual(noted.entry.citations, [{ source: "topic", sourceId: "recHours", segmentId: "topic:recHours:0" }]);
+    assert.deepStrictEqual(await store.recordFeedback(id, { rating: "meh" }), { ok: false, error: "rating must be 'up' or 'down'" });
+    assert.strictEqual((await store.recordFeedback(id, {})).ok, false);
+    assert.strictEqual((await store.recordFeedback("hq_nope", { rating: "up" })).error, "not_found");
+  });
+
+  await check("only unanswered or downvoted questions are flagged", async () => {
+    store.__setTestPool(null);
+    const good = await ask("What are working hours?", { answered: true, method: "topic-direct" });
+    await store.recordFeedback(good, { rating: "up" });
+    const bad = await ask("Why did invites stop?", { answered: true, method: "llm-after-retrieval" });
+    await store.recordFeedback(bad, { rating: "down" });
+    const none = await ask("Can I export to HubSpot?");
+    const flagged = await store.listFlaggedQuestions();
+    assert.deepStrictEqual(flagged.map((q) => q.id).sort(), [bad, none].sort());
+    assert.deepStrictEqual(await store.summarize(), { asked: 3, answered: 2, up: 1, down: 1 });
+  });
+
+  await check("a failing store never breaks the answer", async () => {
+    store.__setTestPool({ connect: async () => { throw new Error("db down"); } });
+    assert.strictEqual(await ask("anything"), null);
+    store.__setTestPool(null);
+  });
+
+  await check("paraphrases cluster; groups are per topic, then area", async () => {
+    const qs = [
+      { id: "1", question: "How do I pause a campaign?", topicId: "recA", answered: false, askedAt: "2026-10-01T00:00:00Z" },
+      { id: "2", question: "how to pause campaigns", topicId: "recA", answered: false, askedAt: "2026-10-03T00:00:00Z" },
+      { id: "3", question: "How do I pause a campaign?", topicId: "recA", answered: true, rating: -1, comment: "no shortcut", askedAt: "2026-10-02T00:00:00Z" },
+      { id: "4", question: "Where is the billing invoice?", topicId: "recA", answered: false, askedAt: "2026-10-04T00:00:00Z" },
+      { id: "5", question: "What does the score mean?", area: "top_scoring_leads", answered: false, askedAt: "2026-10-05T00:00:00Z" },
+    ];
+    assert.strictEqual(clusterQuestions(qs.slice(0, 4)).length, 2);
+    const report = buildReport(qs, { topicTitles: { recA: "Campaigns" } });
+    assert.deepStrictEqual(report.map((g) => [g.topicId, g.area, g.total]), [["recA", null, 4], [null, "top_scoring_leads", 1]]);
+    const top = report[0].clusters[0];
+    assert.strictEqual(report[0].topicTitle, "Campaigns");
+    assert.strictEqual(top.representative, "How do I pause a campaign?");
+    assert.deepStrictEqual([top.count, top.unanswered, top.downvoted], [3, 2, 1]);
+    assert.deepStrictEqual(top.questionIds, ["1", "2", "3"]);
+    assert.deepStrictEqual(top.comments, ["no shortcut"]);
+    assert.strictEqual(top.lastAskedAt, "2026-10-03T00:00:00Z");
+  });
+
+  const questions = [
+    { id: "1", question: "Can working hours differ on weekends?", comment: "need Saturday hours" },
+    { id: "2", question: "Weekend working hours?" },
+  ];
+
+  await check("LLM draft is grounded in retrieved help segments", async () => {
+    let prompt;
+    const openaiClient = { chat: { completions: { create: async (req) => {
+      prompt = req.messages[1].content;
+      return { choices: [{ message: { content: JSON.stringify({ title: "Weekend working hours", body: "Set hours per day [S1]. TODO: Saturday." }) } }] };
+    } } } };
+    const draft = await draftTopicFromQuestions(questions, { openaiClient });
+    assert.strictEqual(draft.method, "llm");
+    assert.strictEqual(draft.title, "Weekend working hours");
+    assert.ok(/- Can working hours differ on weekends\?/.test(prompt) && /need Saturday hours/.test(prompt));
+    assert.ok(/\[S1\] Working hours \(topic\)/.test(prompt), "retrieved topic supplied as a labelled block");
+    assert.strictEqual(draft.citations[0].sourceId, "recHours");
+  });
+
+  await check("without a usable LLM the draft is an outline of the questions", async () => {
+    const broken = { chat: { completions: { create: async () => ({ choices: [{ message: { content: "not json" } }] }) } } };
+    for (const openaiClient of [undefined, broken]) {
+      const draft = await draftTopicFromQuestions(questions, { openaiClient });
+      assert.strictEqual(draft.method, "outline");
+      assert.ok(draft.body.includes("- Weekend working hours?"));
+      assert.ok(draft.body.includes("## What readers said was missing\n- need Saturday hours"));
+      assert.ok(draft.body.includes("- Working hours (topic)"));
+    }
+  });
+
+  store.__setTestPool(null);
+  const app = express();
+  mountHelpFeedbackRoutes(app, { adminSecret: "s3cret", getHelpBase: () => helpBase, getOpenaiClient: () => null });
+  const server = await new Promise((resolve) => { const s = app.listen(0, () => resolve(s)); });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const post = (p, body, headers = {}) =>
+    fetch(`${base}${p}`, { method: "POST", headers: { "Content-Type": "application/json", ...headers }, body: JSON.stringify(body) });
+  const admin = { Authorization: "Bearer s3cret" };
+
+  try {
+    await check("POST /api/help/qa/feedback validates and records", async () => {
+      const id = await ask("Do working hours use my timezone?", { topicId: "recHours" });
+      assert.strictEqual((await post("/api/help/qa/feedback", { rating: "up" })).status, 400);
+      assert.strictEqual((await post("/api/help/qa/feedback", { qaId: "hq_missing", rating: "up" })).status, 404);
+      const r = await post("/api/help/qa/feedback", { qaId: id, rating: "down", comment: "which timezone?" });
+      assert.deepStrictEqual(await r.json(), { ok: true, qaId: id, rating: -1 });
+    });
+
+    await check("admin report needs the secret and clusters by topic", async () => {
+      await ask("do working hours use my timezone", { topicId: "recHours" });
+      assert.strictEqual((await fetch(`${base}/admin/help/qa/report`)).status, 401);
+      const report = await (await fetch(`${base}/admin/help/qa/report?days=7`, { headers: admin })).json();
+      assert.strictEqual(report.flagged, 2);
+      assert.strictEqual(report.groups[0].topicTitle, "Working hours");
+      assert.strictEqual(report.groups[0].clusters[0].count, 2);
+    });
+
+    await check("drafting a topic saves it and drops its questions from the report", async () => {
+      const report = await (await fetch(`${base}/admin/help/qa/report`, { headers: admin })).json();
+      const ids = report.groups[0].clusters[0].questionIds;
+      assert.strictEqual((await post("/admin/help/qa/draft-topic", { questionIds: [] }, admin)).status, 400);
+      const r = await (await post("/admin/help/qa/draft-topic", { questionIds: ids }, admin)).json();
+      assert.ok(r.ok);
+      assert.strictEqual(r.draft.method, "outline");
+      assert.strictEqual(r.draft.topicId, "recHours");
+      assert.deepStrictEqual(r.draft.questionIds.sort(), ids.slice().sort());
+      const after = await (await fetch(`${base}/admin/help/qa/report`, { headers: admin })).json();
+      assert.strictEqual(after.flagged, 0);
+      const drafts = await (await fetch(`${base}/admin/help/qa/drafts`, { headers: admin })).json();
+      assert.deepStrictEqual(drafts.drafts.map((d) => d.id), [r.draft.id]);
+    });
+  } finally {
+    server.close();
+  }
+
+  fs.rmSync(tmp, { recursive: true, force: true });
+  if (failures) { console.error(`\n❌ ${failures} test(s) failed`); process.exit(1); }
+  console.log("\n✅ all 9 tests passed");
+  process.exit(0);
+})();
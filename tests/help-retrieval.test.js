@@ -0,0 +1,150 @@
+/**
+ * Tests for the unified help retrieval index (helpRetrieval.js + helpEmbeddingProviders.js).
+ *
+ * Covers: CONTENT-MODULES-LIBRARY parsing · one index over topics, the LH snapshot, the manual and
+ * content modules · BM25 + vector ranks fused with RRF (a paraphrase only the vectors catch still
+ * surfaces) · topic scoping · source filter · BM25-only when HELP_EMBED_PROVIDER=none or the provider
+ * throws · the vector cache only embeds changed segments · locate() / toCitation() shapes.
+ * The Help table is a fake Airtable base; vectors are cached under a temp dir.
+ *
+ * Run: node tests/help-retrieval.test.js
+ */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "help-retrieval-"));
+const repoRoot = path.join(__dirname, "..");
+process.chdir(tmp); // vector cache lands in <cwd>/.cache
+delete process.env.HELP_EMBED_PROVIDER;
+
+let failures = 0;
+const check = async (name, fn) => {
+  try { await fn(); console.log(`  ✓ ${name}`); }
+  catch (e) { failures++; console.error(`  ✗ ${name}\n    ${e.message}`); }
+};
+
+const TOPICS = [
+  { id: "recHours", fields: { title: "Working hours", body: "Working hours decide when Linked Helper runs your campaigns each day.\n\nSet the start and end time in the instance settings so invites go out during business hours." } },
+  { id: "recInbox", fields: { title: "Inbox", body: "<p>The inbox collects replies from every campaign so you can answer leads in one place.</p>" } },
+];
+const helpBase = (table) => ({
+  select: () => ({
+    eachPage: (cb) => new Promise((resolve) => cb(table === "Help" ? TOPICS : [], resolve)),
+  }),
+});
+
+const { registerEmbeddingProvider } = require(path.join(repoRoot, "helpEmbeddingProviders"));
+const helpRetrieval = require(path.join(repoRoot, "helpRetrieval"));
+
+(async () => {
+  console.log("help retrieval");
+
+  await check("content modules parse into titled segments without markdown", async () => {
+    const segs = helpRetrieval.parseContentModules(
+      "# Library\n\n## BUSINESS\n\n### MODULE: ROI_CALCULATION\n**Duration**: 90 seconds\n\n**Script**:\n\"Our system processes 40 profiles daily and scores every prospect overnight.\"\n\n---\n\n### MODULE: NEXT\nshort"
+    );
+    assert.strictEqual(segs.length, 1);
+    assert.strictEqual(segs[0].source, "content");
+    assert.strictEqual(segs[0].sourceId, "ROI_CALCULATION");
+    assert.strictEqual(segs[0].title, "Roi Calculation");
+    assert.ok(!/\*\*|Duration|"/.test(segs[0].text), segs[0].text);
+  });
+
+  await check("one index over topics, LH snapshot, manual and content modules", async () => {
+    const r = await helpRetrieval.ensureIndex(helpBase, { force: true });
+    assert.strictEqual(r.rebuilt, true);
+    const st = helpRetrieval.status();
+    assert.strictEqual(st.bySource.topic, 3);
+    assert.ok(st.bySource["lh-manual"] > 0, "snapshot segments");
+    assert.ok(st.bySource.manual > 0, "manual segments");
+    assert.ok(st.bySource.content > 0, "content module segments");
+    assert.strictEqual(st.mode, "hybrid");
+    assert.strictEqual(st.embedProvider.name, "local");
+    const again = await helpRetrieval.ensureIndex(helpBase);
+    assert.strictEqual(again.rebuilt, false, "reused inside the TTL");
+  });
+
+  await check("RRF fuses BM25 and vector ranks", async () => {
+    const hits = await helpRetrieval.search("when do campaigns run during working hours", { topK: 5 });
+    assert.strictEqual(hits[0].segment.sourceId, "recHours");
+    assert.ok(hits[0].ranks.bm25 && hits[0].ranks.vector, JSON.stringify(hits[0].ranks));
+    const expected = 1 / (60 + hits[0].ranks.bm25) + 1 / (60 + hits[0].ranks.vector);
+    assert.ok(Math.abs(hits[0].score - expected) < 1e-5);
+  });
+
+  await check("a paraphrase with no shared word still surfaces through the vectors", async () => {
+    const hits = await helpRetrieval.search("inboxes", { topK: 10 });
+    const inbox = hits.find((h) => h.segment.sourceId === "recInbox");
+    assert.ok(inbox, "inbox topic found");
+    assert.strictEqual(inbox.ranks.bm25, null);
+    assert.ok(inbox.ranks.vector > 0);
+  });
+
+  await check("topicId adds an in-topic ranking; sources filter the pool", async () => {
+    const scoped = await helpRetrieval.search("campaign replies", { topK: 3, topicId: "recInbox" });
+    assert.strictEqual(scoped[0].segment.sourceId, "recInbox");
+    assert.ok(scoped[0].ranks.topic === 1);
+    const manualOnly = await helpRetrieval.search("launcher pad instance", { sources: ["lh-manual", "manual"] });
+    assert.ok(manualOnly.length && manualOnly.every((h) => ["lh-manual", "manual"].includes(h.segment.source)));
+  });
+
+  await check("locate + toCitation give the exact segment with its origin", async () => {
+    const seg = helpRetrieval.locate("Set the start and end time in the instance settings", { source: "topic", sourceId: "recHours" });
+    assert.ok(seg);
+    const c = helpRetrieval.toCitation(seg, 2);
+    assert.deepStrictEqual(Object.keys(c), ["id", "source", "sourceId", "segmentId", "title", "url", "headingPath", "text"]);
+    assert.strictEqual(c.id, "S2");
+    assert.strictEqual(c.segmentId, "topic:recHours:1");
+    assert.strictEqual(c.text, TOPICS[0].fields.body.split("\n\n")[1]);
+    const lh = (await helpRetrieval.search("launcher pad", { sources: ["lh-manual"] }))[0];
+    const lc = helpRetrieval.toCitation(lh, 1);
+    assert.ok(lc.url && lc.url.startsWith("https://"), "snapshot citations carry the page url");
+    assert.ok(typeof lc.score === "number");
+  });
+
+  await check("HELP_EMBED_PROVIDER=none ranks with BM25 only", async () => {
+    process.env.HELP_EMBED_PROVIDER = "none";
+    await helpRetrieval.ensureIndex(helpBase, { force: true });
+    assert.strictEqual(helpRetrieval.status().mode, "bm25");
+    const hits = await helpRetrieval.search("working hours");
+    assert.strictEqual(hits[0].ranks.vector, null);
+    delete process.env.HELP_EMBED_PROVIDER;
+  });
+
+  await check("a failing provider leaves a working BM25 index", async () => {
+    registerEmbeddingProvider("broken", () => ({ name: "broken", model: "x", cacheable: false, embed: async () => { throw new Error("quota"); } }));
+    process.env.HELP_EMBED_PROVIDER = "broken";
+    await helpRetrieval.ensureIndex(helpBase, { force: true });
+    const st = helpRetrieval.status();
+    assert.strictEqual(st.mode, "bm25");
+    assert.ok(/embeddings \(broken\): quota/.test(st.lastError), st.lastError);
+    assert.ok((await helpRetrieval.search("inbox")).length > 0);
+    delete process.env.HELP_EMBED_PROVIDER;
+  });
+
+  await check("cacheable provider: vectors persist and only changed segments are re-embedded", async () => {
+    const embedded = [];
+    registerEmbeddingProvider("counting", () => ({
+      name: "counting", model: "m1", cacheable: true,
+      embed: async (texts) => { embedded.push(...texts); return texts.map((t) => [t.length % 7, 1, 2]); },
+    }));
+    process.env.HELP_EMBED_PROVIDER = "counting";
+    helpRetrieval.reset();
+    await helpRetrieval.ensureIndex(helpBase, { force: true });
+    const first = embedded.length;
+    assert.ok(first > 0);
+    assert.ok(fs.existsSync(path.join(tmp, ".cache", "help-vectors-counting-m1.json")));
+    helpRetrieval.reset(); // drop in-memory vectors: the file alone must cover them
+    TOPICS[1].fields.body = "<p>The inbox now also shows LinkedIn InMail replies next to campaign messages.</p>";
+    await helpRetrieval.ensureIndex(helpBase, { force: true });
+    assert.strictEqual(embedded.length - first, 1, "only the edited paragraph");
+    delete process.env.HELP_EMBED_PROVIDER;
+  });
+
+  fs.rmSync(tmp, { recursive: true, force: true });
+  if (failures) { console.error(`\n❌ ${failures} test(s) failed`); process.exit(1); }
+  console.log("\n✅ all 9 tests passed");
+  process.exit(0);
+})();
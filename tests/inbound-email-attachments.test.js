@@ -0,0 +1,196 @@
+/**
+ * Tests for BCC-to-CRM attachment handling (services/emailAttachmentService.js,
+ * services/emailAttachmentStore.js, services/attachmentStorage.js, utils/attachmentText.js),
+ * in-process mode with local storage in a temp directory.
+ *
+ * Covers: text out of a PDF (pdfkit-made, FlateDecode) and a DOCX · unsupported types are kept but
+ * not searchable · zip and Flate bombs are cut off at the inflate cap · saveIncoming stores the bytes, skips Mailgun inline parts, and round-trips ·
+ * links are per lead, idempotent, and scoped to the client · search by filename and by text with
+ * a snippet · the Notes line · a replay links the files stored with the original delivery.
+ * processInboundEmail itself is stubbed — no Airtable, no Mailgun.
+ *
+ * Run: node tests/inbound-email-attachments.test.js
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+
+delete process.env.DATABASE_URL;
+process.env.ATTACHMENT_STORAGE = 'local';
+process.env.ATTACHMENT_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-test-'));
+
+let failures = 0;
+const check = async (name, fn) => {
+  try { await fn(); console.log(`  ✓ ${name}`); }
+  catch (e) { failures++; console.error(`  ✗ ${name}\n    ${e.message}`); }
+};
+
+const stub = (relPath, exports) => {
+  const full = require.resolve(relPath);
+  require.cache[full] = { id: full, filename: full, loaded: true, exports };
+};
+
+// processInboundEmail stand-in: links what it's given to one lead, like the BCC flow does
+const calls = [];
+stub('../services/inboundEmailService', {
+  processInboundEmail: async (payload, options) => {
+    calls.push(options);
+    Object.assign(options.trace, { path: 'bcc', clientId: 'Guy-Wilson' });
+    const attachmentsLinked = await attachments.linkToLeads(options.attachments, { clientId: 'Guy-Wilson', leadIds: ['recLEAD1'], source: 'bcc' });
+    return { success: true, clientId: 'Guy-Wilson', leadsUpdated: [{ leadId: 'recLEAD1', leadEmail: 'jenny@acme.com', source: 'to' }], leadsNotFound: [], errors: [], attachmentsLinked };
+  },
+});
+
+const attachments = require('../services/emailAttachmentService');
+const attachmentStore = require('../services/emailAttachmentStore');
+const auditStore = require('../services/inboundEmailAuditStore');
+const audit = require('../services/inboundEmailAuditService');
+const storage = require('../services/attachmentStorage');
+const zlib = require('zlib');
+const { extractAttachmentText, MAX_INFLATED_BYTES } = require('../utils/attachmentText');
+const { createZip, readZipEntry } = require('../utils/zipArchive');
+
+const makePdf = (lines) => new Promise((resolve) => {
+  const doc = new PDFDocument();
+  const chunks = [];
+  doc.on('data', (c) => chunks.push(c));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  lines.forEach((l) => doc.text(l));
+  doc.end();
+});
+
+const makeDocx = (paragraphs) => createZip([
+  { name: '[Content_Types].xml', data: '<Types/>' },
+  { name: 'word/document.xml', data: `<w:document><w:body>${paragraphs.map((p) => `<w:p><w:r><w:t>${p}</w:t></w:r></w:p>`).join('')}</w:body></w:document>` },
+]);
+
+const file = (fieldname, originalname, mimetype, buffer) => ({ fieldname, originalname, mimetype, size: buffer.length, buffer });
+
+const reset = () => { attachmentStore.__setTestPool(null); auditStore.__setTestPool(null); calls.length = 0; };
+
+(async () => {
+  console.log('inbound email attachments');
+
+  const pdf = await makePdf(['Proposal for Acme Pty Ltd', 'Total investment: $12,000 — payment terms 30 days']);
+  const docx = makeDocx(['Services Agreement', 'Signed by Jenny Yan &amp; Guy Wilson']);
+
+  await check('text comes out of PDF and DOCX; other types are kept but unsearchable', async () => {
+    const fromPdf = extractAttachmentText(pdf, { filename: 'proposal.pdf', contentType: 'application/pdf' });
+    assert.strictEqual(fromPdf.status, 'extracted');
+    assert.ok(fromPdf.text.includes('Proposal for Acme Pty Ltd'), fromPdf.text);
+    assert.ok(fromPdf.text.includes('$12,000 — payment terms'), fromPdf.text);
+    assert.deepStrictEqual(extractAttachmentText(docx, { filename: 'agreement.docx' }), { status: 'extracted', text: 'Services Agreement\nSigned by Jenny Yan & Guy Wilson' });
+    assert.strictEqual(extractAttachmentText(Buffer.from([0x89, 0x50]), { filename: 'chart.png', contentType: 'image/png' }).status, 'unsupported');
+    assert.strictEqual(extractAttachmentText(Buffer.from('not a zip'), { filename: 'broken.docx' }).status, 'failed');
+  });
+
+  await check('zip and Flate bombs stop at the inflate cap instead of filling the heap', async () => {
+    // A DEFLATE entry whose headers claim a tiny size: createZip stores the compressed bytes, then
+    // the method fields are switched to 8 (local header +8, central directory +10).
+    const bomb = zlib.deflateRawSync(Buffer.alloc(MAX_INFLATED_BYTES + 1024, 0x20));
+    const zip = createZip([{ name: 'word/document.xml', data: bomb }]);
+    const central = zip.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+    zip.writeUInt16LE(8, 8);
+    zip.writeUInt16LE(8, central + 10);
+    const lying = extractAttachmentText(zip, { filename: 'bomb.docx' });
+    assert.deepStrictEqual([lying.status, /inflates past/.test(lying.error)], ['failed', true], lying.error);
+    zip.writeUInt32LE(MAX_INFLATED_BYTES + 1024, central + 24);
+    assert.throws(() => readZipEntry(zip, 'word/document.xml', { maxBytes: MAX_INFLATED_BYTES }), /over the \d+-byte limit/);
+
+    // A PDF with a readable page and then a Flate stream that inflates past the cap
+    const stream = (data) => {
+      const z = zlib.deflateSync(data);
+      return Buffer.concat([Buffer.from(`1 0 obj\n<< /Length ${z.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'), z, Buffer.from('\nendstream\nendobj\n', 'latin1')]);
+    };
+    const pdfBomb = Buffer.concat([
+      Buffer.from('%PDF-1.4\n', 'latin1'),
+      stream(Buffer.from('BT (Proposal for Acme Pty Ltd, total investment twelve thousand) Tj ET')),
+      stream(Buffer.alloc(MAX_INFLATED_BYTES + 1024, 0x20)),
+      stream(Buffer.from('BT (Never reached) Tj ET')),
+    ]);
+    const fromBomb = extractAttachmentText(pdfBomb, { filename: 'bomb.pdf' });
+    assert.strictEqual(fromBomb.status, 'extracted');
+    assert.strictEqual(fromBomb.text, 'Proposal for Acme Pty Ltd, total investment twelve thousand');
+  });
+
+  await check('saveIncoming stores the files, skips inline images, and the bytes round-trip', async () => {
+    reset();
+    const saved = await attachments.saveIncoming([
+      file('attachment-1', 'proposal.pdf', 'application/pdf', pdf),
+      file('attachment-2', 'logo.png', 'image/png', Buffer.from('png-bytes')),
+      file('attachment-3', '../../Agreement (signed).docx', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', docx),
+    ], { auditId: 7, contentIdMap: '{"<logo@mail>": "attachment-2"}' });
+
+    assert.deepStrictEqual(saved.map((a) => [a.filename, a.textStatus]), [['proposal.pdf', 'extracted'], ['../../Agreement (signed).docx', 'extracted']]);
+    const stored = await attachmentStore.listForAudit(7);
+    assert.strictEqual(stored.length, 2);
+    assert.strictEqual(stored[1].storage.provider, 'local');
+    assert.ok(/^inbound\/\d{4}\/\d{2}\/[0-9a-f]{16}\/Agreement_signed_.docx$/.test(stored[1].storage.key), stored[1].storage.key);
+    assert.ok((await storage.getObject(stored[0].storage)).equals(pdf));
+  });
+
+  await check('links are per lead, idempotent, and only visible to that client', async () => {
+    reset();
+    const saved = await attachments.saveIncoming([file('attachment-1', 'proposal.pdf', 'application/pdf', pdf)], { auditId: 1 });
+    assert.strictEqual(await attachments.linkToLeads(saved, { clientId: 'Guy-Wilson', leadIds: ['recA', 'recB', 'recA'], source: 'bcc' }), 2);
+    assert.strictEqual(await attachments.linkToLeads(saved, { clientId: 'Guy-Wilson', leadIds: ['recA'], source: 'bcc' }), 0);
+
+    const forA = await attachments.listForLead('Guy-Wilson', 'recA');
+    assert.deepStrictEqual(forA.map((a) => [a.filename, a.source, a.contentType]), [['proposal.pdf', 'bcc', 'application/pdf']]);
+    assert.ok(forA[0].textPreview.startsWith('Proposal for Acme'));
+    assert.deepStrictEqual(await attachments.listForLead('Other-Client', 'recA'), []);
+
+    const got = await attachments.download('Guy-Wilson', saved[0].attachmentId);
+    assert.ok(got.content.equals(pdf));
+    assert.strictEqual(await attachments.download('Other-Client', saved[0].attachmentId), null);
+  });
+
+  await check('search by filename and by extracted text, with a snippet', async () => {
+    reset();
+    const saved = await attachments.saveIncoming([
+      file('attachment-1', 'proposal.pdf', 'application/pdf', pdf),
+      file('attachment-2', 'agreement.docx', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', docx),
+    ], { auditId: 2 });
+    await attachments.linkToLeads(saved, { clientId: 'Guy-Wilson', leadIds: ['recA'], source: 'bcc' });
+
+    const byText = await attachments.search('Guy-Wilson', { q: '12,000' });
+    assert.deepStrictEqual(byText.map((a) => a.filename), ['proposal.pdf']);
+    assert.ok(byText[0].snippet.includes('$12,000'), byText[0].snippet);
+    assert.deepStrictEqual((await attachments.search('Guy-Wilson', { q: 'AGREEMENT' })).map((a) => a.filename), ['agreement.docx']);
+    assert.deepStrictEqual(await attachments.search('Guy-Wilson', { q: '12,000', leadId: 'recZ' }), []);
+    assert.deepStrictEqual(await attachments.search('Other-Client', { q: '12,000' }), []);
+  });
+
+  await check('Notes line lists the files with sizes', async () => {
+    assert.strictEqual(attachments.formatAttachmentLine([]), '');
+    assert.strictEqual(
+      attachments.formatAttachmentLine([{ filename: 'proposal.pdf', size: 122880 }, { filename: 'deck.pptx', size: 3 * 1024 * 1024 }]),
+      '📎 Attachments: proposal.pdf (120 KB), deck.pptx (3.0 MB)'
+    );
+  });
+
+  await check('a replay links the files stored with the original delivery', async () => {
+    reset();
+    const payload = { sender: 'guy@example.com', To: 'jenny@acme.com', subject: 'Proposal', 'body-plain': 'Attached.' };
+    const auditId = await audit.recordReceived(payload, { files: [file('attachment-1', 'proposal.pdf', 'application/pdf', pdf)] });
+    const saved = await attachments.saveIncoming([file('attachment-1', 'proposal.pdf', 'application/pdf', pdf)], { auditId });
+    await audit.processAudited(payload, { auditId, attachments: saved });
+    assert.strictEqual(calls[0].attachments.length, 1);
+
+    const first = await audit.replayMessage(auditId);
+    assert.deepStrictEqual(calls[1].attachments.map((a) => a.filename), ['proposal.pdf']);
+    assert.strictEqual(first.result.attachmentsLinked, 0, 'already linked by the live delivery');
+
+    // A replay of the replay still finds the delivery's files
+    await audit.replayMessage(first.replay.id);
+    assert.deepStrictEqual(calls[2].attachments.map((a) => a.attachmentId), [saved[0].attachmentId]);
+    assert.strictEqual((await attachments.listForLead('Guy-Wilson', 'recLEAD1')).length, 1);
+  });
+
+  fs.rmSync(process.env.ATTACHMENT_STORAGE_DIR, { recursive: true, force: true });
+  if (failures) { console.error(`\n❌ ${failures} test(s) failed`); process.exit(1); }
+  console.log('\n✅ all 7 tests passed');
+  process.exit(0);
+})();
@@ -0,0 +1,165 @@
+/**
+ * Tests for the inbound email audit log and replay (services/inboundEmailAuditService.js +
+ * services/inboundEmailAuditStore.js), in-process mode.
+ *
+ * Covers: a payload is stored as received, then filled in with path, client, matched leads, the
+ * Notes diff and the result · results map onto audit statuses (processed / duplicate /
+ * lead_not_found / notetaker) · a thrown error is recorded before it propagates · search by text
+ * and status · replay re-runs the stored payload as a new row without emailing the client, and
+ * counts against the original · diffNotes() reports the lines a Notes update added and removed.
+ * processInboundEmail itself is stubbed — no Airtable, no Mailgun.
+ *
+ * Run: node tests/inbound-email-audit.test.js
+ */
+const assert = require('assert');
+
+delete process.env.DATABASE_URL;
+
+let failures = 0;
+const check = async (name, fn) => {
+  try { await fn(); console.log(`  ✓ ${name}`); }
+  catch (e) { failures++; console.error(`  ✗ ${name}\n    ${e.message}`); }
+};
+
+const stub = (relPath, exports) => {
+  const full = require.resolve(relPath);
+  require.cache[full] = { id: full, filename: full, loaded: true, exports };
+};
+
+// processInboundEmail stand-in: the next result to return, and every call it saw
+let nextResult = null;
+const calls = [];
+stub('../services/inboundEmailService', {
+  processInboundEmail: async (payload, options) => {
+    calls.push({ payload, options });
+    if (nextResult instanceof Error) throw nextResult;
+    Object.assign(options.trace, { path: 'bcc', clientId: 'Guy-Wilson', clientName: 'Guy Wilson' });
+    return nextResult;
+  },
+});
+
+const store = require('../services/inboundEmailAuditStore');
+const audit = require('../services/inboundEmailAuditService');
+const { diffNotes } = require('../utils/notesAuditLogger');
+
+const PAYLOAD = {
+  sender: 'guy@example.com',
+  from: 'Guy Wilson <guy@example.com>',
+  To: 'Jenny Yan <jenny@acme.com>',
+  recipient: 'track@mail.australiansidehustles.com.au',
+  subject: 'Pricing follow-up',
+  'body-plain': 'Hi Jenny, pricing attached.',
+  'Message-Id': '<abc123@mail.gmail.com>',
+};
+
+const DIFF = { added: 'Subject: Pricing follow-up\n04-12-25 1:10 PM - Guy Wilson - Hi Jenny, pricing attached.', removed: '', beforeLen: 40, afterLen: 120, truncated: false };
+
+const processed = () => ({
+  success: true,
+  clientId: 'Guy-Wilson',
+  clientName: 'Guy Wilson',
+  leadsUpdated: [{ leadId: 'recLEAD0000000001', leadName: 'Jenny Yan', leadEmail: 'jenny@acme.com', source: 'to', followUpDate: '2026-11-02', messageCount: 1, skippedDuplicate: false, notesDiff: DIFF }],
+  leadsNotFound: [{ email: 'bob@acme.com', name: 'Bob', source: 'cc' }],
+  errors: [],
+});
+
+const reset = () => { store.__setTestPool(null); calls.length = 0; };
+
+(async () => {
+  console.log('inbound email audit log');
+
+  await check('payload stored as received, then filled in with what processing did', async () => {
+    reset();
+    const id = await audit.recordReceived(PAYLOAD, {
+      files: [{ originalname: 'pricing.pdf', mimetype: 'application/pdf', size: 2048 }],
+      signatureVerified: true,
+    });
+    let msg = await store.getMessage(id);
+    assert.deepStrictEqual([msg.status, msg.sender, msg.messageId, msg.to, msg.signatureVerified], ['received', 'guy@example.com', '<abc123@mail.gmail.com>', 'Jenny Yan <jenny@acme.com>', true]);
+    assert.deepStrictEqual(msg.attachments, [{ filename: 'pricing.pdf', contentType: 'application/pdf', size: 2048 }]);
+
+    nextResult = processed();
+    const result = await audit.processAudited(PAYLOAD, { auditId: id });
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(calls[0].options.notify, true, 'live deliveries notify as before');
+
+    msg = await store.getMessage(id);
+    assert.deepStrictEqual([msg.status, msg.path, msg.clientId, msg.error], ['processed', 'bcc', 'Guy-Wilson', null]);
+    assert.deepStrictEqual(msg.leads.map((l) => [l.email, l.matched]), [['jenny@acme.com', true], ['bob@acme.com', false]]);
+    assert.deepStrictEqual(msg.notesDiff, [{ leadId: 'recLEAD0000000001', ...DIFF }]);
+    assert.strictEqual(msg.result.leadsUpdated[0].notesDiff, undefined, 'diffs are not duplicated into the result');
+    assert.strictEqual(msg.payload['body-plain'], PAYLOAD['body-plain']);
+  });
+
+  await check('results map onto audit statuses', async () => {
+    assert.strictEqual(audit.describeOutcome({ success: false, clientId: 'x', leadsUpdated: [], leadsNotFound: [{ email: 'a@b.c', source: 'to' }], errors: [] }).status, 'lead_not_found');
+    assert.strictEqual(audit.describeOutcome({ success: false, error: 'client_not_found' }).status, 'client_not_found');
+    assert.strictEqual(audit.describeOutcome({ success: false, leadsUpdated: [], leadsNotFound: [], errors: [{ error: 'boom' }] }).status, 'error');
+    const dup = processed();
+    dup.leadsUpdated[0].skippedDuplicate = true;
+    assert.strictEqual(audit.describeOutcome(dup).status, 'duplicate');
+    const meeting = audit.describeOutcome({ success: true, type: 'meeting_notes', leadIds: ['recA'], leadNames: ['Ann Lee'], notesDiffs: [{ leadId: 'recA', added: 'x' }] });
+    assert.deepStrictEqual([meeting.status, meeting.leads[0].leadName, meeting.notesDiff.length], ['processed', 'Ann Lee', 1]);
+  });
+
+  await check('a thrown error is recorded before it propagates', async () => {
+    reset();
+    const id = await audit.recordReceived(PAYLOAD);
+    nextResult = new Error('Airtable 503');
+    await assert.rejects(audit.processAudited(PAYLOAD, { auditId: id }), /Airtable 503/);
+    const msg = await store.getMessage(id);
+    assert.deepStrictEqual([msg.status, msg.error, msg.signatureVerified], ['error', 'Airtable 503', null]);
+  });
+
+  await check('search by text and status, newest first, without payloads', async () => {
+    reset();
+    nextResult = processed();
+    await audit.processAudited(PAYLOAD, { auditId: await audit.recordReceived(PAYLOAD) });
+    const stranger = { ...PAYLOAD, sender: 'stranger@else.com', To: 'sales@widgets.com', subject: 'Hello' };
+    nextResult = { success: false, error: 'client_not_found', message: 'No client found' };
+    await audit.processAudited(stranger, { auditId: await audit.recordReceived(stranger) });
+
+    const all = await audit.searchMessages({});
+    assert.strictEqual(all.total, 2);
+    assert.strictEqual(all.messages[0].subject, 'Hello');
+    assert.strictEqual(all.messages[0].payload, undefined);
+    assert.deepStrictEqual((await audit.searchMessages({ q: 'JENNY' })).messages.map((m) => m.subject), ['Pricing follow-up']);
+    assert.deepStrictEqual((await audit.searchMessages({ q: 'bob@acme' })).total, 1, 'unmatched recipients are searchable too');
+    assert.deepStrictEqual((await audit.searchMessages({ status: 'client_not_found' })).messages.map((m) => m.sender), ['stranger@else.com']);
+  });
+
+  await check('replay re-runs the stored payload as a new row, without emailing the client', async () => {
+    reset();
+    const id = await audit.recordReceived(PAYLOAD, { signatureVerified: true, files: [{ originalname: 'a.pdf', size: 1 }] });
+    nextResult = { success: false, clientId: 'Guy-Wilson', leadsUpdated: [], leadsNotFound: [{ email: 'jenny@acme.com', source: 'to' }], errors: [] };
+    await audit.processAudited(PAYLOAD, { auditId: id });
+    assert.strictEqual((await store.getMessage(id)).status, 'lead_not_found');
+
+    // ...the lead gets created, then:
+    nextResult = processed();
+    const replayed = await audit.replayMessage(id);
+    assert.strictEqual(calls[1].options.notify, false);
+    assert.deepStrictEqual(calls[1].payload, PAYLOAD);
+    assert.deepStrictEqual([replayed.replay.replayOf, replayed.replay.status, replayed.replay.signatureVerified], [id, 'processed', true]);
+    assert.strictEqual(replayed.replay.attachments[0].filename, 'a.pdf');
+    assert.deepStrictEqual([replayed.original.status, replayed.original.replayCount], ['lead_not_found', 1], 'the original keeps its own outcome');
+
+    await audit.replayMessage(id, { notify: true });
+    assert.strictEqual(calls[2].options.notify, true);
+    assert.strictEqual((await store.getMessage(id)).replayCount, 2);
+    assert.strictEqual(await audit.replayMessage(999), null);
+  });
+
+  await check('diffNotes reports lines added and removed', async () => {
+    const before = '=== EMAIL CORRESPONDENCE ===\nold line\nkept';
+    const after = '=== EMAIL CORRESPONDENCE ===\nkept\nnew line one\nnew line two';
+    assert.deepStrictEqual(diffNotes(before, after), {
+      added: 'new line one\nnew line two', removed: 'old line', beforeLen: before.length, afterLen: after.length, truncated: false,
+    });
+    assert.strictEqual(diffNotes('', 'x'.repeat(50), 10).truncated, true);
+  });
+
+  if (failures) { console.error(`\n❌ ${failures} test(s) failed`); process.exit(1); }
+  console.log('\n✅ all 6 tests passed');
+  process.exit(0);
+})();
@@ -0,0 +1,209 @@
+/**
+ * Tests for lead deduplication and merge (services/leadDedupService.js).
+ *
+ * Covers: pairs by canonical slug, by email and by near-identical name at the same company ·
+ * different people at one company are not paired · the suggested survivor is the higher score ·
+ * Notes merge section by section (messages deduped and sorted, email threads and meeting blocks
+ * kept whole, tags unioned) · blanks filled, the duplicate's email kept as an alt, a higher
+ * duplicate score carried over · a merge writes the survivor, moves meetings and Smart FUP State,
+ * audits Notes and deletes the duplicate · the lead-merge audit entry is written for every merge,
+ * and only after the survivor write succeeds · bad merges are rejected before anything is written.
+ * recallWebhookDb and smartFollowUpService are stubbed; Airtable is a fake.
+ *
+ * Run: node tests/lead-dedup.test.js
+ */
+const assert = require('assert');
+
+let failures = 0;
+const check = async (name, fn) => {
+  try { await fn(); console.log(`  ✓ ${name}`); }
+  catch (e) { failures++; console.error(`  ✗ ${name}\n    ${e.message}`); }
+};
+
+const stub = (relPath, exports) => {
+  const full = require.resolve(relPath);
+  require.cache[full] = { id: full, filename: full, loaded: true, exports };
+};
+
+const calls = { meetings: [], smartFup: [], audits: [], merges: [] };
+stub('../services/recallWebhookDb', {
+  reassignLeadMeetings: async (from, to, coach) => { calls.meetings.push([from, to, coach]); return { ok: true, moved: 2, dropped: 0 }; },
+});
+stub('../services/smartFollowUpService', {
+  repointStateRecord: async (clientId, from, lead) => { calls.smartFup.push([clientId, from, lead.id]); return { action: 'moved' }; },
+});
+stub('../utils/notesAuditLogger', {
+  logNotesChange: (entry) => { calls.audits.push(entry); },
+  logLeadMerge: (entry) => { calls.merges.push(entry); },
+});
+
+const dedup = require('../services/leadDedupService');
+
+// --- fake Airtable base --------------------------------------------------------------------
+function fakeBase(records) {
+  const byId = new Map(records.map((r) => [r.id, { ...r, fields: { ...r.fields } }]));
+  const log = { updates: [], destroyed: [] };
+  const table = {
+    select: () => ({
+      eachPage: async (page) => { await page([...byId.values()].map((r) => ({ id: r.id, fields: r.fields, _rawJson: { createdTime: r.createdTime } })), () => {}); },
+    }),
+    find: async (id) => {
+      if (!byId.has(id)) { const e = new Error('NOT_FOUND'); e.statusCode = 404; throw e; }
+      return byId.get(id);
+    },
+    update: async (rows) => rows.map(({ id, fields }) => {
+      log.updates.push({ id, fields });
+      const r = byId.get(id);
+      r.fields = { ...r.fields, ...fields };
+      return { id, fields: r.fields };
+    }),
+    destroy: async (id) => { log.destroyed.push(id); byId.delete(id); },
+  };
+  const base = () => table;
+  base.log = log;
+  base.byId = byId;
+  return base;
+}
+
+const lead = (id, fields, createdTime = '2026-01-01T00:00:00.000Z') => ({ id, fields, createdTime });
+
+(async () => {
+  console.log('findDuplicatePairs:');
+  await check('same slug, same email and same name+company are paired; reasons ordered', () => {
+    const pairs = dedup.findDuplicatePairs([
+      lead('recA', { 'First Name': 'Sally', 'Last Name': 'Kuter', 'LinkedIn Profile URL': 'https://www.linkedin.com/in/sallyk/', 'Email': 'Sally@Acme.com' }),
+      lead('recB', { 'First Name': 'Sally', 'Last Name': 'Kuter', 'LinkedIn Profile URL': 'linkedin.com/in/SallyK?trk=x', 'Email': 'sally@acme.com' }),
+      lead('recC', { 'First Name': 'Jon', 'Last Name': 'Smith, MBA', 'Company Name': 'Acme Pty Ltd' }),
+      lead('recD', { 'First Name': 'John', 'Last Name': 'Smith', 'Company Name': 'ACME' }),
+    ]);
+    assert.strictEqual(pairs.length, 2);
+    assert.deepStrictEqual(pairs[0].reasons, ['linkedin', 'email']);
+    assert.deepStrictEqual(pairs[1].reasons, ['name_company']);
+    assert.ok(pairs[1].nameSimilarity >= dedup.NAME_SIMILARITY);
+  });
+  await check('different people at the same company, or the same name elsewhere, are not paired', () => {
+    const pairs = dedup.findDuplicatePairs([
+      lead('rec1', { 'First Name': 'Anna', 'Last Name': 'Lee', 'Company Name': 'Acme' }),
+      lead('rec2', { 'First Name': 'Anne', 'Last Name': 'Leeson', 'Company Name': 'Acme' }),
+      lead('rec3', { 'First Name': 'Anna', 'Last Name': 'Lee', 'Company Name': 'Globex' }),
+    ]);
+    assert.deepStrictEqual(pairs, []);
+  });
+  await check('suggested survivor: higher score, then LinkedIn URL, then older', () => {
+    const hi = lead('recHi', { 'Email': 'x@y.com', 'AI Score': 80 });
+    const lo = lead('recLo', { 'Email': 'x@y.com', 'AI Score': 40, 'LinkedIn Profile URL': 'https://linkedin.com/in/x' });
+    assert.strictEqual(dedup.findDuplicatePairs([lo, hi])[0].keepId, 'recHi');
+    const old = lead('recOld', { 'Email': 'x@y.com' }, '2025-01-01T00:00:00.000Z');
+    const young = lead('recNew', { 'Email': 'x@y.com' }, '2026-06-01T00:00:00.000Z');
+    assert.strictEqual(dedup.findDuplicatePairs([young, old])[0].keepId, 'recOld');
+  });
+  await check('findDuplicates scans the base and reports totals', async () => {
+    const base = fakeBase([
+      lead('recA', { 'Email': 'a@b.com' }), lead('recB', { 'Email': 'A@B.com' }), lead('recC', { 'Email': 'c@d.com' }),
+    ]);
+    const r = await dedup.findDuplicates(base, { limit: 10 });
+    assert.deepStrictEqual([r.scanned, r.total, r.candidates.length], [3, 1, 1]);
+  });
+
+  console.log('\ncombineNotes / mergeLeadFields:');
+  const KEEP_NOTES = [
+    'Tags: #warm-response',
+    '',
+    '=== LINKEDIN MESSAGES ===',
+    '05-09-26 10:00 AM - Sally Kuter - Thanks for connecting',
+    '=== EMAIL CORRESPONDENCE ===',
+    '03-09-26 9:15 AM - Sally Kuter - Intro thread',
+  ].join('\n');
+  const MERGE_NOTES = [
+    'Tags: #promised #warm-response',
+    '',
+    '=== LINKEDIN MESSAGES ===',
+    '07-09-26 09:00 AM - Guy Wilson - Coffee next week?',
+    '05-09-26 10:00 AM - Sally Kuter - Thanks for connecting',
+    '=== MANUAL NOTES ===',
+    '06-09-26: Met at the expo',
+    '=== EMAIL CORRESPONDENCE ===',
+    '08-09-26 2:30 PM - Sally Kuter - Pricing thread',
+    '=== MEETING NOTES ===',
+    '---MEETING-BLOCK---',
+    'Intro call | September 9, 2026 | 30 min',
+    '---MEETING-BLOCK---',
+  ].join('\n');
+  await check('Notes merge section by section with tags unioned', () => {
+    const out = dedup.combineNotes(KEEP_NOTES, MERGE_NOTES);
+    assert.ok(out.startsWith('Tags: #warm-response #promised\n'), out.split('\n')[0]);
+    const linkedin = out.split('=== LINKEDIN MESSAGES ===\n')[1].split('\n=== ')[0].trim().split('\n');
+    assert.deepStrictEqual(linkedin, [
+      '07-09-26 09:00 AM - Guy Wilson - Coffee next week?',
+      '05-09-26 10:00 AM - Sally Kuter - Thanks for connecting',
+    ]);
+    assert.ok(out.includes('=== MANUAL NOTES ===\n06-09-26: Met at the expo'));
+    assert.ok(out.includes('Pricing thread\n---EMAIL-THREAD---\n03-09-26 9:15 AM - Sally Kuter - Intro thread'), 'email threads kept whole, newest first');
+    assert.strictEqual(out.match(/---MEETING-BLOCK---/g).length, 2, 'one meeting block, wrapped once');
+    assert.ok(!out.includes('───'), 'no phantom legacy section');
+    assert.strictEqual(dedup.combineNotes(out, MERGE_NOTES), out, 'merging again changes nothing');
+  });
+  await check('blanks filled, duplicate email kept as an alt, higher duplicate score carried over', () => {
+    const updates = dedup.mergeLeadFields(
+      { 'Email': 'sally@acme.com', 'AI Score': 40, 'AI Profile Assessment': 'meh', 'Phone': '' },
+      { 'Email': 'sally.k@gmail.com', 'AI Score': 72, 'AI Profile Assessment': 'strong', 'Phone': '+61 400', 'Job Title': 'Founder' },
+    );
+    assert.deepStrictEqual(updates, {
+      'Phone': '+61 400', 'Job Title': 'Founder', 'AI Score': 72, 'AI Profile Assessment': 'strong', 'Alt Emails': 'sally.k@gmail.com',
+    });
+    assert.deepStrictEqual(dedup.mergeLeadFields({ 'Email': 'a@b.com', 'AI Score': 90 }, { 'Email': 'A@b.com', 'AI Score': 10 }), {});
+  });
+
+  console.log('\nmergeLeads:');
+  await check('writes the survivor, moves meetings and Smart FUP, audits, deletes the duplicate', async () => {
+    const base = fakeBase([
+      lead('recKeep', { 'First Name': 'Sally', 'Email': 'sally@acme.com', 'AI Score': 72, 'Notes': KEEP_NOTES }),
+      lead('recDup', { 'First Name': 'Sally', 'Email': 'sally@acme.com', 'AI Score': 30, 'Company Name': 'Acme', 'Notes': MERGE_NOTES }),
+    ]);
+    const r = await dedup.mergeLeads(base, { keepId: 'recKeep', mergeId: 'recDup', clientId: 'Test-Client' });
+    assert.deepStrictEqual(base.log.destroyed, ['recDup']);
+    assert.strictEqual(base.log.updates.length, 1);
+    assert.deepStrictEqual(r.fieldsUpdated.sort(), ['Company Name', 'Notes']);
+    assert.ok(base.byId.get('recKeep').fields['Notes'].includes('Coffee next week?'));
+    assert.deepStrictEqual(calls.meetings, [['recDup', 'recKeep', 'Test-Client']]);
+    assert.deepStrictEqual(calls.smartFup, [['Test-Client', 'recDup', 'recKeep']]);
+    assert.strictEqual(calls.audits.length, 1);
+    assert.strictEqual(calls.audits[0].source, 'lead-merge');
+    assert.strictEqual(calls.audits[0].metadata.mergedFromId, 'recDup');
+    assert.strictEqual(calls.merges.length, 1);
+    assert.deepStrictEqual(
+      { survivorId: calls.merges[0].survivorId, mergedIds: calls.merges[0].mergedIds, meetingsMoved: calls.merges[0].meetingsMoved, smartFupAction: calls.merges[0].smartFupAction },
+      { survivorId: 'recKeep', mergedIds: ['recDup'], meetingsMoved: 2, smartFupAction: 'moved' },
+    );
+  });
+  await check('every merge gets a merge audit entry, and a failed survivor write gets none', async () => {
+    calls.audits.length = 0; calls.merges.length = 0;
+    const base = fakeBase([
+      lead('recKeep', { 'Email': 'sally@acme.com', 'Notes': 'same' }),
+      lead('recDup', { 'Email': 'sally@acme.com', 'Notes': 'same' }),
+    ]);
+    await dedup.mergeLeads(base, { keepId: 'recKeep', mergeId: 'recDup', clientId: 'Test-Client' });
+    assert.strictEqual(calls.audits.length, 0, 'Notes unchanged - no Notes audit');
+    assert.strictEqual(calls.merges.length, 1);
+    assert.strictEqual(calls.merges[0].clientId, 'Test-Client');
+
+    calls.merges.length = 0;
+    const failing = fakeBase([
+      lead('recKeep', { 'Email': 'sally@acme.com', 'Notes': KEEP_NOTES }),
+      lead('recDup', { 'Email': 'sally@acme.com', 'Notes': MERGE_NOTES }),
+    ]);
+    const table = failing();
+    table.update = async () => { throw new Error('INVALID_VALUE_FOR_COLUMN'); };
+    await assert.rejects(dedup.mergeLeads(failing, { keepId: 'recKeep', mergeId: 'recDup', clientId: 'Test-Client' }), /INVALID_VALUE/);
+    assert.deepStrictEqual([calls.audits.length, calls.merges.length, failing.log.destroyed.length], [0, 0, 0]);
+  });
+  await check('self-merge and missing leads are rejected before anything is written', async () => {
+    const base = fakeBase([lead('recKeep', { 'Email': 'a@b.com' })]);
+    await assert.rejects(dedup.mergeLeads(base, { keepId: 'recKeep', mergeId: 'recKeep', clientId: 'c' }), (e) => e.statusCode === 400);
+    await assert.rejects(dedup.mergeLeads(base, { keepId: 'recKeep', mergeId: 'recGone', clientId: 'c' }), (e) => e.statusCode === 404);
+    assert.deepStrictEqual([base.log.updates.length, base.log.destroyed.length], [0, 0]);
+  });
+
+  console.log(failures ? `\n❌ ${failures} test(s) failed` : '\n✅ all lead-dedup tests passed');
+  process.exit(failures ? 1 : 0);
+})();
@@ -0,0 +1,200 @@
+/**
+ * Tests for lead export formats and scheduled exports (services/leadExportService.js,
+ * services/scheduledExportStore.js, services/scheduledExportRunner.js).
+ *
+ * Covers: export rows flatten Raw Profile Data minus junk keys · the column chooser (order,
+ * lh_*, unknown names) · CSV keeps its historical default header · XLSX cells are typed (score a
+ * number, dates real dates) · vCards escape, fold at 75 octets and skip leads with no phone or
+ * email · schedule validation · weekly/daily "due" in the client's timezone · the schedule
+ * formula (score floor, new since last send, saved search) · a run emails the file to the coach,
+ * an empty run sends nothing, a failed run keeps last_run_at, a client that isn't Active is skipped.
+ * Runs on the store's in-process fallback (no DATABASE_URL); Airtable and Mailgun are fakes.
+ *
+ * Run: node tests/lead-export.test.js
+ */
+const assert = require('assert');
+const XLSX = require('xlsx');
+
+let failures = 0;
+const check = async (name, fn) => {
+  try { await fn(); console.log(`  ✓ ${name}`); }
+  catch (e) { failures++; console.error(`  ✗ ${name}\n    ${e.message}`); }
+};
+
+const stub = (relPath, exports) => {
+  const full = require.resolve(relPath);
+  require.cache[full] = { id: full, filename: full, loaded: true, exports };
+};
+
+delete process.env.DATABASE_URL;
+
+// --- fake clients, Leads table and Mailgun ---------------------------------------------------
+const CLIENTS = {
+  'Test-Client': { clientId: 'Test-Client', clientName: 'Test Client', airtableBaseId: 'appTest', coach: 'Coach-Co', clientEmailAddress: 'client@example.com', timezone: 'Australia/Brisbane', status: 'Active' },
+  'Coach-Co': { clientId: 'Coach-Co', clientEmailAddress: 'coach@example.com', status: 'Active' },
+  'Paused-Client': { clientId: 'Paused-Client', clientName: 'Paused Client', airtableBaseId: 'appPaused', clientEmailAddress: 'paused@example.com', timezone: 'Australia/Brisbane', status: 'Paused' },
+};
+let leadRecords = [];
+const selects = [];
+const leadsBase = () => ({
+  select: (opts) => {
+    selects.push(opts);
+    return { eachPage: async (page) => { await page(leadRecords.map((fields) => ({ fields })), () => {}); } };
+  },
+});
+stub('../services/clientService', {
+  getClientById: async (id) => CLIENTS[id] || null,
+  getAllActiveClients: async () => Object.values(CLIENTS).filter((c) => c.status === 'Active'),
+  getClientBase: () => leadsBase,
+});
+const sent = [];
+let mailgunDown = false;
+stub('../services/emailNotificationService', {
+  sendMailgunEmailWithAttachments: async (data, attachments) => {
+    if (mailgunDown) throw new Error('Mailgun API error: 503');
+    sent.push({ data, attachments });
+    return { id: 'mg-1' };
+  },
+});
+
+const exportService = require('../services/leadExportService');
+const store = require('../services/scheduledExportStore');
+const savedSearches = require('../services/savedSearchStore');
+const runner = require('../services/scheduledExportRunner');
+
+const LEAD = {
+  'First Name': 'Sally', 'Last Name': 'Kuter', 'Email': 'sally@example.com', 'Phone': '+61 400 000 000',
+  'Company Name': 'Acme; Pty, Ltd', 'Job Title': 'Founder', 'AI Score': 72, 'Status': 'In Process',
+  'Date Connected': '2026-09-01', 'LinkedIn Profile URL': 'https://www.linkedin.com/in/sallyk/',
+  'Raw Profile Data': JSON.stringify({ industry: 'Software', my_email: 'operator@x.com', ['a'.repeat(32)]: 'x' }),
+};
+
+(async () => {
+  console.log('leadExportService:');
+  await check('rows flatten Raw Profile Data without operator / tracking keys', () => {
+    const { row, lhKeys } = exportService.leadExportRow(LEAD);
+    assert.strictEqual(row.linkedin_url, 'https://www.linkedin.com/in/sallyk');
+    assert.strictEqual(row.ai_score, '72');
+    assert.deepStrictEqual(lhKeys, ['lh_industry']);
+  });
+  await check('column chooser keeps order, understands lh_*, reports unknown names', () => {
+    assert.deepStrictEqual(exportService.resolveColumns('ai_score, first_name,lh_*,nope'),
+      { columns: ['ai_score', 'first_name'], includeLh: true, unknown: ['nope'] });
+    assert.deepStrictEqual(exportService.resolveColumns(''), { columns: null, includeLh: null, unknown: [] });
+  });
+  await check('CSV default is every standard column then lh_*; chosen columns only otherwise', () => {
+    const { row } = exportService.leadExportRow(LEAD);
+    const all = exportService.renderLeadExport([row], { format: 'csv', lhKeys: ['lh_industry'] }).buffer.toString('utf8');
+    const header = all.replace('\uFEFF', '').split('\r\n')[0].split(',');
+    assert.strictEqual(header[0], '"first_name"');
+    assert.strictEqual(header[header.length - 1], '"lh_industry"');
+    const some = exportService.renderLeadExport([row], { format: 'csv', columns: ['email', 'ai_score'], lhKeys: ['lh_industry'] }).buffer.toString('utf8');
+    assert.strictEqual(some, '\uFEFF"email","ai_score"\r\n"sally@example.com","72"\r\n');
+  });
+  await check('XLSX cells are typed: score a number, dates real dates, labels as header', () => {
+    const { row } = exportService.leadExportRow(LEAD);
+    const file = exportService.renderLeadExport([row], { format: 'xlsx', columns: ['first_name', 'ai_score', 'date_connected'] });
+    const sheet = XLSX.read(file.buffer, { type: 'buffer', cellDates: true }).Sheets.Leads;
+    assert.deepStrictEqual([sheet.A1.v, sheet.B1.v, sheet.C1.v], ['First Name', 'AI Score', 'Date Connected']);
+    assert.strictEqual(sheet.B2.t, 'n');
+    assert.strictEqual(sheet.B2.v, 72);
+    assert.strictEqual(sheet.C2.t, 'd');
+    assert.strictEqual(file.extension, 'xlsx');
+  });
+  await check('vCards escape and fold; leads with no phone or email are skipped', () => {
+    const { row } = exportService.leadExportRow({ ...LEAD, 'Job Title': 'Founder '.repeat(12).trim() });
+    const { row: bare } = exportService.leadExportRow({ 'First Name': 'No', 'Last Name': 'Contact' });
+    const file = exportService.renderLeadExport([row, bare], { format: 'vcf' });
+    const text = file.buffer.toString('utf8');
+    assert.strictEqual(file.rowCount, 1);
+    assert.ok(text.includes('ORG:Acme\\; Pty\\, Ltd'));
+    assert.ok(text.includes('TEL;TYPE=CELL:+61 400 000 000'));
+    assert.ok(text.split('\r\n').every((l) => Buffer.byteLength(l) <= 75));
+    assert.ok(/\r\n /.test(text), 'long TITLE line is folded');
+  });
+
+  console.log('\nscheduledExportStore:');
+  store.__setTestPool(null);
+  savedSearches.__setTestPool(null);
+  await check('bad input is rejected with a validation error', async () => {
+    await assert.rejects(store.createSchedule('Test-Client', { name: 'x', format: 'pdf' }), (e) => e.isValidationError && /format/.test(e.message));
+    await assert.rejects(store.createSchedule('Test-Client', { name: 'x', weekday: 9 }), /weekday/);
+    await assert.rejects(store.createSchedule('Test-Client', { name: 'x', recipient: 'not-an-email' }), /recipient/);
+  });
+  await check('weekly defaults to Monday; daily has no weekday', async () => {
+    const w = await store.createSchedule('Test-Client', { name: 'Weekly' });
+    const d = await store.createSchedule('Test-Client', { name: 'Daily', cadence: 'daily', weekday: 3 });
+    assert.deepStrictEqual([w.cadence, w.weekday, w.format, d.weekday], ['weekly', 1, 'xlsx', null]);
+    await store.deleteSchedule('Test-Client', w.id);
+    await store.deleteSchedule('Test-Client', d.id);
+  });
+
+  console.log('\nscheduledExportRunner:');
+  // Monday 2026-10-19 09:00 in Brisbane = Sunday 23:00 UTC
+  const MONDAY_BNE = new Date('2026-10-18T23:00:00Z');
+  await check('weekly is due on its weekday in the client\'s timezone, once', () => {
+    const s = { enabled: true, cadence: 'weekly', weekday: 1, lastRunAt: null };
+    assert.strictEqual(runner.isDue(s, MONDAY_BNE, 'Australia/Brisbane'), true);
+    assert.strictEqual(runner.isDue(s, MONDAY_BNE, 'UTC'), false); // still Sunday in UTC
+    assert.strictEqual(runner.isDue({ ...s, lastRunAt: '2026-10-18T22:30:00Z' }, MONDAY_BNE, 'Australia/Brisbane'), false);
+    assert.strictEqual(runner.isDue({ ...s, lastRunAt: '2026-10-12T00:00:00Z' }, MONDAY_BNE, 'Australia/Brisbane'), true);
+  });
+  await check('daily sends once per local day; disabled never', () => {
+    const s = { enabled: true, cadence: 'daily', lastRunAt: '2026-10-18T13:00:00Z' }; // 23:00 Sunday Brisbane
+    assert.strictEqual(runner.isDue(s, MONDAY_BNE, 'Australia/Brisbane'), true);
+    assert.strictEqual(runner.isDue({ ...s, enabled: false }, MONDAY_BNE, 'Australia/Brisbane'), false);
+  });
+  await check('formula: saved search + query + score floor + created since last send', async () => {
+    const saved = await savedSearches.saveSearch('Test-Client', { name: 'Founders', query: 'title:founder' });
+    const f = runner.scheduleFormula({ query: 'company:acme', minScore: 70, newOnly: true, lastRunAt: '2026-10-12T00:00:00.000Z' }, saved);
+    assert.ok(f.includes('SEARCH("founder", LOWER({Job Title}))'));
+    assert.ok(f.includes('SEARCH("acme", LOWER({Company Name}))'));
+    assert.ok(f.includes('{AI Score} >= 70'));
+    assert.ok(f.includes("IS_AFTER(CREATED_TIME(), '2026-10-12T00:00:00.000Z')"));
+    assert.ok(!runner.scheduleFormula({ newOnly: true, lastRunAt: null }).includes('CREATED_TIME'));
+  });
+  await check('a due schedule emails the file to the coach and records the run', async () => {
+    leadRecords = [LEAD];
+    const s = await store.createSchedule('Test-Client', { name: 'New 70+ leads', minScore: 70, newOnly: true, format: 'xlsx', weekday: 1 });
+    const summary = await runner.runDueExports({ now: MONDAY_BNE });
+    assert.deepStrictEqual([summary.sent, summary.failed], [1, 0]);
+    assert.strictEqual(sent[0].data.to, 'coach@example.com');
+    assert.ok(/^New 70\+ leads: 1 lead \(Test Client, 2026-10-19\)$/.test(sent[0].data.subject), sent[0].data.subject);
+    assert.strictEqual(sent[0].attachments[0].filename, 'new-70-leads-2026-10-19.xlsx');
+    const after = await store.getSchedule('Test-Client', s.id);
+    assert.deepStrictEqual([after.lastStatus, after.lastRowCount, after.lastRunAt], ['sent', 1, MONDAY_BNE.toISOString()]);
+    assert.strictEqual((await runner.runDueExports({ now: new Date(MONDAY_BNE.getTime() + 3600e3) })).sent, 0);
+    await store.deleteSchedule('Test-Client', s.id);
+  });
+  await check('a paused client\'s due schedule is skipped, not sent or recorded', async () => {
+    leadRecords = [LEAD];
+    sent.length = 0;
+    const s = await store.createSchedule('Paused-Client', { name: 'Paused weekly', weekday: 1 });
+    const summary = await runner.runDueExports({ now: MONDAY_BNE });
+    assert.deepStrictEqual([summary.sent, summary.skipped, sent.length], [0, 1, 0]);
+    assert.strictEqual((await store.getSchedule('Paused-Client', s.id)).lastRunAt, null);
+    await store.deleteSchedule('Paused-Client', s.id);
+  });
+  await check('no matching leads: nothing sent, run recorded as empty', async () => {
+    leadRecords = [];
+    sent.length = 0;
+    const s = await store.createSchedule('Test-Client', { name: 'Empty', cadence: 'daily', recipient: 'me@example.com' });
+    const r = await runner.runSchedule(s, { now: MONDAY_BNE });
+    assert.deepStrictEqual([r.status, sent.length], ['empty', 0]);
+    assert.strictEqual((await store.getSchedule('Test-Client', s.id)).lastRunAt, MONDAY_BNE.toISOString());
+  });
+  await check('a failed send keeps last_run_at so the next cron retries', async () => {
+    leadRecords = [LEAD];
+    mailgunDown = true;
+    const s = (await store.listSchedules('Test-Client')).find((x) => x.name === 'Empty');
+    const r = await runner.runSchedule(s, { now: new Date(MONDAY_BNE.getTime() + 86400e3) });
+    mailgunDown = false;
+    const after = await store.getSchedule('Test-Client', s.id);
+    assert.strictEqual(r.status, 'failed');
+    assert.deepStrictEqual([after.lastStatus, after.lastRunAt], ['failed', MONDAY_BNE.toISOString()]);
+    assert.ok(/503/.test(after.lastError));
+  });
+
+  console.log(failures ? `\n❌ ${failures} test(s) failed` : '\n✅ all lead-export tests passed');
+  process.exit(failures ? 1 : 0);
+})();
@@ -0,0 +1,221 @@
+/**
+ * Tests for confidence-scored lead matching and the match review queue
+ * (services/leadMatcher.js, services/leadMatchReviewStore.js, services/leadMatchReviewService.js),
+ * in-process mode.
+ *
+ * Covers: scoring and auto / review / none decisions · thresholds from env, 0 included · an email hit short-circuits · a review pick
+ * overrides the candidates · a second email about the same person joins the open review ·
+ * resolving learns the email and replays every waiting email with the picks so far · a review
+ * can't be filed twice or to a lead that wasn't a candidate.
+ * The Airtable finders, learnEmailForLead and replayMessage are stubbed.
+ *
+ * Run: node tests/lead-matcher.test.js
+ */
+const assert = require('assert');
+
+delete process.env.DATABASE_URL;
+delete process.env.LEAD_MATCH_AUTO_THRESHOLD;
+delete process.env.LEAD_MATCH_MARGIN;
+delete process.env.LEAD_MATCH_REVIEW_FLOOR;
+
+let failures = 0;
+const check = async (name, fn) => {
+  try { await fn(); console.log(`  ✓ ${name}`); }
+  catch (e) { failures++; console.error(`  ✗ ${name}\n    ${e.message}`); }
+};
+
+const stub = (relPath, exports) => {
+  const full = require.resolve(relPath);
+  require.cache[full] = { id: full, filename: full, loaded: true, exports };
+};
+
+const learned = [];
+const replays = [];
+stub('../services/inboundEmailService', {
+  learnEmailForLead: async (client, leadId, email) => { learned.push({ clientId: client.clientId, leadId, email }); return { learned: true }; },
+});
+stub('../services/inboundEmailAuditService', {
+  replayMessage: async (auditId, options) => {
+    replays.push({ auditId, ...options });
+    return { original: { id: auditId }, replay: { id: 100 + replays.length, status: 'processed' }, result: { success: true } };
+  },
+});
+stub('../services/clientService', {
+  getClientById: async (clientId) => ({ clientId, airtableBaseId: 'appTEST' }),
+});
+
+const matcher = require('../services/leadMatcher');
+const reviewStore = require('../services/leadMatchReviewStore');
+const reviews = require('../services/leadMatchReviewService');
+
+const NOW = new Date('2026-10-19T00:00:00Z');
+const lead = (id, firstName, lastName, extra = {}) => ({ id, firstName, lastName, email: '', company: '', linkedinUrl: '', followUpDate: null, ...extra });
+
+const jennyAcme = lead('recJ1', 'Jenny', 'Yan', { email: 'jenny@acme.com.au', company: 'Acme Pty Ltd' });
+const jennyOther = lead('recJ2', 'Jenny', 'Yan', { email: 'jyan@gmail.com', company: 'Beta Consulting' });
+const sam = lead('recS1', 'Sam', 'Lee', { email: 'sam@acme.com.au', company: 'Acme Pty Ltd' });
+
+// Finders shaped like inboundEmailService's, over a fixed list of leads
+const finders = (leads, { byEmail = {} } = {}) => ({
+  findLeadByEmail: async (client, email) => byEmail[email.toLowerCase()] || null,
+  findLeadByName: async (client, name) => {
+    const [first, ...rest] = name.toLowerCase().split(' ');
+    const allMatches = leads.filter(l => l.firstName.toLowerCase() === first && l.lastName.toLowerCase() === rest.join(' '));
+    return { lead: allMatches.length === 1 ? allMatches[0] : null, allMatches, matchType: allMatches.length ? 'unique' : 'none' };
+  },
+  findLeadByFirstNameAndDomain: async (client, firstName, domain) => {
+    const allMatches = leads.filter(l => l.firstName.toLowerCase() === firstName.toLowerCase() && l.email.endsWith(domain));
+    return { lead: allMatches[0] || null, allMatches, matchType: allMatches.length ? 'unique' : 'none' };
+  },
+  findLeadByDomainOnly: async (client, domain) => {
+    const allMatches = leads.filter(l => l.email.endsWith(domain));
+    return { lead: allMatches[0] || null, allMatches, matchType: allMatches.length ? 'unique' : 'none' };
+  },
+  findLeadById: async (client, id) => leads.find(l => l.id === id) || null,
+});
+
+const client = { clientId: 'Guy-Wilson', airtableBaseId: 'appTEST' };
+const reset = () => { reviewStore.__setTestPool(null); learned.length = 0; replays.length = 0; };
+
+(async () => {
+  console.log('lead matcher');
+
+  await check('scores: exact name, company, recency; "Last, First" and hyphens still count', async () => {
+    assert.deepStrictEqual(matcher.scoreCandidate(jennyAcme, { email: 'JENNY@acme.com.au' }), { score: 100, reasons: ['email matches'] });
+    assert.strictEqual(matcher.scoreCandidate(jennyAcme, { email: 'j@home.net' }, { matchedBy: 'alt_email' }).score, 95);
+    assert.strictEqual(matcher.scoreCandidate(jennyAcme, { name: 'Jenny Yan' }, { now: NOW }).score, 70);
+    assert.strictEqual(matcher.scoreCandidate(jennyAcme, { name: 'Jenny Yan', company: 'acme.com.au' }, { now: NOW }).score, 95);
+    assert.strictEqual(matcher.scoreCandidate(jennyOther, { name: 'Jenny Yan', company: 'acme.com.au' }, { now: NOW }).score, 70);
+    assert.strictEqual(matcher.scoreCandidate(jennyAcme, { firstName: 'jenny', company: 'acme.com.au' }, { now: NOW }).score, 70);
+    const due = { ...jennyOther, followUpDate: '2026-10-25' };
+    assert.deepStrictEqual(matcher.scoreCandidate(due, { name: 'Jenny Yan' }, { now: NOW }).reasons, ['same full name', 'follow-up due within 2 weeks']);
+    assert.strictEqual(matcher.nameSimilarity('Yan, Jenny', jennyAcme), 1);
+    assert.strictEqual(matcher.nameSimilarity('Anna Van-Driel', lead('x', 'Anna', 'Van Driel')), 1);
+    assert.strictEqual(matcher.companyKey('jyan@gmail.com'), null, 'personal mail domains say nothing about the company');
+  });
+
+  await check('decisions: unique name auto, same-name tie review, company breaks the tie, nothing → none', async () => {
+    const leads = [jennyAcme, jennyOther, sam];
+    const f = finders(leads);
+    const unique = await matcher.matchLead(client, { name: 'Sam Lee' }, { finders: f, now: NOW });
+    assert.strictEqual(unique.decision, 'auto');
+    assert.strictEqual(unique.lead.id, 'recS1');
+
+    const tie = await matcher.matchLead(client, { name: 'Jenny Yan' }, { finders: f, now: NOW });
+    assert.strictEqual(tie.decision, 'review');
+    assert.strictEqual(tie.lead, null);
+    assert.deepStrictEqual(tie.candidates.map(c => c.score), [70, 70]);
+
+    const narrowed = await matcher.matchLead(client, { name: 'Jenny Yan', company: 'acme.com.au' }, { finders: f, now: NOW });
+    assert.strictEqual(narrowed.decision, 'auto');
+    assert.strictEqual(narrowed.lead.id, 'recJ1');
+
+    const domainOnly = await matcher.matchLead(client, { company: 'acme.com.au' }, { finders: f, now: NOW });
+    assert.strictEqual(domainOnly.decision, 'review', 'a bare domain is never enough on its own');
+
+    assert.strictEqual((await matcher.matchLead(client, { name: 'Nobody Here' }, { finders: f, now: NOW })).decision, 'none');
+  });
+
+  await check('a configured 0 is honoured; junk falls back to the default', async () => {
+    const tie = [{ score: 70 }, { score: 70 }];
+    const faint = [{ score: 5 }];
+    try {
+      process.env.LEAD_MATCH_MARGIN = '0';
+      process.env.LEAD_MATCH_REVIEW_FLOOR = '0';
+      assert.strictEqual(matcher.decide(tie), 'auto', 'MARGIN=0: a tie at the threshold is auto');
+      assert.strictEqual(matcher.decide(faint), 'review', 'REVIEW_FLOOR=0: anything scored goes to review');
+      process.env.LEAD_MATCH_MARGIN = 'lots';
+      process.env.LEAD_MATCH_REVIEW_FLOOR = '';
+      assert.deepStrictEqual([matcher.decide(tie), matcher.decide(faint)], ['review', 'none']);
+    } finally {
+      delete process.env.LEAD_MATCH_MARGIN;
+      delete process.env.LEAD_MATCH_REVIEW_FLOOR;
+    }
+  });
+
+  await check('an email hit wins outright; a review pick overrides the candidates', async () => {
+    const f = finders([jennyAcme, jennyOther], { byEmail: { 'jenny@acme.com.au': jennyAcme, 'jenny.y@acme.com.au': jennyAcme } });
+    const byEmail = await matcher.matchLead(client, { email: 'jenny@acme.com.au', name: 'Jenny Yan' }, { finders: f, now: NOW });
+    assert.deepStrictEqual([byEmail.decision, byEmail.lead.id, byEmail.confidence], ['auto', 'recJ1', 100]);
+    const byAlt = await matcher.matchLead(client, { email: 'Jenny.Y@acme.com.au' }, { finders: f, now: NOW });
+    assert.strictEqual(byAlt.confidence, 95);
+
+    const signals = { name: 'Jenny Yan' };
+    const key = matcher.matchKey(signals);
+    const picked = await matcher.matchLead(client, signals, { finders: f, overrides: { [key]: 'recJ2' }, now: NOW });
+    assert.deepStrictEqual([picked.decision, picked.lead.id], ['auto', 'recJ2']);
+    const otherPerson = await matcher.matchLead(client, { name: 'Jenny Yan', company: 'gamma.io' }, { finders: f, overrides: { [key]: 'recJ2' }, now: NOW });
+    assert.strictEqual(otherPerson.decision, 'review', 'the pick is for that exact person, not everyone with the name');
+  });
+
+  await check('a second email about the same person joins the open review', async () => {
+    reset();
+    const f = finders([jennyAcme, jennyOther]);
+    const signals = { email: 'jenny.yan@newco.io', name: 'Jenny Yan' };
+    const match = await matcher.matchLead(client, signals, { finders: f, now: NOW });
+    assert.strictEqual(match.decision, 'review');
+
+    const first = await reviews.parkForReview(client, match, { source: 'bcc', signals, context: { subject: 'Proposal' }, auditId: 11 });
+    const second = await reviews.parkForReview(client, match, { source: 'bcc', signals, context: { subject: 'Re: Proposal' }, auditId: 12 });
+    assert.strictEqual(first.created, true);
+    assert.strictEqual(second.created, false);
+    assert.strictEqual(second.review.id, first.review.id);
+
+    const [queued] = await reviews.listReviews('Guy-Wilson');
+    assert.deepStrictEqual(queued.auditIds, [11, 12]);
+    assert.deepStrictEqual(queued.candidates.map(c => [c.leadId, c.name, c.score]), [['recJ1', 'Jenny Yan', 70], ['recJ2', 'Jenny Yan', 70]]);
+    assert.strictEqual(await reviews.countPending('Guy-Wilson'), 1);
+    assert.deepStrictEqual(await reviews.listReviews('Other-Client'), []);
+  });
+
+  await check('resolving learns the email and replays every waiting email with the pick', async () => {
+    reset();
+    const f = finders([jennyAcme, jennyOther]);
+    const signals = { email: 'jenny.yan@newco.io', name: 'Jenny Yan' };
+    const match = await matcher.matchLead(client, signals, { finders: f, now: NOW });
+    const { review } = await reviews.parkForReview(client, match, { source: 'bcc', signals, auditId: 21 });
+    await reviews.parkForReview(client, match, { source: 'bcc', signals, auditId: 22 });
+
+    const resolved = await reviews.resolveReview('Guy-Wilson', review.id, 'recJ2', { resolvedBy: 'Guy Wilson' });
+    assert.strictEqual(resolved.status, 'resolved');
+    assert.strictEqual(resolved.chosenLeadId, 'recJ2');
+    assert.deepStrictEqual(learned, [{ clientId: 'Guy-Wilson', leadId: 'recJ2', email: 'jenny.yan@newco.io' }]);
+    assert.deepStrictEqual(replays.map(r => [r.auditId, r.notify, r.matchOverrides]), [
+      [21, false, { 'email:jenny.yan@newco.io': 'recJ2' }],
+      [22, false, { 'email:jenny.yan@newco.io': 'recJ2' }],
+    ]);
+    assert.deepStrictEqual(resolved.outcome.replays.map(r => r.status), ['processed', 'processed']);
+    assert.strictEqual(await reviews.countPending('Guy-Wilson'), 0);
+  });
+
+  await check('picks for the same email ride along; no double filing, no stranger leads', async () => {
+    reset();
+    const f = finders([jennyAcme, jennyOther, lead('recK1', 'Kim', 'Ng'), lead('recK2', 'Kim', 'Ng')]);
+    const jenny = await matcher.matchLead(client, { name: 'Jenny Yan' }, { finders: f, now: NOW });
+    const kim = await matcher.matchLead(client, { name: 'Kim Ng' }, { finders: f, now: NOW });
+    const a = (await reviews.parkForReview(client, jenny, { source: 'add_to', signals: { name: 'Jenny Yan' }, auditId: 31 })).review;
+    const b = (await reviews.parkForReview(client, kim, { source: 'add_to', signals: { name: 'Kim Ng' }, auditId: 31 })).review;
+
+    await assert.rejects(reviews.resolveReview('Guy-Wilson', a.id, 'recS1'), (e) => e.statusCode === 400);
+    await assert.rejects(reviews.resolveReview('Other-Client', a.id, 'recJ1'), (e) => e.statusCode === 404);
+
+    await reviews.resolveReview('Guy-Wilson', a.id, 'recJ1');
+    await assert.rejects(reviews.resolveReview('Guy-Wilson', a.id, 'recJ2'), (e) => e.statusCode === 409);
+    assert.deepStrictEqual(learned, [], 'no email to learn for a name-only review');
+
+    await reviews.resolveReview('Guy-Wilson', b.id, 'recK2');
+    assert.deepStrictEqual(replays.map(r => r.matchOverrides), [
+      { 'name:jenny yan': 'recJ1' },
+      { 'name:jenny yan': 'recJ1', 'name:kim ng': 'recK2' },
+    ]);
+
+    const dismissed = await reviews.parkForReview(client, jenny, { source: 'notetaker', signals: { name: 'Jenny Yan' }, auditId: 40 });
+    assert.strictEqual(dismissed.created, true, 'a resolved review is closed; the next unsure email opens a new one');
+    assert.strictEqual((await reviews.dismissReview('Guy-Wilson', dismissed.review.id)).status, 'dismissed');
+    assert.deepStrictEqual((await reviews.listReviews('Guy-Wilson', { status: 'all' })).map(r => r.status), ['dismissed', 'resolved', 'resolved']);
+  });
+
+  if (failures) { console.error(`\n❌ ${failures} test(s) failed`); process.exit(1); }
+  console.log('\n✅ all 7 tests passed');
+  process.exit(0);
+})();
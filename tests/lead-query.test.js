@@ -0,0 +1,99 @@
+/**
+ * Tests for the lead query language (utils/booleanSearchParser.js compileLeadQuery / leadFilterParts)
+ * and saved searches (services/savedSearchStore.js).
+ *
+ * Covers: numeric, exact-choice, text, date, tag and presence qualifiers compile to the expected
+ * Airtable formulas · qualifiers mix with plain terms and NOT · quotes in values can't break out of
+ * the formula string · an unknown prefix (https://…) stays a plain term · bad values and bad syntax
+ * throw LeadQueryError · an email query is an exact Email match · saved searches upsert by name
+ * (any case), are scoped to the client and can be deleted.
+ * Runs on the store's in-process fallback (no DATABASE_URL).
+ *
+ * Run: node tests/lead-query.test.js
+ */
+const assert = require('assert');
+
+let failures = 0;
+const check = async (name, fn) => {
+  try { await fn(); console.log(`  ✓ ${name}`); }
+  catch (e) { failures++; console.error(`  ✗ ${name}\n    ${e.message}`); }
+};
+
+delete process.env.DATABASE_URL;
+
+const { compileLeadQuery, leadFilterParts, isStructuredQuery, LeadQueryError, NAME_FIELDS } = require('../utils/booleanSearchParser');
+const store = require('../services/savedSearchStore');
+
+(async () => {
+  console.log('compileLeadQuery:');
+  await check('score comparisons and ranges skip unscored leads', () => {
+    assert.strictEqual(compileLeadQuery('score:>60'), 'AND(NOT({AI Score} = BLANK()), {AI Score} > 60)');
+    assert.strictEqual(compileLeadQuery('score:60..80'), 'AND(NOT({AI Score} = BLANK()), {AI Score} >= 60, {AI Score} <= 80)');
+  });
+  await check('choice fields match exactly, any case; tags search Notes', () =>
+    assert.strictEqual(compileLeadQuery('status:"In Process" -tag:cold'),
+      'AND(LOWER({Status}) = "in process", NOT(SEARCH("#cold", LOWER({Notes})) > 0))'));
+  await check('relative and absolute dates', () => {
+    assert.strictEqual(compileLeadQuery('connected:<30d'),
+      "AND(NOT({Date Connected} = BLANK()), IS_AFTER({Date Connected}, DATEADD(TODAY(), -30, 'days')))");
+    assert.strictEqual(compileLeadQuery('followup:<2026-11-01'),
+      "AND(NOT({Follow-Up Date} = BLANK()), IS_BEFORE({Follow-Up Date}, '2026-11-01'))");
+  });
+  await check('has: checks presence', () => assert.strictEqual(compileLeadQuery('has:email'), 'NOT({Email} = BLANK())'));
+  await check('plain words search the given fields alongside qualifiers', () => {
+    const f = compileLeadQuery('sally company:acme', { searchFields: NAME_FIELDS });
+    assert.ok(f.startsWith('AND(OR(SEARCH("sally", LOWER({First Name})) > 0'));
+    assert.ok(f.endsWith('SEARCH("acme", LOWER({Company Name})) > 0)'));
+  });
+  await check('quotes in a value stay inside the formula string', () => {
+    const f = compileLeadQuery('company:\'say "hi") OR TRUE()\'');
+    assert.ok(/^SEARCH\(".*", LOWER\(\{Company Name\}\)\) > 0$/.test(f), f);
+    assert.ok(!/[^\\]"\) OR/.test(f), f);
+  });
+  await check('an unknown prefix is a plain term, not a qualifier', () => {
+    assert.ok(compileLeadQuery('https://x.com').includes('SEARCH("https://x.com", LOWER({Search Tokens (canonical)}))'));
+    assert.strictEqual(isStructuredQuery('https://linkedin.com/in/x'), false);
+    assert.strictEqual(isStructuredQuery('sally kuter'), false);
+    assert.strictEqual(isStructuredQuery('company:acme'), true);
+  });
+  await check('bad values and bad syntax throw LeadQueryError', () => {
+    assert.throws(() => compileLeadQuery('score:abc'), (e) => e instanceof LeadQueryError && /score: expected a number/.test(e.message));
+    assert.throws(() => compileLeadQuery('has:fax'), (e) => e.isLeadQueryError && e.params.field === 'has');
+    assert.throws(() => compileLeadQuery('(a OR'), LeadQueryError);
+  });
+
+  console.log('\nleadFilterParts:');
+  await check('an email is an exact match; terms and priority are separate clauses', () =>
+    assert.deepStrictEqual(leadFilterParts({ query: 'Jo@X.com', searchTerms: 'mindset', priority: 'One' }), [
+      'LOWER({Email}) = "jo@x.com"',
+      'OR(SEARCH("mindset", LOWER({Search Tokens (canonical)})) > 0, SEARCH("mindset", LOWER({Search Terms})) > 0)',
+      '{Priority} = "One"',
+    ]));
+  await check('empty inputs and priority "all" add nothing', () =>
+    assert.deepStrictEqual(leadFilterParts({ query: '  ', searchTerms: '', priority: 'all' }), []));
+
+  console.log('\nsavedSearchStore:');
+  store.__setTestPool(null);
+  await check('saving an existing name (any case) replaces it', async () => {
+    const a = await store.saveSearch('Client-A', { name: 'Warm founders', query: 'title:founder', priority: 'One' });
+    const b = await store.saveSearch('Client-A', { name: 'warm FOUNDERS', query: 'title:founder tag:warm' });
+    assert.strictEqual(b.id, a.id);
+    const list = await store.listSearches('Client-A');
+    assert.deepStrictEqual(list.map((s) => [s.name, s.query]), [['warm FOUNDERS', 'title:founder tag:warm']]);
+  });
+  await check('searches are scoped to their client', async () => {
+    const mine = (await store.listSearches('Client-A'))[0];
+    await store.saveSearch('Client-B', { name: 'Other', query: 'score:>80' });
+    assert.strictEqual(await store.getSearch('Client-B', mine.id), null);
+    assert.strictEqual(await store.deleteSearch('Client-B', mine.id), false);
+    assert.strictEqual((await store.getSearch('Client-A', mine.id)).name, 'warm FOUNDERS');
+  });
+  await check('delete removes it', async () => {
+    const mine = (await store.listSearches('Client-A'))[0];
+    assert.strictEqual(await store.deleteSearch('Client-A', mine.id), true);
+    assert.deepStrictEqual(await store.listSearches('Client-A'), []);
+  });
+
+  console.log(failures ? `\n❌ ${failures} test(s) failed` : '\n✅ all lead-query tests passed');
+  process.exit(failures ? 1 : 0);
+})();
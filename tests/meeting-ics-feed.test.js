@@ -0,0 +1,287 @@
+/**
+ * Tests for the lead-meetings ICS feed (services/meetingIcsFeed.js, services/calendarFeedStore.js,
+ * routes/calendarFeedRoutes.js), in-memory mode.
+ *
+ * Covers: iCalendar text (CRLF, escaping, 75-octet folding, UTC times) · Wingguy bookings are
+ * recorded in guest_bookings · the feed merges booking records with calendar reads (one VEVENT per
+ * event, calendar title + record time, cancelled rows as STATUS:CANCELLED, calendar-only meetings
+ * kept only for leads, the lead's portal link) · a calendar read failure leaves the records · the
+ * per-lead .ics · routes: feed URL, public feed by token, rotation cuts off the old URL.
+ * clientService and calendarProvider are fakes; Airtable is a fake fetch.
+ *
+ * Run: node tests/meeting-ics-feed.test.js
+ */
+const assert = require("assert");
+
+delete process.env.DATABASE_URL;
+delete process.env.PORTAL_BASE_URL;
+process.env.GUEST_BOOKING_PUBLIC_BASE = "https://feed.test";
+process.env.MASTER_CLIENTS_BASE_ID = "appMaster";
+process.env.AIRTABLE_API_KEY = "key_test";
+
+let failures = 0;
+const check = async (name, fn) => {
+  try { await fn(); console.log(`  ✓ ${name}`); }
+  catch (e) { failures++; console.error(`  ✗ ${name}\n    ${e.message}`); }
+};
+
+const stub = (relPath, exports) => {
+  const full = require.resolve(relPath);
+  require.cache[full] = { id: full, filename: full, loaded: true, exports };
+};
+
+// --- fakes ---------------------------------------------------------------------------------
+const CLIENTS = {
+  "Sarah-Jones": { clientId: "Sarah-Jones", clientName: "Sarah Jones", status: "Active", airtableBaseId: "appS" },
+};
+let CAL = { events: [], error: null };
+const created = [];
+stub("../services/clientService", { getClientById: async (id) => CLIENTS[id] || null });
+stub("../services/calendarProvider", {
+  getMeetingsInWindow: async () => CAL,
+  createCalendarEvent: async (coach, d) => {
+    created.push(d);
+    return { ok: true, eventId: `evt_${created.length}`, htmlLink: "", provider: "nylas" };
+  },
+  deleteCalendarEvent: async () => ({ ok: true }),
+});
+stub("../middleware/authMiddleware", {
+  authenticateUserWithTestMode: (req, _res, next) => { req.client = CLIENTS["Sarah-Jones"]; next(); },
+});
+
+const LEADS = [
+  { id: "recJane", fields: { "First Name": "Jane", "Last Name": "Doe", Email: "jane@lead.com", "LinkedIn Profile URL": "https://www.linkedin.com/in/janedoe" } },
+  { id: "recBob", fields: { "First Name": "Bob", "Last Name": "Ng", Email: "bob@lead.com", "LinkedIn Profile URL": "https://www.linkedin.com/in/bobng" } },
+];
+const realFetch = global.fetch;
+global.fetch = async (url, opts) => {
+  const u = new URL(url);
+  if (u.hostname !== "api.airtable.com") return realFetch(url, opts);
+  const json = (body, status = 200) => ({ ok: status < 400, status, json: async () => body });
+  if (u.pathname === "/v0/appMaster/Clients") {
+    return json({ records: [{ id: "recC", fields: { "Calendar Provider": "nylas", "Nylas Grant ID": "g1", Timezone: "Australia/Brisbane" } }] });
+  }
+  const one = u.pathname.match(/^\/v0\/appS\/Leads\/(.+)$/);
+  if (one) {
+    const rec = LEADS.find((l) => l.id === decodeURIComponent(one[1]));
+    return rec ? json(rec) : json({ error: "NOT_FOUND" }, 404);
+  }
+  if (u.pathname === "/v0/appS/Leads") {
+    const formula = u.searchParams.get("filterByFormula");
+    return json({
+      records: LEADS.filter((l) =>
+        formula.includes(`'${l.fields.Email}'`) || formula.includes(`'${l.fields["LinkedIn Profile URL"]}'`)),
+    });
+  }
+  return json({ error: "unexpected" }, 500);
+};
+
+const store = require("../services/guestBookingStore.js");
+const feedStore = require("../services/calendarFeedStore.js");
+const { createBookingEvent } = require("../services/wingguyCalendar");
+const {
+  buildCalendar,
+  foldLine,
+  collectLeadMeetings,
+  buildClientFeed,
+  buildLeadIcs,
+} = require("../services/meetingIcsFeed.js");
+
+const unfold = (ics) => ics.replace(/\r\n /g, "");
+const vevents = (ics) => unfold(ics).split("BEGIN:VEVENT").slice(1);
+const DAY = 86400000;
+const at = (days, hour) => {
+  const d = new Date(Date.now() + days * DAY);
+  d.setUTCHours(hour, 0, 0, 0);
+  return d.toISOString();
+};
+
+(async () => {
+  console.log("iCalendar text");
+
+  await check("CRLF lines, escaped text, UTC times and status", async () => {
+    const ics = buildCalendar({
+      name: "Lead meetings",
+      now: new Date("2026-10-19T00:00:00Z"),
+      events: [{
+        uid: "booking-abc@pb-webhook-server",
+        start: "2026-10-20T01:30:00.000Z",
+        end: "2026-10-20T02:00:00.000Z",
+        summary: "Jane, Sarah; intro",
+        description: "Line one\nLine two \\ end",
+        status: "CANCELLED",
+        sequence: 2,
+      }],
+    });
+    assert.ok(ics.startsWith("BEGIN:VCALENDAR\r\n"));
+    assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+    assert.ok(!/[^\r]\n/.test(ics), "bare LF found");
+    assert.ok(ics.includes("DTSTART:20261020T013000Z\r\n"));
+    assert.ok(ics.includes("DTSTAMP:20261019T000000Z\r\n"));
+    assert.ok(ics.includes("SUMMARY:Jane\\, Sarah\\; intro\r\n"));
+    assert.ok(ics.includes("DESCRIPTION:Line one\\nLine two \\\\ end\r\n"));
+    assert.ok(ics.includes("STATUS:CANCELLED\r\nEND:VEVENT"));
+    assert.ok(ics.includes("SEQUENCE:2\r\n"));
+  });
+
+  await check("long lines fold at 75 octets without splitting characters", async () => {
+    const line = `DESCRIPTION:${"Café meeting — ".repeat(20)}`;
+    const folded = foldLine(line);
+    for (const part of folded.split("\r\n")) assert.ok(Buffer.byteLength(part, "utf8") <= 75, part);
+    assert.strictEqual(folded.replace(/\r\n /g, ""), line);
+    assert.strictEqual(foldLine("SHORT:x"), "SHORT:x");
+  });
+
+  console.log("booking records");
+
+  await check("Wingguy's createBookingEvent records the booking", async () => {
+    const out = await createBookingEvent(
+      { clientId: "Sarah-Jones", clientName: "Sarah Jones", calendarProvider: "nylas" },
+      { startISO: at(2, 1), durationMins: 30, leadEmail: "Jane@Lead.com", leadName: "Jane Doe",
+        leadLinkedIn: "https://www.linkedin.com/in/janedoe", note: "Talk pricing" }
+    );
+    assert.ok(out.ok);
+    const rows = await store.listHostBookings("Sarah-Jones", { from: new Date(Date.now() - DAY), to: new Date(Date.now() + 10 * DAY) });
+    assert.strictEqual(rows.length, 1);
+    assert.strictEqual(rows[0].linkKey, "wingguy:Sarah-Jones");
+    assert.strictEqual(rows[0].eventId, "evt_1");
+    assert.strictEqual(rows[0].provider, "nylas");
+    assert.strictEqual(rows[0].guestNotes, "Talk pricing");
+  });
+
+  console.log("feed");
+
+  const cancelled = await store.recordBooking({
+    linkKey: "host:sarah-jones:intro", hostClientId: "Sarah-Jones", meetingType: "intro", eventId: "evt_gone",
+    provider: "nylas", startAt: at(3, 2), endAt: at(3, 3), guestName: "Bob Ng", guestEmail: "bob@lead.com",
+    guestLinkedIn: "https://www.linkedin.com/in/bobng", ref: "refBobCancelled01",
+  });
+  await store.cancelBookingRow(cancelled.id);
+  CAL = {
+    error: null,
+    events: [
+      { id: "evt_1", summary: "Jane Doe & Sarah Jones", start: at(2, 1), end: at(2, 2), location: "https://zoom.us/j/1",
+        description: "Zoom: https://zoom.us/j/1", attendees: [{ email: "jane@lead.com" }, { email: "sarah@coach.com", self: true }] },
+      { id: "evt_portal", summary: "Catch-up with Bob", start: at(4, 1), end: at(4, 2),
+        attendees: [{ email: "BOB@lead.com" }, { email: "sarah@coach.com", self: true }] },
+      { id: "evt_dentist", summary: "Dentist", start: at(5, 1), end: at(5, 2), attendees: [] },
+      { id: "evt_stranger", summary: "Coffee", start: at(5, 3), end: at(5, 4), attendees: [{ email: "who@else.com" }] },
+    ],
+  };
+
+  await check("merges records and lead meetings from the calendar, once each", async () => {
+    const ics = await buildClientFeed("Sarah-Jones");
+    const evs = vevents(ics);
+    assert.strictEqual(evs.length, 3, ics);
+    assert.ok(unfold(ics).includes("X-WR-CALNAME:Lead meetings — Sarah Jones"));
+
+    const jane = evs.find((e) => e.includes("SUMMARY:Jane Doe & Sarah Jones"));
+    assert.ok(jane, "recorded Wingguy booking uses the calendar title");
+    assert.ok(jane.includes("UID:booking-1@pb-webhook-server"));
+    assert.ok(jane.includes("LOCATION:https://zoom.us/j/1"));
+    assert.ok(jane.includes("URL:https://pb-webhook-server.vercel.app/quick-update?lead=recJane"));
+    assert.ok(jane.includes("Portal: https://pb-webhook-server.vercel.app/quick-update?lead=recJane"));
+    assert.ok(jane.includes("Talk pricing"));
+    assert.ok(jane.includes("STATUS:CONFIRMED"));
+
+    const bobCancelled = evs.find((e) => e.includes("UID:booking-refBobCancelled01@pb-webhook-server"));
+    assert.ok(bobCancelled.includes("STATUS:CANCELLED"));
+    assert.ok(bobCancelled.includes("SEQUENCE:1"));
+
+    const bobPortal = evs.find((e) => e.includes("UID:event-nylas-evt_portal@pb-webhook-server"));
+    assert.ok(bobPortal.includes("SUMMARY:Catch-up with Bob"));
+    assert.ok(bobPortal.includes("URL:https://pb-webhook-server.vercel.app/quick-update?lead=recBob"));
+
+    assert.ok(!ics.includes("Dentist") && !ics.includes("Coffee"), "non-lead events stay out");
+  });
+
+  await check("PORTAL_BASE_URL overrides the portal link", async () => {
+    process.env.PORTAL_BASE_URL = "https://ashportal.com.au/";
+    try {
+      const ics = unfold(await buildClientFeed("Sarah-Jones"));
+      assert.ok(ics.includes("URL:https://ashportal.com.au/quick-update?lead=recJane"));
+    } finally {
+      delete process.env.PORTAL_BASE_URL;
+    }
+  });
+
+  await check("a calendar read failure still serves the booking records", async () => {
+    const saved = CAL;
+    CAL = { events: [], error: "grant expired" };
+    try {
+      const { events, calendarError } = await collectLeadMeetings("Sarah-Jones", {
+        from: new Date(Date.now() - DAY), to: new Date(Date.now() + 10 * DAY),
+      });
+      assert.strictEqual(calendarError, "grant expired");
+      assert.deepStrictEqual(events.map((e) => e.uid), ["booking-1@pb-webhook-server", "booking-refBobCancelled01@pb-webhook-server"]);
+      assert.strictEqual(events[0].summary, "Meeting with Jane Doe");
+    } finally {
+      CAL = saved;
+    }
+  });
+
+  await check("per-lead .ics holds only that lead's meetings", async () => {
+    const bob = await buildLeadIcs("Sarah-Jones", { linkedinUrl: "https://www.linkedin.com/in/bobng" });
+    assert.ok(bob.ok);
+    assert.strictEqual(bob.count, 2);
+    assert.ok(!bob.ics.includes("Jane Doe & Sarah Jones"));
+    const jane = await buildLeadIcs("Sarah-Jones", { leadId: "recJane" });
+    assert.strictEqual(jane.count, 1);
+    assert.ok(unfold(jane.ics).includes("X-WR-CALNAME:Meetings with Jane Doe"));
+    const missing = await buildLeadIcs("Sarah-Jones", { leadId: "recNope" });
+    assert.deepStrictEqual([missing.ok, missing.status], [false, 404]);
+  });
+
+  console.log("routes");
+
+  const express = require("express");
+  const app = express();
+  app.use(express.json());
+  app.use(require("../routes/calendarFeedRoutes.js"));
+  const server = await new Promise((resolve) => { const s = app.listen(0, () => resolve(s)); });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    let firstUrl;
+    await check("GET /api/calendar-feed returns a stable private URL", async () => {
+      const a = await (await fetch(`${base}/api/calendar-feed`)).json();
+      const b = await (await fetch(`${base}/api/calendar-feed`)).json();
+      assert.ok(a.ok);
+      assert.match(a.url, /^https:\/\/feed\.test\/calendar-feed\/[A-Za-z0-9_-]{24,}\.ics$/);
+      assert.strictEqual(a.webcalUrl, a.url.replace("https:", "webcal:"));
+      assert.strictEqual(a.url, b.url);
+      firstUrl = a.url;
+    });
+
+    await check("the feed URL serves text/calendar; unknown tokens 404", async () => {
+      const res = await fetch(firstUrl.replace("https://feed.test", base));
+      assert.strictEqual(res.status, 200);
+      assert.match(res.headers.get("content-type"), /^text\/calendar/);
+      assert.ok((await res.text()).includes("UID:booking-1@pb-webhook-server"));
+      const bad = await fetch(`${base}/calendar-feed/${"x".repeat(32)}.ics`);
+      assert.strictEqual(bad.status, 404);
+    });
+
+    await check("rotating cuts off the old URL", async () => {
+      const r = await (await fetch(`${base}/api/calendar-feed/rotate`, { method: "POST" })).json();
+      assert.ok(r.ok && r.url !== firstUrl);
+      assert.strictEqual((await fetch(firstUrl.replace("https://feed.test", base))).status, 404);
+      assert.strictEqual((await fetch(r.url.replace("https://feed.test", base))).status, 200);
+      assert.strictEqual(await feedStore.clientIdForFeedToken("../etc"), null);
+    });
+
+    await check("GET /api/calendar-feed/lead.ics downloads one lead's meetings", async () => {
+      const res = await fetch(`${base}/api/calendar-feed/lead.ics?lead=recJane`);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.headers.get("content-disposition"), 'attachment; filename="meetings-jane-doe.ics"');
+      assert.strictEqual(vevents(await res.text()).length, 1);
+      assert.strictEqual((await fetch(`${base}/api/calendar-feed/lead.ics`)).status, 400);
+      assert.strictEqual((await fetch(`${base}/api/calendar-feed/lead.ics?lead=recNope`)).status, 404);
+    });
+  } finally {
+    server.close();
+  }
+
+  console.log(failures ? `\n❌ ${failures} test(s) failed` : "\n✅ all 11 tests passed");
+  process.exit(failures ? 1 : 0);
+})();
@@ -0,0 +1,169 @@
+/**
+ * tests/message-parser-formats.test.js
+ *
+ * Covers the export formats in utils/messageParser.js - LinkedIn's messages.csv, Linked Helper
+ * CSV/JSON exports and Outlook threads - plus attachment / link / voice-note metadata and the
+ * confidence parseConversation reports. The AI email parser is stubbed out (no Vertex here).
+ *
+ * Run: node tests/message-parser-formats.test.js
+ */
+
+const assert = require('assert');
+
+const aiParserPath = require.resolve('../services/aiEmailParser');
+require.cache[aiParserPath] = {
+    id: aiParserPath, filename: aiParserPath, loaded: true,
+    exports: { parseEmailWithAI: async () => ({ messages: [], error: 'stubbed' }), isAIParsingAvailable: () => false },
+};
+
+const {
+    detectFormat,
+    detectFormatDetailed,
+    parseConversation,
+    parseLinkedInCsv,
+    parseLinkedHelperExport,
+    parseOutlookThread,
+    extractMessageMetadata,
+} = require('../utils/messageParser');
+
+let failures = 0;
+const check = async (name, fn) => {
+    try { await fn(); console.log(`  ✓ ${name}`); }
+    catch (e) { failures++; console.error(`  ✗ ${name}\n    ${e.message}`); }
+};
+
+const MESSAGES_CSV = [
+    'CONVERSATION ID,CONVERSATION TITLE,FROM,SENDER PROFILE URL,TO,RECIPIENT PROFILE URLS,DATE,SUBJECT,CONTENT,FOLDER,ATTACHMENTS,IS MESSAGE DRAFT',
+    '2-abc,,Jenny Yan,https://www.linkedin.com/in/jennyyan,Guy Wilson,https://www.linkedin.com/in/guywilson,2025-12-04 03:10:00 UTC,,"Thanks Guy, here it is:',
+    'see the deck",INBOX,https://media.licdn.com/dms/document/Deck%20v2.pdf?e=1,No',
+    '2-abc,,Guy Wilson,https://www.linkedin.com/in/guywilson,Jenny Yan,https://www.linkedin.com/in/jennyyan,2025-12-03 22:05:00 UTC,,"Hi Jenny, could you send the deck?",INBOX,,No',
+    '2-abc,,Guy Wilson,https://www.linkedin.com/in/guywilson,Jenny Yan,https://www.linkedin.com/in/jennyyan,2025-12-04 05:00:00 UTC,,unsent draft,INBOX,,Yes',
+    '2-xyz,,Bob Smith,https://www.linkedin.com/in/bobsmith,Guy Wilson,https://www.linkedin.com/in/guywilson,2025-12-01 01:00:00 UTC,,<p>Hello &amp; welcome</p>,INBOX,,No',
+].join('\n');
+
+const OUTLOOK_THREAD = [
+    'From:\tJenny Yan <jenny@acme.com>',
+    'Sent:\tTuesday, 2 December 2025 4:21 PM',
+    'To:\tGuy Wilson <guy@example.com>',
+    'Subject:\tRE: Intro',
+    'Attachments:\tPricing.xlsx; Case study.pdf',
+    '',
+    'Great, pricing attached.',
+    '',
+    '--',
+    'Jenny Yan | Head of Growth',
+    '',
+    '________________________________',
+    'From: Guy Wilson <guy@example.com>',
+    'Sent: Monday, December 1, 2025 09:05',
+    'To: Jenny Yan <jenny@acme.com>',
+    'Subject: Intro',
+    '',
+    'Hi Jenny,',
+    'Could you share pricing?',
+    'Sent from my iPhone',
+].join('\n');
+
+(async () => {
+    console.log('message parser export formats');
+
+    await check('exports are detected before the loose copy-paste patterns', async () => {
+        assert.deepStrictEqual(
+            [detectFormat(MESSAGES_CSV), detectFormatDetailed(MESSAGES_CSV).confidence],
+            ['linkedin_csv', 0.99]
+        );
+        assert.strictEqual(detectFormat(OUTLOOK_THREAD), 'outlook_raw');
+        assert.strictEqual(detectFormat('message_from,message_text,message_send_at\nGuy Wilson,Hi,1733290000'), 'linkedhelper_export');
+        assert.strictEqual(detectFormat('[{"from":"Guy","text":"Hi","send_at":"2025-12-04T10:00:00Z"}]'), 'linkedhelper_export');
+        assert.strictEqual(detectFormat('Call went well, follow up next week'), 'manual');
+        assert.strictEqual(detectFormat('From: Jenny <j@x.com>\nDate: 02 December 2025 16:21\n\nHi'), 'email_raw', 'Gmail From:/Date: paste is unchanged');
+    });
+
+    await check('messages.csv: multi-line cells, drafts skipped, oldest first, client timezone', async () => {
+        const warnings = [];
+        const msgs = parseLinkedInCsv(MESSAGES_CSV, { timeZone: 'Australia/Brisbane', warnings });
+        assert.deepStrictEqual(msgs.map(m => [m.date, m.time, m.sender]), [
+            ['01-12-25', '11:00 AM', 'Bob Smith'],
+            ['04-12-25', '8:05 AM', 'Guy Wilson'],
+            ['04-12-25', '1:10 PM', 'Jenny Yan'],
+        ]);
+        assert.strictEqual(msgs[0].message, 'Hello & welcome');
+        assert.strictEqual(msgs[2].message, 'Thanks Guy, here it is: see the deck');
+        assert.deepStrictEqual(msgs[2].metadata.attachments, [{ name: 'Deck v2.pdf', url: 'https://media.licdn.com/dms/document/Deck%20v2.pdf?e=1' }]);
+        assert.match(warnings[0], /2 conversations/);
+    });
+
+    await check('messages.csv keeps only the lead\'s conversations when their URL is given', async () => {
+        const warnings = [];
+        const msgs = parseLinkedInCsv(MESSAGES_CSV, { counterpartProfileUrl: 'linkedin.com/in/JennyYan/', warnings });
+        assert.deepStrictEqual(msgs.map(m => m.sender), ['Guy Wilson', 'Jenny Yan']);
+        assert.deepStrictEqual(warnings, []);
+    });
+
+    await check('Linked Helper CSV and JSON exports', async () => {
+        const csv = 'conversation_id,message_from,message_text,message_send_at,attachments\n1,Jenny Yan,Sounds good,2025-12-04T03:10:00Z,\n1,Guy Wilson,"Shall we talk,\nThursday?",1733281200,agenda.pdf';
+        const fromCsv = parseLinkedHelperExport(csv, { timeZone: 'UTC' });
+        assert.deepStrictEqual(fromCsv.map(m => [m.date, m.time, m.sender, m.message]), [
+            ['04-12-24', '3:00 AM', 'Guy Wilson', 'Shall we talk, Thursday?'],
+            ['04-12-25', '3:10 AM', 'Jenny Yan', 'Sounds good'],
+        ]);
+        assert.deepStrictEqual(fromCsv[0].metadata.attachments, [{ name: 'agenda.pdf', url: null }]);
+
+        const json = JSON.stringify({ messages: [{ last_sent_message_from: 'Jenny', last_sent_message_text: 'Yes', last_sent_message_send_at: '2025-12-04T03:10:00Z' }] });
+        assert.deepStrictEqual(parseLinkedHelperExport(json, { timeZone: 'UTC' }), [{ date: '04-12-25', time: '3:10 AM', sender: 'Jenny', message: 'Yes' }]);
+    });
+
+    await check('Outlook thread: header blocks, signatures dropped, Attachments: header kept', async () => {
+        const msgs = parseOutlookThread(OUTLOOK_THREAD);
+        assert.deepStrictEqual(msgs.map(m => [m.date, m.time, m.sender, m.message]), [
+            ['01-12-25', '9:05 AM', 'Guy Wilson', 'Hi Jenny, Could you share pricing?'],
+            ['02-12-25', '4:21 PM', 'Jenny Yan', 'Great, pricing attached.'],
+        ]);
+        assert.deepStrictEqual(msgs[1].metadata.attachments.map(a => a.name), ['Pricing.xlsx', 'Case study.pdf']);
+    });
+
+    await check('attachments, links and voice notes are found in message text', async () => {
+        const meta = extractMessageMetadata('Voice message 0:42 - also see https://acme.com/deck?x=1. and Proposal_v3.pdf');
+        assert.deepStrictEqual(meta.links, ['https://acme.com/deck?x=1']);
+        assert.deepStrictEqual(meta.attachments, [{ name: 'Proposal_v3.pdf', url: null }]);
+        assert.deepStrictEqual(meta.voiceNote, { duration: '0:42' });
+        assert.strictEqual(extractMessageMetadata('Voice message, call me at 4:30 PM').voiceNote.duration, null);
+        assert.strictEqual(extractMessageMetadata('Jenny sent an attachment').attachments.length, 1);
+        assert.strictEqual(extractMessageMetadata('See you Thursday'), null);
+    });
+
+    await check('parseConversation: export parser wins inside the selected section, markers reach Notes', async () => {
+        const result = await parseConversation(OUTLOOK_THREAD, { forceFormat: 'email', newestFirst: true });
+        assert.strictEqual(result.format, 'outlook_raw');
+        assert.strictEqual(result.confidence, 0.9);
+        assert.match(result.formatReason, /Outlook/);
+        assert.strictEqual(
+            result.formatted.split('\n')[0],
+            '02-12-25 4:21 PM - Jenny Yan - Great, pricing attached. [Attachment: Pricing.xlsx] [Attachment: Case study.pdf]'
+        );
+
+        const csv = await parseConversation(MESSAGES_CSV, { forceFormat: 'linkedin', timeZone: 'UTC', counterpartProfileUrl: 'https://www.linkedin.com/in/jennyyan' });
+        assert.strictEqual(csv.format, 'linkedin_csv');
+        assert.strictEqual(csv.messageCount, 2);
+        assert.ok(csv.formatted.startsWith('04-12-25 3:10 AM - Jenny Yan - Thanks Guy, here it is: see the deck [Attachment: Deck v2.pdf]'));
+    });
+
+    await check('parseConversation: forced mismatches and empty parses report low confidence', async () => {
+        const forced = await parseConversation(OUTLOOK_THREAD, { forceFormat: 'salesnav' });
+        assert.strictEqual(forced.format, 'salesnav_raw');
+        assert.ok(forced.confidence <= 0.3);
+        assert.match(forced.formatReason, /because that source was selected/);
+
+        const empty = await parseConversation('Guy Wilson 4:21 PM', { forceFormat: 'linkedin' });
+        assert.strictEqual(empty.messageCount, 0);
+        assert.ok(empty.confidence <= 0.2);
+        assert.match(empty.formatReason, /no messages could be parsed/);
+
+        const manual = await parseConversation('Call went well', {});
+        assert.deepStrictEqual([manual.format, manual.confidence], ['manual', 0.5]);
+    });
+
+    if (failures) { console.error(`\n❌ ${failures} test(s) failed`); process.exit(1); }
+    console.log('\n✅ all 8 tests passed');
+    process.exit(0);
+})();
@@ -0,0 +1,316 @@
+/**
+ * Tests for the Microsoft Graph backend (services/microsoftGraph.js + the 'microsoft' branches of
+ * services/calendarProvider.js and services/mailProvider.js).
+ *
+ * Covers: refresh-token exchange, access-token caching and rotation write-back · calendarView reads
+ * mapped to the shared event shape (UTC times, all-day spans, self/organizer, Teams link, cancelled
+ * skipped) across several calendars with pagination · event create body · delete with cancel and the
+ * DELETE fallback · draft create + threaded reply · message search (filter and $search paths), read
+ * and recent-list mapping · the connect callback page escapes Microsoft's error text and shows a
+ * fixed message for exceptions. Graph, the token endpoint and Airtable are a fake fetch.
+ *
+ * Run: node tests/microsoft-graph-provider.test.js
+ */
+const assert = require("assert");
+
+process.env.MS_GRAPH_CLIENT_ID = "app-id";
+process.env.MS_GRAPH_CLIENT_SECRET = "app-secret";
+process.env.MASTER_CLIENTS_BASE_ID = "appMaster";
+process.env.AIRTABLE_API_KEY = "key_test";
+
+let failures = 0;
+const check = async (name, fn) => {
+  try { await fn(); console.log(`  ✓ ${name}`); }
+  catch (e) { failures++; console.error(`  ✗ ${name}\n    ${e.message}`); }
+};
+
+const stub = (relPath, exports) => {
+  const full = require.resolve(relPath);
+  require.cache[full] = { id: full, filename: full, loaded: true, exports };
+};
+stub("../config/calendarServiceAccount", { listCalendarEventsWithAttendeesInRange: async () => ({ events: [] }) });
+
+// --- fake fetch ----------------------------------------------------------------------------
+const calls = [];
+let tokenResponses = [];
+let graphRoutes = {}; // "METHOD /path" (no query) -> (url, opts) => { status, body }
+const json = (body, status = 200) => ({
+  ok: status < 400,
+  status,
+  json: async () => body,
+  text: async () => (body === undefined ? "" : JSON.stringify(body)),
+});
+global.fetch = async (url, opts = {}) => {
+  const u = new URL(url);
+  const method = opts.method || "GET";
+  calls.push({ url: String(url), method, headers: opts.headers || {}, body: opts.body });
+  if (u.hostname === "login.microsoftonline.com") {
+    const next = tokenResponses.shift();
+    return json(next || { error: "invalid_grant" }, next ? 200 : 400);
+  }
+  if (u.hostname === "api.airtable.com") {
+    if (method === "PATCH") return json({ id: "recClient" });
+    return json({ records: [{ id: "recClient", fields: {} }] });
+  }
+  if (u.hostname === "graph.microsoft.com") {
+    const key = `${method} ${u.pathname.replace(/^\/v1\.0/, "")}`;
+    const h = graphRoutes[key];
+    if (!h) return json({ error: { code: "ErrorItemNotFound", message: `no fake for ${key}` } }, 404);
+    const out = h(u, opts);
+    return json(out.body, out.status || 200);
+  }
+  throw new Error(`unexpected fetch ${url}`);
+};
+
+const graph = require("../services/microsoftGraph");
+const calendarProvider = require("../services/calendarProvider");
+const mailProvider = require("../services/mailProvider");
+
+const coach = (extra = {}) => ({
+  calendarProvider: "microsoft",
+  emailProvider: "microsoft",
+  calendarProviderToken: "refresh-1",
+  calendarProviderDomain: "tenant-abc",
+  timezone: "Australia/Brisbane",
+  ...extra,
+});
+const freshToken = () => { graph.__resetGraphTokens(); tokenResponses = [{ access_token: "at-1", expires_in: 3600 }]; };
+const graphCalls = () => calls.filter((c) => c.url.startsWith("https://graph.microsoft.com"));
+
+(async () => {
+  console.log("microsoft graph provider");
+
+  await check("refresh grant goes to the coach's tenant; access token is cached", async () => {
+    freshToken(); calls.length = 0;
+    graphRoutes = { "GET /me": () => ({ body: { id: "me" } }) };
+    await graph.graphRequest(coach(), "/me");
+    await graph.graphRequest(coach(), "/me");
+    const tokenCalls = calls.filter((c) => c.url.includes("login.microsoftonline.com"));
+    assert.strictEqual(tokenCalls.length, 1);
+    assert.ok(tokenCalls[0].url.includes("/tenant-abc/oauth2/v2.0/token"));
+    const form = new URLSearchParams(tokenCalls[0].body);
+    assert.strictEqual(form.get("grant_type"), "refresh_token");
+    assert.strictEqual(form.get("refresh_token"), "refresh-1");
+    assert.strictEqual(graphCalls()[0].headers.Authorization, "Bearer at-1");
+  });
+
+  await check("a rotated refresh token is used next time and written back to Master Clients", async () => {
+    graph.__resetGraphTokens(); calls.length = 0;
+    tokenResponses = [{ access_token: "at-2", expires_in: 1, refresh_token: "refresh-2" }, { access_token: "at-3", expires_in: 3600 }];
+    graphRoutes = { "GET /me": () => ({ body: {} }) };
+    await graph.graphRequest(coach(), "/me");
+    await new Promise((r) => setImmediate(r));
+    await graph.graphRequest(coach(), "/me"); // expires_in:1 → inside the 60s margin → refresh again
+    const forms = calls.filter((c) => c.url.includes("login.microsoftonline.com")).map((c) => new URLSearchParams(c.body));
+    assert.deepStrictEqual(forms.map((f) => f.get("refresh_token")), ["refresh-1", "refresh-2"]);
+    const patch = calls.find((c) => c.method === "PATCH");
+    assert.ok(patch && patch.url.endsWith("/Clients/recClient"));
+    assert.strictEqual(JSON.parse(patch.body).fields["Calendar Provider Token"], "refresh-2");
+  });
+
+  await check("token failure surfaces as a read error, not a throw", async () => {
+    graph.__resetGraphTokens(); tokenResponses = [];
+    const r = await calendarProvider.getMeetingsInWindow(coach(), "2026-10-20T00:00:00Z", "2026-10-21T00:00:00Z");
+    assert.strictEqual(r.provider, "microsoft");
+    assert.deepStrictEqual(r.events, []);
+    assert.ok(/token refresh HTTP 400/.test(r.error), r.error);
+  });
+
+  await check("calendarView across every editable calendar, paginated, mapped and deduped", async () => {
+    freshToken(); calls.length = 0;
+    const meeting = {
+      id: "ev1", subject: "Jane and Sarah 1st meeting", isOrganizer: true,
+      start: { dateTime: "2026-10-20T01:30:00.0000000", timeZone: "UTC" },
+      end: { dateTime: "2026-10-20T02:00:00.0000000", timeZone: "UTC" },
+      organizer: { emailAddress: { address: "Sarah@Coach.com", name: "Sarah" } },
+      attendees: [{ emailAddress: { address: "jane@lead.com", name: "Jane" }, status: { response: "tentativelyAccepted" } }],
+      onlineMeeting: { joinUrl: "https://teams.microsoft.com/l/meetup-join/x" },
+      body: { content: "Agenda" }, webLink: "https://outlook.office365.com/owa/?itemid=ev1",
+    };
+    graphRoutes = {
+      "GET /me/calendars": () => ({ body: { value: [
+        { id: "calA", canEdit: true }, { id: "calB", canEdit: true }, { id: "holidays", canEdit: false },
+      ] } }),
+      "GET /me/calendars/calA/calendarView": (u) => (u.searchParams.get("$skip")
+        ? { body: { value: [{ id: "gone", isCancelled: true, start: meeting.start, end: meeting.end }] } }
+        : { body: { value: [meeting], "@odata.nextLink": "https://graph.microsoft.com/v1.0/me/calendars/calA/calendarView?$skip=100" } }),
+      "GET /me/calendars/calB/calendarView": () => ({ body: { value: [
+        meeting,
+        { id: "ev2", subject: "Leave", isAllDay: true,
+          start: { dateTime: "2026-10-21T00:00:00.0000000", timeZone: "UTC" }, end: { dateTime: "2026-10-22T00:00:00.0000000", timeZone: "UTC" } },
+      ] } }),
+    };
+    const r = await calendarProvider.getMeetingsInWindow(coach({ calendarReadIds: "all" }), "2026-10-19T14:00:00Z", "2026-10-23T14:00:00Z", { includeAllDay: true });
+    assert.strictEqual(r.error, null, r.error);
+    assert.ok(!graphCalls().some((c) => c.url.includes("/holidays/")), "read-only calendar skipped");
+    const viewCall = graphCalls().find((c) => c.url.includes("/calA/calendarView"));
+    assert.ok(viewCall.headers.Prefer.includes('outlook.timezone="UTC"'));
+    assert.strictEqual(r.events.length, 2, JSON.stringify(r.events.map((e) => e.id)));
+    const ev = r.events.find((e) => e.id === "ev1");
+    assert.strictEqual(ev.start, "2026-10-20T01:30:00.000Z");
+    assert.strictEqual(ev.location, "https://teams.microsoft.com/l/meetup-join/x");
+    assert.strictEqual(ev.conferenceData.entryPoints[0].uri, "https://teams.microsoft.com/l/meetup-join/x");
+    assert.strictEqual(ev.organizerEmail, "sarah@coach.com");
+    assert.strictEqual(ev.attendees.find((a) => a.email === "jane@lead.com").responseStatus, "tentative");
+    assert.ok(ev.attendees.some((a) => a.self && a.organizer), "organizer synthesised as self");
+    const allDay = r.events.find((e) => e.id === "ev2");
+    assert.strictEqual(allDay.allDay, true);
+    assert.strictEqual(allDay.start, "2026-10-20T14:00:00.000Z"); // local midnight in Brisbane
+  });
+
+  await check("status mapping", async () => {
+    assert.strictEqual(calendarProvider.mapMicrosoftStatus("organizer"), "accepted");
+    assert.strictEqual(calendarProvider.mapMicrosoftStatus("declined"), "declined");
+    assert.strictEqual(calendarProvider.mapMicrosoftStatus("notResponded"), "needsAction");
+  });
+
+  await check("create posts a UTC event with attendees, location and one reminder", async () => {
+    freshToken(); calls.length = 0;
+    let sent = null;
+    graphRoutes = { "POST /me/calendars/calW/events": (u, o) => { sent = JSON.parse(o.body); return { status: 201, body: { id: "new1", webLink: "https://outlook/new1" } }; } };
+    const r = await calendarProvider.createCalendarEvent(coach({ calendarWriteId: "calW" }), {
+      title: "Jane and Sarah 1st meeting", description: "Hi", startISO: "2026-10-20T01:30:00Z", endISO: "2026-10-20T02:00:00Z",
+      attendees: [{ email: "jane@lead.com", name: "Jane" }], location: "Zoom",
+      reminders: { overrides: [{ reminder_minutes: 10 }, { reminder_minutes: 60 }] },
+    });
+    assert.deepStrictEqual(r, { ok: true, eventId: "new1", htmlLink: "https://outlook/new1", provider: "microsoft" });
+    assert.deepStrictEqual(sent.start, { dateTime: "2026-10-20T01:30:00.000", timeZone: "UTC" });
+    assert.strictEqual(sent.attendees[0].emailAddress.address, "jane@lead.com");
+    assert.strictEqual(sent.location.displayName, "Zoom");
+    assert.strictEqual(sent.reminderMinutesBeforeStart, 60);
+  });
+
+  await check("delete: cancel notifies attendees; refused cancel falls back to DELETE", async () => {
+    freshToken(); calls.length = 0;
+    graphRoutes = {
+      "POST /me/events/ev1/cancel": () => ({ status: 202, body: undefined }),
+      "POST /me/events/ev2/cancel": () => ({ status: 400, body: { error: { code: "ErrorInvalidRequest", message: "not organizer" } } }),
+      "DELETE /me/events/ev2": () => ({ status: 204, body: undefined }),
+      "DELETE /me/events/ev3": () => ({ status: 204, body: undefined }),
+    };
+    assert.deepStrictEqual(await calendarProvider.deleteCalendarEvent(coach(), "ev1", { notifyParticipants: true }), { ok: true, provider: "microsoft" });
+    assert.strictEqual((await calendarProvider.deleteCalendarEvent(coach(), "ev2", { notifyParticipants: true })).ok, true);
+    assert.strictEqual((await calendarProvider.deleteCalendarEvent(coach(), "ev3")).ok, true);
+    assert.deepStrictEqual(graphCalls().map((c) => `${c.method} ${new URL(c.url).pathname.replace("/v1.0", "")}`), [
+      "POST /me/events/ev1/cancel", "POST /me/events/ev2/cancel", "DELETE /me/events/ev2", "DELETE /me/events/ev3",
+    ]);
+  });
+
+  await check("hasMailbox needs the Microsoft token", async () => {
+    assert.strictEqual(mailProvider.hasMailbox(coach()), true);
+    assert.strictEqual(mailProvider.hasMailbox(coach({ calendarProviderToken: null })), false);
+  });
+
+  await check("draft create: HTML body and recipients as given; reply goes through createReply", async () => {
+    freshToken(); calls.length = 0;
+    const bodies = {};
+    graphRoutes = {
+      "POST /me/messages": (u, o) => { bodies.create = JSON.parse(o.body); return { status: 201, body: { id: "d1", conversationId: "conv1" } }; },
+      "POST /me/messages/m9/createReply": (u, o) => { bodies.reply = JSON.parse(o.body); return { status: 201, body: { id: "d2", conversationId: "conv9" } }; },
+    };
+    const html = '<p>Book here: <a href="https://cal.example/x?a=1&amp;b=2">link</a></p>';
+    const r = await mailProvider.createDraft(coach(), {
+      to: [{ email: "jane@lead.com", name: "Jane" }], cc: "bob@lead.com", subject: "Next week", html,
+    });
+    assert.deepStrictEqual(r, { ok: true, draftId: "d1", threadId: "conv1", provider: "microsoft" });
+    assert.deepStrictEqual(bodies.create.body, { contentType: "HTML", content: html });
+    assert.deepStrictEqual(bodies.create.toRecipients, [{ emailAddress: { address: "jane@lead.com", name: "Jane" } }]);
+    assert.strictEqual(bodies.create.ccRecipients[0].emailAddress.address, "bob@lead.com");
+    const re = await mailProvider.createDraft(coach(), { to: "jane@lead.com", subject: "Re: Next week", html, replyToMessageId: "m9" });
+    assert.strictEqual(re.draftId, "d2");
+    assert.strictEqual(bodies.reply.message.body.content, html);
+    const bad = await mailProvider.createDraft(coach(), { to: [], subject: "x" });
+    assert.strictEqual(bad.ok, false);
+  });
+
+  const msg = {
+    id: "m1", conversationId: "conv1", subject: "Hello", bodyPreview: "Hi Sarah",
+    from: { emailAddress: { address: "jane@lead.com", name: "Jane Doe" } },
+    toRecipients: [{ emailAddress: { address: "Sarah@Coach.com", name: "Sarah" } }],
+    ccRecipients: [{ emailAddress: { address: "bob@lead.com" } }],
+    receivedDateTime: "2026-10-18T03:00:00Z",
+    attachments: [{ name: "deck.pdf", isInline: false }, { name: "image001.png", isInline: true }],
+    body: { content: "<p>Hi Sarah</p>" },
+  };
+
+  await check("findMessages: $filter path leads with receivedDateTime and maps summaries", async () => {
+    freshToken(); calls.length = 0;
+    graphRoutes = { "GET /me/messages": () => ({ body: { value: [msg] } }) };
+    const r = await mailProvider.findMessages(coach(), { from: "jane@lead.com", subject: "Hello", receivedAfter: 1760000000 });
+    assert.strictEqual(r.ok, true);
+    const q = new URL(graphCalls()[0].url).searchParams;
+    assert.ok(/^receivedDateTime ge 2025-10-09T08:53:20\.000Z and from\/emailAddress\/address eq 'jane@lead.com'/.test(q.get("$filter")), q.get("$filter"));
+    assert.strictEqual(q.get("$orderby"), "receivedDateTime desc");
+    assert.deepStrictEqual(r.messages[0], {
+      id: "m1", threadId: "conv1", subject: "Hello", from: "Jane Doe <jane@lead.com>", fromEmail: "jane@lead.com",
+      to: "Sarah@Coach.com", date: "2026-10-18T03:00:00Z", snippet: "Hi Sarah", attachments: ["deck.pdf"],
+    });
+  });
+
+  await check("findMessages: anyEmail uses $search and filters the rest locally", async () => {
+    freshToken(); calls.length = 0;
+    graphRoutes = { "GET /me/messages": () => ({ body: { value: [msg, { ...msg, id: "m2", subject: "Other" }] } }) };
+    const r = await mailProvider.findMessages(coach(), { anyEmail: "jane@lead.com", subject: "hello" });
+    const q = new URL(graphCalls()[0].url).searchParams;
+    assert.strictEqual(q.get("$search"), '"participants:jane@lead.com"');
+    assert.strictEqual(q.get("$filter"), null);
+    assert.deepStrictEqual(r.messages.map((m) => m.id), ["m1"]);
+  });
+
+  await check("getMessage returns body and cc; listRecent follows nextLink", async () => {
+    freshToken(); calls.length = 0;
+    graphRoutes = {
+      "GET /me/messages/m1": () => ({ body: msg }),
+      "GET /me/messages": (u) => (u.searchParams.get("$skip")
+        ? { body: { value: [{ ...msg, id: "m2" }] } }
+        : { body: { value: [msg], "@odata.nextLink": "https://graph.microsoft.com/v1.0/me/messages?$skip=50" } }),
+    };
+    const one = await mailProvider.getMessage(coach(), "m1");
+    assert.strictEqual(one.message.body, "<p>Hi Sarah</p>");
+    assert.strictEqual(one.message.cc, "bob@lead.com");
+    const recent = await mailProvider.listRecent(coach(), { after: 1760000000 });
+    assert.strictEqual(recent.ok, true);
+    assert.deepStrictEqual(recent.messages.map((m) => m.id), ["m1", "m2"]);
+    assert.deepStrictEqual(recent.messages[0].toEmails, ["sarah@coach.com"]);
+    assert.strictEqual(recent.truncated, false);
+  });
+
+  await check("connect callback escapes Microsoft's error text and never echoes exception details", async () => {
+    const http = require("http");
+    const crypto = require("crypto");
+    const express = require("express");
+    const app = express();
+    app.use("/auth/microsoft", require("../routes/microsoftAuthRoutes"));
+    const server = app.listen(0);
+    const get = (path) => new Promise((resolve, reject) => {
+      http.get(`http://127.0.0.1:${server.address().port}/auth/microsoft${path}`, (res) => {
+        let body = "";
+        res.on("data", (d) => { body += d; });
+        res.on("end", () => resolve({ status: res.statusCode, body }));
+      }).on("error", reject);
+    });
+    const payload = `Guy-Wilson.${Date.now() + 60000}`;
+    const sig = crypto.createHmac("sha256", "app-secret").update(payload).digest("hex").slice(0, 32);
+    const state = Buffer.from(`${payload}.${sig}`).toString("base64url");
+    const realFetch = global.fetch;
+    try {
+      const denied = await get(`/callback?error=access_denied&error_description=${encodeURIComponent('<img src=x onerror="alert(1)">')}`);
+      assert.strictEqual(denied.status, 400);
+      assert.ok(!denied.body.includes("<img"), denied.body);
+      assert.ok(denied.body.includes("&lt;img src=x onerror=&quot;alert(1)&quot;&gt;"));
+
+      global.fetch = async () => { throw new Error('<script>alert("x")</script> connect ECONNREFUSED'); };
+      const down = await get(`/callback?code=abc&state=${state}`);
+      assert.strictEqual(down.status, 502);
+      assert.ok(!/script|ECONNREFUSED/.test(down.body), down.body);
+      assert.match(down.body, /Couldn't reach Microsoft/);
+    } finally {
+      global.fetch = realFetch;
+      server.close();
+    }
+  });
+
+  if (failures) { console.error(`\n❌ ${failures} test(s) failed`); process.exit(1); }
+  console.log("\n✅ all 13 tests passed");
+  process.exit(0);
+})();
@@ -0,0 +1,205 @@
+/**
+ * Tests for Production Issues fingerprinting, dedup and alert routing
+ * (services/issueFingerprint.js, services/productionIssueService.js, services/issueAlertRouter.js,
+ * services/issueAlertMuteStore.js).
+ *
+ * Covers: normalisation drops times / run IDs / record IDs / numbers but keeps the words · the top
+ * app stack frame (not node_modules, no line numbers) splits otherwise-identical messages · one
+ * Airtable row per fingerprint across runs, with Occurrences and First/Last Seen · a re-analysed
+ * window isn't double-counted · a FIXED issue seen again is reopened and alerts as a regression ·
+ * severity routing to email / webhook / digest, one message per pass · snooze and pattern mutes
+ * suppress alerts and the digest · a base without the dedupe fields still records issues. Airtable, Mailgun and the webhook are fakes.
+ *
+ * Run: node tests/production-issue-alerts.test.js
+ */
+const assert = require('assert');
+
+delete process.env.DATABASE_URL;
+delete process.env.ISSUE_ALERT_ROUTES;
+
+let failures = 0;
+const check = async (name, fn) => {
+  try { await fn(); console.log(`  ✓ ${name}`); }
+  catch (e) { failures++; console.error(`  ✗ ${name}\n    ${e.message}`); }
+};
+
+const stub = (relPath, exports) => {
+  const full = require.resolve(relPath);
+  require.cache[full] = { id: full, filename: full, loaded: true, exports };
+};
+
+// --- fake Production Issues table --------------------------------------------------------------
+let rows = [];
+let nextId = 1;
+const table = {
+  select: ({ filterByFormula = '' } = {}) => ({
+    all: async () => {
+      const fps = [...filterByFormula.matchAll(/\{Fingerprint\} = '([^']+)'/g)].map((m) => m[1]);
+      if (fps.length) return rows.filter((r) => fps.includes(r.fields.Fingerprint));
+      const since = filterByFormula.match(/IS_AFTER\(\{Last Seen\}, '([^']+)'\)/);
+      if (since) return rows.filter((r) => r.fields['Last Seen'] > since[1]);
+      return rows;
+    },
+  }),
+  create: async (fields) => { const r = { id: `recIssue${nextId++}`, fields: { ...fields } }; rows.push(r); return r; },
+  update: async (id, updates) => { const r = rows.find((x) => x.id === id); Object.assign(r.fields, updates); return { id, fields: { ...r.fields } }; },
+};
+stub('../config/airtableClient', { getMasterClientsBase: () => () => table });
+stub('../services/jobTracking', { getJobById: async () => null });
+
+const { normalizeMessage, topAppFrame, fingerprintIssue } = require('../services/issueFingerprint');
+const ProductionIssueService = require('../services/productionIssueService');
+const { routeIssueEvents, sendDailyDigest, resolveRoutes } = require('../services/issueAlertRouter');
+const muteStore = require('../services/issueAlertMuteStore');
+
+const emails = [];
+const webhooks = [];
+const alertDeps = {
+  webhookUrl: 'https://hooks.example/T000',
+  sendEmail: async (subject, html) => { emails.push({ subject, html }); },
+  postWebhook: async (url, payload) => { webhooks.push({ url, payload }); },
+};
+const service = new ProductionIssueService({ alertDeps });
+
+const issue = (errorMessage, severity, at, extra = {}) => ({
+  errorMessage, severity, context: errorMessage, stackTrace: null, patternMatched: extra.patternMatched || 'Failed to (create|update|fetch|delete)',
+  timestamp: new Date(at), firstSeen: new Date(at), lastSeen: new Date(at), occurrences: 1, runId: 'SYSTEM', ...extra,
+});
+
+(async () => {
+  console.log('production issue alerts');
+
+  await check('normalisation strips per-occurrence noise and keeps the words', async () => {
+    const a = normalizeMessage('[2026-10-01T10:00:00.123Z] [261001-100000-Guy-Wilson] [ERROR] Failed to update recAbCdEfGh123456 for jane@x.com after 3 tries');
+    const b = normalizeMessage('[2026-10-02T11:30:00Z] [261002-113000-Dean-Hobin] [ERROR] Failed to update recZZZZZZZZZZZZ99 for bob@y.org after 5 tries');
+    assert.strictEqual(a, b);
+    assert.strictEqual(a, 'Failed to update <RECORD> for <EMAIL> after <N> tries');
+    assert.strictEqual(normalizeMessage('GET https://api.x.com/v1/leads?offset=abc123 status 502'), 'GET https://api.x.com/v<N>/leads status <N>');
+  });
+
+  await check('top app frame skips node_modules and line numbers', async () => {
+    const trace = [
+      '    at Request._callback (/opt/render/project/src/node_modules/airtable/lib/run_action.js:61:21)',
+      '    at async updateLead (/opt/render/project/src/services/leadService.js:120:9)',
+      '    at processTicksAndRejections (node:internal/process/task_queues:95:5)',
+    ].join('\n');
+    assert.strictEqual(topAppFrame(trace), 'updateLead (services/leadService.js)');
+    const moved = trace.replace(':120:9', ':188:3');
+    const base = { severity: 'ERROR', errorMessage: 'Failed to update lead' };
+    assert.strictEqual(fingerprintIssue({ ...base, stackTrace: trace }).fingerprint, fingerprintIssue({ ...base, stackTrace: moved }).fingerprint);
+    assert.notStrictEqual(fingerprintIssue({ ...base, stackTrace: trace }).fingerprint, fingerprintIssue(base).fingerprint);
+  });
+
+  await check('repeat occurrences across runs land on one row with counts', async () => {
+    rows = []; emails.length = 0; webhooks.length = 0;
+    await service.createProductionIssues([
+      issue('[261001-100000-Guy-Wilson] Failed to update recAbCdEfGh123456', 'ERROR', '2026-10-01T10:00:00Z'),
+      issue('[261001-100000-Dean-Hobin] Failed to update recZZZZZZZZZZZZ99', 'ERROR', '2026-10-01T10:05:00Z'),
+    ]);
+    assert.strictEqual(rows.length, 1);
+    assert.strictEqual(rows[0].fields.Occurrences, 2);
+    assert.strictEqual(rows[0].fields['First Seen'], '2026-10-01T10:00:00.000Z');
+    assert.strictEqual(rows[0].fields['Last Seen'], '2026-10-01T10:05:00.000Z');
+    assert.match(rows[0].fields.Fingerprint, /^[0-9a-f]{16}$/);
+
+    await service.createProductionIssues([issue('[261002-100000] Failed to update recQQQQQQQQQQQQ00', 'ERROR', '2026-10-02T09:00:00Z', { occurrences: 3 })]);
+    assert.strictEqual(rows.length, 1, 'next run updates the same row');
+    assert.strictEqual(rows[0].fields.Occurrences, 5);
+    assert.strictEqual(rows[0].fields['Last Seen'], '2026-10-02T09:00:00.000Z');
+    assert.strictEqual(rows[0].fields['First Seen'], '2026-10-01T10:00:00.000Z');
+
+    await service.createProductionIssues([issue('Failed to update recQQQQQQQQQQQQ00', 'ERROR', '2026-10-02T09:00:00Z')]);
+    assert.strictEqual(rows[0].fields.Occurrences, 5, 're-analysed window is not counted twice');
+    assert.strictEqual(webhooks.length, 1, 'only the first sighting alerted');
+  });
+
+  await check('a FIXED issue seen again is reopened and alerts as a regression', async () => {
+    webhooks.length = 0;
+    await service.markAsFixed(rows[0].id, { fixNotes: 'retry on 422' });
+    rows[0].fields['Fixed Time'] = '2026-10-03T00:00:00.000Z';
+    await service.createProductionIssues([issue('Failed to update recQQQQQQQQQQQQ00', 'ERROR', '2026-10-02T12:00:00Z')]);
+    assert.strictEqual(rows[0].fields.Status, 'FIXED', 'occurrence from before the fix does not reopen');
+    await service.createProductionIssues([issue('Failed to update recQQQQQQQQQQQQ00', 'ERROR', '2026-10-04T08:00:00Z')]);
+    assert.strictEqual(rows[0].fields.Status, 'NEW');
+    assert.strictEqual(rows[0].fields['Reopen Count'], 1);
+    assert.ok(rows[0].fields['Reopened At']);
+    assert.strictEqual(webhooks.length, 1);
+    assert.match(webhooks[0].payload.text, /♻️ REGRESSION ERROR \(fixed 2026-10-03\)/);
+    assert.strictEqual(webhooks[0].payload.issues[0].event, 'regression');
+  });
+
+  await check('severity routes: CRITICAL email + webhook, WARNING digest only, one message per pass', async () => {
+    rows = []; emails.length = 0; webhooks.length = 0;
+    await service.createProductionIssues([
+      issue('FATAL ERROR: heap out of memory', 'CRITICAL', '2026-10-05T01:00:00Z', { patternMatched: 'FATAL ERROR:' }),
+      issue('uncaughtException: boom', 'CRITICAL', '2026-10-05T01:01:00Z', { patternMatched: 'uncaughtException' }),
+      issue('retrying request to Apify', 'WARNING', '2026-10-05T01:02:00Z', { patternMatched: 'retrying' }),
+    ]);
+    assert.strictEqual(emails.length, 1);
+    assert.strictEqual(emails[0].subject, 'Production Issues: 2 alerts');
+    assert.strictEqual(webhooks.length, 1);
+    assert.strictEqual(webhooks[0].url, 'https://hooks.example/T000');
+    assert.strictEqual(webhooks[0].payload.issues.length, 2);
+    assert.ok(!/retrying/.test(emails[0].html + webhooks[0].payload.text));
+    assert.deepStrictEqual(resolveRoutes('ERROR=email; WARNING=none').WARNING, []);
+    assert.deepStrictEqual(resolveRoutes('ERROR=email; WARNING=none').ERROR, ['email']);
+  });
+
+  await check('snoozed issues and muted patterns do not alert', async () => {
+    muteStore.__setTestPool(null);
+    const now = new Date('2026-10-06T00:00:00Z');
+    const base = { severity: 'CRITICAL', errorMessage: 'x', fingerprint: 'f1', patternMatched: 'ECONNREFUSED' };
+    const r1 = await routeIssueEvents([{ type: 'new', issue: { ...base, snoozedUntil: '2026-10-07T00:00:00Z' } }], { ...alertDeps, now, sendEmail: async () => { throw new Error('should not send'); } });
+    assert.deepStrictEqual(r1.suppressed, [{ fingerprint: 'f1', reason: 'snoozed until 2026-10-07T00:00:00Z' }]);
+    await muteStore.mutePattern('ECONNREFUSED', { reason: 'known outage', mutedUntil: '2026-10-06T12:00:00Z' });
+    const r2 = await routeIssueEvents([{ type: 'new', issue: base }], { ...alertDeps, now, sendEmail: async () => { throw new Error('should not send'); } });
+    assert.match(r2.suppressed[0].reason, /pattern muted until 2026-10-06T12:00:00/);
+    const later = new Date('2026-10-06T13:00:00Z');
+    const r3 = await routeIssueEvents([{ type: 'new', issue: base }], { ...alertDeps, now: later, sendEmail: async () => {} });
+    assert.strictEqual(r3.email, 1, 'expired mute no longer applies');
+  });
+
+  await check('daily digest lists open digest-routed issues and skips muted ones', async () => {
+    emails.length = 0;
+    const now = new Date('2026-10-05T12:00:00Z');
+    await muteStore.mutePattern('retrying');
+    const muted = await sendDailyDigest({ service, dryRun: true }, { now });
+    assert.deepStrictEqual([muted.count, muted.suppressed], [0, 1]);
+    await muteStore.unmutePattern('retrying');
+    const d = await sendDailyDigest({ service }, { now, sendEmail: alertDeps.sendEmail });
+    assert.strictEqual(d.sent, true);
+    assert.strictEqual(d.count, 1, 'only the WARNING routes to digest by default');
+    assert.match(emails[0].subject, /digest: 1 open issue seen in the last 24h/);
+    assert.match(emails[0].html, /retrying request to Apify/);
+  });
+
+  await check('alert delivery failures never break recording', async () => {
+    rows = [];
+    const flaky = new ProductionIssueService({ alertDeps: { ...alertDeps, sendEmail: async () => { throw new Error('mailgun down'); } } });
+    const records = await flaky.createProductionIssues([issue('FATAL ERROR: again', 'CRITICAL', '2026-10-07T00:00:00Z', { patternMatched: 'FATAL ERROR:' })]);
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(rows.length, 1);
+  });
+
+  await check('a base without the dedupe fields still gets the issue, minus those fields', async () => {
+    rows = [];
+    const create = table.create;
+    table.create = async (fields) => {
+      if ('Fingerprint' in fields) throw Object.assign(new Error('Unknown field name: "Fingerprint"'), { error: 'UNKNOWN_FIELD_NAME', statusCode: 422 });
+      return create(fields);
+    };
+    try {
+      const records = await service.createProductionIssues([issue('Failed to fetch recAbCdEfGh123456', 'ERROR', '2026-10-08T00:00:00Z')]);
+      assert.strictEqual(records.length, 1);
+      assert.strictEqual(rows.length, 1);
+      assert.strictEqual(rows[0].fields.Fingerprint, undefined);
+      assert.strictEqual(rows[0].fields.Occurrences, 1);
+    } finally {
+      table.create = create;
+    }
+  });
+
+  if (failures) { console.error(`\n❌ ${failures} test(s) failed`); process.exit(1); }
+  console.log('\n✅ all 9 tests passed');
+  process.exit(0);
+})();
@@ -0,0 +1,238 @@
+/**
+ * Tests for durable rescore jobs (services/rescoreJobStore.js + services/rescoreJobRunner.js).
+ *
+ * Covers: reserve-then-settle credits (whole scope debited at start, unscored leads refunded, and
+ * refunded at once if the job row can't be written) · per-chunk checkpointing of per-lead rows · a job whose process died mid-run is claimed and
+ * resumed from the first unscored lead, in the original order · a resumed job whose client lost
+ * Rescore access is closed as 'interrupted' and refunded · the resume sweep keeps checking, so a
+ * job that only goes stale after boot is still picked up · preview baseline compare · history · run/status is scoped to the calling client.
+ * Runs on the store's in-process fallback (no DATABASE_URL); scoring and Airtable are fakes.
+ *
+ * Run: node tests/rescore-jobs.test.js
+ */
+const assert = require('assert');
+
+let failures = 0;
+const check = async (name, fn) => {
+  try { await fn(); console.log(`  ✓ ${name}`); }
+  catch (e) { failures++; console.error(`  ✗ ${name}\n    ${e.message}`); }
+};
+
+const stub = (relPath, exports) => {
+  const full = require.resolve(relPath);
+  require.cache[full] = { id: full, filename: full, loaded: true, exports };
+};
+
+delete process.env.DATABASE_URL;
+
+// --- fake master client + credits ------------------------------------------------------------
+const CLIENT = { id: 'recClient', clientId: 'Test-Client', airtableBaseId: 'appTest', rescoreEnabled: true, consumed: 0 };
+const OTHER_CLIENT = { id: 'recOther', clientId: 'Other-Client', airtableBaseId: 'appOther' };
+const creditStatus = () => ({ clientId: CLIENT.clientId, enabled: CLIENT.rescoreEnabled, granted: 100, consumed: CLIENT.consumed, available: 100 - CLIENT.consumed, monthlyAccrual: 200, monthsElapsed: 0 });
+stub('../services/clientService', {
+  getClientById: async (id) => [CLIENT, OTHER_CLIENT].find((c) => c.clientId === id) || null,
+  getClientBase: () => fakeBase,
+  getRescoreCreditsStatus: async (id) => (id === CLIENT.clientId ? creditStatus() : id === OTHER_CLIENT.clientId ? { ...creditStatus(), clientId: id } : null),
+  debitRescoreCredits: async (id, n) => { CLIENT.consumed += n; return creditStatus(); },
+  refundRescoreCredits: async (id, n) => { CLIENT.consumed = Math.max(0, CLIENT.consumed - n); return creditStatus(); },
+});
+
+// --- fake Leads table + scorer ---------------------------------------------------------------
+const rec = (id) => ({ id, get: () => null });
+const ALL = ['recA', 'recB', 'recC', 'recD', 'recE'];
+const fakeBase = () => ({
+  select: ({ filterByFormula }) => ({
+    all: async () => ALL.filter((id) => filterByFormula.includes(`'${id}'`)).map(rec),
+  }),
+});
+
+const scoredCalls = [];
+let failIds = new Set();
+let scoreOffset = 0;
+stub('../batchScorer', {
+  // Two leads per chunk; every chunk is checkpointed through onChunkScored like the real engine.
+  scoreRecordsNow: async ({ records, onChunkScored }) => {
+    scoredCalls.push(records.map((r) => r.id));
+    for (let i = 0; i < records.length; i += 2) {
+      const perLead = records.slice(i, i + 2).map((r) => (failIds.has(r.id)
+        ? { recordId: r.id, newScore: null, status: 'Failed' }
+        : { recordId: r.id, newScore: 50 + ALL.indexOf(r.id) + scoreOffset, status: 'Scored' }));
+      await onChunkScored({ processed: perLead.length, tokensUsed: 100 * perLead.length, perLead });
+    }
+  },
+});
+
+const store = require('../services/rescoreJobStore');
+const runner = require('../services/rescoreJobRunner');
+
+const settled = async (jobId) => {
+  for (let i = 0; i < 200; i++) {
+    const job = await store.getJob(jobId);
+    if (job && job.status !== 'running') return job;
+    await new Promise((r) => setTimeout(r, 5));
+  }
+  throw new Error(`job ${jobId} never settled`);
+};
+const oldById = { recA: 40, recB: 60, recC: 80, recD: 20, recE: 90, recOutOfScope: 10 };
+const start = (ids, mode = 'preview') => runner.startJob({
+  clientId: CLIENT.clientId, mode, scope: 'sample', scopeParams: { size: ids.length },
+  records: ids.map(rec), oldById, nameById: {}, tier: 70, dependencies: { scoringProvider: 'fixture' },
+});
+// Claim as if the owning process stopped heart-beating long ago.
+const resumeLater = async () => {
+  const realNow = Date.now;
+  Date.now = () => realNow() + 60 * 60 * 1000;
+  try { return await runner.resumeInterruptedJobs({ scoringProvider: 'fixture' }); }
+  finally { Date.now = realNow; }
+};
+
+(async () => {
+  console.log('fresh job — reserve then settle:');
+  await check('whole scope is debited at start and a fully scored job refunds nothing', async () => {
+    CLIENT.consumed = 0;
+    const job = await start(ALL);
+    const done = await settled(job.id);
+    assert.strictEqual(done.status, 'done');
+    assert.strictEqual(done.creditsDebited, 5);
+    assert.strictEqual(done.creditsRefunded, 0);
+    assert.strictEqual(CLIENT.consumed, 5);
+    assert.strictEqual(done.tokensUsed, 500);
+    assert.strictEqual(done.result.scored, 5);
+  });
+  await check('only the scope\'s old scores are persisted on the job', async () => {
+    const [latest] = await store.listJobs(CLIENT.clientId);
+    assert.deepStrictEqual(Object.keys((await store.getJob(latest.id)).oldScores).sort(), ALL);
+  });
+  await check('a failed lead is refunded and reported, not charged', async () => {
+    CLIENT.consumed = 0;
+    failIds = new Set(['recC']);
+    const done = await settled((await start(ALL, 'commit')).id);
+    failIds = new Set();
+    assert.strictEqual(done.creditsRefunded, 1);
+    assert.strictEqual(CLIENT.consumed, 4);
+    assert.strictEqual(done.result.creditsRefunded, 1);
+    assert.strictEqual(done.result.rows.find((r) => r.recordId === 'recC').status, 'Failed');
+  });
+  await check('a job row that fails to insert gives the reservation straight back', async () => {
+    CLIENT.consumed = 0;
+    const realCreate = store.createJob;
+    store.createJob = async () => { throw new Error('connection terminated'); };
+    try {
+      await assert.rejects(start(ALL), /connection terminated/);
+    } finally {
+      store.createJob = realCreate;
+    }
+    assert.strictEqual(CLIENT.consumed, 0);
+  });
+  await check('per-lead rows carry old and new score', async () => {
+    const [latest] = await store.listJobs(CLIENT.clientId);
+    const rows = await store.getLeadResults(latest.id);
+    assert.strictEqual(rows.length, 5);
+    const a = rows.find((r) => r.recordId === 'recA');
+    assert.strictEqual(a.oldScore, 40);
+    assert.strictEqual(a.newScore, 50);
+  });
+
+  console.log('\npreview baseline:');
+  await check('a second preview over the same leads compares against the first', async () => {
+    await settled((await start(['recA', 'recB'])).id);
+    scoreOffset = 3;
+    const second = await settled((await start(['recA', 'recB'])).id);
+    scoreOffset = 0;
+    assert.strictEqual(second.result.comparedToPreviousTest, true);
+    assert.deepStrictEqual(second.result.summary.vsPreviousTest, { movedUp: 2, movedDown: 0, unchanged: 0 });
+  });
+  await check('a commit clears the baseline', async () => {
+    await settled((await start(['recA', 'recB'], 'commit')).id);
+    assert.strictEqual(await store.getBaseline(CLIENT.clientId), null);
+  });
+
+  console.log('\nrestart — resume an orphaned job:');
+  await check('a dead worker\'s job resumes at the first unscored lead, in order', async () => {
+    CLIENT.consumed = 5;
+    const job = await store.createJob({
+      id: 'rj_orphan', clientId: CLIENT.clientId, mode: 'commit', scope: 'months', total: 5,
+      recordIds: ALL, oldScores: oldById, names: {}, tier: 70, creditsDebited: 5, workerId: 'dead-host:1',
+    });
+    await store.saveLeadResults(job.id, [
+      { recordId: 'recA', oldScore: 40, newScore: 50, status: 'Scored' },
+      { recordId: 'recB', oldScore: 60, newScore: 51, status: 'Scored' },
+    ]);
+    await store.updateJob(job.id, { done: 2 });
+    scoredCalls.length = 0;
+    const ids = await resumeLater();
+    assert.deepStrictEqual(ids, ['rj_orphan']);
+    const done = await settled(job.id);
+    assert.deepStrictEqual(scoredCalls, [['recC', 'recD', 'recE']]);
+    assert.strictEqual(done.status, 'done');
+    assert.strictEqual(done.workerId, runner.WORKER_ID);
+    assert.strictEqual(done.result.scored, 5);
+    assert.strictEqual(CLIENT.consumed, 5);
+  });
+  await check('a job with a live heartbeat is not claimed', async () => {
+    await store.createJob({ id: 'rj_live', clientId: CLIENT.clientId, mode: 'preview', scope: 'sample', total: 1, recordIds: ['recA'], creditsDebited: 1 });
+    assert.deepStrictEqual(await runner.resumeInterruptedJobs(), []);
+    await store.updateJob('rj_live', { status: 'error' });
+  });
+  await check('the sweep claims a job that only goes stale after boot', async () => {
+    CLIENT.consumed = 2;
+    await store.createJob({ id: 'rj_redeploy', clientId: CLIENT.clientId, mode: 'preview', scope: 'sample', total: 2, recordIds: ['recA', 'recB'], creditsDebited: 2, workerId: 'old-deploy:1' });
+    const stop = runner.startResumeSweep({ scoringProvider: 'fixture' }, { intervalMs: 10 });
+    try {
+      await new Promise((r) => setTimeout(r, 30));
+      assert.strictEqual((await store.getJob('rj_redeploy')).workerId, 'old-deploy:1', 'fresh heartbeat: left alone');
+      const realNow = Date.now;
+      Date.now = () => realNow() + 60 * 60 * 1000;
+      try { await new Promise((r) => setTimeout(r, 30)); } finally { Date.now = realNow; }
+    } finally {
+      stop();
+    }
+    const done = await settled('rj_redeploy');
+    assert.deepStrictEqual([done.status, done.workerId, done.result.scored], ['done', runner.WORKER_ID, 2]);
+  });
+  await check('client lost Rescore access → interrupted, unscored leads refunded', async () => {
+    CLIENT.consumed = 5;
+    CLIENT.rescoreEnabled = false;
+    await store.createJob({ id: 'rj_gone', clientId: CLIENT.clientId, mode: 'commit', scope: 'months', total: 5, recordIds: ALL, creditsDebited: 5 });
+    await store.saveLeadResults('rj_gone', [{ recordId: 'recA', oldScore: 40, newScore: 50, status: 'Scored' }]);
+    scoredCalls.length = 0;
+    await resumeLater();
+    CLIENT.rescoreEnabled = true;
+    const job = await store.getJob('rj_gone');
+    assert.strictEqual(job.status, 'interrupted');
+    assert.strictEqual(job.creditsRefunded, 4);
+    assert.strictEqual(CLIENT.consumed, 1);
+    assert.deepStrictEqual(scoredCalls, []);
+  });
+
+  console.log('\nhistory:');
+  await check('listJobs is newest first and omits the bulky per-job maps', async () => {
+    const jobs = await store.listJobs(CLIENT.clientId, { limit: 3 });
+    assert.strictEqual(jobs.length, 3);
+    assert.strictEqual(jobs[0].id, 'rj_gone');
+    assert.ok(!('recordIds' in jobs[0]) && !('oldScores' in jobs[0]));
+  });
+
+  console.log('\nroutes:');
+  await check('run/status only answers for the calling client\'s own job', async () => {
+    stub('../config/geminiClient', { vertexAIClient: null, geminiModelId: 'fixture' });
+    const express = require('express');
+    const app = express();
+    require('../routes/rescoreRoutes')(app);
+    const server = app.listen(0);
+    const url = (clientId) => `http://127.0.0.1:${server.address().port}/api/rescore/run/status?jobId=rj_gone`;
+    try {
+      const own = await fetch(url(CLIENT.clientId), { headers: { 'x-client-id': CLIENT.clientId } });
+      assert.strictEqual(own.status, 200);
+      assert.strictEqual((await own.json()).status, 'interrupted');
+      const other = await fetch(url(OTHER_CLIENT.clientId), { headers: { 'x-client-id': OTHER_CLIENT.clientId } });
+      assert.strictEqual(other.status, 404);
+      assert.strictEqual((await fetch(url())).status, 400, 'no client, no status');
+    } finally {
+      server.close();
+    }
+  });
+
+  console.log(failures ? `\n❌ ${failures} test(s) failed` : '\n✅ all rescore-jobs tests passed');
+  process.exit(failures ? 1 : 0);
+})();
@@ -0,0 +1,210 @@
+/**
+ * Tests for versioned scoring rubrics (services/rubricVersionStore.js, attributeLoader's
+ * { rubricVersion } / client pin, and the rescore 'compare' mode in services/rescoreJobRunner.js).
+ *
+ * Covers: versions number 1, 2, 3… per client and an unchanged rubric is not re-snapshotted, while
+ * a preamble- or minQualify-only change is a new version ·
+ * snapshots are immutable copies · a pinned client loads its snapshot, 'live' ignores the pin, an
+ * explicit missing version throws while a dangling pin falls back to live · Spearman rank
+ * correlation (ties, constant side) · compare report tier crossings and largest movers · a compare
+ * job scores both passes under their versions, debits 2 credits per lead, writes nothing, and a
+ * resumed compare job only re-runs the missing pass.
+ * Runs on the stores' in-process fallbacks (no DATABASE_URL); Airtable and scoring are fakes.
+ *
+ * Run: node tests/rubric-versions.test.js
+ */
+const assert = require('assert');
+
+let failures = 0;
+const check = async (name, fn) => {
+  try { await fn(); console.log(`  ✓ ${name}`); }
+  catch (e) { failures++; console.error(`  ✗ ${name}\n    ${e.message}`); }
+};
+
+const stub = (relPath, exports) => {
+  const full = require.resolve(relPath);
+  require.cache[full] = { id: full, filename: full, loaded: true, exports };
+};
+
+delete process.env.DATABASE_URL;
+
+// --- fake master client (pin + credits) ------------------------------------------------------
+const CLIENT = { id: 'recClient', clientId: 'Test-Client', airtableBaseId: 'appTest', rescoreEnabled: true, consumed: 0, scoringRubricVersion: null };
+const creditStatus = () => ({ clientId: CLIENT.clientId, enabled: CLIENT.rescoreEnabled, granted: 100, consumed: CLIENT.consumed, available: 100 - CLIENT.consumed });
+stub('../services/clientService', {
+  getClientById: async (id) => (id === CLIENT.clientId ? CLIENT : null),
+  getClientBase: () => leadsBase,
+  getRescoreCreditsStatus: async (id) => (id === CLIENT.clientId ? creditStatus() : null),
+  debitRescoreCredits: async (id, n) => { CLIENT.consumed += n; return creditStatus(); },
+  refundRescoreCredits: async (id, n) => { CLIENT.consumed = Math.max(0, CLIENT.consumed - n); return creditStatus(); },
+});
+
+// --- fake live Scoring Attributes table ------------------------------------------------------
+let liveRows = [];
+const attrRow = (fields) => ({ get: (k) => fields[k] });
+const attributesBase = (table) => ({ select: () => ({ all: async () => (table === 'Scoring Attributes' ? liveRows : []) }) });
+const airtableClient = () => attributesBase;
+airtableClient.getClientBase = async () => attributesBase;
+stub('../config/airtableClient.js', airtableClient);
+
+const setLive = (maxA) => {
+  liveRows = [
+    attrRow({ 'Attribute Id': 'A', Category: 'Positive', Heading: 'Seniority', Active: true, 'Max Points': maxA, Instructions: 'Senior titles' }),
+    attrRow({ 'Attribute Id': 'N1', Category: 'Negative', Heading: 'Recruiter', Active: true, Penalty: 5, Instructions: 'Agency recruiter' }),
+  ];
+};
+
+// --- fake Leads table + scorer: the score depends on the rubric version it was asked for ------
+const ALL = ['recA', 'recB', 'recC', 'recD'];
+const rec = (id) => ({ id, get: () => null });
+const leadsBase = () => ({
+  select: ({ filterByFormula }) => ({ all: async () => ALL.filter((id) => filterByFormula.includes(`'${id}'`)).map(rec) }),
+});
+const SCORES = { 1: { recA: 40, recB: 60, recC: 75, recD: 90 }, 2: { recA: 72, recB: 55, recC: 65, recD: 95 } };
+const scoredCalls = [];
+let stopAfterFirstCall = false;
+stub('../batchScorer', {
+  scoreRecordsNow: async ({ records, rubricVersion, persist, onChunkScored }) => {
+    scoredCalls.push({ ids: records.map((r) => r.id), rubricVersion, persist });
+    if (stopAfterFirstCall && scoredCalls.length > 1) throw new Error('process died');
+    const perLead = records.map((r) => ({ recordId: r.id, newScore: SCORES[rubricVersion][r.id], status: 'Scored' }));
+    await onChunkScored({ processed: perLead.length, tokensUsed: 10 * perLead.length, perLead });
+    return { budgetPaused: null };
+  },
+});
+
+const versions = require('../services/rubricVersionStore');
+const { loadAttributes, snapshotLiveRubric } = require('../attributeLoader');
+const jobStore = require('../services/rescoreJobStore');
+const runner = require('../services/rescoreJobRunner');
+
+const settled = async (jobId) => {
+  for (let i = 0; i < 200; i++) {
+    const job = await jobStore.getJob(jobId);
+    if (job && job.status !== 'running') return job;
+    await new Promise((r) => setTimeout(r, 5));
+  }
+  throw new Error(`job ${jobId} never settled`);
+};
+
+(async () => {
+  versions.__setTestPool(null);
+  jobStore.__setTestPool(null);
+
+  console.log('rubricVersionStore:');
+  await check('versions number per client; an unchanged rubric is not re-snapshotted', async () => {
+    setLive(15);
+    const v1 = await snapshotLiveRubric(CLIENT.clientId, { author: 'coach@example.com', source: 'baseline' });
+    const again = await snapshotLiveRubric(CLIENT.clientId, { author: 'coach@example.com' });
+    setLive(25);
+    const v2 = await snapshotLiveRubric(CLIENT.clientId, { author: 'coach@example.com', source: 'attribute_edit' });
+    await versions.createVersion('Other-Client', { rubric: { positives: {}, negatives: {} } });
+    assert.deepStrictEqual([v1.version, v1.created, again.version, again.created, v2.version], [1, true, 1, false, 2]);
+    const list = await versions.listVersions(CLIENT.clientId);
+    assert.deepStrictEqual(list.map((v) => [v.version, v.source, v.positives, v.negatives]), [[2, 'attribute_edit', 1, 1], [1, 'baseline', 1, 1]]);
+    assert.ok(!('rubric' in list[0]));
+  });
+  await check('a preamble-only or Min To Qualify-only change is a new version', async () => {
+    const rubric = { preamble: 'Score for coaches.', positives: { A: { label: 'x', maxPoints: 10, minQualify: 0 } }, negatives: {} };
+    const v1 = await versions.createVersion('Preamble-Client', { rubric });
+    const same = await versions.createVersion('Preamble-Client', { rubric: JSON.parse(JSON.stringify(rubric)) });
+    const v2 = await versions.createVersion('Preamble-Client', { rubric: { ...rubric, preamble: 'Score for founders.' } });
+    const v3 = await versions.createVersion('Preamble-Client', {
+      rubric: { ...rubric, preamble: 'Score for founders.', positives: { A: { label: 'x', maxPoints: 10, minQualify: 5 } } } });
+    assert.deepStrictEqual([v1.version, same.created, v2.version, v2.created, v3.version], [1, false, 2, true, 3]);
+    assert.notStrictEqual(v1.rubricHash, v2.rubricHash);
+    assert.strictEqual((await versions.getVersion('Preamble-Client', 1)).rubric.preamble, 'Score for coaches.');
+  });
+  await check('a snapshot is a copy — later edits to the source object do not leak in', async () => {
+    const rubric = { preamble: 'p', positives: { A: { label: 'x', maxPoints: 1 } }, negatives: {} };
+    const v = await versions.createVersion('Copy-Client', { rubric });
+    rubric.positives.A.maxPoints = 99;
+    assert.strictEqual((await versions.getVersion('Copy-Client', v.version)).rubric.positives.A.maxPoints, 1);
+  });
+
+  console.log('\nloadAttributes:');
+  await check('an unpinned client scores with the live table', async () =>
+    assert.strictEqual((await loadAttributes(null, CLIENT.clientId)).positives.A.maxPoints, 25));
+  await check('a pinned client scores with its snapshot; \'live\' ignores the pin', async () => {
+    CLIENT.scoringRubricVersion = 1;
+    assert.strictEqual((await loadAttributes(null, CLIENT.clientId)).positives.A.maxPoints, 15);
+    assert.strictEqual((await loadAttributes(null, CLIENT.clientId, { rubricVersion: 'live' })).positives.A.maxPoints, 25);
+    CLIENT.scoringRubricVersion = null;
+  });
+  await check('an explicit version wins over the pin', async () => {
+    CLIENT.scoringRubricVersion = 1;
+    assert.strictEqual((await loadAttributes(null, CLIENT.clientId, { rubricVersion: 2 })).positives.A.maxPoints, 25);
+    CLIENT.scoringRubricVersion = null;
+  });
+  await check('a missing explicit version throws; a dangling pin falls back to live', async () => {
+    await assert.rejects(loadAttributes(null, CLIENT.clientId, { rubricVersion: 9 }), /version 9 not found/);
+    CLIENT.scoringRubricVersion = 9;
+    assert.strictEqual((await loadAttributes(null, CLIENT.clientId)).positives.A.maxPoints, 25);
+    CLIENT.scoringRubricVersion = null;
+  });
+
+  console.log('\ncompare report:');
+  await check('rank correlation: identical order 1, reversed -1, ties averaged, constant side null', () => {
+    assert.strictEqual(runner.rankCorrelation([[1, 10], [2, 20], [3, 30]]), 1);
+    assert.strictEqual(runner.rankCorrelation([[1, 30], [2, 20], [3, 10]]), -1);
+    assert.strictEqual(runner.rankCorrelation([[1, 10], [2, 10], [3, 30]]), 0.866);
+    assert.strictEqual(runner.rankCorrelation([[1, 5], [2, 5]]), null);
+    assert.strictEqual(runner.rankCorrelation([[1, 5]]), null);
+  });
+  await check('tier crossings and largest movers between A and B', () => {
+    const rows = Object.entries(SCORES[1]).flatMap(([id, a]) => [
+      { recordId: `A:${id}`, newScore: a, status: 'Scored' },
+      { recordId: `B:${id}`, newScore: SCORES[2][id], status: 'Scored' },
+    ]);
+    const r = runner.buildCompareReport(rows, { recordIds: ALL, oldById: {}, nameById: {}, tier: 70, versionA: 1, versionB: 2 });
+    assert.strictEqual(r.summary.compared, 4);
+    assert.strictEqual(r.summary.crossedIntoTopTier, 1);   // recA 40 → 72
+    assert.strictEqual(r.summary.droppedBelowTier, 1);     // recC 75 → 65
+    assert.strictEqual(r.summary.rankCorrelation, 0.4);
+    assert.deepStrictEqual(r.largestMovers.map((m) => [m.recordId, m.delta]), [['recA', 32], ['recC', -10], ['recB', -5], ['recD', 5]]);
+  });
+
+  console.log('\ncompare job:');
+  await check('both passes run under their versions, 2 credits per lead, nothing persisted', async () => {
+    CLIENT.consumed = 0;
+    scoredCalls.length = 0;
+    const job = await runner.startJob({
+      clientId: CLIENT.clientId, mode: 'compare', scope: 'sample', scopeParams: { size: 4, versionA: 1, versionB: 2 },
+      records: ALL.map(rec), oldById: {}, nameById: {}, tier: 70, dependencies: { scoringProvider: 'fixture' },
+    });
+    const done = await settled(job.id);
+    assert.strictEqual(done.status, 'done');
+    assert.strictEqual(done.total, 8);
+    assert.strictEqual(CLIENT.consumed, 8);
+    assert.strictEqual(done.creditsRefunded, 0);
+    assert.deepStrictEqual(scoredCalls.map((c) => [c.rubricVersion, c.persist]), [[1, false], [2, false]]);
+    assert.strictEqual(done.result.persisted, false);
+    assert.strictEqual(done.result.summary.rankCorrelation, 0.4);
+    assert.strictEqual(await jobStore.getBaseline(CLIENT.clientId), null);
+  });
+  await check('a compare job interrupted after pass A resumes with pass B only', async () => {
+    CLIENT.consumed = 0;
+    scoredCalls.length = 0;
+    stopAfterFirstCall = true;
+    const job = await runner.startJob({
+      clientId: CLIENT.clientId, mode: 'compare', scope: 'sample', scopeParams: { size: 4, versionA: 1, versionB: 2 },
+      records: ALL.map(rec), oldById: {}, nameById: {}, tier: 70, dependencies: {},
+    });
+    await settled(job.id);
+    stopAfterFirstCall = false;
+    // Put it back to 'running' as if the process had died instead of failing the job.
+    await jobStore.updateJob(job.id, { status: 'running', creditsRefunded: 0 });
+    CLIENT.consumed = 8;
+    scoredCalls.length = 0;
+    const realNow = Date.now;
+    Date.now = () => realNow() + 60 * 60 * 1000;
+    try { await runner.resumeInterruptedJobs({}); } finally { Date.now = realNow; }
+    const done = await settled(job.id);
+    assert.deepStrictEqual(scoredCalls.map((c) => [c.rubricVersion, c.ids.length]), [[2, 4]]);
+    assert.strictEqual(done.result.summary.compared, 4);
+    assert.strictEqual(CLIENT.consumed, 8);
+  });
+
+  console.log(failures ? `\n❌ ${failures} test(s) failed` : '\n✅ all rubric-versions tests passed');
+  process.exit(failures ? 1 : 0);
+})();
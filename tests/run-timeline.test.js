@@ -0,0 +1,167 @@
+/**
+ * Tests for the run timeline (services/runTimelineService.js + services/runEventStore.js), in-process mode.
+ *
+ * Covers: Progress Log lines parse into operation steps and errors · a run's stored events lay out
+ * per client and operation with durations, tokens and error counts · runs from before the event
+ * store fall back to the Progress Log, AEST clock times landing on the right UTC instants · the
+ * previous run is compared per run and per client · the runs list merges Job Tracking with event
+ * totals · JobTracking.appendToProgressLog records the same step as an event.
+ *
+ * Run: node tests/run-timeline.test.js
+ */
+const assert = require('assert');
+
+delete process.env.DATABASE_URL;
+
+// Airtable is stubbed: one Client Run Results record appendToProgressLog can find and update
+const crr = { id: 'recCRR00000000001', fields: { 'Progress Log': '' } };
+const airtablePath = require.resolve('../config/airtableClient');
+require.cache[airtablePath] = {
+  id: airtablePath, filename: airtablePath, loaded: true,
+  exports: {
+    getMasterClientsBase: () => () => ({
+      select: () => ({ firstPage: async () => [{ id: crr.id, get: (f) => crr.fields[f] }] }),
+      update: async ([{ fields }]) => { Object.assign(crr.fields, fields); return []; },
+    }),
+  },
+};
+
+const store = require('../services/runEventStore');
+const timeline = require('../services/runTimelineService');
+const JobTracking = require('../services/jobTracking');
+
+let failures = 0;
+const check = async (name, fn) => {
+  try { await fn(); console.log(`  ✓ ${name}`); }
+  catch (e) { failures++; console.error(`  ✗ ${name}\n    ${e.message}`); }
+};
+
+const RUN = '261019-000000';       // 00:00:00 UTC = 10:00:00 AEST
+const PREV = '261018-000000';
+
+const ev = (type, clientId, at, extra = {}) => ({ runId: RUN, clientId, type, at: `2026-10-19T${at}Z`, ...extra });
+
+async function seedRun() {
+  store.__setTestPool(null);
+  for (const e of [
+    { runId: RUN, type: 'run_started', at: '2026-10-19T00:00:00Z', data: { jobType: 'smart_resume', stream: 1 } },
+    ev('client_started', 'Guy-Wilson', '00:00:05'),
+    ev('operation_step', 'Guy-Wilson', '00:00:10', { operation: 'lead_scoring', phase: 'started', message: 'Started (20 leads to score)' }),
+    ev('operation_step', 'Guy-Wilson', '00:02:10', { operation: 'lead_scoring', phase: 'completed', message: 'Completed (19/20 successful, 120s, 48,000 tokens)', data: { tokens: 48000, durationSec: 120 } }),
+    ev('error', 'Guy-Wilson', '00:03:00', { operation: 'post_harvesting', phase: 'error', message: 'Error - Apify 502', data: { errorCount: 1 } }),
+    ev('client_completed', 'Guy-Wilson', '00:03:05'),
+    ev('client_started', 'Dean-Hobin', '00:03:10'),
+    ev('operation_step', 'Dean-Hobin', '00:05:10', { operation: 'post_scoring', phase: 'completed', message: 'Completed with 2 error(s)', data: { tokens: 9000, durationSec: 60, errorCount: 2 } }),
+    ev('metrics_snapshot', 'Dean-Hobin', '00:05:11', { data: { metrics: { postsScored: 14 } } }),
+    { runId: RUN, type: 'run_completed', at: '2026-10-19T00:05:20Z', data: { status: 'Completed' } },
+  ]) await store.recordEvent(e);
+}
+
+const noAirtable = {
+  loadClientRuns: async () => [],
+  getPreviousRunId: async () => null,
+};
+
+(async () => {
+  console.log('run timeline');
+
+  await check('Progress Log lines parse into operation steps and errors', async () => {
+    assert.deepStrictEqual(timeline.parseProgressMessage('[10:02:10] ✅ Lead Scoring: Completed (19/20 successful, 120s, 48,000 tokens)'), {
+      type: 'operation_step', operation: 'lead_scoring', phase: 'completed', clock: '10:02:10',
+      message: 'Completed (19/20 successful, 120s, 48,000 tokens)',
+      data: { tokens: 48000, durationSec: 120, succeeded: 19, processed: 20 },
+    });
+    assert.strictEqual(timeline.parseProgressMessage('[10:00:00] 🚀 Post Harvesting: Started').phase, 'started');
+    assert.strictEqual(timeline.parseProgressMessage('[10:00:00] ✅ Post Scoring: Skipped - no posts').phase, 'skipped');
+    assert.strictEqual(timeline.parseProgressMessage('[10:00:00] ⏸️ Post Scoring: Paused - budget reached').phase, 'stopped');
+    const err = timeline.parseProgressMessage('[10:00:00] ❌ Lead Scoring: 3 errors\n  • timeout\n  • 429');
+    assert.deepStrictEqual([err.type, err.data.errorCount, err.message], ['error', 3, '3 errors']);
+    assert.strictEqual(timeline.parseProgressMessage('[10:00:00] ⚠️ Lead Scoring: Completed with 2 error(s)').data.errorCount, 2);
+    assert.strictEqual(timeline.parseProgressMessage('just some text'), null);
+  });
+
+  await check('stored events lay out per client and operation', async () => {
+    await seedRun();
+    const t = await timeline.getRunTimeline(`${RUN}-Guy-Wilson`, { compare: false }, noAirtable);
+    assert.strictEqual(t.runId, RUN, 'a client run id resolves to its base run');
+    assert.deepStrictEqual([t.source, t.status, t.jobType, t.stream, t.durationMs], ['events', 'Completed', 'smart_resume', 1, 320000]);
+    assert.deepStrictEqual(t.totals, { clients: 2, operations: 3, tokens: 57000, errors: 3 });
+
+    const [guy, dean] = t.clients;
+    assert.deepStrictEqual([guy.clientId, guy.durationMs, guy.tokens, guy.errorCount], ['Guy-Wilson', 180000, 48000, 1]);
+    const scoring = guy.operations.find((o) => o.operation === 'lead_scoring');
+    assert.deepStrictEqual([scoring.status, scoring.durationMs, scoring.tokens], ['completed', 120000, 48000]);
+    assert.strictEqual(guy.operations.find((o) => o.operation === 'post_harvesting').errorCount, 1);
+
+    const posts = dean.operations[0];
+    assert.strictEqual(posts.startedAt, '2026-10-19T00:04:10.000Z', 'no start event: derived from durationSec');
+    assert.deepStrictEqual([dean.errorCount, dean.metrics], [2, { postsScored: 14 }]);
+    assert.strictEqual(await timeline.getRunTimeline('261001-000000', {}, noAirtable), null);
+    await assert.rejects(timeline.getRunTimeline('not-a-run', {}, noAirtable), /Invalid run id/);
+  });
+
+  await check('runs without events fall back to the Progress Log (AEST clock -> UTC)', async () => {
+    store.__setTestPool(null);
+    const log = [
+      `=== RUN: ${PREV}-Guy-Wilson ===`, '',
+      '[09:59:58] 🚀 Lead Scoring: Started (5 leads to score)',   // 23:59:58 UTC the day before
+      '[10:00:40] ✅ Lead Scoring: Completed (5/5 successful, 42s, 1,200 tokens)',
+      '[10:01:00] ❌ Post Harvesting: 2 errors',
+      '  • Apify 502',
+      '  • Apify 502',
+    ].join('\n');
+    const t = await timeline.getRunTimeline(PREV, { compare: false }, {
+      ...noAirtable,
+      loadClientRuns: async () => [{ clientId: 'Guy-Wilson', clientName: 'Guy Wilson', progressLog: log, metrics: { totalTokens: 1500 } }],
+    });
+    assert.strictEqual(t.source, 'progress_log');
+    const [guy] = t.clients;
+    assert.strictEqual(guy.clientName, 'Guy Wilson');
+    assert.strictEqual(guy.operations[0].startedAt, '2026-10-17T23:59:58.000Z');
+    assert.strictEqual(guy.operations[0].endedAt, '2026-10-18T00:00:40.000Z');
+    assert.deepStrictEqual([guy.tokens, guy.errorCount], [1200, 2]);
+    assert.strictEqual(guy.errors[0].message, '2 errors');
+  });
+
+  await check('the previous run is compared per run and per client', async () => {
+    await seedRun();
+    await store.recordEvent({ runId: PREV, clientId: 'Guy-Wilson', type: 'operation_step', operation: 'lead_scoring', phase: 'started', at: '2026-10-18T00:00:00Z' });
+    await store.recordEvent({ runId: PREV, clientId: 'Guy-Wilson', type: 'operation_step', operation: 'lead_scoring', phase: 'completed', at: '2026-10-18T00:04:00Z', data: { tokens: 50000 } });
+    const t = await timeline.getRunTimeline(RUN, {}, { ...noAirtable, getPreviousRunId: async (id) => (id === RUN ? PREV : null) });
+    assert.strictEqual(t.previous.runId, PREV);
+    assert.deepStrictEqual(t.previous.deltas, { durationMs: 80000, tokens: 7000, errors: 3 });
+    const [guy, dean] = t.previous.clients;
+    assert.deepStrictEqual(guy.deltas, { durationMs: -60000, tokens: -2000, errors: 1 });
+    assert.deepStrictEqual(dean, { clientId: 'Dean-Hobin', inPreviousRun: false });
+  });
+
+  await check('runs list merges Job Tracking rows with event totals, newest first', async () => {
+    await seedRun();
+    const runs = await timeline.listRuns({ since: '2026-10-01' }, {
+      listJobRuns: async () => [
+        { runId: RUN, status: 'Completed', startedAt: '2026-10-19T00:00:00.000Z', endedAt: '2026-10-19T00:05:20.000Z', stream: 1 },
+        { runId: PREV, status: 'Completed', startedAt: '2026-10-18T00:00:00.000Z', endedAt: null, stream: 1 },
+      ],
+    });
+    assert.deepStrictEqual(runs.map((r) => [r.runId, r.clients, r.tokens, r.errors, r.hasEvents]), [
+      [RUN, 2, 57000, 3, true],
+      [PREV, null, 0, null, false],
+    ]);
+    const mine = await store.summarizeRuns({ clientId: 'Dean-Hobin' });
+    assert.deepStrictEqual(mine.map((s) => [s.runId, s.clients, s.tokens]), [[RUN, 1, 9000]]);
+  });
+
+  await check('appendToProgressLog records the step as a run event', async () => {
+    store.__setTestPool(null);
+    const message = `[10:00:00] 🚀 Post Scoring: Started`;
+    assert.strictEqual(await JobTracking.appendToProgressLog(`${RUN}-Guy-Wilson`, 'Guy-Wilson', message), true);
+    assert.match(crr.fields['Progress Log'], /🚀 Post Scoring: Started/);
+    await new Promise((r) => setImmediate(r));
+    const [event] = await store.listRunEvents(RUN);
+    assert.deepStrictEqual([event.clientId, event.type, event.operation, event.phase], ['Guy-Wilson', 'operation_step', 'post_scoring', 'started']);
+  });
+
+  if (failures) { console.error(`\n❌ ${failures} test(s) failed`); process.exit(1); }
+  console.log('\n✅ all 6 tests passed');
+  process.exit(0);
+})();
@@ -0,0 +1,122 @@
+/**
+ * Tests for the lead score explanation / audit trail (scoring.js explainScore, rubricHash,
+ * compareExplanations + services/scoreExplanationStore.js).
+ *
+ * Covers: the explanation's totals are exactly computeFinalScore's · bonus attributes carry their
+ * 0.25 weight · auto-awarded "I" (contact readiness) · reasons are trimmed to a snippet · the
+ * rubric hash ignores attribute order but moves on any re-weighting · what moved between two
+ * scorings (rescored / added / reweighted) · history is newest first and per client.
+ * Runs on the store's in-process fallback (no DATABASE_URL).
+ *
+ * Run: node tests/score-explanation.test.js
+ */
+const assert = require('assert');
+
+let failures = 0;
+const check = async (name, fn) => {
+  try { await fn(); console.log(`  ✓ ${name}`); }
+  catch (e) { failures++; console.error(`  ✗ ${name}\n    ${e.message}`); }
+};
+
+delete process.env.DATABASE_URL;
+
+const { computeFinalScore, explainScore, rubricHash, compareExplanations } = require('../scoring');
+const store = require('../services/scoreExplanationStore');
+
+const POSITIVES = {
+  A: { label: 'Seniority', maxPoints: 15, bonusPoints: false, instructions: 'Senior titles' },
+  B: { label: 'Industry fit', maxPoints: 10, bonusPoints: false, instructions: 'Target industries' },
+  I: { label: 'Contact readiness', maxPoints: 4, bonusPoints: true, instructions: 'Open to chat' },
+};
+const NEGATIVES = { N1: { label: 'Recruiter', penalty: -5, disqualifying: false, instructions: 'Agency recruiter' } };
+
+const scored = (overrides = {}) => explainScore({
+  positiveScores: { A: 12, B: 4 },
+  positivesDict: POSITIVES,
+  negativeScores: { N1: { score: -5, reason: 'Works at a recruitment agency' } },
+  negativesDict: NEGATIVES,
+  reasoning: { A: 'Head of Partnerships', B: 'Adjacent industry' },
+  ...overrides,
+});
+
+(async () => {
+  console.log('explainScore:');
+  await check('totals are exactly computeFinalScore\'s', () => {
+    const e = scored();
+    const f = computeFinalScore({ A: 12, B: 4 }, POSITIVES, { N1: { score: -5 } }, NEGATIVES, false, []);
+    assert.strictEqual(e.percentage, f.percentage);
+    assert.strictEqual(e.rawScore, 11);
+    assert.strictEqual(e.denominator, 26);
+  });
+  await check('one row per rubric attribute, with points vs max and the model\'s reason', () => {
+    const e = scored();
+    assert.deepStrictEqual(e.attributes.map((a) => [a.id, a.kind, a.points, a.maxPoints]),
+      [['A', 'positive', 12, 15], ['B', 'positive', 4, 10], ['I', 'positive', 0, 4], ['N1', 'negative', -5, -5]]);
+    assert.strictEqual(e.attributes.find((a) => a.id === 'N1').reason, 'Works at a recruitment agency');
+  });
+  await check('bonus attributes carry their 0.25 weight', () => {
+    const i = scored().attributes.find((a) => a.id === 'I');
+    assert.strictEqual(i.bonus, true);
+    assert.strictEqual(i.weight, 0.25);
+    assert.strictEqual(i.weightedMax, 1);
+  });
+  await check('contact readiness auto-awards I and says so', () => {
+    const e = scored({ contactReady: true });
+    const i = e.attributes.find((a) => a.id === 'I');
+    assert.strictEqual(i.points, 4);
+    assert.strictEqual(i.autoAwarded, true);
+    assert.strictEqual(e.rawScore, 15);
+  });
+  await check('the caller\'s scores are not mutated by the auto-award', () => {
+    const positiveScores = { A: 1 };
+    explainScore({ positiveScores, positivesDict: POSITIVES, contactReady: true });
+    assert.deepStrictEqual(positiveScores, { A: 1 });
+  });
+  await check('long reasons are trimmed to a snippet; unscored attributes are flagged', () => {
+    const e = scored({ reasoning: { A: 'word '.repeat(200) }, unscored: ['B'] });
+    const a = e.attributes.find((x) => x.id === 'A');
+    assert.ok(a.reason.length <= 280 && a.reason.endsWith('…'));
+    assert.strictEqual(e.attributes.find((x) => x.id === 'B').unscored, true);
+  });
+
+  console.log('\nrubricHash:');
+  await check('same rubric in a different key order → same hash', () => {
+    const reordered = { I: POSITIVES.I, B: POSITIVES.B, A: POSITIVES.A };
+    assert.strictEqual(rubricHash(reordered, NEGATIVES), rubricHash(POSITIVES, NEGATIVES));
+  });
+  await check('re-weighting one attribute → different hash', () => {
+    const heavier = { ...POSITIVES, B: { ...POSITIVES.B, maxPoints: 20 } };
+    assert.notStrictEqual(rubricHash(heavier, NEGATIVES), rubricHash(POSITIVES, NEGATIVES));
+  });
+
+  console.log('\ncompareExplanations:');
+  await check('same rubric, one attribute rescored', () => {
+    const d = compareExplanations(scored(), scored({ positiveScores: { A: 15, B: 4 } }));
+    assert.strictEqual(d.rubricChanged, false);
+    assert.ok(d.percentageDelta > 0);
+    assert.deepStrictEqual(d.attributes.map((a) => [a.id, a.from, a.to, a.change]), [['A', 12, 15, 'rescored']]);
+  });
+  await check('a rubric change shows added and reweighted attributes', () => {
+    const newRubric = { ...POSITIVES, B: { ...POSITIVES.B, maxPoints: 20 }, C: { label: 'Location', maxPoints: 5 } };
+    const d = compareExplanations(scored(), scored({ positivesDict: newRubric, positiveScores: { A: 12, B: 4, C: 5 } }));
+    assert.strictEqual(d.rubricChanged, true);
+    assert.deepStrictEqual(d.attributes.map((a) => [a.id, a.change]), [['B', 'reweighted'], ['C', 'added']]);
+  });
+  await check('nothing to compare with a single scoring', () => assert.strictEqual(compareExplanations(null, scored()), null));
+
+  console.log('\nstore:');
+  await check('history is newest first and scoped to the client', async () => {
+    store.__setTestPool(null);
+    await store.saveExplanations([{ clientId: 'Client-A', leadId: 'recL1', source: 'batch', explanation: scored() }]);
+    await store.saveExplanations([{ clientId: 'Client-A', leadId: 'recL1', source: 'rescore', explanation: scored({ positiveScores: { A: 15 } }) }]);
+    await store.saveExplanations([{ clientId: 'Client-B', leadId: 'recL1', explanation: scored() }]);
+    const rows = await store.listExplanations('Client-A', 'recL1');
+    assert.deepStrictEqual(rows.map((r) => r.source), ['rescore', 'batch']);
+    assert.strictEqual(rows[0].attributes.length, 4);
+  });
+  await check('rows without a lead or an explanation are skipped', async () =>
+    assert.strictEqual(await store.saveExplanations([{ clientId: 'Client-A', explanation: scored() }, { clientId: 'Client-A', leadId: 'recL2' }]), 0));
+
+  console.log(failures ? `\n❌ ${failures} test(s) failed` : '\n✅ all score-explanation tests passed');
+  process.exit(failures ? 1 : 0);
+})();
@@ -0,0 +1,210 @@
+/**
+ * Tests for the scoring provider seam (services/scoringProvider.js) and its use in batchScorer.
+ *
+ * Covers: provider selection (client field > env > gemini) · failover chain parsing · the
+ * deterministic fixture (same lead → same scores, rubric read back out of the real prompt) ·
+ * the whole lead-scoring pipeline run() → fetchLeads → scoreChunk → computeFinalScore → Airtable
+ * write on the fixture provider, against injected fakes — no Airtable, no model, no network.
+ * Persisted scores leave a matching score explanation (services/scoreExplanationStore.js), and a
+ * single-lead score carries the provider that answered and the same prompt hash.
+ * Also: a failing primary fails over to the next provider in the chain. ⚠ Synthetic leads only.
+ *
+ * Run: node tests/scoring-provider.test.js
+ */
+const assert = require('assert');
+
+let failures = 0;
+const check = async (name, fn) => {
+  try { await fn(); console.log(`  ✓ ${name}`); }
+  catch (e) { failures++; console.error(`  ✗ ${name}\n    ${e.message}`); }
+};
+
+// ---------------------------------------------------------------------------
+// Stub every collaborator that would touch Airtable / the network BEFORE batchScorer loads.
+// ---------------------------------------------------------------------------
+const stub = (relPath, exports) => {
+  const full = require.resolve(relPath);
+  require.cache[full] = { id: full, filename: full, loaded: true, exports };
+};
+
+delete process.env.DATABASE_URL; // score explanations use the store's in-process fallback
+
+const POSITIVES = {
+  A: { label: 'Seniority', instructions: 'x', maxPoints: 15, minQualify: 0, bonusPoints: false },
+  B: { label: 'Industry fit', instructions: 'x', maxPoints: 10, minQualify: 0, bonusPoints: false },
+};
+const NEGATIVES = { N1: { label: 'Recruiter', instructions: 'x', penalty: -5, disqualifying: false } };
+
+let CLIENT = { clientId: 'Test-Client', clientName: 'Test Client', status: 'Active', airtableBaseId: 'appTest' };
+const writes = [];
+const leadRows = [];
+const fakeRecord = (id, profile) => ({
+  id,
+  fields: { 'Scoring Status': 'To Be Scored', 'Profile Full JSON': JSON.stringify(profile) },
+  get(f) { return this.fields[f]; },
+});
+const fakeBase = (table) => ({
+  select: (opts = {}) => ({
+    all: async () => leadRows.slice(0, opts.maxRecords || leadRows.length),
+    eachPage: async (fn) => { await fn(leadRows.slice(0, opts.maxRecords || leadRows.length), () => {}); },
+  }),
+  update: async (rows) => { writes.push(...rows.map((r) => ({ table, ...r }))); return rows; },
+});
+
+stub('../services/clientService', {
+  getClientById: async (id) => (id === CLIENT.clientId ? CLIENT : null),
+  validateClient: async (id) => id === CLIENT.clientId,
+  getAllActiveClients: async () => [CLIENT],
+});
+stub('../config/airtableClient', { getClientBase: async () => fakeBase });
+stub('../attributeLoader', { loadAttributes: async () => ({ preamble: '', positives: POSITIVES, negatives: NEGATIVES }) });
+stub('../services/leadService', { trackLeadProcessingMetrics: async () => {} });
+stub('../services/airtableService', {});
+stub('../services/runIdSystem', {});
+stub('../services/runRecordAdapterSimple', { checkRunRecordExists: async () => false });
+stub('../services/jobTracking', { appendToProgressLog: async () => {}, getAESTTime: () => '00:00', formatErrors: () => '' });
+stub('../utils/appHelpers.js', { alertAdmin: async () => {}, isMissingCritical: (p) => !p.headline });
+stub('../services/costGovernanceService.js', {
+  costGovernanceService: { checkBudget: async () => ({ allowed: true, level: 'ok' }), recordAiUsage: async () => null },
+  FEATURES: { LEAD_SCORING: 'lead_scoring', RESCORE: 'rescore' },
+});
+
+const provider = require('../services/scoringProvider');
+const scoreExplanationStore = require('../services/scoreExplanationStore');
+const batchScorer = require('../batchScorer');
+const { buildPrompt } = require('../promptBuilder');
+
+(async () => {
+  console.log('activeScoringProvider() / scoringProviderChain() — selection:');
+  await check('blank client, no env → gemini', () => {
+    delete process.env.SCORING_PROVIDER;
+    assert.strictEqual(provider.activeScoringProvider({}), 'gemini');
+  });
+  await check('client field wins over env', () => {
+    process.env.SCORING_PROVIDER = 'openai';
+    assert.strictEqual(provider.activeScoringProvider({ scoringProvider: 'Anthropic' }), 'anthropic');
+    delete process.env.SCORING_PROVIDER;
+  });
+  await check('unknown provider name falls back to gemini', () =>
+    assert.strictEqual(provider.activeScoringProvider({ scoringProvider: 'llama' }), 'gemini'));
+  await check('chain = primary + fallbacks, de-duplicated, unknown dropped', () =>
+    assert.deepStrictEqual(
+      provider.scoringProviderChain({ scoringProvider: 'gemini', scoringProviderFallback: 'openai, gemini, bogus,anthropic' }),
+      ['gemini', 'openai', 'anthropic']));
+  await check('override forces the primary', () =>
+    assert.deepStrictEqual(provider.scoringProviderChain({ scoringProvider: 'gemini' }, 'fixture'), ['fixture']));
+  await check('gemini is unconfigured without injected client/model', () => {
+    assert.strictEqual(provider.isProviderConfigured('gemini', {}), false);
+    assert.strictEqual(provider.isProviderConfigured('fixture', {}), true);
+  });
+
+  console.log('\nfixture provider — deterministic stand-in:');
+  const lead = { headline: 'Head of Partnerships at Acme', about: '', experience: [] };
+  await check('same lead → identical scores', () =>
+    assert.deepStrictEqual(provider.fixtureScoreLeads([lead], POSITIVES, NEGATIVES), provider.fixtureScoreLeads([lead], POSITIVES, NEGATIVES)));
+  await check('positives stay within 0..maxPoints, negatives within penalty..0', () => {
+    const [out] = provider.fixtureScoreLeads([lead], POSITIVES, NEGATIVES);
+    assert.ok(out.positive_scores.A >= 0 && out.positive_scores.A <= 15);
+    assert.ok(out.positive_scores.B >= 0 && out.positive_scores.B <= 10);
+    assert.ok([0, -5].includes(out.negative_scores.N1));
+  });
+  await check('no headline → everything unscored', () => {
+    const [out] = provider.fixtureScoreLeads([{ headline: '' }], POSITIVES, NEGATIVES);
+    assert.deepStrictEqual(out.unscored_attributes.sort(), ['A', 'B', 'N1']);
+    assert.deepStrictEqual(out.positive_scores, {});
+  });
+  await check('reads the rubric back out of the real system prompt', async () => {
+    const prompt = await buildPrompt(null, CLIENT.clientId);
+    assert.deepStrictEqual(Object.keys(provider.extractDictionary(prompt, 'POSITIVE ATTRIBUTES')), ['A', 'B']);
+    assert.deepStrictEqual(Object.keys(provider.extractDictionary(prompt, 'NEGATIVE ATTRIBUTES')), ['N1']);
+  });
+
+  console.log('\nbatchScorer end to end on the fixture provider:');
+  leadRows.push(
+    fakeRecord('recLead1', { headline: 'Founder, Example Pty Ltd', experience: [{ company: 'Example', title: 'Founder' }] }),
+    fakeRecord('recLead2', { headline: 'Operations Manager', experience: [{ company: 'Sample Co', title: 'Ops' }] }),
+    fakeRecord('recLead3', { headline: '', experience: [] }), // missing critical data → skipped
+  );
+  let response = null;
+  const res = { status: () => res, json: (d) => { response = d; return res; }, headersSent: false };
+  await batchScorer.run({ query: { clientId: CLIENT.clientId, limit: 10 } }, res, { scoringProvider: 'fixture', isStandalone: true });
+
+  await check('run() reports both scorable leads scored', () => {
+    assert.ok(response && response.ok, `response: ${JSON.stringify(response)}`);
+    assert.strictEqual(response.summary.totalSuccessful, 2);
+  });
+  await check('scores were written back to Leads as Scored with a percentage', () => {
+    const scored = writes.filter((w) => w.fields['Scoring Status'] === 'Scored');
+    assert.deepStrictEqual(scored.map((w) => w.id).sort(), ['recLead1', 'recLead2']);
+    for (const w of scored) {
+      assert.strictEqual(typeof w.fields['AI Score'], 'number');
+      assert.ok(w.fields['AI Score'] >= -20 && w.fields['AI Score'] <= 100);
+      assert.ok(String(w.fields['AI Profile Assessment']).startsWith('Fixture assessment'));
+    }
+  });
+  await check('the lead with no headline was skipped, not scored', () =>
+    assert.ok(writes.some((w) => w.id === 'recLead3' && /^Skipped/.test(w.fields['Scoring Status']))));
+  await check('every persisted score has a matching stored explanation', async () => {
+    for (const w of writes.filter((x) => x.fields['Scoring Status'] === 'Scored')) {
+      const [latest] = await scoreExplanationStore.listExplanations(CLIENT.clientId, w.id);
+      assert.ok(latest, `no explanation for ${w.id}`);
+      assert.strictEqual(latest.percentage, w.fields['AI Score']);
+      assert.strictEqual(latest.provider, 'fixture');
+      assert.deepStrictEqual(latest.attributes.map((a) => a.id), ['A', 'B', 'N1']);
+      assert.ok(latest.rubricHash && latest.promptHash);
+    }
+  });
+  await check('re-scoring in preview mode reproduces the persisted scores exactly', async () => {
+    const first = Object.fromEntries(writes.filter((w) => w.fields['Scoring Status'] === 'Scored').map((w) => [w.id, w.fields['AI Score']]));
+    const out = await batchScorer.scoreRecordsNow({
+      records: leadRows.slice(0, 2), clientId: CLIENT.clientId, clientBase: fakeBase,
+      dependencies: { scoringProvider: 'fixture' }, persist: false,
+    });
+    assert.strictEqual(out.persisted, false);
+    for (const row of out.perLead) assert.strictEqual(row.newScore, first[row.recordId]);
+    assert.strictEqual((await scoreExplanationStore.listExplanations(CLIENT.clientId, 'recLead1')).length, 1, 'preview stored an explanation');
+  });
+
+  await check('a single-lead score reports the provider that answered and the batch path\'s prompt hash', async () => {
+    const { scoreLeadNow } = require('../singleScorer');
+    const { promptHash } = require('../scoring');
+    const out = await scoreLeadNow({ headline: 'Founder, Example Pty Ltd' }, { clientId: CLIENT.clientId, scoringProvider: 'fixture' });
+    assert.strictEqual(out._scoredBy.provider, 'fixture');
+    assert.strictEqual(out._promptHash, promptHash(await buildPrompt(null, CLIENT.clientId)));
+    const [batchRow] = await scoreExplanationStore.listExplanations(CLIENT.clientId, 'recLead1');
+    assert.strictEqual(out._promptHash, batchRow.promptHash, 'comparable with the batch explanation');
+  });
+
+  console.log('\nfailover / isolation:');
+  await check('a failing primary fails over to the next provider in the chain', async () => {
+    // openai with no key is filtered out as unconfigured; gemini is configured but throws.
+    CLIENT = { ...CLIENT, scoringProvider: 'gemini', scoringProviderFallback: 'fixture' };
+    const brokenVertex = { getGenerativeModel: () => ({ generateContent: async () => { throw new Error('invalid argument (400)'); } }) };
+    const out = await batchScorer.scoreRecordsNow({
+      records: leadRows.slice(0, 1), clientId: CLIENT.clientId, clientBase: fakeBase,
+      dependencies: { vertexAIClient: brokenVertex, geminiModelId: 'gemini-test' }, persist: false,
+    });
+    assert.strictEqual(out.successful, 1);
+    assert.strictEqual(out.perLead[0].status, 'Scored');
+  });
+
+  await check('a forced provider stays with its own call when two runs overlap', async () => {
+    CLIENT = { ...CLIENT, scoringProvider: 'gemini', scoringProviderFallback: null };
+    const brokenVertex = { getGenerativeModel: () => ({ generateContent: async () => { throw new Error('invalid argument (400)'); } }) };
+    const [forced, live] = await Promise.all([
+      batchScorer.scoreRecordsNow({
+        records: leadRows.slice(0, 1), clientId: CLIENT.clientId, clientBase: fakeBase,
+        dependencies: { scoringProvider: 'fixture' }, persist: false,
+      }),
+      batchScorer.scoreRecordsNow({
+        records: leadRows.slice(1, 2), clientId: CLIENT.clientId, clientBase: fakeBase,
+        dependencies: { vertexAIClient: brokenVertex, geminiModelId: 'gemini-test' }, persist: false,
+      }),
+    ]);
+    assert.strictEqual(forced.successful, 1, 'the fixture call scored on the fixture');
+    assert.strictEqual(live.successful, 0, 'the other call used the client\'s own (broken) provider, not the fixture');
+  });
+
+  console.log(failures ? `\n❌ ${failures} test(s) failed` : '\n✅ all scoring-provider tests passed');
+  process.exit(failures ? 1 : 0);
+})();
@@ -0,0 +1,180 @@
+/**
+ * Tests for the smart resume job queue (services/smartResumeJobQueue.js), in-process mode.
+ *
+ * Covers: a run queues one job per client × operation in order · a second enqueue while jobs are
+ * unfinished resumes that batch and queues only the client × operations it doesn't cover · a
+ * retried dead letter runs alongside the next pass's own clients · per-client concurrency limit ·
+ * failures back off exponentially then dead-letter, and a dead letter can be retried · an expired
+ * visibility timeout hands the job to another worker and fences out the old one · drain() runs
+ * the queue to empty, waiting out short backoffs and leaving long ones for the next pass.
+ *
+ * Run: node tests/smart-resume-queue.test.js
+ */
+const assert = require('assert');
+
+delete process.env.DATABASE_URL;
+process.env.SMART_RESUME_JOB_MAX_ATTEMPTS = '3';
+process.env.SMART_RESUME_JOB_BACKOFF_MS = '1000';
+process.env.SMART_RESUME_JOB_BACKOFF_MAX_MS = '3000';
+process.env.SMART_RESUME_JOB_VISIBILITY_MS = '60000';
+
+const queue = require('../services/smartResumeJobQueue');
+
+let failures = 0;
+const check = async (name, fn) => {
+  try { await fn(); console.log(`  ✓ ${name}`); }
+  catch (e) { failures++; console.error(`  ✗ ${name}\n    ${e.message}`); }
+};
+
+let now = Date.parse('2026-10-19T10:00:00Z');
+queue.__setClock(() => now);
+
+const OPS = ['lead_scoring', 'post_harvesting', 'post_scoring'];
+const CLIENTS = [
+  { clientId: 'guy-wilson', clientName: 'Guy Wilson', operations: OPS },
+  { clientId: 'dean-hobin', clientName: 'Dean Hobin', operations: OPS },
+];
+
+const reset = () => { queue.__setTestPool(null); now = Date.parse('2026-10-19T10:00:00Z'); };
+
+(async () => {
+  console.log('smart resume job queue');
+
+  await check('a run queues one job per client × operation, claimed in run order', async () => {
+    reset();
+    const batch = await queue.enqueueRun({ runId: 'run-1', stream: 1, clients: CLIENTS });
+    assert.strictEqual(batch.resumed, false);
+    assert.deepStrictEqual(batch.jobs.map((j) => `${j.clientId}/${j.operation}`), [
+      'guy-wilson/lead_scoring', 'guy-wilson/post_harvesting', 'guy-wilson/post_scoring',
+      'dean-hobin/lead_scoring', 'dean-hobin/post_harvesting', 'dean-hobin/post_scoring',
+    ]);
+    assert.ok(batch.jobs.every((j) => j.status === 'pending' && j.maxAttempts === 3));
+    await assert.rejects(queue.enqueueRun({ runId: 'run-x', stream: 2, clients: [{ clientId: 'a', operations: ['bogus'] }] }), /Unknown smart resume operation/);
+  });
+
+  await check('unfinished jobs are resumed by the next run, which queues only what they don\'t cover', async () => {
+    reset();
+    await queue.enqueueRun({ runId: 'run-1', stream: 1, clients: CLIENTS });
+    const a = await queue.claimNext({ stream: 1, workerId: 'w1' });
+    await queue.completeJob(a, { jobId: 'job-a' });
+    const next = await queue.enqueueRun({ runId: 'run-2', stream: 1, clients: CLIENTS });
+    assert.deepStrictEqual([next.resumed, next.resumedRunIds, next.runId], [true, ['run-1'], 'run-2']);
+    assert.strictEqual(next.jobs.filter((j) => j.runId === 'run-1' && j.status === 'pending').length, 5);
+    assert.deepStrictEqual((await queue.listRunJobs('run-2')).map((j) => `${j.clientId}/${j.operation}`), ['guy-wilson/lead_scoring'],
+      'the one job run-1 already dispatched is queued again; the 5 unfinished are not doubled');
+    const other = await queue.enqueueRun({ runId: 'run-3', stream: 2, clients: CLIENTS.slice(0, 1) });
+    assert.strictEqual(other.resumed, false, 'another stream has its own batches');
+  });
+
+  await check('a retried dead letter runs alongside the next pass\'s own clients', async () => {
+    reset();
+    await queue.enqueueRun({ runId: 'run-1', stream: 1, clients: [{ clientId: 'guy-wilson', operations: ['lead_scoring'] }], maxAttempts: 1 });
+    const dead = await queue.failJob(await queue.claimNext({ stream: 1, workerId: 'w1' }), 'HTTP 500');
+    await queue.retryDeadLetter(dead.id);
+    const pass = await queue.enqueueRun({ runId: 'run-2', stream: 1, clients: CLIENTS.slice(1) });
+    assert.deepStrictEqual(pass.resumedRunIds, ['run-1']);
+    const handled = [];
+    const stats = await queue.drain({ stream: 1, workerId: 'w2', handler: async (job) => { handled.push(`${job.runId}:${job.clientId}/${job.operation}`); } });
+    assert.strictEqual(stats.dispatched, 4);
+    assert.deepStrictEqual(handled.sort(), [
+      'run-1:guy-wilson/lead_scoring',
+      'run-2:dean-hobin/lead_scoring', 'run-2:dean-hobin/post_harvesting', 'run-2:dean-hobin/post_scoring',
+    ]);
+  });
+
+  await check('per-client limit: one dispatching job per client by default', async () => {
+    reset();
+    await queue.enqueueRun({ runId: 'run-1', stream: 1, clients: CLIENTS });
+    const first = await queue.claimNext({ stream: 1, workerId: 'w1' });
+    const second = await queue.claimNext({ stream: 1, workerId: 'w2' });
+    assert.deepStrictEqual([first.clientId, second.clientId], ['guy-wilson', 'dean-hobin']);
+    assert.strictEqual(await queue.claimNext({ stream: 1, workerId: 'w3' }), null);
+    await queue.completeJob(first);
+    assert.strictEqual((await queue.claimNext({ stream: 1, workerId: 'w3' })).operation, 'post_harvesting');
+    const wide = await queue.claimNext({ stream: 1, workerId: 'w4', perClientLimit: 2 });
+    assert.deepStrictEqual([wide.clientId, wide.operation], ['guy-wilson', 'post_scoring'], 'a higher limit lets a second job run');
+  });
+
+  await check('failures back off exponentially, then dead-letter; a dead letter can be retried', async () => {
+    reset();
+    await queue.enqueueRun({ runId: 'run-1', stream: 1, clients: [{ clientId: 'guy-wilson', operations: ['lead_scoring'] }] });
+    let job = await queue.claimNext({ stream: 1, workerId: 'w1' });
+    let failed = await queue.failJob(job, new Error('HTTP 502'));
+    assert.strictEqual(failed.status, 'pending');
+    assert.strictEqual(Date.parse(failed.availableAt) - now, 1000);
+    assert.strictEqual(await queue.claimNext({ stream: 1, workerId: 'w1' }), null, 'not claimable while backing off');
+
+    now += 1000;
+    job = await queue.claimNext({ stream: 1, workerId: 'w1' });
+    failed = await queue.failJob(job, 'HTTP 502');
+    assert.strictEqual(Date.parse(failed.availableAt) - now, 2000);
+
+    now += 2000;
+    job = await queue.claimNext({ stream: 1, workerId: 'w1' });
+    assert.strictEqual(job.attempts, 3);
+    failed = await queue.failJob(job, new Error('HTTP 500'));
+    assert.strictEqual(failed.status, 'dead');
+    assert.deepStrictEqual(await queue.getQueueStats({ stream: 1 }), { pending: 0, dispatching: 0, dispatched: 0, dead: 1 });
+    assert.strictEqual((await queue.listDeadLetters())[0].lastError, 'HTTP 500');
+    assert.deepStrictEqual([queue.backoffMs(1), queue.backoffMs(2), queue.backoffMs(5)], [1000, 2000, 3000]);
+
+    const retried = await queue.retryDeadLetter(job.id);
+    assert.deepStrictEqual([retried.status, retried.attempts], ['pending', 0]);
+    assert.strictEqual(await queue.retryDeadLetter(job.id), null, 'only dead jobs can be retried');
+  });
+
+  await check('expired visibility timeout hands the job over and fences out the old worker', async () => {
+    reset();
+    await queue.enqueueRun({ runId: 'run-1', stream: 1, clients: [{ clientId: 'guy-wilson', operations: ['post_scoring'] }] });
+    const stale = await queue.claimNext({ stream: 1, workerId: 'crashed' });
+    now += 59000;
+    assert.strictEqual(await queue.claimNext({ stream: 1, workerId: 'w2' }), null, 'still invisible');
+    now += 1000;
+    const taken = await queue.claimNext({ stream: 1, workerId: 'w2' });
+    assert.strictEqual(taken.id, stale.id);
+    assert.strictEqual(taken.attempts, 2);
+    assert.match(taken.lastError, /visibility timeout expired \(worker crashed\)/);
+    assert.strictEqual(await queue.completeJob(stale, { jobId: 'late' }), null);
+    assert.strictEqual(await queue.failJob(stale, 'late'), null);
+    assert.strictEqual((await queue.completeJob(taken, { jobId: 'ok' })).result.jobId, 'ok');
+
+    await queue.enqueueRun({ runId: 'run-2', stream: 1, clients: [{ clientId: 'guy-wilson', operations: ['lead_scoring'] }], maxAttempts: 1 });
+    await queue.claimNext({ stream: 1, workerId: 'crashed' });
+    now += 60000;
+    assert.strictEqual(await queue.reapExpired(), 1);
+    assert.strictEqual((await queue.listRunJobs('run-2'))[0].status, 'dead', 'last attempt expiring dead-letters');
+  });
+
+  await check('drain runs everything, waits out short backoffs and leaves long ones queued', async () => {
+    reset();
+    await queue.enqueueRun({ runId: 'run-1', stream: 1, clients: CLIENTS });
+    const calls = [];
+    let flaky = 1;
+    const sleep = async (ms) => { now += ms; };
+    const stats = await queue.drain({
+      stream: 1, workerId: 'w1', concurrency: 2, sleep,
+      handler: async (job) => {
+        calls.push(`${job.clientId}/${job.operation}#${job.attempts}`);
+        if (job.clientId === 'dean-hobin' && job.operation === 'post_harvesting' && flaky-- > 0) throw new Error('HTTP 503');
+        return { jobId: `${job.operation}-${job.clientId}` };
+      },
+    });
+    assert.deepStrictEqual(stats, { attempted: 7, dispatched: 6, retried: 1, dead: 0, lost: 0 });
+    assert.ok(calls.includes('dean-hobin/post_harvesting#2'));
+    assert.deepStrictEqual(await queue.getQueueStats(), { pending: 0, dispatching: 0, dispatched: 6, dead: 0 });
+
+    reset();
+    await queue.enqueueRun({ runId: 'run-2', stream: 1, clients: [{ clientId: 'guy-wilson', operations: ['lead_scoring'] }] });
+    const short = await queue.drain({
+      stream: 1, workerId: 'w1', sleep, maxRunMs: 500,
+      handler: async () => { throw new Error('HTTP 503'); },
+    });
+    assert.deepStrictEqual(short, { attempted: 1, dispatched: 0, retried: 1, dead: 0, lost: 0 });
+    const resumed = await queue.enqueueRun({ runId: 'run-3', stream: 1, clients: CLIENTS });
+    assert.deepStrictEqual([resumed.resumed, resumed.resumedRunIds], [true, ['run-2']], 'next pass picks the retry up');
+  });
+
+  if (failures) { console.error(`\n❌ ${failures} test(s) failed`); process.exit(1); }
+  console.log('\n✅ all 7 tests passed');
+  process.exit(0);
+})();
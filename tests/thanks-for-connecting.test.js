@@ -0,0 +1,174 @@
+/**
+ * Tests for the Thanks-for-Connecting drafts, bulk PATCH and stats
+ * (routes/thanksForConnectingRoutes.js + services/thanksDraftService.js).
+ *
+ * Covers: a draft is written from the lead's profile with the client's rulebook and stored ·
+ * a client with no Anthropic lane gets no draft (never the platform key) · the worklist attaches
+ * stored drafts and prefills the missing ones oldest-first in the background · bulk PATCH
+ * validates and writes in chunks of 10 · weekly stats bucket by connection week with zero weeks
+ * kept. Airtable, clientService, the rules store and Anthropic are fakes; the router is mounted
+ * on a real express app on an ephemeral port.
+ *
+ * Run: node tests/thanks-for-connecting.test.js
+ */
+const assert = require('assert');
+
+delete process.env.DATABASE_URL;
+
+let failures = 0;
+const check = async (name, fn) => {
+  try { await fn(); console.log(`  ✓ ${name}`); }
+  catch (e) { failures++; console.error(`  ✗ ${name}\n    ${e.message}`); }
+};
+
+const stub = (relPath, exports) => {
+  const full = require.resolve(relPath);
+  require.cache[full] = { id: full, filename: full, loaded: true, exports };
+};
+
+// --- fakes ---------------------------------------------------------------------------------
+const prompts = [];
+const fakeLlm = {
+  messages: {
+    create: async (req) => {
+      prompts.push(req);
+      const name = /Name: (.*)/.exec(req.messages[0].content)[1];
+      return { content: [{ type: 'text', text: `Thanks for connecting, ${name}!\n\n*Note: kept it short*` }] };
+    },
+  },
+};
+const CLIENTS = {
+  'Keyed-Client': { clientId: 'Keyed-Client', thanksForConnectingEnabled: true, anthropicApiKey: 'sk-test' },
+  'No-Key-Client': { clientId: 'No-Key-Client', thanksForConnectingEnabled: true },
+};
+
+stub('../services/clientService', { getClientById: async (id) => CLIENTS[id] || null });
+stub('../config/anthropicClient', {
+  resolveClientAnthropic: (c) => (c && c.anthropicApiKey
+    ? { llm: fakeLlm, lane: 'client-stored-key', message: null }
+    : { llm: null, lane: 'none-blocked', message: 'No Anthropic key on file' }),
+  anthropicKeyError: () => null,
+});
+stub('../services/wingguyRulesStore', {
+  renderRulesBlock: async ({ tenantId, contexts }) => ({ text: `RULES(${tenantId}:${contexts.join(',')})`, unresolved: [], ruleCount: 3 }),
+});
+
+const today = new Date();
+const daysAgo = (n) => new Date(today.getTime() - n * 86400000).toISOString().slice(0, 10);
+const LEADS = {
+  recOld: { 'First Name': 'Ada', 'Last Name': 'Old', 'Headline': 'Founder at Acme', 'Date Connected': daysAgo(6) },
+  recNew: { 'First Name': 'Bo', 'Last Name': 'New', 'Job Title': 'Coach', 'Date Connected': daysAgo(1) },
+  recDone: { 'First Name': 'Cy', 'Last Name': 'Done', 'Date Connected': daysAgo(2), 'Thanks Status': 'Messaged' },
+};
+const updates = [];
+const record = (id) => ({ id, fields: LEADS[id], get: (f) => LEADS[id][f] });
+const fakeBase = () => ({
+  select: ({ filterByFormula }) => ({
+    eachPage: async (page, done) => {
+      const outstanding = filterByFormula.includes('{Thanks Status} = BLANK()');
+      const rows = Object.keys(LEADS).filter((id) => !outstanding || !LEADS[id]['Thanks Status']);
+      await page(rows.map(record), () => done());
+    },
+  }),
+  find: async (id) => {
+    if (!LEADS[id]) { const e = new Error('NOT_FOUND'); e.statusCode = 404; throw e; }
+    return record(id);
+  },
+  update: async (rows, opts) => { updates.push({ rows, opts }); return rows; },
+});
+stub('../config/airtableClient.js', { getClientBase: async () => fakeBase });
+
+const express = require('express');
+const mount = require('../routes/thanksForConnectingRoutes');
+const drafts = require('../services/thanksDraftService');
+
+(async () => {
+  const app = express();
+  app.use(express.json());
+  mount(app, fakeBase);
+  const server = app.listen(0);
+  const port = server.address().port;
+  const call = async (method, path, client, body) => {
+    const res = await fetch(`http://127.0.0.1:${port}/api/thanks-for-connecting${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', 'x-client-id': client },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, body: await res.json() };
+  };
+  const waitForPrefill = async (client) => {
+    for (let i = 0; i < 50 && drafts.isPrefilling(client); i++) await new Promise((r) => setTimeout(r, 10));
+  };
+
+  try {
+    console.log('drafts:');
+    await check('POST /lead/:id/draft writes from the profile + rulebook and stores it', async () => {
+      drafts.__setTestPool(null);
+      prompts.length = 0;
+      const r = await call('POST', '/lead/recOld/draft', 'Keyed-Client');
+      assert.strictEqual(r.status, 200, JSON.stringify(r.body));
+      assert.strictEqual(r.body.draft, 'Thanks for connecting, Ada Old!', 'trailing note stripped');
+      assert.ok(prompts[0].messages[0].content.includes('Headline: Founder at Acme'));
+      assert.strictEqual(prompts[0].system[1].text, "THE COACH'S RULEBOOK:\n\nRULES(Keyed-Client:outreach)");
+      assert.strictEqual((await drafts.getDrafts('Keyed-Client', ['recOld'])).get('recOld').ruleCount, 3);
+    });
+    await check('no Anthropic lane -> 400 no_key, nothing drafted', async () => {
+      prompts.length = 0;
+      const r = await call('POST', '/lead/recOld/draft', 'No-Key-Client');
+      assert.deepStrictEqual([r.status, r.body.error, prompts.length], [400, 'no_key', 0]);
+      assert.strictEqual((await call('POST', '/lead/recGone/draft', 'Keyed-Client')).status, 404);
+    });
+
+    console.log('\nworklist:');
+    await check('stored drafts are attached; missing ones are prefilled oldest-first', async () => {
+      drafts.__setTestPool(null);
+      await drafts.saveDraft('Keyed-Client', 'recNew', { draft: 'Hi Bo' });
+      prompts.length = 0;
+      const r = await call('GET', '/worklist', 'Keyed-Client');
+      assert.deepStrictEqual(r.body.items.map((it) => [it.id, it.draft]), [['recOld', null], ['recNew', 'Hi Bo']]);
+      await waitForPrefill('Keyed-Client');
+      assert.strictEqual(prompts.length, 1, 'only the undrafted lead is drafted');
+      const again = await call('GET', '/worklist', 'Keyed-Client');
+      assert.strictEqual(again.body.items.find((it) => it.id === 'recOld').draft, 'Thanks for connecting, Ada Old!');
+    });
+    await check('gate off -> 403', async () => {
+      assert.strictEqual((await call('GET', '/worklist', 'Unknown-Client')).status, 403);
+    });
+
+    console.log('\nbulk PATCH:');
+    await check('writes in chunks of 10 with typecast; bad input rejected', async () => {
+      updates.length = 0;
+      const ids = Array.from({ length: 23 }, (_, i) => `rec${i}`);
+      const r = await call('PATCH', '/leads', 'Keyed-Client', { ids: [...ids, 'rec0'], thanksStatus: 'Let go' });
+      assert.deepStrictEqual([r.status, r.body.updated, r.body.thanksStatus], [200, 23, 'Skipped']);
+      assert.deepStrictEqual(updates.map((u) => u.rows.length), [10, 10, 3]);
+      assert.strictEqual(updates[0].opts.typecast, true);
+      assert.strictEqual((await call('PATCH', '/leads', 'Keyed-Client', { ids, thanksStatus: 'Maybe' })).status, 400);
+      assert.strictEqual((await call('PATCH', '/leads', 'Keyed-Client', { ids: [], thanksStatus: 'Messaged' })).status, 400);
+    });
+
+    console.log('\nstats:');
+    await check('weeklyThanksStats buckets by Monday-start connection week, zero weeks kept', () => {
+      const now = new Date('2026-10-21T09:00:00Z'); // a Wednesday
+      const s = mount.weeklyThanksStats([
+        { dateConnected: '2026-10-19', thanksStatus: 'Messaged' },
+        { dateConnected: '2026-10-20', thanksStatus: 'Let go' },
+        { dateConnected: '2026-10-18', thanksStatus: null },
+        { dateConnected: '2026-09-01', thanksStatus: 'Messaged' }, // outside the window
+      ], 3, now);
+      assert.deepStrictEqual(s.weeks.map((w) => w.weekStart), ['2026-10-05', '2026-10-12', '2026-10-19']);
+      assert.deepStrictEqual(s.weeks[2], { weekStart: '2026-10-19', connected: 2, messaged: 1, skipped: 1, outstanding: 0 });
+      assert.deepStrictEqual(s.weeks[1], { weekStart: '2026-10-12', connected: 1, messaged: 0, skipped: 0, outstanding: 1 });
+      assert.deepStrictEqual(s.totals, { connected: 3, messaged: 1, skipped: 1, outstanding: 1 });
+    });
+    await check('GET /stats returns every requested week', async () => {
+      const r = await call('GET', '/stats?weeks=4', 'Keyed-Client');
+      assert.deepStrictEqual([r.status, r.body.weeks.length, r.body.totals.connected], [200, 4, 3]);
+    });
+  } finally {
+    server.close();
+  }
+
+  console.log(failures ? `\n❌ ${failures} test(s) failed` : '\n✅ all thanks-for-connecting tests passed');
+  process.exit(failures ? 1 : 0);
+})();
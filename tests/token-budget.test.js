@@ -0,0 +1,130 @@
+/**
+ * Tests for per-client token budgets (services/costGovernanceService.js + services/tokenUsageLedger.js).
+ *
+ * Covers: usage recorded to the ledger rolls up into today/month totals · Master Clients overrides
+ * win over DEFAULT_BUDGETS · soft limit pauses batch work but not an interactive call · the hard
+ * limit blocks everything, counting the next call's estimate · monitor (the default unless
+ * TOKEN_BUDGET_ENFORCEMENT=enforce) never blocks · feature × model breakdown for /api/token-usage · a paused run is marked on its
+ * Client Run Results record. Runs on the ledger's in-process fallback (no DATABASE_URL).
+ *
+ * Run: node tests/token-budget.test.js
+ */
+const assert = require('assert');
+
+let failures = 0;
+const check = async (name, fn) => {
+  try { await fn(); console.log(`  ✓ ${name}`); }
+  catch (e) { failures++; console.error(`  ✗ ${name}\n    ${e.message}`); }
+};
+
+const stub = (relPath, exports) => {
+  const full = require.resolve(relPath);
+  require.cache[full] = { id: full, filename: full, loaded: true, exports };
+};
+
+delete process.env.DATABASE_URL;
+process.env.TOKEN_BUDGET_ENFORCEMENT = 'enforce';
+
+const CLIENTS = {
+  'Capped-Client': { clientId: 'Capped-Client', dailyTokenLimit: 10000, monthlyTokenLimit: 50000, tokenBudgetSoftPct: 50 },
+  'Default-Client': { clientId: 'Default-Client' },
+};
+stub('../services/clientService', { getClientById: async (id) => CLIENTS[id] || null });
+
+const progressLog = [];
+const runUpdates = [];
+stub('../services/jobTracking', {
+  appendToProgressLog: async (runId, clientId, msg) => { progressLog.push({ runId, clientId, msg }); },
+  getAESTTime: () => '10:00:00',
+});
+stub('../services/runRecordAdapterSimple', { updateRunRecord: async (args) => { runUpdates.push(args); } });
+
+const ledger = require('../services/tokenUsageLedger');
+const { costGovernanceService: gov, FEATURES, DEFAULT_BUDGETS, calculateCost } = require('../services/costGovernanceService');
+
+const spend = (clientId, feature, model, inputTokens, outputTokens) =>
+  gov.recordAiUsage({ clientId, feature, provider: model.startsWith('claude') ? 'anthropic' : 'gemini', model, inputTokens, outputTokens });
+
+(async () => {
+  console.log('ledger:');
+  await check('recorded calls roll up into today\'s and this month\'s totals', async () => {
+    ledger.__setTestPool(null);
+    await spend('Capped-Client', FEATURES.LEAD_SCORING, 'gemini-2.5-flash', 3000, 500);
+    await spend('Capped-Client', FEATURES.WINGGUY_CHAT, 'claude-sonnet-5', 900, 100);
+    await spend('Default-Client', FEATURES.LEAD_SCORING, 'gemini-2.5-flash', 99999, 0);
+    const usage = await gov.getClientUsage('Capped-Client');
+    assert.strictEqual(usage.dailyTokens, 4500);
+    assert.strictEqual(usage.monthlyTokens, 4500);
+    const cost = calculateCost(3000, 500, 'gemini-2.5-flash') + calculateCost(900, 100, 'claude-sonnet-5');
+    assert.ok(Math.abs(usage.dailyCost - cost) < 1e-9);
+  });
+  await check('recordAiUsage without a client id is a no-op, not an error', async () =>
+    assert.strictEqual(await gov.recordAiUsage({ feature: FEATURES.LEAD_SCORING, inputTokens: 10 }), null));
+  await check('a provider-reported total (thinking tokens) is kept over input + output', async () => {
+    const evt = await gov.recordAiUsage({ clientId: 'Nobody', feature: FEATURES.POST_SCORING, inputTokens: 10, outputTokens: 5, totalTokens: 40 });
+    assert.strictEqual(evt.totalTokens, 40);
+  });
+
+  console.log('\ncheckBudget:');
+  await check('Master Clients overrides win; blanks keep the defaults', async () => {
+    const budgets = await gov.getClientBudgets('Capped-Client');
+    assert.strictEqual(budgets.DAILY_TOKEN_LIMIT, 10000);
+    assert.strictEqual(budgets.SOFT_LIMIT_PCT, 50);
+    assert.strictEqual(budgets.DAILY_COST_LIMIT, DEFAULT_BUDGETS.DAILY_COST_LIMIT);
+    assert.deepStrictEqual(await gov.getClientBudgets('Default-Client'), DEFAULT_BUDGETS);
+  });
+  await check('under the soft limit → ok', async () => {
+    const r = await gov.checkBudget('Capped-Client', { estimatedTokens: 100 });
+    assert.strictEqual(r.level, 'ok');
+    assert.strictEqual(r.allowed, true);
+  });
+  await check('over the soft limit → batch work pauses, an interactive call still runs', async () => {
+    await spend('Capped-Client', FEATURES.RESCORE, 'gemini-2.5-flash', 1500, 0); // 6,000 of 10,000 at 50%
+    const batch = await gov.checkBudget('Capped-Client');
+    assert.strictEqual(batch.level, 'soft');
+    assert.strictEqual(batch.code, 'DAILY_TOKEN_SOFT_LIMIT');
+    assert.strictEqual(batch.allowed, false);
+    assert.strictEqual((await gov.checkBudget('Capped-Client', { interactive: true })).allowed, true);
+  });
+  await check('the next call\'s estimate counts toward the hard limit, for everyone', async () => {
+    const r = await gov.checkBudget('Capped-Client', { estimatedTokens: 5000, interactive: true });
+    assert.strictEqual(r.level, 'hard');
+    assert.strictEqual(r.code, 'DAILY_TOKEN_LIMIT');
+    assert.strictEqual(r.allowed, false);
+    assert.ok(/Daily token limit reached/.test(r.reason));
+  });
+  await check('monitor mode (the default) reports the level but never blocks', async () => {
+    for (const setting of ['monitor', undefined]) {
+      if (setting) process.env.TOKEN_BUDGET_ENFORCEMENT = setting;
+      else delete process.env.TOKEN_BUDGET_ENFORCEMENT;
+      const r = await gov.checkBudget('Capped-Client', { estimatedTokens: 5000 });
+      assert.strictEqual(r.level, 'hard');
+      assert.strictEqual(r.mode, 'monitor');
+      assert.strictEqual(r.allowed, true);
+    }
+    process.env.TOKEN_BUDGET_ENFORCEMENT = 'enforce';
+  });
+
+  console.log('\nbreakdown + pause:');
+  await check('breakdown groups by feature and by model, largest first', async () => {
+    const b = await gov.getUsageBreakdown('Capped-Client', 'day');
+    assert.strictEqual(b.totalTokens, 6000);
+    assert.deepStrictEqual(b.byFeature.map((f) => [f.feature, f.totalTokens]), [['lead_scoring', 3500], ['rescore', 1500], ['wingguy_chat', 1000]]);
+    assert.deepStrictEqual(b.byModel.map((m) => [m.model, m.calls]), [['gemini-2.5-flash', 2], ['claude-sonnet-5', 1]]);
+    assert.ok(!b.rows.some((r) => r.inputTokens === 99999), 'another client\'s usage leaked in');
+  });
+  await check('pauseClientRun marks the run record and writes a Progress Log line', async () => {
+    const budget = await gov.checkBudget('Capped-Client', { estimatedTokens: 5000 });
+    await gov.pauseClientRun({ runId: '261019-100000', clientId: 'Capped-Client', feature: 'Lead Scoring', check: budget });
+    assert.strictEqual(runUpdates.length, 1);
+    assert.strictEqual(runUpdates[0].updates.Status, 'Paused - Token Budget');
+    assert.ok(/⏸️ Lead Scoring: Paused - Daily token limit reached/.test(progressLog[0].msg));
+  });
+  await check('a standalone run has no record to mark', async () => {
+    await gov.pauseClientRun({ runId: 'x', clientId: 'Capped-Client', feature: 'Lead Scoring', check: {}, isStandalone: true });
+    assert.strictEqual(runUpdates.length, 1);
+  });
+
+  console.log(failures ? `\n❌ ${failures} test(s) failed` : '\n✅ all token-budget tests passed');
+  process.exit(failures ? 1 : 0);
+})();
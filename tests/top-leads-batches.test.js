@@ -0,0 +1,102 @@
+/**
+ * Tests for Top Scoring Leads batch history (services/topLeadsBatchStore.js), in-memory mode.
+ *
+ * Covers: one open draft per client (replace overwrites threshold/filters, append grows the
+ * count) · finalize numbers batches 1, 2, 3 per client and stores the payload in export order ·
+ * reset drops the draft without using up a number · finalize with no draft still records a batch ·
+ * diff against the previous / a chosen batch · the N-day re-batch guard · clients don't see
+ * each other's history.
+ *
+ * Run: node tests/top-leads-batches.test.js
+ */
+const assert = require('assert');
+
+delete process.env.DATABASE_URL;
+const store = require('../services/topLeadsBatchStore');
+
+let failures = 0;
+const check = async (name, fn) => {
+  try { await fn(); console.log(`  ✓ ${name}`); }
+  catch (e) { failures++; console.error(`  ✗ ${name}\n    ${e.message}`); }
+};
+
+const lead = (id, score) => ({ id, score, firstName: `F${id}`, lastName: `L${id}`, linkedinUrl: `https://www.linkedin.com/in/${id}` });
+const DAY = 24 * 60 * 60 * 1000;
+
+(async () => {
+  console.log('drafts:');
+  await check('replace overwrites the draft; append keeps its settings and grows the count', async () => {
+    store.__setTestPool(null);
+    await store.recordSelection('c1', { threshold: 60, filters: { vintage: 'new', q: '', junk: 'x' }, count: 50 });
+    let open = await store.recordSelection('c1', { threshold: 70, filters: { vintage: 'all' }, count: 20, append: true });
+    assert.deepStrictEqual([open.threshold, open.filters, open.selectedCount], [60, { vintage: 'new' }, 70]);
+    open = await store.recordSelection('c1', { threshold: 75, filters: { savedSearch: '3' }, count: 10 });
+    assert.deepStrictEqual([open.threshold, open.filters, open.selectedCount, open.batchNo], [75, { savedSearch: '3' }, 10, null]);
+    assert.strictEqual((await store.getOpenBatch('c1')).id, open.id);
+  });
+
+  console.log('\nfinalize / reset:');
+  await check('batches are numbered per client and keep threshold, filters and payload order', async () => {
+    store.__setTestPool(null);
+    await store.recordSelection('c1', { threshold: 60, filters: { vintage: 'new' }, count: 2 });
+    const b1 = await store.finalizeBatch('c1', { leads: [lead('recB', 90), lead('recA', 80), lead('recB', 90)] });
+    assert.deepStrictEqual([b1.batchNo, b1.status, b1.leadCount, b1.threshold], [1, 'finalized', 2, 60]);
+    assert.strictEqual(await store.getOpenBatch('c1'), null);
+
+    await store.recordSelection('c2', { threshold: 10, count: 1 });
+    const other = await store.finalizeBatch('c2', { leads: [lead('recZ', 20)] });
+    assert.strictEqual(other.batchNo, 1, 'numbering is per client');
+
+    await store.recordSelection('c1', { threshold: 65, count: 1 });
+    const b2 = await store.finalizeBatch('c1', { leads: [lead('recC', 70)] });
+    assert.strictEqual(b2.batchNo, 2);
+
+    const list = await store.listBatches('c1');
+    assert.deepStrictEqual(list.map((b) => b.batchNo), [2, 1]);
+    const got = await store.getBatch('c1', '1');
+    assert.deepStrictEqual(got.leads.map((l) => l.id), ['recB', 'recA']);
+    assert.deepStrictEqual(got.filters, { vintage: 'new' });
+    assert.strictEqual(got.leads[0].linkedinUrl, 'https://www.linkedin.com/in/recB');
+    assert.strictEqual(await store.getBatch('c2', 2), null, "c2 can't see c1's batch 2");
+    assert.strictEqual(await store.getBatch('c1', 'abc'), null);
+  });
+  await check('reset drops the draft without using a number; finalize without a draft still records', async () => {
+    store.__setTestPool(null);
+    await store.recordSelection('c1', { threshold: 60, count: 5 });
+    assert.strictEqual(await store.discardOpenBatch('c1'), true);
+    assert.strictEqual(await store.discardOpenBatch('c1'), false);
+    const b = await store.finalizeBatch('c1', { leads: [lead('recA', 80)] });
+    assert.deepStrictEqual([b.batchNo, b.threshold, b.selectedCount], [1, null, 1]);
+    assert.strictEqual(await store.finalizeBatch('c1', { leads: [] }), null, 'empty batches are not recorded');
+    assert.deepStrictEqual((await store.listBatches('c1')).length, 1);
+  });
+
+  console.log('\ndiff:');
+  await check('diff against the previous batch by default, or a chosen one', async () => {
+    store.__setTestPool(null);
+    await store.finalizeBatch('c1', { leads: [lead('recA'), lead('recB')] });
+    await store.finalizeBatch('c1', { leads: [lead('recB'), lead('recC')] });
+    await store.finalizeBatch('c1', { leads: [lead('recD')] });
+    const d = await store.diffBatches('c1', 2);
+    assert.deepStrictEqual([d.batchNo, d.againstNo, d.added.map((l) => l.id), d.removed.map((l) => l.id), d.common], [2, 1, ['recC'], ['recA'], 1]);
+    const d2 = await store.diffBatches('c1', 3, '1');
+    assert.deepStrictEqual([d2.added.length, d2.removed.length, d2.common], [1, 2, 0]);
+    assert.strictEqual(await store.diffBatches('c1', 1), null, 'batch 1 has nothing before it');
+    assert.strictEqual(await store.diffBatches('c1', 9), null);
+  });
+
+  console.log('\nre-batch guard:');
+  await check('recentLeadIds covers batches finalized within N days, per client', async () => {
+    store.__setTestPool(null);
+    const now = new Date('2026-10-19T00:00:00Z');
+    await store.finalizeBatch('c1', { leads: [lead('recOld')], finalizedAt: new Date(now.getTime() - 40 * DAY) });
+    await store.finalizeBatch('c1', { leads: [lead('recNew')], finalizedAt: new Date(now.getTime() - 5 * DAY) });
+    await store.finalizeBatch('c2', { leads: [lead('recOther')], finalizedAt: now });
+    assert.deepStrictEqual([...(await store.recentLeadIds('c1', 30, now))], ['recNew']);
+    assert.deepStrictEqual([...(await store.recentLeadIds('c1', 60, now))].sort(), ['recNew', 'recOld']);
+    assert.strictEqual((await store.recentLeadIds('c1', 0, now)).size, 0, '0 turns the guard off');
+  });
+
+  console.log(failures ? `\n❌ ${failures} test(s) failed` : '\n✅ all top-leads-batches tests passed');
+  process.exit(failures ? 1 : 0);
+})();
@@ -0,0 +1,242 @@
+/**
+ * Plain text out of an email attachment, for search (services/emailAttachmentService.js).
+ *
+ * Dependency-free on purpose, like utils/zipArchive.js: the goal is "can I find the proposal that
+ * mentioned $12,000", not layout-faithful conversion.
+ *   PDF  - text operators (Tj / TJ / ' / ") inside uncompressed and FlateDecode content streams.
+ *          Covers what Word, Google Docs, DocuSign and pdfkit produce with standard fonts. Scans
+ *          and CID-keyed fonts without a usable encoding come back 'unreadable' rather than junk.
+ *   DOCX - word/document.xml via readZipEntry, paragraphs kept as lines.
+ *   text/plain, text/csv, text/html, .md - as-is (HTML tags stripped).
+ * Anything else is 'unsupported' - still stored and listed, just not searchable by content.
+ *
+ * Attachments arrive from anyone who can email the BCC address, and inflation is synchronous, so
+ * every inflate is capped: MAX_INFLATED_BYTES in total per attachment (all of a PDF's streams
+ * together, or the DOCX's document.xml). A PDF that runs out keeps the text read so far; a DOCX
+ * over the cap fails. MAX_TEXT_CHARS then trims what is stored.
+ */
+
+const zlib = require('zlib');
+const { readZipEntry } = require('./zipArchive');
+
+const MAX_TEXT_CHARS = 100000;
+const MAX_INFLATED_BYTES = 16 * 1024 * 1024;
+
+// WinAnsi code points that differ from Latin-1 (the ones that show up in business documents)
+const WIN_ANSI = {
+    0x80: '€', 0x85: '…', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x99: '™'
+};
+
+function kindOf(filename = '', contentType = '') {
+    const ext = (String(filename).toLowerCase().match(/\.([a-z0-9]+)$/) || [])[1] || '';
+    const type = String(contentType).toLowerCase();
+    if (ext === 'pdf' || type === 'application/pdf') return 'pdf';
+    if (ext === 'docx' || type.includes('wordprocessingml')) return 'docx';
+    if (ext === 'html' || ext === 'htm' || type === 'text/html') return 'html';
+    if (['txt', 'csv', 'md', 'ics', 'vcf'].includes(ext) || type.startsWith('text/')) return 'text';
+    return null;
+}
+
+function decodeEntities(s) {
+    return s
+        .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+        .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+function tidy(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/[ \t ]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// ---------------------------------------------------------------------------------------------
+// PDF
+// ---------------------------------------------------------------------------------------------
+
+function bytesToText(bytes) {
+    // Strings starting with a byte-order mark are UTF-16BE; everything else is single-byte WinAnsi
+    if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) {
+        return Buffer.from(bytes.slice(2)).swap16().toString('utf16le');
+    }
+    let out = '';
+    for (const b of bytes) out += WIN_ANSI[b] || String.fromCharCode(b);
+    return out;
+}
+
+function readLiteralString(src, i) {
+    // src[i] === '('; PDF literal strings nest balanced parentheses and use backslash escapes
+    const bytes = [];
+    let depth = 1;
+    i++;
+    while (i < src.length && depth > 0) {
+        const c = src[i];
+        if (c === '\\') {
+            const n = src[i + 1];
+            const simple = { n: 10, r: 13, t: 9, b: 8, f: 12, '(': 40, ')': 41, '\\': 92 };
+            if (n in simple) { bytes.push(simple[n]); i += 2; continue; }
+            const oct = /^[0-7]{1,3}/.exec(src.slice(i + 1, i + 4));
+            if (oct) { bytes.push(parseInt(oct[0], 8) & 0xFF); i += 1 + oct[0].length; continue; }
+            if (n === '\r' || n === '\n') { i += n === '\r' && src[i + 2] === '\n' ? 3 : 2; continue; }
+            i++;
+            continue;
+        }
+        if (c === '(') depth++;
+        if (c === ')' && --depth === 0) { i++; break; }
+        bytes.push(c.charCodeAt(0) & 0xFF);
+        i++;
+    }
+    return { text: bytesToText(bytes), end: i };
+}
+
+function readHexString(src, i) {
+    const close = src.indexOf('>', i);
+    const hex = src.slice(i + 1, close === -1 ? src.length : close).replace(/[^0-9a-f]/gi, '');
+    const bytes = [];
+    for (let k = 0; k < hex.length; k += 2) bytes.push(parseInt(hex.slice(k, k + 2).padEnd(2, '0'), 16));
+    return { text: bytesToText(bytes), end: close === -1 ? src.length : close + 1 };
+}
+
+/** Text shown by one content stream's BT...ET blocks, one line per text line. */
+function textFromContentStream(src) {
+    let out = '';
+    let i = 0;
+    let operands = [];     // strings / numbers since the last operator
+    let inText = false;
+    while (i < src.length) {
+        const c = src[i];
+        if (c === '(' || (c === '<' && src[i + 1] !== '<')) {
+            const s = c === '(' ? readLiteralString(src, i) : readHexString(src, i);
+            operands.push(s.text);
+            i = s.end;
+        } else if (c === '[' || c === ']') {
+            i++;
+        } else if (c === '<' || c === '>') {
+            i += 2; // << >> dictionary delimiters (marked-content properties)
+        } else if (c === '%') {
+            while (i < src.length && src[i] !== '\n' && src[i] !== '\r') i++;
+        } else if (/[-+.\d]/.test(c)) {
+            const m = /^[-+]?\d*\.?\d+/.exec(src.slice(i, i + 32));
+            if (m) { operands.push(Number(m[0])); i += m[0].length; } else i++;
+        } else if (/[A-Za-z'"*]/.test(c)) {
+            const op = /^[A-Za-z'"*]+/.exec(src.slice(i, i + 8))[0];
+            i += op.length;
+            if (op === 'BT') inText = true;
+            else if (op === 'ET') { inText = false; out += '\n'; }
+            else if (inText) {
+                if (op === 'Tj') out += operands.filter(o => typeof o === 'string').join('');
+                else if (op === 'TJ') {
+                    // Large negative kerning inside a TJ array is how most writers put a space
+                    for (const o of operands) out += typeof o === 'string' ? o : (o < -200 ? ' ' : '');
+                } else if (op === "'" || op === '"') out += '\n' + operands.filter(o => typeof o === 'string').join('');
+                else if (op === 'T*') out += '\n';
+                else if ((op === 'Td' || op === 'TD') && operands.length >= 2 && operands[operands.length - 1] !== 0) out += '\n';
+                else if (op === 'Tm') out += '\n';
+            }
+            operands = [];
+        } else {
+            i++;
+        }
+    }
+    return out;
+}
+
+function extractPdfText(buffer) {
+    const src = buffer.toString('latin1');
+    const re = />>\s*stream\r?\n/g;
+    const parts = [];
+    let budget = MAX_INFLATED_BYTES;
+    let m;
+    while ((m = re.exec(src))) {
+        // The stream's dictionary: from its "N 0 obj" header up to the stream keyword
+        const dict = src.slice(Math.max(0, src.lastIndexOf(' obj', m.index)), m.index);
+        const start = m.index + m[0].length;
+        const end = src.indexOf('endstream', start);
+        if (end === -1) break;
+        re.lastIndex = end;
+        if (/\/Subtype\s*\/(Image|XML)|\/Type\s*\/(XRef|ObjStm|Metadata)|\/Length1|\/FontFile/.test(dict)) continue;
+        let data = buffer.subarray(start, end);
+        if (/\/FlateDecode/.test(dict)) {
+            if (budget < 1) break;
+            try { data = zlib.inflateSync(data, { maxOutputLength: budget }); } catch (e) {
+                if (e.code === 'ERR_BUFFER_TOO_LARGE') break;
+                try {
+                    data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength: budget });
+                } catch (e2) {
+                    if (e2.code === 'ERR_BUFFER_TOO_LARGE') break;
+                    continue;
+                }
+            }
+            budget -= data.length;
+        } else if (/\/Filter/.test(dict)) {
+            continue; // DCT (images), LZW, ... - nothing we can read as text
+        }
+        const content = data.toString('latin1');
+        if (content.includes('BT')) parts.push(textFromContentStream(content));
+    }
+    return parts.join('\n');
+}
+
+// Mostly printable text with letters in it, or junk from a font we couldn't decode?
+function looksReadable(text) {
+    if (!text) return false;
+    const letters = (text.match(/[A-Za-zÀ-ɏ]/g) || []).length;
+    const control = (text.match(/[\u0000-\u0008\u000E-\u001F�]/g) || []).length;
+    return letters >= Math.min(20, text.length / 4) && control < text.length * 0.05;
+}
+
+// ---------------------------------------------------------------------------------------------
+// DOCX / HTML
+// ---------------------------------------------------------------------------------------------
+
+function extractDocxText(buffer) {
+    const xml = readZipEntry(buffer, 'word/document.xml', { maxBytes: MAX_INFLATED_BYTES });
+    if (!xml) throw new Error('No word/document.xml - not a DOCX');
+    return decodeEntities(
+        xml.toString('utf8')
+            .replace(/<w:tab\/>/g, '\t')
+            .replace(/<w:br\/>|<\/w:p>/g, '\n')
+            .replace(/<[^>]+>/g, '')
+    );
+}
+
+function htmlToText(html) {
+    return decodeEntities(
+        html
+            .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+            .replace(/<br\s*\/?>|<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+    );
+}
+
+/**
+ * Extract searchable text from an attachment
+ * @param {Buffer} buffer
+ * @param {Object} meta - { filename, contentType }
+ * @returns {{status: 'extracted'|'empty'|'unreadable'|'unsupported'|'failed', text: string|null, error?: string}}
+ */
+function extractAttachmentText(buffer, { filename, contentType } = {}) {
+    const kind = kindOf(filename, contentType);
+    if (!kind) return { status: 'unsupported', text: null };
+    try {
+        let text;
+        if (kind === 'pdf') text = extractPdfText(buffer);
+        else if (kind === 'docx') text = extractDocxText(buffer);
+        else if (kind === 'html') text = htmlToText(buffer.toString('utf8'));
+        else text = buffer.toString('utf8');
+
+        text = tidy(text);
+        if (!text) return { status: 'empty', text: null };
+        if (kind === 'pdf' && !looksReadable(text)) return { status: 'unreadable', text: null };
+        return { status: 'extracted', text: text.slice(0, MAX_TEXT_CHARS) };
+    } catch (error) {
+        return { status: 'failed', text: null, error: error.message };
+    }
+}
+
+module.exports = { extractAttachmentText, MAX_TEXT_CHARS, MAX_INFLATED_BYTES };
@@ -15,8 +15,72 @@
  * - "possibility OR yes" → finds leads with either term
  * - "possibility NOT workshop" → finds leads with possibility but not workshop
  * - "(possibility OR yes) AND mindset" → finds leads with mindset AND (possibility OR yes)
+ *
+ * Field qualifiers — the one lead query language used by lead search, export,
+ * the Top Scoring Leads eligibility list, the extension lookup and saved searches:
+ * - score:>60  score:60..80          (AI Score; > >= < <= = and ranges)
+ * - status:"In Process"  priority:high  scoring:scored  connection:candidate   (exact, any case)
+ * - company:"Acme"  title:founder  location:sydney  name:sally  email:gmail  url:andrewdb  term:mindset
+ * - connected:<30d  scored:>6m  followup:<2026-11-01   (Date Connected / Date Scored / Follow-Up Date)
+ * - tag:warm   (the "Tags: #warm-response" line in Notes)
+ * - has:email  has:phone  has:notes  has:score
+ * Qualifiers combine with AND / OR / NOT / - / parentheses like any other term. An unknown
+ * prefix ("https://…") is just a term. compileLeadQuery() throws LeadQueryError on bad input;
+ * parseBooleanSearch() keeps its old fall-back-to-simple-search behaviour.
  */
 
+/**
+ * LeadQueryError - a query that can't be compiled (bad syntax or a bad qualifier value).
+ * Routes turn it into a 400 with the message.
+ */
+class LeadQueryError extends Error {
+  constructor(message, params = {}) {
+    super(message);
+    this.name = 'LeadQueryError';
+    this.params = params;
+    this.isLeadQueryError = true;
+  }
+}
+
+const TOKEN_FIELDS = ['{Search Tokens (canonical)}', '{Search Terms}'];
+const NAME_FIELDS = ['{First Name}', '{Last Name}', '{LinkedIn Profile URL}'];
+
+// Test/placeholder rows that must never show up in search, export or a scheduled export
+const EXCLUDE_TEST_LEADS = `NOT(OR(
+      SEARCH("multi", LOWER({First Name})) > 0,
+      SEARCH("multi", LOWER({Last Name})) > 0,
+      SEARCH("tenant", LOWER({First Name})) > 0,
+      SEARCH("tenant", LOWER({Last Name})) > 0
+    ))`;
+
+/**
+ * Qualifier → Leads field(s). kind decides how the value is read:
+ * number (comparisons/ranges), choice (exact, case-insensitive), text (contains),
+ * date (relative Nd/Nw/Nm/Ny or YYYY-MM-DD), tag (Notes tags line), presence (has:).
+ */
+const LEAD_QUERY_FIELDS = {
+  score: { kind: 'number', field: '{AI Score}' },
+  status: { kind: 'choice', field: '{Status}' },
+  priority: { kind: 'choice', field: '{Priority}' },
+  scoring: { kind: 'choice', field: '{Scoring Status}' },
+  connection: { kind: 'choice', field: '{LinkedIn Connection Status}' },
+  company: { kind: 'text', fields: ['{Company Name}'] },
+  title: { kind: 'text', fields: ['{Job Title}'] },
+  location: { kind: 'text', fields: ['{Location}'] },
+  name: { kind: 'text', fields: ['{First Name}', '{Last Name}'] },
+  email: { kind: 'text', fields: ['{Email}'] },
+  url: { kind: 'text', fields: ['{LinkedIn Profile URL}'] },
+  term: { kind: 'text', fields: TOKEN_FIELDS },
+  connected: { kind: 'date', field: '{Date Connected}' },
+  scored: { kind: 'date', field: '{Date Scored}' },
+  followup: { kind: 'date', field: '{Follow-Up Date}' },
+  tag: { kind: 'tag', field: '{Notes}' },
+  has: { kind: 'presence' }
+};
+
+const PRESENCE_FIELDS = { email: '{Email}', phone: '{Phone}', notes: '{Notes}', score: '{AI Score}' };
+const DATE_UNITS = { d: 'days', w: 'weeks', m: 'months', y: 'years' };
+
 /**
  * Token types for lexical analysis
  */
@@ -30,6 +94,39 @@ const TokenType = {
   EOF: 'EOF'
 };
 
+/**
+ * Read one bare word from position i. A qualifier may quote its value (status:"In Process"),
+ * in which case the quoted part — spaces included — belongs to the word.
+ * @returns {{ word: string, quoted: boolean, i: number }}
+ */
+function readWord(input, i) {
+  let word = '';
+  let quoted = false;
+  while (i < input.length && !/[\s()]/.test(input[i])) {
+    if ((input[i] === '"' || input[i] === "'") && /^[a-z]+:[<>=]*$/i.test(word)) {
+      const quote = input[i++];
+      while (i < input.length && input[i] !== quote) word += input[i++];
+      i++; // Skip closing quote
+      quoted = true;
+      continue;
+    }
+    word += input[i];
+    i++;
+  }
+  return { word, quoted, i };
+}
+
+/**
+ * TERM token for a word; "field:value" with a known field becomes a qualified term.
+ */
+function termToken(word, quoted = false) {
+  const m = /^([a-z]+):(.+)$/i.exec(word);
+  if (m && LEAD_QUERY_FIELDS[m[1].toLowerCase()]) {
+    return { type: TokenType.TERM, value: m[2], field: m[1].toLowerCase(), quoted };
+  }
+  return { type: TokenType.TERM, value: word };
+}
+
 /**
  * Tokenize the input string into an array of tokens
  */
@@ -75,22 +172,17 @@ function tokenize(input) {
     if (input[i] === '-') {
       i++;
       // Get the term after the minus
-      let term = '';
-      while (i < input.length && !/[\s()]/.test(input[i])) {
-        term += input[i];
-        i++;
-      }
+      const read = readWord(input, i);
+      i = read.i;
       tokens.push({ type: TokenType.NOT });
-      tokens.push({ type: TokenType.TERM, value: term });
+      tokens.push(termToken(read.word, read.quoted));
       continue;
     }
     
     // Read a word
-    let word = '';
-    while (i < input.length && !/[\s()]/.test(input[i])) {
-      word += input[i];
-      i++;
-    }
+    const read = readWord(input, i);
+    const word = read.word;
+    i = read.i;
     
     // Check if word is an operator
     const upperWord = word.toUpperCase();
@@ -101,7 +193,7 @@ function tokenize(input) {
     } else if (upperWord === 'NOT') {
       tokens.push({ type: TokenType.NOT });
     } else {
-      tokens.push({ type: TokenType.TERM, value: word });
+      tokens.push(termToken(word, read.quoted));
     }
   }
   
@@ -202,7 +294,9 @@ class Parser {
   parsePrimaryExpression() {
     if (this.match(TokenType.TERM)) {
       const token = this.consume();
-      return { type: 'TERM', value: token.value };
+      return token.field
+        ? { type: 'FIELD', field: token.field, value: token.value }
+        : { type: 'TERM', value: token.value };
     }
     
     if (this.match(TokenType.LPAREN)) {
@@ -219,26 +313,90 @@ class Parser {
   }
 }
 
+/**
+ * Escape a value for a double-quoted Airtable formula string
+ */
+function formulaString(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+/**
+ * Case-insensitive "contains" over one or more fields
+ */
+function containsFormula(value, fields) {
+  const term = formulaString(String(value).toLowerCase());
+  const fieldSearches = fields.map(field => `SEARCH("${term}", LOWER(${field})) > 0`);
+  return fieldSearches.length > 1 ? `OR(${fieldSearches.join(', ')})` : fieldSearches[0];
+}
+
+/**
+ * Compile one qualified term (score:>60, connected:<30d, ...) to a formula
+ */
+function fieldToFormula(field, rawValue) {
+  const spec = LEAD_QUERY_FIELDS[field];
+  const value = String(rawValue).trim();
+  if (!value) throw new LeadQueryError(`${field}: needs a value`, { field });
+
+  switch (spec.kind) {
+    case 'number': {
+      const range = /^(-?\d+(?:\.\d+)?)\.\.(-?\d+(?:\.\d+)?)$/.exec(value);
+      if (range) {
+        return `AND(NOT(${spec.field} = BLANK()), ${spec.field} >= ${Number(range[1])}, ${spec.field} <= ${Number(range[2])})`;
+      }
+      const cmp = /^(>=|<=|>|<|=)?(-?\d+(?:\.\d+)?)$/.exec(value);
+      if (!cmp) throw new LeadQueryError(`${field}: expected a number like >60, <=40 or 60..80, got "${value}"`, { field, value });
+      return `AND(NOT(${spec.field} = BLANK()), ${spec.field} ${cmp[1] || '='} ${Number(cmp[2])})`;
+    }
+    case 'choice':
+      return `LOWER(${spec.field}) = "${formulaString(value.toLowerCase())}"`;
+    case 'text':
+      return containsFormula(value, spec.fields);
+    case 'tag':
+      return containsFormula('#' + value.replace(/^#/, ''), [spec.field]);
+    case 'presence': {
+      const target = PRESENCE_FIELDS[value.toLowerCase()];
+      if (!target) throw new LeadQueryError(`has: expected one of ${Object.keys(PRESENCE_FIELDS).join(', ')}, got "${value}"`, { field, value });
+      return `NOT(${target} = BLANK())`;
+    }
+    case 'date': {
+      const m = /^(>=|<=|>|<|=)?(?:(\d+)([dwmy])|(\d{4}-\d{2}-\d{2}))$/i.exec(value);
+      if (!m) throw new LeadQueryError(`${field}: expected <30d, >6m or a YYYY-MM-DD date, got "${value}"`, { field, value });
+      const op = (m[1] || '=').replace('=', '') || '=';
+      const present = `NOT(${spec.field} = BLANK())`;
+      if (m[2]) {
+        // Relative: "<30d" = within the last 30 days, ">30d" = more than 30 days ago
+        const since = `DATEADD(TODAY(), -${Number(m[2])}, '${DATE_UNITS[m[3].toLowerCase()]}')`;
+        if (op === '<') return `AND(${present}, IS_AFTER(${spec.field}, ${since}))`;
+        if (op === '>') return `AND(${present}, IS_BEFORE(${spec.field}, ${since}))`;
+        return `AND(${present}, IS_SAME(${spec.field}, ${since}, 'day'))`;
+      }
+      const day = m[4];
+      if (Number.isNaN(new Date(day).getTime())) throw new LeadQueryError(`${field}: "${day}" is not a date`, { field, value });
+      if (op === '<') return `AND(${present}, IS_BEFORE(${spec.field}, '${day}'))`;
+      if (op === '>') return `AND(${present}, IS_AFTER(${spec.field}, '${day}'))`;
+      return `AND(${present}, IS_SAME(${spec.field}, '${day}', 'day'))`;
+    }
+    default:
+      throw new LeadQueryError(`Unknown qualifier: ${field}`, { field });
+  }
+}
+
 /**
  * Convert AST to Airtable formula
  * @param {Object} ast - Abstract syntax tree node
  * @param {Array<string>} searchFields - Airtable field names to search in
  * @returns {string} Airtable filter formula
  */
-function astToAirtableFormula(ast, searchFields = ['{Search Tokens (canonical)}', '{Search Terms}']) {
+function astToAirtableFormula(ast, searchFields = TOKEN_FIELDS) {
   if (!ast) return '';
   
   switch (ast.type) {
-    case 'TERM': {
-      const term = ast.value.toLowerCase();
+    case 'TERM':
       // Search in all specified fields
-      const fieldSearches = searchFields.map(field => 
-        `SEARCH("${term}", LOWER(${field})) > 0`
-      );
-      return fieldSearches.length > 1 
-        ? `OR(${fieldSearches.join(', ')})` 
-        : fieldSearches[0];
-    }
+      return containsFormula(ast.value, searchFields);
+
+    case 'FIELD':
+      return fieldToFormula(ast.field, ast.value);
     
     case 'AND': {
       const leftFormula = astToAirtableFormula(ast.left, searchFields);
@@ -268,7 +426,7 @@ function astToAirtableFormula(ast, searchFields = ['{Search Tokens (canonical)}'
  * @param {Array<string>} searchFields - Airtable field names to search in
  * @returns {string} Airtable filter formula
  */
-function parseBooleanSearch(query, searchFields = ['{Search Tokens (canonical)}', '{Search Terms}']) {
+function parseBooleanSearch(query, searchFields = TOKEN_FIELDS) {
   if (!query || query.trim() === '') {
     return '';
   }
@@ -281,13 +439,66 @@ function parseBooleanSearch(query, searchFields = ['{Search Tokens (canonical)}'
   } catch (error) {
     // If parsing fails, fall back to simple search (treat as single term)
     console.warn('Boolean search parsing failed, falling back to simple search:', error.message);
-    const term = query.toLowerCase();
-    const fieldSearches = searchFields.map(field => 
-      `SEARCH("${term}", LOWER(${field})) > 0`
-    );
-    return fieldSearches.length > 1 
-      ? `OR(${fieldSearches.join(', ')})` 
-      : fieldSearches[0];
+    return containsFormula(query, searchFields);
+  }
+}
+
+/**
+ * Compile a lead query (boolean + field qualifiers) to an Airtable formula. Strict: unlike
+ * parseBooleanSearch, bad syntax or a bad qualifier value throws so the caller can say so.
+ * @param {string} query - e.g. 'score:>60 status:"In Process" (founder OR ceo) -tag:cold'
+ * @param {Object} [opts]
+ * @param {Array<string>} [opts.searchFields] - fields a bare term searches (default: search tokens)
+ * @returns {string} Airtable formula, '' for an empty query
+ * @throws {LeadQueryError}
+ */
+function compileLeadQuery(query, { searchFields = TOKEN_FIELDS } = {}) {
+  if (!query || String(query).trim() === '') return '';
+  let ast;
+  try {
+    ast = new Parser(tokenize(String(query))).parse();
+  } catch (error) {
+    throw new LeadQueryError(`Invalid search query: ${error.message}`, { query });
+  }
+  return astToAirtableFormula(ast, searchFields);
+}
+
+/**
+ * Formula parts for the lead search inputs shared by search, export, the Top Scoring Leads list
+ * and saved searches. `query` is a name / URL (each word must match First Name, Last Name or
+ * LinkedIn URL) or a structured query; an email address is an exact Email match. `searchTerms`
+ * searches the search-token fields. Returns parts for the caller to AND with its own clauses.
+ * @param {{ query?: string, searchTerms?: string, priority?: string }} inputs
+ * @returns {Array<string>}
+ * @throws {LeadQueryError}
+ */
+function leadFilterParts({ query, searchTerms, priority } = {}) {
+  const parts = [];
+  const q = String(query || '').trim();
+  if (q) {
+    if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(q)) {
+      parts.push(`LOWER({Email}) = "${formulaString(q.toLowerCase())}"`);
+    } else {
+      parts.push(compileLeadQuery(q, { searchFields: NAME_FIELDS }));
+    }
+  }
+  const terms = String(searchTerms || '').trim();
+  if (terms) parts.push(compileLeadQuery(terms, { searchFields: TOKEN_FIELDS }));
+  if (priority && priority !== 'all') parts.push(`{Priority} = "${formulaString(priority)}"`);
+  return parts;
+}
+
+/**
+ * True when a query uses qualifiers or boolean operators (vs. a plain name / URL / email).
+ * Lets a lookup keep its special-cased plain behaviour and only compile real queries.
+ */
+function isStructuredQuery(query) {
+  if (!query || String(query).trim() === '') return false;
+  try {
+    return tokenize(String(query)).some(t =>
+      t.field || [TokenType.AND, TokenType.OR, TokenType.NOT, TokenType.LPAREN].includes(t.type));
+  } catch (_) {
+    return false;
   }
 }
 
@@ -309,7 +520,15 @@ function extractTerms(query) {
 
 module.exports = {
   parseBooleanSearch,
+  compileLeadQuery,
+  leadFilterParts,
+  isStructuredQuery,
   extractTerms,
+  LeadQueryError,
+  LEAD_QUERY_FIELDS,
+  TOKEN_FIELDS,
+  NAME_FIELDS,
+  EXCLUDE_TEST_LEADS,
   TokenType,
   tokenize,
   Parser
@@ -7,12 +7,48 @@
  * - Raw LinkedIn messaging copy-paste
  * - Raw Sales Navigator copy-paste
  * - Email threads (AI-powered with regex fallback)
+ * - LinkedIn's data export messages.csv (Settings > Data privacy > Get a copy of your data)
+ * - Linked Helper conversation exports (CSV or JSON, LH's from / text / send_at fields)
+ * - Outlook "Save As" / copied threads (From: / Sent: / To: / Subject: header blocks)
  * 
  * Output format: DD-MM-YY HH:MM AM/PM - Sender Name - Message content
+ *
+ * Shared attachments, links and voice notes found in a message are kept on it as
+ * `metadata: { attachments, links, voiceNote }` (see extractMessageMetadata). Attachments that
+ * only the export knows about (a CSV column, Outlook's Attachments: header) are also written
+ * into the Notes line as "[Attachment: name]" so they survive the trip into Airtable.
  */
 
 // AI-powered email parsing (uses Gemini Flash for speed)
 const { parseEmailWithAI, isAIParsingAvailable } = require('../services/aiEmailParser');
+const { parseSendAt, formatStamp } = require('../services/lhMessageNotes');
+const { sameLinkedinProfile } = require('./linkedinCanonical');
+
+// Which quick-update Notes section each parsed format belongs in
+const FORMAT_SECTIONS = {
+    aiblaze: 'linkedin',
+    linkedin_raw: 'linkedin',
+    linkedin_csv: 'linkedin',
+    linkedhelper_export: 'linkedin',
+    salesnav_raw: 'salesnav',
+    email_raw: 'email',
+    email_ai: 'email',
+    outlook_raw: 'email',
+    manual: 'manual'
+};
+
+// Human-readable names for the parse preview
+const FORMAT_LABELS = {
+    aiblaze: 'AIBlaze',
+    linkedin_raw: 'LinkedIn (copied thread)',
+    linkedin_csv: 'LinkedIn data export (messages.csv)',
+    linkedhelper_export: 'Linked Helper export',
+    salesnav_raw: 'Sales Navigator (copied thread)',
+    email_raw: 'Email',
+    email_ai: 'Email (AI parsed)',
+    outlook_raw: 'Outlook thread',
+    manual: 'Manual note'
+};
 
 /**
  * Clean up LinkedIn/Sales Navigator noise from text
@@ -63,32 +99,57 @@ function cleanLinkedInNoise(text) {
 }
 
 /**
- * Detect the format of pasted text
+ * Detect the format of pasted text, with how sure we are and why
+ * Confidence is a rough 0-1 score: exports with a fixed header are near-certain, the loose
+ * copy-paste patterns (Sales Navigator, an email address plus a sign-off) much less so.
  * @param {string} text - Raw pasted text
- * @returns {'aiblaze' | 'linkedin_raw' | 'salesnav_raw' | 'email_raw' | 'manual'} Format type
+ * @returns {{ format: 'linkedin_csv' | 'linkedhelper_export' | 'aiblaze' | 'linkedin_raw' | 'outlook_raw' | 'salesnav_raw' | 'email_raw' | 'manual', confidence: number, reason: string }}
  */
-function detectFormat(text) {
-    if (!text || typeof text !== 'string') return 'manual';
+function detectFormatDetailed(text) {
+    if (!text || typeof text !== 'string') return { format: 'manual', confidence: 1, reason: 'No content' };
     
     const trimmed = text.trim();
     
+    // Exports first - they have fixed headers, and their message bodies can contain anything
+    // (including lines that look like the copy-paste formats below)
+    if (isLinkedInCsv(trimmed)) {
+        return { format: 'linkedin_csv', confidence: 0.99, reason: 'LinkedIn messages.csv header row' };
+    }
+    if (isLinkedHelperExport(trimmed)) {
+        return { format: 'linkedhelper_export', confidence: 0.95, reason: 'Linked Helper export (from / text / send_at fields)' };
+    }
+    
     // AIBlaze format: DD-MM-YY HH:MM AM/PM - Name - Message
     // Pattern: starts with date like "04-12-24 01:41 PM - "
     const aiblazePattern = /^\d{2}-\d{2}-\d{2}\s+\d{1,2}:\d{2}\s*[AP]M\s*-\s*.+\s*-\s*.+/im;
     if (aiblazePattern.test(trimmed)) {
-        return 'aiblaze';
+        const lines = trimmed.split('\n').filter(l => l.trim());
+        const matching = lines.filter(l => aiblazePattern.test(l.trim())).length;
+        return {
+            format: 'aiblaze',
+            confidence: round2(0.6 + 0.39 * (matching / lines.length)),
+            reason: `${matching} of ${lines.length} lines are AIBlaze "DD-MM-YY HH:MM AM - Name - Message" lines`
+        };
     }
     
     // Raw LinkedIn: contains "sent the following message"
     if (trimmed.includes('sent the following message')) {
-        return 'linkedin_raw';
+        return { format: 'linkedin_raw', confidence: 0.9, reason: 'Contains LinkedIn\'s "sent the following message" markers' };
+    }
+    
+    // Outlook "Save As" / copied thread: From: + Sent: header lines (Gmail pastes use Date:).
+    // Checked before Sales Navigator, whose loose "Name Name 4:21" pattern matches Sent: lines
+    if (/^From:[ \t]*\S.*$/m.test(trimmed) && /^Sent:[ \t]*\S.*$/m.test(trimmed)) {
+        const hasSubject = /^Subject:[ \t]*.*$/m.test(trimmed);
+        return { format: 'outlook_raw', confidence: hasSubject ? 0.9 : 0.8, reason: `Outlook From: / Sent:${hasSubject ? ' / Subject:' : ''} headers` };
     }
     
     // Raw Sales Navigator: contains patterns like "You  HH:MM" or "Name  HH:MM PM"
     // Also check for "Invited X to connect" pattern
     const salesNavPattern = /(You|[A-Z][a-z]+\s+[A-Z][a-z]+)\s+\d{1,2}:\d{2}\s*[AP]?M?/;
-    if (salesNavPattern.test(trimmed) || trimmed.includes('Invited') && trimmed.includes('to connect')) {
-        return 'salesnav_raw';
+    const hasInvite = trimmed.includes('Invited') && trimmed.includes('to connect');
+    if (salesNavPattern.test(trimmed) || hasInvite) {
+        return { format: 'salesnav_raw', confidence: hasInvite ? 0.8 : 0.65, reason: hasInvite ? 'Sales Navigator "Invited ... to connect" line' : 'Sender + time lines ("Name 1:24 PM")' };
     }
     
     // Email format: Various patterns
@@ -109,12 +170,27 @@ function detectFormat(text) {
     if (emailHeaderPattern.test(trimmed) || 
         (gmailToMePattern.test(trimmed) && trimmed.includes('@')) ||
         replyHeaderPattern.test(trimmed) ||
-        (fromToPattern.test(trimmed) && hasDateHeader.test(trimmed)) ||
-        (hasEmailAddress.test(trimmed) && emailClosingPattern.test(trimmed))) {
-        return 'email_raw';
+        (fromToPattern.test(trimmed) && hasDateHeader.test(trimmed))) {
+        return { format: 'email_raw', confidence: 0.85, reason: 'Email headers ("Name <address>", "to me", "On ... wrote:" or From:/Date:)' };
+    }
+    if (hasEmailAddress.test(trimmed) && emailClosingPattern.test(trimmed)) {
+        return { format: 'email_raw', confidence: 0.6, reason: 'An email address and an email sign-off' };
     }
     
-    return 'manual';
+    return { format: 'manual', confidence: 0.5, reason: 'No conversation markers found' };
+}
+
+/**
+ * Detect the format of pasted text
+ * @param {string} text - Raw pasted text
+ * @returns {'linkedin_csv' | 'linkedhelper_export' | 'aiblaze' | 'linkedin_raw' | 'outlook_raw' | 'salesnav_raw' | 'email_raw' | 'manual'} Format type
+ */
+function detectFormat(text) {
+    return detectFormatDetailed(text).format;
+}
+
+function round2(n) {
+    return Math.round(n * 100) / 100;
 }
 
 /**
@@ -801,6 +877,416 @@ function parseAIBlaze(text) {
     return messages;
 }
 
+// ---------------------------------------------------------------------------------------------
+// Export formats: LinkedIn messages.csv, Linked Helper, Outlook
+// ---------------------------------------------------------------------------------------------
+
+/**
+ * Split CSV text into rows of cells (RFC 4180: quoted cells may hold commas, "" and newlines -
+ * message bodies in exports routinely do, so a line-by-line split is not enough)
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsvRecords(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    const src = String(text).replace(/^\uFEFF/, '');
+    
+    for (let i = 0; i < src.length; i++) {
+        const c = src[i];
+        if (inQuotes) {
+            if (c === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+            else if (c === '"') inQuotes = false;
+            else cell += c;
+        } else if (c === '"') {
+            inQuotes = true;
+        } else if (c === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && src[i + 1] === '\n') i++;
+            row.push(cell);
+            if (row.some(v => v.trim())) rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += c;
+        }
+    }
+    row.push(cell);
+    if (row.some(v => v.trim())) rows.push(row);
+    return rows;
+}
+
+function csvHeader(text) {
+    const firstLine = String(text).replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0];
+    return parseCsvRecords(firstLine)[0] || [];
+}
+
+// messages.csv header: CONVERSATION ID,CONVERSATION TITLE,FROM,SENDER PROFILE URL,TO,
+// RECIPIENT PROFILE URLS,DATE,SUBJECT,CONTENT,FOLDER[,ATTACHMENTS][,IS MESSAGE DRAFT]
+function isLinkedInCsv(text) {
+    const header = csvHeader(text).map(h => h.trim().toUpperCase());
+    return ['CONVERSATION ID', 'FROM', 'DATE', 'CONTENT'].every(col => header.includes(col));
+}
+
+// Linked Helper names its message fields <prefix>_from / <prefix>_text / <prefix>_send_at
+// (last_sent_message_from, ... - see services/lhMessageNotes.js); exports use the same names
+const LH_FIELD_PATTERNS = {
+    from: /(?:^|_)from$/i,
+    text: /(?:^|_)text$/i,
+    sendAt: /(?:^|_)send_at$/i
+};
+
+function lhFieldNames(keys) {
+    const find = (pattern) => keys.find(k => pattern.test(String(k).trim()));
+    const names = { from: find(LH_FIELD_PATTERNS.from), text: find(LH_FIELD_PATTERNS.text), sendAt: find(LH_FIELD_PATTERNS.sendAt) };
+    return names.text && (names.from || names.sendAt) ? names : null;
+}
+
+function parseJsonSafe(text) {
+    if (!/^[[{]/.test(text)) return null;
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return null;
+    }
+}
+
+// A JSON export is either an array of messages or { messages: [...] }
+function lhJsonMessages(text) {
+    const data = parseJsonSafe(String(text).trim());
+    const list = Array.isArray(data) ? data : (data && Array.isArray(data.messages) ? data.messages : null);
+    if (!list || !list.length || typeof list[0] !== 'object' || !list[0]) return null;
+    return lhFieldNames(Object.keys(list[0])) ? list : null;
+}
+
+function isLinkedHelperExport(text) {
+    if (lhJsonMessages(text)) return true;
+    return !!lhFieldNames(csvHeader(text));
+}
+
+/** Export cells sometimes hold HTML (InMail bodies in messages.csv) */
+function htmlToText(html) {
+    return String(html || '')
+        .replace(/<br\s*\/?>|<\/p>|<\/div>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'");
+}
+
+function flattenMessage(text) {
+    return htmlToText(text).replace(/\s*\r?\n\s*/g, ' ').replace(/[ \t]+/g, ' ').trim();
+}
+
+/** Attachment cells/fields: an array, or URLs / file names separated by commas, semicolons or spaces */
+function splitAttachments(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split(/[;,\s]+/);
+    return items
+        .map(item => (item && typeof item === 'object') ? (item.url || item.name || '') : String(item || ''))
+        .map(item => item.trim())
+        .filter(Boolean)
+        .map(item => /^https?:\/\//i.test(item)
+            ? { name: decodeURIComponent(item.split(/[?#]/)[0].split('/').pop() || '') || null, url: item }
+            : { name: item, url: null });
+}
+
+/**
+ * Stamp a real instant as Notes date/time in the client's timezone
+ * @returns {{ date: string, time: string }}
+ */
+function stampParts(date, timeZone) {
+    const [day, ...rest] = formatStamp(date, timeZone).split(' ');
+    return { date: day, time: rest.join(' ') };
+}
+
+/**
+ * Parse LinkedIn's data export messages.csv
+ * The export holds every conversation on the account. With `counterpartProfileUrl` only
+ * conversations that person took part in are kept; without it, every row is kept and a
+ * warning says how many conversations were mixed together.
+ * @param {string} text - messages.csv content
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - Client's IANA timezone (DATE is UTC)
+ * @param {string} [options.counterpartProfileUrl] - The lead's LinkedIn URL
+ * @param {string[]} [options.warnings] - Collects warnings for the caller
+ * @returns {Array<{date: string, time: string, sender: string, message: string, metadata?: Object}>}
+ */
+function parseLinkedInCsv(text, options = {}) {
+    const { timeZone = null, counterpartProfileUrl = null, warnings = [] } = options;
+    const rows = parseCsvRecords(text);
+    if (rows.length < 2) return [];
+    
+    const header = rows[0].map(h => h.trim().toUpperCase());
+    const col = (name) => header.indexOf(name);
+    const get = (row, name) => (col(name) >= 0 ? String(row[col(name)] || '').trim() : '');
+    
+    const parsed = [];
+    const conversations = new Set();
+    for (const row of rows.slice(1)) {
+        if (/^(yes|true)$/i.test(get(row, 'IS MESSAGE DRAFT'))) continue;
+        
+        if (counterpartProfileUrl) {
+            const profiles = [get(row, 'SENDER PROFILE URL'), ...get(row, 'RECIPIENT PROFILE URLS').split(/[,\s]+/)];
+            if (!profiles.some(url => sameLinkedinProfile(url, counterpartProfileUrl))) continue;
+        }
+        
+        // "2024-03-05 14:22:10 UTC"
+        const at = new Date(get(row, 'DATE').replace(/\s*UTC$/i, 'Z').replace(' ', 'T'));
+        if (Number.isNaN(at.getTime())) continue;
+        
+        const attachments = splitAttachments(get(row, 'ATTACHMENTS'));
+        const message = flattenMessage(get(row, 'CONTENT'));
+        if (!message && !attachments.length) continue;
+        
+        conversations.add(get(row, 'CONVERSATION ID'));
+        parsed.push({
+            at,
+            ...stampParts(at, timeZone),
+            sender: get(row, 'FROM') || 'Unknown',
+            message,
+            ...(attachments.length ? { metadata: { attachments } } : {})
+        });
+    }
+    
+    if (conversations.size > 1) {
+        warnings.push(`${conversations.size} conversations in this export were combined - open the lead first to keep only theirs`);
+    }
+    
+    // The export lists newest first; everything else here parses oldest first
+    return parsed
+        .sort((a, b) => a.at - b.at)
+        .map(({ at, ...msg }) => msg);
+}
+
+/**
+ * Parse a Linked Helper conversation export (CSV or JSON) - one row/object per message with
+ * LH's *_from, *_text and *_send_at fields, plus an optional attachments field
+ * @param {string} text - Export content
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - Client's IANA timezone
+ * @returns {Array<{date: string, time: string, sender: string, message: string, metadata?: Object}>}
+ */
+function parseLinkedHelperExport(text, options = {}) {
+    const { timeZone = null } = options;
+    
+    let records = lhJsonMessages(text);
+    if (!records) {
+        const rows = parseCsvRecords(text);
+        if (rows.length < 2) return [];
+        const header = rows[0].map(h => h.trim());
+        records = rows.slice(1).map(row => Object.fromEntries(header.map((h, i) => [h, row[i]])));
+    }
+    const names = lhFieldNames(Object.keys(records[0] || {}));
+    if (!names) return [];
+    const attachmentsKey = Object.keys(records[0]).find(k => /attachments?$/i.test(k.trim()));
+    
+    const parsed = [];
+    records.forEach((record, index) => {
+        const message = flattenMessage(record[names.text]);
+        const attachments = attachmentsKey ? splitAttachments(record[attachmentsKey]) : [];
+        if (!message && !attachments.length) return;
+        const at = names.sendAt ? parseSendAt(record[names.sendAt]) : null;
+        parsed.push({
+            at,
+            index,
+            ...(at ? stampParts(at, timeZone) : { date: null, time: null }),
+            sender: String(record[names.from] || '').trim() || 'Unknown',
+            message,
+            ...(attachments.length ? { metadata: { attachments } } : {})
+        });
+    });
+    
+    // Undated rows keep their export position
+    return parsed
+        .sort((a, b) => (a.at && b.at ? a.at - b.at : a.index - b.index))
+        .filter(msg => msg.date)
+        .map(({ at, index, ...msg }) => msg);
+}
+
+const OUTLOOK_MONTHS = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+
+/**
+ * Read an Outlook Sent: value - "Tuesday, 2 December 2025 4:21 PM", "Tuesday, December 2, 2025 16:21"
+ * or "02 December 2025 16:21"
+ * @returns {{ date: string, time: string }|null}
+ */
+function parseOutlookSent(value) {
+    const v = String(value || '').replace(/^[A-Za-z]+,\s*/, '').trim();
+    const dayFirst = v.match(/^(\d{1,2})\s+([A-Za-z]+),?\s+(\d{4})/);
+    const monthFirst = v.match(/^([A-Za-z]+)\s+(\d{1,2}),?\s+(\d{4})/);
+    const parts = dayFirst
+        ? { day: dayFirst[1], month: dayFirst[2], year: dayFirst[3] }
+        : monthFirst ? { day: monthFirst[2], month: monthFirst[1], year: monthFirst[3] } : null;
+    if (!parts) return null;
+    const month = OUTLOOK_MONTHS[parts.month.slice(0, 3).toLowerCase()];
+    if (month === undefined) return null;
+    
+    let time = '12:00 PM';
+    const t = v.match(/(\d{1,2}):(\d{2})(?::\d{2})?\s*([AP]M)?/i);
+    if (t) {
+        let hours = parseInt(t[1], 10);
+        const ampm = t[3] ? t[3].toUpperCase() : (hours >= 12 ? 'PM' : 'AM');
+        if (!t[3]) hours = hours === 0 ? 12 : hours > 12 ? hours - 12 : hours;
+        time = `${hours}:${t[2]} ${ampm}`;
+    }
+    return { date: formatDateDDMMYY(new Date(parseInt(parts.year, 10), month, parseInt(parts.day, 10))), time };
+}
+
+/**
+ * Parse an Outlook thread ("Save As" text or a copied conversation). Each message starts with a
+ * From: / Sent: / To: / Subject: block; earlier messages are quoted below the reply, so the
+ * thread reads newest first and is returned oldest first like the other parsers.
+ * @param {string} text - Outlook thread text
+ * @param {string} clientFirstName - Unused for Outlook (senders are always named); kept for parity
+ * @param {Date} referenceDate - Date for messages with no readable Sent: header
+ * @returns {Array<{date: string, time: string, sender: string, message: string, metadata?: Object}>}
+ */
+function parseOutlookThread(text, clientFirstName = 'Me', referenceDate = new Date()) {
+    const lines = String(text).split(/\r?\n/);
+    const headerPattern = /^(From|Sent|Date|To|Cc|Bcc|Subject|Importance|Attachments):[ \t]*(.*)$/i;
+    const separatorPattern = /^(?:-{2,}\s*Original Message\s*-{2,}|_{10,})$/i;
+    
+    const messages = [];
+    let current = null;
+    let inHeaders = false;
+    let inSignature = false;
+    
+    const flush = () => {
+        if (!current) return;
+        const message = current.body.join(' ').replace(/\s+/g, ' ').trim();
+        if (message || current.attachments.length) {
+            const stamp = current.sent || { date: formatDateDDMMYY(referenceDate), time: '12:00 PM' };
+            messages.push({
+                date: stamp.date,
+                time: stamp.time,
+                sender: current.sender,
+                message,
+                ...(current.attachments.length ? { metadata: { attachments: current.attachments } } : {})
+            });
+        }
+        current = null;
+    };
+    
+    for (const raw of lines) {
+        const line = raw.trim();
+        if (separatorPattern.test(line)) continue;
+        
+        const header = line.match(headerPattern);
+        const key = header ? header[1].toLowerCase() : null;
+        
+        if (key === 'from') {
+            flush();
+            const from = header[2].trim();
+            current = {
+                sender: from.replace(/\s*<[^>]*>\s*$/, '').replace(/^"|"$/g, '').trim() || from,
+                sent: null,
+                attachments: [],
+                body: []
+            };
+            inHeaders = true;
+            inSignature = false;
+            continue;
+        }
+        if (!current) continue;
+        
+        if (inHeaders) {
+            if (header) {
+                if (key === 'sent' || key === 'date') current.sent = parseOutlookSent(header[2]);
+                if (key === 'attachments') current.attachments = header[2].split(/;\s*/).filter(Boolean).map(name => ({ name: name.trim(), url: null }));
+                continue;
+            }
+            if (!line) continue;
+            inHeaders = false;
+        }
+        
+        if (!line || line.startsWith('>')) continue;
+        if (line === '--' || /^Sent from my /i.test(line)) {
+            inSignature = true;
+            continue;
+        }
+        if (!inSignature) current.body.push(line);
+    }
+    flush();
+    
+    return messages.reverse();
+}
+
+// ---------------------------------------------------------------------------------------------
+// Message metadata: attachments, links, voice notes
+// ---------------------------------------------------------------------------------------------
+
+const ATTACHMENT_EXTENSIONS = 'pdf|docx?|xlsx?|pptx?|csv|txt|rtf|key|pages|numbers|zip|png|jpe?g|gif|heic|mp4|mov|mp3|m4a|wav';
+const URL_PATTERN = /(?:https?:\/\/|www\.)[^\s<>"]+/gi;
+
+/**
+ * Find shared attachments, links and voice-note markers in a message
+ * LinkedIn copy-paste keeps a file tile's name ("Proposal.pdf") and a voice note's label and
+ * duration ("Voice message 0:42"); other formats write "[Attachment: name]" / "[Voice note]".
+ * @param {string} text - Message text
+ * @returns {{ attachments: Array<{name: string|null, url: string|null}>, links: string[], voiceNote: {duration: string|null}|null }|null} null when there is nothing
+ */
+function extractMessageMetadata(text) {
+    const source = String(text || '');
+    
+    const links = [...new Set((source.match(URL_PATTERN) || []).map(url => url.replace(/[.,;:!?)\]]+$/, '')))];
+    const withoutUrls = source.replace(URL_PATTERN, ' ');
+    
+    const attachments = [];
+    const addAttachment = (name) => {
+        const clean = name ? name.trim() : null;
+        if (clean && attachments.some(a => a.name === clean)) return;
+        attachments.push({ name: clean, url: null });
+    };
+    for (const m of withoutUrls.matchAll(/\[Attachment:\s*([^\]]+)\]/gi)) addAttachment(m[1]);
+    for (const m of withoutUrls.matchAll(new RegExp(`(?:^|[\\s(])([\\w()\\-.]+\\.(?:${ATTACHMENT_EXTENSIONS}))\\b`, 'gi'))) addAttachment(m[1]);
+    if (!attachments.length && /\bsent (?:you )?an? (?:attachment|file|document|photo|image)\b/i.test(source)) addAttachment(null);
+    
+    let voiceNote = null;
+    if (/\b(?:voice (?:message|note)|audio message)\b|🎤/i.test(source)) {
+        const duration = source.match(/\b(\d{1,2}:[0-5]\d)\b(?!\s*[AP]M)/i);
+        voiceNote = { duration: duration ? duration[1] : null };
+    }
+    
+    if (!attachments.length && !links.length && !voiceNote) return null;
+    return { attachments, links, voiceNote };
+}
+
+/** Merge what the text shows with what the export supplied (CSV column, Outlook header) */
+function withMetadata(msg) {
+    const found = extractMessageMetadata(msg.message);
+    const given = msg.metadata || null;
+    if (!found && !given) return msg;
+    
+    const attachments = [...((given && given.attachments) || [])];
+    for (const a of (found ? found.attachments : [])) {
+        if (!a.name || !attachments.some(b => b.name === a.name)) attachments.push(a);
+    }
+    return {
+        ...msg,
+        metadata: {
+            attachments,
+            links: (found && found.links) || [],
+            voiceNote: (found && found.voiceNote) || (given && given.voiceNote) || null
+        }
+    };
+}
+
+/** "[Attachment: name]" markers for attachments the message text does not already mention */
+function attachmentMarkers(msg) {
+    const attachments = (msg.metadata && msg.metadata.attachments) || [];
+    return attachments
+        .filter(a => a.name && !String(msg.message || '').includes(a.name))
+        .map(a => ` [Attachment: ${a.name}]`)
+        .join('');
+}
+
 /**
  * Format messages to standard output string
  * @param {Array<{date: string, time: string, sender: string, message: string}>} messages
@@ -811,7 +1297,7 @@ function formatMessages(messages, newestFirst = true) {
     const sorted = newestFirst ? [...messages].reverse() : messages;
     
     return sorted.map(msg => {
-        return `${msg.date} ${msg.time} - ${msg.sender} - ${msg.message}`;
+        return `${msg.date} ${msg.time} - ${msg.sender} - ${`${msg.message}${attachmentMarkers(msg)}`.trim()}`;
     }).join('\n');
 }
 
@@ -824,8 +1310,11 @@ function formatMessages(messages, newestFirst = true) {
  * @param {Date} options.referenceDate - Reference date for relative dates
  * @param {boolean} options.newestFirst - Output with newest messages first
  * @param {boolean} options.useAI - Use AI for email parsing (default true if available)
- * @param {string} options.forceFormat - Force a specific format (email, linkedin, salesnav) instead of auto-detect
- * @returns {Promise<{ format: string, messages: Array, formatted: string, usedAI: boolean, aiError: string|null, autoDetectedFormat: string }>}
+ * @param {string} options.forceFormat - Force a specific format (email, linkedin, salesnav) instead of auto-detect.
+ *   An export detected for the same section (e.g. messages.csv under linkedin) still uses its own parser.
+ * @param {string} options.timeZone - Client's IANA timezone, for exports that carry real timestamps
+ * @param {string} options.counterpartProfileUrl - Lead's LinkedIn URL; keeps only their conversations from messages.csv
+ * @returns {Promise<{ format: string, messages: Array, formatted: string, usedAI: boolean, aiError: string|null, autoDetectedFormat: string, confidence: number, formatReason: string, warnings: string[] }>}
  */
 async function parseConversation(text, options = {}) {
     const {
@@ -833,7 +1322,9 @@ async function parseConversation(text, options = {}) {
         referenceDate = new Date(),
         newestFirst = true,
         useAI = true,
-        forceFormat = null
+        forceFormat = null,
+        timeZone = null,
+        counterpartProfileUrl = null
     } = options;
     
     // Map section names to format names
@@ -845,15 +1336,31 @@ async function parseConversation(text, options = {}) {
     };
     
     // Always run auto-detection (for mismatch warning)
-    const autoDetectedFormat = detectFormat(text);
+    const detection = detectFormatDetailed(text);
+    const autoDetectedFormat = detection.format;
     
-    // Use forced format if provided, otherwise use auto-detected
-    const format = forceFormat ? (sectionToFormat[forceFormat] || autoDetectedFormat) : autoDetectedFormat;
+    // Use forced format if provided, otherwise use auto-detected. A forced section only picks the
+    // section: when the content was detected as another format of that same section, its parser wins.
+    let format = autoDetectedFormat;
+    let confidence = detection.confidence;
+    let formatReason = detection.reason;
+    if (forceFormat && FORMAT_SECTIONS[autoDetectedFormat] !== forceFormat && sectionToFormat[forceFormat]) {
+        format = sectionToFormat[forceFormat];
+        confidence = autoDetectedFormat === 'manual' ? 0.5 : 0.3;
+        formatReason = `Parsed as ${FORMAT_LABELS[format]} because that source was selected (${detection.reason.charAt(0).toLowerCase()}${detection.reason.slice(1)})`;
+    }
     let messages = [];
     let usedAI = false;
     let aiError = null;
+    const warnings = [];
     
     switch (format) {
+        case 'linkedin_csv':
+            messages = parseLinkedInCsv(text, { timeZone, counterpartProfileUrl, warnings });
+            break;
+        case 'linkedhelper_export':
+            messages = parseLinkedHelperExport(text, { timeZone });
+            break;
         case 'aiblaze':
             messages = parseAIBlaze(text);
             break;
@@ -863,6 +1370,12 @@ async function parseConversation(text, options = {}) {
         case 'salesnav_raw':
             messages = parseSalesNavRaw(text, clientFirstName, referenceDate);
             break;
+        case 'outlook_raw':
+            messages = parseOutlookThread(text, clientFirstName, referenceDate);
+            if (messages.length > 0) break;
+            // Headers but nothing usable under them - let the general email path try
+            format = 'email_raw';
+            // falls through
         case 'email_raw':
             // Try AI parsing first if available and enabled
             if (useAI && isAIParsingAvailable()) {
@@ -893,10 +1406,20 @@ async function parseConversation(text, options = {}) {
                 formatted: text.trim(),
                 usedAI: false,
                 aiError: null,
-                autoDetectedFormat
+                autoDetectedFormat,
+                confidence,
+                formatReason,
+                warnings
             };
     }
     
+    messages = messages.map(withMetadata);
+    
+    if (messages.length === 0) {
+        confidence = Math.min(confidence, 0.2);
+        formatReason = `${formatReason}; no messages could be parsed`;
+    }
+    
     // Apply final cleanup to catch any noise that slipped through parsing
     const formatted = cleanLinkedInNoise(formatMessages(messages, newestFirst));
     
@@ -907,17 +1430,28 @@ async function parseConversation(text, options = {}) {
         messageCount: messages.length,
         usedAI,
         aiError,
-        autoDetectedFormat  // What format was auto-detected (for mismatch warnings)
+        autoDetectedFormat,  // What format was auto-detected (for mismatch warnings)
+        confidence: round2(confidence),
+        formatReason,
+        warnings
     };
 }
 
 module.exports = {
+    FORMAT_SECTIONS,
+    FORMAT_LABELS,
     detectFormat,
+    detectFormatDetailed,
     parseConversation,
     parseLinkedInRaw,
     parseSalesNavRaw,
     parseEmailRaw,
     parseAIBlaze,
+    parseLinkedInCsv,
+    parseLinkedHelperExport,
+    parseOutlookThread,
+    parseCsvRecords,
+    extractMessageMetadata,
     formatMessages,
     parseFlexibleDate,
     formatDateDDMMYY,
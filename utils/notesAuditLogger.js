@@ -92,4 +92,70 @@ function logNotesChange({ leadId, leadEmail, source, notesBefore, notesAfter, me
     };
 }
 
-module.exports = { logNotesChange };
+/**
+ * Log a completed lead merge - one entry per merge, whether or not Notes changed.
+ * Call only after the survivor has been written.
+ * @param {Object} params
+ * @param {string} params.clientId - Client whose base the leads are in
+ * @param {string} params.survivorId - The lead record that was kept
+ * @param {string[]} params.mergedIds - Lead record IDs merged into the survivor
+ * @param {string[]} [params.fieldsUpdated] - Survivor fields written by the merge
+ * @param {number} [params.meetingsMoved] - recall_meeting_leads rows re-pointed to the survivor
+ * @param {string} [params.smartFupAction] - What happened to the Smart FUP State row ('moved', 'dropped', 'none', ...)
+ * @param {Object} [params.metadata] - Any additional context
+ * @returns {Object} The logged entry
+ */
+function logLeadMerge({ clientId, survivorId, mergedIds, fieldsUpdated = [], meetingsMoved = 0, smartFupAction = 'none', metadata = {} }) {
+    const entry = {
+        clientId,
+        survivorId,
+        mergedIds,
+        fieldsUpdated,
+        meetingsMoved,
+        smartFupAction,
+        at: new Date().toISOString(),
+        ...metadata,
+    };
+    auditLog.info(`[MERGE-AUDIT] ${JSON.stringify(entry)}`);
+    return entry;
+}
+
+/**
+ * Line-level diff of a Notes change, for storing alongside the change (inbound email audit).
+ * Notes updates append inside a section, so "lines added / lines removed" reads better than a
+ * positional diff. Each side is capped at maxChars.
+ * @param {string} notesBefore
+ * @param {string} notesAfter
+ * @param {number} [maxChars=20000]
+ * @returns {{added: string, removed: string, beforeLen: number, afterLen: number, truncated: boolean}}
+ */
+function diffNotes(notesBefore, notesAfter, maxChars = 20000) {
+    const before = (notesBefore || '').split('\n');
+    const after = (notesAfter || '').split('\n');
+    const remaining = new Map();
+    for (const line of before) remaining.set(line, (remaining.get(line) || 0) + 1);
+
+    const added = [];
+    for (const line of after) {
+        const n = remaining.get(line) || 0;
+        if (n > 0) remaining.set(line, n - 1);
+        else added.push(line);
+    }
+    const removed = [];
+    for (const line of before) {
+        const n = remaining.get(line) || 0;
+        if (n > 0) { removed.push(line); remaining.set(line, n - 1); }
+    }
+
+    const addedText = added.join('\n');
+    const removedText = removed.join('\n');
+    return {
+        added: addedText.substring(0, maxChars),
+        removed: removedText.substring(0, maxChars),
+        beforeLen: (notesBefore || '').length,
+        afterLen: (notesAfter || '').length,
+        truncated: addedText.length > maxChars || removedText.length > maxChars
+    };
+}
+
+module.exports = { logNotesChange, logLeadMerge, diffNotes };
@@ -237,9 +237,11 @@ function parseNotesIntoSections(notes) {
     } else {
         // If no separator, check if there's content before any section headers
         // or content that's not part of any section
-        let earliestSectionIndex = notes.length;
+        // (indexes are into notesWithoutTags - measuring them on `notes` shifted them by the
+        // Tags line and leaked the start of the first header into legacy)
+        let earliestSectionIndex = notesWithoutTags.length;
         for (const header of Object.values(SECTION_HEADERS)) {
-            const idx = notes.indexOf(header);
+            const idx = notesWithoutTags.indexOf(header);
             if (idx !== -1 && idx < earliestSectionIndex) {
                 earliestSectionIndex = idx;
             }
@@ -899,7 +901,9 @@ function splitMeetingBlocks(content) {
         return [];
     }
     
-    const blocks = content.split(/\n---MEETING-BLOCK---\n/);
+    // Split on the bare marker: stored blocks are wrapped in separators on both sides, so
+    // splitting on "\n---MEETING-BLOCK---\n" left the first and last markers glued to their blocks
+    const blocks = content.split('---MEETING-BLOCK---');
     
     // Clean up and filter empty blocks
     return blocks
@@ -1050,6 +1054,7 @@ module.exports = {
     parseFormattedMessages,
     mergeAndSortMessages,
     normalizeMessageText,
+    mergeAndSortEmailBlocks,
     // Meeting block utilities
     extractNewestDate,
     splitMeetingBlocks,
@@ -0,0 +1,157 @@
+/**
+ * Minimal ZIP writer (STORE method, no compression) for bundling generated files into one
+ * download — e.g. a financial year of invoice PDFs (routes/billingRoutes.js). PDFs are already
+ * compressed, so deflating them again buys nothing; storing keeps this dependency-free.
+ *
+ * Plus the matching minimal reader (readZipEntry) for pulling one file out of an archive someone
+ * else wrote — e.g. word/document.xml from a DOCX attachment (utils/attachmentText.js). Handles
+ * STORE and DEFLATE, the only two methods Office and mail clients use. The archive is untrusted,
+ * so an entry is refused if its declared size is over maxBytes, and inflation stops at maxBytes
+ * whatever the header claims (a zip bomb throws instead of filling the heap).
+ *
+ * Limits: fewer than 65,535 entries and under 4 GB in total (no ZIP64) — far beyond one client's
+ * billing documents.
+ */
+
+const zlib = require('zlib');
+
+const DEFAULT_MAX_ENTRY_BYTES = 32 * 1024 * 1024;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buf) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS date/time as stored in ZIP headers (local time, 2-second resolution)
+function dosDateTime(date) {
+    const d = date instanceof Date && !Number.isNaN(date.getTime()) ? date : new Date();
+    const time = (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2);
+    const day = (Math.max(0, d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+    return { time, day };
+}
+
+/**
+ * Build a ZIP archive in memory.
+ * @param {Array<{ name: string, data: Buffer|string, date?: Date }>} entries - names may contain '/'
+ * @returns {Buffer}
+ */
+function createZip(entries) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(String(entry.name).replace(/^\/+/, ''), 'utf8');
+        const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+        const crc = crc32(data);
+        const { time, day } = dosDateTime(entry.date);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);  // local file header signature
+        local.writeUInt16LE(20, 4);          // version needed
+        local.writeUInt16LE(0x0800, 6);      // flags: UTF-8 names
+        local.writeUInt16LE(0, 8);           // method: store
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(day, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(data.length, 18); // compressed size
+        local.writeUInt32LE(data.length, 22); // uncompressed size
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);          // extra length
+        locals.push(local, name, data);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0); // central directory signature
+        central.writeUInt16LE(20, 4);         // version made by
+        central.writeUInt16LE(20, 6);         // version needed
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(0, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(day, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        // extra, comment, disk start, internal/external attributes: all zero
+        central.writeUInt32LE(offset, 42);    // local header offset
+        centrals.push(central, name);
+
+        offset += local.length + name.length + data.length;
+    }
+
+    const centralSize = centrals.reduce((sum, b) => sum + b.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);         // end of central directory signature
+    end.writeUInt16LE(entries.length, 8);     // entries on this disk
+    end.writeUInt16LE(entries.length, 10);    // entries total
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);            // central directory offset
+    return Buffer.concat([...locals, ...centrals, end]);
+}
+
+/**
+ * Read one entry out of a ZIP archive, found via the central directory.
+ * @param {Buffer} buf - the whole archive
+ * @param {string} name - entry path, e.g. 'word/document.xml'
+ * @param {Object} [opts]
+ * @param {number} [opts.maxBytes=32 MB] - largest uncompressed entry accepted
+ * @returns {Buffer|null} the uncompressed data, null when the entry isn't there
+ * @throws {Error} not a ZIP archive, an unsupported compression method, or an entry over maxBytes
+ */
+function readZipEntry(buf, name, { maxBytes = DEFAULT_MAX_ENTRY_BYTES } = {}) {
+    // End of central directory: 22 bytes + an optional comment of up to 64 KB, at the very end
+    let end = -1;
+    for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xFFFF); i--) {
+        if (buf.readUInt32LE(i) === 0x06054b50) { end = i; break; }
+    }
+    if (end === -1) throw new Error('Not a ZIP archive');
+
+    const count = buf.readUInt16LE(end + 10);
+    let pos = buf.readUInt32LE(end + 16);
+    for (let n = 0; n < count; n++) {
+        if (buf.readUInt32LE(pos) !== 0x02014b50) throw new Error('Corrupt ZIP central directory');
+        const method = buf.readUInt16LE(pos + 10);
+        const compressedSize = buf.readUInt32LE(pos + 20);
+        const uncompressedSize = buf.readUInt32LE(pos + 24);
+        const nameLen = buf.readUInt16LE(pos + 28);
+        const extraLen = buf.readUInt16LE(pos + 30);
+        const commentLen = buf.readUInt16LE(pos + 32);
+        const localOffset = buf.readUInt32LE(pos + 42);
+        const entryName = buf.toString('utf8', pos + 46, pos + 46 + nameLen);
+
+        if (entryName === name) {
+            // Sizes come from the central directory: writers that stream (flag bit 3) leave the
+            // local header's sizes at zero.
+            if (uncompressedSize > maxBytes) {
+                throw new Error(`ZIP entry ${name} is ${uncompressedSize} bytes uncompressed, over the ${maxBytes}-byte limit`);
+            }
+            const dataStart = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+            const data = buf.subarray(dataStart, dataStart + compressedSize);
+            if (method === 0) return Buffer.from(data);
+            if (method === 8) {
+                try {
+                    return zlib.inflateRawSync(data, { maxOutputLength: maxBytes });
+                } catch (e) {
+                    if (e.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`ZIP entry ${name} inflates past the ${maxBytes}-byte limit`);
+                    throw e;
+                }
+            }
+            throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+        }
+        pos += 46 + nameLen + extraLen + commentLen;
+    }
+    return null;
+}
+
+module.exports = { createZip, readZipEntry, crc32 };